@@ -90,6 +90,7 @@ export const ARCHIVAL_CONFIG = {
 export const PAYMENT_CONFIG = {
   STATUS: {
     PENDING: 'PENDING',
+    UNDER_REVIEW: 'UNDER_REVIEW',
     AUTHORIZED: 'AUTHORIZED',
     SUCCEEDED: 'SUCCEEDED',
     FAILED: 'FAILED',
@@ -0,0 +1,123 @@
+/**
+ * Currency Registry
+ * Currencies the service can charge in. Every amount is stored and passed between services and
+ * gateways in minor units: the smallest unit of the currency, 10^exponent per major unit
+ * (cents for USD, yen for JPY). Charge limits are in minor units too.
+ * The currency_exponents table (db/migrations/convert_amounts_to_minor_units.sql) holds the same
+ * exponents for currency_minor_unit_factor() in SQL; add new currencies to both.
+ * `step` is set where amounts must be a multiple of more than one minor unit: Stripe charges
+ * three-decimal currencies in multiples of 10 (KWD 1.230, not 1.234).
+ */
+
+export const CURRENCIES = {
+  NGN: { code: 'NGN', name: 'Nigerian Naira', exponent: 2, minAmount: 100, maxAmount: 1000000000, gateways: ['paystack'] },
+  USD: { code: 'USD', name: 'US Dollar', exponent: 2, minAmount: 50, maxAmount: 99999999, gateways: ['paystack', 'stripe'] },
+  GBP: { code: 'GBP', name: 'British Pound', exponent: 2, minAmount: 30, maxAmount: 99999999, gateways: ['paystack', 'stripe'] },
+  EUR: { code: 'EUR', name: 'Euro', exponent: 2, minAmount: 50, maxAmount: 99999999, gateways: ['paystack', 'stripe'] },
+  KES: { code: 'KES', name: 'Kenyan Shilling', exponent: 2, minAmount: 100, maxAmount: 1000000000, gateways: ['paystack', 'stripe'] },
+  GHS: { code: 'GHS', name: 'Ghanaian Cedi', exponent: 2, minAmount: 100, maxAmount: 100000000, gateways: ['paystack'] },
+  ZAR: { code: 'ZAR', name: 'South African Rand', exponent: 2, minAmount: 100, maxAmount: 100000000, gateways: ['paystack', 'stripe'] },
+  JPY: { code: 'JPY', name: 'Japanese Yen', exponent: 0, minAmount: 50, maxAmount: 99999999, gateways: ['stripe'] },
+  KWD: { code: 'KWD', name: 'Kuwaiti Dinar', exponent: 3, step: 10, minAmount: 200, maxAmount: 99999990, gateways: ['stripe'] },
+};
+
+/**
+ * Look up a currency by ISO 4217 code
+ * @returns {Object|null} Registry entry, or null for currencies the service does not handle
+ */
+export const getCurrency = (code) => CURRENCIES[code] || null;
+
+/**
+ * Smallest amount, in minor units, that amounts in a currency must be a multiple of
+ */
+export const getAmountStep = (code) => getCurrency(code)?.step || 1;
+
+/**
+ * Currencies a gateway can charge in, in the shape of the gateways' getSupportedCurrencies()
+ */
+export const getGatewayCurrencies = (gateway) =>
+  Object.values(CURRENCIES)
+    .filter(currency => currency.gateways.includes(gateway))
+    .map(({ code, name, exponent }) => ({ code, name, exponent }));
+
+/**
+ * Convert a minor unit amount to major units (1050 USD -> 10.5, 1050 JPY -> 1050)
+ */
+export const toMajorUnits = (amount, code) => Number(amount) / 10 ** (getCurrency(code)?.exponent ?? 2);
+
+/**
+ * Convert a major unit amount to minor units, rounding to the currency's precision
+ */
+export const toMinorUnits = (amount, code) => Math.round(Number(amount) * 10 ** (getCurrency(code)?.exponent ?? 2));
+
+/**
+ * Format a minor unit amount for people, with the currency's decimal places (1050 USD -> "10.50 USD")
+ */
+export const formatAmount = (amount, code) =>
+  `${toMajorUnits(amount, code).toFixed(getCurrency(code)?.exponent ?? 2)} ${code}`;
+
+/**
+ * Check that an amount is a whole number of minor units within the currency's charge limits and a
+ * multiple of its step
+ * @returns {Object} { success, currency } or { success: false, error }
+ */
+export const validateAmount = (amount, code) => {
+  const currency = getCurrency(code);
+  if (!currency) {
+    return {
+      success: false,
+      error: {
+        code: 'INVALID_CURRENCY',
+        message: 'Currency not supported',
+        details: `Currency ${code} is not supported`
+      }
+    };
+  }
+
+  if (!Number.isInteger(amount)) {
+    return {
+      success: false,
+      error: {
+        code: 'INVALID_AMOUNT',
+        message: 'Amount must be a whole number of minor units',
+        details: `${currency.code} amounts are in units of 1/${10 ** currency.exponent} ${currency.code}`
+      }
+    };
+  }
+
+  if (amount < currency.minAmount || amount > currency.maxAmount) {
+    return {
+      success: false,
+      error: {
+        code: 'INVALID_AMOUNT',
+        message: amount < currency.minAmount ? 'Amount is below the minimum charge' : 'Amount is above the maximum charge',
+        details: `${currency.code} amounts must be between ${currency.minAmount} and ${currency.maxAmount} minor units`
+      }
+    };
+  }
+
+  const step = getAmountStep(code);
+  if (amount % step !== 0) {
+    return {
+      success: false,
+      error: {
+        code: 'INVALID_AMOUNT',
+        message: `Amount must be a multiple of ${step} minor units`,
+        details: `${currency.code} amounts are charged in steps of ${formatAmount(step, code)}`
+      }
+    };
+  }
+
+  return { success: true, currency };
+};
+
+export default {
+  CURRENCIES,
+  getCurrency,
+  getAmountStep,
+  getGatewayCurrencies,
+  toMajorUnits,
+  toMinorUnits,
+  formatAmount,
+  validateAmount
+};
@@ -0,0 +1,45 @@
+/**
+ * Advisory locks for scheduled jobs
+ * Jobs run on every replica and call gateways for minutes at a time, so the lock that keeps two
+ * replicas from running the same job is a session lock on a dedicated connection rather than a
+ * transaction-scoped one: no transaction stays open across the HTTP calls.
+ */
+
+import dbPoolManager from './connectionPool.js';
+
+/**
+ * Run a job while holding the session advisory lock `lockKey`, unless another replica holds it.
+ * The callback gets the locked connection (outside any transaction) for queries that need it;
+ * everything else should go through the pools as usual.
+ * @param {number} lockKey - Advisory lock key
+ * @param {Function} callback - async (client) => result
+ * @returns {Promise<Object>} { acquired, result } - acquired is false when the job was skipped
+ */
+export const withAdvisoryLock = async (lockKey, callback) => {
+  const client = await dbPoolManager.getWriteClient();
+  let acquired = false;
+  let releaseError;
+
+  try {
+    const lockResult = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [lockKey]);
+    acquired = lockResult.rows[0].locked;
+    if (!acquired) {
+      return { acquired: false, result: undefined };
+    }
+
+    return { acquired: true, result: await callback(client) };
+  } finally {
+    if (acquired) {
+      try {
+        await client.query('SELECT pg_advisory_unlock($1)', [lockKey]);
+      } catch (error) {
+        // Closing the session is what releases the lock now
+        console.error(`Could not release advisory lock ${lockKey}:`, error.message);
+        releaseError = error;
+      }
+    }
+    client.release(releaseError);
+  }
+};
+
+export default withAdvisoryLock;
@@ -0,0 +1,18 @@
+-- Authorize-then-capture support
+-- capture_method 'manual' payments stop at AUTHORIZED until captured; captured_amount may be less
+-- than amount (partial capture). Authorizations not captured by authorization_expires_at are voided.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS capture_method VARCHAR(20) NOT NULL DEFAULT 'automatic';
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS captured_amount INTEGER NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS authorization_expires_at TIMESTAMPTZ NULL;
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS chk_payments_capture_method;
+ALTER TABLE payments ADD CONSTRAINT chk_payments_capture_method CHECK (capture_method IN ('automatic', 'manual'));
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS chk_payments_captured_amount;
+ALTER TABLE payments ADD CONSTRAINT chk_payments_captured_amount CHECK (
+    captured_amount IS NULL OR (captured_amount > 0 AND captured_amount <= amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_authorization_expiry
+ON payments(authorization_expires_at)
+WHERE status = 'AUTHORIZED';
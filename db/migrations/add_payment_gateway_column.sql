@@ -0,0 +1,5 @@
+-- Record which payment gateway processed each payment
+-- Existing rows were all processed by Paystack
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS gateway VARCHAR(50) NOT NULL DEFAULT 'paystack';
+
+CREATE INDEX IF NOT EXISTS idx_payments_gateway_status ON payments(gateway, status);
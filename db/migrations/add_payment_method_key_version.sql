@@ -0,0 +1,11 @@
+-- Envelope encryption for saved payment method details
+-- details_encrypted holds an AES-256-GCM envelope; the key version that wrapped its data key is copied
+-- here so key rotation can find rows still encrypted under an older key without decrypting them.
+ALTER TABLE user_payment_methods
+    ADD COLUMN IF NOT EXISTS details_key_version VARCHAR(255) NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_payment_methods_key_version
+ON user_payment_methods(details_key_version);
+
+COMMENT ON COLUMN user_payment_methods.details_encrypted IS 'AES-256-GCM envelope of the gateway authorization details (never store raw PAN)';
+COMMENT ON COLUMN user_payment_methods.details_key_version IS 'Key version that wrapped the data key of details_encrypted (NULL for rows saved before encryption)';
@@ -0,0 +1,3 @@
+-- Payments held by the risk engine wait in UNDER_REVIEW until an admin approves or rejects them.
+-- Kept in its own migration: a new enum value can't be used in the transaction that adds it.
+ALTER TYPE payment_status ADD VALUE IF NOT EXISTS 'UNDER_REVIEW' AFTER 'PENDING';
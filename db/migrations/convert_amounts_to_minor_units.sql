@@ -0,0 +1,94 @@
+-- Store every amount in minor units
+-- Amounts used to be kept in major units and multiplied by 100 on the way to the gateway, which is
+-- wrong for currencies with 0 or 3 decimal places. From now on every amount column holds minor units
+-- (10^exponent per major unit, see config/currencies.js); existing rows are converted exactly once.
+-- payment_history snapshots keep the units they were recorded in.
+
+-- One-off data conversions that must not run again when migrations are re-applied
+CREATE TABLE IF NOT EXISTS data_migrations (
+    name VARCHAR(100) PRIMARY KEY,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- ISO 4217 exponent of every currency in config/currencies.js; keep the two in step
+-- (test/currency-registry.test.js checks that they are)
+CREATE TABLE IF NOT EXISTS currency_exponents (
+    code CHAR(3) PRIMARY KEY,
+    exponent SMALLINT NOT NULL CHECK (exponent BETWEEN 0 AND 4)
+);
+
+INSERT INTO currency_exponents (code, exponent) VALUES
+    ('NGN', 2),
+    ('USD', 2),
+    ('GBP', 2),
+    ('EUR', 2),
+    ('KES', 2),
+    ('GHS', 2),
+    ('ZAR', 2),
+    ('JPY', 0),
+    ('KWD', 3)
+ON CONFLICT (code) DO UPDATE SET exponent = EXCLUDED.exponent;
+
+-- Minor units per major unit of a currency (10^exponent).
+-- Currencies not listed were charged as if they had two decimals.
+CREATE OR REPLACE FUNCTION currency_minor_unit_factor(currency_code CHAR(3))
+RETURNS INTEGER AS $$
+    SELECT COALESCE(
+        (SELECT (10 ^ exponent)::INTEGER FROM currency_exponents WHERE code = upper(currency_code)),
+        100
+    );
+$$ LANGUAGE sql STABLE;
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM data_migrations WHERE name = 'amounts_to_minor_units') THEN
+        RETURN;
+    END IF;
+
+    -- Keep updated_at as it was; the stale payment reconciler and reports rely on it
+    ALTER TABLE payments DISABLE TRIGGER update_payments_updated_at;
+    ALTER TABLE refunds DISABLE TRIGGER update_refunds_updated_at;
+
+    UPDATE payments
+    SET amount = amount * currency_minor_unit_factor(currency),
+        captured_amount = captured_amount * currency_minor_unit_factor(currency);
+
+    UPDATE refunds
+    SET amount = amount * currency_minor_unit_factor(currency);
+
+    ALTER TABLE payments ENABLE TRIGGER update_payments_updated_at;
+    ALTER TABLE refunds ENABLE TRIGGER update_refunds_updated_at;
+
+    UPDATE subscription_plans
+    SET amount = amount * currency_minor_unit_factor(currency);
+
+    UPDATE billing_cycles
+    SET amount = amount * currency_minor_unit_factor(currency);
+
+    UPDATE subscriptions s
+    SET credit_balance = s.credit_balance * currency_minor_unit_factor(p.currency)
+    FROM subscription_plans p
+    WHERE p.id = s.plan_id AND s.credit_balance > 0;
+
+    UPDATE reconciliation_items
+    SET local_amount = local_amount * currency_minor_unit_factor(COALESCE(currency, 'XXX')),
+        gateway_amount = gateway_amount * currency_minor_unit_factor(COALESCE(currency, 'XXX'));
+
+    -- The archive only exists where archival has been set up
+    IF to_regclass('payments_archive') IS NOT NULL THEN
+        EXECUTE 'UPDATE payments_archive SET amount = amount * currency_minor_unit_factor(currency)';
+    END IF;
+
+    INSERT INTO data_migrations (name) VALUES ('amounts_to_minor_units');
+END;
+$$;
+
+COMMENT ON TABLE data_migrations IS 'One-off data conversions already applied, so re-running migrations skips them';
+COMMENT ON TABLE currency_exponents IS 'ISO 4217 exponent per currency, as in config/currencies.js';
+COMMENT ON FUNCTION currency_minor_unit_factor IS 'Minor units per major unit of a currency (10^ISO 4217 exponent)';
+COMMENT ON COLUMN refunds.amount IS 'Amount in minor units of the refund currency';
+COMMENT ON COLUMN payments.captured_amount IS 'Captured amount in minor units; may be less than amount';
+COMMENT ON COLUMN subscription_plans.amount IS 'Price per billing period in minor units';
+COMMENT ON COLUMN billing_cycles.amount IS 'Amount charged for the cycle in minor units';
+COMMENT ON COLUMN reconciliation_items.local_amount IS 'Local amount in minor units';
+COMMENT ON COLUMN reconciliation_items.gateway_amount IS 'Gateway amount in minor units';
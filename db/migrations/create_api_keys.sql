@@ -0,0 +1,42 @@
+-- API keys
+-- Keys let internal services (orders, subscriptions, back office) call the API without an end-user
+-- token. Only a SHA-256 hash of each key is stored; the prefix is the public part used to look it up.
+-- Rotating a key issues a replacement with the same settings and expires the old one after a grace period.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    prefix VARCHAR(32) NOT NULL,
+    key_hash CHAR(64) NOT NULL,
+    scopes TEXT[] NOT NULL,
+    allowed_ips TEXT[] NULL,
+    expires_at TIMESTAMPTZ NULL,
+    last_used_at TIMESTAMPTZ NULL,
+    last_used_ip VARCHAR(45) NULL,
+    created_by VARCHAR(255) NOT NULL,
+    rotated_from UUID NULL REFERENCES api_keys(id),
+    revoked_at TIMESTAMPTZ NULL,
+    revoked_by VARCHAR(255) NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_api_keys_scopes CHECK (cardinality(scopes) > 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_prefix ON api_keys(prefix);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_created_at ON api_keys(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_rotated_from
+ON api_keys(rotated_from) WHERE rotated_from IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON api_keys;
+CREATE TRIGGER update_api_keys_updated_at
+    BEFORE UPDATE ON api_keys
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE api_keys IS 'Scoped API keys for service-to-service callers';
+COMMENT ON COLUMN api_keys.key_hash IS 'SHA-256 of the full key, hex encoded; the key itself is only shown when issued';
+COMMENT ON COLUMN api_keys.allowed_ips IS 'IP addresses and CIDR ranges the key may be used from; NULL allows any';
+COMMENT ON COLUMN api_keys.last_used_at IS 'Updated at most once a minute per key';
+COMMENT ON COLUMN api_keys.rotated_from IS 'Key this one replaced';
@@ -0,0 +1,92 @@
+-- FX rates and settlement amounts
+-- fx_rates keeps every rate snapshot with the time it took effect, so a payment can always be
+-- converted at the rate that applied when it was made. Each payment stores the amount it settles
+-- for in the settlement currency together with the rate used.
+CREATE TABLE IF NOT EXISTS fx_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    base_currency CHAR(3) NOT NULL,
+    quote_currency CHAR(3) NOT NULL,
+    rate NUMERIC(24, 12) NOT NULL, -- units of quote_currency per 1 base_currency
+    effective_at TIMESTAMPTZ NOT NULL,
+    source VARCHAR(50) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_fx_rates_rate CHECK (rate > 0),
+    CONSTRAINT chk_fx_rates_pair CHECK (base_currency <> quote_currency)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fx_rates_pair_effective
+ON fx_rates(base_currency, quote_currency, effective_at);
+
+CREATE INDEX IF NOT EXISTS idx_fx_rates_quote_effective
+ON fx_rates(quote_currency, effective_at DESC);
+
+ALTER TABLE payments
+    ADD COLUMN IF NOT EXISTS settlement_amount INTEGER NULL,
+    ADD COLUMN IF NOT EXISTS settlement_currency CHAR(3) NULL,
+    ADD COLUMN IF NOT EXISTS fx_rate NUMERIC(24, 12) NULL,
+    ADD COLUMN IF NOT EXISTS fx_rate_effective_at TIMESTAMPTZ NULL;
+
+-- Rate from one currency to another at a point in time: the direct pair, the inverse pair, or a
+-- cross rate through a base currency both are quoted against. effective_at is that of the oldest rate used.
+CREATE OR REPLACE FUNCTION fx_rate_at(p_from CHAR(3), p_to CHAR(3), p_at TIMESTAMPTZ DEFAULT now())
+RETURNS TABLE(rate NUMERIC, effective_at TIMESTAMPTZ) AS $$
+BEGIN
+    IF p_from = p_to THEN
+        RETURN QUERY SELECT 1::NUMERIC, p_at;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT r.rate, r.effective_at
+    FROM fx_rates r
+    WHERE r.base_currency = p_from AND r.quote_currency = p_to AND r.effective_at <= p_at
+    ORDER BY r.effective_at DESC
+    LIMIT 1;
+    IF FOUND THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT 1 / r.rate, r.effective_at
+    FROM fx_rates r
+    WHERE r.base_currency = p_to AND r.quote_currency = p_from AND r.effective_at <= p_at
+    ORDER BY r.effective_at DESC
+    LIMIT 1;
+    IF FOUND THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT t.rate / f.rate, LEAST(f.effective_at, t.effective_at)
+    FROM (
+        SELECT DISTINCT ON (r.base_currency) r.base_currency, r.rate, r.effective_at
+        FROM fx_rates r
+        WHERE r.quote_currency = p_from AND r.effective_at <= p_at
+        ORDER BY r.base_currency, r.effective_at DESC
+    ) f
+    JOIN (
+        SELECT DISTINCT ON (r.base_currency) r.base_currency, r.rate, r.effective_at
+        FROM fx_rates r
+        WHERE r.quote_currency = p_to AND r.effective_at <= p_at
+        ORDER BY r.base_currency, r.effective_at DESC
+    ) t ON t.base_currency = f.base_currency
+    ORDER BY LEAST(f.effective_at, t.effective_at) DESC
+    LIMIT 1;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Convert a minor unit amount between currencies at a point in time; NULL when no rate is known
+CREATE OR REPLACE FUNCTION fx_convert(p_amount BIGINT, p_from CHAR(3), p_to CHAR(3), p_at TIMESTAMPTZ DEFAULT now())
+RETURNS BIGINT AS $$
+    SELECT round(
+        p_amount::NUMERIC / currency_minor_unit_factor(p_from) * r.rate * currency_minor_unit_factor(p_to)
+    )::BIGINT
+    FROM fx_rate_at(p_from, p_to, p_at) r;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON TABLE fx_rates IS 'Exchange rate snapshots by effective time, refreshed from the configured rate source';
+COMMENT ON COLUMN payments.settlement_amount IS 'Amount in minor units of settlement_currency, converted when the payment was made';
+COMMENT ON COLUMN payments.fx_rate IS 'Rate used for settlement_amount (settlement_currency per 1 payment currency)';
+COMMENT ON FUNCTION fx_rate_at IS 'Exchange rate between two currencies in effect at a point in time (direct, inverse or cross)';
+COMMENT ON FUNCTION fx_convert IS 'Converts a minor unit amount between currencies at the rate in effect at a point in time';
@@ -0,0 +1,35 @@
+-- Idempotency records
+-- One row per (principal, Idempotency-Key): the fingerprint of the first request and, once it has
+-- finished, the response it got. Repeats with the same fingerprint get that response again byte for
+-- byte; a different fingerprint is refused. Rows expire after a TTL and are purged by the app.
+CREATE TABLE IF NOT EXISTS idempotency_records (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    principal_type VARCHAR(20) NOT NULL,
+    principal_id VARCHAR(255) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_method VARCHAR(10) NOT NULL,
+    request_path TEXT NOT NULL,
+    request_fingerprint CHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'IN_PROGRESS',
+    lock_token UUID NULL,
+    locked_until TIMESTAMPTZ NULL,
+    response_status_code INTEGER NULL,
+    response_headers JSONB NULL,
+    response_body BYTEA NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    completed_at TIMESTAMPTZ NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT chk_idempotency_records_status CHECK (status IN ('IN_PROGRESS', 'COMPLETED'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_idempotency_records_principal_key
+ON idempotency_records(principal_type, principal_id, idempotency_key);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_records_expires_at ON idempotency_records(expires_at);
+
+COMMENT ON TABLE idempotency_records IS 'First request and recorded response per principal and Idempotency-Key, replayed on repeats until expires_at';
+COMMENT ON COLUMN idempotency_records.request_fingerprint IS 'SHA-256 of the method, path and canonical JSON body of the first request';
+COMMENT ON COLUMN idempotency_records.lock_token IS 'Identifies the request executing an IN_PROGRESS record; only it can complete or release the record';
+COMMENT ON COLUMN idempotency_records.locked_until IS 'After this an IN_PROGRESS record is treated as abandoned and the same request may run again';
+COMMENT ON COLUMN idempotency_records.response_body IS 'Response body exactly as sent';
@@ -0,0 +1,120 @@
+-- Invoices
+-- An invoice bills a customer for line items plus tax lines. Drafts can be edited; finalizing
+-- numbers the invoice from its merchant's sequence and opens it for payment. Payments are
+-- allocated to an invoice (invoice_payments) and settle it once collected; an invoice is PAID
+-- when its collected allocations cover the total.
+CREATE TABLE IF NOT EXISTS invoice_number_sequences (
+    merchant_key VARCHAR(100) PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    number VARCHAR(50) NULL,
+    user_id VARCHAR(255) NOT NULL,
+    merchant_id VARCHAR(100) NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'DRAFT',
+    currency CHAR(3) NOT NULL,
+    subtotal_amount INTEGER NOT NULL DEFAULT 0,
+    tax_amount INTEGER NOT NULL DEFAULT 0,
+    total_amount INTEGER NOT NULL DEFAULT 0,
+    amount_paid INTEGER NOT NULL DEFAULT 0,
+    customer_email VARCHAR(255) NULL,
+    customer_name VARCHAR(255) NULL,
+    memo TEXT NULL,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    due_at TIMESTAMPTZ NULL,
+    issued_at TIMESTAMPTZ NULL,
+    paid_at TIMESTAMPTZ NULL,
+    voided_at TIMESTAMPTZ NULL,
+    void_reason TEXT NULL,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_invoices_status CHECK (status IN ('DRAFT', 'OPEN', 'PAID', 'VOID')),
+    CONSTRAINT chk_invoices_currency CHECK (currency ~ '^[A-Z]{3}$'),
+    CONSTRAINT chk_invoices_amounts CHECK (
+        subtotal_amount >= 0 AND tax_amount >= 0 AND total_amount = subtotal_amount + tax_amount
+    ),
+    CONSTRAINT chk_invoices_amount_paid CHECK (amount_paid >= 0 AND amount_paid <= total_amount),
+    CONSTRAINT chk_invoices_number CHECK (status = 'DRAFT' OR status = 'VOID' OR number IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS invoice_line_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    description VARCHAR(500) NOT NULL,
+    quantity INTEGER NOT NULL,
+    unit_amount INTEGER NOT NULL,
+    amount INTEGER NOT NULL,
+    taxable BOOLEAN NOT NULL DEFAULT true,
+
+    CONSTRAINT chk_invoice_line_items_quantity CHECK (quantity > 0),
+    CONSTRAINT chk_invoice_line_items_unit_amount CHECK (unit_amount >= 0),
+    CONSTRAINT chk_invoice_line_items_amount CHECK (amount = quantity * unit_amount)
+);
+
+CREATE TABLE IF NOT EXISTS invoice_tax_lines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    rate_bps INTEGER NOT NULL,
+    taxable_amount INTEGER NOT NULL,
+    amount INTEGER NOT NULL,
+
+    CONSTRAINT chk_invoice_tax_lines_rate CHECK (rate_bps >= 0 AND rate_bps <= 10000),
+    CONSTRAINT chk_invoice_tax_lines_amount CHECK (amount >= 0 AND taxable_amount >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS invoice_payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id),
+    payment_id UUID NOT NULL REFERENCES payments(id),
+    amount INTEGER NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'PENDING',
+    applied_at TIMESTAMPTZ NULL,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_invoice_payments_amount CHECK (amount > 0),
+    CONSTRAINT chk_invoice_payments_status CHECK (status IN ('PENDING', 'APPLIED', 'FAILED'))
+);
+
+-- Invoice numbers are unique per merchant
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_merchant_number
+ON invoices(COALESCE(merchant_id, ''), number) WHERE number IS NOT NULL;
+
+-- A payment is allocated to an invoice once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoice_payments_invoice_payment
+ON invoice_payments(invoice_id, payment_id);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_user_created ON invoices(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_invoices_status_due ON invoices(status, due_at) WHERE status = 'OPEN';
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice ON invoice_line_items(invoice_id, position);
+CREATE INDEX IF NOT EXISTS idx_invoice_tax_lines_invoice ON invoice_tax_lines(invoice_id, position);
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_payment ON invoice_payments(payment_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_pending ON invoice_payments(created_at) WHERE status = 'PENDING';
+
+DROP TRIGGER IF EXISTS update_invoices_updated_at ON invoices;
+CREATE TRIGGER update_invoices_updated_at
+    BEFORE UPDATE ON invoices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_invoice_payments_updated_at ON invoice_payments;
+CREATE TRIGGER update_invoice_payments_updated_at
+    BEFORE UPDATE ON invoice_payments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE invoices IS 'Invoices issued to customers, numbered per merchant when finalized and settled by one or more payments';
+COMMENT ON TABLE invoice_line_items IS 'Billed items of an invoice; amount is quantity times unit_amount in minor units';
+COMMENT ON TABLE invoice_tax_lines IS 'Taxes of an invoice, each a rate in basis points of the taxable line items';
+COMMENT ON TABLE invoice_payments IS 'Payments allocated to invoices; PENDING until the payment is collected or fails';
+COMMENT ON TABLE invoice_number_sequences IS 'Last invoice number issued per merchant (merchant_key is the merchant ID or * for none)';
+COMMENT ON COLUMN invoices.amount_paid IS 'Sum of APPLIED invoice_payments in minor units';
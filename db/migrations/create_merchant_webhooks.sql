@@ -0,0 +1,89 @@
+-- Merchant webhooks
+-- Merchants register HTTPS endpoints for the payment events they care about. Every matching event
+-- becomes one delivery per endpoint; each POST to the endpoint is logged as an attempt so merchants
+-- can see what was sent, what came back and resend a delivery by hand.
+CREATE TABLE IF NOT EXISTS merchant_webhook_endpoints (
+    id UUID PRIMARY KEY,
+    owner_id VARCHAR(255) NOT NULL,
+    merchant_id VARCHAR(100) NULL,
+    url TEXT NOT NULL,
+    description TEXT NULL,
+    event_types TEXT[] NOT NULL DEFAULT ARRAY['*'],
+    secret_encrypted TEXT NOT NULL,
+    secret_key_version VARCHAR(100) NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_merchant_webhook_endpoints_event_types CHECK (cardinality(event_types) > 0)
+);
+
+CREATE TABLE IF NOT EXISTS merchant_webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    endpoint_id UUID NOT NULL REFERENCES merchant_webhook_endpoints(id) ON DELETE CASCADE,
+    event_id VARCHAR(100) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_status_code INTEGER NULL,
+    last_error TEXT NULL,
+    delivered_at TIMESTAMPTZ NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_merchant_webhook_deliveries_status CHECK (status IN ('PENDING', 'SUCCEEDED', 'FAILED')),
+    CONSTRAINT chk_merchant_webhook_deliveries_attempts CHECK (attempts >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS merchant_webhook_delivery_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    delivery_id UUID NOT NULL REFERENCES merchant_webhook_deliveries(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    manual BOOLEAN NOT NULL DEFAULT false,
+    status_code INTEGER NULL,
+    succeeded BOOLEAN NOT NULL,
+    error TEXT NULL,
+    response_body TEXT NULL,
+    duration_ms INTEGER NOT NULL,
+    attempted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_merchant_webhook_delivery_attempts_attempt CHECK (attempt > 0)
+);
+
+-- One delivery per endpoint and event, so a redelivered broker message is not sent twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_merchant_webhook_deliveries_endpoint_event
+ON merchant_webhook_deliveries(endpoint_id, event_id);
+
+CREATE INDEX IF NOT EXISTS idx_merchant_webhook_endpoints_owner
+ON merchant_webhook_endpoints(owner_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_merchant_webhook_endpoints_merchant
+ON merchant_webhook_endpoints(merchant_id) WHERE merchant_id IS NOT NULL AND is_active = true;
+
+CREATE INDEX IF NOT EXISTS idx_merchant_webhook_deliveries_endpoint
+ON merchant_webhook_deliveries(endpoint_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_merchant_webhook_deliveries_pending
+ON merchant_webhook_deliveries(created_at) WHERE status = 'PENDING';
+
+CREATE INDEX IF NOT EXISTS idx_merchant_webhook_delivery_attempts_delivery
+ON merchant_webhook_delivery_attempts(delivery_id, attempted_at);
+
+DROP TRIGGER IF EXISTS update_merchant_webhook_endpoints_updated_at ON merchant_webhook_endpoints;
+CREATE TRIGGER update_merchant_webhook_endpoints_updated_at
+    BEFORE UPDATE ON merchant_webhook_endpoints
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_merchant_webhook_deliveries_updated_at ON merchant_webhook_deliveries;
+CREATE TRIGGER update_merchant_webhook_deliveries_updated_at
+    BEFORE UPDATE ON merchant_webhook_deliveries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE merchant_webhook_endpoints IS 'HTTPS endpoints merchants registered to receive payment events';
+COMMENT ON COLUMN merchant_webhook_endpoints.event_types IS 'Event types delivered to the endpoint; * for all';
+COMMENT ON COLUMN merchant_webhook_endpoints.secret_encrypted IS 'Signing secret as an envelope bound to the endpoint ID';
+COMMENT ON TABLE merchant_webhook_deliveries IS 'One event sent to one endpoint, with the outcome of its latest attempt';
+COMMENT ON TABLE merchant_webhook_delivery_attempts IS 'Every POST made for a delivery, including manual resends';
@@ -0,0 +1,46 @@
+-- Payment limits
+-- Rows override config/payment-limits.json for the same scope, subject and currency and are picked
+-- up on the next limits reload. Amounts are minor units of the row's currency; NULL means no limit.
+--   currency: min_amount / max_amount per payment
+--   user, merchant: max_amount per payment, daily_amount / monthly_amount across payments (UTC day and month)
+-- subject_id is the user or merchant ID, or '*' for the default applying to every user or merchant.
+CREATE TABLE IF NOT EXISTS payment_limits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scope VARCHAR(20) NOT NULL,
+    subject_id VARCHAR(100) NOT NULL DEFAULT '*',
+    currency CHAR(3) NOT NULL,
+    min_amount BIGINT NULL,
+    max_amount BIGINT NULL,
+    daily_amount BIGINT NULL,
+    monthly_amount BIGINT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_payment_limits_scope CHECK (scope IN ('currency', 'user', 'merchant')),
+    CONSTRAINT chk_payment_limits_currency_scope CHECK (
+        scope <> 'currency' OR (subject_id = '*' AND daily_amount IS NULL AND monthly_amount IS NULL)
+    ),
+    CONSTRAINT chk_payment_limits_min CHECK (scope = 'currency' OR min_amount IS NULL),
+    CONSTRAINT chk_payment_limits_amounts CHECK (
+        COALESCE(min_amount, 0) >= 0 AND COALESCE(max_amount, 1) > 0
+        AND COALESCE(daily_amount, 1) > 0 AND COALESCE(monthly_amount, 1) > 0
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_limits_subject
+ON payment_limits(scope, subject_id, currency);
+
+DROP TRIGGER IF EXISTS update_payment_limits_updated_at ON payment_limits;
+CREATE TRIGGER update_payment_limits_updated_at
+    BEFORE UPDATE ON payment_limits
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Merchant the payment was made to, for per-merchant ceilings
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS merchant_id VARCHAR(100) NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_merchant_created
+ON payments(merchant_id, created_at DESC) WHERE merchant_id IS NOT NULL;
+
+COMMENT ON TABLE payment_limits IS 'Per-currency amount limits and per-user and per-merchant ceilings, overriding the limits config file';
+COMMENT ON COLUMN payments.merchant_id IS 'Merchant the payment was made to; per-merchant limits apply to it';
@@ -0,0 +1,49 @@
+-- Payment links
+-- A link fixes the amount, currency, description and order details of a payment; opening
+-- /pay/:slug creates the payment and sends the customer to the gateway checkout. Payments made
+-- through a link belong to the link's creator and reference the link for usage stats.
+CREATE TABLE IF NOT EXISTS payment_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug VARCHAR(64) NOT NULL,
+    created_by VARCHAR(255) NOT NULL,
+    merchant_id VARCHAR(100) NULL,
+    amount INTEGER NOT NULL,
+    currency CHAR(3) NOT NULL,
+    description TEXT NULL,
+    order_metadata JSONB NOT NULL DEFAULT '{}',
+    customer_email VARCHAR(255) NULL,
+    single_use BOOLEAN NOT NULL DEFAULT false,
+    expires_at TIMESTAMPTZ NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    deactivated_by VARCHAR(255) NULL,
+    deactivated_at TIMESTAMPTZ NULL,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMPTZ NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_payment_links_amount CHECK (amount > 0),
+    CONSTRAINT chk_payment_links_currency CHECK (currency ~ '^[A-Z]{3}$')
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_links_slug ON payment_links(slug);
+
+CREATE INDEX IF NOT EXISTS idx_payment_links_created_by ON payment_links(created_by, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_payment_links_updated_at ON payment_links;
+CREATE TRIGGER update_payment_links_updated_at
+    BEFORE UPDATE ON payment_links
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS payment_link_id UUID NULL REFERENCES payment_links(id);
+
+CREATE INDEX IF NOT EXISTS idx_payments_payment_link
+ON payments(payment_link_id, status) WHERE payment_link_id IS NOT NULL;
+
+-- Customers paying through a link are not signed in, so their assessments have no user
+ALTER TABLE payment_risk_assessments ALTER COLUMN user_id DROP NOT NULL;
+
+COMMENT ON TABLE payment_links IS 'Shareable links that create a payment with fixed details and redirect to the gateway checkout';
+COMMENT ON COLUMN payment_links.single_use IS 'Link stops accepting payments once one of its payments has not failed or been cancelled';
+COMMENT ON COLUMN payments.payment_link_id IS 'Payment link the payment was made through';
@@ -0,0 +1,40 @@
+-- Risk assessments
+-- Every new payment is scored before it reaches the gateway. The assessment keeps the signals
+-- behind the decision and, for payments held for review, the gateway request to resume on approval
+-- and the reviewer's decision. The score and decision are also kept on the payment itself.
+CREATE TABLE IF NOT EXISTS payment_risk_assessments (
+    payment_id UUID PRIMARY KEY REFERENCES payments(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    client_ip VARCHAR(45) NULL,
+    email VARCHAR(255) NULL,
+    score SMALLINT NOT NULL,
+    decision VARCHAR(10) NOT NULL,
+    signals JSONB NOT NULL DEFAULT '[]',
+    gateway_request JSONB NULL,
+    review_status VARCHAR(20) NULL,
+    reviewed_by VARCHAR(100) NULL,
+    reviewed_at TIMESTAMPTZ NULL,
+    review_note TEXT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_payment_risk_assessments_score CHECK (score BETWEEN 0 AND 100),
+    CONSTRAINT chk_payment_risk_assessments_decision CHECK (decision IN ('allow', 'review', 'deny')),
+    CONSTRAINT chk_payment_risk_assessments_review_status CHECK (review_status IN ('PENDING', 'APPROVED', 'REJECTED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_risk_assessments_ip_created
+ON payment_risk_assessments(client_ip, created_at DESC) WHERE client_ip IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payment_risk_assessments_email_created
+ON payment_risk_assessments(email, created_at DESC) WHERE email IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payment_risk_assessments_pending_review
+ON payment_risk_assessments(created_at) WHERE review_status = 'PENDING';
+
+ALTER TABLE payments
+    ADD COLUMN IF NOT EXISTS risk_score SMALLINT NULL,
+    ADD COLUMN IF NOT EXISTS risk_decision VARCHAR(10) NULL;
+
+COMMENT ON TABLE payment_risk_assessments IS 'Risk score, signals and decision for each new payment, with the review outcome for held payments';
+COMMENT ON COLUMN payment_risk_assessments.gateway_request IS 'Gateway request of a held payment, replayed when the review approves it';
+COMMENT ON COLUMN payments.risk_decision IS 'Risk engine decision before the gateway: allow, review or deny';
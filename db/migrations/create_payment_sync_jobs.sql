@@ -0,0 +1,33 @@
+-- Durable payment status sync queue
+-- Replaces the in-memory queue in services/asyncPaymentProcessor.js so pending syncs survive restarts
+-- and are shared by every replica. Workers claim jobs with FOR UPDATE SKIP LOCKED and hold a lease
+-- (locked_until); a job whose lease expires is picked up again by another worker.
+CREATE TABLE IF NOT EXISTS payment_sync_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    idempotency_key VARCHAR(255) NOT NULL,
+    gateway VARCHAR(50) NOT NULL DEFAULT 'paystack',
+    reference VARCHAR(255) NOT NULL,
+    current_status payment_status NOT NULL DEFAULT 'PENDING',
+    status VARCHAR(20) NOT NULL DEFAULT 'QUEUED',
+    priority INTEGER NOT NULL DEFAULT 2,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    next_run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    locked_by VARCHAR(255) NULL,
+    locked_until TIMESTAMPTZ NULL,
+    last_error TEXT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    completed_at TIMESTAMPTZ NULL,
+
+    CONSTRAINT chk_payment_sync_jobs_status CHECK (status IN ('QUEUED', 'RUNNING', 'SUCCEEDED', 'DEAD')),
+    CONSTRAINT chk_payment_sync_jobs_attempts CHECK (attempts >= 0 AND max_attempts > 0)
+);
+
+-- Only one active sync job per payment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_sync_jobs_active_key
+ON payment_sync_jobs(idempotency_key)
+WHERE status IN ('QUEUED', 'RUNNING');
+
+CREATE INDEX IF NOT EXISTS idx_payment_sync_jobs_due
+ON payment_sync_jobs(status, priority, next_run_at);
@@ -0,0 +1,45 @@
+-- Settlement reconciliation runs
+-- Each run compares local payments/refunds for a period with the gateway's transaction listing
+-- and stores every record in one bucket: MATCHED, MISSING_LOCALLY, MISSING_AT_GATEWAY,
+-- AMOUNT_MISMATCH or STATUS_MISMATCH.
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    gateway VARCHAR(50) NOT NULL,
+    period_start TIMESTAMPTZ NOT NULL,
+    period_end TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'RUNNING',
+    summary JSONB NOT NULL DEFAULT '{}',
+    error TEXT NULL,
+    triggered_by VARCHAR(255) NOT NULL DEFAULT 'scheduler',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    completed_at TIMESTAMPTZ NULL,
+
+    CONSTRAINT chk_reconciliation_runs_status CHECK (status IN ('RUNNING', 'COMPLETED', 'FAILED')),
+    CONSTRAINT chk_reconciliation_runs_period CHECK (period_end > period_start)
+);
+
+CREATE TABLE IF NOT EXISTS reconciliation_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id UUID NOT NULL REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+    bucket VARCHAR(30) NOT NULL,
+    record_type VARCHAR(20) NOT NULL DEFAULT 'payment',
+    reference VARCHAR(255) NOT NULL,
+    local_id UUID NULL,
+    local_amount NUMERIC(19, 2) NULL,
+    gateway_amount NUMERIC(19, 2) NULL,
+    local_status VARCHAR(50) NULL,
+    gateway_status VARCHAR(50) NULL,
+    currency CHAR(3) NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_reconciliation_items_bucket CHECK (
+        bucket IN ('MATCHED', 'MISSING_LOCALLY', 'MISSING_AT_GATEWAY', 'AMOUNT_MISMATCH', 'STATUS_MISMATCH')
+    ),
+    CONSTRAINT chk_reconciliation_items_record_type CHECK (record_type IN ('payment', 'refund'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_gateway_period
+ON reconciliation_runs(gateway, period_start DESC);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_run_bucket
+ON reconciliation_items(run_id, bucket);
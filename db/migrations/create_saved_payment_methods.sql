@@ -0,0 +1,26 @@
+-- Saved payment methods
+-- Seeds the payment method type catalog and records which gateway issued each saved authorization,
+-- so POST /payments can charge it again without sending the customer through checkout.
+INSERT INTO payment_method_types (code, name, description, requires_brand, requires_last4) VALUES
+    ('CARD', 'Credit/Debit Card', 'Saved card authorization', true, true),
+    ('WALLET', 'Digital Wallet', 'Saved mobile money or wallet authorization', false, false),
+    ('BANK_TRANSFER', 'Bank Account', 'Saved bank account authorization', false, false)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE user_payment_methods
+    ADD COLUMN IF NOT EXISTS gateway VARCHAR(50) NOT NULL DEFAULT 'paystack',
+    ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(255) NULL,
+    ADD COLUMN IF NOT EXISTS exp_month SMALLINT NULL,
+    ADD COLUMN IF NOT EXISTS exp_year SMALLINT NULL;
+
+-- At most one active default method per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_payment_methods_one_default
+ON user_payment_methods(user_id)
+WHERE is_default AND is_active;
+
+-- Saving the same gateway authorization twice returns the existing method
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_payment_methods_fingerprint
+ON user_payment_methods(user_id, gateway, fingerprint)
+WHERE is_active AND fingerprint IS NOT NULL;
+
+COMMENT ON COLUMN user_payment_methods.fingerprint IS 'Gateway identifier of the underlying card/account (e.g. Paystack authorization signature)';
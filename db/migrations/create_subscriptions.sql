@@ -0,0 +1,81 @@
+-- Recurring billing
+-- Plans define the price and billing interval; subscriptions bill a user's saved payment method
+-- (user_payment_methods) once per period; billing_cycles records every charge owed for a period,
+-- its retries (dunning) and the payment that settled it.
+CREATE TABLE IF NOT EXISTS subscription_plans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(100) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    amount INTEGER NOT NULL,
+    currency CHAR(3) NOT NULL,
+    billing_interval VARCHAR(10) NOT NULL,
+    interval_count INTEGER NOT NULL DEFAULT 1,
+    trial_days INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_subscription_plans_amount CHECK (amount > 0),
+    CONSTRAINT chk_subscription_plans_interval CHECK (billing_interval IN ('DAY', 'WEEK', 'MONTH', 'YEAR')),
+    CONSTRAINT chk_subscription_plans_interval_count CHECK (interval_count > 0),
+    CONSTRAINT chk_subscription_plans_trial_days CHECK (trial_days >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL,
+    plan_id UUID NOT NULL REFERENCES subscription_plans(id),
+    payment_method_id UUID NOT NULL REFERENCES user_payment_methods(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE',
+    current_period_start TIMESTAMPTZ NOT NULL,
+    current_period_end TIMESTAMPTZ NOT NULL,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT false,
+    credit_balance INTEGER NOT NULL DEFAULT 0,
+    cancelled_at TIMESTAMPTZ NULL,
+    cancellation_reason TEXT NULL,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_subscriptions_status CHECK (status IN ('TRIALING', 'ACTIVE', 'PAST_DUE', 'CANCELLED')),
+    CONSTRAINT chk_subscriptions_period CHECK (current_period_end >= current_period_start),
+    CONSTRAINT chk_subscriptions_credit CHECK (credit_balance >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS billing_cycles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id),
+    plan_id UUID NOT NULL REFERENCES subscription_plans(id),
+    kind VARCHAR(20) NOT NULL DEFAULT 'RENEWAL',
+    period_start TIMESTAMPTZ NOT NULL,
+    period_end TIMESTAMPTZ NOT NULL,
+    amount INTEGER NOT NULL,
+    currency CHAR(3) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'DUE',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    due_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    payment_id UUID NULL REFERENCES payments(id),
+    last_error TEXT NULL,
+    paid_at TIMESTAMPTZ NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT chk_billing_cycles_kind CHECK (kind IN ('RENEWAL', 'PRORATION')),
+    CONSTRAINT chk_billing_cycles_status CHECK (status IN ('DUE', 'PROCESSING', 'PAID', 'FAILED', 'VOID')),
+    CONSTRAINT chk_billing_cycles_amount CHECK (amount >= 0),
+    CONSTRAINT chk_billing_cycles_period CHECK (period_end > period_start)
+);
+
+-- A period is billed once per kind, however many scheduler replicas see it come due
+CREATE UNIQUE INDEX IF NOT EXISTS idx_billing_cycles_period
+ON billing_cycles(subscription_id, kind, period_start);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user ON subscriptions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_renewal ON subscriptions(status, current_period_end);
+CREATE INDEX IF NOT EXISTS idx_billing_cycles_due ON billing_cycles(status, due_at);
+CREATE INDEX IF NOT EXISTS idx_billing_cycles_subscription ON billing_cycles(subscription_id, period_start DESC);
+
+COMMENT ON TABLE subscriptions IS 'Recurring billing of a plan against a saved payment method';
+COMMENT ON COLUMN subscriptions.credit_balance IS 'Unused value from plan downgrades, deducted from the next renewal';
+COMMENT ON TABLE billing_cycles IS 'Charges owed per subscription period (RENEWAL) or plan upgrade (PRORATION), with dunning state';
@@ -0,0 +1,21 @@
+-- Durable inbox for incoming gateway webhooks
+-- Events are stored and acknowledged immediately, then processed by workers/webhookProcessor.js.
+-- The unique (provider, event_id) pair drops redelivered events.
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'RECEIVED',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT NULL,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    processed_at TIMESTAMPTZ NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT uq_webhook_events_provider_event UNIQUE (provider, event_id),
+    CONSTRAINT chk_webhook_events_status CHECK (status IN ('RECEIVED', 'PROCESSING', 'PROCESSED', 'FAILED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status_received ON webhook_events(status, received_at);
@@ -0,0 +1,50 @@
+-- Let the application attach a reason and actor to trigger-written payment history entries.
+-- Set them for the current transaction before updating the payment:
+--   SELECT set_config('payment.change_reason', 'Cancelled by customer', true),
+--          set_config('payment.changed_by', '<user id>', true);
+-- changed_by is a UUID column, so non-UUID actors are kept in metadata.changed_by only.
+CREATE OR REPLACE FUNCTION create_payment_history_entry()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_change_reason TEXT := NULLIF(trim(current_setting('payment.change_reason', true)), '');
+    v_changed_by TEXT := NULLIF(trim(current_setting('payment.changed_by', true)), '');
+BEGIN
+    -- Only create history entry if status changed
+    IF OLD.status IS DISTINCT FROM NEW.status THEN
+        INSERT INTO payment_history (
+            payment_id,
+            status,
+            previous_status,
+            changed_by,
+            change_reason,
+            metadata
+        ) VALUES (
+            NEW.id,
+            NEW.status,
+            OLD.status,
+            CASE
+                WHEN v_changed_by ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+                THEN v_changed_by::uuid
+            END,
+            COALESCE(v_change_reason, 'Status changed from ' || OLD.status || ' to ' || NEW.status),
+            jsonb_build_object(
+                'old_status', OLD.status,
+                'new_status', NEW.status,
+                'updated_at', NEW.updated_at,
+                'changed_by', v_changed_by,
+                'payment_details', jsonb_build_object(
+                    'user_id', NEW.user_id,
+                    'order_id', NEW.order_id,
+                    'amount', NEW.amount,
+                    'currency', NEW.currency,
+                    'payment_method_id', NEW.payment_method_id,
+                    'idempotency_key', NEW.idempotency_key
+                ),
+                'order_details', COALESCE(NEW.gateway_response->'metadata'->'order', '{}'::jsonb),
+                'user_details', COALESCE(NEW.gateway_response->'metadata'->'user', '{}'::jsonb)
+            )
+        );
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,122 @@
+-- Scope idempotency keys to their owner
+-- Keys are picked by callers, so two callers may pick the same one. Payment keys are unique per
+-- idempotency_scope (the principal that created the payment, 'user:<id>' or 'service:<api key id>');
+-- refund keys are unique per payment, and a FAILED refund gives its key up so the refund can be retried.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS idempotency_scope VARCHAR(300) NULL;
+
+UPDATE payments
+SET idempotency_scope = 'user:' || user_id
+WHERE idempotency_key IS NOT NULL AND idempotency_scope IS NULL;
+
+DROP INDEX IF EXISTS idx_payments_idempotency_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_idempotency_scope_key
+ON payments(idempotency_scope, idempotency_key)
+WHERE idempotency_key IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_refunds_idempotency_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_payment_idempotency_key
+ON refunds(payment_id, idempotency_key)
+WHERE idempotency_key IS NOT NULL AND status <> 'FAILED';
+
+COMMENT ON COLUMN payments.idempotency_scope IS 'Principal the idempotency key belongs to (user:<id> or service:<api key id>); keys are unique per scope';
+COMMENT ON COLUMN refunds.idempotency_key IS 'Key for idempotent refund requests, unique per payment among refunds that have not FAILED';
+
+-- create_payment_with_history looks keys up within the caller's scope
+DROP FUNCTION IF EXISTS create_payment_with_history(VARCHAR, VARCHAR, INTEGER, CHAR, JSONB, VARCHAR, BOOLEAN, JSONB);
+
+CREATE OR REPLACE FUNCTION create_payment_with_history(
+    p_user_id VARCHAR(255),
+    p_order_id VARCHAR(255),
+    p_amount INTEGER,
+    p_currency CHAR(3),
+    p_gateway_response JSONB DEFAULT '{}',
+    p_idempotency_key VARCHAR(255) DEFAULT NULL,
+    p_retry BOOLEAN DEFAULT FALSE,
+    p_metadata JSONB DEFAULT '{}',
+    p_idempotency_scope VARCHAR(300) DEFAULT NULL
+) RETURNS TABLE(
+    payment_id UUID,
+    status payment_status,
+    created_at TIMESTAMPTZ,
+    success BOOLEAN,
+    error_message TEXT
+) AS $$
+DECLARE
+    new_payment_id UUID;
+    payment_status payment_status := 'PENDING';
+    payment_created_at TIMESTAMPTZ;
+    key_scope VARCHAR(300);
+    existing_id UUID;
+    existing_status payment_status;
+    existing_created_at TIMESTAMPTZ;
+    error_msg TEXT;
+BEGIN
+    -- Validate input parameters
+    IF p_user_id IS NULL THEN
+        RETURN QUERY SELECT NULL::UUID, NULL::payment_status, NULL::TIMESTAMPTZ, FALSE, 'User ID is required'::TEXT;
+        RETURN;
+    END IF;
+
+    IF p_order_id IS NULL OR length(trim(p_order_id)) = 0 THEN
+        RETURN QUERY SELECT NULL::UUID, NULL::payment_status, NULL::TIMESTAMPTZ, FALSE, 'Order ID is required'::TEXT;
+        RETURN;
+    END IF;
+
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RETURN QUERY SELECT NULL::UUID, NULL::payment_status, NULL::TIMESTAMPTZ, FALSE, 'Amount must be greater than 0'::TEXT;
+        RETURN;
+    END IF;
+
+    IF p_currency IS NULL OR length(p_currency) != 3 THEN
+        RETURN QUERY SELECT NULL::UUID, NULL::payment_status, NULL::TIMESTAMPTZ, FALSE, 'Currency must be 3 characters'::TEXT;
+        RETURN;
+    END IF;
+
+    -- Callers that don't name a scope (billing, payment links) own their keys as the paying user
+    key_scope := CASE WHEN p_idempotency_key IS NULL THEN NULL
+                      ELSE COALESCE(p_idempotency_scope, 'user:' || p_user_id) END;
+
+    -- Check for a duplicate idempotency key within the scope
+    IF p_idempotency_key IS NOT NULL THEN
+        SELECT p.id, p.status, p.created_at INTO existing_id, existing_status, existing_created_at
+        FROM payments p
+        WHERE p.idempotency_scope = key_scope AND p.idempotency_key = p_idempotency_key;
+
+        IF FOUND THEN
+            -- If retry is requested, return existing payment
+            IF p_retry THEN
+                RETURN QUERY SELECT existing_id, existing_status, existing_created_at, TRUE, 'Payment already exists'::TEXT;
+                RETURN;
+            ELSE
+                -- If not retry, return error
+                RETURN QUERY SELECT NULL::UUID, NULL::payment_status, NULL::TIMESTAMPTZ, FALSE, 'Payment already exists'::TEXT;
+                RETURN;
+            END IF;
+        END IF;
+    END IF;
+
+    BEGIN
+        -- Insert payment
+        INSERT INTO payments (
+            user_id, order_id, amount, currency, status,
+            gateway_response, idempotency_key, idempotency_scope, metadata
+        ) VALUES (
+            p_user_id, p_order_id, p_amount, p_currency, payment_status,
+            p_gateway_response, p_idempotency_key, key_scope, p_metadata
+        ) RETURNING id, created_at INTO new_payment_id, payment_created_at;
+
+        -- Insert payment history entry
+        INSERT INTO payment_history (
+            payment_id, status, metadata
+        ) VALUES (
+            new_payment_id, payment_status, p_metadata
+        );
+
+        RETURN QUERY SELECT new_payment_id, payment_status, payment_created_at, TRUE, NULL::TEXT;
+
+    EXCEPTION WHEN OTHERS THEN
+        error_msg := SQLERRM;
+        RETURN QUERY SELECT NULL::UUID, NULL::payment_status, NULL::TIMESTAMPTZ, FALSE, error_msg;
+    END;
+END;
+$$ LANGUAGE plpgsql;
@@ -793,9 +793,14 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Function to get payment summary with refund information
--- This function is replica-safe and provides comprehensive payment information
+-- This function is replica-safe and provides comprehensive payment information.
+-- Amounts are also given in p_reporting_currency (default USD) so summaries of payments in
+-- different currencies can be added up; the stored settlement amount is used when it is already
+-- in that currency, otherwise the rate in effect when the payment was made.
+DROP FUNCTION IF EXISTS get_payment_summary(UUID);
 CREATE OR REPLACE FUNCTION get_payment_summary(
-    p_payment_id UUID
+    p_payment_id UUID,
+    p_reporting_currency CHAR(3) DEFAULT 'USD'
 ) RETURNS TABLE(
     payment_id UUID,
     user_id VARCHAR(255),
@@ -806,6 +811,11 @@ CREATE OR REPLACE FUNCTION get_payment_summary(
     total_refunded INTEGER,
     available_for_refund INTEGER,
     refund_count INTEGER,
+    settlement_amount INTEGER,
+    settlement_currency CHAR(3),
+    reporting_currency CHAR(3),
+    reporting_amount BIGINT,
+    reporting_refunded BIGINT,
     created_at TIMESTAMPTZ,
     updated_at TIMESTAMPTZ,
     found BOOLEAN
@@ -814,6 +824,7 @@ DECLARE
     payment_record RECORD;
     total_refunded INTEGER;
     refund_count INTEGER;
+    v_reporting_amount BIGINT;
 BEGIN
     -- Get payment information
     SELECT * INTO payment_record
@@ -824,6 +835,7 @@ BEGIN
         RETURN QUERY SELECT 
             NULL::UUID, NULL::UUID, NULL::VARCHAR(255), NULL::INTEGER, NULL::CHAR(3),
             NULL::payment_status, NULL::INTEGER, NULL::INTEGER, NULL::INTEGER,
+            NULL::INTEGER, NULL::CHAR(3), p_reporting_currency, NULL::BIGINT, NULL::BIGINT,
             NULL::TIMESTAMPTZ, NULL::TIMESTAMPTZ, FALSE;
         RETURN;
     END IF;
@@ -836,6 +848,13 @@ BEGIN
         FROM refunds
         WHERE payment_id = p_payment_id AND status = 'SUCCEEDED';
     
+    -- Amount in the reporting currency (NULL when no rate is known)
+    IF payment_record.settlement_currency = p_reporting_currency THEN
+        v_reporting_amount := payment_record.settlement_amount;
+    ELSE
+        v_reporting_amount := fx_convert(payment_record.amount, payment_record.currency, p_reporting_currency, payment_record.created_at);
+    END IF;
+    
     RETURN QUERY SELECT 
         payment_record.id,
         payment_record.user_id,
@@ -846,6 +865,13 @@ BEGIN
         total_refunded,
         payment_record.amount - total_refunded,
         refund_count,
+        payment_record.settlement_amount,
+        payment_record.settlement_currency,
+        p_reporting_currency,
+        v_reporting_amount,
+        CASE WHEN payment_record.amount > 0
+            THEN round(v_reporting_amount::NUMERIC * total_refunded / payment_record.amount)::BIGINT
+        END,
         payment_record.created_at,
         payment_record.updated_at,
         TRUE;
@@ -907,4 +933,4 @@ COMMENT ON FUNCTION get_refund_by_id IS 'Safely retrieves refund by ID from main
 COMMENT ON FUNCTION get_refunds_by_payment IS 'Safely retrieves paginated refunds for a payment';
 COMMENT ON FUNCTION update_refund_status IS 'Updates refund status atomically';
 COMMENT ON FUNCTION can_refund_payment IS 'Validates if a payment can be refunded';
-COMMENT ON FUNCTION get_payment_summary IS 'Gets comprehensive payment summary with refund information';
+COMMENT ON FUNCTION get_payment_summary IS 'Gets comprehensive payment summary with refund information, also in a reporting currency';
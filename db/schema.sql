@@ -10,6 +10,7 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 -- Create custom types
 CREATE TYPE payment_status AS ENUM (
     'PENDING',
+    'UNDER_REVIEW',
     'AUTHORIZED', 
     'SUCCEEDED',
     'FAILED',
@@ -46,6 +47,12 @@ CREATE TABLE payment_method_types (
     updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
+-- Types saved payment methods are filed under
+INSERT INTO payment_method_types (code, name, description, requires_brand, requires_last4) VALUES
+    ('CARD', 'Credit/Debit Card', 'Saved card authorization', true, true),
+    ('WALLET', 'Digital Wallet', 'Saved mobile money or wallet authorization', false, false),
+    ('BANK_TRANSFER', 'Bank Account', 'Saved bank account authorization', false, false);
+
 -- =============================================
 -- USER PAYMENT METHODS TABLE (User's Saved Methods)
 -- =============================================
@@ -55,9 +62,14 @@ CREATE TABLE user_payment_methods (
     payment_method_type_id UUID NOT NULL REFERENCES payment_method_types(id),
     brand VARCHAR(50) NULL, -- e.g., VISA, MASTERCARD
     last4 VARCHAR(4) NULL, -- last 4 digits of card number
-    details_encrypted TEXT NOT NULL, -- KMS-managed encrypted details
+    details_encrypted TEXT NOT NULL, -- AES-256-GCM envelope, data key wrapped by the key provider
+    details_key_version VARCHAR(255) NULL, -- key version that wrapped the data key
     is_default BOOLEAN NOT NULL DEFAULT false,
     is_active BOOLEAN NOT NULL DEFAULT true,
+    gateway VARCHAR(50) NOT NULL DEFAULT 'paystack', -- gateway that issued the saved authorization
+    fingerprint VARCHAR(255) NULL, -- gateway identifier of the underlying card/account
+    exp_month SMALLINT NULL,
+    exp_year SMALLINT NULL,
     created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
     
@@ -70,6 +82,34 @@ CREATE TABLE user_payment_methods (
     )
 );
 
+-- =============================================
+-- PAYMENT LINKS TABLE (Shareable checkout links)
+-- =============================================
+CREATE TABLE payment_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug VARCHAR(64) NOT NULL, -- public part of the /pay/:slug URL
+    created_by VARCHAR(255) NOT NULL, -- owns the payments made through the link
+    merchant_id VARCHAR(100) NULL,
+    amount INTEGER NOT NULL,
+    currency CHAR(3) NOT NULL,
+    description TEXT NULL,
+    order_metadata JSONB NOT NULL DEFAULT '{}',
+    customer_email VARCHAR(255) NULL, -- customers are asked for an email when not set
+    single_use BOOLEAN NOT NULL DEFAULT false,
+    expires_at TIMESTAMPTZ NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    deactivated_by VARCHAR(255) NULL,
+    deactivated_at TIMESTAMPTZ NULL,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMPTZ NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_payment_links_amount CHECK (amount > 0),
+    CONSTRAINT chk_payment_links_currency CHECK (currency ~ '^[A-Z]{3}$')
+);
+
 -- =============================================
 -- PAYMENTS TABLE
 -- =============================================
@@ -81,8 +121,21 @@ CREATE TABLE payments (
     currency CHAR(3) NOT NULL,
     status payment_status NOT NULL DEFAULT 'PENDING',
     payment_method_id UUID NULL REFERENCES user_payment_methods(id),
+    gateway VARCHAR(50) NOT NULL DEFAULT 'paystack', -- gateway adapter that processed the payment
     gateway_response JSONB NOT NULL DEFAULT '{}',
     idempotency_key VARCHAR(255) NULL,
+    idempotency_scope VARCHAR(300) NULL, -- principal the key belongs to: user:<id> or service:<api key id>
+    capture_method VARCHAR(20) NOT NULL DEFAULT 'automatic', -- 'manual' holds funds at AUTHORIZED until captured
+    captured_amount INTEGER NULL, -- set on capture; may be less than amount
+    authorization_expires_at TIMESTAMPTZ NULL, -- uncaptured authorizations are voided after this
+    settlement_amount INTEGER NULL,
+    settlement_currency CHAR(3) NULL,
+    fx_rate NUMERIC(24, 12) NULL,
+    fx_rate_effective_at TIMESTAMPTZ NULL,
+    merchant_id VARCHAR(100) NULL, -- per-merchant limits apply to it
+    risk_score SMALLINT NULL,
+    risk_decision VARCHAR(10) NULL, -- allow, review or deny
+    payment_link_id UUID NULL REFERENCES payment_links(id),
     created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
     
@@ -91,6 +144,10 @@ CREATE TABLE payments (
     CONSTRAINT chk_payments_currency CHECK (currency ~ '^[A-Z]{3}$'),
     CONSTRAINT chk_payments_idempotency_key CHECK (
         idempotency_key IS NULL OR length(idempotency_key) > 0
+    ),
+    CONSTRAINT chk_payments_capture_method CHECK (capture_method IN ('automatic', 'manual')),
+    CONSTRAINT chk_payments_captured_amount CHECK (
+        captured_amount IS NULL OR (captured_amount > 0 AND captured_amount <= amount)
     )
 );
 
@@ -137,18 +194,505 @@ CREATE TABLE refunds (
     )
 );
 
+-- =============================================
+-- WEBHOOK EVENTS TABLE (Inbox)
+-- =============================================
+CREATE TABLE webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL, -- provider event ID, used for deduplication
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'RECEIVED',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT NULL,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    processed_at TIMESTAMPTZ NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT uq_webhook_events_provider_event UNIQUE (provider, event_id),
+    CONSTRAINT chk_webhook_events_status CHECK (status IN ('RECEIVED', 'PROCESSING', 'PROCESSED', 'FAILED'))
+);
+
+-- =============================================
+-- PAYMENT SYNC JOBS TABLE (Durable sync queue)
+-- =============================================
+CREATE TABLE payment_sync_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    idempotency_key VARCHAR(255) NOT NULL,
+    gateway VARCHAR(50) NOT NULL DEFAULT 'paystack',
+    reference VARCHAR(255) NOT NULL, -- reference the gateway knows the payment by
+    current_status payment_status NOT NULL DEFAULT 'PENDING',
+    status VARCHAR(20) NOT NULL DEFAULT 'QUEUED',
+    priority INTEGER NOT NULL DEFAULT 2,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    next_run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    locked_by VARCHAR(255) NULL,
+    locked_until TIMESTAMPTZ NULL, -- lease; expired leases are reclaimed
+    last_error TEXT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    completed_at TIMESTAMPTZ NULL,
+    
+    -- Constraints
+    CONSTRAINT chk_payment_sync_jobs_status CHECK (status IN ('QUEUED', 'RUNNING', 'SUCCEEDED', 'DEAD')),
+    CONSTRAINT chk_payment_sync_jobs_attempts CHECK (attempts >= 0 AND max_attempts > 0)
+);
+
+-- =============================================
+-- RECONCILIATION RUNS TABLES (Settlement reconciliation)
+-- =============================================
+CREATE TABLE reconciliation_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    gateway VARCHAR(50) NOT NULL,
+    period_start TIMESTAMPTZ NOT NULL,
+    period_end TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'RUNNING',
+    summary JSONB NOT NULL DEFAULT '{}', -- item counts per bucket
+    error TEXT NULL,
+    triggered_by VARCHAR(255) NOT NULL DEFAULT 'scheduler',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    completed_at TIMESTAMPTZ NULL,
+    
+    -- Constraints
+    CONSTRAINT chk_reconciliation_runs_status CHECK (status IN ('RUNNING', 'COMPLETED', 'FAILED')),
+    CONSTRAINT chk_reconciliation_runs_period CHECK (period_end > period_start)
+);
+
+CREATE TABLE reconciliation_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id UUID NOT NULL REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+    bucket VARCHAR(30) NOT NULL,
+    record_type VARCHAR(20) NOT NULL DEFAULT 'payment',
+    reference VARCHAR(255) NOT NULL,
+    local_id UUID NULL,
+    local_amount NUMERIC(19, 2) NULL,
+    gateway_amount NUMERIC(19, 2) NULL,
+    local_status VARCHAR(50) NULL,
+    gateway_status VARCHAR(50) NULL,
+    currency CHAR(3) NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_reconciliation_items_bucket CHECK (
+        bucket IN ('MATCHED', 'MISSING_LOCALLY', 'MISSING_AT_GATEWAY', 'AMOUNT_MISMATCH', 'STATUS_MISMATCH')
+    ),
+    CONSTRAINT chk_reconciliation_items_record_type CHECK (record_type IN ('payment', 'refund'))
+);
+
+-- =============================================
+-- SUBSCRIPTION TABLES (Recurring billing)
+-- =============================================
+CREATE TABLE subscription_plans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(100) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    amount INTEGER NOT NULL, -- price per billing period
+    currency CHAR(3) NOT NULL,
+    billing_interval VARCHAR(10) NOT NULL, -- DAY, WEEK, MONTH or YEAR
+    interval_count INTEGER NOT NULL DEFAULT 1, -- e.g. 3 with MONTH bills quarterly
+    trial_days INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_subscription_plans_amount CHECK (amount > 0),
+    CONSTRAINT chk_subscription_plans_interval CHECK (billing_interval IN ('DAY', 'WEEK', 'MONTH', 'YEAR')),
+    CONSTRAINT chk_subscription_plans_interval_count CHECK (interval_count > 0),
+    CONSTRAINT chk_subscription_plans_trial_days CHECK (trial_days >= 0)
+);
+
+CREATE TABLE subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL,
+    plan_id UUID NOT NULL REFERENCES subscription_plans(id),
+    payment_method_id UUID NOT NULL REFERENCES user_payment_methods(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE',
+    current_period_start TIMESTAMPTZ NOT NULL,
+    current_period_end TIMESTAMPTZ NOT NULL, -- next renewal is due at this time
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT false,
+    credit_balance INTEGER NOT NULL DEFAULT 0, -- unused value from downgrades, deducted from the next renewal
+    cancelled_at TIMESTAMPTZ NULL,
+    cancellation_reason TEXT NULL,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_subscriptions_status CHECK (status IN ('TRIALING', 'ACTIVE', 'PAST_DUE', 'CANCELLED')),
+    CONSTRAINT chk_subscriptions_period CHECK (current_period_end >= current_period_start),
+    CONSTRAINT chk_subscriptions_credit CHECK (credit_balance >= 0)
+);
+
+CREATE TABLE billing_cycles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id),
+    plan_id UUID NOT NULL REFERENCES subscription_plans(id), -- plan paid for (the new plan for PRORATION)
+    kind VARCHAR(20) NOT NULL DEFAULT 'RENEWAL',
+    period_start TIMESTAMPTZ NOT NULL,
+    period_end TIMESTAMPTZ NOT NULL,
+    amount INTEGER NOT NULL,
+    currency CHAR(3) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'DUE',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    due_at TIMESTAMPTZ NOT NULL DEFAULT now(), -- next charge attempt
+    payment_id UUID NULL REFERENCES payments(id), -- latest charge attempt
+    last_error TEXT NULL,
+    paid_at TIMESTAMPTZ NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_billing_cycles_kind CHECK (kind IN ('RENEWAL', 'PRORATION')),
+    CONSTRAINT chk_billing_cycles_status CHECK (status IN ('DUE', 'PROCESSING', 'PAID', 'FAILED', 'VOID')),
+    CONSTRAINT chk_billing_cycles_amount CHECK (amount >= 0),
+    CONSTRAINT chk_billing_cycles_period CHECK (period_end > period_start)
+);
+
+-- =============================================
+-- FX RATES TABLE (Exchange rate snapshots)
+-- =============================================
+CREATE TABLE fx_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    base_currency CHAR(3) NOT NULL,
+    quote_currency CHAR(3) NOT NULL,
+    rate NUMERIC(24, 12) NOT NULL, -- units of quote_currency per 1 base_currency
+    effective_at TIMESTAMPTZ NOT NULL,
+    source VARCHAR(50) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_fx_rates_rate CHECK (rate > 0),
+    CONSTRAINT chk_fx_rates_pair CHECK (base_currency <> quote_currency)
+);
+
+-- =============================================
+-- PAYMENT LIMITS TABLE (Overrides config/payment-limits.json)
+-- =============================================
+CREATE TABLE payment_limits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scope VARCHAR(20) NOT NULL, -- currency, user or merchant
+    subject_id VARCHAR(100) NOT NULL DEFAULT '*', -- user or merchant ID; '*' applies to all
+    currency CHAR(3) NOT NULL,
+    min_amount BIGINT NULL,
+    max_amount BIGINT NULL,
+    daily_amount BIGINT NULL,
+    monthly_amount BIGINT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_payment_limits_scope CHECK (scope IN ('currency', 'user', 'merchant')),
+    CONSTRAINT chk_payment_limits_currency_scope CHECK (
+        scope <> 'currency' OR (subject_id = '*' AND daily_amount IS NULL AND monthly_amount IS NULL)
+    ),
+    CONSTRAINT chk_payment_limits_min CHECK (scope = 'currency' OR min_amount IS NULL),
+    CONSTRAINT chk_payment_limits_amounts CHECK (
+        COALESCE(min_amount, 0) >= 0 AND COALESCE(max_amount, 1) > 0
+        AND COALESCE(daily_amount, 1) > 0 AND COALESCE(monthly_amount, 1) > 0
+    )
+);
+
+-- =============================================
+-- PAYMENT RISK ASSESSMENTS TABLE (Risk scoring and reviews)
+-- =============================================
+CREATE TABLE payment_risk_assessments (
+    payment_id UUID PRIMARY KEY REFERENCES payments(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NULL, -- NULL for customers paying through a payment link
+    client_ip VARCHAR(45) NULL,
+    email VARCHAR(255) NULL,
+    score SMALLINT NOT NULL,
+    decision VARCHAR(10) NOT NULL,
+    signals JSONB NOT NULL DEFAULT '[]',
+    gateway_request JSONB NULL, -- replayed when a held payment is approved
+    review_status VARCHAR(20) NULL,
+    reviewed_by VARCHAR(100) NULL,
+    reviewed_at TIMESTAMPTZ NULL,
+    review_note TEXT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_payment_risk_assessments_score CHECK (score BETWEEN 0 AND 100),
+    CONSTRAINT chk_payment_risk_assessments_decision CHECK (decision IN ('allow', 'review', 'deny')),
+    CONSTRAINT chk_payment_risk_assessments_review_status CHECK (review_status IN ('PENDING', 'APPROVED', 'REJECTED'))
+);
+
+-- =============================================
+-- INVOICES TABLES (Invoices, line items, taxes and payment allocations)
+-- =============================================
+CREATE TABLE invoice_number_sequences (
+    merchant_key VARCHAR(100) PRIMARY KEY, -- merchant ID, or * for invoices without a merchant
+    last_number INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    number VARCHAR(50) NULL, -- assigned when finalized
+    user_id VARCHAR(255) NOT NULL,
+    merchant_id VARCHAR(100) NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'DRAFT',
+    currency CHAR(3) NOT NULL,
+    subtotal_amount INTEGER NOT NULL DEFAULT 0,
+    tax_amount INTEGER NOT NULL DEFAULT 0,
+    total_amount INTEGER NOT NULL DEFAULT 0,
+    amount_paid INTEGER NOT NULL DEFAULT 0,
+    customer_email VARCHAR(255) NULL,
+    customer_name VARCHAR(255) NULL,
+    memo TEXT NULL,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    due_at TIMESTAMPTZ NULL,
+    issued_at TIMESTAMPTZ NULL,
+    paid_at TIMESTAMPTZ NULL,
+    voided_at TIMESTAMPTZ NULL,
+    void_reason TEXT NULL,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_invoices_status CHECK (status IN ('DRAFT', 'OPEN', 'PAID', 'VOID')),
+    CONSTRAINT chk_invoices_currency CHECK (currency ~ '^[A-Z]{3}$'),
+    CONSTRAINT chk_invoices_amounts CHECK (
+        subtotal_amount >= 0 AND tax_amount >= 0 AND total_amount = subtotal_amount + tax_amount
+    ),
+    CONSTRAINT chk_invoices_amount_paid CHECK (amount_paid >= 0 AND amount_paid <= total_amount),
+    CONSTRAINT chk_invoices_number CHECK (status = 'DRAFT' OR status = 'VOID' OR number IS NOT NULL)
+);
+
+CREATE TABLE invoice_line_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    description VARCHAR(500) NOT NULL,
+    quantity INTEGER NOT NULL,
+    unit_amount INTEGER NOT NULL,
+    amount INTEGER NOT NULL,
+    taxable BOOLEAN NOT NULL DEFAULT true,
+    
+    -- Constraints
+    CONSTRAINT chk_invoice_line_items_quantity CHECK (quantity > 0),
+    CONSTRAINT chk_invoice_line_items_unit_amount CHECK (unit_amount >= 0),
+    CONSTRAINT chk_invoice_line_items_amount CHECK (amount = quantity * unit_amount)
+);
+
+CREATE TABLE invoice_tax_lines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    rate_bps INTEGER NOT NULL, -- 750 = 7.5%
+    taxable_amount INTEGER NOT NULL,
+    amount INTEGER NOT NULL,
+    
+    -- Constraints
+    CONSTRAINT chk_invoice_tax_lines_rate CHECK (rate_bps >= 0 AND rate_bps <= 10000),
+    CONSTRAINT chk_invoice_tax_lines_amount CHECK (amount >= 0 AND taxable_amount >= 0)
+);
+
+CREATE TABLE invoice_payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id),
+    payment_id UUID NOT NULL REFERENCES payments(id),
+    amount INTEGER NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'PENDING', -- APPLIED once the payment is collected
+    applied_at TIMESTAMPTZ NULL,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_invoice_payments_amount CHECK (amount > 0),
+    CONSTRAINT chk_invoice_payments_status CHECK (status IN ('PENDING', 'APPLIED', 'FAILED'))
+);
+
+-- =============================================
+-- MERCHANT WEBHOOKS TABLES (Endpoints, deliveries and delivery attempts)
+-- =============================================
+CREATE TABLE merchant_webhook_endpoints (
+    id UUID PRIMARY KEY, -- generated by the service so the secret envelope can be bound to it
+    owner_id VARCHAR(255) NOT NULL,
+    merchant_id VARCHAR(100) NULL,
+    url TEXT NOT NULL,
+    description TEXT NULL,
+    event_types TEXT[] NOT NULL DEFAULT ARRAY['*'], -- * for all event types
+    secret_encrypted TEXT NOT NULL,
+    secret_key_version VARCHAR(100) NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_merchant_webhook_endpoints_event_types CHECK (cardinality(event_types) > 0)
+);
+
+CREATE TABLE merchant_webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    endpoint_id UUID NOT NULL REFERENCES merchant_webhook_endpoints(id) ON DELETE CASCADE,
+    event_id VARCHAR(100) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_status_code INTEGER NULL,
+    last_error TEXT NULL,
+    delivered_at TIMESTAMPTZ NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_merchant_webhook_deliveries_status CHECK (status IN ('PENDING', 'SUCCEEDED', 'FAILED')),
+    CONSTRAINT chk_merchant_webhook_deliveries_attempts CHECK (attempts >= 0)
+);
+
+CREATE TABLE merchant_webhook_delivery_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    delivery_id UUID NOT NULL REFERENCES merchant_webhook_deliveries(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    manual BOOLEAN NOT NULL DEFAULT false,
+    status_code INTEGER NULL,
+    succeeded BOOLEAN NOT NULL,
+    error TEXT NULL,
+    response_body TEXT NULL,
+    duration_ms INTEGER NOT NULL,
+    attempted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_merchant_webhook_delivery_attempts_attempt CHECK (attempt > 0)
+);
+
+-- =============================================
+-- API KEYS TABLE (Service-to-service callers)
+-- =============================================
+CREATE TABLE api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    prefix VARCHAR(32) NOT NULL,
+    key_hash CHAR(64) NOT NULL,
+    scopes TEXT[] NOT NULL,
+    allowed_ips TEXT[] NULL,
+    expires_at TIMESTAMPTZ NULL,
+    last_used_at TIMESTAMPTZ NULL,
+    last_used_ip VARCHAR(45) NULL,
+    created_by VARCHAR(255) NOT NULL,
+    rotated_from UUID NULL REFERENCES api_keys(id),
+    revoked_at TIMESTAMPTZ NULL,
+    revoked_by VARCHAR(255) NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    
+    -- Constraints
+    CONSTRAINT chk_api_keys_scopes CHECK (cardinality(scopes) > 0)
+);
+
+-- =============================================
+-- IDEMPOTENCY RECORDS TABLE (Recorded responses per Idempotency-Key)
+-- =============================================
+CREATE TABLE idempotency_records (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    principal_type VARCHAR(20) NOT NULL,
+    principal_id VARCHAR(255) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_method VARCHAR(10) NOT NULL,
+    request_path TEXT NOT NULL,
+    request_fingerprint CHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'IN_PROGRESS',
+    lock_token UUID NULL,
+    locked_until TIMESTAMPTZ NULL,
+    response_status_code INTEGER NULL,
+    response_headers JSONB NULL,
+    response_body BYTEA NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    completed_at TIMESTAMPTZ NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    
+    -- Constraints
+    CONSTRAINT chk_idempotency_records_status CHECK (status IN ('IN_PROGRESS', 'COMPLETED'))
+);
+
+-- =============================================
+-- DATA MIGRATIONS TABLE (One-off conversions)
+-- =============================================
+CREATE TABLE data_migrations (
+    name VARCHAR(100) PRIMARY KEY,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- =============================================
+-- CURRENCY EXPONENTS TABLE (Seeded from config/currencies.js)
+-- =============================================
+CREATE TABLE currency_exponents (
+    code CHAR(3) PRIMARY KEY,
+    exponent SMALLINT NOT NULL CHECK (exponent BETWEEN 0 AND 4)
+);
+
 -- =============================================
 -- UNIQUE CONSTRAINTS
 -- =============================================
 
--- Ensure idempotency keys are unique when present
-CREATE UNIQUE INDEX idx_payments_idempotency_key 
-ON payments(idempotency_key) 
+-- Idempotency keys are unique per owner: payments per scope, refunds per payment (FAILED refunds give theirs up)
+CREATE UNIQUE INDEX idx_payments_idempotency_scope_key
+ON payments(idempotency_scope, idempotency_key)
 WHERE idempotency_key IS NOT NULL;
 
-CREATE UNIQUE INDEX idx_refunds_idempotency_key 
-ON refunds(idempotency_key) 
-WHERE idempotency_key IS NOT NULL;
+CREATE UNIQUE INDEX idx_refunds_payment_idempotency_key
+ON refunds(payment_id, idempotency_key)
+WHERE idempotency_key IS NOT NULL AND status <> 'FAILED';
+
+-- Only one active sync job per payment
+CREATE UNIQUE INDEX idx_payment_sync_jobs_active_key 
+ON payment_sync_jobs(idempotency_key) 
+WHERE status IN ('QUEUED', 'RUNNING');
+
+-- At most one active default payment method per user
+CREATE UNIQUE INDEX idx_user_payment_methods_one_default
+ON user_payment_methods(user_id)
+WHERE is_default AND is_active;
+
+-- Saving the same gateway authorization twice returns the existing method
+CREATE UNIQUE INDEX idx_user_payment_methods_fingerprint
+ON user_payment_methods(user_id, gateway, fingerprint)
+WHERE is_active AND fingerprint IS NOT NULL;
+
+-- A subscription period is billed once per kind
+CREATE UNIQUE INDEX idx_billing_cycles_period
+ON billing_cycles(subscription_id, kind, period_start);
+
+-- One rate per pair and effective time
+CREATE UNIQUE INDEX idx_fx_rates_pair_effective
+ON fx_rates(base_currency, quote_currency, effective_at);
+
+-- One limit entry per scope, subject and currency
+CREATE UNIQUE INDEX idx_payment_limits_subject
+ON payment_limits(scope, subject_id, currency);
+
+-- Payment link slugs resolve to one link
+CREATE UNIQUE INDEX idx_payment_links_slug
+ON payment_links(slug);
+
+-- Invoice numbers are unique per merchant
+CREATE UNIQUE INDEX idx_invoices_merchant_number
+ON invoices(COALESCE(merchant_id, ''), number)
+WHERE number IS NOT NULL;
+
+-- A payment is allocated to an invoice once
+CREATE UNIQUE INDEX idx_invoice_payments_invoice_payment
+ON invoice_payments(invoice_id, payment_id);
+
+-- An event is delivered to an endpoint once
+CREATE UNIQUE INDEX idx_merchant_webhook_deliveries_endpoint_event
+ON merchant_webhook_deliveries(endpoint_id, event_id);
+
+-- Keys are looked up by their public prefix
+CREATE UNIQUE INDEX idx_api_keys_prefix ON api_keys(prefix);
+
+-- One record per principal and Idempotency-Key
+CREATE UNIQUE INDEX idx_idempotency_records_principal_key
+ON idempotency_records(principal_type, principal_id, idempotency_key);
 
 -- =============================================
 -- INDEXES FOR PERFORMANCE
@@ -163,11 +707,65 @@ CREATE INDEX idx_user_payment_methods_user_id ON user_payment_methods(user_id);
 CREATE INDEX idx_user_payment_methods_user_default ON user_payment_methods(user_id, is_default DESC, created_at DESC);
 CREATE INDEX idx_user_payment_methods_type_id ON user_payment_methods(payment_method_type_id);
 CREATE INDEX idx_user_payment_methods_active ON user_payment_methods(user_id, is_active, created_at DESC);
+CREATE INDEX idx_user_payment_methods_key_version ON user_payment_methods(details_key_version);
 
 -- Payment indexes
 CREATE INDEX idx_payments_user_id_created ON payments(user_id, created_at DESC);
 CREATE INDEX idx_payments_status_created ON payments(status, created_at DESC);
 CREATE INDEX idx_payments_payment_method_id ON payments(payment_method_id) WHERE payment_method_id IS NOT NULL;
+CREATE INDEX idx_payments_gateway_status ON payments(gateway, status);
+CREATE INDEX idx_payments_authorization_expiry ON payments(authorization_expires_at) WHERE status = 'AUTHORIZED';
+CREATE INDEX idx_payments_merchant_created ON payments(merchant_id, created_at DESC) WHERE merchant_id IS NOT NULL;
+
+-- Webhook inbox indexes
+CREATE INDEX idx_webhook_events_status_received ON webhook_events(status, received_at);
+
+-- Payment sync job indexes
+CREATE INDEX idx_payment_sync_jobs_due ON payment_sync_jobs(status, priority, next_run_at);
+
+-- Reconciliation indexes
+CREATE INDEX idx_reconciliation_runs_gateway_period ON reconciliation_runs(gateway, period_start DESC);
+CREATE INDEX idx_reconciliation_items_run_bucket ON reconciliation_items(run_id, bucket);
+
+-- Subscription indexes
+CREATE INDEX idx_subscriptions_user ON subscriptions(user_id, created_at DESC);
+CREATE INDEX idx_subscriptions_renewal ON subscriptions(status, current_period_end);
+CREATE INDEX idx_billing_cycles_due ON billing_cycles(status, due_at);
+CREATE INDEX idx_billing_cycles_subscription ON billing_cycles(subscription_id, period_start DESC);
+
+-- FX rate indexes
+CREATE INDEX idx_fx_rates_quote_effective ON fx_rates(quote_currency, effective_at DESC);
+
+-- Risk assessment indexes
+CREATE INDEX idx_payment_risk_assessments_ip_created ON payment_risk_assessments(client_ip, created_at DESC) WHERE client_ip IS NOT NULL;
+CREATE INDEX idx_payment_risk_assessments_email_created ON payment_risk_assessments(email, created_at DESC) WHERE email IS NOT NULL;
+CREATE INDEX idx_payment_risk_assessments_pending_review ON payment_risk_assessments(created_at) WHERE review_status = 'PENDING';
+
+-- Payment link indexes
+CREATE INDEX idx_payment_links_created_by ON payment_links(created_by, created_at DESC);
+CREATE INDEX idx_payments_payment_link ON payments(payment_link_id, status) WHERE payment_link_id IS NOT NULL;
+
+-- Invoice indexes
+CREATE INDEX idx_invoices_user_created ON invoices(user_id, created_at DESC);
+CREATE INDEX idx_invoices_status_due ON invoices(status, due_at) WHERE status = 'OPEN';
+CREATE INDEX idx_invoice_line_items_invoice ON invoice_line_items(invoice_id, position);
+CREATE INDEX idx_invoice_tax_lines_invoice ON invoice_tax_lines(invoice_id, position);
+CREATE INDEX idx_invoice_payments_payment ON invoice_payments(payment_id);
+CREATE INDEX idx_invoice_payments_pending ON invoice_payments(created_at) WHERE status = 'PENDING';
+
+-- Merchant webhook indexes
+CREATE INDEX idx_merchant_webhook_endpoints_owner ON merchant_webhook_endpoints(owner_id, created_at DESC);
+CREATE INDEX idx_merchant_webhook_endpoints_merchant ON merchant_webhook_endpoints(merchant_id) WHERE merchant_id IS NOT NULL AND is_active = true;
+CREATE INDEX idx_merchant_webhook_deliveries_endpoint ON merchant_webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX idx_merchant_webhook_deliveries_pending ON merchant_webhook_deliveries(created_at) WHERE status = 'PENDING';
+CREATE INDEX idx_merchant_webhook_delivery_attempts_delivery ON merchant_webhook_delivery_attempts(delivery_id, attempted_at);
+
+-- API key indexes
+CREATE INDEX idx_api_keys_created_at ON api_keys(created_at DESC);
+CREATE INDEX idx_api_keys_rotated_from ON api_keys(rotated_from) WHERE rotated_from IS NOT NULL;
+
+-- Idempotency record indexes
+CREATE INDEX idx_idempotency_records_expires_at ON idempotency_records(expires_at);
 
 -- Payment history indexes
 CREATE INDEX idx_payment_history_payment_id_created ON payment_history(payment_id, created_at DESC);
@@ -205,29 +803,65 @@ CREATE TRIGGER update_payments_updated_at
     BEFORE UPDATE ON payments 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_payment_limits_updated_at 
+    BEFORE UPDATE ON payment_limits 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payment_links_updated_at 
+    BEFORE UPDATE ON payment_links 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_invoices_updated_at 
+    BEFORE UPDATE ON invoices 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_invoice_payments_updated_at 
+    BEFORE UPDATE ON invoice_payments 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_merchant_webhook_endpoints_updated_at 
+    BEFORE UPDATE ON merchant_webhook_endpoints 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_merchant_webhook_deliveries_updated_at 
+    BEFORE UPDATE ON merchant_webhook_deliveries 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_api_keys_updated_at 
+    BEFORE UPDATE ON api_keys 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Function to create payment history entry
+-- Reason and actor come from the payment.change_reason / payment.changed_by transaction settings when set
 CREATE OR REPLACE FUNCTION create_payment_history_entry()
 RETURNS TRIGGER AS $$
+DECLARE
+    v_change_reason TEXT := NULLIF(trim(current_setting('payment.change_reason', true)), '');
+    v_changed_by TEXT := NULLIF(trim(current_setting('payment.changed_by', true)), '');
 BEGIN
     -- Only create history entry if status changed
     IF OLD.status IS DISTINCT FROM NEW.status THEN
         INSERT INTO payment_history (
-            payment_id, 
-            status, 
-            previous_status, 
-            changed_by, 
-            change_reason, 
+            payment_id,
+            status,
+            previous_status,
+            changed_by,
+            change_reason,
             metadata
         ) VALUES (
             NEW.id,
             NEW.status,
             OLD.status,
-            NULL, -- changed_by will be set by application
-            'Status changed from ' || OLD.status || ' to ' || NEW.status,
+            CASE
+                WHEN v_changed_by ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+                THEN v_changed_by::uuid
+            END,
+            COALESCE(v_change_reason, 'Status changed from ' || OLD.status || ' to ' || NEW.status),
             jsonb_build_object(
                 'old_status', OLD.status,
                 'new_status', NEW.status,
                 'updated_at', NEW.updated_at,
+                'changed_by', v_changed_by,
                 'payment_details', jsonb_build_object(
                     'user_id', NEW.user_id,
                     'order_id', NEW.order_id,
@@ -285,6 +919,73 @@ GROUP BY p.id, p.user_id, p.order_id, p.amount, p.currency,
 -- FUNCTIONS FOR BUSINESS LOGIC
 -- =============================================
 
+-- Minor units per major unit of a currency (10^exponent); currencies not listed count as two decimals
+CREATE OR REPLACE FUNCTION currency_minor_unit_factor(currency_code CHAR(3))
+RETURNS INTEGER AS $$
+    SELECT COALESCE(
+        (SELECT (10 ^ exponent)::INTEGER FROM currency_exponents WHERE code = upper(currency_code)),
+        100
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Rate from one currency to another at a point in time: the direct pair, the inverse pair, or a
+-- cross rate through a base currency both are quoted against. effective_at is that of the oldest rate used.
+CREATE OR REPLACE FUNCTION fx_rate_at(p_from CHAR(3), p_to CHAR(3), p_at TIMESTAMPTZ DEFAULT now())
+RETURNS TABLE(rate NUMERIC, effective_at TIMESTAMPTZ) AS $$
+BEGIN
+    IF p_from = p_to THEN
+        RETURN QUERY SELECT 1::NUMERIC, p_at;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT r.rate, r.effective_at
+    FROM fx_rates r
+    WHERE r.base_currency = p_from AND r.quote_currency = p_to AND r.effective_at <= p_at
+    ORDER BY r.effective_at DESC
+    LIMIT 1;
+    IF FOUND THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT 1 / r.rate, r.effective_at
+    FROM fx_rates r
+    WHERE r.base_currency = p_to AND r.quote_currency = p_from AND r.effective_at <= p_at
+    ORDER BY r.effective_at DESC
+    LIMIT 1;
+    IF FOUND THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT t.rate / f.rate, LEAST(f.effective_at, t.effective_at)
+    FROM (
+        SELECT DISTINCT ON (r.base_currency) r.base_currency, r.rate, r.effective_at
+        FROM fx_rates r
+        WHERE r.quote_currency = p_from AND r.effective_at <= p_at
+        ORDER BY r.base_currency, r.effective_at DESC
+    ) f
+    JOIN (
+        SELECT DISTINCT ON (r.base_currency) r.base_currency, r.rate, r.effective_at
+        FROM fx_rates r
+        WHERE r.quote_currency = p_to AND r.effective_at <= p_at
+        ORDER BY r.base_currency, r.effective_at DESC
+    ) t ON t.base_currency = f.base_currency
+    ORDER BY LEAST(f.effective_at, t.effective_at) DESC
+    LIMIT 1;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Convert a minor unit amount between currencies at a point in time; NULL when no rate is known
+CREATE OR REPLACE FUNCTION fx_convert(p_amount BIGINT, p_from CHAR(3), p_to CHAR(3), p_at TIMESTAMPTZ DEFAULT now())
+RETURNS BIGINT AS $$
+    SELECT round(
+        p_amount::NUMERIC / currency_minor_unit_factor(p_from) * r.rate * currency_minor_unit_factor(p_to)
+    )::BIGINT
+    FROM fx_rate_at(p_from, p_to, p_at) r;
+$$ LANGUAGE sql STABLE;
+
 -- Function to get total refunded amount for a payment
 CREATE OR REPLACE FUNCTION get_total_refunded(payment_uuid UUID)
 RETURNS INTEGER AS $$
@@ -334,9 +1035,62 @@ COMMENT ON TABLE payment_method_types IS 'Master catalog of supported payment me
 COMMENT ON TABLE user_payment_methods IS 'Stores encrypted payment method information for users';
 COMMENT ON TABLE payments IS 'Main payments table storing all payment transactions';
 COMMENT ON TABLE refunds IS 'Stores refund information for payments';
+COMMENT ON TABLE payment_sync_jobs IS 'Durable queue of payment status sync jobs shared by all service replicas';
+COMMENT ON TABLE webhook_events IS 'Inbox of incoming gateway webhooks, processed asynchronously by the webhook worker';
+COMMENT ON TABLE reconciliation_runs IS 'Settlement reconciliation runs comparing local records with gateway transaction listings';
+COMMENT ON TABLE reconciliation_items IS 'Per-record outcome of a settlement reconciliation run';
+COMMENT ON TABLE subscriptions IS 'Recurring billing of a plan against a saved payment method';
+COMMENT ON TABLE payment_risk_assessments IS 'Risk score, signals and decision for each new payment, with the review outcome for held payments';
+COMMENT ON TABLE payment_limits IS 'Per-currency amount limits and per-user and per-merchant ceilings, overriding the limits config file';
+COMMENT ON TABLE payment_links IS 'Shareable links that create a payment with fixed details and redirect to the gateway checkout';
+COMMENT ON TABLE invoices IS 'Invoices issued to customers, numbered per merchant when finalized and settled by one or more payments';
+COMMENT ON TABLE invoice_line_items IS 'Billed items of an invoice; amount is quantity times unit_amount in minor units';
+COMMENT ON TABLE invoice_tax_lines IS 'Taxes of an invoice, each a rate in basis points of the taxable line items';
+COMMENT ON TABLE invoice_payments IS 'Payments allocated to invoices; PENDING until the payment is collected or fails';
+COMMENT ON TABLE invoice_number_sequences IS 'Last invoice number issued per merchant (merchant_key is the merchant ID or * for none)';
+COMMENT ON TABLE merchant_webhook_endpoints IS 'HTTPS endpoints merchants registered to receive payment events';
+COMMENT ON TABLE merchant_webhook_deliveries IS 'One event sent to one endpoint, with the outcome of its latest attempt';
+COMMENT ON TABLE merchant_webhook_delivery_attempts IS 'Every POST made for a delivery, including manual resends';
+COMMENT ON TABLE api_keys IS 'Scoped API keys for service-to-service callers';
+COMMENT ON TABLE idempotency_records IS 'First request and recorded response per principal and Idempotency-Key, replayed on repeats until expires_at';
+COMMENT ON TABLE fx_rates IS 'Exchange rate snapshots by effective time, refreshed from the configured rate source';
+COMMENT ON TABLE data_migrations IS 'One-off data conversions already applied, so re-running migrations skips them';
+COMMENT ON TABLE currency_exponents IS 'ISO 4217 exponent per currency, as in config/currencies.js';
+COMMENT ON TABLE billing_cycles IS 'Charges owed per subscription period (RENEWAL) or plan upgrade (PRORATION), with dunning state';
+COMMENT ON FUNCTION currency_minor_unit_factor IS 'Minor units per major unit of a currency (10^ISO 4217 exponent)';
+COMMENT ON FUNCTION fx_rate_at IS 'Exchange rate between two currencies in effect at a point in time (direct, inverse or cross)';
+COMMENT ON FUNCTION fx_convert IS 'Converts a minor unit amount between currencies at the rate in effect at a point in time';
 
-COMMENT ON COLUMN user_payment_methods.details_encrypted IS 'KMS-managed encrypted payment method details (never store raw PAN)';
+COMMENT ON COLUMN user_payment_methods.details_encrypted IS 'AES-256-GCM envelope of the gateway authorization details (never store raw PAN)';
+COMMENT ON COLUMN user_payment_methods.details_key_version IS 'Key version that wrapped the data key of details_encrypted (NULL for rows saved before encryption)';
+COMMENT ON COLUMN user_payment_methods.fingerprint IS 'Gateway identifier of the underlying card/account (e.g. Paystack authorization signature)';
 COMMENT ON COLUMN payments.amount IS 'Amount in minor units (e.g., cents) to avoid floating point issues';
+COMMENT ON COLUMN payments.settlement_amount IS 'Amount in minor units of settlement_currency, converted when the payment was made';
+COMMENT ON COLUMN payments.fx_rate IS 'Rate used for settlement_amount (settlement_currency per 1 payment currency)';
+COMMENT ON COLUMN payments.risk_decision IS 'Risk engine decision before the gateway: allow, review or deny';
+COMMENT ON COLUMN payment_risk_assessments.gateway_request IS 'Gateway request of a held payment, replayed when the review approves it';
+COMMENT ON COLUMN payments.merchant_id IS 'Merchant the payment was made to; per-merchant limits apply to it';
+COMMENT ON COLUMN payments.payment_link_id IS 'Payment link the payment was made through';
+COMMENT ON COLUMN payment_links.single_use IS 'Link stops accepting payments once one of its payments has not failed or been cancelled';
+COMMENT ON COLUMN merchant_webhook_endpoints.event_types IS 'Event types delivered to the endpoint; * for all';
+COMMENT ON COLUMN merchant_webhook_endpoints.secret_encrypted IS 'Signing secret as an envelope bound to the endpoint ID';
+COMMENT ON COLUMN api_keys.key_hash IS 'SHA-256 of the full key, hex encoded; the key itself is only shown when issued';
+COMMENT ON COLUMN api_keys.allowed_ips IS 'IP addresses and CIDR ranges the key may be used from; NULL allows any';
+COMMENT ON COLUMN api_keys.last_used_at IS 'Updated at most once a minute per key';
+COMMENT ON COLUMN api_keys.rotated_from IS 'Key this one replaced';
+COMMENT ON COLUMN idempotency_records.request_fingerprint IS 'SHA-256 of the method, path and canonical JSON body of the first request';
+COMMENT ON COLUMN idempotency_records.lock_token IS 'Identifies the request executing an IN_PROGRESS record; only it can complete or release the record';
+COMMENT ON COLUMN idempotency_records.locked_until IS 'After this an IN_PROGRESS record is treated as abandoned and the same request may run again';
+COMMENT ON COLUMN idempotency_records.response_body IS 'Response body exactly as sent';
+COMMENT ON COLUMN invoices.amount_paid IS 'Sum of APPLIED invoice_payments in minor units';
+COMMENT ON COLUMN payments.captured_amount IS 'Captured amount in minor units; may be less than amount';
+COMMENT ON COLUMN refunds.amount IS 'Amount in minor units of the refund currency';
+COMMENT ON COLUMN subscription_plans.amount IS 'Price per billing period in minor units';
+COMMENT ON COLUMN billing_cycles.amount IS 'Amount charged for the cycle in minor units';
+COMMENT ON COLUMN reconciliation_items.local_amount IS 'Local amount in minor units';
+COMMENT ON COLUMN reconciliation_items.gateway_amount IS 'Gateway amount in minor units';
 COMMENT ON COLUMN payments.gateway_response IS 'Gateway response data (masked, no sensitive information)';
 COMMENT ON COLUMN payments.idempotency_key IS 'Unique key for idempotent payment requests';
-COMMENT ON COLUMN refunds.idempotency_key IS 'Unique key for idempotent refund requests';
+COMMENT ON COLUMN payments.idempotency_scope IS 'Principal the idempotency key belongs to (user:<id> or service:<api key id>); keys are unique per scope';
+COMMENT ON COLUMN refunds.idempotency_key IS 'Key for idempotent refund requests, unique per payment among refunds that have not FAILED';
+COMMENT ON COLUMN subscriptions.credit_balance IS 'Unused value from plan downgrades, deducted from the next renewal';
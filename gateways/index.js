@@ -0,0 +1,229 @@
+/**
+ * Payment Gateway Registry
+ * Wraps each gateway integration in a common adapter interface and picks the adapter for a payment
+ */
+
+import * as paystack from './paystack.js';
+import * as stripe from './stripe.js';
+
+export const DEFAULT_GATEWAY = process.env.DEFAULT_PAYMENT_GATEWAY || 'paystack';
+
+// Methods every gateway adapter must provide
+export const ADAPTER_METHODS = [
+    'initialize',
+    'verify',
+    'getLatestStatus',
+    'refund',
+    'cancel',
+    'capture',
+    'voidAuthorization',
+    'listTransactions',
+    'listRefunds',
+    'getReusableAuthorization',
+    'chargeAuthorization',
+    'verifyWebhook',
+    'handleWebhook',
+    'getWebhookEventId',
+    'getSupportedPaymentMethods',
+    'getSupportedCurrencies'
+];
+
+const adapters = new Map();
+
+/**
+ * Build an adapter from a gateway module exposing the paystack.js function names.
+ * Calls are delegated lazily so tests can mock individual gateway functions.
+ */
+export const createAdapter = (name, gateway, options = {}) => ({
+    name,
+    isEnabled: () => true,
+    // Optional features; callers check supports() before relying on them
+    capabilities: {
+        authorizeCapture: false,
+        savedPaymentMethods: false
+    },
+    initialize: (paymentData) => gateway.initializePayment(paymentData),
+    verify: (reference) => gateway.verifyPayment(reference),
+    getLatestStatus: (reference) => gateway.getLatestPaymentStatus(reference),
+    refund: (refundData) => gateway.processRefund(refundData),
+    cancel: (reference) => gateway.cancelPayment(reference),
+    capture: (captureData) => gateway.capturePayment(captureData),
+    voidAuthorization: (reference) => gateway.voidAuthorization(reference),
+    listTransactions: (options) => gateway.listTransactions(options),
+    listRefunds: (options) => gateway.listRefunds(options),
+    getReusableAuthorization: (reference) => gateway.getReusableAuthorization(reference),
+    chargeAuthorization: (chargeData) => gateway.chargeAuthorization(chargeData),
+    verifyWebhook: (payload, signature) => gateway.verifyWebhook(payload, signature),
+    handleWebhook: (event) => gateway.handleWebhook(event),
+    getWebhookEventId: (event) => gateway.getWebhookEventId(event),
+    getSupportedPaymentMethods: () => gateway.getSupportedPaymentMethods(),
+    getSupportedCurrencies: () => gateway.getSupportedCurrencies(),
+    supportsCurrency(currency) {
+        return this.getSupportedCurrencies().some(c => c.code === currency);
+    },
+    supports(capability) {
+        return Boolean(this.capabilities[capability]);
+    },
+    ...options
+});
+
+/**
+ * Register a gateway adapter
+ */
+export const registerGateway = (adapter) => {
+    if (!adapter || !adapter.name) {
+        throw new Error('Gateway adapter must have a name');
+    }
+
+    const missing = ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Gateway adapter ${adapter.name} is missing: ${missing.join(', ')}`);
+    }
+
+    adapters.set(adapter.name, adapter);
+    return adapter;
+};
+
+/**
+ * Get a registered adapter by name
+ */
+export const getGateway = (name) => {
+    const adapter = adapters.get(name);
+    if (!adapter) {
+        throw new Error(`Unknown gateway: ${name}`);
+    }
+    return adapter;
+};
+
+/**
+ * Check whether a gateway is registered
+ */
+export const hasGateway = (name) => adapters.has(name);
+
+/**
+ * List registered adapters
+ */
+export const listGateways = () => Array.from(adapters.values());
+
+const authorizationNotSupported = (details) => ({
+    success: false,
+    error: {
+        code: 'AUTHORIZATION_NOT_SUPPORTED',
+        message: 'Authorize and capture not supported',
+        details
+    }
+});
+
+/**
+ * Pick the adapter for a payment.
+ * An explicitly requested gateway wins; otherwise the default gateway is used when it supports
+ * the currency, falling back to the first enabled gateway that does.
+ * Manual capture (authorize now, capture later) is limited to adapters supporting authorizeCapture.
+ * @returns {Object} { success, gateway } or { success: false, error }
+ */
+export const selectGateway = ({ gateway, currency, captureMethod = 'automatic' } = {}) => {
+    const needsAuthorization = captureMethod === 'manual';
+
+    if (gateway) {
+        if (!hasGateway(gateway)) {
+            return {
+                success: false,
+                error: {
+                    code: 'UNSUPPORTED_GATEWAY',
+                    message: 'Gateway not supported',
+                    details: `Gateway ${gateway} is not supported`
+                }
+            };
+        }
+
+        const adapter = getGateway(gateway);
+        if (!adapter.isEnabled()) {
+            return {
+                success: false,
+                error: {
+                    code: 'GATEWAY_NOT_CONFIGURED',
+                    message: 'Gateway not configured',
+                    details: `Gateway ${gateway} is not configured`
+                }
+            };
+        }
+
+        if (currency && !adapter.supportsCurrency(currency)) {
+            return {
+                success: false,
+                error: {
+                    code: 'INVALID_CURRENCY',
+                    message: 'Currency not supported',
+                    details: `Currency ${currency} is not supported by ${gateway}`
+                }
+            };
+        }
+
+        if (needsAuthorization && !adapter.supports('authorizeCapture')) {
+            return authorizationNotSupported(`Gateway ${gateway} cannot place an authorization hold`);
+        }
+
+        return { success: true, gateway: adapter };
+    }
+
+    const candidates = [
+        adapters.get(DEFAULT_GATEWAY),
+        ...listGateways().filter(adapter => adapter.name !== DEFAULT_GATEWAY)
+    ].filter(adapter => adapter && adapter.isEnabled());
+
+    const adapter = candidates.find(candidate => !currency || candidate.supportsCurrency(currency));
+    if (adapter && needsAuthorization && !adapter.supports('authorizeCapture')) {
+        const holdingAdapter = candidates.find(candidate =>
+            candidate.supports('authorizeCapture') && (!currency || candidate.supportsCurrency(currency)));
+        return holdingAdapter
+            ? { success: true, gateway: holdingAdapter }
+            : authorizationNotSupported(`No configured gateway can place an authorization hold for ${currency}`);
+    }
+    if (!adapter) {
+        return {
+            success: false,
+            error: {
+                code: 'INVALID_CURRENCY',
+                message: 'Currency not supported',
+                details: `Currency ${currency} is not supported`
+            }
+        };
+    }
+
+    return { success: true, gateway: adapter };
+};
+
+/**
+ * Resolve the adapter that processed a stored payment row
+ */
+export const getGatewayForPayment = (payment) => getGateway(payment?.gateway || DEFAULT_GATEWAY);
+
+/**
+ * Reference to use when asking the gateway about a stored payment.
+ * Paystack uses our idempotency key as its reference; other gateways return their own.
+ */
+export const getGatewayReference = (payment) => {
+    const gatewayResponse = typeof payment?.gateway_response === 'string'
+        ? JSON.parse(payment.gateway_response)
+        : payment?.gateway_response;
+
+    return gatewayResponse?.reference || payment?.idempotency_key;
+};
+
+registerGateway(createAdapter('paystack', paystack, {
+    capabilities: { authorizeCapture: false, savedPaymentMethods: true }
+}));
+registerGateway(createAdapter('stripe', stripe, {
+    isEnabled: () => stripe.isConfigured(),
+    capabilities: { authorizeCapture: true }
+}));
+
+export default {
+    registerGateway,
+    getGateway,
+    hasGateway,
+    listGateways,
+    selectGateway,
+    getGatewayForPayment,
+    getGatewayReference
+};
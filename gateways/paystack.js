@@ -10,11 +10,11 @@ import { circuitBreakers, withCircuitBreaker } from '../utils/circuitBreaker.js'
 import { errorHandler, ERROR_TYPES } from '../utils/errorHandler.js';
 import { trackPaystackApiCall } from '../monitoring/performanceMonitor.js';
 import { logger, LOG_CATEGORIES } from '../utils/logger.js';
+import { getGatewayCurrencies } from '../config/currencies.js';
 
 // Paystack API configuration
 const PAYSTACK_BASE_URL = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
 const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
-const PAYSTACK_WEBHOOK_SECRET = process.env.PAYSTACK_WEBHOOK_SECRET;
 
 /**
  * Initialize Paystack payment
@@ -59,7 +59,7 @@ export const initializePayment = async (paymentData) => {
                             'Content-Type': 'application/json'
                         },
                         body: JSON.stringify({
-                            amount: amount * 100, // Paystack expects amount in kobo (smallest currency unit)
+                            amount, // minor units (kobo, pesewas, cents), as Paystack expects
                             currency: currency.toUpperCase(),
                             email: email,
                             reference: reference,
@@ -334,7 +334,7 @@ export const processRefund = async (refundData) => {
                         },
                         body: JSON.stringify({
                             transaction: transactionId,
-                            amount: amount * 100,
+                            amount,
                             reason: reason || 'Customer requested refund'
                         })
                     });
@@ -398,22 +398,361 @@ export const processRefund = async (refundData) => {
     }
 };
 
+// Paystack channels whose authorizations can be saved, mapped to payment_method_types codes
+const SAVED_METHOD_TYPES = {
+    card: 'CARD',
+    bank: 'BANK_TRANSFER',
+    mobile_money: 'WALLET'
+};
+
+/**
+ * Get the reusable authorization behind a successful transaction so it can be saved and charged again
+ * @returns {Object} { success, authorization: { code, email, type, brand, last4, expMonth, expYear, fingerprint, details } }
+ */
+export const getReusableAuthorization = async (reference) => {
+    const verification = await verifyPayment(reference);
+    if (!verification.success) {
+        return verification;
+    }
+
+    const { authorization, customer } = verification.gatewayResponse;
+
+    if (verification.status !== 'SUCCEEDED' || !authorization?.reusable || !SAVED_METHOD_TYPES[authorization.channel]) {
+        return {
+            success: false,
+            error: {
+                code: 'PAYMENT_METHOD_NOT_REUSABLE',
+                message: 'This payment cannot be saved as a payment method',
+                type: 'saved_method_error'
+            }
+        };
+    }
+
+    return {
+        success: true,
+        authorization: {
+            code: authorization.authorization_code,
+            email: customer?.email,
+            type: SAVED_METHOD_TYPES[authorization.channel],
+            brand: authorization.brand ? authorization.brand.trim().toUpperCase() : null,
+            last4: authorization.last4 || null,
+            expMonth: authorization.exp_month ? parseInt(authorization.exp_month) : null,
+            expYear: authorization.exp_year ? parseInt(authorization.exp_year) : null,
+            fingerprint: authorization.signature || authorization.authorization_code,
+            details: {
+                authorization_code: authorization.authorization_code,
+                email: customer?.email,
+                signature: authorization.signature,
+                bin: authorization.bin,
+                bank: authorization.bank,
+                country_code: authorization.country_code,
+                account_name: authorization.account_name
+            }
+        }
+    };
+};
+
+/**
+ * Charge a saved authorization without sending the customer through checkout
+ */
+export const chargeAuthorization = async (chargeData) => {
+    try {
+        const { authorizationCode, email, amount, currency, reference, metadata } = chargeData;
+
+        logger.info(LOG_CATEGORIES.PAYMENT, 'Charging saved authorization', { amount, currency, reference });
+
+        const response = await trackPaystackApiCall('transaction/charge_authorization', async () => {
+            return await circuitBreakers.paystack.execute(async () => {
+                return await paystackRateLimiter.execute(async () => {
+                    return await fetch(`${PAYSTACK_BASE_URL}/transaction/charge_authorization`, {
+                        method: 'POST',
+                        headers: {
+                            'Authorization': `Bearer ${PAYSTACK_SECRET_KEY}`,
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify({
+                            authorization_code: authorizationCode,
+                            email,
+                            amount,
+                            currency: currency.toUpperCase(),
+                            reference,
+                            metadata
+                        })
+                    });
+                });
+            });
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            logger.error(LOG_CATEGORIES.PAYMENT, 'Authorization charge failed', {
+                reference,
+                status: response.status,
+                error: result.message
+            });
+
+            return {
+                success: false,
+                error: {
+                    code: 'PAYSTACK_ERROR',
+                    message: result.message || 'Authorization charge failed',
+                    type: 'payment_error'
+                }
+            };
+        }
+
+        const status = mapPaystackStatus(result.data.status);
+        const gatewayResponse = {
+            reference: result.data.reference,
+            status: result.data.status,
+            amount: result.data.amount,
+            currency: result.data.currency,
+            channel: result.data.channel,
+            gateway_response: result.data.gateway_response,
+            paid_at: result.data.paid_at
+        };
+
+        if (status === 'FAILED') {
+            return {
+                success: false,
+                error: {
+                    code: 'CHARGE_DECLINED',
+                    message: result.data.gateway_response || 'The saved payment method was declined',
+                    type: 'payment_error',
+                    gatewayResponse
+                }
+            };
+        }
+
+        return {
+            success: true,
+            transactionId: result.data.reference,
+            status,
+            gatewayResponse
+        };
+    } catch (error) {
+        logger.error(LOG_CATEGORIES.PAYMENT, 'Authorization charge error', {
+            reference: chargeData.reference,
+            error: error.message
+        });
+
+        return {
+            success: false,
+            error: {
+                code: 'PAYSTACK_ERROR',
+                message: error.message,
+                type: 'network_error'
+            }
+        };
+    }
+};
+
+/**
+ * Paystack has no native authorize-then-capture hold; the adapter reports authorizeCapture as unsupported
+ */
+const authorizationNotSupported = () => ({
+    success: false,
+    error: {
+        code: 'AUTHORIZATION_NOT_SUPPORTED',
+        message: 'Paystack does not support authorize and capture',
+        type: 'unsupported_operation'
+    }
+});
+
+/**
+ * Capture an authorized payment (not supported by Paystack)
+ */
+export const capturePayment = async () => authorizationNotSupported();
+
+/**
+ * Void an authorized payment (not supported by Paystack)
+ */
+export const voidAuthorization = async () => authorizationNotSupported();
+
+/**
+ * Cancel an unpaid payment.
+ * Paystack has no API to invalidate an initialized transaction; the checkout link stays usable
+ * until Paystack abandons it, so a late charge.success webhook can still arrive for it.
+ */
+export const cancelPayment = async (reference) => {
+    logger.info(LOG_CATEGORIES.PAYMENT, 'Paystack transactions cannot be cancelled at the gateway', { reference });
+
+    return {
+        success: true,
+        cancelled: false
+    };
+};
+
+/**
+ * List transactions for settlement reconciliation
+ * @param {Object} options - { from, to, cursor, perPage } where cursor is the page number to fetch
+ * @returns {Object} { success, items, nextCursor } with amounts in minor units
+ */
+export const listTransactions = async ({ from, to, cursor = 1, perPage = 100 } = {}) => {
+    return await listPaystackRecords('transaction', { from, to, cursor, perPage }, (transaction) => ({
+        type: 'payment',
+        reference: transaction.reference,
+        gatewayId: String(transaction.id),
+        amount: transaction.amount,
+        currency: transaction.currency,
+        status: mapPaystackStatus(transaction.status),
+        gatewayStatus: transaction.status,
+        occurredAt: transaction.paid_at || transaction.created_at
+    }));
+};
+
+/**
+ * List refunds for settlement reconciliation
+ * @param {Object} options - { from, to, cursor, perPage } where cursor is the page number to fetch
+ * @returns {Object} { success, items, nextCursor } with amounts in minor units
+ */
+export const listRefunds = async ({ from, to, cursor = 1, perPage = 100 } = {}) => {
+    return await listPaystackRecords('refund', { from, to, cursor, perPage }, (refund) => ({
+        type: 'refund',
+        reference: String(refund.id),
+        gatewayId: String(refund.id),
+        paymentReference: refund.transaction?.reference || String(refund.transaction),
+        amount: refund.amount,
+        currency: refund.currency,
+        status: mapPaystackRefundStatus(refund.status),
+        gatewayStatus: refund.status,
+        occurredAt: refund.refunded_at || refund.createdAt || refund.created_at
+    }));
+};
+
+/**
+ * Page through a Paystack list endpoint
+ */
+const listPaystackRecords = async (resource, { from, to, cursor, perPage }, mapRecord) => {
+    try {
+        const params = new URLSearchParams({
+            perPage: String(perPage),
+            page: String(cursor)
+        });
+        if (from) params.set('from', new Date(from).toISOString());
+        if (to) params.set('to', new Date(to).toISOString());
+
+        const response = await trackPaystackApiCall(`${resource}/list`, async () => {
+            return await circuitBreakers.paystack.execute(async () => {
+                return await paystackRateLimiter.execute(async () => {
+                    return await fetch(`${PAYSTACK_BASE_URL}/${resource}?${params.toString()}`, {
+                        method: 'GET',
+                        headers: {
+                            'Authorization': `Bearer ${PAYSTACK_SECRET_KEY}`,
+                            'Content-Type': 'application/json'
+                        }
+                    });
+                });
+            });
+        });
+
+        const result = await response.json();
+
+        if (!response.ok || !result.status) {
+            return {
+                success: false,
+                error: {
+                    code: 'PAYSTACK_ERROR',
+                    message: result.message || `Failed to list ${resource}s`,
+                    type: 'list_error'
+                }
+            };
+        }
+
+        const pageCount = result.meta?.pageCount || 1;
+
+        return {
+            success: true,
+            items: (result.data || []).map(mapRecord),
+            nextCursor: cursor < pageCount ? cursor + 1 : null
+        };
+    } catch (error) {
+        logger.error(LOG_CATEGORIES.PAYMENT, `Paystack ${resource} listing error`, {
+            error: error.message
+        });
+
+        return {
+            success: false,
+            error: {
+                code: 'PAYSTACK_ERROR',
+                message: error.message,
+                type: 'list_error'
+            }
+        };
+    }
+};
+
 /**
  * Verify webhook signature
  */
 export const verifyWebhook = (payload, signature) => {
     try {
-        const hash = crypto.createHmac('sha512', PAYSTACK_WEBHOOK_SECRET)
-            .update(payload)
-            .digest('hex');
-        
-        return hash === signature;
+        if (!payload || typeof signature !== 'string' || signature.length === 0) {
+            return false;
+        }
+
+        return getWebhookSecrets().some(secret => {
+            const hash = crypto.createHmac('sha512', secret)
+                .update(payload)
+                .digest('hex');
+
+            return safeCompare(hash, signature);
+        });
     } catch (error) {
         console.error('Webhook verification error:', error);
         return false;
     }
 };
 
+/**
+ * Unique ID of a webhook event, used to deduplicate redeliveries.
+ * Paystack does not send an event ID, so the event type and the transaction/refund ID are combined.
+ */
+export const getWebhookEventId = (event) => {
+    const dataId = event?.data?.id ?? event?.data?.reference;
+    if (!event?.event || dataId === undefined || dataId === null) {
+        return null;
+    }
+    return `${event.event}:${dataId}`;
+};
+
+/**
+ * Webhook secrets currently accepted.
+ * During rotation the previous secret stays valid until PAYSTACK_WEBHOOK_SECRET_PREVIOUS_EXPIRES_AT
+ * (or indefinitely if no expiry is set) so in-flight deliveries signed with it are not rejected.
+ * Read from the environment on each call so a rotation only needs a config reload.
+ */
+export const getWebhookSecrets = (now = new Date()) => {
+    const secrets = [];
+
+    if (process.env.PAYSTACK_WEBHOOK_SECRET) {
+        secrets.push(process.env.PAYSTACK_WEBHOOK_SECRET);
+    }
+
+    const previousSecret = process.env.PAYSTACK_WEBHOOK_SECRET_PREVIOUS;
+    const previousExpiresAt = process.env.PAYSTACK_WEBHOOK_SECRET_PREVIOUS_EXPIRES_AT;
+    if (previousSecret && (!previousExpiresAt || now < new Date(previousExpiresAt))) {
+        secrets.push(previousSecret);
+    }
+
+    return secrets;
+};
+
+/**
+ * Constant-time string comparison
+ */
+const safeCompare = (expected, actual) => {
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(actual);
+
+    if (expectedBuffer.length !== actualBuffer.length) {
+        return false;
+    }
+
+    return crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
 /**
  * Handle webhook events
  */
@@ -467,6 +806,27 @@ export const handleWebhook = async (event) => {
                     gatewayResponse: data
                 };
 
+            case 'refund.failed':
+                logger.warn(LOG_CATEGORIES.WEBHOOK, 'Refund failed via webhook', {
+                    refundId: data.id,
+                    transactionId: data.transaction?.id
+                });
+
+                return {
+                    type: 'refund_update',
+                    refundId: data.id,
+                    status: 'FAILED',
+                    gatewayResponse: data
+                };
+
+            case 'refund.pending':
+                return {
+                    type: 'refund_update',
+                    refundId: data.id,
+                    status: 'PENDING',
+                    gatewayResponse: data
+                };
+
             default:
                 logger.warn(LOG_CATEGORIES.WEBHOOK, 'Unhandled webhook event', {
                     eventType,
@@ -519,6 +879,20 @@ const mapPaystackStatus = (paystackStatus) => {
     return statusMap[paystackStatus] || 'PENDING';
 };
 
+/**
+ * Map Paystack refund status to our internal refund status
+ */
+const mapPaystackRefundStatus = (paystackStatus) => {
+    const statusMap = {
+        'pending': 'PENDING',
+        'processing': 'PENDING',
+        'processed': 'SUCCEEDED',
+        'failed': 'FAILED'
+    };
+
+    return statusMap[paystackStatus] || 'PENDING';
+};
+
 /**
  * Get supported payment methods
  */
@@ -556,16 +930,6 @@ export const getSupportedPaymentMethods = () => {
 };
 
 /**
- * Get supported currencies
+ * Get supported currencies, as listed in the currency registry
  */
-export const getSupportedCurrencies = () => {
-    return [
-        { code: 'NGN', name: 'Nigerian Naira' },
-        { code: 'USD', name: 'US Dollar' },
-        { code: 'GBP', name: 'British Pound' },
-        { code: 'EUR', name: 'Euro' },
-        { code: 'KES', name: 'Kenyan Shilling' },
-        { code: 'GHS', name: 'Ghanaian Cedi' },
-        { code: 'ZAR', name: 'South African Rand' }
-    ];
-};
+export const getSupportedCurrencies = () => getGatewayCurrencies('paystack');
@@ -0,0 +1,683 @@
+/**
+ * Stripe Payment Gateway Integration
+ * Handles hosted checkout, refunds, and webhooks for Stripe.
+ * Exposes the same functions as gateways/paystack.js so both can be used through the gateway registry.
+ */
+
+import Stripe from 'stripe';
+import { circuitBreakers } from '../utils/circuitBreaker.js';
+import { logger, LOG_CATEGORIES } from '../utils/logger.js';
+import { getGatewayCurrencies } from '../config/currencies.js';
+
+// Stripe API configuration
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+let stripeClient = null;
+
+/**
+ * Lazily create the Stripe client so the service can boot without Stripe credentials
+ */
+const getClient = () => {
+    if (!stripeClient) {
+        if (!STRIPE_SECRET_KEY) {
+            throw new Error('STRIPE_SECRET_KEY is not configured');
+        }
+        stripeClient = new Stripe(STRIPE_SECRET_KEY);
+    }
+    return stripeClient;
+};
+
+/**
+ * Whether Stripe credentials are available
+ */
+export const isConfigured = () => Boolean(STRIPE_SECRET_KEY);
+
+/**
+ * Initialize Stripe payment using a hosted Checkout Session
+ */
+export const initializePayment = async (paymentData) => {
+    try {
+        const { amount, currency, email, reference, metadata, callback_url, captureMethod = 'automatic' } = paymentData;
+
+        logger.info(LOG_CATEGORIES.PAYMENT, 'Initializing Stripe checkout session', {
+            amount,
+            currency,
+            email,
+            reference,
+            captureMethod
+        });
+
+        const session = await circuitBreakers.stripe.execute(async () => {
+            return await getClient().checkout.sessions.create({
+                mode: 'payment',
+                customer_email: email,
+                client_reference_id: reference,
+                line_items: [{
+                    quantity: 1,
+                    price_data: {
+                        currency: currency.toLowerCase(),
+                        unit_amount: amount, // minor units, as Stripe expects (yen for zero-decimal JPY)
+                        product_data: {
+                            name: `Order ${metadata?.order_id || reference}`
+                        }
+                    }
+                }],
+                metadata: flattenMetadata({ ...metadata, reference, capture_method: captureMethod }),
+                // Manual capture only places a hold on the card; capturePayment takes the funds later
+                payment_intent_data: { capture_method: captureMethod },
+                success_url: `${callback_url}?session_id={CHECKOUT_SESSION_ID}`,
+                cancel_url: `${callback_url}?session_id={CHECKOUT_SESSION_ID}&cancelled=true`
+            }, {
+                idempotencyKey: reference
+            });
+        });
+
+        logger.info(LOG_CATEGORIES.PAYMENT, 'Stripe checkout session created', {
+            reference,
+            sessionId: session.id
+        });
+
+        return {
+            success: true,
+            transactionId: session.id,
+            status: 'PENDING',
+            gatewayResponse: {
+                reference: session.id,
+                client_reference: reference,
+                session_id: session.id,
+                authorization_url: session.url,
+                status: 'pending'
+            }
+        };
+
+    } catch (error) {
+        logger.error(LOG_CATEGORIES.PAYMENT, 'Stripe payment initialization error', {
+            reference: paymentData.reference,
+            error: error.message
+        });
+
+        return {
+            success: false,
+            error: {
+                code: 'STRIPE_ERROR',
+                message: error.message,
+                type: error.type === 'StripeConnectionError' ? 'network_error' : 'payment_error'
+            }
+        };
+    }
+};
+
+/**
+ * Verify Stripe payment by checkout session ID
+ */
+export const verifyPayment = async (reference) => {
+    try {
+        logger.info(LOG_CATEGORIES.PAYMENT, 'Verifying Stripe payment', { reference });
+
+        const session = await circuitBreakers.stripe.execute(async () => {
+            return await getClient().checkout.sessions.retrieve(reference, { expand: ['payment_intent'] });
+        });
+
+        const status = mapStripeSessionStatus(session);
+
+        return {
+            success: true,
+            transactionId: session.id,
+            status: status,
+            gatewayResponse: formatSessionResponse(session)
+        };
+
+    } catch (error) {
+        logger.error(LOG_CATEGORIES.PAYMENT, 'Stripe payment verification error', {
+            reference,
+            error: error.message
+        });
+
+        return {
+            success: false,
+            error: {
+                code: 'STRIPE_ERROR',
+                message: error.message,
+                type: 'verification_error'
+            }
+        };
+    }
+};
+
+/**
+ * Get latest payment status from Stripe
+ */
+export const getLatestPaymentStatus = async (reference) => {
+    return await verifyPayment(reference);
+};
+
+/**
+ * Process refund against the payment intent behind a checkout session
+ */
+export const processRefund = async (refundData) => {
+    try {
+        const { transactionId, amount, reason } = refundData;
+
+        logger.info(LOG_CATEGORIES.PAYMENT, 'Processing Stripe refund', {
+            transactionId,
+            amount,
+            reason
+        });
+
+        const refund = await circuitBreakers.stripe.execute(async () => {
+            const client = getClient();
+            const session = await client.checkout.sessions.retrieve(transactionId);
+
+            if (!session.payment_intent) {
+                throw new Error(`Checkout session ${transactionId} has no payment intent to refund`);
+            }
+
+            return await client.refunds.create({
+                payment_intent: session.payment_intent,
+                amount,
+                metadata: flattenMetadata({ reason: reason || 'Customer requested refund' })
+            });
+        });
+
+        logger.info(LOG_CATEGORIES.PAYMENT, 'Stripe refund processed', {
+            transactionId,
+            refundId: refund.id,
+            status: refund.status
+        });
+
+        return {
+            success: true,
+            refundId: refund.id,
+            status: mapStripeRefundStatus(refund.status),
+            gatewayResponse: {
+                refund_id: refund.id,
+                transaction_id: transactionId,
+                payment_intent: refund.payment_intent,
+                amount: refund.amount,
+                currency: refund.currency?.toUpperCase(),
+                status: refund.status,
+                created_at: new Date(refund.created * 1000).toISOString()
+            }
+        };
+
+    } catch (error) {
+        logger.error(LOG_CATEGORIES.PAYMENT, 'Stripe refund processing error', {
+            transactionId: refundData.transactionId,
+            error: error.message
+        });
+
+        return {
+            success: false,
+            error: {
+                code: 'STRIPE_ERROR',
+                message: error.message,
+                type: 'refund_error'
+            }
+        };
+    }
+};
+
+/**
+ * Capture an authorized payment, optionally for less than the authorized amount.
+ * Stripe releases any uncaptured remainder of the hold.
+ */
+export const capturePayment = async ({ reference, amount }) => {
+    try {
+        logger.info(LOG_CATEGORIES.PAYMENT, 'Capturing Stripe payment', { reference, amount });
+
+        const paymentIntent = await circuitBreakers.stripe.execute(async () => {
+            const client = getClient();
+            const session = await client.checkout.sessions.retrieve(reference);
+
+            if (!session.payment_intent) {
+                throw new Error(`Checkout session ${reference} has no payment intent to capture`);
+            }
+
+            const params = amount !== undefined && amount !== null
+                ? { amount_to_capture: amount }
+                : {};
+            return await client.paymentIntents.capture(session.payment_intent, params);
+        });
+
+        return {
+            success: true,
+            status: 'SUCCEEDED',
+            capturedAmount: paymentIntent.amount_received,
+            gatewayResponse: {
+                payment_intent: paymentIntent.id,
+                status: paymentIntent.status,
+                amount_captured: paymentIntent.amount_received,
+                captured_at: new Date().toISOString()
+            }
+        };
+    } catch (error) {
+        logger.error(LOG_CATEGORIES.PAYMENT, 'Stripe capture error', {
+            reference,
+            error: error.message
+        });
+
+        return {
+            success: false,
+            error: {
+                code: 'STRIPE_ERROR',
+                message: error.message,
+                type: 'capture_error'
+            }
+        };
+    }
+};
+
+/**
+ * Release the hold on an authorized payment without capturing it
+ */
+export const voidAuthorization = async (reference) => {
+    try {
+        logger.info(LOG_CATEGORIES.PAYMENT, 'Voiding Stripe authorization', { reference });
+
+        const paymentIntent = await circuitBreakers.stripe.execute(async () => {
+            const client = getClient();
+            const session = await client.checkout.sessions.retrieve(reference);
+
+            if (!session.payment_intent) {
+                throw new Error(`Checkout session ${reference} has no payment intent to void`);
+            }
+
+            return await client.paymentIntents.cancel(session.payment_intent);
+        });
+
+        return {
+            success: true,
+            cancelled: true,
+            gatewayResponse: {
+                payment_intent: paymentIntent.id,
+                status: paymentIntent.status,
+                cancelled_at: new Date().toISOString()
+            }
+        };
+    } catch (error) {
+        logger.error(LOG_CATEGORIES.PAYMENT, 'Stripe authorization void error', {
+            reference,
+            error: error.message
+        });
+
+        return {
+            success: false,
+            error: {
+                code: 'STRIPE_ERROR',
+                message: error.message,
+                type: 'void_error'
+            }
+        };
+    }
+};
+
+/**
+ * Stripe checkout sessions are not set up for future use, so there is no authorization to save or charge
+ */
+const savedMethodsNotSupported = () => ({
+    success: false,
+    error: {
+        code: 'SAVED_PAYMENT_METHODS_NOT_SUPPORTED',
+        message: 'Stripe payments cannot be saved as payment methods',
+        type: 'unsupported_operation'
+    }
+});
+
+/**
+ * Get a reusable authorization from a payment (not supported for Stripe checkout sessions)
+ */
+export const getReusableAuthorization = async () => savedMethodsNotSupported();
+
+/**
+ * Charge a saved authorization (not supported for Stripe checkout sessions)
+ */
+export const chargeAuthorization = async () => savedMethodsNotSupported();
+
+/**
+ * Cancel an unpaid payment by expiring its checkout session so the customer can no longer pay it
+ */
+export const cancelPayment = async (reference) => {
+    try {
+        logger.info(LOG_CATEGORIES.PAYMENT, 'Expiring Stripe checkout session', { reference });
+
+        const session = await circuitBreakers.stripe.execute(async () => {
+            return await getClient().checkout.sessions.expire(reference);
+        });
+
+        return {
+            success: true,
+            cancelled: true,
+            gatewayResponse: {
+                reference: session.id,
+                session_id: session.id,
+                status: session.payment_status,
+                session_status: session.status
+            }
+        };
+    } catch (error) {
+        logger.error(LOG_CATEGORIES.PAYMENT, 'Stripe checkout session expiry error', {
+            reference,
+            error: error.message
+        });
+
+        return {
+            success: false,
+            error: {
+                code: 'STRIPE_ERROR',
+                message: error.message,
+                type: 'cancel_error'
+            }
+        };
+    }
+};
+
+// Cursor prefix of the payment intent pages, which follow the checkout session pages
+const PAYMENT_INTENTS_CURSOR = 'payment_intents:';
+
+/**
+ * List payments for settlement reconciliation: checkout sessions, then payment intents.
+ * Intents also cover charges made without a checkout session; an intent that belongs to a listed
+ * session is named in the session's aliases, so it is only reconciled once.
+ * @param {Object} options - { from, to, cursor, perPage } where cursor is the last session ID of the
+ * previous page, or PAYMENT_INTENTS_CURSOR followed by the last intent ID
+ * @returns {Object} { success, items, nextCursor } with amounts in minor units
+ */
+export const listTransactions = async ({ from, to, cursor = null, perPage = 100 } = {}) => {
+    if (cursor?.startsWith(PAYMENT_INTENTS_CURSOR)) {
+        const result = await listStripeRecords('payment_intents', {
+            from,
+            to,
+            cursor: cursor.slice(PAYMENT_INTENTS_CURSOR.length) || null,
+            perPage
+        }, (intent) => ({
+            type: 'payment',
+            reference: intent.id,
+            clientReference: intent.metadata?.reference,
+            gatewayId: intent.id,
+            amount: intent.amount,
+            currency: intent.currency?.toUpperCase(),
+            status: mapStripeIntentStatus(intent),
+            gatewayStatus: intent.status,
+            occurredAt: new Date(intent.created * 1000).toISOString()
+        }));
+        return result.nextCursor ? { ...result, nextCursor: `${PAYMENT_INTENTS_CURSOR}${result.nextCursor}` } : result;
+    }
+
+    const result = await listStripeRecords('checkout.sessions', { from, to, cursor, perPage }, (session) => ({
+        type: 'payment',
+        reference: session.id,
+        clientReference: session.client_reference_id,
+        gatewayId: session.id,
+        aliases: getPaymentIntentId(session) ? [getPaymentIntentId(session)] : [],
+        amount: session.amount_total || 0,
+        currency: session.currency?.toUpperCase(),
+        status: mapStripeSessionStatus(session),
+        gatewayStatus: session.payment_status,
+        occurredAt: new Date(session.created * 1000).toISOString()
+    }));
+    return result.success && !result.nextCursor ? { ...result, nextCursor: PAYMENT_INTENTS_CURSOR } : result;
+};
+
+/**
+ * List refunds for settlement reconciliation
+ * @param {Object} options - { from, to, cursor, perPage } where cursor is the last refund ID of the previous page
+ * @returns {Object} { success, items, nextCursor } with amounts in minor units
+ */
+export const listRefunds = async ({ from, to, cursor = null, perPage = 100 } = {}) => {
+    return await listStripeRecords('refunds', { from, to, cursor, perPage }, (refund) => ({
+        type: 'refund',
+        reference: refund.id,
+        gatewayId: refund.id,
+        paymentReference: refund.payment_intent,
+        amount: refund.amount,
+        currency: refund.currency?.toUpperCase(),
+        status: mapStripeRefundStatus(refund.status),
+        gatewayStatus: refund.status,
+        occurredAt: new Date(refund.created * 1000).toISOString()
+    }));
+};
+
+// Stripe list endpoints used for settlement reconciliation
+const STRIPE_LISTS = {
+    'checkout.sessions': (client) => client.checkout.sessions,
+    payment_intents: (client) => client.paymentIntents,
+    refunds: (client) => client.refunds
+};
+
+/**
+ * Fetch one page from a Stripe list endpoint filtered by creation time
+ */
+const listStripeRecords = async (resource, { from, to, cursor, perPage }, mapRecord) => {
+    try {
+        const created = {};
+        if (from) created.gte = Math.floor(new Date(from).getTime() / 1000);
+        if (to) created.lte = Math.floor(new Date(to).getTime() / 1000);
+
+        const params = { limit: Math.min(perPage, 100) };
+        if (from || to) params.created = created;
+        if (cursor) params.starting_after = cursor;
+
+        const page = await circuitBreakers.stripe.execute(async () => {
+            return await STRIPE_LISTS[resource](getClient()).list(params);
+        });
+
+        const items = page.data.map(mapRecord);
+
+        return {
+            success: true,
+            items,
+            nextCursor: page.has_more && page.data.length > 0 ? page.data[page.data.length - 1].id : null
+        };
+    } catch (error) {
+        logger.error(LOG_CATEGORIES.PAYMENT, `Stripe ${resource} listing error`, {
+            error: error.message
+        });
+
+        return {
+            success: false,
+            error: {
+                code: 'STRIPE_ERROR',
+                message: error.message,
+                type: 'list_error'
+            }
+        };
+    }
+};
+
+/**
+ * Verify webhook signature (Stripe-Signature header)
+ */
+export const verifyWebhook = (payload, signature) => {
+    try {
+        Stripe.webhooks.constructEvent(payload, signature, STRIPE_WEBHOOK_SECRET);
+        return true;
+    } catch (error) {
+        console.error('Stripe webhook verification error:', error.message);
+        return false;
+    }
+};
+
+/**
+ * Unique ID of a webhook event, used to deduplicate redeliveries
+ */
+export const getWebhookEventId = (event) => event?.id || null;
+
+/**
+ * Handle webhook events
+ */
+export const handleWebhook = async (event) => {
+    try {
+        const { type: eventType, data } = event;
+        const object = data?.object || {};
+
+        logger.info(LOG_CATEGORIES.WEBHOOK, 'Processing Stripe webhook', {
+            eventType,
+            objectId: object.id
+        });
+
+        switch (eventType) {
+            case 'checkout.session.completed':
+            case 'checkout.session.async_payment_succeeded':
+                return {
+                    type: 'payment_update',
+                    payment_id: object.id, // Checkout session ID is stored as the payment reference
+                    status: mapStripeSessionStatus(object),
+                    gatewayResponse: formatSessionResponse(object)
+                };
+
+            case 'checkout.session.async_payment_failed':
+            case 'checkout.session.expired':
+                return {
+                    type: 'payment_update',
+                    payment_id: object.id,
+                    status: 'FAILED',
+                    gatewayResponse: formatSessionResponse(object)
+                };
+
+            case 'refund.updated':
+            case 'refund.created':
+                return {
+                    type: 'refund_update',
+                    refundId: object.id,
+                    status: mapStripeRefundStatus(object.status),
+                    gatewayResponse: object
+                };
+
+            default:
+                logger.warn(LOG_CATEGORIES.WEBHOOK, 'Unhandled Stripe webhook event', { eventType });
+
+                return {
+                    success: false,
+                    error: {
+                        code: 'UNKNOWN_EVENT',
+                        message: `Unknown webhook event: ${eventType}`,
+                        type: 'webhook_error'
+                    }
+                };
+        }
+
+    } catch (error) {
+        logger.error(LOG_CATEGORIES.WEBHOOK, 'Stripe webhook processing error', {
+            eventType: event?.type,
+            error: error.message
+        });
+
+        return {
+            success: false,
+            error: {
+                code: 'WEBHOOK_ERROR',
+                message: error.message,
+                type: 'processing_error'
+            }
+        };
+    }
+};
+
+/**
+ * Map a Stripe checkout session to our internal status
+ */
+const mapStripeSessionStatus = (session) => {
+    if (session.payment_status === 'paid' || session.payment_status === 'no_payment_required') {
+        return 'SUCCEEDED';
+    }
+    // A completed manual-capture session leaves the funds on hold until captured.
+    // Webhook payloads carry only the intent ID, so fall back to the capture method we set.
+    if (typeof session.payment_intent === 'object' && session.payment_intent) {
+        if (session.payment_intent.status === 'requires_capture') return 'AUTHORIZED';
+        if (session.payment_intent.status === 'canceled') return 'CANCELLED';
+    } else if (session.status === 'complete' && session.metadata?.capture_method === 'manual') {
+        return 'AUTHORIZED';
+    }
+    if (session.status === 'expired') {
+        return 'FAILED';
+    }
+    return 'PENDING';
+};
+
+/**
+ * Map a Stripe payment intent to our internal status
+ */
+const mapStripeIntentStatus = (intent) => {
+    if (intent.status === 'succeeded') return 'SUCCEEDED';
+    if (intent.status === 'requires_capture') return 'AUTHORIZED';
+    if (intent.status === 'canceled') return 'CANCELLED';
+    // Declined attempts leave the intent waiting for another payment method
+    if (intent.status === 'requires_payment_method' && intent.last_payment_error) return 'FAILED';
+    return 'PENDING';
+};
+
+/**
+ * Map Stripe refund status to our internal refund status
+ */
+const mapStripeRefundStatus = (stripeStatus) => {
+    const statusMap = {
+        'pending': 'PENDING',
+        'requires_action': 'PENDING',
+        'succeeded': 'SUCCEEDED',
+        'failed': 'FAILED',
+        'canceled': 'FAILED'
+    };
+
+    return statusMap[stripeStatus] || 'PENDING';
+};
+
+/**
+ * Payment intent ID of a checkout session, whether or not the intent was expanded
+ */
+const getPaymentIntentId = (session) => session.payment_intent?.id || session.payment_intent || null;
+
+/**
+ * Stored gateway response of a checkout session, from verification or a webhook.
+ * `reference` stays the session ID so refunds, capture and later webhooks can find the session.
+ */
+const formatSessionResponse = (session) => ({
+    reference: session.id,
+    client_reference: session.client_reference_id,
+    session_id: session.id,
+    payment_intent: getPaymentIntentId(session),
+    status: session.payment_status,
+    session_status: session.status,
+    amount: session.amount_total,
+    currency: session.currency?.toUpperCase(),
+    customer_email: session.customer_details?.email || session.customer_email
+});
+
+/**
+ * Stripe metadata only accepts flat string values
+ */
+const flattenMetadata = (metadata = {}) => {
+    const flat = {};
+    Object.entries(metadata).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        flat[key] = typeof value === 'object' ? JSON.stringify(value).slice(0, 500) : String(value);
+    });
+    return flat;
+};
+
+/**
+ * Get supported payment methods
+ */
+export const getSupportedPaymentMethods = () => {
+    return [
+        {
+            type: 'CARD',
+            name: 'Credit/Debit Card',
+            description: 'Visa, Mastercard, American Express',
+            requiresBrand: true,
+            requiresLast4: true
+        },
+        {
+            type: 'WALLET',
+            name: 'Digital Wallet',
+            description: 'Apple Pay, Google Pay',
+            requiresBrand: false,
+            requiresLast4: false
+        }
+    ];
+};
+
+/**
+ * Get supported currencies, as listed in the currency registry
+ */
+export const getSupportedCurrencies = () => getGatewayCurrencies('stripe');
@@ -1,12 +1,15 @@
+import { randomUUID } from 'crypto';
 import { publish } from './queueSetup.js';
 
 /**
  * Publishes a payment event to the RabbitMQ queue.
+ * Each event gets an eventId so consumers (e.g. merchant webhook deliveries) can drop redeliveries.
  * @param {string} eventType - The type of event, e.g. "payment_initiated"
  * @param {Object} payload - The payment data payload
  */
 export const publishPaymentEvent = (eventType, payload) => {
   const eventPayload = {
+    eventId: randomUUID(),
     eventType,
     timestamp: new Date().toISOString(),
     ...payload,
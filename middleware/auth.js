@@ -4,6 +4,10 @@
  */
 
 import { verifyToken, extractUserId, extractUserDetails } from '../services/userService.js';
+import { verifyWebhookSignature } from '../services/paymentProcessor.js';
+import { authenticateApiKey, getKeyPrefix } from '../services/apiKeys.js';
+import { logSecurity } from '../utils/logger.js';
+import { hasRole } from './authorization.js';
 
 /**
  * Middleware to validate authorization token
@@ -48,8 +52,7 @@ export const validateToken = async (req, res, next) => {
             });
         }
 
-        // Verify token with user service
-        console.log('Verifying token with user service...');
+        // Verify token locally (JWT) or with the user service
         let tokenVerification;
         try {
             tokenVerification = await verifyToken(authToken);
@@ -65,6 +68,20 @@ export const validateToken = async (req, res, next) => {
             });
         }
         
+        // The token couldn't be checked either way, so the client should retry rather than re-authenticate
+        if (!tokenVerification.success && tokenVerification.error?.code === 'USER_SERVICE_UNAVAILABLE') {
+            console.error('Token verification unavailable:', tokenVerification.error.details);
+            res.set('Retry-After', String(tokenVerification.error.retryAfter));
+            return res.status(503).json({
+                success: false,
+                error: {
+                    code: 'AUTH_SERVICE_UNAVAILABLE',
+                    message: 'Authentication is temporarily unavailable',
+                    details: 'The token could not be verified, please retry shortly'
+                }
+            });
+        }
+
         if (!tokenVerification.success) {
             console.error('Token verification failed:', tokenVerification.error);
             return res.status(401).json({
@@ -94,10 +111,12 @@ export const validateToken = async (req, res, next) => {
 
         // Attach user info to request for use in route handlers
         req.user = {
+            type: 'user',
             id: user_id,
             details: userDetails,
             token: authToken
         };
+        req.principal = req.user;
 
         next();
     } catch (error) {
@@ -113,6 +132,62 @@ export const validateToken = async (req, res, next) => {
     }
 };
 
+/**
+ * Middleware accepting either an API key (X-API-Key header) or a user token
+ * Both set req.principal, and req.user to the same object, as { type, id, details }:
+ * type 'user' with the user service details, or type 'service' with { name, prefix, scopes } of the key.
+ * A request carrying an API key is authenticated with the key only.
+ */
+export const authenticate = async (req, res, next) => {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey === undefined) {
+        return validateToken(req, res, next);
+    }
+
+    try {
+        const result = await authenticateApiKey(apiKey, { ip: req.ip });
+
+        if (!result.success) {
+            logSecurity('api_key_rejected', {
+                code: result.error.code,
+                prefix: getKeyPrefix(apiKey),
+                ip: req.ip,
+                method: req.method,
+                path: req.originalUrl
+            }, 'medium', req.headers['x-request-id'] || null);
+
+            return res.status(result.error.code === 'API_KEY_IP_NOT_ALLOWED' ? 403 : 401).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const key = result.data;
+        req.user = {
+            type: 'service',
+            id: key.id,
+            details: {
+                name: key.name,
+                prefix: key.prefix,
+                scopes: key.scopes
+            }
+        };
+        req.principal = req.user;
+
+        next();
+    } catch (error) {
+        console.error('API key authentication error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'AUTH_MIDDLEWARE_ERROR',
+                message: 'Authentication middleware error',
+                details: error.message
+            }
+        });
+    }
+};
+
 /**
  * Middleware to validate HTTP methods
  */
@@ -134,7 +209,8 @@ export const validateHttpMethod = (allowedMethods) => {
 
 /**
  * Middleware to validate idempotency key from header
- * For retry requests, provides more specific error messaging
+ * For retry requests, provides more specific error messaging.
+ * Only requires the key; idempotent() in middleware/idempotency.js records and replays responses.
  */
 export const validateIdempotencyKey = (req, res, next) => {
     // Get idempotency key from header (standard practice)
@@ -169,3 +245,82 @@ export const validateIdempotencyKey = (req, res, next) => {
     req.idempotencyKey = idempotencyKey;
     next();
 };
+
+/**
+ * body-parser `verify` hook that keeps the raw request body for webhook signature checks.
+ * Signatures are computed over the exact bytes sent, so re-serializing req.body is not safe.
+ */
+export const captureRawBody = (req, res, buf) => {
+    if (buf && buf.length > 0) {
+        req.rawBody = buf;
+    }
+};
+
+/**
+ * Middleware to verify a gateway webhook signature against the raw request body
+ * @param {string} gateway - Gateway name registered in gateways/index.js
+ * @param {string} signatureHeader - Header carrying the gateway signature
+ */
+export const validateWebhookSignature = (gateway, signatureHeader) => {
+    return (req, res, next) => {
+        const signature = req.headers[signatureHeader];
+        const reason = !signature
+            ? 'missing_signature'
+            : !req.rawBody
+                ? 'missing_raw_body'
+                : !verifyWebhookSignature(req.rawBody, signature, gateway)
+                    ? 'invalid_signature'
+                    : null;
+
+        if (reason) {
+            logSecurity('webhook_signature_rejected', {
+                gateway,
+                reason,
+                ip: req.ip,
+                userAgent: req.headers['user-agent'],
+                path: req.originalUrl
+            }, 'high', req.headers['x-request-id'] || null);
+
+            return res.status(401).json({
+                success: false,
+                error: {
+                    code: 'INVALID_WEBHOOK_SIGNATURE',
+                    message: 'Webhook signature verification failed',
+                    details: `A valid ${signatureHeader} header is required`
+                }
+            });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Whether the authenticated user has the admin role
+ */
+export const isAdmin = (user) => hasRole(user, 'admin');
+
+/**
+ * Middleware to restrict a route to administrators
+ * Must run after validateToken
+ */
+export const requireAdmin = (req, res, next) => {
+    if (!isAdmin(req.user)) {
+        logSecurity('admin_access_denied', {
+            userId: req.user?.id,
+            method: req.method,
+            path: req.originalUrl
+        }, 'medium', req.headers['x-request-id'] || null);
+
+        return res.status(403).json({
+            success: false,
+            error: {
+                code: 'FORBIDDEN',
+                message: 'Admin access required',
+                details: 'This endpoint is restricted to administrators'
+            }
+        });
+    }
+
+    next();
+};
@@ -0,0 +1,119 @@
+/**
+ * Authorization
+ * Roles and scopes come from the user service response (see validateToken). Each role grants a set
+ * of scopes and the user service can grant further scopes directly. A scope such as payments:read
+ * covers the caller's own records; payments:read:all covers everyone's. Denials are logged as
+ * security events.
+ *
+ * Services authenticated with an API key (type 'service', see authenticate) have no roles. They act for
+ * many customers, so each scope of their key also grants its :all variant.
+ */
+
+import { logSecurity } from '../utils/logger.js';
+
+export const ROLES = ['customer', 'support', 'finance', 'admin'];
+
+// Users without a recognised role are customers
+const DEFAULT_ROLE = 'customer';
+
+// Grants every scope
+const ALL_SCOPES = '*';
+
+export const ROLE_SCOPES = {
+    customer: ['payments:read', 'payments:write', 'refunds:read', 'refunds:write', 'history:read'],
+    support: ['payments:read:all', 'refunds:read:all', 'history:read:all'],
+    finance: ['payments:read:all', 'refunds:read:all', 'refunds:write:all', 'history:read:all'],
+    admin: [ALL_SCOPES]
+};
+
+export const isService = (user) => user?.type === 'service';
+
+/**
+ * Roles of an authenticated user, from details.roles or details.role
+ */
+export const getRoles = (user) => {
+    if (isService(user)) {
+        return [];
+    }
+
+    const details = user?.details || {};
+    const claimed = Array.isArray(details.roles) ? details.roles : [details.role];
+    const roles = claimed
+        .filter(role => typeof role === 'string')
+        .map(role => role.toLowerCase())
+        .filter(role => ROLES.includes(role));
+
+    return roles.length > 0 ? [...new Set(roles)] : [DEFAULT_ROLE];
+};
+
+/**
+ * Scopes of an authenticated user: those of its roles plus any granted by the user service
+ * (details.scopes as a list, or an OAuth-style space separated string)
+ */
+export const getScopes = (user) => {
+    if (isService(user)) {
+        return new Set(user.details.scopes.flatMap(scope => [scope, `${scope}:all`]));
+    }
+
+    const granted = user?.details?.scopes;
+    const direct = Array.isArray(granted)
+        ? granted
+        : typeof granted === 'string' ? granted.split(' ') : [];
+
+    return new Set([
+        ...getRoles(user).flatMap(role => ROLE_SCOPES[role]),
+        ...direct.filter(scope => typeof scope === 'string' && scope)
+    ]);
+};
+
+export const hasRole = (user, role) => getRoles(user).includes(role);
+
+export const hasScope = (user, scope) => {
+    const scopes = getScopes(user);
+    return scopes.has(ALL_SCOPES) || scopes.has(scope);
+};
+
+/**
+ * Whether a user may act on a record owned by ownerId: their own with `scope`, anyone's with `scope:all`
+ * @param {Object} user - req.user
+ * @param {string|null} ownerId - user_id of the record
+ * @param {string} scope - e.g. payments:read
+ */
+export const canAccessOwned = (user, ownerId, scope) =>
+    hasScope(user, `${scope}:all`) || (ownerId !== null && ownerId !== undefined && ownerId === user?.id && hasScope(user, scope));
+
+/**
+ * Log a denied request as a security event
+ * @param {Object} req - Express request
+ * @param {Object} details - What was denied, e.g. { scope, resource, resourceId }
+ */
+export const logAccessDenied = (req, details) => {
+    logSecurity('access_denied', {
+        userId: req.user?.id,
+        roles: getRoles(req.user),
+        method: req.method,
+        path: req.originalUrl,
+        ...details
+    }, 'medium', req.headers['x-request-id'] || null);
+};
+
+/**
+ * Middleware restricting a route to users holding a scope
+ * Must run after validateToken
+ */
+export const requireScope = (scope) => (req, res, next) => {
+    if (!hasScope(req.user, scope)) {
+        logAccessDenied(req, { scope });
+
+        return res.status(403).json({
+            success: false,
+            error: {
+                code: 'INSUFFICIENT_SCOPE',
+                message: 'Insufficient permissions',
+                details: `This endpoint requires the ${scope} scope`
+            }
+        });
+    }
+
+    next();
+};
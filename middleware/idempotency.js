@@ -0,0 +1,155 @@
+/**
+ * Idempotency Middleware
+ * Requests sent with an Idempotency-Key run once per principal and key. A repeat with the same method,
+ * path and body gets the recorded status, headers and body again, byte for byte, with
+ * Idempotent-Replayed: true. A repeat with a different request gets 422, and a repeat while the first
+ * request is still running gets 409. Server errors (5xx) and 429s are not recorded, so they can be retried.
+ * Records expire after IDEMPOTENCY_TTL_HOURS (services/idempotencyStore.js).
+ */
+
+import {
+    CLAIM_OUTCOMES,
+    fingerprintRequest,
+    claimIdempotencyKey,
+    completeRequest,
+    releaseRequest
+} from '../services/idempotencyStore.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// Response headers recorded with the body and sent again on replay
+const REPLAYED_HEADERS = ['content-type', 'location'];
+
+const isRecordable = (statusCode) => statusCode < 500 && statusCode !== 429;
+
+const toBuffer = (chunk, encoding) => Buffer.isBuffer(chunk)
+    ? chunk
+    : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+
+/**
+ * Collect what the route sends and record it against the claim once the response has finished
+ */
+const recordResponse = (res, claim) => {
+    const chunks = [];
+    const write = res.write;
+    const end = res.end;
+
+    res.write = function (chunk, encoding, callback) {
+        if (chunk && typeof chunk !== 'function') {
+            chunks.push(toBuffer(chunk, encoding));
+        }
+        return write.call(this, chunk, encoding, callback);
+    };
+
+    res.end = function (chunk, encoding, callback) {
+        if (chunk && typeof chunk !== 'function') {
+            chunks.push(toBuffer(chunk, encoding));
+        }
+        return end.call(this, chunk, encoding, callback);
+    };
+
+    const settle = (finished) => {
+        const outcome = finished && isRecordable(res.statusCode)
+            ? completeRequest(claim, {
+                statusCode: res.statusCode,
+                headers: Object.fromEntries(REPLAYED_HEADERS
+                    .filter(name => res.getHeader(name) !== undefined)
+                    .map(name => [name, String(res.getHeader(name))])),
+                body: Buffer.concat(chunks)
+            })
+            : releaseRequest(claim);
+
+        outcome.catch(error => {
+            console.error(`Failed to settle idempotency record ${claim.recordId}:`, error.message);
+        });
+    };
+
+    // A response that never finished (client gone, socket error) is released rather than recorded
+    res.once('finish', () => settle(true));
+    res.once('close', () => {
+        if (!res.writableFinished) settle(false);
+    });
+};
+
+/**
+ * Middleware making a route idempotent when the request carries an Idempotency-Key
+ * Must run after authenticate (or validateToken); requests without a key pass straight through.
+ * @param {Object} options - { ignoreFields } top-level body fields that don't count as a different request
+ */
+export const idempotent = ({ ignoreFields = [] } = {}) => async (req, res, next) => {
+    const key = req.idempotencyKey ?? req.headers['idempotency-key'] ?? req.headers['x-idempotency-key'];
+    if (key === undefined) {
+        return next();
+    }
+
+    if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'INVALID_IDEMPOTENCY_KEY',
+                message: 'Invalid idempotency key',
+                details: `Idempotency keys must be 1 to ${MAX_KEY_LENGTH} characters`
+            }
+        });
+    }
+
+    const path = `${req.baseUrl}${req.path}`;
+
+    let claim;
+    try {
+        claim = await claimIdempotencyKey({
+            principalType: req.principal?.type ?? 'anonymous',
+            principalId: req.principal?.id ?? '',
+            key,
+            method: req.method,
+            path,
+            fingerprint: fingerprintRequest({ method: req.method, path, body: req.body, ignoreFields })
+        });
+    } catch (error) {
+        console.error('Idempotency claim error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'IDEMPOTENCY_STORE_ERROR',
+                message: 'Could not check the idempotency key',
+                details: error.message
+            }
+        });
+    }
+
+    switch (claim.outcome) {
+        case CLAIM_OUTCOMES.REPLAY: {
+            const { statusCode, headers, body } = claim.response;
+            Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+            res.setHeader('Idempotent-Replayed', 'true');
+            return res.status(statusCode).end(body);
+        }
+
+        case CLAIM_OUTCOMES.MISMATCH:
+            return res.status(422).json({
+                success: false,
+                error: {
+                    code: 'IDEMPOTENCY_KEY_MISMATCH',
+                    message: 'Idempotency key was used for a different request',
+                    details: 'Use a new Idempotency-Key for a request with a different method, path or body'
+                }
+            });
+
+        case CLAIM_OUTCOMES.IN_PROGRESS:
+            res.set('Retry-After', String(claim.retryAfter));
+            return res.status(409).json({
+                success: false,
+                error: {
+                    code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+                    message: 'A request with this idempotency key is still being processed',
+                    details: 'Retry after the first request has finished to get its response'
+                }
+            });
+
+        default:
+            recordResponse(res, claim);
+            next();
+    }
+};
+
+export default idempotent;
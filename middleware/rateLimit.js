@@ -0,0 +1,96 @@
+/**
+ * Rate Limit Middleware
+ * Per-route inbound limits counted per API key, user, or client IP when the caller is anonymous.
+ * Authenticated routes are also limited per client IP ahead of authentication ('requests:ip', applied in
+ * src/app.js), so requests with bad tokens or API keys, which never reach the per-caller policies, are limited too.
+ * Counters are shared across replicas through Redis (services/rateLimitStore.js). Every limited response
+ * carries RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy; refusals are 429
+ * with Retry-After and are counted in http_rate_limit_rejections_total.
+ */
+
+import { hitRateLimit } from '../services/rateLimitStore.js';
+import { recordRateLimitRejection } from '../src/metrics.js';
+
+// Rate limit configuration
+export const RATE_LIMIT_CONFIG = {
+    ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false'
+};
+
+const perMinute = (envValue, fallback) => ({ limit: parseInt(envValue) || fallback, windowMs: 60000 });
+
+// Limits per route; each caller gets its own allowance under every policy
+export const RATE_LIMIT_POLICIES = {
+    'payments:create': perMinute(process.env.RATE_LIMIT_PAYMENTS_CREATE_PER_MINUTE, 30),
+    'payments:update': perMinute(process.env.RATE_LIMIT_PAYMENTS_UPDATE_PER_MINUTE, 60),
+    'refunds:create': perMinute(process.env.RATE_LIMIT_REFUNDS_CREATE_PER_MINUTE, 30),
+    'payment-links:open': perMinute(process.env.RATE_LIMIT_PAYMENT_LINKS_OPEN_PER_MINUTE, 60),
+    'payment-links:pay': perMinute(process.env.RATE_LIMIT_PAYMENT_LINKS_PAY_PER_MINUTE, 20),
+    'requests:ip': perMinute(process.env.RATE_LIMIT_REQUESTS_PER_IP_PER_MINUTE, 300)
+};
+
+/**
+ * Who a request is counted against: the API key or user once authenticated, otherwise the client IP
+ */
+const callerOf = (req) => {
+    if (req.principal?.type === 'service') return { type: 'service', key: `key:${req.principal.id}` };
+    if (req.principal) return { type: 'user', key: `user:${req.principal.id}` };
+    return { type: 'ip', key: `ip:${req.ip}` };
+};
+
+/**
+ * Middleware enforcing a rate limit policy
+ * Place it after authenticate so API keys and users get their own allowance; before it, callers are
+ * counted by IP.
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ */
+export const rateLimit = (policyName) => {
+    const policy = RATE_LIMIT_POLICIES[policyName];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${policyName}`);
+    }
+
+    return async (req, res, next) => {
+        if (!RATE_LIMIT_CONFIG.ENABLED) {
+            return next();
+        }
+
+        const caller = callerOf(req);
+
+        let result;
+        try {
+            result = await hitRateLimit(`${policyName}:${caller.key}`, policy);
+        } catch (error) {
+            // Never turn a counting problem into an outage
+            console.error(`Rate limit check failed for ${policyName}:`, error.message);
+            return next();
+        }
+
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+        res.set('RateLimit-Policy', `${policy.limit};w=${policy.windowMs / 1000}`);
+
+        if (result.allowed) {
+            return next();
+        }
+
+        const retryAfter = Math.max(Math.ceil(result.retryAfterMs / 1000), 1);
+        recordRateLimitRejection(policyName, caller.type, result.store);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            success: false,
+            error: {
+                code: 'RATE_LIMIT_EXCEEDED',
+                message: 'Too many requests',
+                details: {
+                    policy: policyName,
+                    limit: policy.limit,
+                    windowSeconds: policy.windowMs / 1000,
+                    retryAfter
+                }
+            }
+        });
+    };
+};
+
+export default rateLimit;
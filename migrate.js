@@ -26,7 +26,27 @@ async function runMigrations() {
         // Read and execute migration files in order
         const migrations = [
             'payment_service_schema.sql',
-            'sample_data_fixed.sql'
+            'sample_data_fixed.sql',
+            'add_payment_gateway_column.sql',
+            'create_webhook_events.sql',
+            'create_payment_sync_jobs.sql',
+            'create_reconciliation_runs.sql',
+            'payment_history_change_context.sql',
+            'add_payment_capture_columns.sql',
+            'create_saved_payment_methods.sql',
+            'add_payment_method_key_version.sql',
+            'create_subscriptions.sql',
+            'convert_amounts_to_minor_units.sql',
+            'create_fx_rates.sql',
+            'create_payment_limits.sql',
+            'add_payment_review_status.sql',
+            'create_payment_risk_assessments.sql',
+            'create_payment_links.sql',
+            'create_invoices.sql',
+            'create_merchant_webhooks.sql',
+            'create_api_keys.sql',
+            'create_idempotency_records.sql',
+            'scope_idempotency_keys.sql'
         ];
 
         for (const migration of migrations) {
@@ -169,17 +169,20 @@ class HealthMonitor {
             const health = circuitBreakers.paystack.getState();
             const dbHealth = circuitBreakers.database.getState();
             const mqHealth = circuitBreakers.rabbitmq.getState();
+            const userServiceHealth = circuitBreakers.userService.getState();
             
             const allHealthy = health.state === 'CLOSED' && 
                              dbHealth.state === 'CLOSED' && 
-                             mqHealth.state === 'CLOSED';
+                             mqHealth.state === 'CLOSED' &&
+                             userServiceHealth.state === 'CLOSED';
             
             return {
                 status: allHealthy ? 'healthy' : 'degraded',
                 circuitBreakers: {
                     paystack: health,
                     database: dbHealth,
-                    rabbitmq: mqHealth
+                    rabbitmq: mqHealth,
+                    userService: userServiceHealth
                 },
                 details: allHealthy ? 'All circuit breakers are closed' : 'Some circuit breakers are open'
             };
@@ -194,14 +197,15 @@ class HealthMonitor {
 
     async checkPaymentQueue() {
         try {
-            const queueStatus = getQueueStatus();
+            const queueStatus = await getQueueStatus();
             
-            const isHealthy = queueStatus.queueSize < 1000 && !queueStatus.isProcessing;
+            const isHealthy = queueStatus.queueSize < 1000 && queueStatus.counts.DEAD < 100;
             
             return {
                 status: isHealthy ? 'healthy' : 'degraded',
-                queueStatus,
-                details: isHealthy ? 'Payment queue is healthy' : 'Payment queue is overloaded'
+                queueSize: queueStatus.queueSize,
+                counts: queueStatus.counts,
+                details: isHealthy ? 'Payment queue is healthy' : 'Payment queue is overloaded or has too many dead jobs'
             };
         } catch (error) {
             return {
@@ -0,0 +1,202 @@
+import express from 'express';
+import { API_CONFIG, SECURITY_CONFIG } from '../config/constants.js';
+import { validateToken, requireAdmin } from '../middleware/auth.js';
+import { logSecurity } from '../utils/logger.js';
+import {
+    API_KEY_SCOPES,
+    formatApiKey,
+    issueApiKey,
+    listApiKeys,
+    getApiKey,
+    rotateApiKey,
+    revokeApiKey
+} from '../services/apiKeys.js';
+
+const router = express.Router();
+
+// Keys are managed by administrators signed in as users; a key can't manage keys
+router.use(validateToken, requireAdmin);
+
+// HTTP status for each service error code
+const ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    API_KEY_NOT_FOUND: 404,
+    API_KEY_INACTIVE: 409,
+    API_KEY_ALREADY_ROTATED: 409,
+    API_KEY_ALREADY_REVOKED: 409
+};
+
+const sendError = (res, error) => res.status(ERROR_STATUS[error.code] || 500).json({
+    success: false,
+    error
+});
+
+const sendInternalError = (res, message, error) => res.status(500).json({
+    success: false,
+    error: {
+        code: 'INTERNAL_ERROR',
+        message,
+        details: error.message
+    }
+});
+
+const sendData = (req, res, status, data) => res.status(status).json({
+    success: true,
+    data,
+    metadata: {
+        status,
+        correlation_id: req.headers['x-request-id'] || 'unknown'
+    }
+});
+
+const logKeyChange = (req, event, key) => logSecurity(event, {
+    keyId: key.id,
+    prefix: key.prefix,
+    name: key.name,
+    scopes: key.scopes,
+    actorId: req.user.id
+}, 'low', req.headers['x-request-id'] || null);
+
+/**
+ * @returns {boolean} false after sending the error response
+ */
+const checkKeyId = (req, res) => {
+    if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+        sendError(res, {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid API key ID format',
+            details: 'API key ID must be a valid UUID'
+        });
+        return false;
+    }
+    return true;
+};
+
+/**
+ * POST /api-keys - Issue an API key
+ * Body: { name, scopes, allowedIps, expiresAt }. allowedIps (addresses or CIDR ranges) and expiresAt
+ * are optional. The key is only returned in this response.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { name, scopes, allowedIps, expiresAt } = req.body || {};
+        const result = await issueApiKey({
+            name,
+            scopes,
+            allowedIps: allowedIps ?? null,
+            expiresAt: expiresAt ?? null,
+            createdBy: req.user.id
+        });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        logKeyChange(req, 'api_key_issued', result.data.key);
+        sendData(req, res, 201, { ...formatApiKey(result.data.key), apiKey: result.data.apiKey });
+    } catch (error) {
+        console.error('Issue API key error:', error);
+        sendInternalError(res, 'Failed to issue API key', error);
+    }
+});
+
+/**
+ * GET /api-keys - List API keys, newest first
+ * Query: includeInactive=true to list revoked and expired keys too, limit, offset
+ */
+router.get('/', async (req, res) => {
+    try {
+        const rows = await listApiKeys({
+            includeInactive: req.query.includeInactive === 'true',
+            limit: Math.min(parseInt(req.query.limit) || API_CONFIG.DEFAULT_PAGINATION_LIMIT, API_CONFIG.MAX_PAGINATION_LIMIT),
+            offset: Math.max(parseInt(req.query.offset) || API_CONFIG.DEFAULT_PAGINATION_OFFSET, 0)
+        });
+        sendData(req, res, 200, rows.map(formatApiKey));
+    } catch (error) {
+        console.error('List API keys error:', error);
+        sendInternalError(res, 'Failed to list API keys', error);
+    }
+});
+
+/**
+ * GET /api-keys/scopes - Scopes keys can be issued with
+ */
+router.get('/scopes', (req, res) => {
+    sendData(req, res, 200, API_KEY_SCOPES);
+});
+
+/**
+ * GET /api-keys/:id - Get an API key
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        if (!checkKeyId(req, res)) return;
+
+        const key = await getApiKey(req.params.id);
+        if (!key) {
+            return sendError(res, {
+                code: 'API_KEY_NOT_FOUND',
+                message: 'API key not found',
+                details: `No API key found with ID: ${req.params.id}`
+            });
+        }
+
+        sendData(req, res, 200, formatApiKey(key));
+    } catch (error) {
+        console.error('Get API key error:', error);
+        sendInternalError(res, 'Failed to get API key', error);
+    }
+});
+
+/**
+ * POST /api-keys/:id/rotate - Replace a key with a new one with the same settings
+ * Body: { gracePeriodSeconds } - how long the old key keeps working (0 revokes it now).
+ * The new key is only returned in this response.
+ */
+router.post('/:id/rotate', async (req, res) => {
+    try {
+        if (!checkKeyId(req, res)) return;
+
+        const { gracePeriodSeconds } = req.body || {};
+        const result = await rotateApiKey(req.params.id, {
+            actorId: req.user.id,
+            ...(gracePeriodSeconds !== undefined && { gracePeriodSeconds })
+        });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        logKeyChange(req, 'api_key_rotated', result.data.key);
+        sendData(req, res, 201, {
+            ...formatApiKey(result.data.key),
+            apiKey: result.data.apiKey,
+            previous: formatApiKey(result.data.previous)
+        });
+    } catch (error) {
+        console.error('Rotate API key error:', error);
+        sendInternalError(res, 'Failed to rotate API key', error);
+    }
+});
+
+/**
+ * POST /api-keys/:id/revoke - Revoke a key immediately
+ */
+router.post('/:id/revoke', async (req, res) => {
+    try {
+        if (!checkKeyId(req, res)) return;
+
+        const result = await revokeApiKey(req.params.id, { actorId: req.user.id });
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        logKeyChange(req, 'api_key_revoked', result.data);
+        sendData(req, res, 200, formatApiKey(result.data));
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        sendInternalError(res, 'Failed to revoke API key', error);
+    }
+});
+
+export default router;
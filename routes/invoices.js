@@ -0,0 +1,277 @@
+import express from 'express';
+import { API_CONFIG, SECURITY_CONFIG } from '../config/constants.js';
+import { validateToken, requireAdmin, isAdmin } from '../middleware/auth.js';
+import {
+    INVOICE_STATUSES,
+    formatInvoice,
+    formatAllocation,
+    getInvoice,
+    listInvoices,
+    createInvoice,
+    updateDraftInvoice,
+    finalizeInvoice,
+    voidInvoice,
+    allocatePayment
+} from '../services/invoiceService.js';
+
+const router = express.Router();
+
+router.use(validateToken);
+
+// HTTP status for each service error code
+const ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    INVOICE_EMPTY: 400,
+    PAYMENT_CURRENCY_MISMATCH: 400,
+    INVOICE_NOT_FOUND: 404,
+    PAYMENT_NOT_FOUND: 404,
+    INVOICE_NOT_DRAFT: 409,
+    INVOICE_NOT_OPEN: 409,
+    INVOICE_NOT_VOIDABLE: 409,
+    INVOICE_HAS_PAYMENTS: 409,
+    PAYMENT_NOT_ALLOCATABLE: 409,
+    PAYMENT_ALREADY_ALLOCATED: 409,
+    ALLOCATION_EXCEEDS_BALANCE: 409
+};
+
+const sendError = (res, error) => res.status(ERROR_STATUS[error.code] || 500).json({
+    success: false,
+    error
+});
+
+const sendInternalError = (res, message, error) => res.status(500).json({
+    success: false,
+    error: {
+        code: 'INTERNAL_ERROR',
+        message,
+        details: error.message
+    }
+});
+
+const sendData = (req, res, status, data) => res.status(status).json({
+    success: true,
+    data,
+    metadata: {
+        status,
+        correlation_id: req.headers['x-request-id'] || 'unknown'
+    }
+});
+
+const invalidInvoiceId = (res) => sendError(res, {
+    code: 'VALIDATION_ERROR',
+    message: 'Invalid invoice ID format',
+    details: 'Invoice ID must be a valid UUID'
+});
+
+/**
+ * GET /invoices - List invoices, newest first
+ * Customers see their own; admins see all and can filter with userId. Query: status, limit, offset
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, userId } = req.query;
+        if (status !== undefined && !INVOICE_STATUSES.includes(status)) {
+            return sendError(res, {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid status',
+                details: `status must be one of ${INVOICE_STATUSES.join(', ')}`
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || API_CONFIG.DEFAULT_PAGINATION_LIMIT, API_CONFIG.MAX_PAGINATION_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset) || API_CONFIG.DEFAULT_PAGINATION_OFFSET, 0);
+
+        const rows = await listInvoices({
+            userId: isAdmin(req.user) ? userId || null : req.user.id,
+            status: status || null,
+            limit,
+            offset
+        });
+        sendData(req, res, 200, rows.map(formatInvoice));
+    } catch (error) {
+        console.error('List invoices error:', error);
+        sendInternalError(res, 'Failed to list invoices', error);
+    }
+});
+
+/**
+ * POST /invoices - Create a draft invoice (admin only)
+ * Body: { userId, merchantId, currency, customerEmail, customerName, memo, dueAt, metadata,
+ *         lineItems: [{ description, quantity, unitAmount, taxable }], taxLines: [{ name, rateBps }] }
+ */
+router.post('/', requireAdmin, async (req, res) => {
+    try {
+        const { currency, ...invoice } = req.body || {};
+
+        const result = await createInvoice({
+            ...invoice,
+            currency: typeof currency === 'string' ? currency.toUpperCase() : currency,
+            createdBy: req.user.id
+        });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 201, formatInvoice(result.data));
+    } catch (error) {
+        console.error('Create invoice error:', error);
+        sendInternalError(res, 'Failed to create invoice', error);
+    }
+});
+
+/**
+ * GET /invoices/:id - Get an invoice with its lines and payments (its customer or an admin)
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+            return invalidInvoiceId(res);
+        }
+
+        const invoice = await getInvoice(req.params.id);
+        if (!invoice || (invoice.user_id !== req.user.id && !isAdmin(req.user))) {
+            return sendError(res, {
+                code: 'INVOICE_NOT_FOUND',
+                message: 'Invoice not found',
+                details: `No invoice found with ID: ${req.params.id}`
+            });
+        }
+
+        sendData(req, res, 200, formatInvoice(invoice));
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        sendInternalError(res, 'Failed to get invoice', error);
+    }
+});
+
+/**
+ * PATCH /invoices/:id - Edit a draft invoice (admin only)
+ * Body: any of { customerEmail, customerName, memo, dueAt, metadata, lineItems, taxLines }
+ */
+router.patch('/:id', requireAdmin, async (req, res) => {
+    try {
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+            return invalidInvoiceId(res);
+        }
+
+        const { customerEmail, customerName, memo, dueAt, metadata, lineItems, taxLines } = req.body || {};
+        const result = await updateDraftInvoice(req.params.id, { customerEmail, customerName, memo, dueAt, metadata, lineItems, taxLines });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 200, formatInvoice(result.data));
+    } catch (error) {
+        console.error('Update invoice error:', error);
+        sendInternalError(res, 'Failed to update invoice', error);
+    }
+});
+
+/**
+ * POST /invoices/:id/finalize - Number a draft invoice and open it for payment (admin only)
+ */
+router.post('/:id/finalize', requireAdmin, async (req, res) => {
+    try {
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+            return invalidInvoiceId(res);
+        }
+
+        const result = await finalizeInvoice(req.params.id);
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 200, formatInvoice(result.data));
+    } catch (error) {
+        console.error('Finalize invoice error:', error);
+        sendInternalError(res, 'Failed to finalize invoice', error);
+    }
+});
+
+/**
+ * POST /invoices/:id/void - Void a draft or open invoice without payments (admin only)
+ * Body: { reason }
+ */
+router.post('/:id/void', requireAdmin, async (req, res) => {
+    try {
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+            return invalidInvoiceId(res);
+        }
+
+        const reason = req.body?.reason;
+        if (reason !== undefined && (typeof reason !== 'string' || reason.length > 1000)) {
+            return sendError(res, {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid reason',
+                details: 'reason must be a string of at most 1000 characters'
+            });
+        }
+
+        const result = await voidInvoice(req.params.id, { reason: reason ?? null });
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 200, formatInvoice(result.data));
+    } catch (error) {
+        console.error('Void invoice error:', error);
+        sendInternalError(res, 'Failed to void invoice', error);
+    }
+});
+
+/**
+ * POST /invoices/:id/payments - Allocate a payment to an open invoice
+ * Body: { paymentId, amount }. Customers can allocate their own payments to their invoices; the
+ * allocation stays PENDING until the payment is collected.
+ */
+router.post('/:id/payments', async (req, res) => {
+    try {
+        const { paymentId, amount } = req.body || {};
+
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+            return invalidInvoiceId(res);
+        }
+        if (!paymentId || !SECURITY_CONFIG.UUID_PATTERN.test(paymentId)) {
+            return sendError(res, {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid paymentId format',
+                details: 'paymentId must be a valid UUID'
+            });
+        }
+
+        const admin = isAdmin(req.user);
+        if (!admin) {
+            const invoice = await getInvoice(req.params.id);
+            if (!invoice || invoice.user_id !== req.user.id) {
+                return sendError(res, {
+                    code: 'INVOICE_NOT_FOUND',
+                    message: 'Invoice not found',
+                    details: `No invoice found with ID: ${req.params.id}`
+                });
+            }
+        }
+
+        const result = await allocatePayment(req.params.id, {
+            paymentId,
+            amount,
+            actorId: req.user.id,
+            payerId: admin ? null : req.user.id
+        });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 201, {
+            allocation: formatAllocation(result.data.allocation),
+            invoice: formatInvoice(result.data.invoice)
+        });
+    } catch (error) {
+        console.error('Allocate invoice payment error:', error);
+        sendInternalError(res, 'Failed to allocate payment', error);
+    }
+});
+
+export default router;
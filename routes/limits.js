@@ -0,0 +1,59 @@
+import express from 'express';
+import { validateToken, requireAdmin } from '../middleware/auth.js';
+import { getLimits, reloadLimits } from '../services/paymentLimits.js';
+
+const router = express.Router();
+
+// Limits are risk controls; every endpoint is admin-only
+router.use(validateToken, requireAdmin);
+
+const sendData = (req, res, data) => res.status(200).json({
+    success: true,
+    data,
+    metadata: {
+        status: 200,
+        correlation_id: req.headers['x-request-id'] || 'unknown'
+    }
+});
+
+/**
+ * GET /limits - Limits currently in force, by scope, subject and currency
+ */
+router.get('/', async (req, res) => {
+    try {
+        sendData(req, res, await getLimits());
+    } catch (error) {
+        console.error('Get payment limits error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Failed to load payment limits',
+                details: error.message
+            }
+        });
+    }
+});
+
+/**
+ * POST /limits/reload - Re-read the limits file and table now instead of waiting for the next reload
+ */
+router.post('/reload', async (req, res) => {
+    try {
+        const summary = await reloadLimits();
+        console.log(`Payment limits reloaded by ${req.user.id}:`, summary);
+        sendData(req, res, { ...summary, limits: await getLimits() });
+    } catch (error) {
+        console.error('Reload payment limits error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'LIMITS_RELOAD_FAILED',
+                message: 'Failed to reload payment limits',
+                details: error.message
+            }
+        });
+    }
+});
+
+export default router;
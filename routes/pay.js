@@ -0,0 +1,142 @@
+import express from 'express';
+import { openPaymentLink, formatLinkCheckout, renderLinkCheckout, payWithLink } from '../services/paymentLinks.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Public: customers open payment links without an account
+
+// The confirmation page posts its form urlencoded
+router.use(express.urlencoded({ extended: false }));
+
+// HTTP status for each service error code
+const ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    PAYMENT_DECLINED: 402,
+    PAYMENT_LINK_NOT_FOUND: 404,
+    PAYMENT_LINK_INACTIVE: 410,
+    PAYMENT_LINK_EXPIRED: 410,
+    PAYMENT_LINK_USED: 410,
+    PAYMENT_PROCESSING_FAILED: 502
+};
+
+const SLUG_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const sendLinkNotFound = (req, res) => res.status(404).json({
+    success: false,
+    error: {
+        code: 'PAYMENT_LINK_NOT_FOUND',
+        message: 'Payment link not found',
+        details: `No payment link ${req.params.slug}`
+    }
+});
+
+const sendLinkError = (res, error) => {
+    if (error.code === 'PAYMENT_LIMIT_EXCEEDED') {
+        const { resetsAt } = error.limit;
+        if (resetsAt) {
+            res.set('Retry-After', String(Math.max(Math.ceil((resetsAt.getTime() - Date.now()) / 1000), 1)));
+        }
+        return res.status(resetsAt ? 429 : 400).json({ success: false, error });
+    }
+    return res.status(ERROR_STATUS[error.code] || 500).json({ success: false, error });
+};
+
+const customerEmail = (value) => (typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : undefined);
+
+/**
+ * GET /pay/:slug - Show what the link charges, with a form that confirms the payment (POST /pay/:slug).
+ * Opening a link never creates a payment, so link previews and crawlers can't use it up. A single-use
+ * link whose payment is still PENDING redirects to that payment's gateway checkout.
+ * Query: email, prefilled when the link was not created for a specific customer.
+ * Responds with JSON instead of the HTML page when the client asks for it.
+ */
+router.get('/:slug', rateLimit('payment-links:open'), async (req, res) => {
+    try {
+        if (!SLUG_PATTERN.test(req.params.slug)) {
+            return sendLinkNotFound(req, res);
+        }
+
+        const result = await openPaymentLink(req.params.slug);
+        if (!result.success) {
+            return sendLinkError(res, result.error);
+        }
+
+        const { link, pendingCheckout } = result.data;
+        if (pendingCheckout) {
+            return res.redirect(302, pendingCheckout.authorizationUrl);
+        }
+
+        res.set('Cache-Control', 'no-store');
+        if (req.accepts(['text/html', 'application/json']) === 'application/json') {
+            return res.status(200).json({
+                success: true,
+                data: formatLinkCheckout(link),
+                metadata: {
+                    status: 200,
+                    correlation_id: req.headers['x-request-id'] || 'unknown'
+                }
+            });
+        }
+
+        res.type('html').send(await renderLinkCheckout(link, { email: customerEmail(req.query.email) }));
+    } catch (error) {
+        console.error('Open payment link error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Failed to open payment link',
+                details: error.message
+            }
+        });
+    }
+});
+
+/**
+ * POST /pay/:slug - Start a payment from a payment link and redirect to the gateway checkout
+ * Body (form or JSON): { email }, when the link was not created for a specific customer
+ */
+router.post('/:slug', rateLimit('payment-links:pay'), async (req, res) => {
+    try {
+        if (!SLUG_PATTERN.test(req.params.slug)) {
+            return sendLinkNotFound(req, res);
+        }
+
+        const result = await payWithLink(req.params.slug, {
+            email: customerEmail(req.body?.email) ?? customerEmail(req.query.email),
+            ip: req.ip
+        });
+
+        if (!result.success) {
+            return sendLinkError(res, result.error);
+        }
+
+        if (result.data.authorizationUrl) {
+            return res.redirect(303, result.data.authorizationUrl);
+        }
+
+        // Held for risk review, or a gateway that completed without a checkout page
+        const status = result.data.status === 'UNDER_REVIEW' ? 202 : 200;
+        res.status(status).json({
+            success: true,
+            data: result.data,
+            metadata: {
+                status,
+                correlation_id: req.headers['x-request-id'] || 'unknown'
+            }
+        });
+    } catch (error) {
+        console.error('Pay with link error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Failed to start payment',
+                details: error.message
+            }
+        });
+    }
+});
+
+export default router;
@@ -2,11 +2,13 @@ import express from 'express';
 import dbPoolManager from '../db/connectionPool.js';
 import { API_CONFIG, SECURITY_CONFIG } from '../config/constants.js';
 import { validateToken, validateHttpMethod } from '../middleware/auth.js';
+import { requireScope, hasScope, canAccessOwned, logAccessDenied } from '../middleware/authorization.js';
 
 const router = express.Router();
 
 /**
  * GET /payment-history - Get all payment history with pagination
+ * Callers without history:read:all only see the history of their own payments.
  */
 router.get('/', 
     validateHttpMethod(['GET']),
@@ -18,13 +20,33 @@ router.get('/',
         const limitNum = Math.min(parseInt(limit) || API_CONFIG.DEFAULT_PAGINATION_LIMIT, API_CONFIG.MAX_PAGINATION_LIMIT);
         const offsetNum = Math.max(parseInt(offset) || API_CONFIG.DEFAULT_PAGINATION_OFFSET, 0);
 
-        // Use archival lookup function to get payment history from both main and archived tables
-        const query = `SELECT * FROM get_payment_history_with_archive(NULL, NULL, $1, $2)`;
+        let result;
+        let countResult;
+        if (hasScope(req.user, 'history:read:all')) {
+            // Use archival lookup function to get payment history from both main and archived tables
+            const query = `SELECT * FROM get_payment_history_with_archive(NULL, NULL, $1, $2)`;
+            result = await dbPoolManager.executeRead(query, [limitNum, offsetNum]);
 
-        const result = await dbPoolManager.executeRead(query, [limitNum, offsetNum]);
+            const countQuery = 'SELECT COUNT(*) as total FROM payments';
+            countResult = await dbPoolManager.executeRead(countQuery, []);
+        } else {
+            // The archival lookup function cannot filter by user
+            const query = `
+                SELECT
+                    ph.id, ph.payment_id, ph.status, ph.previous_status, ph.changed_by, ph.change_reason,
+                    ph.metadata, ph.created_at, p.user_id, p.order_id, p.amount, p.currency,
+                    p.gateway_response, p.idempotency_key
+                FROM payment_history ph
+                JOIN payments p ON ph.payment_id = p.id
+                WHERE p.user_id = $1
+                ORDER BY ph.created_at DESC
+                LIMIT $2 OFFSET $3
+            `;
+            result = await dbPoolManager.executeRead(query, [req.user.id, limitNum, offsetNum]);
 
-        const countQuery = 'SELECT COUNT(*) as total FROM payments';
-        const countResult = await dbPoolManager.executeRead(countQuery, []);
+            const countQuery = 'SELECT COUNT(*) as total FROM payments WHERE user_id = $1';
+            countResult = await dbPoolManager.executeRead(countQuery, [req.user.id]);
+        }
         const total = parseInt(countResult.rows[0].total);
 
         const formattedHistory = result.rows.map(row => ({
@@ -80,7 +102,7 @@ router.get('/',
 });
 
 /**
- * GET /payment-history/:payment_id - Get payment history for a specific payment
+ * GET /payment-history/:payment_id - Get payment history for a specific payment (its owner, or history:read:all)
  */
 router.get('/:payment_id', 
     validateHttpMethod(['GET']),
@@ -126,6 +148,18 @@ router.get('/:payment_id',
         `;
         const result = await dbPoolManager.executeRead(query, [payment_id]);
 
+        if (result.rows.length > 0 && !canAccessOwned(req.user, result.rows[0].user_id, 'history:read')) {
+            logAccessDenied(req, { scope: 'history:read', resource: 'payment', resourceId: payment_id });
+            return res.status(API_CONFIG.STATUS_CODES.NOT_FOUND).json({
+                success: false,
+                error: {
+                    code: 'PAYMENT_NOT_FOUND',
+                    message: 'Payment not found',
+                    details: `No payment found with ID: ${payment_id}`
+                }
+            });
+        }
+
         res.status(API_CONFIG.STATUS_CODES.OK).json({
             success: true,
             data: {
@@ -148,7 +182,7 @@ router.get('/:payment_id',
 });
 
 /**
- * GET /payment-history/user/:userId - Get payment history for a user
+ * GET /payment-history/user/:userId - Get payment history for a user (that user, or history:read:all)
  */
 router.get('/user/:userId', 
     validateHttpMethod(['GET']),
@@ -171,6 +205,18 @@ router.get('/user/:userId',
             });
         }
 
+        if (!canAccessOwned(req.user, userId, 'history:read')) {
+            logAccessDenied(req, { scope: 'history:read:all', resource: 'payment_history', ownerId: userId });
+            return res.status(API_CONFIG.STATUS_CODES.FORBIDDEN).json({
+                success: false,
+                error: {
+                    code: 'FORBIDDEN',
+                    message: "Not allowed to read another user's payment history",
+                    details: 'Reading the payment history of other users requires the history:read:all scope'
+                }
+            });
+        }
+
         // Validate pagination parameters
         const limitNum = Math.min(parseInt(limit) || API_CONFIG.DEFAULT_PAGINATION_LIMIT, API_CONFIG.MAX_PAGINATION_LIMIT);
         const offsetNum = Math.max(parseInt(offset) || API_CONFIG.DEFAULT_PAGINATION_OFFSET, 0);
@@ -255,11 +301,12 @@ router.get('/user/:userId',
 });
 
 /**
- * POST /payment-history - Manually create a payment history entry
+ * POST /payment-history - Manually create a payment history entry (history:write)
  */
 router.post('/', 
     validateHttpMethod(['POST']),
     validateToken,
+    requireScope('history:write'),
     async (req, res) => {
     try {
         const {
@@ -0,0 +1,167 @@
+import express from 'express';
+import { API_CONFIG, SECURITY_CONFIG } from '../config/constants.js';
+import { validateToken, isAdmin } from '../middleware/auth.js';
+import {
+    formatPaymentLink,
+    createPaymentLink,
+    listPaymentLinks,
+    getPaymentLink,
+    getPaymentLinkStats,
+    deactivatePaymentLink
+} from '../services/paymentLinks.js';
+
+const router = express.Router();
+
+router.use(validateToken);
+
+// HTTP status for each service error code
+const ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    FORBIDDEN: 403,
+    PAYMENT_LINK_NOT_FOUND: 404,
+    PAYMENT_LINK_INACTIVE: 409
+};
+
+const sendError = (res, error) => res.status(ERROR_STATUS[error.code] || 500).json({
+    success: false,
+    error
+});
+
+const sendInternalError = (res, message, error) => res.status(500).json({
+    success: false,
+    error: {
+        code: 'INTERNAL_ERROR',
+        message,
+        details: error.message
+    }
+});
+
+const sendData = (req, res, status, data) => res.status(status).json({
+    success: true,
+    data,
+    metadata: {
+        status,
+        correlation_id: req.headers['x-request-id'] || 'unknown'
+    }
+});
+
+/**
+ * Load a link the caller created (admins can load any link)
+ * @returns {Object|null} The link, or null after sending the error response
+ */
+const loadOwnLink = async (req, res) => {
+    if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+        sendError(res, {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid payment link ID format',
+            details: 'Payment link ID must be a valid UUID'
+        });
+        return null;
+    }
+
+    const link = await getPaymentLink(req.params.id);
+    if (!link || (link.created_by !== req.user.id && !isAdmin(req.user))) {
+        sendError(res, {
+            code: 'PAYMENT_LINK_NOT_FOUND',
+            message: 'Payment link not found',
+            details: `No payment link found with ID: ${req.params.id}`
+        });
+        return null;
+    }
+
+    return link;
+};
+
+/**
+ * POST /payment-links - Create a shareable payment link
+ * Body: { amount, currency, description, order, customerEmail, singleUse, expiresAt, merchantId }.
+ * Payments through a link with a merchantId count against that merchant's limits, so only admins can set it.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { amount, currency, description, order, customerEmail, singleUse, expiresAt, merchantId } = req.body || {};
+
+        if (merchantId !== undefined && merchantId !== null && !isAdmin(req.user)) {
+            return sendError(res, {
+                code: 'FORBIDDEN',
+                message: 'Merchant payment links require admin access',
+                details: 'Omit merchantId to create a link for your own payments'
+            });
+        }
+
+        const result = await createPaymentLink({
+            createdBy: req.user.id,
+            amount,
+            currency: typeof currency === 'string' ? currency.toUpperCase() : currency,
+            description,
+            order,
+            customerEmail,
+            singleUse,
+            expiresAt,
+            merchantId: merchantId ?? null
+        });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 201, formatPaymentLink(result.data));
+    } catch (error) {
+        console.error('Create payment link error:', error);
+        sendInternalError(res, 'Failed to create payment link', error);
+    }
+});
+
+/**
+ * GET /payment-links - List the caller's payment links, newest first
+ */
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || API_CONFIG.DEFAULT_PAGINATION_LIMIT, API_CONFIG.MAX_PAGINATION_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset) || API_CONFIG.DEFAULT_PAGINATION_OFFSET, 0);
+
+        const rows = await listPaymentLinks({ createdBy: req.user.id, limit, offset });
+        sendData(req, res, 200, rows.map(row => formatPaymentLink(row)));
+    } catch (error) {
+        console.error('List payment links error:', error);
+        sendInternalError(res, 'Failed to list payment links', error);
+    }
+});
+
+/**
+ * GET /payment-links/:id - Get a payment link with its usage stats
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const link = await loadOwnLink(req, res);
+        if (!link) return;
+
+        const stats = await getPaymentLinkStats(link.id);
+        sendData(req, res, 200, formatPaymentLink(link, stats));
+    } catch (error) {
+        console.error('Get payment link error:', error);
+        sendInternalError(res, 'Failed to get payment link', error);
+    }
+});
+
+/**
+ * POST /payment-links/:id/deactivate - Stop a payment link from accepting payments
+ */
+router.post('/:id/deactivate', async (req, res) => {
+    try {
+        const link = await loadOwnLink(req, res);
+        if (!link) return;
+
+        const result = await deactivatePaymentLink(link.id, { actorId: req.user.id });
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 200, formatPaymentLink(result.data));
+    } catch (error) {
+        console.error('Deactivate payment link error:', error);
+        sendInternalError(res, 'Failed to deactivate payment link', error);
+    }
+});
+
+export default router;
@@ -0,0 +1,168 @@
+import express from 'express';
+import { SECURITY_CONFIG } from '../config/constants.js';
+import { validateToken } from '../middleware/auth.js';
+import {
+    formatPaymentMethod,
+    listPaymentMethods,
+    addPaymentMethodFromPayment,
+    setDefaultPaymentMethod,
+    deactivatePaymentMethod
+} from '../services/paymentMethodService.js';
+
+const router = express.Router();
+
+// Saved payment methods always belong to the calling user
+router.use(validateToken);
+
+// HTTP status for each service error code; anything else is a gateway problem
+const ERROR_STATUS = {
+    PAYMENT_NOT_FOUND: 404,
+    PAYMENT_METHOD_NOT_FOUND: 404,
+    PAYMENT_METHOD_INACTIVE: 409,
+    PAYMENT_METHOD_NOT_REUSABLE: 400,
+    SAVED_PAYMENT_METHODS_NOT_SUPPORTED: 400
+};
+
+const invalidId = (res, field) => res.status(400).json({
+    success: false,
+    error: {
+        code: 'VALIDATION_ERROR',
+        message: `Invalid ${field} format`,
+        details: `${field} must be a valid UUID`
+    }
+});
+
+const sendError = (res, error) => res.status(ERROR_STATUS[error.code] || 502).json({
+    success: false,
+    error
+});
+
+const sendInternalError = (res, message, error) => res.status(500).json({
+    success: false,
+    error: {
+        code: 'INTERNAL_ERROR',
+        message,
+        details: error.message
+    }
+});
+
+/**
+ * GET /payment-methods - List the caller's saved payment methods
+ * Query: includeInactive=true also returns deactivated methods
+ */
+router.get('/', async (req, res) => {
+    try {
+        const rows = await listPaymentMethods(req.user.id, {
+            includeInactive: req.query.includeInactive === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: rows.map(formatPaymentMethod),
+            metadata: {
+                status: 200,
+                correlation_id: req.headers['x-request-id'] || 'unknown'
+            }
+        });
+    } catch (error) {
+        console.error('List payment methods error:', error);
+        sendInternalError(res, 'Failed to list payment methods', error);
+    }
+});
+
+/**
+ * POST /payment-methods - Save the card or account used for one of the caller's successful payments
+ * Body: { paymentId }. Returns 201 for a new method, 200 when it was already saved.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { paymentId } = req.body || {};
+
+        if (!paymentId || !SECURITY_CONFIG.UUID_PATTERN.test(paymentId)) {
+            return invalidId(res, 'paymentId');
+        }
+
+        const result = await addPaymentMethodFromPayment({ userId: req.user.id, paymentId });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        const status = result.data.created ? 201 : 200;
+        res.status(status).json({
+            success: true,
+            data: formatPaymentMethod(result.data.paymentMethod),
+            metadata: {
+                status,
+                correlation_id: req.headers['x-request-id'] || 'unknown'
+            }
+        });
+    } catch (error) {
+        console.error('Save payment method error:', error);
+        sendInternalError(res, 'Failed to save payment method', error);
+    }
+});
+
+/**
+ * POST /payment-methods/:id/default - Make a saved method the caller's default
+ */
+router.post('/:id/default', async (req, res) => {
+    try {
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+            return invalidId(res, 'Payment method ID');
+        }
+
+        const result = await setDefaultPaymentMethod(req.user.id, req.params.id);
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        res.json({
+            success: true,
+            data: formatPaymentMethod(result.data),
+            metadata: {
+                status: 200,
+                correlation_id: req.headers['x-request-id'] || 'unknown'
+            }
+        });
+    } catch (error) {
+        console.error('Set default payment method error:', error);
+        sendInternalError(res, 'Failed to set default payment method', error);
+    }
+});
+
+/**
+ * DELETE /payment-methods/:id - Deactivate a saved method so it can no longer be charged
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+            return invalidId(res, 'Payment method ID');
+        }
+
+        const result = await deactivatePaymentMethod(req.user.id, req.params.id);
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                id: result.data.id,
+                isActive: result.data.is_active,
+                updatedAt: result.data.updated_at
+            },
+            metadata: {
+                status: 200,
+                correlation_id: req.headers['x-request-id'] || 'unknown'
+            }
+        });
+    } catch (error) {
+        console.error('Deactivate payment method error:', error);
+        sendInternalError(res, 'Failed to deactivate payment method', error);
+    }
+});
+
+export default router;
@@ -0,0 +1,126 @@
+import express from 'express';
+import { API_CONFIG, SECURITY_CONFIG } from '../config/constants.js';
+import { validateToken, requireAdmin } from '../middleware/auth.js';
+import {
+    formatReview,
+    listPendingReviews,
+    approvePaymentReview,
+    rejectPaymentReview
+} from '../services/paymentReview.js';
+
+const router = express.Router();
+
+// Risk reviews expose fraud signals; every endpoint is admin-only
+router.use(validateToken, requireAdmin);
+
+const MAX_NOTE_LENGTH = 1000;
+
+// HTTP status for each service error code
+const ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    REVIEW_NOT_FOUND: 404,
+    PAYMENT_NOT_UNDER_REVIEW: 409
+};
+
+const sendError = (res, error) => res.status(ERROR_STATUS[error.code] || 500).json({
+    success: false,
+    error
+});
+
+const sendInternalError = (res, message, error) => res.status(500).json({
+    success: false,
+    error: {
+        code: 'INTERNAL_ERROR',
+        message,
+        details: error.message
+    }
+});
+
+const sendData = (req, res, data) => res.status(200).json({
+    success: true,
+    data,
+    metadata: {
+        status: 200,
+        correlation_id: req.headers['x-request-id'] || 'unknown'
+    }
+});
+
+/**
+ * Check the payment ID and optional note of a decision request
+ */
+const validateDecision = (req) => {
+    if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.paymentId)) {
+        return { code: 'VALIDATION_ERROR', message: 'Invalid payment ID format', details: 'paymentId must be a valid UUID' };
+    }
+
+    const note = req.body?.note;
+    if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+        return { code: 'VALIDATION_ERROR', message: 'Invalid note', details: `note must be a string of at most ${MAX_NOTE_LENGTH} characters` };
+    }
+
+    return null;
+};
+
+/**
+ * GET /payment-reviews - Payments held for risk review, oldest first
+ */
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || API_CONFIG.DEFAULT_PAGINATION_LIMIT, API_CONFIG.MAX_PAGINATION_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset) || API_CONFIG.DEFAULT_PAGINATION_OFFSET, 0);
+
+        const rows = await listPendingReviews({ limit, offset });
+        sendData(req, res, rows.map(formatReview));
+    } catch (error) {
+        console.error('List payment reviews error:', error);
+        sendInternalError(res, 'Failed to list payment reviews', error);
+    }
+});
+
+/**
+ * POST /payment-reviews/:paymentId/approve - Release a held payment to the gateway
+ * Body: { note }
+ */
+router.post('/:paymentId/approve', async (req, res) => {
+    try {
+        const invalid = validateDecision(req);
+        if (invalid) {
+            return sendError(res, invalid);
+        }
+
+        const result = await approvePaymentReview(req.params.paymentId, { actorId: req.user.id, note: req.body?.note });
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, result.data);
+    } catch (error) {
+        console.error('Approve payment review error:', error);
+        sendInternalError(res, 'Failed to approve payment', error);
+    }
+});
+
+/**
+ * POST /payment-reviews/:paymentId/reject - Fail a held payment
+ * Body: { note }
+ */
+router.post('/:paymentId/reject', async (req, res) => {
+    try {
+        const invalid = validateDecision(req);
+        if (invalid) {
+            return sendError(res, invalid);
+        }
+
+        const result = await rejectPaymentReview(req.params.paymentId, { actorId: req.user.id, note: req.body?.note });
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, result.data);
+    } catch (error) {
+        console.error('Reject payment review error:', error);
+        sendInternalError(res, 'Failed to reject payment', error);
+    }
+});
+
+export default router;
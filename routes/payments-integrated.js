@@ -1,19 +1,73 @@
 import express from 'express';
 import dbPoolManager from '../db/connectionPool.js';
 import { API_CONFIG, PAYMENT_CONFIG, SECURITY_CONFIG } from '../config/constants.js';
-import { processPayment, createPaymentMethodForGateway, syncPaymentStatusWithPaystack } from '../services/paymentProcessor.js';
+import { validateAmount } from '../config/currencies.js';
+import { processPayment, createPaymentMethodForGateway, syncPaymentStatusWithGateway } from '../services/paymentProcessor.js';
+import { getGatewayReference, selectGateway } from '../gateways/index.js';
+import { getRefundableAmounts } from '../services/refundService.js';
+import { cancelPayment } from '../services/paymentCancellation.js';
+import { capturePayment, getAuthorizationExpiry } from '../services/paymentCapture.js';
+import { transitionPayment } from '../services/paymentStateMachine.js';
+import { getChargeablePaymentMethod } from '../services/paymentMethodService.js';
+import { FX_CONFIG, getSettlementFields, getReportingAmount } from '../services/fxRates.js';
+import { checkPaymentLimits } from '../services/paymentLimits.js';
+import { assessPayment, RISK_DECISIONS } from '../services/riskEngine.js';
+import { RECEIPT_FORMATS, buildReceipt, renderReceipt } from '../services/receipts.js';
 import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
 import { verifyToken, extractUserId, extractUserDetails } from '../services/userService.js';
-import { validateToken, validateHttpMethod, validateIdempotencyKey } from '../middleware/auth.js';
+import { authenticate, validateHttpMethod, validateIdempotencyKey, isAdmin } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { requireScope, hasScope, canAccessOwned, logAccessDenied, isService } from '../middleware/authorization.js';
 
 const router = express.Router();
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Who owns an idempotency key: keys are unique per user or API key, never across callers
+ */
+const getIdempotencyScope = (principal) => `${principal.type}:${principal.id}`;
+
+/**
+ * Refuse a payment over its limits: 429 with Retry-After for daily and monthly caps, 400 for per-payment limits
+ */
+const sendLimitExceeded = (res, limitCheck) => {
+    const { resetsAt } = limitCheck.error.limit;
+    if (resetsAt) {
+        res.set('Retry-After', String(Math.max(Math.ceil((resetsAt.getTime() - Date.now()) / 1000), 1)));
+    }
+    return res.status(resetsAt ? 429 : 400).json({
+        success: false,
+        error: limitCheck.error
+    });
+};
+
+/**
+ * Payment the caller created with an idempotency key, or null when there is none they may access
+ */
+const findPaymentByIdempotencyKey = async (req, idempotencyKey) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT id, status, user_id, order_id, amount, currency, gateway, gateway_response, created_at, updated_at
+        FROM payments
+        WHERE idempotency_scope = $1 AND idempotency_key = $2
+    `, [getIdempotencyScope(req.user), idempotencyKey]);
+
+    const payment = result.rows[0];
+    if (payment && !canAccessOwned(req.user, payment.user_id, 'payments:write')) {
+        logAccessDenied(req, { scope: 'payments:write', resource: 'payment', resourceId: payment.id });
+        return null;
+    }
+    return payment || null;
+};
+
 /**
  * GET /payments - Get all payments with pagination
+ * Callers without payments:read:all only see their own payments.
  */
 router.get('/', 
     validateHttpMethod(['GET']),
-    validateToken,
+    authenticate,
     async (req, res) => {
     try {
         const {
@@ -29,10 +83,26 @@ router.get('/',
         const limitNum = Math.min(parseInt(limit) || API_CONFIG.DEFAULT_PAGINATION_LIMIT, API_CONFIG.MAX_PAGINATION_LIMIT);
         const offsetNum = Math.max(parseInt(offset) || API_CONFIG.DEFAULT_PAGINATION_OFFSET, 0);
 
+        const ownOnly = !hasScope(req.user, 'payments:read:all');
+        if (ownOnly && user_id && user_id !== req.user.id) {
+            logAccessDenied(req, { scope: 'payments:read:all', resource: 'payment', ownerId: user_id });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'FORBIDDEN',
+                    message: "Not allowed to list another user's payments",
+                    details: 'Listing payments of other users requires the payments:read:all scope'
+                }
+            });
+        }
+        const userFilter = ownOnly ? req.user.id : user_id;
+
         // Build query
         let query = `
             SELECT p.id, p.user_id, p.order_id, p.amount, p.currency, p.status,
-                   p.gateway_response, p.idempotency_key, p.metadata,
+                   p.gateway, p.gateway_response, p.idempotency_key, p.metadata,
+                   p.capture_method, p.captured_amount, p.authorization_expires_at,
+                   p.settlement_amount, p.settlement_currency, p.fx_rate, p.merchant_id,
                    p.created_at, p.updated_at
             FROM payments p
             WHERE 1=1
@@ -47,10 +117,10 @@ router.get('/',
             params.push(status);
         }
 
-        if (user_id) {
+        if (userFilter) {
             paramCount++;
             query += ` AND p.user_id = $${paramCount}`;
-            params.push(user_id);
+            params.push(userFilter);
         }
 
         if (start_date) {
@@ -69,6 +139,7 @@ router.get('/',
         params.push(limitNum, offsetNum);
 
         const result = await dbPoolManager.executeRead(query, params);
+        const refundableAmounts = await getRefundableAmounts(result.rows);
 
         res.json({
             success: true,
@@ -79,6 +150,15 @@ router.get('/',
                 amount: row.amount,
                 currency: row.currency,
                 status: row.status,
+                gateway: row.gateway,
+                captureMethod: row.capture_method,
+                capturedAmount: row.captured_amount,
+                authorizationExpiresAt: row.authorization_expires_at,
+                settlementAmount: row.settlement_amount,
+                settlementCurrency: row.settlement_currency,
+                fxRate: row.fx_rate === null ? null : Number(row.fx_rate),
+                merchantId: row.merchant_id,
+                refundable_amount: refundableAmounts.get(row.id),
                 gatewayResponse: row.gateway_response,
                 idempotencyKey: row.idempotency_key,
                 metadata: row.metadata,
@@ -106,11 +186,17 @@ router.get('/',
 
 /**
  * POST /payments - Create a new payment with real gateway processing
+ * Services calling with an API key pay for the customer given in `customer` ({ id, email, name, phone });
+ * users always pay for themselves. Only services and admins can name the merchant (`merchantId`).
+ * Repeats with the same Idempotency-Key get the first response replayed (`retry` doesn't count as a change).
  */
 router.post('/', 
     validateHttpMethod(['POST']),
-    validateToken,
+    authenticate,
+    rateLimit('payments:create'),
+    requireScope('payments:write'),
     validateIdempotencyKey,
+    idempotent({ ignoreFields: ['retry'] }),
     async (req, res) => {
     try {
         const {
@@ -118,7 +204,12 @@ router.post('/',
             amount,
             currency = 'KES',
             metadata = {},
-            retry = false
+            retry = false,
+            gateway,
+            captureMethod = 'automatic',
+            paymentMethodId,
+            merchantId,
+            customer
         } = req.body;
 
         // Get idempotency key from middleware
@@ -148,37 +239,134 @@ router.post('/',
             });
         }
 
-        // Validate amount for test mode (1-5)
-        if (amount < 5 || amount > 10) {
+        // Amount is in minor units of the currency and must be within its charge limits
+        const amountCheck = validateAmount(amount, currency);
+        if (!amountCheck.success) {
+            return res.status(400).json({
+                success: false,
+                error: amountCheck.error
+            });
+        }
+
+        // Payments made on behalf of a merchant count towards its ceilings
+        if (merchantId !== undefined && (typeof merchantId !== 'string' || !merchantId || merchantId.length > 100)) {
             return res.status(400).json({
                 success: false,
                 error: {
-                    code: 'INVALID_AMOUNT',
-                    message: 'Invalid amount for test mode',
-                    details: 'Amount must be between 5 and 10 for test mode'
+                    code: 'VALIDATION_ERROR',
+                    message: 'Invalid merchant ID',
+                    details: 'merchantId must be a non-empty string of at most 100 characters'
                 }
             });
         }
 
-        // Get user details from middleware (token already validated)
-        const user_id = req.user.id;
-        const userDetails = req.user.details;
-        
-        console.log('Token verification successful for user:', user_id);
+        // Services and admins act for merchants; a user naming one would spend that merchant's limits
+        if (merchantId !== undefined && !isService(req.user) && !isAdmin(req.user)) {
+            logAccessDenied(req, { resource: 'merchant', resourceId: merchantId });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'FORBIDDEN',
+                    message: 'Not allowed to pay on behalf of a merchant',
+                    details: 'merchantId can only be set with an API key or by an administrator'
+                }
+            });
+        }
+
+        // Get user details from middleware (token already validated), or the customer a service pays for
+        let user_id = req.user.id;
+        let userDetails = req.user.details;
+
+        if (isService(req.user)) {
+            const validCustomer = customer && typeof customer === 'object'
+                && ['string', 'number'].includes(typeof customer.id) && String(customer.id).length > 0 && String(customer.id).length <= 255
+                && typeof customer.email === 'string' && EMAIL_PATTERN.test(customer.email);
+            if (!validCustomer) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'VALIDATION_ERROR',
+                        message: 'Invalid customer',
+                        details: 'Payments made with an API key need customer.id and customer.email'
+                    }
+                });
+            }
+
+            user_id = String(customer.id);
+            userDetails = {
+                id: user_id,
+                email: customer.email,
+                name: customer.name,
+                phone: customer.phone
+            };
+        }
+
+        // Manual capture authorizes now and captures later via POST /payments/{id}/capture
+        if (!['automatic', 'manual'].includes(captureMethod)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Invalid capture method',
+                    details: "captureMethod must be 'automatic' or 'manual'"
+                }
+            });
+        }
+
+        if (captureMethod === 'manual') {
+            const selection = selectGateway({ gateway, currency, captureMethod });
+            if (!selection.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: selection.error
+                });
+            }
+        }
+
+        // A saved payment method is charged directly on the gateway that saved it
+        let savedPaymentMethod = null;
+        if (paymentMethodId !== undefined) {
+            if (typeof paymentMethodId !== 'string' || !SECURITY_CONFIG.UUID_PATTERN.test(paymentMethodId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'VALIDATION_ERROR',
+                        message: 'Invalid payment method ID format',
+                        details: 'paymentMethodId must be a valid UUID'
+                    }
+                });
+            }
 
-        // Validate retry logic - idempotency key already validated by middleware
+            const methodResult = await getChargeablePaymentMethod(user_id, paymentMethodId);
+            if (!methodResult.success) {
+                const status = methodResult.error.code === 'PAYMENT_METHOD_NOT_FOUND' ? 404
+                    : methodResult.error.code === 'PAYMENT_METHOD_INACTIVE' ? 409 : 400;
+                return res.status(status).json({
+                    success: false,
+                    error: methodResult.error
+                });
+            }
+
+            savedPaymentMethod = methodResult.data;
+
+            if (gateway && gateway !== savedPaymentMethod.gateway) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'PAYMENT_METHOD_GATEWAY_MISMATCH',
+                        message: 'Payment method belongs to another gateway',
+                        details: `Payment method ${paymentMethodId} was saved with ${savedPaymentMethod.gateway}`
+                    }
+                });
+            }
+        }
+
+        console.log('Creating payment for user:', user_id);
+
+        // Retries whose first attempt was not recorded (server error, record expired) still land here
         if (retry === true) {
-            // Check if payment with this idempotency key exists
-            const existingPaymentQuery = `
-                SELECT id, status, user_id, order_id, amount, currency, gateway_response, created_at, updated_at
-                FROM payments 
-                WHERE idempotency_key = $1
-            `;
-            const existingPayment = await dbPoolManager.executeRead(existingPaymentQuery, [idempotencyKey]);
-            
-            if (existingPayment.rows.length > 0) {
-                const existing = existingPayment.rows[0];
-                
+            const existing = await findPaymentByIdempotencyKey(req, idempotencyKey);
+            if (existing) {
                 // Check if payment is in a final state (SUCCEEDED, REFUNDED, CANCELLED)
                 if (['SUCCEEDED', 'REFUNDED', 'CANCELLED'].includes(existing.status)) {
                     return res.status(200).json({
@@ -200,30 +388,28 @@ router.post('/',
                     });
                 }
                 
-                // If payment is in retryable state (PENDING, FAILED), check Paystack status first
+                // If payment is in retryable state (PENDING, FAILED), check gateway status first
                 if (['PENDING', 'FAILED'].includes(existing.status)) {
                     console.log(`Retrying payment ${existing.id} with idempotency key: ${idempotencyKey}`);
                     
-                    // Check Paystack status first to see if payment actually succeeded
+                    // Check gateway status first to see if payment actually succeeded
                     try {
-                        const { syncPaymentStatusWithPaystack } = await import('../services/paymentProcessor.js');
-                        const syncResult = await syncPaymentStatusWithPaystack(idempotencyKey, existing.status);
+                        const syncResult = await syncPaymentStatusWithGateway(
+                            getGatewayReference(existing),
+                            existing.status,
+                            existing.gateway
+                        );
                         
                         if (syncResult.success && syncResult.synced && syncResult.status !== existing.status) {
-                            console.log(`Payment ${existing.id} status updated from ${existing.status} to ${syncResult.status} via Paystack sync`);
+                            console.log(`Payment ${existing.id} status updated from ${existing.status} to ${syncResult.status} via ${existing.gateway} sync`);
                             
                             // Update the existing payment with the new status
-                            const updateQuery = `
-                                UPDATE payments 
-                                SET status = $1, gateway_response = $2, updated_at = NOW()
-                                WHERE id = $3
-                            `;
-                            
-                            await dbPoolManager.executeWrite(updateQuery, [
-                                syncResult.status,
-                                JSON.stringify(syncResult.gatewayResponse),
-                                existing.id
-                            ]);
+                            await transitionPayment(existing.id, syncResult.status, {
+                                reason: `Gateway reported ${syncResult.status} on retry`,
+                                actor: user_id,
+                                expectedStatus: existing.status,
+                                gatewayResponse: syncResult.gatewayResponse
+                            });
                             
                             // If the payment is now successful, return it
                             if (syncResult.status === 'SUCCEEDED') {
@@ -268,7 +454,7 @@ router.post('/',
                             }
                         }
                     } catch (syncError) {
-                        console.warn('Failed to sync payment status with Paystack:', syncError.message);
+                        console.warn('Failed to sync payment status with gateway:', syncError.message);
                     }
                     
                     // If the existing payment is FAILED or PENDING and we're trying to retry with the same idempotency key,
@@ -309,6 +495,12 @@ router.post('/',
             }
         }
 
+        // Retries of an existing payment were answered above; a new payment must be within the limits.
+        // This early check turns obvious excess away before validation; the one made while creating the payment holds.
+        const limitCheck = await checkPaymentLimits({ userId: user_id, merchantId, amount, currency });
+        if (!limitCheck.success) {
+            return sendLimitExceeded(res, limitCheck);
+        }
 
         // Validate metadata structure
         if (metadata && typeof metadata === 'object') {
@@ -361,26 +553,42 @@ router.post('/',
 
         // Note: Retry logic is handled above in the retry validation section
 
-        // If not retrying or no existing payment found, create new payment
+        // If not retrying or no existing payment found, create new payment. The limits are checked again in the
+        // same transaction, holding the payers' locks, and merchant_id is stored with the payment so the next
+        // check for the merchant counts it.
         if (!paymentResult) {
-                    const query = `
-                SELECT * FROM create_payment_with_history(
-                    $1, $2, $3, $4, $5, $6, $7, $8
-                        )
-                    `;
+            const created = await dbPoolManager.executeTransaction(async (client) => {
+                const lockedLimitCheck = await checkPaymentLimits({ userId: user_id, merchantId, amount, currency, client });
+                if (!lockedLimitCheck.success) {
+                    return { limitCheck: lockedLimitCheck };
+                }
 
-        const result = await dbPoolManager.executeWrite(query, [
-            user_id,
-            order_id,
-            amount,
-            currency,
-            JSON.stringify({}), // gateway_response (will be updated after processing)
-            finalIdempotencyKey,
-            retry,
-            JSON.stringify(metadata) // metadata
-        ]);
+                const result = await client.query(`
+                    SELECT * FROM create_payment_with_history($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                `, [
+                    user_id,
+                    order_id,
+                    amount,
+                    currency,
+                    JSON.stringify({}), // gateway_response (will be updated after processing)
+                    finalIdempotencyKey,
+                    retry,
+                    JSON.stringify(metadata), // metadata
+                    getIdempotencyScope(req.user)
+                ]);
+                const row = result.rows[0];
 
-            paymentResult = result.rows[0];
+                if (row?.success && merchantId) {
+                    await client.query('UPDATE payments SET merchant_id = $2 WHERE id = $1', [row.payment_id, merchantId]);
+                }
+
+                return { paymentResult: row };
+            });
+
+            if (created.limitCheck) {
+                return sendLimitExceeded(res, created.limitCheck);
+            }
+            paymentResult = created.paymentResult;
         }
 
         if (!paymentResult.success) {
@@ -388,19 +596,8 @@ router.post('/',
             if (paymentResult.error_message === 'Duplicate idempotency key') {
                 console.log(`Duplicate idempotency key detected: ${finalIdempotencyKey}, returning existing payment data`);
                 
-                // Get the existing payment data
-                const existingPaymentQuery = `
-                    SELECT id, status, gateway_response, created_at, updated_at, user_id, order_id, amount, currency
-                    FROM payments 
-                    WHERE idempotency_key = $1
-                    ORDER BY created_at ASC
-                    LIMIT 1
-                `;
-                
-                const existingPayment = await dbPoolManager.executeRead(existingPaymentQuery, [finalIdempotencyKey]);
-                
-                if (existingPayment.rows.length > 0) {
-                    const existing = existingPayment.rows[0];
+                const existing = await findPaymentByIdempotencyKey(req, finalIdempotencyKey);
+                if (existing) {
                     console.log(`Found existing payment ${existing.id} for duplicate idempotency key`);
                     
                     return res.status(200).json({
@@ -434,7 +631,7 @@ router.post('/',
             });
         }
 
-        // Process payment with Paystack
+        // Process payment with the requested (or default) gateway
         const paymentData = {
             userId: user_id,
             orderId: order_id,
@@ -447,24 +644,111 @@ router.post('/',
                 user_id,
                 user: userDetails // Include user details from token verification
             },
-            idempotencyKey: finalIdempotencyKey
+            idempotencyKey: finalIdempotencyKey,
+            gateway: savedPaymentMethod ? savedPaymentMethod.gateway : gateway,
+            captureMethod,
+            paymentMethod: savedPaymentMethod
         };
 
+        // Risk checks run before anything reaches the gateway; held payments keep what the gateway needs for approval
+        const risk = await assessPayment({
+            paymentId: paymentResult.payment_id,
+            userId: user_id,
+            email: userDetails?.email,
+            ip: req.ip,
+            orderId: order_id,
+            amount,
+            currency,
+            metadata
+        }, {
+            gateway: paymentData.gateway,
+            captureMethod,
+            paymentMethodId: savedPaymentMethod?.id || null,
+            merchantId: merchantId || null,
+            metadata: paymentData.metadata
+        });
+
+        if (risk.decision === RISK_DECISIONS.DENY) {
+            await transitionPayment(paymentResult.payment_id, 'FAILED', {
+                reason: `Declined by risk checks (score ${risk.score})`,
+                actor: 'risk-engine'
+            });
+
+            return res.status(402).json({
+                success: false,
+                error: {
+                    code: 'PAYMENT_DECLINED',
+                    message: 'Payment declined',
+                    details: 'The payment did not pass risk checks',
+                    payment_id: paymentResult.payment_id
+                }
+            });
+        }
+
+        if (risk.decision === RISK_DECISIONS.REVIEW) {
+            await transitionPayment(paymentResult.payment_id, 'UNDER_REVIEW', {
+                reason: `Held for risk review (score ${risk.score})`,
+                actor: 'risk-engine'
+            });
+
+            try {
+                await publishPaymentEvent('payment_updated', {
+                    payment_id: paymentResult.payment_id,
+                    status: 'UNDER_REVIEW',
+                    source: 'risk_review'
+                });
+            } catch (eventError) {
+                console.warn('Failed to publish payment event:', eventError.message);
+            }
+
+            return res.status(202).json({
+                success: true,
+                message: 'Payment is being reviewed before processing',
+                data: {
+                    id: paymentResult.payment_id,
+                    userId: user_id,
+                    orderId: order_id,
+                    amount,
+                    currency,
+                    status: 'UNDER_REVIEW',
+                    captureMethod,
+                    paymentMethodId: savedPaymentMethod?.id || null,
+                    merchantId: merchantId || null,
+                    idempotencyKey: finalIdempotencyKey,
+                    retry,
+                    metadata,
+                    createdAt: paymentResult.created_at
+                },
+                metadata: {
+                    status: 202,
+                    correlation_id: req.headers['x-request-id'] || 'unknown'
+                }
+            });
+        }
+
         const gatewayResult = await processPayment(paymentData);
+        const authorizationExpiresAt = captureMethod === 'manual' ? getAuthorizationExpiry() : null;
+        let settlement = {};
 
         // Update payment with gateway response
         if (gatewayResult.success) {
-            const updateQuery = `
-                UPDATE payments 
-                SET status = $1, gateway_response = $2, updated_at = NOW()
-                WHERE id = $3
-            `;
-            
-            await dbPoolManager.executeWrite(updateQuery, [
-                gatewayResult.status,
-                JSON.stringify(gatewayResult.gatewayResponse),
-                paymentResult.payment_id
-            ]);
+            settlement = await getSettlementFields(amount, currency);
+
+            await transitionPayment(paymentResult.payment_id, gatewayResult.status, {
+                reason: savedPaymentMethod
+                    ? `Saved payment method charged with ${gatewayResult.gateway}`
+                    : `Payment initialized with ${gatewayResult.gateway}`,
+                actor: user_id,
+                gatewayResponse: gatewayResult.gatewayResponse,
+                fields: {
+                    gateway: gatewayResult.gateway,
+                    capture_method: captureMethod,
+                    authorization_expires_at: authorizationExpiresAt,
+                    payment_method_id: savedPaymentMethod?.id || null,
+                    merchant_id: merchantId || null,
+                    ...settlement
+                }
+            });
 
             // Skip immediate status sync for test payments to avoid "abandoned" status
             // Paystack marks payments as "abandoned" when users don't complete the payment flow
@@ -480,7 +764,7 @@ router.post('/',
                     userId: user_id,
                     amount: amount,
                     status: gatewayResult.status,
-                    gateway: 'paystack',
+                    gateway: gatewayResult.gateway,
                     correlationId: finalIdempotencyKey
                 });
             } catch (eventError) {
@@ -491,34 +775,19 @@ router.post('/',
             if (gatewayResult.error?.code === 'DUPLICATE_REFERENCE' || gatewayResult.error?.shouldReturnExisting) {
                 console.log(`Duplicate reference detected for ${finalIdempotencyKey}, checking existing payment...`);
                 
-                // Check if we have an existing payment with this idempotency key
-                const existingPaymentQuery = `
-                    SELECT id, status, gateway_response, created_at, updated_at
-                    FROM payments 
-                    WHERE idempotency_key = $1
-                `;
-                
-                const existingPayment = await dbPoolManager.executeRead(existingPaymentQuery, [finalIdempotencyKey]);
-                
-                if (existingPayment.rows.length > 0) {
-                    const existing = existingPayment.rows[0];
+                const existing = await findPaymentByIdempotencyKey(req, finalIdempotencyKey);
+                if (existing) {
                     console.log(`Found existing payment ${existing.id} with status: ${existing.status}`);
                     
                     // Always return the existing payment data so user can see what happened
                     console.log(`Returning existing payment ${existing.id} for duplicate reference handling`);
                     
                     // Update the current payment to match the existing one
-                    const syncQuery = `
-                        UPDATE payments 
-                        SET status = $1, gateway_response = $2, updated_at = NOW()
-                        WHERE id = $3
-                    `;
-                    
-                    await dbPoolManager.executeWrite(syncQuery, [
-                        existing.status,
-                        existing.gateway_response,
-                        paymentResult.payment_id
-                    ]);
+                    await transitionPayment(paymentResult.payment_id, existing.status, {
+                        reason: 'Matched existing payment for duplicate gateway reference',
+                        actor: user_id,
+                        gatewayResponse: existing.gateway_response
+                    });
                     
                     // Override the gateway result to return existing payment data
                     gatewayResult.success = true;
@@ -532,22 +801,17 @@ router.post('/',
                         userId: user_id,
                         amount: amount,
                         status: existing.status,
-                        gateway: 'paystack',
+                        gateway: existing.gateway,
                         correlationId: finalIdempotencyKey,
                         source: 'duplicate_reference_recovery'
                     });
                 } else {
                     // No existing payment found, treat as regular failure
-                    const updateQuery = `
-                        UPDATE payments 
-                        SET status = 'FAILED', gateway_response = $1, updated_at = NOW()
-                        WHERE id = $2
-                    `;
-                    
-                    await dbPoolManager.executeWrite(updateQuery, [
-                        JSON.stringify(gatewayResult.error),
-                        paymentResult.payment_id
-                    ]);
+                    await transitionPayment(paymentResult.payment_id, 'FAILED', {
+                        reason: gatewayResult.error?.message || 'Gateway initialization failed',
+                        actor: user_id,
+                        gatewayResponse: gatewayResult.error
+                    });
                 }
             } else {
                 // Regular failure handling - but don't update gateway response for duplicate reference errors
@@ -557,16 +821,12 @@ router.post('/',
                     console.log(`Skipping gateway response update for duplicate reference error on payment ${paymentResult.payment_id}`);
                 } else {
                     // Regular failure handling
-            const updateQuery = `
-                UPDATE payments 
-                SET status = 'FAILED', gateway_response = $1, updated_at = NOW()
-                WHERE id = $2
-            `;
-            
-            await dbPoolManager.executeWrite(updateQuery, [
-                JSON.stringify(gatewayResult.error),
-                paymentResult.payment_id
-            ]);
+                    await transitionPayment(paymentResult.payment_id, 'FAILED', {
+                        reason: gatewayResult.error?.message || 'Gateway initialization failed',
+                        actor: user_id,
+                        gatewayResponse: gatewayResult.error,
+                        fields: savedPaymentMethod ? { payment_method_id: savedPaymentMethod.id } : {}
+                    });
                 }
             }
         }
@@ -580,19 +840,8 @@ router.post('/',
 
         // Handle duplicate reference error in response
         if (!gatewayResult.success && gatewayResult.error?.code === 'DUPLICATE_REFERENCE') {
-            // Check if we have an existing payment with this idempotency key
-            const existingPaymentQuery = `
-                SELECT id, status, gateway_response, created_at, updated_at, user_id, order_id, amount, currency
-                FROM payments 
-                WHERE idempotency_key = $1
-                ORDER BY created_at ASC
-                LIMIT 1
-            `;
-            
-            const existingPayment = await dbPoolManager.executeRead(existingPaymentQuery, [actualIdempotencyKey]);
-            
-            if (existingPayment.rows.length > 0) {
-                const existing = existingPayment.rows[0];
+            const existing = await findPaymentByIdempotencyKey(req, actualIdempotencyKey);
+            if (existing) {
                 console.log(`Found existing payment ${existing.id} for duplicate reference response`);
                 
                 // Return the existing payment data
@@ -626,6 +875,14 @@ router.post('/',
             amount: amount,
             currency: currency,
             status: gatewayResult.success ? gatewayResult.status : 'FAILED',
+            gateway: gatewayResult.gateway,
+            captureMethod,
+            authorizationExpiresAt,
+            paymentMethodId: savedPaymentMethod?.id || null,
+            merchantId: merchantId || null,
+            settlementAmount: settlement.settlement_amount ?? null,
+            settlementCurrency: settlement.settlement_currency ?? null,
+            fxRate: settlement.fx_rate ?? null,
             gatewayResponse: gatewayResult.success ? gatewayResult.gatewayResponse : gatewayResult.error,
             idempotencyKey: actualIdempotencyKey,
             retry: retry,
@@ -635,6 +892,13 @@ router.post('/',
         };
 
         if (gatewayResult.success) {
+            // Picked up by the payment amount histograms once the response is sent
+            req.paymentAmount = {
+                amount,
+                currency,
+                reportingAmount: await getReportingAmount(amount, currency, settlement),
+                reportingCurrency: FX_CONFIG.REPORTING_CURRENCY
+            };
             res.status(responseStatus).json({
                 data: responseData,
                 metadata: {
@@ -674,7 +938,7 @@ router.post('/',
  */
 router.get('/:id', 
     validateHttpMethod(['GET']),
-    validateToken,
+    authenticate,
     async (req, res) => {
     try {
         const { id } = req.params;
@@ -708,6 +972,19 @@ router.get('/:id',
         }
 
         const payment = result.rows[0];
+        if (!canAccessOwned(req.user, payment.user_id, 'payments:read')) {
+            logAccessDenied(req, { scope: 'payments:read', resource: 'payment', resourceId: id });
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'PAYMENT_NOT_FOUND',
+                    message: 'Payment not found',
+                    details: `No payment found with ID: ${id}`
+                }
+            });
+        }
+
+        const refundableAmounts = await getRefundableAmounts([payment]);
 
         res.json({
             success: true,
@@ -718,6 +995,7 @@ router.get('/:id',
                 amount: payment.amount,
                 currency: payment.currency,
                 status: payment.status,
+                refundable_amount: refundableAmounts.get(payment.id),
                 gatewayResponse: payment.gateway_response,
                 idempotencyKey: payment.idempotency_key,
                 metadata: payment.metadata,
@@ -743,12 +1021,321 @@ router.get('/:id',
     }
 });
 
+/**
+ * GET /payments/{id}/receipt - Receipt of a collected payment as HTML or PDF (owner, or payments:read:all)
+ * Query: format=html|pdf; without it the Accept header decides, defaulting to HTML
+ */
+router.get('/:id/receipt',
+    validateHttpMethod(['GET']),
+    authenticate,
+    async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate UUID format
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_UUID',
+                    message: 'Invalid payment ID format',
+                    details: 'Payment ID must be a valid UUID'
+                }
+            });
+        }
+
+        const format = req.query.format
+            || (req.accepts(['text/html', 'application/pdf']) === 'application/pdf' ? 'pdf' : 'html');
+        if (!RECEIPT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Invalid receipt format',
+                    details: `format must be one of ${RECEIPT_FORMATS.join(', ')}`
+                }
+            });
+        }
+
+        const paymentResult = await dbPoolManager.executeRead(`
+            SELECT id, user_id, order_id, amount, captured_amount, currency, status, gateway, metadata, updated_at
+            FROM payments
+            WHERE id = $1
+        `, [id]);
+        const payment = paymentResult.rows[0];
+
+        const denied = payment && !canAccessOwned(req.user, payment.user_id, 'payments:read');
+        if (denied) {
+            logAccessDenied(req, { scope: 'payments:read', resource: 'payment', resourceId: id });
+        }
+        if (!payment || denied) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'PAYMENT_NOT_FOUND',
+                    message: 'Payment not found',
+                    details: `No payment found with ID: ${id}`
+                }
+            });
+        }
+
+        const receipt = await buildReceipt(payment);
+        if (!receipt.success) {
+            return res.status(409).json({
+                success: false,
+                error: receipt.error
+            });
+        }
+
+        const document = await renderReceipt(receipt.data, format);
+        res.set('Content-Type', document.contentType);
+        res.set('Content-Disposition', `inline; filename="${document.filename}"`);
+        res.send(document.body);
+
+    } catch (error) {
+        console.error('Get receipt error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Internal server error',
+                details: error.message
+            }
+        });
+    }
+});
+
+/**
+ * POST /payments/{id}/cancel - Cancel a PENDING or AUTHORIZED payment (owner or admin)
+ */
+router.post('/:id/cancel',
+    validateHttpMethod(['POST']),
+    authenticate,
+    rateLimit('payments:update'),
+    idempotent(),
+    async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body || {};
+
+        // Validate UUID format
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_UUID',
+                    message: 'Invalid payment ID format',
+                    details: 'Payment ID must be a valid UUID'
+                }
+            });
+        }
+
+        if (reason !== undefined && (typeof reason !== 'string' || reason.trim().length === 0)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Invalid cancellation reason',
+                    details: 'reason must be a non-empty string'
+                }
+            });
+        }
+
+        const paymentResult = await dbPoolManager.executeRead(`
+            SELECT id, user_id, order_id, amount, currency, status, gateway, gateway_response, idempotency_key
+            FROM payments
+            WHERE id = $1
+        `, [id]);
+        const payment = paymentResult.rows[0];
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'PAYMENT_NOT_FOUND',
+                    message: 'Payment not found',
+                    details: `No payment found with ID: ${id}`
+                }
+            });
+        }
+
+        if (!canAccessOwned(req.user, payment.user_id, 'payments:write')) {
+            logAccessDenied(req, { scope: 'payments:write', resource: 'payment', resourceId: id });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'FORBIDDEN',
+                    message: 'Not allowed to cancel this payment',
+                    details: 'Only the payment owner or an administrator can cancel a payment'
+                }
+            });
+        }
+
+        const result = await cancelPayment(payment, {
+            reason: reason?.trim(),
+            actorId: req.user.id
+        });
+
+        if (!result.success) {
+            const status = result.error.code === 'PAYMENT_NOT_CANCELLABLE' ? 409 : 502;
+            return res.status(status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                id: result.data.id,
+                userId: result.data.user_id,
+                orderId: result.data.order_id,
+                amount: result.data.amount,
+                currency: result.data.currency,
+                status: result.data.status,
+                previousStatus: result.data.previous_status,
+                gateway: result.data.gateway,
+                gatewayCancelled: result.data.gateway_cancelled,
+                reason: result.data.reason,
+                updatedAt: result.data.updated_at
+            },
+            metadata: {
+                status: 200,
+                correlation_id: req.headers['x-request-id'] || 'unknown'
+            }
+        });
+
+    } catch (error) {
+        console.error('Cancel payment error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Internal server error',
+                details: error.message
+            }
+        });
+    }
+});
+
+/**
+ * POST /payments/{id}/capture - Capture an AUTHORIZED payment, optionally for a partial amount (owner or admin)
+ */
+router.post('/:id/capture',
+    validateHttpMethod(['POST']),
+    authenticate,
+    rateLimit('payments:update'),
+    idempotent(),
+    async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { amount } = req.body || {};
+
+        // Validate UUID format
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_UUID',
+                    message: 'Invalid payment ID format',
+                    details: 'Payment ID must be a valid UUID'
+                }
+            });
+        }
+
+        if (amount !== undefined && !Number.isInteger(amount)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Invalid amount type',
+                    details: 'Amount must be a whole number of minor units'
+                }
+            });
+        }
+
+        const paymentResult = await dbPoolManager.executeRead(`
+            SELECT id, user_id, order_id, amount, currency, status, gateway, gateway_response, idempotency_key
+            FROM payments
+            WHERE id = $1
+        `, [id]);
+        const payment = paymentResult.rows[0];
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'PAYMENT_NOT_FOUND',
+                    message: 'Payment not found',
+                    details: `No payment found with ID: ${id}`
+                }
+            });
+        }
+
+        if (!canAccessOwned(req.user, payment.user_id, 'payments:write')) {
+            logAccessDenied(req, { scope: 'payments:write', resource: 'payment', resourceId: id });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'FORBIDDEN',
+                    message: 'Not allowed to capture this payment',
+                    details: 'Only the payment owner or an administrator can capture a payment'
+                }
+            });
+        }
+
+        const result = await capturePayment(payment, { amount, actorId: req.user.id });
+
+        if (!result.success) {
+            const statusByCode = {
+                PAYMENT_NOT_CAPTURABLE: 409,
+                INVALID_CAPTURE_AMOUNT: 400
+            };
+            return res.status(statusByCode[result.error.code] || 502).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                id: result.data.id,
+                userId: result.data.user_id,
+                orderId: result.data.order_id,
+                amount: result.data.amount,
+                capturedAmount: result.data.captured_amount,
+                currency: result.data.currency,
+                status: result.data.status,
+                gateway: result.data.gateway,
+                updatedAt: result.data.updated_at
+            },
+            metadata: {
+                status: 200,
+                correlation_id: req.headers['x-request-id'] || 'unknown'
+            }
+        });
+
+    } catch (error) {
+        console.error('Capture payment error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Internal server error',
+                details: error.message
+            }
+        });
+    }
+});
+
 /**
  * GET /payments/user/{userId} - Get payments for a user
+ * Callers can list their own payments; other users' need payments:read:all.
  */
 router.get('/user/:userId', 
     validateHttpMethod(['GET']),
-    validateToken,
+    authenticate,
     async (req, res) => {
     try {
         const { userId } = req.params;
@@ -766,6 +1353,18 @@ router.get('/user/:userId',
             });
         }
 
+        if (!canAccessOwned(req.user, userId, 'payments:read')) {
+            logAccessDenied(req, { scope: 'payments:read:all', resource: 'payment', ownerId: userId });
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'FORBIDDEN',
+                    message: "Not allowed to list another user's payments",
+                    details: 'Listing payments of other users requires the payments:read:all scope'
+                }
+            });
+        }
+
         const limitNum = Math.min(parseInt(limit) || 20, 100);
         const offsetNum = Math.max(parseInt(offset) || 0, 0);
 
@@ -778,6 +1377,8 @@ router.get('/user/:userId',
             offsetNum
         ]);
 
+        const refundableAmounts = await getRefundableAmounts(result.rows);
+
         const payments = result.rows.map(row => ({
             id: row.id,
             userId: row.user_id,
@@ -785,6 +1386,7 @@ router.get('/user/:userId',
             amount: row.amount,
             currency: row.currency,
             status: row.status,
+            refundable_amount: refundableAmounts.get(row.id),
             gatewayResponse: row.gateway_response,
             idempotencyKey: row.idempotency_key,
             metadata: row.metadata,
@@ -1,6 +1,7 @@
 import express from 'express';
 import dbPoolManager from '../db/connectionPool.js';
 import { API_CONFIG, PAYMENT_CONFIG, SECURITY_CONFIG } from '../config/constants.js';
+import { transitionPayment, InvalidStateTransitionError, PAYMENT_STATUSES } from '../services/paymentStateMachine.js';
 
 const router = express.Router();
 
@@ -314,13 +315,14 @@ router.get('/:id', async (req, res) => {
  * - id: Payment UUID
  * 
  * Request Body:
- * - status: New payment status
+ * - status: New payment status (must be an allowed transition from the current status)
  * - gateway_response: Optional updated gateway response
+ * - change_reason: Optional reason recorded in payment history
  */
 router.put('/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, gateway_response } = req.body;
+        const { status, gateway_response, change_reason } = req.body;
 
         // Validate UUID format
         const uuidRegex = SECURITY_CONFIG.UUID_PATTERN;
@@ -347,23 +349,45 @@ router.put('/:id', async (req, res) => {
             });
         }
 
-        // Use database helper function
-        const query = `SELECT * FROM update_payment_status($1, $2, $3)`;
-        const result = await dbPoolManager.executeWrite(query, [
-            id,
-            status,
-            gateway_response ? JSON.stringify(gateway_response) : null
-        ]);
+        if (!PAYMENT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Invalid payment status',
+                    details: `Status must be one of: ${PAYMENT_STATUSES.join(', ')}`
+                }
+            });
+        }
 
-        const updateResult = result.rows[0];
+        let transition;
+        try {
+            transition = await transitionPayment(id, status, {
+                reason: change_reason,
+                actor: req.user?.id || 'api',
+                gatewayResponse: gateway_response
+            });
+        } catch (error) {
+            if (error instanceof InvalidStateTransitionError) {
+                return res.status(409).json({
+                    success: false,
+                    error: {
+                        code: error.code,
+                        message: 'Failed to update payment',
+                        details: error.message
+                    }
+                });
+            }
+            throw error;
+        }
 
-        if (!updateResult.success) {
-            return res.status(400).json({
+        if (!transition) {
+            return res.status(404).json({
                 success: false,
                 error: {
-                    code: 'PAYMENT_UPDATE_FAILED',
-                    message: 'Failed to update payment',
-                    details: updateResult.error_message
+                    code: 'PAYMENT_NOT_FOUND',
+                    message: 'Payment not found',
+                    details: `No payment found with ID: ${id}`
                 }
             });
         }
@@ -372,9 +396,9 @@ router.put('/:id', async (req, res) => {
             success: true,
             data: {
                 id,
-                old_status: updateResult.old_status,
-                new_status: updateResult.new_status,
-                updated_at: new Date().toISOString()
+                old_status: transition.previousStatus,
+                new_status: transition.payment.status,
+                updated_at: transition.payment.updated_at
             }
         });
 
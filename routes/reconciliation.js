@@ -0,0 +1,217 @@
+import express from 'express';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { requireScope } from '../middleware/authorization.js';
+import { hasGateway } from '../gateways/index.js';
+import {
+    RECONCILIATION_BUCKETS,
+    createReconciliationRun,
+    executeReconciliationRun,
+    getPreviousDayPeriod,
+    listReconciliationRuns,
+    getReconciliationRun,
+    toCsv
+} from '../services/settlementReconciliation.js';
+import { API_CONFIG } from '../config/constants.js';
+
+const router = express.Router();
+
+// Settlement reports are finance data: admins start runs, reading them needs reports:read
+// (admins, and back-office services whose API key has the scope)
+router.use(authenticate);
+
+const MAX_PERIOD_DAYS = 31;
+
+const validationError = (res, message, details) => res.status(400).json({
+    success: false,
+    error: {
+        code: 'VALIDATION_ERROR',
+        message,
+        details
+    }
+});
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    error: {
+        code: 'RECONCILIATION_RUN_NOT_FOUND',
+        message: 'Reconciliation run not found'
+    }
+});
+
+/**
+ * POST /reconciliation/runs - Start a reconciliation run
+ * Body: { gateway, from, to }; the period defaults to the previous UTC day.
+ * The run executes in the background; poll GET /reconciliation/runs/:id for the outcome.
+ */
+router.post('/runs', requireAdmin, async (req, res) => {
+    try {
+        const { gateway = 'paystack' } = req.body || {};
+        const defaults = getPreviousDayPeriod();
+        const from = new Date(req.body?.from || defaults.from);
+        const to = new Date(req.body?.to || defaults.to);
+
+        if (!hasGateway(gateway)) {
+            return validationError(res, 'Unknown gateway', `Gateway ${gateway} is not registered`);
+        }
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+            return validationError(res, 'Invalid period', 'from and to must be dates with from before to');
+        }
+        if (to - from > MAX_PERIOD_DAYS * 24 * 60 * 60 * 1000) {
+            return validationError(res, 'Invalid period', `A run can cover at most ${MAX_PERIOD_DAYS} days`);
+        }
+
+        const run = await createReconciliationRun({ gateway, from, to, triggeredBy: req.user.id });
+
+        executeReconciliationRun(run).catch(() => {
+            // Failure is recorded on the run itself
+        });
+
+        res.status(202).json({
+            success: true,
+            data: run,
+            metadata: {
+                status: 202,
+                correlation_id: req.headers['x-request-id'] || 'unknown'
+            }
+        });
+    } catch (error) {
+        console.error('Start reconciliation run error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Failed to start reconciliation run',
+                details: error.message
+            }
+        });
+    }
+});
+
+/**
+ * GET /reconciliation/runs - List reconciliation runs
+ */
+router.get('/runs', requireScope('reports:read'), async (req, res) => {
+    try {
+        const { gateway, status, limit, offset } = req.query;
+
+        const limitNum = Math.min(parseInt(limit) || API_CONFIG.DEFAULT_PAGINATION_LIMIT, API_CONFIG.MAX_PAGINATION_LIMIT);
+        const offsetNum = Math.max(parseInt(offset) || API_CONFIG.DEFAULT_PAGINATION_OFFSET, 0);
+
+        const { runs, total } = await listReconciliationRuns({
+            gateway,
+            status,
+            limit: limitNum,
+            offset: offsetNum
+        });
+
+        res.status(200).json({
+            success: true,
+            data: runs,
+            metadata: {
+                status: 200,
+                correlation_id: req.headers['x-request-id'] || 'unknown',
+                pagination: {
+                    limit: limitNum,
+                    offset: offsetNum,
+                    count: runs.length,
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('List reconciliation runs error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Failed to list reconciliation runs',
+                details: error.message
+            }
+        });
+    }
+});
+
+/**
+ * GET /reconciliation/runs/:id - Get a run with its items (?bucket= filters the items)
+ */
+router.get('/runs/:id', requireScope('reports:read'), async (req, res) => {
+    try {
+        const { bucket, limit, offset } = req.query;
+
+        if (bucket && !RECONCILIATION_BUCKETS.includes(bucket)) {
+            return validationError(res, 'Invalid bucket', `bucket must be one of ${RECONCILIATION_BUCKETS.join(', ')}`);
+        }
+
+        const limitNum = Math.min(parseInt(limit) || API_CONFIG.DEFAULT_PAGINATION_LIMIT, API_CONFIG.MAX_PAGINATION_LIMIT);
+        const offsetNum = Math.max(parseInt(offset) || API_CONFIG.DEFAULT_PAGINATION_OFFSET, 0);
+
+        const result = await getReconciliationRun(req.params.id, { bucket, limit: limitNum, offset: offsetNum });
+        if (!result) {
+            return notFound(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...result.run,
+                items: result.items
+            },
+            metadata: {
+                status: 200,
+                correlation_id: req.headers['x-request-id'] || 'unknown',
+                pagination: {
+                    limit: limitNum,
+                    offset: offsetNum,
+                    count: result.items.length,
+                    total: result.total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get reconciliation run error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Failed to get reconciliation run',
+                details: error.message
+            }
+        });
+    }
+});
+
+/**
+ * GET /reconciliation/runs/:id/export.csv - Download run items as CSV (?bucket= filters the items)
+ */
+router.get('/runs/:id/export.csv', requireScope('reports:read'), async (req, res) => {
+    try {
+        const { bucket } = req.query;
+
+        if (bucket && !RECONCILIATION_BUCKETS.includes(bucket)) {
+            return validationError(res, 'Invalid bucket', `bucket must be one of ${RECONCILIATION_BUCKETS.join(', ')}`);
+        }
+
+        const result = await getReconciliationRun(req.params.id, { bucket });
+        if (!result) {
+            return notFound(res);
+        }
+
+        const filename = `reconciliation-${result.run.gateway}-${new Date(result.run.period_start).toISOString().slice(0, 10)}${bucket ? `-${bucket.toLowerCase()}` : ''}.csv`;
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.status(200).send(toCsv(result.items));
+    } catch (error) {
+        console.error('Export reconciliation run error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Failed to export reconciliation run',
+                details: error.message
+            }
+        });
+    }
+});
+
+export default router;
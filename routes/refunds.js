@@ -1,19 +1,28 @@
 import express from 'express';
 import dbPoolManager from '../db/connectionPool.js';
 import { API_CONFIG, PAYMENT_CONFIG, SECURITY_CONFIG } from '../config/constants.js';
+import { getAmountStep } from '../config/currencies.js';
 import { processRefundForGateway } from '../services/paymentProcessor.js';
 import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
-import { validateToken, validateHttpMethod, validateIdempotencyKey } from '../middleware/auth.js';
+import { authenticate, validateHttpMethod, validateIdempotencyKey } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { hasScope, canAccessOwned, logAccessDenied } from '../middleware/authorization.js';
+import { reserveRefund, applySucceededRefunds } from '../services/refundService.js';
+import { transitionRefund } from '../services/paymentStateMachine.js';
 
 const router = express.Router();
 
 /**
  * POST /refunds - Create a refund for a payment
+ * Customers can refund their own payments; other users' payments need refunds:write:all.
  */
 router.post('/', 
     validateHttpMethod(['POST']),
-    validateToken,
+    authenticate,
+    rateLimit('refunds:create'),
     validateIdempotencyKey,
+    idempotent(),
     async (req, res) => {
     try {
         const {
@@ -38,14 +47,14 @@ router.post('/',
             });
         }
 
-        // Validate amount
-        if (amount <= 0) {
+        // Validate amount (minor units of the payment currency)
+        if (!Number.isInteger(amount) || amount <= 0) {
             return res.status(400).json({
                 success: false,
                 error: {
                     code: 'INVALID_AMOUNT',
                     message: 'Invalid refund amount',
-                    details: 'Refund amount must be greater than 0'
+                    details: 'Refund amount must be a whole number of minor units greater than 0'
                 }
             });
         }
@@ -60,7 +69,11 @@ router.post('/',
         const paymentResult = await dbPoolManager.executeRead(paymentQuery, [payment_id]);
         const payment = paymentResult.rows[0];
 
-        if (!payment) {
+        const denied = payment && !canAccessOwned(req.user, payment.user_id, 'refunds:write');
+        if (denied) {
+            logAccessDenied(req, { scope: 'refunds:write', resource: 'payment', resourceId: payment_id });
+        }
+        if (!payment || denied) {
             return res.status(404).json({
                 success: false,
                 error: {
@@ -71,22 +84,34 @@ router.post('/',
             });
         }
 
-        // Extract Paystack transaction reference from payment gateway response
-        let paystackTransactionId;
+        const step = getAmountStep(payment.currency);
+        if (amount % step !== 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'INVALID_AMOUNT',
+                    message: 'Invalid refund amount',
+                    details: `${payment.currency} refunds must be a multiple of ${step} minor units`
+                }
+            });
+        }
+
+        // Extract gateway transaction reference from payment gateway response
+        let gatewayTransactionId;
         try {
             const gatewayResponse = typeof payment.gateway_response === 'string' 
                 ? JSON.parse(payment.gateway_response) 
                 : payment.gateway_response;
             
-            paystackTransactionId = gatewayResponse?.reference || gatewayResponse?.transaction_id;
+            gatewayTransactionId = gatewayResponse?.reference || gatewayResponse?.transaction_id;
             
-            if (!paystackTransactionId) {
+            if (!gatewayTransactionId) {
                 return res.status(400).json({
                     success: false,
                     error: {
                         code: 'INVALID_PAYMENT_DATA',
-                        message: 'Payment missing Paystack transaction reference',
-                        details: 'Payment does not have a valid Paystack transaction reference for refund processing'
+                        message: 'Payment missing gateway transaction reference',
+                        details: 'Payment does not have a valid gateway transaction reference for refund processing'
                     }
                 });
             }
@@ -101,75 +126,15 @@ router.post('/',
             });
         }
 
-        // Check if payment was successful - only successful payments can be refunded
-        if (payment.status !== 'SUCCEEDED') {
-            return res.status(400).json({
-                success: false,
-                error: {
-                    code: 'REFUND_NOT_ALLOWED',
-                    message: 'Refund not allowed for this payment',
-                    details: `Only successful payments can be refunded. Payment status: ${payment.status}. Payment must be 'SUCCEEDED' to create a refund.`
-                }
-            });
-        }
-
-        // Check refund amount doesn't exceed payment amount
-        if (amount > payment.amount) {
-            return res.status(400).json({
-                success: false,
-                error: {
-                    code: 'REFUND_AMOUNT_EXCEEDED',
-                    message: 'Refund amount exceeds payment amount',
-                    details: `Refund amount ${amount} exceeds payment amount ${payment.amount}`
-                }
-            });
-        }
-
-        if(amount < payment.amount) {
-            return res.status(400).json({
-                success: false,
-                error: {
-                    code: 'REFUND_AMOUNT_LESS_THAN_PAYMENT_AMOUNT',
-                    message: 'Refund amount is less than payment amount',
-                    details: `Refund amount ${amount} is less than payment amount ${payment.amount}`
-                }
-            });
-        }
-
-        // Get existing refunds for this payment
-        const existingRefundsQuery = `
-            SELECT COALESCE(SUM(amount), 0) as total_refunded
+        // Repeats are replayed by idempotent(); this catches a key reused on this payment after its record
+        // expired. Keys are scoped to the payment, so the refund found is one the caller may already see.
+        // FAILED refunds give their key up so a refund that failed at the gateway can be retried.
+        const existingRefundResult = await dbPoolManager.executeRead(`
+            SELECT id, amount, status, created_at
             FROM refunds
-            WHERE payment_id = $1 AND status = 'SUCCEEDED'
-        `;
+            WHERE payment_id = $1 AND idempotency_key = $2 AND status <> 'FAILED'
+        `, [payment_id, idempotencyKey]);
 
-        const refundsResult = await dbPoolManager.executeRead(existingRefundsQuery, [payment_id]);
-        const totalRefunded = parseInt(refundsResult.rows[0].total_refunded);
-
-        // Check if refund amount exceeds available amount
-        const availableAmount = payment.amount - totalRefunded;
-        if (amount > availableAmount) {
-            return res.status(400).json({
-                success: false,
-                error: {
-                    code: 'REFUND_AMOUNT_EXCEEDED',
-                    message: 'Refund amount exceeds available amount',
-                    details: `Refund amount ${amount} exceeds available amount ${availableAmount}`
-                }
-            });
-        }
-
-        // Check for existing refund with same idempotency key
-        const existingRefundQuery = `
-            SELECT id, payment_id, amount, status, created_at
-            FROM refunds
-            WHERE idempotency_key = $1
-            ORDER BY created_at DESC
-            LIMIT 1
-        `;
-        
-        const existingRefundResult = await dbPoolManager.executeRead(existingRefundQuery, [idempotencyKey]);
-        
         if (existingRefundResult.rows.length > 0) {
             const existingRefund = existingRefundResult.rows[0];
             return res.status(409).json({
@@ -179,7 +144,6 @@ router.post('/',
                     message: 'A refund with this idempotency key already exists',
                     details: {
                         existing_refund_id: existingRefund.id,
-                        existing_payment_id: existingRefund.payment_id,
                         existing_amount: existingRefund.amount,
                         existing_status: existingRefund.status,
                         created_at: existingRefund.created_at,
@@ -189,63 +153,34 @@ router.post('/',
             });
         }
 
-        // Check for existing refunds in progress for this payment
-        const pendingRefundsQuery = `
-            SELECT id, amount, status, created_at
-            FROM refunds
-            WHERE payment_id = $1 AND status = 'PENDING'
-            ORDER BY created_at DESC
-        `;
-        
-        const pendingRefundsResult = await dbPoolManager.executeRead(pendingRefundsQuery, [payment_id]);
-        const pendingRefunds = pendingRefundsResult.rows;
-        
-        if (pendingRefunds.length > 0) {
-            const latestPendingRefund = pendingRefunds[0];
-            return res.status(409).json({
-                success: false,
-                error: {
-                    code: 'REFUND_IN_PROGRESS',
-                    message: 'A refund for this payment is already in progress',
-                    details: {
-                        existing_refund_id: latestPendingRefund.id,
-                        existing_amount: latestPendingRefund.amount,
-                        existing_status: latestPendingRefund.status,
-                        created_at: latestPendingRefund.created_at
-                    }
-                }
-            });
-        }
-
-        // Determine gateway
-        const gateway = 'paystack';
+        // Refund through the gateway that processed the payment
+        const gateway = payment.gateway || 'paystack';
 
         // Generate idempotency key if not provided
         const finalIdempotencyKey = idempotencyKey || `refund_${payment_id}_${Date.now()}`;
 
-        // Create refund in database using direct SQL to avoid function conflicts
-        const createRefundQuery = `
-            INSERT INTO refunds (
-                payment_id, amount, currency, status, reason, idempotency_key
-            ) VALUES (
-                $1, $2, $3, 'PENDING', $4, $5
-            ) RETURNING id as refund_id, payment_id, amount, currency, status, reason, created_at
-        `;
-
-        const refundResult = await dbPoolManager.executeWrite(createRefundQuery, [
+        // Reserve the amount against the payment's refundable balance (payment row is locked while checking)
+        const reservation = await reserveRefund({
             payment_id,
             amount,
-            payment.currency,
-            reason || 'Customer requested refund',
-            finalIdempotencyKey
-        ]);
+            reason: reason || 'Customer requested refund',
+            idempotencyKey: finalIdempotencyKey
+        });
 
-        const refund = refundResult.rows[0];
+        if (!reservation.success) {
+            const status = reservation.error.code === 'PAYMENT_NOT_FOUND' ? 404 : 400;
+            return res.status(status).json({
+                success: false,
+                error: reservation.error
+            });
+        }
+
+        const { refund } = reservation.data;
 
-        // Process refund with Paystack
+        // Process refund with the payment's gateway
         const refundData = {
             gateway,
-            transactionId: paystackTransactionId, // Use the extracted Paystack transaction reference
+            transactionId: gatewayTransactionId,
             amount,
             reason: reason || 'Customer requested refund',
             metadata: {
@@ -258,36 +193,25 @@ router.post('/',
             idempotencyKey: finalIdempotencyKey
         };
 
-        // Paystack specific fields (if needed)
-        if (gateway === 'paystack') {
-            // Add any Paystack-specific fields here if needed
-        }
-
-        // Process refund with Paystack API
+        // Process refund with the gateway API
         let gatewayResult;
         try {
-            console.log(`Processing refund with Paystack for transaction: ${paystackTransactionId}`);
+            console.log(`Processing refund with ${gateway} for transaction: ${gatewayTransactionId}`);
             gatewayResult = await processRefundForGateway(refundData);
-            console.log('Paystack refund response:', gatewayResult);
+            console.log(`${gateway} refund response:`, gatewayResult);
         } catch (gatewayError) {
             console.error('Gateway refund processing failed:', gatewayError);
             
             // Handle specific Paystack errors
             if (gatewayError.message && gatewayError.message.includes('already in progress')) {
                 // Update refund status to FAILED
-                const updateRefundQuery = `
-                    UPDATE refunds
-                    SET status = 'FAILED', gateway_response = $2, updated_at = NOW()
-                    WHERE id = $1
-                `;
-                await dbPoolManager.executeWrite(updateRefundQuery, [
-                    refund.refund_id,
-                    JSON.stringify({
+                await transitionRefund(refund.refund_id, 'FAILED', {
+                    gatewayResponse: {
                         code: 'PAYSTACK_ERROR',
                         message: 'A refund for this transaction is already in progress',
                         type: 'refund_error'
-                    })
-                ]);
+                    }
+                });
                 
                 return res.status(409).json({
                     success: false,
@@ -304,20 +228,14 @@ router.post('/',
             }
             
             // For other gateway errors, mark refund as failed
-            const updateRefundQuery = `
-                UPDATE refunds
-                SET status = 'FAILED', gateway_response = $2, updated_at = NOW()
-                WHERE id = $1
-            `;
-            await dbPoolManager.executeWrite(updateRefundQuery, [
-                refund.refund_id,
-                JSON.stringify({
+            await transitionRefund(refund.refund_id, 'FAILED', {
+                gatewayResponse: {
                     code: 'PAYSTACK_ERROR',
                     message: gatewayError.message || 'Refund processing failed',
                     type: 'refund_error',
                     originalError: gatewayError
-                })
-            ]);
+                }
+            });
             
             return res.status(500).json({
                 success: false,
@@ -332,64 +250,21 @@ router.post('/',
         // Update refund with gateway response
         if (gatewayResult.success) {
             // Update refund status and gateway response
-            const updateRefundQuery = `
-                UPDATE refunds 
-                SET status = $2, gateway_response = $3, updated_at = NOW()
-                WHERE id = $1
-            `;
-            
-            await dbPoolManager.executeWrite(updateRefundQuery, [
-                refund.refund_id,
-                gatewayResult.status,
-                JSON.stringify(gatewayResult.gatewayResponse)
-            ]);
+            await transitionRefund(refund.refund_id, gatewayResult.status, {
+                gatewayResponse: gatewayResult.gatewayResponse
+            });
 
             // Update payment status based on refund status
             if (gatewayResult.status === 'SUCCEEDED') {
-                // Check if this is a full or partial refund
-                const totalRefundedQuery = `
-                    SELECT COALESCE(SUM(amount), 0) as total_refunded
-                    FROM refunds
-                    WHERE payment_id = $1 AND status = 'SUCCEEDED'
-                `;
-                const totalRefundedResult = await dbPoolManager.executeRead(totalRefundedQuery, [payment_id]);
-                const totalRefunded = parseFloat(totalRefundedResult.rows[0].total_refunded);
-                
-                let paymentStatus;
-                if (totalRefunded >= payment.amount) {
-                    paymentStatus = 'REFUNDED';
-                } else {
-                    paymentStatus = 'PARTIALLY_REFUNDED';
-                }
-                
-                // Update payment status and gateway response
-                const updatePaymentQuery = `
-                    UPDATE payments
-                    SET status = $2, gateway_response = $3, updated_at = NOW()
-                    WHERE id = $1
-                `;
-                
-                // Merge the refund response into the payment's gateway response
-                const updatedGatewayResponse = {
-                    ...gatewayResponse,
-                    refunds: {
-                        ...gatewayResponse.refunds,
-                        [refund.refund_id]: {
-                            amount: amount,
-                            status: gatewayResult.status,
-                            gatewayResponse: gatewayResult.gatewayResponse,
-                            processedAt: new Date().toISOString()
-                        }
+                await applySucceededRefunds(payment_id, {
+                    refundId: refund.refund_id,
+                    details: {
+                        amount: amount,
+                        status: gatewayResult.status,
+                        gatewayResponse: gatewayResult.gatewayResponse,
+                        processedAt: new Date().toISOString()
                     }
-                };
-                
-                await dbPoolManager.executeWrite(updatePaymentQuery, [
-                    payment_id,
-                    paymentStatus,
-                    JSON.stringify(updatedGatewayResponse)
-                ]);
-                
-                console.log(`Payment ${payment_id} updated to ${paymentStatus} (total refunded: ${totalRefunded}/${payment.amount})`);
+                }, { actor: req.user.id });
             }
 
             // Publish refund event
@@ -409,16 +284,9 @@ router.post('/',
             }
         } else {
             // Update refund with failure status
-            const updateRefundQuery = `
-                UPDATE refunds 
-                SET status = 'FAILED', gateway_response = $2, updated_at = NOW()
-                WHERE id = $1
-            `;
-            
-            await dbPoolManager.executeWrite(updateRefundQuery, [
-                refund.refund_id,
-                JSON.stringify(gatewayResult.gatewayResponse || { error: 'Refund processing failed' })
-            ]);
+            await transitionRefund(refund.refund_id, 'FAILED', {
+                gatewayResponse: gatewayResult.gatewayResponse || { error: 'Refund processing failed' }
+            });
         }
 
         // Return response
@@ -455,14 +323,7 @@ router.post('/',
                 errorCode = 'REFUND_ALREADY_IN_PROGRESS';
                 errorMessage = 'A refund for this transaction is already in progress';
                 statusCode = 409; // Conflict status
-                
-                // Update refund status to reflect the conflict
-                const updateRefundQuery = `
-                    UPDATE refunds 
-                    SET status = 'FAILED', updated_at = NOW()
-                    WHERE id = $1
-                `;
-                await dbPoolManager.executeWrite(updateRefundQuery, [refund.refund_id]);
+                // The refund was already marked FAILED above
             }
             
             res.status(statusCode).json({
@@ -491,10 +352,11 @@ router.post('/',
 
 /**
  * GET /refunds - Get all refunds with pagination
+ * Callers without refunds:read:all only see refunds of their own payments.
  */
 router.get('/', 
     validateHttpMethod(['GET']),
-    validateToken,
+    authenticate,
     async (req, res) => {
     try {
         const {
@@ -533,6 +395,12 @@ router.get('/',
             params.push(payment_id);
         }
 
+        if (!hasScope(req.user, 'refunds:read:all')) {
+            paramCount++;
+            query += ` AND r.payment_id IN (SELECT id FROM payments WHERE user_id = $${paramCount})`;
+            params.push(req.user.id);
+        }
+
         if (start_date) {
             paramCount++;
             query += ` AND r.created_at >= $${paramCount}`;
@@ -588,7 +456,7 @@ router.get('/',
  */
 router.get('/:id', 
     validateHttpMethod(['GET']),
-    validateToken,
+    authenticate,
     async (req, res) => {
     try {
         const { id } = req.params;
@@ -611,7 +479,16 @@ router.get('/:id',
         const result = await dbPoolManager.executeRead(query, [id]);
         const refund = result.rows[0];
 
-        if (!refund) {
+        let denied = false;
+        if (refund && !hasScope(req.user, 'refunds:read:all')) {
+            const ownerResult = await dbPoolManager.executeRead('SELECT user_id FROM get_payment_with_archive($1)', [refund.payment_id]);
+            denied = !canAccessOwned(req.user, ownerResult.rows[0]?.user_id, 'refunds:read');
+            if (denied) {
+                logAccessDenied(req, { scope: 'refunds:read', resource: 'refund', resourceId: id });
+            }
+        }
+
+        if (!refund || denied) {
             return res.status(404).json({
                 success: false,
                 error: {
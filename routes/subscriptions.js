@@ -0,0 +1,294 @@
+import express from 'express';
+import { SECURITY_CONFIG } from '../config/constants.js';
+import { validateToken, requireAdmin, isAdmin } from '../middleware/auth.js';
+import {
+    formatPlan,
+    formatSubscription,
+    formatBillingCycle,
+    listPlans,
+    createPlan,
+    listSubscriptions,
+    getSubscription,
+    listBillingCycles,
+    createSubscription,
+    changeSubscriptionPlan,
+    updateSubscriptionPaymentMethod,
+    cancelSubscription
+} from '../services/subscriptionService.js';
+
+const router = express.Router();
+
+router.use(validateToken);
+
+// HTTP status for each service error code; anything else is a gateway problem
+const ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    PLAN_UNCHANGED: 400,
+    PLAN_CURRENCY_MISMATCH: 400,
+    SAVED_PAYMENT_METHODS_NOT_SUPPORTED: 400,
+    PRORATION_CHARGE_FAILED: 402,
+    PLAN_NOT_FOUND: 404,
+    SUBSCRIPTION_NOT_FOUND: 404,
+    PAYMENT_METHOD_NOT_FOUND: 404,
+    PLAN_CODE_TAKEN: 409,
+    PAYMENT_METHOD_INACTIVE: 409,
+    SUBSCRIPTION_NOT_CHANGEABLE: 409,
+    SUBSCRIPTION_CANCELLED: 409,
+    BILLING_IN_PROGRESS: 409
+};
+
+const invalidId = (res, field) => res.status(400).json({
+    success: false,
+    error: {
+        code: 'VALIDATION_ERROR',
+        message: `Invalid ${field} format`,
+        details: `${field} must be a valid UUID`
+    }
+});
+
+const sendError = (res, error) => res.status(ERROR_STATUS[error.code] || 502).json({
+    success: false,
+    error
+});
+
+const sendInternalError = (res, message, error) => res.status(500).json({
+    success: false,
+    error: {
+        code: 'INTERNAL_ERROR',
+        message,
+        details: error.message
+    }
+});
+
+const sendData = (req, res, status, data) => res.status(status).json({
+    success: true,
+    data,
+    metadata: {
+        status,
+        correlation_id: req.headers['x-request-id'] || 'unknown'
+    }
+});
+
+/**
+ * Outcome of the charge made by a request, if any
+ */
+const formatBilling = (billing) => billing && {
+    outcome: billing.outcome,
+    paymentId: billing.paymentId || null,
+    nextAttemptAt: billing.nextAttemptAt || null,
+    error: billing.error || null
+};
+
+/**
+ * GET /subscriptions/plans - List plans available to subscribe to
+ * Query: includeInactive=true (admins only) also returns retired plans
+ */
+router.get('/plans', async (req, res) => {
+    try {
+        const rows = await listPlans({ includeInactive: req.query.includeInactive === 'true' && isAdmin(req.user) });
+        sendData(req, res, 200, rows.map(formatPlan));
+    } catch (error) {
+        console.error('List plans error:', error);
+        sendInternalError(res, 'Failed to list plans', error);
+    }
+});
+
+/**
+ * POST /subscriptions/plans - Create a plan (admin only)
+ * Body: { code, name, amount, currency, interval: DAY|WEEK|MONTH|YEAR, intervalCount, trialDays, metadata }
+ */
+router.post('/plans', requireAdmin, async (req, res) => {
+    try {
+        const result = await createPlan(req.body || {});
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 201, formatPlan(result.data));
+    } catch (error) {
+        console.error('Create plan error:', error);
+        sendInternalError(res, 'Failed to create plan', error);
+    }
+});
+
+/**
+ * GET /subscriptions - List the caller's subscriptions
+ */
+router.get('/', async (req, res) => {
+    try {
+        const rows = await listSubscriptions(req.user.id);
+        sendData(req, res, 200, rows.map(formatSubscription));
+    } catch (error) {
+        console.error('List subscriptions error:', error);
+        sendInternalError(res, 'Failed to list subscriptions', error);
+    }
+});
+
+/**
+ * POST /subscriptions - Subscribe to a plan, billed to one of the caller's saved payment methods
+ * Body: { planId, paymentMethodId, metadata }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { planId, paymentMethodId, metadata = {} } = req.body || {};
+
+        if (!planId || !SECURITY_CONFIG.UUID_PATTERN.test(planId)) {
+            return invalidId(res, 'planId');
+        }
+        if (!paymentMethodId || !SECURITY_CONFIG.UUID_PATTERN.test(paymentMethodId)) {
+            return invalidId(res, 'paymentMethodId');
+        }
+
+        const result = await createSubscription({ userId: req.user.id, planId, paymentMethodId, metadata });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 201, {
+            ...formatSubscription(result.data.subscription),
+            billing: formatBilling(result.data.billing)
+        });
+    } catch (error) {
+        console.error('Create subscription error:', error);
+        sendInternalError(res, 'Failed to create subscription', error);
+    }
+});
+
+/**
+ * GET /subscriptions/:id - Get one of the caller's subscriptions with its billing history
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+            return invalidId(res, 'Subscription ID');
+        }
+
+        const subscription = await getSubscription(req.user.id, req.params.id);
+        if (!subscription) {
+            return sendError(res, {
+                code: 'SUBSCRIPTION_NOT_FOUND',
+                message: 'Subscription not found',
+                details: `No subscription found with ID: ${req.params.id}`
+            });
+        }
+
+        const cycles = await listBillingCycles(subscription.id);
+
+        sendData(req, res, 200, {
+            ...formatSubscription(subscription),
+            billingCycles: cycles.map(formatBillingCycle)
+        });
+    } catch (error) {
+        console.error('Get subscription error:', error);
+        sendInternalError(res, 'Failed to get subscription', error);
+    }
+});
+
+/**
+ * POST /subscriptions/:id/change-plan - Switch plans with proration
+ * Body: { planId }. Returns 202 while a prorated upgrade charge is still pending at the gateway.
+ */
+router.post('/:id/change-plan', async (req, res) => {
+    try {
+        const { planId } = req.body || {};
+
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+            return invalidId(res, 'Subscription ID');
+        }
+        if (!planId || !SECURITY_CONFIG.UUID_PATTERN.test(planId)) {
+            return invalidId(res, 'planId');
+        }
+
+        const result = await changeSubscriptionPlan({ userId: req.user.id, subscriptionId: req.params.id, planId });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        const { subscription, proration, billing } = result.data;
+        sendData(req, res, billing?.outcome === 'PROCESSING' ? 202 : 200, {
+            ...formatSubscription(subscription),
+            proration,
+            billing: formatBilling(billing)
+        });
+    } catch (error) {
+        console.error('Change subscription plan error:', error);
+        sendInternalError(res, 'Failed to change subscription plan', error);
+    }
+});
+
+/**
+ * POST /subscriptions/:id/payment-method - Bill the subscription to another saved payment method
+ * Body: { paymentMethodId }
+ */
+router.post('/:id/payment-method', async (req, res) => {
+    try {
+        const { paymentMethodId } = req.body || {};
+
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+            return invalidId(res, 'Subscription ID');
+        }
+        if (!paymentMethodId || !SECURITY_CONFIG.UUID_PATTERN.test(paymentMethodId)) {
+            return invalidId(res, 'paymentMethodId');
+        }
+
+        const result = await updateSubscriptionPaymentMethod({
+            userId: req.user.id,
+            subscriptionId: req.params.id,
+            paymentMethodId
+        });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 200, formatSubscription(result.data));
+    } catch (error) {
+        console.error('Update subscription payment method error:', error);
+        sendInternalError(res, 'Failed to update subscription payment method', error);
+    }
+});
+
+/**
+ * POST /subscriptions/:id/cancel - Cancel a subscription
+ * Body: { atPeriodEnd = true, reason }. atPeriodEnd=false cancels immediately.
+ */
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        const { atPeriodEnd = true, reason } = req.body || {};
+
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+            return invalidId(res, 'Subscription ID');
+        }
+        if (typeof atPeriodEnd !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Invalid atPeriodEnd',
+                    details: 'atPeriodEnd must be a boolean'
+                }
+            });
+        }
+
+        const result = await cancelSubscription({
+            userId: req.user.id,
+            subscriptionId: req.params.id,
+            atPeriodEnd,
+            reason
+        });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 200, formatSubscription(result.data));
+    } catch (error) {
+        console.error('Cancel subscription error:', error);
+        sendInternalError(res, 'Failed to cancel subscription', error);
+    }
+});
+
+export default router;
@@ -0,0 +1,277 @@
+import express from 'express';
+import { API_CONFIG, SECURITY_CONFIG } from '../config/constants.js';
+import { validateToken, isAdmin } from '../middleware/auth.js';
+import {
+    DELIVERY_STATUSES,
+    MERCHANT_WEBHOOK_EVENTS,
+    formatEndpoint,
+    formatDelivery,
+    formatAttempt,
+    createEndpoint,
+    listEndpoints,
+    getEndpoint,
+    updateEndpoint,
+    listDeliveries,
+    getDelivery,
+    resendDelivery
+} from '../services/merchantWebhooks.js';
+
+const router = express.Router();
+
+router.use(validateToken);
+
+// HTTP status for each service error code
+const ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    FORBIDDEN: 403,
+    WEBHOOK_ENDPOINT_NOT_FOUND: 404,
+    WEBHOOK_DELIVERY_NOT_FOUND: 404,
+    WEBHOOK_ENDPOINT_DISABLED: 409,
+    WEBHOOK_DELIVERY_IN_PROGRESS: 409,
+    WEBHOOK_ENDPOINT_LIMIT_REACHED: 409
+};
+
+const sendError = (res, error) => res.status(ERROR_STATUS[error.code] || 500).json({
+    success: false,
+    error
+});
+
+const sendInternalError = (res, message, error) => res.status(500).json({
+    success: false,
+    error: {
+        code: 'INTERNAL_ERROR',
+        message,
+        details: error.message
+    }
+});
+
+const sendData = (req, res, status, data) => res.status(status).json({
+    success: true,
+    data,
+    metadata: {
+        status,
+        correlation_id: req.headers['x-request-id'] || 'unknown'
+    }
+});
+
+const getPagination = (query) => ({
+    limit: Math.min(parseInt(query.limit) || API_CONFIG.DEFAULT_PAGINATION_LIMIT, API_CONFIG.MAX_PAGINATION_LIMIT),
+    offset: Math.max(parseInt(query.offset) || API_CONFIG.DEFAULT_PAGINATION_OFFSET, 0)
+});
+
+/**
+ * Load an endpoint the caller registered (admins can load any endpoint)
+ * @returns {Object|null} The endpoint, or null after sending the error response
+ */
+const loadOwnEndpoint = async (req, res) => {
+    if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.id)) {
+        sendError(res, {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid webhook endpoint ID format',
+            details: 'Webhook endpoint ID must be a valid UUID'
+        });
+        return null;
+    }
+
+    const endpoint = await getEndpoint(req.params.id);
+    if (!endpoint || (endpoint.owner_id !== req.user.id && !isAdmin(req.user))) {
+        sendError(res, {
+            code: 'WEBHOOK_ENDPOINT_NOT_FOUND',
+            message: 'Webhook endpoint not found',
+            details: `No webhook endpoint found with ID: ${req.params.id}`
+        });
+        return null;
+    }
+
+    return endpoint;
+};
+
+const invalidDeliveryId = (res) => sendError(res, {
+    code: 'VALIDATION_ERROR',
+    message: 'Invalid delivery ID format',
+    details: 'Delivery ID must be a valid UUID'
+});
+
+/**
+ * POST /webhook-endpoints - Register an HTTPS endpoint for payment events
+ * Body: { url, description, eventTypes, merchantId }. eventTypes defaults to ['*'] (all events).
+ * The signing secret is only returned in this response. Endpoints with a merchantId receive that
+ * merchant's events and can only be registered by admins; other endpoints receive the caller's events.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { url, description, eventTypes, merchantId } = req.body || {};
+
+        if (merchantId !== undefined && merchantId !== null && !isAdmin(req.user)) {
+            return sendError(res, {
+                code: 'FORBIDDEN',
+                message: 'Merchant endpoints require admin access',
+                details: 'Omit merchantId to receive events for your own payments'
+            });
+        }
+
+        const result = await createEndpoint({
+            ownerId: req.user.id,
+            merchantId: merchantId ?? null,
+            url,
+            description: description ?? null,
+            eventTypes
+        });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 201, { ...formatEndpoint(result.data.endpoint), secret: result.data.secret });
+    } catch (error) {
+        console.error('Create webhook endpoint error:', error);
+        sendInternalError(res, 'Failed to create webhook endpoint', error);
+    }
+});
+
+/**
+ * GET /webhook-endpoints - List the caller's webhook endpoints, newest first
+ */
+router.get('/', async (req, res) => {
+    try {
+        const rows = await listEndpoints({ ownerId: req.user.id, ...getPagination(req.query) });
+        sendData(req, res, 200, rows.map(formatEndpoint));
+    } catch (error) {
+        console.error('List webhook endpoints error:', error);
+        sendInternalError(res, 'Failed to list webhook endpoints', error);
+    }
+});
+
+/**
+ * GET /webhook-endpoints/events - Event types endpoints can subscribe to
+ */
+router.get('/events', (req, res) => {
+    sendData(req, res, 200, MERCHANT_WEBHOOK_EVENTS);
+});
+
+/**
+ * GET /webhook-endpoints/:id - Get a webhook endpoint
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const endpoint = await loadOwnEndpoint(req, res);
+        if (!endpoint) return;
+
+        sendData(req, res, 200, formatEndpoint(endpoint));
+    } catch (error) {
+        console.error('Get webhook endpoint error:', error);
+        sendInternalError(res, 'Failed to get webhook endpoint', error);
+    }
+});
+
+/**
+ * PATCH /webhook-endpoints/:id - Change a webhook endpoint
+ * Body: any of { url, description, eventTypes, isActive }
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const endpoint = await loadOwnEndpoint(req, res);
+        if (!endpoint) return;
+
+        const { url, description, eventTypes, isActive } = req.body || {};
+        const result = await updateEndpoint(endpoint.id, { url, description, eventTypes, isActive });
+
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 200, formatEndpoint(result.data));
+    } catch (error) {
+        console.error('Update webhook endpoint error:', error);
+        sendInternalError(res, 'Failed to update webhook endpoint', error);
+    }
+});
+
+/**
+ * GET /webhook-endpoints/:id/deliveries - Delivery log of an endpoint, newest first
+ * Query: status, eventType, limit, offset
+ */
+router.get('/:id/deliveries', async (req, res) => {
+    try {
+        const endpoint = await loadOwnEndpoint(req, res);
+        if (!endpoint) return;
+
+        const { status, eventType } = req.query;
+        if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+            return sendError(res, {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid status',
+                details: `status must be one of ${DELIVERY_STATUSES.join(', ')}`
+            });
+        }
+
+        const rows = await listDeliveries(endpoint.id, {
+            status: status || null,
+            eventType: eventType || null,
+            ...getPagination(req.query)
+        });
+        sendData(req, res, 200, rows.map(row => formatDelivery(row)));
+    } catch (error) {
+        console.error('List webhook deliveries error:', error);
+        sendInternalError(res, 'Failed to list webhook deliveries', error);
+    }
+});
+
+/**
+ * GET /webhook-endpoints/:id/deliveries/:deliveryId - Get a delivery with every attempt made
+ * What the receiver answered (responseBody) is only included for admins.
+ */
+router.get('/:id/deliveries/:deliveryId', async (req, res) => {
+    try {
+        const endpoint = await loadOwnEndpoint(req, res);
+        if (!endpoint) return;
+
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.deliveryId)) {
+            return invalidDeliveryId(res);
+        }
+
+        const found = await getDelivery(endpoint.id, req.params.deliveryId);
+        if (!found) {
+            return sendError(res, {
+                code: 'WEBHOOK_DELIVERY_NOT_FOUND',
+                message: 'Webhook delivery not found',
+                details: `No webhook delivery found with ID: ${req.params.deliveryId}`
+            });
+        }
+
+        sendData(req, res, 200, formatDelivery(found.delivery, found.attempts, { includeResponseBody: isAdmin(req.user) }));
+    } catch (error) {
+        console.error('Get webhook delivery error:', error);
+        sendInternalError(res, 'Failed to get webhook delivery', error);
+    }
+});
+
+/**
+ * POST /webhook-endpoints/:id/deliveries/:deliveryId/resend - Send a delivery again now
+ * Responds with the delivery and the outcome of this attempt, whether or not the endpoint accepted it.
+ */
+router.post('/:id/deliveries/:deliveryId/resend', async (req, res) => {
+    try {
+        const endpoint = await loadOwnEndpoint(req, res);
+        if (!endpoint) return;
+
+        if (!SECURITY_CONFIG.UUID_PATTERN.test(req.params.deliveryId)) {
+            return invalidDeliveryId(res);
+        }
+
+        const result = await resendDelivery(endpoint.id, req.params.deliveryId);
+        if (!result.success) {
+            return sendError(res, result.error);
+        }
+
+        sendData(req, res, 200, {
+            delivery: formatDelivery(result.data.delivery),
+            attempt: result.data.attempt ? formatAttempt(result.data.attempt, { includeResponseBody: isAdmin(req.user) }) : null
+        });
+    } catch (error) {
+        console.error('Resend webhook delivery error:', error);
+        sendInternalError(res, 'Failed to resend webhook delivery', error);
+    }
+});
+
+export default router;
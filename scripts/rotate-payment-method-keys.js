@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Rotate Payment Method Keys
+ *
+ * Re-encrypts user_payment_methods.details_encrypted under the current encryption key version
+ * (ENCRYPTION_KEY_VERSION, or the newest key in the keyring). Rows saved before encryption was
+ * introduced are encrypted on the way. Keep the old key in the keyring until the run reports
+ * no failures and nothing pending.
+ */
+
+import 'dotenv/config';
+import dbPoolManager from '../db/connectionPool.js';
+import { rotatePaymentMethodKeys, KEY_ROTATION_CONFIG } from '../services/paymentMethodService.js';
+
+/**
+ * Command line interface
+ */
+async function main() {
+  const options = { batchSize: KEY_ROTATION_CONFIG.BATCH_SIZE, dryRun: false };
+
+  for (const arg of process.argv.slice(2)) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--batch-size=')) {
+      options.batchSize = parseInt(arg.split('=')[1]) || options.batchSize;
+    } else if (arg === '--help') {
+      console.log(`
+Usage: node scripts/rotate-payment-method-keys.js [options]
+
+Options:
+  --dry-run              Only count the rows that would be re-encrypted
+  --batch-size=N         Rows re-encrypted per transaction (default: ${KEY_ROTATION_CONFIG.BATCH_SIZE})
+  --help                 Show this help message
+
+Environment Variables:
+  ENCRYPTION_KEYRING             JSON map of key version to base64 32-byte key
+  ENCRYPTION_KEYRING_FILE        Path to a file holding the same JSON map
+  ENCRYPTION_KEY_VERSION         Key version to rotate to (default: newest in the keyring)
+  ENCRYPTION_ROTATION_BATCH_SIZE Default batch size
+      `);
+      process.exit(0);
+    }
+  }
+
+  let exitCode = 0;
+
+  try {
+    const summary = await rotatePaymentMethodKeys(options);
+
+    console.log(options.dryRun
+      ? `${summary.pending} payment method(s) not yet on key version ${summary.keyVersion}`
+      : `Re-encrypted ${summary.rotated} of ${summary.pending} payment method(s) with key version ${summary.keyVersion}`);
+
+    if (summary.failed > 0) {
+      console.error(`${summary.failed} payment method(s) could not be decrypted; keep their keys in the keyring`);
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Key rotation failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await dbPoolManager.close();
+  }
+
+  process.exit(exitCode);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
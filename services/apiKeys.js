@@ -0,0 +1,359 @@
+/**
+ * API Keys
+ * Scoped keys for internal services (orders, subscriptions, back office) that call the API without
+ * an end-user token. A key looks like psk_<prefix>_<secret>: the prefix is stored in clear to find
+ * the key, the whole key only as a SHA-256 hash. Keys can be limited to IP addresses or CIDR ranges,
+ * expire, and are rotated by issuing a replacement while the old key keeps working for a grace period.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import dbPoolManager from '../db/connectionPool.js';
+
+// API key configuration
+export const API_KEY_CONFIG = {
+    // How long a rotated key keeps working when the request doesn't say
+    ROTATION_GRACE_SECONDS: parseInt(process.env.API_KEY_ROTATION_GRACE_SECONDS) || 86400, // 24 hours
+    MAX_ROTATION_GRACE_SECONDS: parseInt(process.env.API_KEY_MAX_ROTATION_GRACE_SECONDS) || 604800 // 7 days
+};
+
+// Scopes a key can be issued with; see middleware/authorization.js for what they allow
+export const API_KEY_SCOPES = ['payments:read', 'payments:write', 'refunds:read', 'refunds:write', 'reports:read'];
+
+const KEY_PATTERN = /^(psk_[0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_ALLOWED_IPS = 50;
+
+// last_used_at is written at most this often per key, so busy keys don't cost a write per request
+const LAST_USED_UPDATE_SECONDS = 60;
+
+const KEY_COLUMNS = `id, name, prefix, scopes, allowed_ips, expires_at, last_used_at, last_used_ip, created_by,
+    rotated_from, revoked_at, revoked_by, created_at, updated_at`;
+
+const failure = (code, message, details) => ({ success: false, error: { code, message, details } });
+
+const keyNotFound = (keyId) => failure('API_KEY_NOT_FOUND', 'API key not found', `No API key found with ID: ${keyId}`);
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const isExpired = (row, now = Date.now()) => row.expires_at !== null && new Date(row.expires_at).getTime() <= now;
+
+/**
+ * Public prefix of a presented key, for logs; null when it isn't shaped like one of our keys
+ */
+export const getKeyPrefix = (apiKey) => (typeof apiKey === 'string' && apiKey.match(KEY_PATTERN)?.[1]) || null;
+
+/**
+ * Format a key for API responses (the hash is never returned)
+ */
+export const formatApiKey = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: row.scopes,
+    allowedIps: row.allowed_ips,
+    status: row.revoked_at ? 'revoked' : isExpired(row) ? 'expired' : 'active',
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    rotatedFrom: row.rotated_from,
+    createdBy: row.created_by,
+    revokedAt: row.revoked_at,
+    revokedBy: row.revoked_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+/**
+ * Parse an allowlist entry: an IPv4/IPv6 address or a CIDR range
+ * @returns {Object|null} { address, bits, family } or null when invalid
+ */
+const parseIpEntry = (entry) => {
+    if (typeof entry !== 'string') {
+        return null;
+    }
+
+    const [address, bits, ...rest] = entry.trim().split('/');
+    const version = net.isIP(address);
+    if (version === 0 || rest.length > 0) {
+        return null;
+    }
+
+    const family = version === 6 ? 'ipv6' : 'ipv4';
+    if (bits === undefined) {
+        return { address, bits: null, family };
+    }
+
+    const prefixLength = Number(bits);
+    const maxBits = version === 6 ? 128 : 32;
+    if (!/^\d+$/.test(bits) || prefixLength > maxBits) {
+        return null;
+    }
+    return { address, bits: prefixLength, family };
+};
+
+/**
+ * Whether a client address is covered by an allowlist (no allowlist allows every address)
+ */
+export const isIpAllowed = (allowedIps, ip) => {
+    if (!allowedIps || allowedIps.length === 0) {
+        return true;
+    }
+    if (!ip) {
+        return false;
+    }
+
+    // IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+    const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+    const version = net.isIP(address);
+    if (version === 0) {
+        return false;
+    }
+
+    const list = new net.BlockList();
+    allowedIps.map(parseIpEntry).filter(Boolean).forEach(({ address: base, bits, family }) => {
+        if (bits === null) {
+            list.addAddress(base, family);
+        } else {
+            list.addSubnet(base, bits, family);
+        }
+    });
+
+    return list.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+const validateName = (name) => {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+        return failure('VALIDATION_ERROR', 'Invalid name', `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    return null;
+};
+
+const validateScopes = (scopes) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return failure('VALIDATION_ERROR', 'Invalid scopes', `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        return failure('VALIDATION_ERROR', 'Invalid scopes', `Unknown scopes: ${unknown.join(', ')}`);
+    }
+    return null;
+};
+
+const validateAllowedIps = (allowedIps) => {
+    if (allowedIps === null) {
+        return null;
+    }
+    if (!Array.isArray(allowedIps) || allowedIps.length === 0 || allowedIps.length > MAX_ALLOWED_IPS) {
+        return failure('VALIDATION_ERROR', 'Invalid IP allowlist', `allowedIps must be null or a list of 1 to ${MAX_ALLOWED_IPS} addresses or CIDR ranges`);
+    }
+    const invalid = allowedIps.filter(entry => !parseIpEntry(entry));
+    if (invalid.length > 0) {
+        return failure('VALIDATION_ERROR', 'Invalid IP allowlist', `Not an IP address or CIDR range: ${invalid.join(', ')}`);
+    }
+    return null;
+};
+
+const INSERT_KEY = `
+    INSERT INTO api_keys (name, prefix, key_hash, scopes, allowed_ips, expires_at, created_by, rotated_from)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING ${KEY_COLUMNS}
+`;
+
+/**
+ * Generate a key and the INSERT_KEY parameters storing it
+ */
+const newKey = ({ name, scopes, allowedIps, expiresAt, createdBy, rotatedFrom = null }) => {
+    const prefix = `psk_${crypto.randomBytes(6).toString('hex')}`;
+    const apiKey = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    return {
+        apiKey,
+        params: [name, prefix, hashKey(apiKey), scopes, allowedIps, expiresAt, createdBy, rotatedFrom]
+    };
+};
+
+/**
+ * Issue a key
+ * @param {Object} params - { name, scopes, allowedIps, expiresAt, createdBy }
+ * @returns {Object} { success, data: { key, apiKey } } - the key itself is only returned here
+ */
+export const issueApiKey = async ({ name, scopes, allowedIps = null, expiresAt = null, createdBy }) => {
+    const invalid = validateName(name) || validateScopes(scopes) || validateAllowedIps(allowedIps);
+    if (invalid) {
+        return invalid;
+    }
+
+    const expiry = expiresAt === null ? null : new Date(expiresAt);
+    if (expiry !== null && (isNaN(expiry.getTime()) || expiry.getTime() <= Date.now())) {
+        return failure('VALIDATION_ERROR', 'Invalid expiry', 'expiresAt must be null or a date in the future');
+    }
+
+    const { apiKey, params } = newKey({
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        allowedIps: allowedIps && allowedIps.map(entry => entry.trim()),
+        expiresAt: expiry,
+        createdBy
+    });
+    const result = await dbPoolManager.executeWrite(INSERT_KEY, params);
+
+    return { success: true, data: { key: result.rows[0], apiKey } };
+};
+
+/**
+ * List keys, newest first
+ * @param {Object} params - { includeInactive, limit, offset } - revoked and expired keys are left out unless includeInactive
+ */
+export const listApiKeys = async ({ includeInactive = false, limit, offset }) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT ${KEY_COLUMNS}
+        FROM api_keys
+        WHERE $1 OR (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW()))
+        ORDER BY created_at DESC
+        LIMIT $2 OFFSET $3
+    `, [includeInactive, limit, offset]);
+
+    return result.rows;
+};
+
+/**
+ * @returns {Object|null} api_keys row
+ */
+export const getApiKey = async (keyId) => {
+    const result = await dbPoolManager.executeRead(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE id = $1`, [keyId]);
+    return result.rows[0] || null;
+};
+
+/**
+ * Replace a key with a new one with the same name, scopes, allowlist and expiry
+ * The old key is revoked when gracePeriodSeconds is 0, otherwise it expires once the grace period ends.
+ * @param {string} keyId - Key to rotate
+ * @param {Object} options - { actorId, gracePeriodSeconds }
+ * @returns {Object} { success, data: { key, apiKey, previous } }
+ */
+export const rotateApiKey = async (keyId, { actorId, gracePeriodSeconds = API_KEY_CONFIG.ROTATION_GRACE_SECONDS }) => {
+    if (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0 || gracePeriodSeconds > API_KEY_CONFIG.MAX_ROTATION_GRACE_SECONDS) {
+        return failure(
+            'VALIDATION_ERROR',
+            'Invalid grace period',
+            `gracePeriodSeconds must be an integer from 0 to ${API_KEY_CONFIG.MAX_ROTATION_GRACE_SECONDS}`
+        );
+    }
+
+    return dbPoolManager.executeTransaction(async (client) => {
+        const current = await client.query(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE id = $1 FOR UPDATE`, [keyId]);
+        const row = current.rows[0];
+
+        if (!row) {
+            return keyNotFound(keyId);
+        }
+        if (row.revoked_at || isExpired(row)) {
+            return failure('API_KEY_INACTIVE', 'API key is no longer active', `API key ${keyId} is revoked or expired; issue a new key instead`);
+        }
+
+        const replaced = await client.query('SELECT id FROM api_keys WHERE rotated_from = $1 LIMIT 1', [keyId]);
+        if (replaced.rows.length > 0) {
+            return failure('API_KEY_ALREADY_ROTATED', 'API key was already rotated', `API key ${keyId} was replaced by ${replaced.rows[0].id}`);
+        }
+
+        const { apiKey, params } = newKey({
+            name: row.name,
+            scopes: row.scopes,
+            allowedIps: row.allowed_ips,
+            expiresAt: row.expires_at,
+            createdBy: actorId,
+            rotatedFrom: row.id
+        });
+        const inserted = await client.query(INSERT_KEY, params);
+
+        const previous = gracePeriodSeconds === 0
+            ? await client.query(`
+                UPDATE api_keys SET revoked_at = NOW(), revoked_by = $2
+                WHERE id = $1
+                RETURNING ${KEY_COLUMNS}
+            `, [keyId, actorId])
+            : await client.query(`
+                UPDATE api_keys
+                SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(secs => $2))
+                WHERE id = $1
+                RETURNING ${KEY_COLUMNS}
+            `, [keyId, gracePeriodSeconds]);
+
+        return { success: true, data: { key: inserted.rows[0], apiKey, previous: previous.rows[0] } };
+    });
+};
+
+/**
+ * Revoke a key; requests made with it are refused from now on
+ * @returns {Object} { success, data } with the api_keys row
+ */
+export const revokeApiKey = async (keyId, { actorId }) => {
+    const result = await dbPoolManager.executeWrite(`
+        UPDATE api_keys SET revoked_at = NOW(), revoked_by = $2
+        WHERE id = $1 AND revoked_at IS NULL
+        RETURNING ${KEY_COLUMNS}
+    `, [keyId, actorId]);
+
+    if (result.rows.length > 0) {
+        return { success: true, data: result.rows[0] };
+    }
+
+    return await getApiKey(keyId)
+        ? failure('API_KEY_ALREADY_REVOKED', 'API key is already revoked', `API key ${keyId} was revoked before`)
+        : keyNotFound(keyId);
+};
+
+const touchLastUsed = (keyId, ip) => {
+    dbPoolManager.executeWrite(`
+        UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+        WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $3))
+    `, [keyId, ip, LAST_USED_UPDATE_SECONDS]).catch(error => {
+        console.error(`Failed to record API key ${keyId} use:`, error.message);
+    });
+};
+
+/**
+ * Check a key presented by a caller
+ * @param {string} apiKey - Key from the X-API-Key header
+ * @param {Object} options - { ip } client address, checked against the key's allowlist
+ * @returns {Object} { success, data } with the api_keys row, or { success: false, error }
+ */
+export const authenticateApiKey = async (apiKey, { ip } = {}) => {
+    const prefix = getKeyPrefix(apiKey);
+    if (!prefix) {
+        return failure('INVALID_API_KEY', 'Invalid API key', 'The API key is malformed');
+    }
+
+    const result = await dbPoolManager.executeRead(
+        `SELECT ${KEY_COLUMNS}, key_hash FROM api_keys WHERE prefix = $1`,
+        [prefix]
+    );
+    const { key_hash: keyHash, ...row } = result.rows[0] || {};
+
+    if (!keyHash || !crypto.timingSafeEqual(Buffer.from(keyHash, 'hex'), Buffer.from(hashKey(apiKey), 'hex'))) {
+        return failure('INVALID_API_KEY', 'Invalid API key', 'The API key is not recognised');
+    }
+    if (row.revoked_at) {
+        return failure('API_KEY_REVOKED', 'API key has been revoked', `API key ${prefix} was revoked`);
+    }
+    if (isExpired(row)) {
+        return failure('API_KEY_EXPIRED', 'API key has expired', `API key ${prefix} expired at ${new Date(row.expires_at).toISOString()}`);
+    }
+    if (!isIpAllowed(row.allowed_ips, ip)) {
+        return failure('API_KEY_IP_NOT_ALLOWED', 'API key cannot be used from this address', `Requests from ${ip} are not allowed for API key ${prefix}`);
+    }
+
+    touchLastUsed(row.id, ip || null);
+
+    return { success: true, data: row };
+};
+
+export default {
+    issueApiKey,
+    listApiKeys,
+    getApiKey,
+    rotateApiKey,
+    revokeApiKey,
+    authenticateApiKey
+};
@@ -1,36 +1,189 @@
 /**
  * Async Payment Processing Service
- * Handles background payment status synchronization and processing
+ * Handles background payment status synchronization and processing.
+ * Sync jobs live in the payment_sync_jobs table so they survive restarts and are shared by all replicas;
+ * each replica claims due jobs with FOR UPDATE SKIP LOCKED and holds a lease while working on them.
+ * The worker loop also deletes SUCCEEDED jobs once they are older than the retention period; DEAD jobs
+ * are kept for inspection.
  */
 
-import { getLatestPaymentStatus } from '../gateways/paystack.js';
+import os from 'os';
+import { getGateway, DEFAULT_GATEWAY } from '../gateways/index.js';
 import dbPoolManager from '../db/connectionPool.js';
 import { publish } from '../messaging/queueSetup.js';
+import { trackQueueOperation } from '../monitoring/performanceMonitor.js';
+import { transitionPayment, InvalidStateTransitionError } from './paymentStateMachine.js';
+
+// Queue configuration
+const SYNC_CONFIG = {
+    POLL_INTERVAL_MS: parseInt(process.env.PAYMENT_SYNC_POLL_INTERVAL_MS) || 2000,
+    BATCH_SIZE: parseInt(process.env.PAYMENT_SYNC_BATCH_SIZE) || 10,
+    LEASE_SECONDS: parseInt(process.env.PAYMENT_SYNC_LEASE_SECONDS) || 60,
+    MAX_ATTEMPTS: parseInt(process.env.PAYMENT_SYNC_MAX_ATTEMPTS) || 3,
+    RETRY_BASE_DELAY_MS: parseInt(process.env.PAYMENT_SYNC_RETRY_BASE_DELAY_MS) || 5000,
+    RETENTION_DAYS: parseInt(process.env.PAYMENT_SYNC_RETENTION_DAYS) || 7,
+    PURGE_INTERVAL_MS: parseInt(process.env.PAYMENT_SYNC_PURGE_INTERVAL_MS) || 3600000, // 1 hour
+    PURGE_BATCH_SIZE: parseInt(process.env.PAYMENT_SYNC_PURGE_BATCH_SIZE) || 1000
+};
+
+// Identifies this replica as the lease holder
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
 
-// Queue for background payment processing
-const paymentSyncQueue = [];
 let isProcessing = false;
+let pollTimer = null;
+
+// When this replica last purged completed jobs
+let lastPurgeAt = 0;
 
 /**
  * Add payment to sync queue for background processing
+ * @param {string} idempotencyKey - Payment idempotency key
+ * @param {string} currentStatus - Current payment status
+ * @param {string} gateway - Gateway that processed the payment
+ * @param {string} reference - Gateway reference (defaults to the idempotency key, as used by Paystack)
  */
-export const queuePaymentSync = async (idempotencyKey, currentStatus = 'PENDING') => {
-    const syncJob = {
+export const queuePaymentSync = async (idempotencyKey, currentStatus = 'PENDING', gateway = DEFAULT_GATEWAY, reference = idempotencyKey) => {
+    const priority = currentStatus === 'FAILED' ? 1 : 2; // Higher priority for failed payments
+
+    // A payment only ever has one active job; re-queuing while one is pending is a no-op
+    const insertQuery = `
+        INSERT INTO payment_sync_jobs (
+            idempotency_key, gateway, reference, current_status, priority, max_attempts
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (idempotency_key) WHERE status IN ('QUEUED', 'RUNNING') DO NOTHING
+        RETURNING id
+    `;
+
+    const result = await dbPoolManager.executeWrite(insertQuery, [
         idempotencyKey,
+        gateway,
+        reference,
         currentStatus,
-        attempts: 0,
-        maxAttempts: 3,
-        createdAt: new Date(),
-        priority: currentStatus === 'FAILED' ? 1 : 2 // Higher priority for failed payments
-    };
-    
-    paymentSyncQueue.push(syncJob);
-    console.log(`Queued payment sync for ${idempotencyKey}, queue size: ${paymentSyncQueue.length}`);
-    
-    // Start processing if not already running
+        priority,
+        SYNC_CONFIG.MAX_ATTEMPTS
+    ]);
+
+    if (result.rows.length === 0) {
+        console.log(`Payment sync for ${idempotencyKey} already queued`);
+        return null;
+    }
+
+    console.log(`Queued payment sync for ${idempotencyKey} (job ${result.rows[0].id})`);
+
+    // Pick the job up straight away if this replica is idle
     if (!isProcessing) {
         processPaymentSyncQueue();
     }
+
+    return result.rows[0].id;
+};
+
+/**
+ * Claim due jobs for this replica.
+ * Jobs whose lease expired (their worker died mid-job) are reclaimed as well.
+ */
+const claimJobs = async (limit) => {
+    const claimQuery = `
+        UPDATE payment_sync_jobs
+        SET status = 'RUNNING',
+            attempts = attempts + 1,
+            locked_by = $1,
+            locked_until = NOW() + make_interval(secs => $2),
+            updated_at = NOW()
+        WHERE id IN (
+            SELECT id
+            FROM payment_sync_jobs
+            WHERE (status = 'QUEUED' AND next_run_at <= NOW())
+               OR (status = 'RUNNING' AND locked_until < NOW())
+            ORDER BY priority, next_run_at
+            LIMIT $3
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, idempotency_key, gateway, reference, current_status, attempts, max_attempts
+    `;
+
+    const result = await dbPoolManager.executeWrite(claimQuery, [WORKER_ID, SYNC_CONFIG.LEASE_SECONDS, limit]);
+    return result.rows;
+};
+
+/**
+ * Mark a job as done. The lease holder check stops a worker whose lease expired from overwriting the new holder.
+ */
+const completeJob = async (job) => {
+    await dbPoolManager.executeWrite(`
+        UPDATE payment_sync_jobs
+        SET status = 'SUCCEEDED', last_error = NULL, locked_by = NULL, locked_until = NULL,
+            completed_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND locked_by = $2
+    `, [job.id, WORKER_ID]);
+};
+
+/**
+ * Schedule a failed job for retry with exponential backoff, or dead-letter it once attempts run out
+ */
+const failJob = async (job, error) => {
+    if (job.attempts >= job.max_attempts) {
+        console.error(`Max attempts exceeded for payment sync: ${job.idempotency_key}`);
+
+        await dbPoolManager.executeWrite(`
+            UPDATE payment_sync_jobs
+            SET status = 'DEAD', last_error = $3, locked_by = NULL, locked_until = NULL,
+                completed_at = NOW(), updated_at = NOW()
+            WHERE id = $1 AND locked_by = $2
+        `, [job.id, WORKER_ID, error.message]);
+        return;
+    }
+
+    const delayMs = SYNC_CONFIG.RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1);
+
+    await dbPoolManager.executeWrite(`
+        UPDATE payment_sync_jobs
+        SET status = 'QUEUED', priority = 1, last_error = $3,
+            next_run_at = NOW() + make_interval(secs => $4),
+            locked_by = NULL, locked_until = NULL, updated_at = NOW()
+        WHERE id = $1 AND locked_by = $2
+    `, [job.id, WORKER_ID, error.message, delayMs / 1000]);
+};
+
+/**
+ * Delete SUCCEEDED jobs completed more than RETENTION_DAYS ago, a batch at a time
+ * @returns {number} Jobs deleted
+ */
+export const purgeCompletedJobs = async () => {
+    let deleted = 0;
+    let batch;
+
+    do {
+        const result = await dbPoolManager.executeWrite(`
+            DELETE FROM payment_sync_jobs
+            WHERE id IN (
+                SELECT id FROM payment_sync_jobs
+                WHERE status = 'SUCCEEDED' AND completed_at < NOW() - make_interval(days => $1)
+                LIMIT $2
+            )
+        `, [SYNC_CONFIG.RETENTION_DAYS, SYNC_CONFIG.PURGE_BATCH_SIZE]);
+        batch = result.rowCount || 0;
+        deleted += batch;
+    } while (batch === SYNC_CONFIG.PURGE_BATCH_SIZE);
+
+    return deleted;
+};
+
+/**
+ * Purge completed jobs when PURGE_INTERVAL_MS has passed since this replica last did
+ */
+const purgeCompletedJobsIfDue = async () => {
+    if (Date.now() - lastPurgeAt < SYNC_CONFIG.PURGE_INTERVAL_MS) return;
+
+    lastPurgeAt = Date.now();
+    try {
+        const deleted = await purgeCompletedJobs();
+        if (deleted > 0) {
+            console.log(`Purged ${deleted} completed payment sync jobs`);
+        }
+    } catch (error) {
+        console.error('Payment sync job purge failed:', error.message);
+    }
 };
 
 /**
@@ -38,93 +191,102 @@ export const queuePaymentSync = async (idempotencyKey, currentStatus = 'PENDING'
  */
 const processPaymentSyncQueue = async () => {
     if (isProcessing) return;
-    
+
     isProcessing = true;
-    console.log('Starting payment sync queue processor');
-    
-    while (paymentSyncQueue.length > 0) {
-        // Sort by priority (failed payments first)
-        paymentSyncQueue.sort((a, b) => a.priority - b.priority);
-        
-        const job = paymentSyncQueue.shift();
-        if (!job) break;
-        
-        try {
-            await processPaymentSyncJob(job);
-        } catch (error) {
-            console.error(`Error processing sync job for ${job.idempotencyKey}:`, error);
-            
-            // Retry if not exceeded max attempts
-            if (job.attempts < job.maxAttempts) {
-                job.attempts++;
-                job.priority = 1; // High priority for retries
-                paymentSyncQueue.push(job);
-            } else {
-                console.error(`Max attempts exceeded for payment sync: ${job.idempotencyKey}`);
+
+    try {
+        let jobs = await claimJobs(SYNC_CONFIG.BATCH_SIZE);
+
+        while (jobs.length > 0) {
+            for (const job of jobs) {
+                const startTime = Date.now();
+                try {
+                    await processPaymentSyncJob(job);
+                    await completeJob(job);
+                } catch (error) {
+                    console.error(`Error processing sync job for ${job.idempotency_key}:`, error.message);
+                    await failJob(job, error);
+                }
+                trackQueueOperation('process', (Date.now() - startTime) / 1000);
             }
+
+            jobs = await claimJobs(SYNC_CONFIG.BATCH_SIZE);
         }
-        
-        // Small delay between jobs to prevent overwhelming the system
-        await new Promise(resolve => setTimeout(resolve, 100));
+
+        await purgeCompletedJobsIfDue();
+    } catch (error) {
+        console.error('Payment sync queue processor error:', error.message);
+    } finally {
+        isProcessing = false;
     }
-    
-    isProcessing = false;
-    console.log('Payment sync queue processor finished');
 };
 
 /**
  * Process individual payment sync job
  */
 const processPaymentSyncJob = async (job) => {
-    const { idempotencyKey, currentStatus } = job;
-    
+    const { idempotency_key: idempotencyKey, current_status: currentStatus, gateway, reference } = job;
+
+    console.log(`Processing payment sync for ${idempotencyKey}`);
+
+    // Skip if payment is already in final state
+    if (['SUCCEEDED', 'FAILED', 'REFUNDED'].includes(currentStatus)) {
+        console.log(`Skipping sync for ${idempotencyKey} - already in final state: ${currentStatus}`);
+        return;
+    }
+
+    // Get latest status from the payment's gateway
+    const statusResult = await getGateway(gateway).getLatestStatus(reference);
+
+    if (!statusResult.success) {
+        console.warn(`Failed to get status for ${idempotencyKey}: ${statusResult.error.message}`);
+        throw new Error(`Status fetch failed: ${statusResult.error.message}`);
+    }
+
+    const { status: newStatus, gatewayResponse } = statusResult;
+
+    // Check if status has changed
+    if (newStatus === currentStatus) {
+        console.log(`Status unchanged for ${idempotencyKey}: ${newStatus}`);
+        return;
+    }
+
+    const paymentResult = await dbPoolManager.executeRead(
+        'SELECT id FROM payments WHERE idempotency_key = $1',
+        [idempotencyKey]
+    );
+
+    if (paymentResult.rows.length === 0) {
+        console.warn(`No payment found with idempotency key: ${idempotencyKey}`);
+        return;
+    }
+
+    // Update payment in database; a payment that moved on since the job was queued is left alone
+    let transition;
     try {
-        console.log(`Processing payment sync for ${idempotencyKey}`);
-        
-        // Skip if payment is already in final state
-        if (['SUCCEEDED', 'FAILED', 'REFUNDED'].includes(currentStatus)) {
-            console.log(`Skipping sync for ${idempotencyKey} - already in final state: ${currentStatus}`);
-            return;
-        }
-        
-        // Get latest status from Paystack
-        const statusResult = await getLatestPaymentStatus(idempotencyKey);
-        
-        if (!statusResult.success) {
-            console.warn(`Failed to get status for ${idempotencyKey}: ${statusResult.error.message}`);
-            throw new Error(`Status fetch failed: ${statusResult.error.message}`);
-        }
-        
-        const { status: newStatus, gatewayResponse } = statusResult.data;
-        
-        // Check if status has changed
-        if (newStatus === currentStatus) {
-            console.log(`Status unchanged for ${idempotencyKey}: ${newStatus}`);
-            return;
-        }
-        
-        // Update payment in database
-        const updateQuery = `
-            UPDATE payments 
-            SET status = $1, gateway_response = $2, updated_at = NOW()
-            WHERE idempotency_key = $3
-            RETURNING id, user_id, order_id, amount, currency, status, gateway_response, created_at, updated_at
-        `;
-        
-        const updateResult = await dbPoolManager.executeWrite(updateQuery, [
-            newStatus,
-            JSON.stringify(gatewayResponse),
-            idempotencyKey
-        ]);
-        
-        if (updateResult.rows.length === 0) {
-            console.warn(`No payment found with idempotency key: ${idempotencyKey}`);
+        transition = await transitionPayment(paymentResult.rows[0].id, newStatus, {
+            reason: `Gateway reported ${newStatus} (sync)`,
+            actor: 'sync',
+            expectedStatus: currentStatus,
+            gatewayResponse
+        });
+    } catch (error) {
+        if (error instanceof InvalidStateTransitionError) {
+            console.warn(`Skipping sync for ${idempotencyKey}: ${error.message}`);
             return;
         }
-        
-        const updatedPayment = updateResult.rows[0];
-        
-        // Publish payment status change event
+        throw error;
+    }
+
+    if (!transition?.applied) {
+        console.log(`Payment ${idempotencyKey} is no longer ${currentStatus}, skipping sync update`);
+        return;
+    }
+
+    const updatedPayment = transition.payment;
+
+    // Publish payment status change event
+    try {
         await publish('payment_status_changed', {
             paymentId: updatedPayment.id,
             idempotencyKey,
@@ -133,76 +295,139 @@ const processPaymentSyncJob = async (job) => {
             gatewayResponse,
             timestamp: new Date().toISOString()
         });
-        
-        console.log(`Successfully updated payment ${updatedPayment.id} from ${currentStatus} to ${newStatus}`);
-        
-    } catch (error) {
-        console.error(`Error in payment sync job for ${idempotencyKey}:`, error);
-        throw error;
+    } catch (publishError) {
+        console.warn('Failed to publish payment status change:', publishError.message);
+    }
+
+    console.log(`Successfully updated payment ${updatedPayment.id} from ${currentStatus} to ${newStatus}`);
+};
+
+/**
+ * Start polling the shared queue on this replica
+ */
+export const startPaymentSyncWorker = () => {
+    if (pollTimer) return;
+
+    pollTimer = setInterval(processPaymentSyncQueue, SYNC_CONFIG.POLL_INTERVAL_MS);
+    console.log(`Payment sync worker ${WORKER_ID} started`);
+};
+
+/**
+ * Stop polling (in-flight jobs finish; unfinished leases expire and are reclaimed elsewhere)
+ */
+export const stopPaymentSyncWorker = () => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
     }
 };
 
 /**
- * Get queue status for monitoring
+ * Get queue status for monitoring.
+ * Counts come from the jobs table, so they reflect every replica, not just this one.
  */
-export const getQueueStatus = () => {
+export const getQueueStatus = async () => {
+    const countsResult = await dbPoolManager.executeRead(`
+        SELECT status, COUNT(*) AS count
+        FROM payment_sync_jobs
+        GROUP BY status
+    `);
+
+    const counts = { QUEUED: 0, RUNNING: 0, SUCCEEDED: 0, DEAD: 0 };
+    countsResult.rows.forEach(row => {
+        counts[row.status] = parseInt(row.count);
+    });
+
+    const jobsResult = await dbPoolManager.executeRead(`
+        SELECT idempotency_key, gateway, current_status, status, attempts, max_attempts,
+               priority, next_run_at, locked_by, locked_until, last_error, created_at
+        FROM payment_sync_jobs
+        WHERE status IN ('QUEUED', 'RUNNING', 'DEAD')
+        ORDER BY status, priority, next_run_at
+        LIMIT 100
+    `);
+
+    trackQueueOperation('size', counts.QUEUED + counts.RUNNING);
+
     return {
-        queueSize: paymentSyncQueue.length,
+        queueSize: counts.QUEUED + counts.RUNNING,
+        counts,
         isProcessing,
-        jobs: paymentSyncQueue.map(job => ({
-            idempotencyKey: job.idempotencyKey,
-            currentStatus: job.currentStatus,
+        workerId: WORKER_ID,
+        jobs: jobsResult.rows.map(job => ({
+            idempotencyKey: job.idempotency_key,
+            gateway: job.gateway,
+            currentStatus: job.current_status,
+            status: job.status,
             attempts: job.attempts,
-            createdAt: job.createdAt,
-            priority: job.priority
+            maxAttempts: job.max_attempts,
+            priority: job.priority,
+            nextRunAt: job.next_run_at,
+            lockedBy: job.locked_by,
+            lockedUntil: job.locked_until,
+            lastError: job.last_error,
+            createdAt: job.created_at
         }))
     };
 };
 
 /**
  * Clear queue (for testing purposes)
+ * Removes every job that is not currently leased by a worker, across all replicas.
  */
-export const clearQueue = () => {
-    paymentSyncQueue.length = 0;
-    console.log('Payment sync queue cleared');
+export const clearQueue = async () => {
+    const result = await dbPoolManager.executeWrite(`
+        DELETE FROM payment_sync_jobs
+        WHERE status <> 'RUNNING' OR locked_until < NOW()
+    `);
+    console.log(`Payment sync queue cleared (${result.rowCount} jobs removed)`);
+    return result.rowCount;
 };
 
 /**
  * Process payment creation asynchronously
- * This function creates a payment and queues status sync for background processing
+ * This function creates a payment and queues status sync for background processing.
+ * The idempotency key belongs to `idempotency_scope`, or to the paying user like create_payment_with_history.
  */
 export const createPaymentAsync = async (paymentData) => {
     try {
-        // Create payment immediately without waiting for Paystack status sync
+        // Create payment immediately without waiting for gateway status sync
         const createPaymentQuery = `
             INSERT INTO payments (
-                user_id, order_id, amount, currency, status, 
-                gateway_response, idempotency_key, metadata, created_at, updated_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
-            RETURNING id, user_id, order_id, amount, currency, status, 
-                     gateway_response, idempotency_key, metadata, created_at, updated_at
+                user_id, order_id, amount, currency, status, gateway,
+                gateway_response, idempotency_key, idempotency_scope, metadata, created_at, updated_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+            RETURNING id, user_id, order_id, amount, currency, status, gateway,
+                     gateway_response, idempotency_key, idempotency_scope, metadata, created_at, updated_at
         `;
-        
+
         const result = await dbPoolManager.executeWrite(createPaymentQuery, [
             paymentData.user_id,
             paymentData.order_id,
             paymentData.amount,
             paymentData.currency,
             'PENDING', // Start with PENDING status
+            paymentData.gateway || DEFAULT_GATEWAY,
             JSON.stringify(paymentData.gateway_response || {}),
             paymentData.idempotency_key,
+            paymentData.idempotency_key ? paymentData.idempotency_scope || `user:${paymentData.user_id}` : null,
             JSON.stringify(paymentData.metadata || {})
         ]);
-        
+
         if (result.rows.length === 0) {
             throw new Error('Failed to create payment');
         }
-        
+
         const payment = result.rows[0];
-        
+
         // Queue status sync for background processing
-        await queuePaymentSync(payment.idempotency_key, 'PENDING');
-        
+        await queuePaymentSync(
+            payment.idempotency_key,
+            'PENDING',
+            payment.gateway,
+            paymentData.gateway_response?.reference || payment.idempotency_key
+        );
+
         // Publish payment created event
         await publish('payment_created', {
             paymentId: payment.id,
@@ -213,12 +438,12 @@ export const createPaymentAsync = async (paymentData) => {
             currency: payment.currency,
             timestamp: new Date().toISOString()
         });
-        
+
         return {
             success: true,
             data: payment
         };
-        
+
     } catch (error) {
         console.error('Async payment creation error:', error);
         return {
@@ -234,7 +459,10 @@ export const createPaymentAsync = async (paymentData) => {
 
 export default {
     queuePaymentSync,
+    startPaymentSyncWorker,
+    stopPaymentSyncWorker,
     getQueueStatus,
     clearQueue,
+    purgeCompletedJobs,
     createPaymentAsync
 };
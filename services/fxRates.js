@@ -0,0 +1,180 @@
+/**
+ * FX Rates
+ * Keeps the fx_rates table filled from the configured rate source and converts minor unit amounts
+ * between currencies at the rate in effect at a given time. Payments record their amount in the
+ * settlement currency with the rate used; metrics and reports convert to the reporting currency.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { getRateSource } from '../utils/fxRateSources.js';
+import { toMajorUnits, toMinorUnits } from '../config/currencies.js';
+
+// FX configuration
+export const FX_CONFIG = {
+    REFRESH_INTERVAL_MS: parseInt(process.env.FX_REFRESH_INTERVAL_MS) || 3600000, // 1 hour
+    // Rates older than this are not used for new payments
+    MAX_RATE_AGE_HOURS: parseInt(process.env.FX_MAX_RATE_AGE_HOURS) || 48,
+    SETTLEMENT_CURRENCY: process.env.SETTLEMENT_CURRENCY || 'USD',
+    REPORTING_CURRENCY: process.env.REPORTING_CURRENCY || 'USD'
+};
+
+let refreshTimer = null;
+
+/**
+ * Fetch rates from the rate source and store them as a new snapshot
+ * @returns {Object} { source, base, effectiveAt, stored }
+ */
+export const refreshRates = async (source = getRateSource()) => {
+    const { base, rates, asOf } = await source.fetchRates();
+    const effectiveAt = asOf || new Date();
+    const quotes = Object.entries(rates);
+
+    let stored = 0;
+    for (const [quote, rate] of quotes) {
+        const result = await dbPoolManager.executeWrite(`
+            INSERT INTO fx_rates (base_currency, quote_currency, rate, effective_at, source)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (base_currency, quote_currency, effective_at) DO NOTHING
+        `, [base, quote, rate, effectiveAt, source.name]);
+        stored += result.rowCount || 0;
+    }
+
+    return { source: source.name, base, effectiveAt, stored };
+};
+
+/**
+ * Rate from one currency to another in effect at a point in time
+ * @param {Object} options - { at, maxAgeHours } where maxAgeHours rejects rates older than that before `at`
+ * @returns {Object|null} { rate, effectiveAt }, or null when no usable rate is known
+ */
+export const getRate = async (from, to, { at = new Date(), maxAgeHours } = {}) => {
+    if (from === to) {
+        return { rate: 1, effectiveAt: at };
+    }
+
+    const result = await dbPoolManager.executeRead(
+        'SELECT rate, effective_at FROM fx_rate_at($1, $2, $3)',
+        [from, to, at]
+    );
+    const row = result.rows[0];
+
+    if (!row || row.rate === null) {
+        return null;
+    }
+
+    const effectiveAt = new Date(row.effective_at);
+    if (maxAgeHours !== undefined && at.getTime() - effectiveAt.getTime() > maxAgeHours * 60 * 60 * 1000) {
+        return null;
+    }
+
+    return { rate: Number(row.rate), effectiveAt };
+};
+
+/**
+ * Convert a minor unit amount between currencies
+ * @returns {Object|null} { amount, currency, rate, effectiveAt } with amount in minor units of `to`
+ */
+export const convertAmount = async (amount, from, to, options = {}) => {
+    const fx = await getRate(from, to, options);
+    if (!fx) {
+        return null;
+    }
+
+    return {
+        amount: toMinorUnits(toMajorUnits(amount, from) * fx.rate, to),
+        currency: to,
+        rate: fx.rate,
+        effectiveAt: fx.effectiveAt
+    };
+};
+
+/**
+ * Settlement columns for a new payment, to be written with its first status change.
+ * A missing or stale rate leaves them empty rather than failing the payment.
+ * @returns {Object} { settlement_amount, settlement_currency, fx_rate, fx_rate_effective_at } or {}
+ */
+export const getSettlementFields = async (amount, currency) => {
+    try {
+        const settlement = await convertAmount(amount, currency, FX_CONFIG.SETTLEMENT_CURRENCY, {
+            maxAgeHours: FX_CONFIG.MAX_RATE_AGE_HOURS
+        });
+
+        if (!settlement) {
+            console.warn(`No current ${currency}/${FX_CONFIG.SETTLEMENT_CURRENCY} rate; settlement amount not recorded`);
+            return {};
+        }
+
+        return {
+            settlement_amount: settlement.amount,
+            settlement_currency: settlement.currency,
+            fx_rate: settlement.rate,
+            fx_rate_effective_at: settlement.effectiveAt
+        };
+    } catch (error) {
+        console.warn('Settlement conversion failed:', error.message);
+        return {};
+    }
+};
+
+/**
+ * Amount in the reporting currency, reusing the settlement conversion when both currencies match
+ * @param {Object} settlement - Result of getSettlementFields
+ * @returns {number|null} Minor units of FX_CONFIG.REPORTING_CURRENCY
+ */
+export const getReportingAmount = async (amount, currency, settlement = {}) => {
+    if (settlement.settlement_currency === FX_CONFIG.REPORTING_CURRENCY) {
+        return settlement.settlement_amount;
+    }
+
+    try {
+        const reporting = await convertAmount(amount, currency, FX_CONFIG.REPORTING_CURRENCY, {
+            maxAgeHours: FX_CONFIG.MAX_RATE_AGE_HOURS
+        });
+        return reporting ? reporting.amount : null;
+    } catch (error) {
+        console.warn('Reporting conversion failed:', error.message);
+        return null;
+    }
+};
+
+const runRefresh = async () => {
+    try {
+        const summary = await refreshRates();
+        if (summary.stored > 0) {
+            console.log('FX rates refreshed:', summary);
+        }
+    } catch (error) {
+        console.error('FX rate refresh failed:', error.message);
+    }
+};
+
+/**
+ * Refresh rates now and then on every interval
+ */
+export const startFxRateRefresh = () => {
+    if (refreshTimer) return;
+
+    runRefresh();
+    refreshTimer = setInterval(runRefresh, FX_CONFIG.REFRESH_INTERVAL_MS);
+    console.log(`FX rate refresh scheduled every ${FX_CONFIG.REFRESH_INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop refreshing rates
+ */
+export const stopFxRateRefresh = () => {
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+};
+
+export default {
+    refreshRates,
+    getRate,
+    convertAmount,
+    getSettlementFields,
+    getReportingAmount,
+    startFxRateRefresh,
+    stopFxRateRefresh
+};
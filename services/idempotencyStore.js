@@ -0,0 +1,233 @@
+/**
+ * Idempotency Store
+ * Records the first request made with an Idempotency-Key (per principal) and the response it got, so
+ * repeats can be answered with the same response instead of running again. See middleware/idempotency.js.
+ */
+
+import crypto from 'crypto';
+import dbPoolManager from '../db/connectionPool.js';
+
+// Idempotency configuration
+export const IDEMPOTENCY_CONFIG = {
+    TTL_HOURS: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+    // A request still running after this is assumed to have died; the same request may then run again
+    LOCK_TIMEOUT_SECONDS: parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 120,
+    CLEANUP_INTERVAL_MS: parseInt(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_MS) || 3600000, // 1 hour
+    CLEANUP_BATCH_SIZE: parseInt(process.env.IDEMPOTENCY_CLEANUP_BATCH_SIZE) || 1000
+};
+
+export const CLAIM_OUTCOMES = {
+    CLAIMED: 'claimed',
+    REPLAY: 'replay',
+    MISMATCH: 'mismatch',
+    IN_PROGRESS: 'in_progress'
+};
+
+let cleanupTimer = null;
+
+/**
+ * JSON with object keys sorted at every level, so key order doesn't change a fingerprint
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Fingerprint of a request: its method, path and body
+ * @param {Object} request - { method, path, body, ignoreFields } where ignoreFields are top-level body fields left out
+ * @returns {string} Hex SHA-256
+ */
+export const fingerprintRequest = ({ method, path, body, ignoreFields = [] }) => {
+    const payload = body && typeof body === 'object' && !Array.isArray(body)
+        ? Object.fromEntries(Object.entries(body).filter(([field]) => !ignoreFields.includes(field)))
+        : body ?? null;
+
+    return crypto.createHash('sha256')
+        .update(`${method.toUpperCase()} ${path}\n${canonicalJson(payload)}`)
+        .digest('hex');
+};
+
+/**
+ * Claim a key for a request
+ * Inserts the record, or takes over one that expired or was abandoned mid-request by the same request.
+ * @param {Object} params - { principalType, principalId, key, method, path, fingerprint }
+ * @returns {Object} One of
+ *   { outcome: CLAIMED, recordId, lockToken } - run the request, then completeRequest or releaseRequest
+ *   { outcome: REPLAY, response: { statusCode, headers, body } } - answer with the recorded response
+ *   { outcome: MISMATCH } - the key was used for a different request
+ *   { outcome: IN_PROGRESS, retryAfter } - the first request hasn't finished
+ */
+export const claimIdempotencyKey = async ({ principalType, principalId, key, method, path, fingerprint }) => {
+    const lockToken = crypto.randomUUID();
+
+    const claimed = await dbPoolManager.executeWrite(`
+        INSERT INTO idempotency_records (
+            principal_type, principal_id, idempotency_key, request_method, request_path,
+            request_fingerprint, lock_token, locked_until, expires_at
+        ) VALUES (
+            $1, $2, $3, $4, $5, $6, $7,
+            NOW() + make_interval(secs => $8), NOW() + make_interval(hours => $9)
+        )
+        ON CONFLICT (principal_type, principal_id, idempotency_key) DO UPDATE
+        SET request_method = EXCLUDED.request_method,
+            request_path = EXCLUDED.request_path,
+            request_fingerprint = EXCLUDED.request_fingerprint,
+            status = 'IN_PROGRESS',
+            lock_token = EXCLUDED.lock_token,
+            locked_until = EXCLUDED.locked_until,
+            response_status_code = NULL,
+            response_headers = NULL,
+            response_body = NULL,
+            created_at = NOW(),
+            completed_at = NULL,
+            expires_at = EXCLUDED.expires_at
+        WHERE idempotency_records.expires_at <= NOW()
+           OR (idempotency_records.status = 'IN_PROGRESS'
+               AND idempotency_records.locked_until <= NOW()
+               AND idempotency_records.request_fingerprint = EXCLUDED.request_fingerprint)
+        RETURNING id
+    `, [
+        principalType,
+        principalId,
+        key,
+        method,
+        path,
+        fingerprint,
+        lockToken,
+        IDEMPOTENCY_CONFIG.LOCK_TIMEOUT_SECONDS,
+        IDEMPOTENCY_CONFIG.TTL_HOURS
+    ]);
+
+    if (claimed.rows.length > 0) {
+        return { outcome: CLAIM_OUTCOMES.CLAIMED, recordId: claimed.rows[0].id, lockToken };
+    }
+
+    const existing = await dbPoolManager.executeRead(`
+        SELECT request_fingerprint, status, locked_until, response_status_code, response_headers, response_body
+        FROM idempotency_records
+        WHERE principal_type = $1 AND principal_id = $2 AND idempotency_key = $3
+    `, [principalType, principalId, key]);
+    const record = existing.rows[0];
+
+    // Purged between the two statements; the caller can claim again
+    if (!record) {
+        return claimIdempotencyKey({ principalType, principalId, key, method, path, fingerprint });
+    }
+    if (record.request_fingerprint !== fingerprint) {
+        return { outcome: CLAIM_OUTCOMES.MISMATCH };
+    }
+    if (record.status === 'IN_PROGRESS') {
+        const secondsLeft = Math.ceil((new Date(record.locked_until).getTime() - Date.now()) / 1000);
+        return { outcome: CLAIM_OUTCOMES.IN_PROGRESS, retryAfter: Math.min(Math.max(secondsLeft, 1), 5) };
+    }
+
+    return {
+        outcome: CLAIM_OUTCOMES.REPLAY,
+        response: {
+            statusCode: record.response_status_code,
+            headers: record.response_headers || {},
+            body: record.response_body || Buffer.alloc(0)
+        }
+    };
+};
+
+/**
+ * Record the response of a claimed request
+ * @param {Object} claim - { recordId, lockToken } from claimIdempotencyKey
+ * @param {Object} response - { statusCode, headers, body } with body a Buffer
+ * @returns {boolean} false when the claim was lost (the record expired or was taken over)
+ */
+export const completeRequest = async ({ recordId, lockToken }, { statusCode, headers, body }) => {
+    const result = await dbPoolManager.executeWrite(`
+        UPDATE idempotency_records
+        SET status = 'COMPLETED', response_status_code = $3, response_headers = $4, response_body = $5,
+            completed_at = NOW(), lock_token = NULL, locked_until = NULL
+        WHERE id = $1 AND lock_token = $2
+    `, [recordId, lockToken, statusCode, JSON.stringify(headers), body]);
+
+    return result.rowCount > 0;
+};
+
+/**
+ * Give up a claim without recording a response, so the next request with the key runs
+ */
+export const releaseRequest = async ({ recordId, lockToken }) => {
+    await dbPoolManager.executeWrite(
+        'DELETE FROM idempotency_records WHERE id = $1 AND lock_token = $2',
+        [recordId, lockToken]
+    );
+};
+
+/**
+ * Delete expired records, a batch at a time
+ * @returns {number} Records deleted
+ */
+export const purgeExpiredRecords = async () => {
+    let deleted = 0;
+    let batch;
+
+    do {
+        const result = await dbPoolManager.executeWrite(`
+            DELETE FROM idempotency_records
+            WHERE id IN (
+                SELECT id FROM idempotency_records
+                WHERE expires_at <= NOW()
+                LIMIT $1
+            )
+        `, [IDEMPOTENCY_CONFIG.CLEANUP_BATCH_SIZE]);
+        batch = result.rowCount || 0;
+        deleted += batch;
+    } while (batch === IDEMPOTENCY_CONFIG.CLEANUP_BATCH_SIZE);
+
+    return deleted;
+};
+
+const runCleanup = async () => {
+    try {
+        const deleted = await purgeExpiredRecords();
+        if (deleted > 0) {
+            console.log(`Purged ${deleted} expired idempotency records`);
+        }
+    } catch (error) {
+        console.error('Idempotency record cleanup failed:', error.message);
+    }
+};
+
+/**
+ * Purge expired records on every interval
+ */
+export const startIdempotencyCleanup = () => {
+    if (cleanupTimer) return;
+
+    cleanupTimer = setInterval(runCleanup, IDEMPOTENCY_CONFIG.CLEANUP_INTERVAL_MS);
+    console.log(`Idempotency record cleanup scheduled every ${IDEMPOTENCY_CONFIG.CLEANUP_INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop purging expired records
+ */
+export const stopIdempotencyCleanup = () => {
+    if (cleanupTimer) {
+        clearInterval(cleanupTimer);
+        cleanupTimer = null;
+    }
+};
+
+export default {
+    fingerprintRequest,
+    claimIdempotencyKey,
+    completeRequest,
+    releaseRequest,
+    purgeExpiredRecords,
+    startIdempotencyCleanup,
+    stopIdempotencyCleanup
+};
@@ -0,0 +1,617 @@
+/**
+ * Invoice Service
+ * Invoices with line items and tax lines. Drafts can be edited; finalizing numbers the invoice from
+ * its merchant's sequence and opens it for payment. Payments are allocated to open invoices: a
+ * collected payment settles its share at once, one still at the gateway is held as a PENDING
+ * allocation until invoiceSettlement.js sees it collected or failed. An invoice is PAID once its
+ * applied allocations cover the total.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { getCurrency } from '../config/currencies.js';
+import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
+
+// Invoice configuration
+export const INVOICE_CONFIG = {
+    NUMBER_PREFIX: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+    NUMBER_DIGITS: parseInt(process.env.INVOICE_NUMBER_DIGITS) || 6,
+    MAX_LINE_ITEMS: 100,
+    MAX_TAX_LINES: 10
+};
+
+export const INVOICE_STATUSES = ['DRAFT', 'OPEN', 'PAID', 'VOID'];
+
+// Payment statuses whose amount has been collected
+export const COLLECTED_PAYMENT_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED'];
+
+// Payment statuses that may still be collected
+const UNSETTLED_PAYMENT_STATUSES = ['PENDING', 'AUTHORIZED', 'UNDER_REVIEW'];
+
+export const INVOICE_COLUMNS = `id, number, user_id, merchant_id, status, currency, subtotal_amount, tax_amount,
+    total_amount, amount_paid, customer_email, customer_name, memo, metadata, due_at, issued_at, paid_at,
+    voided_at, void_reason, created_by, created_at, updated_at`;
+
+const ALLOCATION_COLUMNS = 'id, invoice_id, payment_id, amount, status, applied_at, created_by, created_at, updated_at';
+
+const failure = (code, message, details) => ({ success: false, error: { code, message, details } });
+
+const invoiceNotFound = (invoiceId) =>
+    failure('INVOICE_NOT_FOUND', 'Invoice not found', `No invoice found with ID: ${invoiceId}`);
+
+const wrongStatus = (invoice, expected) =>
+    failure(`INVOICE_NOT_${expected}`, `Invoice is not ${expected.toLowerCase()}`, `Invoice ${invoice.id} is ${invoice.status}`);
+
+const publishInvoiceEvent = (eventType, payload) => {
+    try {
+        publishPaymentEvent(eventType, payload);
+    } catch (eventError) {
+        console.warn(`Failed to publish ${eventType} event:`, eventError.message);
+    }
+};
+
+export const formatLineItem = (row) => ({
+    description: row.description,
+    quantity: row.quantity,
+    unitAmount: row.unit_amount,
+    amount: row.amount,
+    taxable: row.taxable
+});
+
+export const formatTaxLine = (row) => ({
+    name: row.name,
+    rateBps: row.rate_bps,
+    taxableAmount: row.taxable_amount,
+    amount: row.amount
+});
+
+export const formatAllocation = (row) => ({
+    id: row.id,
+    invoiceId: row.invoice_id,
+    paymentId: row.payment_id,
+    amount: row.amount,
+    status: row.status,
+    appliedAt: row.applied_at,
+    createdAt: row.created_at
+});
+
+/**
+ * Format an invoice; line items, tax lines and payments are included when loaded
+ */
+export const formatInvoice = (invoice) => ({
+    id: invoice.id,
+    number: invoice.number,
+    userId: invoice.user_id,
+    merchantId: invoice.merchant_id,
+    status: invoice.status,
+    currency: invoice.currency,
+    subtotalAmount: invoice.subtotal_amount,
+    taxAmount: invoice.tax_amount,
+    totalAmount: invoice.total_amount,
+    amountPaid: invoice.amount_paid,
+    amountDue: invoice.total_amount - invoice.amount_paid,
+    customerEmail: invoice.customer_email,
+    customerName: invoice.customer_name,
+    memo: invoice.memo,
+    metadata: invoice.metadata,
+    dueAt: invoice.due_at,
+    issuedAt: invoice.issued_at,
+    paidAt: invoice.paid_at,
+    voidedAt: invoice.voided_at,
+    voidReason: invoice.void_reason,
+    createdAt: invoice.created_at,
+    updatedAt: invoice.updated_at,
+    ...(invoice.line_items ? { lineItems: invoice.line_items.map(formatLineItem) } : {}),
+    ...(invoice.tax_lines ? { taxLines: invoice.tax_lines.map(formatTaxLine) } : {}),
+    ...(invoice.payments ? { payments: invoice.payments.map(formatAllocation) } : {})
+});
+
+/**
+ * Price line items and tax lines. Each tax applies its rate (in basis points) to the taxable items
+ * and is rounded to the nearest minor unit.
+ * @param {Array} lineItems - [{ description, quantity, unitAmount, taxable }]
+ * @param {Array} taxLines - [{ name, rateBps }]
+ * @returns {Object} { lineItems, taxLines, subtotal, tax, total } with amounts on every line
+ */
+export const calculateInvoiceTotals = (lineItems, taxLines = []) => {
+    const pricedItems = lineItems.map(item => ({
+        ...item,
+        quantity: item.quantity ?? 1,
+        taxable: item.taxable ?? true,
+        amount: (item.quantity ?? 1) * item.unitAmount
+    }));
+    const subtotal = pricedItems.reduce((sum, item) => sum + item.amount, 0);
+    const taxableAmount = pricedItems.filter(item => item.taxable).reduce((sum, item) => sum + item.amount, 0);
+
+    const pricedTaxes = taxLines.map(taxLine => ({
+        ...taxLine,
+        taxableAmount,
+        amount: Math.round(taxableAmount * taxLine.rateBps / 10000)
+    }));
+    const tax = pricedTaxes.reduce((sum, taxLine) => sum + taxLine.amount, 0);
+
+    return { lineItems: pricedItems, taxLines: pricedTaxes, subtotal, tax, total: subtotal + tax };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check line items and tax lines from a request
+ * @returns {Object|null} A failure, or null when valid
+ */
+const validateLines = (lineItems, taxLines) => {
+    if (!Array.isArray(lineItems) || lineItems.length === 0 || lineItems.length > INVOICE_CONFIG.MAX_LINE_ITEMS) {
+        return failure('VALIDATION_ERROR', 'Invalid line items', `lineItems must list 1 to ${INVOICE_CONFIG.MAX_LINE_ITEMS} items`);
+    }
+    for (const item of lineItems) {
+        if (!isPlainObject(item) || typeof item.description !== 'string' || !item.description.trim() || item.description.length > 500) {
+            return failure('VALIDATION_ERROR', 'Invalid line item', 'Each line item needs a description of at most 500 characters');
+        }
+        if (item.quantity !== undefined && (!Number.isInteger(item.quantity) || item.quantity <= 0)) {
+            return failure('VALIDATION_ERROR', 'Invalid line item', 'quantity must be a positive whole number');
+        }
+        if (!Number.isInteger(item.unitAmount) || item.unitAmount < 0) {
+            return failure('VALIDATION_ERROR', 'Invalid line item', 'unitAmount must be a whole number of minor units, zero or more');
+        }
+        if (item.taxable !== undefined && typeof item.taxable !== 'boolean') {
+            return failure('VALIDATION_ERROR', 'Invalid line item', 'taxable must be a boolean');
+        }
+    }
+
+    if (!Array.isArray(taxLines) || taxLines.length > INVOICE_CONFIG.MAX_TAX_LINES) {
+        return failure('VALIDATION_ERROR', 'Invalid tax lines', `taxLines must list at most ${INVOICE_CONFIG.MAX_TAX_LINES} taxes`);
+    }
+    for (const taxLine of taxLines) {
+        if (!isPlainObject(taxLine) || typeof taxLine.name !== 'string' || !taxLine.name.trim() || taxLine.name.length > 100) {
+            return failure('VALIDATION_ERROR', 'Invalid tax line', 'Each tax line needs a name of at most 100 characters');
+        }
+        if (!Number.isInteger(taxLine.rateBps) || taxLine.rateBps < 0 || taxLine.rateBps > 10000) {
+            return failure('VALIDATION_ERROR', 'Invalid tax line', 'rateBps must be a whole number of basis points from 0 to 10000');
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Check the customer and billing fields of a request; only the fields present are checked
+ * @returns {Object|null} A failure, or null when valid
+ */
+const validateDetails = ({ customerEmail, customerName, memo, dueAt, metadata }) => {
+    if (customerEmail !== undefined && customerEmail !== null && (typeof customerEmail !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customerEmail))) {
+        return failure('VALIDATION_ERROR', 'Invalid customer email', 'customerEmail must be an email address');
+    }
+    if (customerName !== undefined && customerName !== null && (typeof customerName !== 'string' || customerName.length > 255)) {
+        return failure('VALIDATION_ERROR', 'Invalid customer name', 'customerName must be a string of at most 255 characters');
+    }
+    if (memo !== undefined && memo !== null && (typeof memo !== 'string' || memo.length > 2000)) {
+        return failure('VALIDATION_ERROR', 'Invalid memo', 'memo must be a string of at most 2000 characters');
+    }
+    if (dueAt !== undefined && dueAt !== null && isNaN(new Date(dueAt).getTime())) {
+        return failure('VALIDATION_ERROR', 'Invalid due date', 'dueAt must be a date');
+    }
+    if (metadata !== undefined && !isPlainObject(metadata)) {
+        return failure('VALIDATION_ERROR', 'Invalid metadata', 'metadata must be an object');
+    }
+    return null;
+};
+
+/**
+ * Replace the line items and tax lines of an invoice and store the new totals
+ */
+const writeLines = async (client, invoiceId, totals) => {
+    await client.query('DELETE FROM invoice_line_items WHERE invoice_id = $1', [invoiceId]);
+    await client.query('DELETE FROM invoice_tax_lines WHERE invoice_id = $1', [invoiceId]);
+
+    for (const [position, item] of totals.lineItems.entries()) {
+        await client.query(`
+            INSERT INTO invoice_line_items (invoice_id, position, description, quantity, unit_amount, amount, taxable)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [invoiceId, position, item.description.trim(), item.quantity, item.unitAmount, item.amount, item.taxable]);
+    }
+    for (const [position, taxLine] of totals.taxLines.entries()) {
+        await client.query(`
+            INSERT INTO invoice_tax_lines (invoice_id, position, name, rate_bps, taxable_amount, amount)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [invoiceId, position, taxLine.name.trim(), taxLine.rateBps, taxLine.taxableAmount, taxLine.amount]);
+    }
+
+    await client.query(
+        'UPDATE invoices SET subtotal_amount = $2, tax_amount = $3, total_amount = $4 WHERE id = $1',
+        [invoiceId, totals.subtotal, totals.tax, totals.total]
+    );
+};
+
+/**
+ * Load an invoice with its line items, tax lines and payment allocations
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} client - Open transaction client; the pool is used when omitted
+ * @returns {Object|null} Invoice row with line_items, tax_lines and payments
+ */
+export const getInvoice = async (invoiceId, client = null) => {
+    const query = client
+        ? (sql, params) => client.query(sql, params)
+        : (sql, params) => dbPoolManager.executeRead(sql, params);
+
+    const invoiceResult = await query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE id = $1`, [invoiceId]);
+    const invoice = invoiceResult.rows[0];
+    if (!invoice) {
+        return null;
+    }
+
+    const [lineItems, taxLines, payments] = await Promise.all([
+        query('SELECT description, quantity, unit_amount, amount, taxable FROM invoice_line_items WHERE invoice_id = $1 ORDER BY position', [invoiceId]),
+        query('SELECT name, rate_bps, taxable_amount, amount FROM invoice_tax_lines WHERE invoice_id = $1 ORDER BY position', [invoiceId]),
+        query(`SELECT ${ALLOCATION_COLUMNS} FROM invoice_payments WHERE invoice_id = $1 ORDER BY created_at`, [invoiceId])
+    ]);
+
+    return { ...invoice, line_items: lineItems.rows, tax_lines: taxLines.rows, payments: payments.rows };
+};
+
+/**
+ * List invoices, newest first
+ * @param {Object} filters - { userId, status, limit, offset }; userId limits the list to one customer
+ */
+export const listInvoices = async ({ userId = null, status = null, limit, offset }) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT ${INVOICE_COLUMNS}
+        FROM invoices
+        WHERE ($1::varchar IS NULL OR user_id = $1) AND ($2::varchar IS NULL OR status = $2)
+        ORDER BY created_at DESC
+        LIMIT $3 OFFSET $4
+    `, [userId, status, limit, offset]);
+
+    return result.rows;
+};
+
+/**
+ * Create a draft invoice
+ * @param {Object} invoice - { createdBy, userId, merchantId, currency, customerEmail, customerName, memo, dueAt, metadata, lineItems, taxLines }
+ * @returns {Object} { success, data } with the invoice and its lines, or { success: false, error }
+ */
+export const createInvoice = async ({
+    createdBy,
+    userId,
+    merchantId = null,
+    currency,
+    customerEmail = null,
+    customerName = null,
+    memo = null,
+    dueAt = null,
+    metadata = {},
+    lineItems,
+    taxLines = []
+}) => {
+    if (typeof userId !== 'string' || !userId || userId.length > 255) {
+        return failure('VALIDATION_ERROR', 'Invalid customer', 'userId of the billed customer is required');
+    }
+    if (!getCurrency(currency)) {
+        return failure('VALIDATION_ERROR', 'Currency not supported', `Currency ${currency} is not supported`);
+    }
+    if (merchantId !== null && (typeof merchantId !== 'string' || !merchantId || merchantId.length > 100)) {
+        return failure('VALIDATION_ERROR', 'Invalid merchant ID', 'merchantId must be a non-empty string of at most 100 characters');
+    }
+    const invalid = validateLines(lineItems, taxLines) || validateDetails({ customerEmail, customerName, memo, dueAt, metadata });
+    if (invalid) {
+        return invalid;
+    }
+
+    const invoice = await dbPoolManager.executeTransaction(async (client) => {
+        const insertResult = await client.query(`
+            INSERT INTO invoices (user_id, merchant_id, currency, customer_email, customer_name, memo, due_at, metadata, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id
+        `, [userId, merchantId, currency, customerEmail, customerName, memo, dueAt ? new Date(dueAt) : null, JSON.stringify(metadata), createdBy]);
+        const invoiceId = insertResult.rows[0].id;
+
+        await writeLines(client, invoiceId, calculateInvoiceTotals(lineItems, taxLines));
+        return getInvoice(invoiceId, client);
+    });
+
+    return { success: true, data: invoice };
+};
+
+/**
+ * Lock an invoice for a change
+ */
+const lockInvoice = async (client, invoiceId) => {
+    const result = await client.query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE id = $1 FOR UPDATE`, [invoiceId]);
+    return result.rows[0] || null;
+};
+
+/**
+ * Edit a draft invoice. Line items and tax lines are replaced when given.
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} changes - { customerEmail, customerName, memo, dueAt, metadata, lineItems, taxLines }
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const updateDraftInvoice = async (invoiceId, changes) => {
+    const { lineItems, taxLines, ...details } = changes;
+
+    if (lineItems !== undefined || taxLines !== undefined) {
+        const invalidLines = validateLines(lineItems, taxLines ?? []);
+        if (invalidLines) {
+            return lineItems === undefined
+                ? failure('VALIDATION_ERROR', 'Invalid line items', 'Send lineItems with taxLines; both are replaced together')
+                : invalidLines;
+        }
+    }
+    const invalid = validateDetails(details);
+    if (invalid) {
+        return invalid;
+    }
+
+    return dbPoolManager.executeTransaction(async (client) => {
+        const invoice = await lockInvoice(client, invoiceId);
+        if (!invoice) {
+            return invoiceNotFound(invoiceId);
+        }
+        if (invoice.status !== 'DRAFT') {
+            return wrongStatus(invoice, 'DRAFT');
+        }
+
+        const columns = {
+            customer_email: details.customerEmail,
+            customer_name: details.customerName,
+            memo: details.memo,
+            due_at: details.dueAt === undefined || details.dueAt === null ? details.dueAt : new Date(details.dueAt),
+            metadata: details.metadata === undefined ? undefined : JSON.stringify(details.metadata)
+        };
+        const params = [invoiceId];
+        const assignments = [];
+        for (const [column, value] of Object.entries(columns)) {
+            if (value === undefined) continue;
+            params.push(value);
+            assignments.push(`${column} = $${params.length}`);
+        }
+        if (assignments.length > 0) {
+            await client.query(`UPDATE invoices SET ${assignments.join(', ')} WHERE id = $1`, params);
+        }
+
+        if (lineItems !== undefined) {
+            await writeLines(client, invoiceId, calculateInvoiceTotals(lineItems, taxLines ?? []));
+        }
+
+        return { success: true, data: await getInvoice(invoiceId, client) };
+    });
+};
+
+/**
+ * Next invoice number in a merchant's sequence (INV-000042)
+ */
+const nextInvoiceNumber = async (client, merchantId) => {
+    const result = await client.query(`
+        INSERT INTO invoice_number_sequences (merchant_key, last_number)
+        VALUES ($1, 1)
+        ON CONFLICT (merchant_key) DO UPDATE
+        SET last_number = invoice_number_sequences.last_number + 1, updated_at = NOW()
+        RETURNING last_number
+    `, [merchantId || '*']);
+
+    return `${INVOICE_CONFIG.NUMBER_PREFIX}-${String(result.rows[0].last_number).padStart(INVOICE_CONFIG.NUMBER_DIGITS, '0')}`;
+};
+
+/**
+ * Number a draft invoice and open it for payment
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const finalizeInvoice = async (invoiceId) => {
+    const result = await dbPoolManager.executeTransaction(async (client) => {
+        const invoice = await lockInvoice(client, invoiceId);
+        if (!invoice) {
+            return invoiceNotFound(invoiceId);
+        }
+        if (invoice.status !== 'DRAFT') {
+            return wrongStatus(invoice, 'DRAFT');
+        }
+        if (invoice.total_amount <= 0) {
+            return failure('INVOICE_EMPTY', 'Invoice has nothing to pay', 'Only invoices with a total above zero can be finalized');
+        }
+
+        const number = await nextInvoiceNumber(client, invoice.merchant_id);
+        await client.query(
+            "UPDATE invoices SET status = 'OPEN', number = $2, issued_at = NOW() WHERE id = $1",
+            [invoiceId, number]
+        );
+
+        return { success: true, data: await getInvoice(invoiceId, client) };
+    });
+
+    if (result.success) {
+        publishInvoiceEvent('invoice_finalized', {
+            invoiceId: result.data.id,
+            number: result.data.number,
+            userId: result.data.user_id,
+            merchantId: result.data.merchant_id,
+            amount: result.data.total_amount,
+            currency: result.data.currency,
+            dueAt: result.data.due_at
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Void a draft or open invoice that no payment has been allocated to
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const voidInvoice = async (invoiceId, { reason = null } = {}) => {
+    return dbPoolManager.executeTransaction(async (client) => {
+        const invoice = await lockInvoice(client, invoiceId);
+        if (!invoice) {
+            return invoiceNotFound(invoiceId);
+        }
+        if (invoice.status !== 'DRAFT' && invoice.status !== 'OPEN') {
+            return failure('INVOICE_NOT_VOIDABLE', 'Invoice cannot be voided', `Invoice ${invoice.id} is ${invoice.status}`);
+        }
+
+        const allocationResult = await client.query(
+            "SELECT 1 FROM invoice_payments WHERE invoice_id = $1 AND status <> 'FAILED' LIMIT 1",
+            [invoiceId]
+        );
+        if (allocationResult.rows.length > 0) {
+            return failure('INVOICE_HAS_PAYMENTS', 'Invoice has payments', 'Refund the payments allocated to the invoice before voiding it');
+        }
+
+        await client.query(
+            "UPDATE invoices SET status = 'VOID', voided_at = NOW(), void_reason = $2 WHERE id = $1",
+            [invoiceId, reason]
+        );
+
+        return { success: true, data: await getInvoice(invoiceId, client) };
+    });
+};
+
+/**
+ * Apply a collected allocation to its locked invoice, marking the invoice PAID once covered
+ * @returns {Object} The updated invoice row
+ */
+export const applyAllocation = async (client, invoice, allocation) => {
+    await client.query(
+        "UPDATE invoice_payments SET status = 'APPLIED', applied_at = NOW() WHERE id = $1",
+        [allocation.id]
+    );
+
+    const amountPaid = invoice.amount_paid + allocation.amount;
+    const paid = amountPaid >= invoice.total_amount;
+    const result = await client.query(`
+        UPDATE invoices
+        SET amount_paid = $2, status = CASE WHEN $3 THEN 'PAID' ELSE status END,
+            paid_at = CASE WHEN $3 THEN NOW() ELSE paid_at END
+        WHERE id = $1
+        RETURNING ${INVOICE_COLUMNS}
+    `, [invoice.id, amountPaid, paid]);
+
+    return result.rows[0];
+};
+
+/**
+ * Publish invoice_paid when an allocation settled the invoice
+ */
+export const announceIfPaid = (invoice) => {
+    if (invoice?.status === 'PAID') {
+        publishInvoiceEvent('invoice_paid', {
+            invoiceId: invoice.id,
+            number: invoice.number,
+            userId: invoice.user_id,
+            merchantId: invoice.merchant_id,
+            amount: invoice.total_amount,
+            currency: invoice.currency,
+            paidAt: invoice.paid_at
+        });
+    }
+};
+
+/**
+ * Allocate a payment to an open invoice. A collected payment is applied at once; one still at the
+ * gateway is held as PENDING and applied or dropped by the settlement run.
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} allocation - { paymentId, amount, actorId, payerId }; amount defaults to what is left
+ *   of both the invoice and the payment; payerId, when set, must own the payment
+ * @returns {Object} { success, data: { allocation, invoice } } or { success: false, error }
+ */
+export const allocatePayment = async (invoiceId, { paymentId, amount, actorId, payerId = null }) => {
+    if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+        return failure('VALIDATION_ERROR', 'Invalid amount', 'amount must be a positive whole number of minor units');
+    }
+
+    const result = await dbPoolManager.executeTransaction(async (client) => {
+        const invoice = await lockInvoice(client, invoiceId);
+        if (!invoice) {
+            return invoiceNotFound(invoiceId);
+        }
+        if (invoice.status !== 'OPEN') {
+            return wrongStatus(invoice, 'OPEN');
+        }
+
+        const paymentResult = await client.query(
+            'SELECT id, user_id, amount, captured_amount, currency, status FROM payments WHERE id = $1 FOR UPDATE',
+            [paymentId]
+        );
+        const payment = paymentResult.rows[0];
+        if (!payment || (payerId && payment.user_id !== payerId)) {
+            return failure('PAYMENT_NOT_FOUND', 'Payment not found', `No payment found with ID: ${paymentId}`);
+        }
+        if (payment.currency !== invoice.currency) {
+            return failure('PAYMENT_CURRENCY_MISMATCH', 'Payment currency does not match the invoice',
+                `Invoice is in ${invoice.currency}, payment in ${payment.currency}`);
+        }
+        const collected = COLLECTED_PAYMENT_STATUSES.includes(payment.status);
+        if (!collected && !UNSETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+            return failure('PAYMENT_NOT_ALLOCATABLE', 'Payment cannot be allocated', `Payment ${payment.id} is ${payment.status}`);
+        }
+
+        const usageResult = await client.query(`
+            SELECT
+                COALESCE(SUM(amount) FILTER (WHERE invoice_id = $1), 0) AS invoice_allocated,
+                COALESCE(SUM(amount) FILTER (WHERE payment_id = $2), 0) AS payment_allocated,
+                COUNT(*) FILTER (WHERE invoice_id = $1 AND payment_id = $2) AS existing
+            FROM invoice_payments
+            WHERE (invoice_id = $1 OR payment_id = $2) AND status <> 'FAILED'
+        `, [invoiceId, paymentId]);
+        const usage = usageResult.rows[0];
+
+        if (Number(usage.existing) > 0) {
+            return failure('PAYMENT_ALREADY_ALLOCATED', 'Payment already allocated', `Payment ${paymentId} is already allocated to this invoice`);
+        }
+
+        const invoiceBalance = invoice.total_amount - Number(usage.invoice_allocated);
+        const paymentBalance = (payment.captured_amount ?? payment.amount) - Number(usage.payment_allocated);
+        const allocated = amount ?? Math.min(invoiceBalance, paymentBalance);
+
+        if (allocated <= 0 || allocated > invoiceBalance || allocated > paymentBalance) {
+            return failure('ALLOCATION_EXCEEDS_BALANCE', 'Allocation exceeds what is left to pay',
+                `Invoice has ${invoiceBalance} and the payment ${paymentBalance} ${invoice.currency} minor units unallocated`);
+        }
+
+        const allocationResult = await client.query(`
+            INSERT INTO invoice_payments (invoice_id, payment_id, amount, created_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING ${ALLOCATION_COLUMNS}
+        `, [invoiceId, paymentId, allocated, actorId]);
+        let allocationRow = allocationResult.rows[0];
+        let updatedInvoice = invoice;
+
+        if (collected) {
+            updatedInvoice = await applyAllocation(client, invoice, allocationRow);
+            allocationRow = { ...allocationRow, status: 'APPLIED', applied_at: new Date() };
+        }
+
+        return { success: true, data: { allocation: allocationRow, invoice: updatedInvoice } };
+    });
+
+    if (result.success) {
+        announceIfPaid(result.data.invoice);
+    }
+
+    return result;
+};
+
+/**
+ * The invoice a payment was applied to, if any (used on receipts)
+ * @returns {Object|null} Invoice with its lines and payments
+ */
+export const findInvoiceForPayment = async (paymentId) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT invoice_id
+        FROM invoice_payments
+        WHERE payment_id = $1 AND status = 'APPLIED'
+        ORDER BY applied_at
+        LIMIT 1
+    `, [paymentId]);
+
+    return result.rows[0] ? getInvoice(result.rows[0].invoice_id) : null;
+};
+
+export default {
+    calculateInvoiceTotals,
+    formatInvoice,
+    getInvoice,
+    listInvoices,
+    createInvoice,
+    updateDraftInvoice,
+    finalizeInvoice,
+    voidInvoice,
+    allocatePayment,
+    findInvoiceForPayment
+};
@@ -0,0 +1,125 @@
+/**
+ * Invoice Settlement
+ * Resolves payments allocated to invoices while still at the gateway. Each run applies PENDING
+ * allocations whose payment has been collected and drops those whose payment failed, so the
+ * invoice shows what is left to pay.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { withAdvisoryLock } from '../db/advisoryLock.js';
+import { COLLECTED_PAYMENT_STATUSES, INVOICE_COLUMNS, applyAllocation, announceIfPaid } from './invoiceService.js';
+
+// Settlement configuration
+export const INVOICE_SETTLEMENT_CONFIG = {
+    INTERVAL_MS: parseInt(process.env.INVOICE_SETTLEMENT_INTERVAL_MS) || 60000, // 1 minute
+    BATCH_SIZE: parseInt(process.env.INVOICE_SETTLEMENT_BATCH_SIZE) || 100
+};
+
+// Advisory lock key so only one replica settles invoices at a time
+const INVOICE_SETTLEMENT_LOCK_KEY = 745005;
+
+let settlementTimer = null;
+
+/**
+ * Apply or drop one pending allocation now that its payment has a final status
+ * @returns {string} 'applied', 'failed' or 'skipped' when the allocation was resolved meanwhile
+ */
+export const settleAllocation = async (allocation) => {
+    const collected = COLLECTED_PAYMENT_STATUSES.includes(allocation.payment_status);
+
+    const outcome = await dbPoolManager.executeTransaction(async (client) => {
+        const invoiceResult = await client.query(
+            `SELECT ${INVOICE_COLUMNS} FROM invoices WHERE id = $1 FOR UPDATE`,
+            [allocation.invoice_id]
+        );
+        const pendingResult = await client.query(
+            "SELECT id, amount FROM invoice_payments WHERE id = $1 AND status = 'PENDING' FOR UPDATE",
+            [allocation.id]
+        );
+        const invoice = invoiceResult.rows[0];
+        const pending = pendingResult.rows[0];
+
+        if (!invoice || !pending) {
+            return { status: 'skipped' };
+        }
+
+        if (!collected) {
+            await client.query("UPDATE invoice_payments SET status = 'FAILED' WHERE id = $1", [pending.id]);
+            return { status: 'failed' };
+        }
+
+        return { status: 'applied', invoice: await applyAllocation(client, invoice, pending) };
+    });
+
+    announceIfPaid(outcome.invoice);
+    return outcome.status;
+};
+
+/**
+ * Run one settlement pass. Holds an advisory lock so replicas do not apply twice.
+ * @returns {Object} Run summary
+ */
+export const runInvoiceSettlement = async () => {
+    const summary = { outcome: 'completed', applied: 0, failed: 0 };
+
+    try {
+        const { acquired } = await withAdvisoryLock(INVOICE_SETTLEMENT_LOCK_KEY, async () => {
+            const settledResult = await dbPoolManager.executeRead(`
+                SELECT ip.id, ip.invoice_id, ip.payment_id, ip.amount, pay.status AS payment_status
+                FROM invoice_payments ip
+                JOIN payments pay ON pay.id = ip.payment_id
+                WHERE ip.status = 'PENDING' AND pay.status NOT IN ('PENDING', 'AUTHORIZED', 'UNDER_REVIEW')
+                ORDER BY ip.created_at
+                LIMIT $1
+            `, [INVOICE_SETTLEMENT_CONFIG.BATCH_SIZE]);
+
+            for (const allocation of settledResult.rows) {
+                try {
+                    const status = await settleAllocation(allocation);
+                    if (status !== 'skipped') summary[status]++;
+                } catch (error) {
+                    console.error(`Invoice allocation ${allocation.id} could not be settled:`, error.message);
+                }
+            }
+        });
+        if (!acquired) {
+            summary.outcome = 'skipped';
+        }
+    } catch (error) {
+        console.error('Invoice settlement run failed:', error.message);
+        summary.outcome = 'failed';
+    }
+
+    if (summary.applied > 0 || summary.failed > 0 || summary.outcome === 'failed') {
+        console.log('Invoice settlement run finished:', summary);
+    }
+
+    return summary;
+};
+
+/**
+ * Start settling invoice payments on this replica
+ */
+export const startInvoiceSettlement = () => {
+    if (settlementTimer) return;
+
+    settlementTimer = setInterval(runInvoiceSettlement, INVOICE_SETTLEMENT_CONFIG.INTERVAL_MS);
+    console.log(`Invoice settlement scheduled every ${INVOICE_SETTLEMENT_CONFIG.INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop settling invoice payments
+ */
+export const stopInvoiceSettlement = () => {
+    if (settlementTimer) {
+        clearInterval(settlementTimer);
+        settlementTimer = null;
+    }
+};
+
+export default {
+    settleAllocation,
+    runInvoiceSettlement,
+    startInvoiceSettlement,
+    stopInvoiceSettlement
+};
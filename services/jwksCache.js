@@ -0,0 +1,198 @@
+/**
+ * JWKS Cache
+ * Keeps the user service's public signing keys in memory so access tokens can be verified without a
+ * call per request. Keys come from JWKS_URL (or JWKS_FILE, a static key set for tests and local runs),
+ * are reloaded on an interval, and are reloaded early when a token names a kid that isn't known yet
+ * (at most once per MIN_REFRESH_INTERVAL_MS, so forged kids can't hammer the user service).
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+// JWKS configuration
+export const JWKS_CONFIG = {
+    URL: process.env.JWKS_URL || null,
+    FILE: process.env.JWKS_FILE || null,
+    REFRESH_INTERVAL_MS: parseInt(process.env.JWKS_REFRESH_INTERVAL_MS) || 600000, // 10 minutes
+    MIN_REFRESH_INTERVAL_MS: parseInt(process.env.JWKS_MIN_REFRESH_INTERVAL_MS) || 30000,
+    TIMEOUT_MS: parseInt(process.env.JWKS_TIMEOUT_MS) || 5000
+};
+
+/**
+ * Thrown when no key set has been loaded, so tokens can't be checked either way
+ */
+export class JwksUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JwksUnavailableError';
+        this.code = 'JWKS_UNAVAILABLE';
+    }
+}
+
+// kid -> { key: KeyObject, alg }
+let keys = new Map();
+let loadedAt = null;
+let lastAttemptAt = 0;
+let inflight = null;
+let refreshTimer = null;
+
+/**
+ * Whether tokens can be verified locally (JWKS_URL or JWKS_FILE is set)
+ */
+export const isJwksConfigured = () => Boolean(JWKS_CONFIG.FILE || JWKS_CONFIG.URL);
+
+const readJwks = async () => {
+    if (JWKS_CONFIG.FILE) {
+        return JSON.parse(await fs.promises.readFile(JWKS_CONFIG.FILE, 'utf8'));
+    }
+
+    const response = await fetch(JWKS_CONFIG.URL, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(JWKS_CONFIG.TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    return response.json();
+};
+
+/**
+ * Import the signing keys of a JWKS document, skipping encryption keys and keys node can't import
+ * @returns {Map} kid -> { key, alg }
+ */
+export const parseJwks = (jwks) => {
+    if (!Array.isArray(jwks?.keys)) {
+        throw new Error('JWKS document has no keys array');
+    }
+
+    const parsed = new Map();
+    jwks.keys.forEach((jwk, index) => {
+        if (jwk.use && jwk.use !== 'sig') {
+            return;
+        }
+        try {
+            // Private members are dropped so a key file copied from the issuer can't leak into memory dumps
+            const { d, p, q, dp, dq, qi, ...publicJwk } = jwk;
+            parsed.set(jwk.kid ?? `#${index}`, {
+                key: crypto.createPublicKey({ key: publicJwk, format: 'jwk' }),
+                alg: jwk.alg || null
+            });
+        } catch (error) {
+            console.warn(`Skipping JWKS key ${jwk.kid ?? index}:`, error.message);
+        }
+    });
+
+    return parsed;
+};
+
+/**
+ * Load the key set now, replacing the cached keys
+ * Concurrent callers share one request.
+ * @returns {number} Number of keys loaded
+ */
+export const refreshJwks = () => {
+    if (!inflight) {
+        lastAttemptAt = Date.now();
+        inflight = readJwks()
+            .then(jwks => {
+                keys = parseJwks(jwks);
+                loadedAt = new Date();
+                return keys.size;
+            })
+            .finally(() => {
+                inflight = null;
+            });
+    }
+
+    return inflight;
+};
+
+const findKey = (header) => {
+    if (header.kid !== undefined) {
+        return keys.get(header.kid) || null;
+    }
+    // Tokens without a kid are only accepted while the issuer publishes a single key
+    return keys.size === 1 ? [...keys.values()][0] : null;
+};
+
+/**
+ * Public key for a token header, for verifyJwt
+ * @param {Object} header - Decoded JWT header ({ alg, kid })
+ * @returns {KeyObject|null} null when no key matches the kid and algorithm
+ * @throws {JwksUnavailableError} When no key set could be loaded
+ */
+export const getSigningKey = async (header) => {
+    let entry = findKey(header);
+
+    if (!entry && Date.now() - lastAttemptAt >= JWKS_CONFIG.MIN_REFRESH_INTERVAL_MS) {
+        try {
+            await refreshJwks();
+        } catch (error) {
+            console.error('JWKS refresh failed:', error.message);
+        }
+        entry = findKey(header);
+    }
+
+    if (!entry) {
+        if (!loadedAt) {
+            throw new JwksUnavailableError('Signing keys have not been loaded');
+        }
+        return null;
+    }
+
+    // A key pinned to one algorithm can't be used with another
+    if (entry.alg && entry.alg !== header.alg) {
+        return null;
+    }
+
+    return entry.key;
+};
+
+/**
+ * Cached key set state
+ */
+export const getJwksStatus = () => ({
+    configured: isJwksConfigured(),
+    source: JWKS_CONFIG.FILE ? 'file' : JWKS_CONFIG.URL ? 'url' : null,
+    keyIds: [...keys.keys()],
+    loadedAt
+});
+
+const runRefresh = async () => {
+    try {
+        await refreshJwks();
+    } catch (error) {
+        console.error('JWKS refresh failed:', error.message);
+    }
+};
+
+/**
+ * Load the key set now and reload it on every interval
+ * Does nothing when neither JWKS_URL nor JWKS_FILE is set.
+ */
+export const startJwksRefresh = () => {
+    if (refreshTimer || !isJwksConfigured()) return;
+
+    runRefresh();
+    refreshTimer = setInterval(runRefresh, JWKS_CONFIG.REFRESH_INTERVAL_MS);
+    console.log(`JWKS reload scheduled every ${JWKS_CONFIG.REFRESH_INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop reloading the key set
+ */
+export const stopJwksRefresh = () => {
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+};
+
+export default {
+    isJwksConfigured,
+    refreshJwks,
+    getSigningKey,
+    getJwksStatus,
+    startJwksRefresh,
+    stopJwksRefresh
+};
@@ -0,0 +1,676 @@
+/**
+ * Merchant Webhooks Service
+ * Merchants register HTTPS endpoints for the payment events they want. Every published event that
+ * concerns an endpoint's owner (or its merchant, for merchant endpoints) becomes one delivery, which
+ * workers/merchantWebhookDispatcher.js POSTs with exponential backoff. Each request is signed with
+ * the endpoint's secret over the timestamp and body, and every attempt is kept in the delivery log.
+ *
+ * Receivers verify a delivery by recomputing
+ *   X-Webhook-Signature: sha256=HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+ * and rejecting timestamps older than a few minutes, so a captured request cannot be replayed.
+ *
+ * Endpoint hosts must resolve to public addresses, checked when the URL is saved and again before
+ * every send; the send connects to the address that was checked.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import dbPoolManager from '../db/connectionPool.js';
+import { encrypt, decrypt, getKeyVersion } from '../utils/envelopeEncryption.js';
+import { retryWithBackoff } from '../workers/retryWithBackoff.js';
+
+// Merchant webhook configuration
+export const MERCHANT_WEBHOOK_CONFIG = {
+    MAX_ATTEMPTS: parseInt(process.env.MERCHANT_WEBHOOK_MAX_ATTEMPTS) || 5,
+    BASE_DELAY_MS: parseInt(process.env.MERCHANT_WEBHOOK_BASE_DELAY_MS) || 5000,
+    TIMEOUT_MS: parseInt(process.env.MERCHANT_WEBHOOK_TIMEOUT_MS) || 10000,
+    STALE_PENDING_MINUTES: parseInt(process.env.MERCHANT_WEBHOOK_STALE_PENDING_MINUTES) || 15,
+    SIGNATURE_TOLERANCE_SECONDS: 300,
+    MAX_ENDPOINTS_PER_OWNER: 20,
+    MAX_RESPONSE_BODY_LENGTH: 2000
+};
+
+// Events merchants can subscribe to; internal topics such as webhook_received are never sent out
+export const MERCHANT_WEBHOOK_EVENTS = [
+    'payment_initiated',
+    'payment_processed',
+    'payment_updated',
+    'payment_captured',
+    'payment_cancelled',
+    'refund_processed',
+    'refund_updated',
+    'subscription_renewed',
+    'subscription_past_due',
+    'subscription_cancelled',
+    'invoice_finalized',
+    'invoice_paid'
+];
+
+export const DELIVERY_STATUSES = ['PENDING', 'SUCCEEDED', 'FAILED'];
+
+const ALL_EVENTS = '*';
+const MAX_URL_LENGTH = 2048;
+const MAX_DESCRIPTION_LENGTH = 500;
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// Addresses deliveries are never sent to: loopback, private and shared (CGNAT) networks, link-local
+// (cloud metadata services answer on 169.254.169.254), multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([base, bits]) => BLOCKED_ADDRESSES.addSubnet(base, bits, 'ipv4'));
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([base, bits]) => BLOCKED_ADDRESSES.addSubnet(base, bits, 'ipv6'));
+
+const ENDPOINT_COLUMNS = 'id, owner_id, merchant_id, url, description, event_types, is_active, created_at, updated_at';
+
+const DELIVERY_COLUMNS = `id, endpoint_id, event_id, event_type, payload, status, attempts, last_status_code,
+    last_error, delivered_at, created_at, updated_at`;
+
+const failure = (code, message, details) => ({ success: false, error: { code, message, details } });
+
+const endpointNotFound = (endpointId) =>
+    failure('WEBHOOK_ENDPOINT_NOT_FOUND', 'Webhook endpoint not found', `No webhook endpoint found with ID: ${endpointId}`);
+
+const deliveryNotFound = (deliveryId) =>
+    failure('WEBHOOK_DELIVERY_NOT_FOUND', 'Webhook delivery not found', `No webhook delivery found with ID: ${deliveryId}`);
+
+// Binds a secret envelope to its endpoint, so it cannot be copied onto another endpoint's row
+const secretAad = (endpointId) => `merchant_webhook_endpoints:${endpointId}`;
+
+/**
+ * Signature of a delivery body at a timestamp (seconds), as sent in X-Webhook-Signature
+ */
+export const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Check a delivery the way a receiver should: the signature must match and the timestamp must be recent
+ * @param {Object} params - { secret, timestamp, body, signature, now } with now in milliseconds
+ * @returns {boolean}
+ */
+export const verifyWebhookSignature = ({ secret, timestamp, body, signature, now = Date.now() }) => {
+    const seconds = Number(timestamp);
+    if (!Number.isInteger(seconds) || Math.abs(now / 1000 - seconds) > MERCHANT_WEBHOOK_CONFIG.SIGNATURE_TOLERANCE_SECONDS) {
+        return false;
+    }
+
+    const expected = Buffer.from(signPayload(secret, seconds, body));
+    const received = Buffer.from(String(signature || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Format an endpoint for API responses; the secret is only ever returned when it is created
+ */
+export const formatEndpoint = (row) => ({
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    eventTypes: row.event_types,
+    merchantId: row.merchant_id,
+    ownerId: row.owner_id,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+/**
+ * Format a delivery attempt for API responses
+ * @param {Object} row - merchant_webhook_delivery_attempts row
+ * @param {Object} options - { includeResponseBody } - what the receiver answered is only shown to admins
+ */
+export const formatAttempt = (row, { includeResponseBody = false } = {}) => ({
+    attempt: row.attempt,
+    manual: row.manual,
+    succeeded: row.succeeded,
+    statusCode: row.status_code,
+    error: row.error,
+    ...(includeResponseBody ? { responseBody: row.response_body } : {}),
+    durationMs: row.duration_ms,
+    attemptedAt: row.attempted_at
+});
+
+/**
+ * Format a delivery for API responses
+ * @param {Object} row - merchant_webhook_deliveries row
+ * @param {Array} attempts - merchant_webhook_delivery_attempts rows, when loaded
+ * @param {Object} options - formatAttempt options
+ */
+export const formatDelivery = (row, attempts, options) => ({
+    id: row.id,
+    endpointId: row.endpoint_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    status: row.status,
+    attempts: row.attempts,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    payload: row.payload,
+    ...(attempts ? { attemptLog: attempts.map(attempt => formatAttempt(attempt, options)) } : {})
+});
+
+const validateUrl = (url) => {
+    if (typeof url !== 'string' || !url || url.length > MAX_URL_LENGTH) {
+        return failure('VALIDATION_ERROR', 'Invalid URL', `url must be a string of at most ${MAX_URL_LENGTH} characters`);
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return failure('VALIDATION_ERROR', 'Invalid URL', 'url must be an absolute URL');
+    }
+
+    const localHttp = parsed.protocol === 'http:' &&
+        LOCAL_HOSTNAMES.includes(parsed.hostname) &&
+        process.env.NODE_ENV !== 'production';
+    if (parsed.protocol !== 'https:' && !localHttp) {
+        return failure('VALIDATION_ERROR', 'Invalid URL', 'Webhook endpoints must use HTTPS');
+    }
+    if (parsed.username || parsed.password) {
+        return failure('VALIDATION_ERROR', 'Invalid URL', 'url must not contain credentials');
+    }
+    return null;
+};
+
+/**
+ * Resolve the host of a webhook URL to the address deliveries connect to.
+ * Every address the name resolves to must be public, and so must an IP written in the URL;
+ * the local hostnames validateUrl accepts outside production may resolve to loopback.
+ * @returns {Object} { success, data: { address, family } }
+ */
+const resolveWebhookAddress = async (url) => {
+    const { hostname } = new URL(url);
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+    } catch (error) {
+        return failure('VALIDATION_ERROR', 'Invalid URL', `Could not resolve ${hostname}: ${error.code || error.message}`);
+    }
+
+    const localAllowed = LOCAL_HOSTNAMES.includes(hostname) && process.env.NODE_ENV !== 'production';
+    const blocked = addresses.some(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    if (addresses.length === 0 || (blocked && !localAllowed)) {
+        return failure('VALIDATION_ERROR', 'Invalid URL', `${hostname} resolves to a private, loopback or link-local address`);
+    }
+    return { success: true, data: addresses[0] };
+};
+
+/**
+ * Agent that connects to an address already checked by resolveWebhookAddress, so a DNS answer
+ * that changes after the check cannot move the request. TLS still verifies the URL's hostname.
+ */
+const pinnedAgent = (url, { address, family }) => {
+    const Agent = new URL(url).protocol === 'http:' ? http.Agent : https.Agent;
+    return new Agent({
+        lookup: (hostname, options, callback) => (options.all
+            ? callback(null, [{ address, family }])
+            : callback(null, address, family))
+    });
+};
+
+const validateEventTypes = (eventTypes) => {
+    const valid = Array.isArray(eventTypes) &&
+        eventTypes.length > 0 &&
+        eventTypes.every(type => type === ALL_EVENTS || MERCHANT_WEBHOOK_EVENTS.includes(type));
+    if (!valid) {
+        return failure(
+            'VALIDATION_ERROR',
+            'Invalid event types',
+            `eventTypes must be a non-empty list of ${ALL_EVENTS} or: ${MERCHANT_WEBHOOK_EVENTS.join(', ')}`
+        );
+    }
+    return null;
+};
+
+const validateDescription = (description) => {
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+        return failure('VALIDATION_ERROR', 'Invalid description', `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    return null;
+};
+
+// A subscription to every event makes the individual types redundant
+const normalizeEventTypes = (eventTypes) =>
+    eventTypes.includes(ALL_EVENTS) ? [ALL_EVENTS] : [...new Set(eventTypes)];
+
+/**
+ * Register a webhook endpoint
+ * @param {Object} params - { ownerId, merchantId, url, description, eventTypes }
+ * @returns {Object} { success, data: { endpoint, secret } } - the signing secret is only returned here
+ */
+export const createEndpoint = async ({ ownerId, merchantId = null, url, description = null, eventTypes = [ALL_EVENTS] }) => {
+    const invalid = validateUrl(url) || validateEventTypes(eventTypes) || validateDescription(description);
+    if (invalid) {
+        return invalid;
+    }
+    const resolved = await resolveWebhookAddress(url);
+    if (!resolved.success) {
+        return resolved;
+    }
+    if (merchantId !== null && (typeof merchantId !== 'string' || !merchantId || merchantId.length > 100)) {
+        return failure('VALIDATION_ERROR', 'Invalid merchant ID', 'merchantId must be a non-empty string of at most 100 characters');
+    }
+
+    const count = await dbPoolManager.executeRead(
+        'SELECT COUNT(*) AS count FROM merchant_webhook_endpoints WHERE owner_id = $1 AND is_active = true',
+        [ownerId]
+    );
+    if (Number(count.rows[0].count) >= MERCHANT_WEBHOOK_CONFIG.MAX_ENDPOINTS_PER_OWNER) {
+        return failure(
+            'WEBHOOK_ENDPOINT_LIMIT_REACHED',
+            'Too many webhook endpoints',
+            `At most ${MERCHANT_WEBHOOK_CONFIG.MAX_ENDPOINTS_PER_OWNER} active endpoints are allowed`
+        );
+    }
+
+    const id = crypto.randomUUID();
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const secretEncrypted = await encrypt(secret, { aad: secretAad(id) });
+
+    const result = await dbPoolManager.executeWrite(`
+        INSERT INTO merchant_webhook_endpoints (
+            id, owner_id, merchant_id, url, description, event_types, secret_encrypted, secret_key_version
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING ${ENDPOINT_COLUMNS}
+    `, [id, ownerId, merchantId, url, description, normalizeEventTypes(eventTypes), secretEncrypted, getKeyVersion(secretEncrypted)]);
+
+    return { success: true, data: { endpoint: result.rows[0], secret } };
+};
+
+/**
+ * List endpoints, newest first
+ * @param {Object} params - { ownerId (null for all), limit, offset }
+ */
+export const listEndpoints = async ({ ownerId = null, limit, offset }) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT ${ENDPOINT_COLUMNS}
+        FROM merchant_webhook_endpoints
+        WHERE ($1::varchar IS NULL OR owner_id = $1)
+        ORDER BY created_at DESC
+        LIMIT $2 OFFSET $3
+    `, [ownerId, limit, offset]);
+
+    return result.rows;
+};
+
+export const getEndpoint = async (endpointId) => {
+    const result = await dbPoolManager.executeRead(
+        `SELECT ${ENDPOINT_COLUMNS} FROM merchant_webhook_endpoints WHERE id = $1`,
+        [endpointId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Change an endpoint's URL, description, event types or whether it is active.
+ * Deliveries already PENDING for a disabled endpoint are failed on their next attempt.
+ * @param {string} endpointId - Endpoint ID
+ * @param {Object} changes - any of { url, description, eventTypes, isActive }
+ */
+export const updateEndpoint = async (endpointId, { url, description, eventTypes, isActive }) => {
+    const invalid = (url !== undefined && validateUrl(url)) ||
+        (eventTypes !== undefined && validateEventTypes(eventTypes)) ||
+        (description !== undefined && validateDescription(description));
+    if (invalid) {
+        return invalid;
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        return failure('VALIDATION_ERROR', 'Invalid isActive', 'isActive must be a boolean');
+    }
+    if (url !== undefined) {
+        const resolved = await resolveWebhookAddress(url);
+        if (!resolved.success) {
+            return resolved;
+        }
+    }
+
+    const result = await dbPoolManager.executeWrite(`
+        UPDATE merchant_webhook_endpoints
+        SET url = COALESCE($2, url),
+            description = CASE WHEN $3 THEN $4 ELSE description END,
+            event_types = COALESCE($5, event_types),
+            is_active = COALESCE($6, is_active)
+        WHERE id = $1
+        RETURNING ${ENDPOINT_COLUMNS}
+    `, [
+        endpointId,
+        url ?? null,
+        description !== undefined,
+        description ?? null,
+        eventTypes ? normalizeEventTypes(eventTypes) : null,
+        isActive ?? null
+    ]);
+
+    if (result.rows.length === 0) {
+        return endpointNotFound(endpointId);
+    }
+    return { success: true, data: result.rows[0] };
+};
+
+/**
+ * Who an event is about: its user and merchant, taken from the payload or from its payment
+ */
+const resolveEventOwners = async (event) => {
+    let userId = event.userId || event.user_id || null;
+    let merchantId = event.merchantId || event.merchant_id || null;
+    const paymentId = event.payment_id || event.paymentId;
+
+    if (paymentId && (!userId || !merchantId)) {
+        const result = await dbPoolManager.executeRead('SELECT user_id, merchant_id FROM payments WHERE id = $1', [paymentId]);
+        const payment = result.rows[0];
+        userId = userId || payment?.user_id || null;
+        merchantId = merchantId || payment?.merchant_id || null;
+    }
+
+    return { userId, merchantId };
+};
+
+/**
+ * Body POSTed to endpoints for an event published by publishPaymentEvent
+ */
+const buildDeliveryPayload = ({ eventId, eventType, timestamp, ...data }) => ({
+    id: eventId,
+    type: eventType,
+    createdAt: timestamp,
+    data
+});
+
+/**
+ * Create a delivery for every active endpoint subscribed to an event.
+ * Merchant endpoints receive their merchant's events; other endpoints receive their owner's events.
+ * A redelivered event does not create deliveries twice.
+ * @param {Object} event - Event as published to the payment_events exchange
+ * @returns {Array<string>} IDs of the event's deliveries still PENDING
+ */
+export const fanOutEvent = async (event) => {
+    if (!MERCHANT_WEBHOOK_EVENTS.includes(event?.eventType) || !event.eventId) {
+        return [];
+    }
+
+    const { userId, merchantId } = await resolveEventOwners(event);
+    if (!userId && !merchantId) {
+        return [];
+    }
+
+    return dbPoolManager.executeTransaction(async (client) => {
+        const endpoints = await client.query(`
+            SELECT id
+            FROM merchant_webhook_endpoints
+            WHERE is_active = true
+              AND ($1 = ANY(event_types) OR '*' = ANY(event_types))
+              AND ((merchant_id IS NULL AND owner_id = $2) OR merchant_id = $3)
+        `, [event.eventType, userId, merchantId]);
+
+        if (endpoints.rows.length === 0) {
+            return [];
+        }
+
+        const endpointIds = endpoints.rows.map(row => row.id);
+        await client.query(`
+            INSERT INTO merchant_webhook_deliveries (endpoint_id, event_id, event_type, payload)
+            SELECT endpoint_id, $2, $3, $4 FROM unnest($1::uuid[]) AS endpoint_id
+            ON CONFLICT (endpoint_id, event_id) DO NOTHING
+        `, [endpointIds, event.eventId, event.eventType, buildDeliveryPayload(event)]);
+
+        const pending = await client.query(`
+            SELECT id FROM merchant_webhook_deliveries
+            WHERE event_id = $1 AND endpoint_id = ANY($2::uuid[]) AND status = 'PENDING'
+        `, [event.eventId, endpointIds]);
+
+        return pending.rows.map(row => row.id);
+    });
+};
+
+/**
+ * POST a signed delivery body to an endpoint.
+ * The host is resolved and checked again first: it may point somewhere else since it was registered.
+ * @returns {Object} { succeeded, statusCode, error, responseBody, durationMs }
+ */
+const postDelivery = async (url, secret, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    const resolved = await resolveWebhookAddress(url);
+    if (!resolved.success) {
+        return {
+            succeeded: false,
+            statusCode: null,
+            error: resolved.error.details,
+            responseBody: null,
+            durationMs: Date.now() - startedAt
+        };
+    }
+
+    const agent = pinnedAgent(url, resolved.data);
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'payment-service-webhooks/1.0',
+                'X-Webhook-Id': delivery.event_id,
+                'X-Webhook-Event': delivery.event_type,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(secret, timestamp, body)
+            },
+            body,
+            agent,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(MERCHANT_WEBHOOK_CONFIG.TIMEOUT_MS)
+        });
+        const responseBody = (await response.text().catch(() => '')).slice(0, MERCHANT_WEBHOOK_CONFIG.MAX_RESPONSE_BODY_LENGTH);
+
+        return {
+            succeeded: response.status >= 200 && response.status < 300,
+            statusCode: response.status,
+            error: response.status >= 200 && response.status < 300 ? null : `Endpoint responded with HTTP ${response.status}`,
+            responseBody,
+            durationMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        return {
+            succeeded: false,
+            statusCode: null,
+            error: error.name === 'AbortError' || error.name === 'TimeoutError' ? `No response within ${MERCHANT_WEBHOOK_CONFIG.TIMEOUT_MS}ms` : error.message,
+            responseBody: null,
+            durationMs: Date.now() - startedAt
+        };
+    } finally {
+        agent.destroy();
+    }
+};
+
+/**
+ * Make one attempt at a delivery and log it.
+ * Automatic attempts only send PENDING deliveries and fail the delivery after the last allowed
+ * attempt; manual resends send any delivery and never undo an earlier success.
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} options - { manual }
+ * @returns {Object} { success, data: { delivery, attempt } } - attempt is null when nothing was sent
+ */
+export const attemptDelivery = async (deliveryId, { manual = false } = {}) => {
+    const claimed = await dbPoolManager.executeWrite(`
+        UPDATE merchant_webhook_deliveries d
+        SET attempts = d.attempts + 1
+        FROM merchant_webhook_endpoints e
+        WHERE d.id = $1 AND e.id = d.endpoint_id AND ($2 OR (d.status = 'PENDING' AND e.is_active = true))
+        RETURNING d.id, d.endpoint_id, d.event_id, d.event_type, d.payload, d.attempts, e.url, e.secret_encrypted
+    `, [deliveryId, manual]);
+
+    const delivery = claimed.rows[0];
+    if (!delivery) {
+        const existing = await dbPoolManager.executeRead(`
+            SELECT d.status, e.is_active
+            FROM merchant_webhook_deliveries d
+            JOIN merchant_webhook_endpoints e ON e.id = d.endpoint_id
+            WHERE d.id = $1
+        `, [deliveryId]);
+        if (existing.rows.length === 0) {
+            return deliveryNotFound(deliveryId);
+        }
+
+        // Endpoint disabled while the delivery was waiting for its next attempt
+        const unchanged = await dbPoolManager.executeWrite(`
+            UPDATE merchant_webhook_deliveries
+            SET status = CASE WHEN status = 'PENDING' THEN 'FAILED' ELSE status END,
+                last_error = CASE WHEN status = 'PENDING' THEN 'Webhook endpoint is disabled' ELSE last_error END
+            WHERE id = $1
+            RETURNING ${DELIVERY_COLUMNS}
+        `, [deliveryId]);
+        return { success: true, data: { delivery: unchanged.rows[0], attempt: null } };
+    }
+
+    const secret = await decrypt(delivery.secret_encrypted, { aad: secretAad(delivery.endpoint_id) });
+    const outcome = await postDelivery(delivery.url, secret, delivery);
+    const final = manual || delivery.attempts >= MERCHANT_WEBHOOK_CONFIG.MAX_ATTEMPTS;
+
+    return dbPoolManager.executeTransaction(async (client) => {
+        const attempt = await client.query(`
+            INSERT INTO merchant_webhook_delivery_attempts (
+                delivery_id, attempt, manual, status_code, succeeded, error, response_body, duration_ms
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING attempt, manual, status_code, succeeded, error, response_body, duration_ms, attempted_at
+        `, [deliveryId, delivery.attempts, manual, outcome.statusCode, outcome.succeeded, outcome.error, outcome.responseBody, outcome.durationMs]);
+
+        const updated = await client.query(`
+            UPDATE merchant_webhook_deliveries
+            SET status = CASE
+                    WHEN $2 THEN 'SUCCEEDED'
+                    WHEN $3 AND status <> 'SUCCEEDED' THEN 'FAILED'
+                    ELSE status
+                END,
+                last_status_code = $4,
+                last_error = $5,
+                delivered_at = CASE WHEN $2 THEN now() ELSE delivered_at END
+            WHERE id = $1
+            RETURNING ${DELIVERY_COLUMNS}
+        `, [deliveryId, outcome.succeeded, final, outcome.statusCode, outcome.error]);
+
+        return { success: true, data: { delivery: updated.rows[0], attempt: attempt.rows[0] } };
+    });
+};
+
+/**
+ * Deliver with exponential backoff until the endpoint accepts it or the attempts run out.
+ * Attempts already made (e.g. before a worker restart) count towards MAX_ATTEMPTS.
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Object} The delivery row as left by the last attempt
+ */
+export const deliverWithRetry = async (deliveryId) => {
+    let delivery = null;
+
+    await retryWithBackoff(async () => {
+        const result = await attemptDelivery(deliveryId);
+        if (!result.success) {
+            return;
+        }
+        delivery = result.data.delivery;
+        if (delivery.status === 'PENDING') {
+            throw new Error(`Webhook delivery ${deliveryId} failed: ${delivery.last_error}`);
+        }
+    }, MERCHANT_WEBHOOK_CONFIG.MAX_ATTEMPTS, MERCHANT_WEBHOOK_CONFIG.BASE_DELAY_MS, 2, true).catch(() => {});
+
+    return delivery;
+};
+
+/**
+ * Claim PENDING deliveries nobody has touched for STALE_PENDING_MINUTES (the worker retrying them
+ * stopped). Claiming bumps updated_at, so concurrent sweeps don't pick the same deliveries.
+ * @param {number} limit - Maximum number of deliveries
+ */
+export const claimStalePendingDeliveries = async (limit = 100) => {
+    const result = await dbPoolManager.executeWrite(`
+        UPDATE merchant_webhook_deliveries
+        SET updated_at = now()
+        WHERE id IN (
+            SELECT id FROM merchant_webhook_deliveries
+            WHERE status = 'PENDING' AND updated_at < now() - make_interval(mins => $1)
+            ORDER BY created_at
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id
+    `, [MERCHANT_WEBHOOK_CONFIG.STALE_PENDING_MINUTES, limit]);
+
+    return result.rows.map(row => row.id);
+};
+
+/**
+ * Delivery log of an endpoint, newest first
+ * @param {string} endpointId - Endpoint ID
+ * @param {Object} filters - { status, eventType, limit, offset }
+ */
+export const listDeliveries = async (endpointId, { status = null, eventType = null, limit, offset }) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT ${DELIVERY_COLUMNS}
+        FROM merchant_webhook_deliveries
+        WHERE endpoint_id = $1
+          AND ($2::varchar IS NULL OR status = $2)
+          AND ($3::varchar IS NULL OR event_type = $3)
+        ORDER BY created_at DESC
+        LIMIT $4 OFFSET $5
+    `, [endpointId, status, eventType, limit, offset]);
+
+    return result.rows;
+};
+
+/**
+ * A delivery of an endpoint with all its attempts
+ * @returns {Object|null} { delivery, attempts }
+ */
+export const getDelivery = async (endpointId, deliveryId) => {
+    const delivery = await dbPoolManager.executeRead(
+        `SELECT ${DELIVERY_COLUMNS} FROM merchant_webhook_deliveries WHERE id = $1 AND endpoint_id = $2`,
+        [deliveryId, endpointId]
+    );
+    if (delivery.rows.length === 0) {
+        return null;
+    }
+
+    const attempts = await dbPoolManager.executeRead(`
+        SELECT attempt, manual, status_code, succeeded, error, response_body, duration_ms, attempted_at
+        FROM merchant_webhook_delivery_attempts
+        WHERE delivery_id = $1
+        ORDER BY attempted_at, attempt
+    `, [deliveryId]);
+
+    return { delivery: delivery.rows[0], attempts: attempts.rows };
+};
+
+/**
+ * Send a delivery again now, whatever its outcome so far.
+ * Deliveries still being retried are left to the worker.
+ * @returns {Object} { success, data: { delivery, attempt } } with the outcome of this attempt
+ */
+export const resendDelivery = async (endpointId, deliveryId) => {
+    const existing = await dbPoolManager.executeRead(`
+        SELECT d.status, e.is_active
+        FROM merchant_webhook_deliveries d
+        JOIN merchant_webhook_endpoints e ON e.id = d.endpoint_id
+        WHERE d.id = $1 AND d.endpoint_id = $2
+    `, [deliveryId, endpointId]);
+    if (existing.rows.length === 0) {
+        return deliveryNotFound(deliveryId);
+    }
+    if (!existing.rows[0].is_active) {
+        return failure('WEBHOOK_ENDPOINT_DISABLED', 'Webhook endpoint is disabled', 'Enable the endpoint before resending its deliveries');
+    }
+    if (existing.rows[0].status === 'PENDING') {
+        return failure('WEBHOOK_DELIVERY_IN_PROGRESS', 'Delivery is still being retried', `Delivery ${deliveryId} is PENDING`);
+    }
+
+    return attemptDelivery(deliveryId, { manual: true });
+};
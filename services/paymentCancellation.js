@@ -0,0 +1,105 @@
+/**
+ * Payment Cancellation Service
+ * Cancels PENDING/AUTHORIZED payments: invalidates the gateway checkout where the provider supports it
+ * (or voids the hold of an AUTHORIZED payment),
+ * moves the payment to CANCELLED through the state machine (history records the reason and actor) and publishes
+ * payment_cancelled.
+ */
+
+import { getGatewayForPayment, getGatewayReference } from '../gateways/index.js';
+import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
+import { transitionPayment } from './paymentStateMachine.js';
+
+// Payment statuses that can still be cancelled
+export const CANCELLABLE_STATUSES = ['PENDING', 'AUTHORIZED'];
+
+const notCancellable = (payment) => ({
+    success: false,
+    error: {
+        code: 'PAYMENT_NOT_CANCELLABLE',
+        message: 'Payment can no longer be cancelled',
+        details: {
+            payment_id: payment.id,
+            status: payment.status,
+            cancellable_statuses: CANCELLABLE_STATUSES
+        }
+    }
+});
+
+/**
+ * Cancel a payment
+ * @param {Object} payment - Payment row (id, user_id, order_id, status, gateway, gateway_response, idempotency_key)
+ * @param {Object} options - { reason, actorId }
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const cancelPayment = async (payment, { reason, actorId } = {}) => {
+    if (!CANCELLABLE_STATUSES.includes(payment.status)) {
+        return notCancellable(payment);
+    }
+
+    const changeReason = reason || 'Cancelled by request';
+    const adapter = getGatewayForPayment(payment);
+
+    // Authorized payments release their hold; pending ones invalidate the checkout.
+    // Payments that never reached the gateway have nothing to invalidate.
+    let gatewayResult = { success: true, cancelled: false };
+    if (payment.status === 'AUTHORIZED') {
+        gatewayResult = await adapter.voidAuthorization(getGatewayReference(payment));
+    } else if (payment.gateway_response?.reference) {
+        gatewayResult = await adapter.cancel(getGatewayReference(payment));
+    }
+
+    if (!gatewayResult.success) {
+        return {
+            success: false,
+            error: {
+                code: 'GATEWAY_CANCEL_FAILED',
+                message: `Could not cancel the payment at ${adapter.name}`,
+                details: gatewayResult.error
+            }
+        };
+    }
+
+    // Cancelling is conditional on the status having stayed cancellable since it was read
+    const transition = await transitionPayment(payment.id, 'CANCELLED', {
+        reason: changeReason,
+        actor: actorId,
+        expectedStatus: CANCELLABLE_STATUSES
+    });
+
+    if (!transition?.applied) {
+        // Status changed (e.g. a webhook completed it) after it was read
+        return notCancellable(transition?.payment || payment);
+    }
+
+    const updated = transition.payment;
+
+    try {
+        await publishPaymentEvent('payment_cancelled', {
+            payment_id: updated.id,
+            orderId: updated.order_id,
+            userId: updated.user_id,
+            previousStatus: payment.status,
+            reason: changeReason,
+            cancelledBy: actorId || null,
+            gateway: adapter.name,
+            gatewayCancelled: gatewayResult.cancelled
+        });
+    } catch (eventError) {
+        console.warn('Failed to publish payment_cancelled event:', eventError.message);
+    }
+
+    return {
+        success: true,
+        data: {
+            ...updated,
+            previous_status: payment.status,
+            reason: changeReason,
+            gateway_cancelled: gatewayResult.cancelled
+        }
+    };
+};
+
+export default {
+    cancelPayment
+};
@@ -0,0 +1,210 @@
+/**
+ * Payment Capture Service
+ * Captures manual-capture payments held at AUTHORIZED (in full or in part) and voids
+ * authorizations that were not captured before authorization_expires_at.
+ * Status changes go through the payment state machine, which records their reason and actor.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { withAdvisoryLock } from '../db/advisoryLock.js';
+import { getGatewayForPayment, getGatewayReference } from '../gateways/index.js';
+import { getAmountStep } from '../config/currencies.js';
+import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
+import { cancelPayment } from './paymentCancellation.js';
+import { transitionPayment } from './paymentStateMachine.js';
+
+// Authorization configuration
+export const AUTHORIZATION_CONFIG = {
+    // Card holds typically last 7 days; void a little earlier so the gateway never expires them first
+    HOLD_HOURS: parseInt(process.env.AUTHORIZATION_HOLD_HOURS) || 144,
+    VOID_INTERVAL_MS: parseInt(process.env.AUTHORIZATION_VOID_INTERVAL_MS) || 900000, // 15 minutes
+    VOID_BATCH_SIZE: parseInt(process.env.AUTHORIZATION_VOID_BATCH_SIZE) || 100
+};
+
+// Advisory lock key so only one replica voids expired authorizations at a time
+const AUTHORIZATION_VOID_LOCK_KEY = 745003;
+
+let voidTimer = null;
+
+/**
+ * When an authorization placed now should be voided
+ */
+export const getAuthorizationExpiry = (now = new Date()) =>
+    new Date(now.getTime() + AUTHORIZATION_CONFIG.HOLD_HOURS * 60 * 60 * 1000);
+
+/**
+ * Capture an authorized payment
+ * @param {Object} payment - Payment row (id, user_id, order_id, amount, currency, status, gateway, gateway_response)
+ * @param {Object} options - { amount, actorId } where amount defaults to the full authorized amount
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const capturePayment = async (payment, { amount, actorId } = {}) => {
+    if (payment.status !== 'AUTHORIZED') {
+        return {
+            success: false,
+            error: {
+                code: 'PAYMENT_NOT_CAPTURABLE',
+                message: 'Only authorized payments can be captured',
+                details: {
+                    payment_id: payment.id,
+                    status: payment.status
+                }
+            }
+        };
+    }
+
+    const authorizedAmount = Number(payment.amount);
+    const captureAmount = amount ?? authorizedAmount;
+
+    const step = getAmountStep(payment.currency);
+    if (!Number.isInteger(captureAmount) || captureAmount <= 0 || captureAmount > authorizedAmount || captureAmount % step !== 0) {
+        return {
+            success: false,
+            error: {
+                code: 'INVALID_CAPTURE_AMOUNT',
+                message: 'Invalid capture amount',
+                details: `Capture amount must be a multiple of ${step} minor units greater than 0 and at most the authorized amount ${authorizedAmount}`
+            }
+        };
+    }
+
+    const adapter = getGatewayForPayment(payment);
+    const gatewayResult = await adapter.capture({
+        reference: getGatewayReference(payment),
+        amount: captureAmount
+    });
+
+    if (!gatewayResult.success) {
+        return {
+            success: false,
+            error: {
+                code: 'GATEWAY_CAPTURE_FAILED',
+                message: `Could not capture the payment at ${adapter.name}`,
+                details: gatewayResult.error
+            }
+        };
+    }
+
+    const changeReason = captureAmount < authorizedAmount
+        ? `Partially captured ${captureAmount} of ${authorizedAmount} ${payment.currency}`
+        : `Captured ${captureAmount} ${payment.currency}`;
+
+    const transition = await transitionPayment(payment.id, 'SUCCEEDED', {
+        reason: changeReason,
+        actor: actorId,
+        expectedStatus: 'AUTHORIZED',
+        gatewayResponse: { capture: gatewayResult.gatewayResponse || {} },
+        mergeGatewayResponse: true,
+        fields: { captured_amount: captureAmount }
+    });
+    const updated = transition?.applied ? transition.payment : null;
+
+    if (!updated) {
+        // The gateway captured the funds but the row moved on (e.g. a concurrent capture) - needs a look
+        console.error(`Payment ${payment.id} was captured at ${adapter.name} but is no longer AUTHORIZED locally`);
+        return {
+            success: false,
+            error: {
+                code: 'PAYMENT_NOT_CAPTURABLE',
+                message: 'Payment changed while it was being captured',
+                details: { payment_id: payment.id }
+            }
+        };
+    }
+
+    try {
+        await publishPaymentEvent('payment_captured', {
+            payment_id: updated.id,
+            orderId: updated.order_id,
+            userId: updated.user_id,
+            amount: authorizedAmount,
+            capturedAmount: captureAmount,
+            currency: updated.currency,
+            gateway: adapter.name,
+            capturedBy: actorId || null
+        });
+    } catch (eventError) {
+        console.warn('Failed to publish payment_captured event:', eventError.message);
+    }
+
+    return {
+        success: true,
+        data: updated
+    };
+};
+
+/**
+ * Void authorizations that passed authorization_expires_at without being captured.
+ * Holds an advisory lock so replicas do not void the same payments.
+ * @returns {Object} Run summary
+ */
+export const voidExpiredAuthorizations = async () => {
+    const summary = { outcome: 'completed', checked: 0, voided: 0, failed: 0 };
+
+    try {
+        const { acquired } = await withAdvisoryLock(AUTHORIZATION_VOID_LOCK_KEY, async () => {
+            const expiredResult = await dbPoolManager.executeRead(`
+                SELECT id, user_id, order_id, amount, currency, status, gateway, gateway_response, idempotency_key
+                FROM payments
+                WHERE status = 'AUTHORIZED'
+                  AND authorization_expires_at < NOW()
+                ORDER BY authorization_expires_at
+                LIMIT $1
+            `, [AUTHORIZATION_CONFIG.VOID_BATCH_SIZE]);
+
+            for (const payment of expiredResult.rows) {
+                summary.checked++;
+                const result = await cancelPayment(payment, {
+                    reason: 'Authorization expired without capture',
+                    actorId: 'system'
+                });
+
+                if (result.success) {
+                    summary.voided++;
+                } else {
+                    summary.failed++;
+                    console.warn(`Could not void expired authorization ${payment.id}: ${result.error.message}`);
+                }
+            }
+        });
+        if (!acquired) {
+            summary.outcome = 'skipped';
+        }
+    } catch (error) {
+        console.error('Expired authorization void run failed:', error.message);
+        summary.outcome = 'failed';
+    }
+
+    if (summary.checked > 0 || summary.outcome === 'failed') {
+        console.log('Expired authorization void run finished:', summary);
+    }
+
+    return summary;
+};
+
+/**
+ * Start voiding expired authorizations on this replica
+ */
+export const startAuthorizationVoider = () => {
+    if (voidTimer) return;
+
+    voidTimer = setInterval(voidExpiredAuthorizations, AUTHORIZATION_CONFIG.VOID_INTERVAL_MS);
+    console.log(`Expired authorization voids scheduled every ${AUTHORIZATION_CONFIG.VOID_INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop voiding expired authorizations
+ */
+export const stopAuthorizationVoider = () => {
+    if (voidTimer) {
+        clearInterval(voidTimer);
+        voidTimer = null;
+    }
+};
+
+export default {
+    capturePayment,
+    voidExpiredAuthorizations,
+    startAuthorizationVoider,
+    stopAuthorizationVoider
+};
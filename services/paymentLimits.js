@@ -0,0 +1,285 @@
+/**
+ * Payment Limits
+ * Per-currency amount limits, per-user daily and monthly velocity caps and per-merchant ceilings.
+ * Limits come from config/payment-limits.json with rows of the payment_limits table on top, and are
+ * reloaded on an interval (or on demand) so changes apply without a restart.
+ *
+ * Limits are kept as { currency: { [code]: entry }, user: { [id|'*']: { [code]: entry } }, merchant: ... }
+ * where an entry has any of min, max, daily and monthly in minor units of its currency.
+ * Velocity caps count the payer's payments in the same currency that have not failed or been cancelled,
+ * leaving out checkouts still PENDING after PENDING_HOLD_MINUTES. Checked inside the transaction that
+ * creates the payment, the payers are locked first so concurrent payments can't both fit under one cap.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import dbPoolManager from '../db/connectionPool.js';
+
+// Limits configuration
+export const LIMITS_CONFIG = {
+    FILE: process.env.PAYMENT_LIMITS_FILE || fileURLToPath(new URL('../config/payment-limits.json', import.meta.url)),
+    REFRESH_INTERVAL_MS: parseInt(process.env.PAYMENT_LIMITS_REFRESH_INTERVAL_MS) || 60000, // 1 minute
+    // Payments left PENDING this long are abandoned checkouts and stop counting toward daily and monthly caps
+    PENDING_HOLD_MINUTES: parseInt(process.env.PAYMENT_LIMITS_PENDING_HOLD_MINUTES) || 60
+};
+
+const DEFAULT_SUBJECT = '*';
+const LIMIT_FIELDS = ['min', 'max', 'daily', 'monthly'];
+
+let limits = null;
+let loading = null;
+let refreshTimer = null;
+
+const emptyLimits = () => ({ currency: {}, user: {}, merchant: {} });
+
+/**
+ * Keep only the limit fields that are positive whole numbers (min may be 0)
+ */
+const normalizeEntry = (entry = {}) => Object.fromEntries(
+    LIMIT_FIELDS
+        .filter(field => entry[field] !== null && entry[field] !== undefined)
+        .map(field => [field, Number(entry[field])])
+        .filter(([field, value]) => Number.isInteger(value) && (value > 0 || (field === 'min' && value === 0)))
+);
+
+/**
+ * Limits from the config file: { currencies, users, merchants }
+ */
+const readLimitsFile = async (path) => {
+    const file = JSON.parse(await fs.promises.readFile(path, 'utf8'));
+    const loaded = emptyLimits();
+
+    for (const [code, entry] of Object.entries(file.currencies || {})) {
+        loaded.currency[code] = normalizeEntry(entry);
+    }
+    for (const [scope, key] of [['user', 'users'], ['merchant', 'merchants']]) {
+        for (const [subject, currencies] of Object.entries(file[key] || {})) {
+            loaded[scope][subject] = {};
+            for (const [code, entry] of Object.entries(currencies || {})) {
+                loaded[scope][subject][code] = normalizeEntry(entry);
+            }
+        }
+    }
+
+    return loaded;
+};
+
+/**
+ * Lay payment_limits rows over the file limits; a row replaces the entry for its scope, subject and currency
+ */
+const applyLimitRows = (loaded, rows) => {
+    for (const row of rows) {
+        const entry = normalizeEntry({
+            min: row.min_amount,
+            max: row.max_amount,
+            daily: row.daily_amount,
+            monthly: row.monthly_amount
+        });
+
+        if (row.scope === 'currency') {
+            loaded.currency[row.currency] = entry;
+        } else {
+            loaded[row.scope][row.subject_id] = { ...loaded[row.scope][row.subject_id], [row.currency]: entry };
+        }
+    }
+    return loaded;
+};
+
+/**
+ * Read the limits file and table and swap them in. When either can't be read the current limits stay in place.
+ * @returns {Object} { currencies, users, merchants, rows } counts of what was loaded
+ */
+export const reloadLimits = async () => {
+    const fromFile = await readLimitsFile(LIMITS_CONFIG.FILE);
+    const result = await dbPoolManager.executeRead(`
+        SELECT scope, subject_id, currency, min_amount, max_amount, daily_amount, monthly_amount
+        FROM payment_limits
+        ORDER BY scope, subject_id, currency
+    `);
+
+    limits = applyLimitRows(fromFile, result.rows);
+
+    return {
+        currencies: Object.keys(limits.currency).length,
+        users: Object.keys(limits.user).length,
+        merchants: Object.keys(limits.merchant).length,
+        rows: result.rows.length
+    };
+};
+
+/**
+ * Limits currently in force, loading them on first use
+ */
+export const getLimits = async () => {
+    if (!limits) {
+        loading = loading || reloadLimits().finally(() => {
+            loading = null;
+        });
+        await loading;
+    }
+    return limits;
+};
+
+/**
+ * Entry for a subject in a currency: the subject's own limits over the scope default
+ */
+const resolveEntry = (scopeLimits, subject, currency) => ({
+    ...scopeLimits[DEFAULT_SUBJECT]?.[currency],
+    ...(subject ? scopeLimits[subject]?.[currency] : undefined)
+});
+
+const startOfUtcDay = (at) => new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate()));
+const startOfUtcMonth = (at) => new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), 1));
+const nextUtcDay = (at) => new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate() + 1));
+const nextUtcMonth = (at) => new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1, 1));
+
+/**
+ * Amount already paid today and this month by a user or to a merchant in one currency.
+ * Read through `client` when given, so the sums see the caller's transaction.
+ */
+const getUsage = async (column, subject, currency, at, client = null) => {
+    const query = `
+        SELECT COALESCE(SUM(amount) FILTER (WHERE created_at >= $3), 0) AS daily,
+               COALESCE(SUM(amount), 0) AS monthly
+        FROM payments
+        WHERE ${column} = $1
+          AND currency = $2
+          AND created_at >= $4
+          AND created_at < $5
+          AND status NOT IN ('FAILED', 'CANCELLED')
+          AND NOT (status = 'PENDING' AND created_at < $6)
+    `;
+    const abandonedBefore = new Date(at.getTime() - LIMITS_CONFIG.PENDING_HOLD_MINUTES * 60 * 1000);
+    const params = [subject, currency, startOfUtcDay(at), startOfUtcMonth(at), nextUtcMonth(at), abandonedBefore];
+
+    const result = client ? await client.query(query, params) : await dbPoolManager.executeRead(query, params);
+
+    const row = result.rows[0] || {};
+    return { daily: Number(row.daily || 0), monthly: Number(row.monthly || 0) };
+};
+
+const SCOPE_LABELS = { currency: 'Currency', user: 'User', merchant: 'Merchant' };
+
+const MESSAGES = {
+    min: 'Amount is below the payment limit',
+    max: 'Amount is above the payment limit',
+    daily: 'Daily payment limit reached',
+    monthly: 'Monthly payment limit reached'
+};
+
+/**
+ * Structured error for a limit that was hit; resetsAt is null for per-payment limits
+ */
+const limitExceeded = ({ scope, subject, type, currency, limit, used = null, resetsAt = null }) => {
+    const period = type === 'daily' || type === 'monthly' ? `${type} ` : '';
+    const usage = used !== null ? `; ${used} already used, resets at ${resetsAt.toISOString()}` : '';
+
+    return {
+        success: false,
+        error: {
+            code: 'PAYMENT_LIMIT_EXCEEDED',
+            message: MESSAGES[type],
+            details: `${SCOPE_LABELS[scope]} ${period}${type === 'min' ? 'minimum' : 'limit'} is ${limit} ${currency} minor units${usage}`,
+            limit: {
+                scope,
+                subjectId: subject || null,
+                type,
+                currency,
+                limit,
+                used,
+                resetsAt
+            }
+        }
+    };
+};
+
+/**
+ * Check a new payment against every limit that applies to it.
+ * Pass the client of the transaction that creates the payment to hold each capped payer's lock until
+ * it commits; without one the check is advisory and concurrent payments may both pass.
+ * @param {Object} payment - { userId, merchantId, amount, currency, at, client }
+ * @returns {Object} { success: true } or { success: false, error } with error.limit describing the limit hit
+ */
+export const checkPaymentLimits = async ({ userId, merchantId = null, amount, currency, at = new Date(), client = null }) => {
+    const current = await getLimits();
+    const currencyLimits = current.currency[currency] || {};
+
+    if (currencyLimits.min !== undefined && amount < currencyLimits.min) {
+        return limitExceeded({ scope: 'currency', type: 'min', currency, limit: currencyLimits.min });
+    }
+    if (currencyLimits.max !== undefined && amount > currencyLimits.max) {
+        return limitExceeded({ scope: 'currency', type: 'max', currency, limit: currencyLimits.max });
+    }
+
+    const payers = [
+        { scope: 'user', column: 'user_id', subject: userId },
+        { scope: 'merchant', column: 'merchant_id', subject: merchantId }
+    ]
+        .filter(payer => payer.subject)
+        .map(payer => ({ ...payer, entry: resolveEntry(current[payer.scope], payer.subject, currency) }));
+
+    for (const { scope, subject, entry } of payers) {
+        if (entry.max !== undefined && amount > entry.max) {
+            return limitExceeded({ scope, subject, type: 'max', currency, limit: entry.max });
+        }
+    }
+
+    const capped = payers.filter(({ entry }) => entry.daily !== undefined || entry.monthly !== undefined);
+
+    if (client) {
+        // Always user before merchant, so two transactions never wait on each other's locks
+        for (const { scope, subject } of capped) {
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`payment_limits:${scope}:${subject}`]);
+        }
+    }
+
+    for (const { scope, column, subject, entry } of capped) {
+        const used = await getUsage(column, subject, currency, at, client);
+
+        if (entry.daily !== undefined && used.daily + amount > entry.daily) {
+            return limitExceeded({ scope, subject, type: 'daily', currency, limit: entry.daily, used: used.daily, resetsAt: nextUtcDay(at) });
+        }
+        if (entry.monthly !== undefined && used.monthly + amount > entry.monthly) {
+            return limitExceeded({ scope, subject, type: 'monthly', currency, limit: entry.monthly, used: used.monthly, resetsAt: nextUtcMonth(at) });
+        }
+    }
+
+    return { success: true };
+};
+
+const runReload = async () => {
+    try {
+        await reloadLimits();
+    } catch (error) {
+        console.error('Payment limits reload failed:', error.message);
+    }
+};
+
+/**
+ * Load limits now and reload them on every interval
+ */
+export const startPaymentLimitsRefresh = () => {
+    if (refreshTimer) return;
+
+    runReload();
+    refreshTimer = setInterval(runReload, LIMITS_CONFIG.REFRESH_INTERVAL_MS);
+    console.log(`Payment limits reload scheduled every ${LIMITS_CONFIG.REFRESH_INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop reloading limits
+ */
+export const stopPaymentLimitsRefresh = () => {
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+};
+
+export default {
+    reloadLimits,
+    getLimits,
+    checkPaymentLimits,
+    startPaymentLimitsRefresh,
+    stopPaymentLimitsRefresh
+};
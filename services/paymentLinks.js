@@ -0,0 +1,584 @@
+/**
+ * Payment Links Service
+ * Shareable links with a fixed amount, currency, description and order details. Opening a link
+ * only shows what will be paid, so link previews and crawlers can't use it up; confirming it creates
+ * a payment owned by the link's creator, runs it through the payment limits and risk checks and
+ * initializes it with the gateway, whose checkout URL the customer is sent to.
+ * A single-use link is used up once one of its payments has not failed or been cancelled. While that
+ * payment is still PENDING the customer is sent back to its checkout page.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import dbPoolManager from '../db/connectionPool.js';
+import { formatAmount, validateAmount } from '../config/currencies.js';
+import { renderTemplate } from '../utils/templates.js';
+import { processPayment } from './paymentProcessor.js';
+import { checkPaymentLimits } from './paymentLimits.js';
+import { assessPayment, RISK_DECISIONS } from './riskEngine.js';
+import { getSettlementFields } from './fxRates.js';
+import { transitionPayment } from './paymentStateMachine.js';
+import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
+
+// Payment link configuration
+export const PAYMENT_LINK_CONFIG = {
+    BASE_URL: process.env.BASE_URL || 'http://localhost:8888',
+    DEFAULT_EXPIRY_HOURS: parseInt(process.env.PAYMENT_LINK_DEFAULT_EXPIRY_HOURS) || 168, // 7 days
+    MAX_EXPIRY_DAYS: parseInt(process.env.PAYMENT_LINK_MAX_EXPIRY_DAYS) || 90,
+    // A PENDING payment still without a checkout page after this long never reached the customer
+    ABANDONED_PENDING_MINUTES: parseInt(process.env.PAYMENT_LINK_ABANDONED_PENDING_MINUTES) || 15,
+    CHECKOUT_TEMPLATE: process.env.PAYMENT_LINK_CHECKOUT_TEMPLATE || fileURLToPath(new URL('../templates/payment-link.html', import.meta.url))
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Payments in these statuses don't use up a single-use link
+const RELEASED_LINK_STATUSES = ['FAILED', 'CANCELLED'];
+
+const LINK_COLUMNS = `id, slug, created_by, merchant_id, amount, currency, description, order_metadata,
+    customer_email, single_use, expires_at, is_active, deactivated_by, deactivated_at, view_count,
+    last_viewed_at, created_at, updated_at`;
+
+const validationError = (message, details) => ({
+    success: false,
+    error: {
+        code: 'VALIDATION_ERROR',
+        message,
+        details
+    }
+});
+
+const linkNotFound = (slug) => ({
+    success: false,
+    error: {
+        code: 'PAYMENT_LINK_NOT_FOUND',
+        message: 'Payment link not found',
+        details: `No payment link ${slug}`
+    }
+});
+
+const linkUnavailable = (code, message) => ({
+    success: false,
+    error: {
+        code,
+        message,
+        details: 'Ask the seller for a new payment link'
+    }
+});
+
+/**
+ * Public URL customers open to pay
+ */
+export const getPaymentLinkUrl = (slug) => `${PAYMENT_LINK_CONFIG.BASE_URL.replace(/\/$/, '')}/pay/${slug}`;
+
+/**
+ * What a customer sees before confirming a payment: no seller or order details beyond the description
+ */
+export const formatLinkCheckout = (row) => ({
+    slug: row.slug,
+    url: getPaymentLinkUrl(row.slug),
+    amount: row.amount,
+    currency: row.currency,
+    description: row.description,
+    emailRequired: !row.customer_email,
+    expiresAt: row.expires_at
+});
+
+let checkoutTemplate = null;
+
+/**
+ * Confirmation page for a link, whose form POSTs back to the link to create the payment
+ * @param {Object} row - payment_links row
+ * @param {Object} options - { email } to prefill when the link has no customer email
+ * @returns {Promise<string>} HTML
+ */
+export const renderLinkCheckout = async (row, { email = null } = {}) => {
+    checkoutTemplate ??= await fs.promises.readFile(PAYMENT_LINK_CONFIG.CHECKOUT_TEMPLATE, 'utf8');
+
+    return renderTemplate(checkoutTemplate, {
+        amount: formatAmount(row.amount, row.currency),
+        description: row.description,
+        expiresAt: row.expires_at ? new Date(row.expires_at).toISOString().slice(0, 10) : null,
+        emailRequired: !row.customer_email,
+        email
+    });
+};
+
+/**
+ * Usage stats of a link from its payments
+ */
+const formatStats = (row, stats = {}) => ({
+    views: row.view_count,
+    lastViewedAt: row.last_viewed_at || null,
+    payments: Number(stats.payments || 0),
+    succeeded: Number(stats.succeeded || 0),
+    collectedAmount: Number(stats.collected_amount || 0),
+    lastPaidAt: stats.last_paid_at || null
+});
+
+/**
+ * Format a link for API responses
+ * @param {Object} row - payment_links row
+ * @param {Object} stats - Aggregates from getPaymentLinkStats, when loaded
+ */
+export const formatPaymentLink = (row, stats) => ({
+    id: row.id,
+    slug: row.slug,
+    url: getPaymentLinkUrl(row.slug),
+    amount: row.amount,
+    currency: row.currency,
+    description: row.description,
+    order: row.order_metadata,
+    customerEmail: row.customer_email,
+    merchantId: row.merchant_id,
+    singleUse: row.single_use,
+    expiresAt: row.expires_at,
+    isActive: row.is_active,
+    createdBy: row.created_by,
+    deactivatedBy: row.deactivated_by,
+    deactivatedAt: row.deactivated_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(stats ? { stats: formatStats(row, stats) } : {})
+});
+
+/**
+ * Create a payment link
+ * @param {Object} params - { createdBy, amount, currency, description, order, customerEmail, singleUse, expiresAt, merchantId }
+ * @returns {Object} { success, data } with the payment_links row, or { success: false, error }
+ */
+export const createPaymentLink = async ({
+    createdBy,
+    amount,
+    currency,
+    description = null,
+    order = {},
+    customerEmail = null,
+    singleUse = false,
+    expiresAt,
+    merchantId = null
+}) => {
+    const amountCheck = validateAmount(amount, currency);
+    if (!amountCheck.success) {
+        return { success: false, error: { ...amountCheck.error, code: 'VALIDATION_ERROR' } };
+    }
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+        return validationError('Invalid description', `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (order === null || typeof order !== 'object' || Array.isArray(order)) {
+        return validationError('Invalid order metadata', 'order must be an object');
+    }
+    if (customerEmail !== null && (typeof customerEmail !== 'string' || !EMAIL_PATTERN.test(customerEmail))) {
+        return validationError('Invalid customer email', 'customerEmail must be an email address');
+    }
+    if (typeof singleUse !== 'boolean') {
+        return validationError('Invalid singleUse', 'singleUse must be a boolean');
+    }
+    if (merchantId !== null && (typeof merchantId !== 'string' || !merchantId || merchantId.length > 100)) {
+        return validationError('Invalid merchant ID', 'merchantId must be a non-empty string of at most 100 characters');
+    }
+
+    const now = Date.now();
+    const expiry = expiresAt === undefined
+        ? new Date(now + PAYMENT_LINK_CONFIG.DEFAULT_EXPIRY_HOURS * 60 * 60 * 1000)
+        : new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry.getTime() <= now) {
+        return validationError('Invalid expiry', 'expiresAt must be a date in the future');
+    }
+    if (expiry.getTime() - now > PAYMENT_LINK_CONFIG.MAX_EXPIRY_DAYS * 24 * 60 * 60 * 1000) {
+        return validationError('Invalid expiry', `A link can stay open for at most ${PAYMENT_LINK_CONFIG.MAX_EXPIRY_DAYS} days`);
+    }
+
+    const result = await dbPoolManager.executeWrite(`
+        INSERT INTO payment_links (
+            slug, created_by, merchant_id, amount, currency, description, order_metadata,
+            customer_email, single_use, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING ${LINK_COLUMNS}
+    `, [
+        crypto.randomBytes(12).toString('base64url'),
+        createdBy,
+        merchantId,
+        amount,
+        currency,
+        description,
+        JSON.stringify(order),
+        customerEmail,
+        singleUse,
+        expiry
+    ]);
+
+    return { success: true, data: result.rows[0] };
+};
+
+/**
+ * Links created by a user, newest first
+ * @param {Object} options - { createdBy, limit, offset }
+ */
+export const listPaymentLinks = async ({ createdBy, limit, offset }) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT ${LINK_COLUMNS}
+        FROM payment_links
+        WHERE created_by = $1
+        ORDER BY created_at DESC
+        LIMIT $2 OFFSET $3
+    `, [createdBy, limit, offset]);
+
+    return result.rows;
+};
+
+/**
+ * @returns {Object|null} payment_links row
+ */
+export const getPaymentLink = async (linkId) => {
+    const result = await dbPoolManager.executeRead(
+        `SELECT ${LINK_COLUMNS} FROM payment_links WHERE id = $1`,
+        [linkId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Payments made through a link: how many, how many succeeded, and the amount collected
+ */
+export const getPaymentLinkStats = async (linkId) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT COUNT(*) AS payments,
+               COUNT(*) FILTER (WHERE status IN ('SUCCEEDED', 'PARTIALLY_REFUNDED', 'REFUNDED')) AS succeeded,
+               COALESCE(SUM(COALESCE(captured_amount, amount))
+                   FILTER (WHERE status IN ('SUCCEEDED', 'PARTIALLY_REFUNDED', 'REFUNDED')), 0) AS collected_amount,
+               MAX(updated_at) FILTER (WHERE status IN ('SUCCEEDED', 'PARTIALLY_REFUNDED', 'REFUNDED')) AS last_paid_at
+        FROM payments
+        WHERE payment_link_id = $1
+    `, [linkId]);
+
+    return result.rows[0] || {};
+};
+
+/**
+ * Stop a link from accepting payments; payments already made are unaffected
+ * @returns {Object} { success, data } with the updated row, or { success: false, error }
+ */
+export const deactivatePaymentLink = async (linkId, { actorId }) => {
+    const result = await dbPoolManager.executeWrite(`
+        UPDATE payment_links
+        SET is_active = false, deactivated_by = $2, deactivated_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND is_active
+        RETURNING ${LINK_COLUMNS}
+    `, [linkId, actorId]);
+
+    if (result.rows.length === 0) {
+        return {
+            success: false,
+            error: {
+                code: 'PAYMENT_LINK_INACTIVE',
+                message: 'Payment link is already inactive',
+                details: `Payment link ${linkId} was deactivated before`
+            }
+        };
+    }
+
+    return { success: true, data: result.rows[0] };
+};
+
+// Latest payment of a link that has not failed or been cancelled, the one that uses up a single-use link.
+// `abandoned` flags a PENDING payment that never got a checkout page (initialization was interrupted, or
+// it was approved in review but not sent to the gateway) and no longer holds the link.
+const LINK_PAYMENT_QUERY = `
+    SELECT id, status, gateway_response->>'authorization_url' AS authorization_url,
+           (status = 'PENDING' AND gateway_response->>'authorization_url' IS NULL
+            AND updated_at < NOW() - make_interval(mins => $3)) AS abandoned
+    FROM payments
+    WHERE payment_link_id = $1 AND status <> ALL($2::payment_status[])
+    ORDER BY created_at DESC
+    LIMIT 1
+`;
+
+const linkPaymentParams = (link) => [link.id, RELEASED_LINK_STATUSES, PAYMENT_LINK_CONFIG.ABANDONED_PENDING_MINUTES];
+
+/**
+ * The checkout a customer can go back to: a PENDING payment the gateway gave a checkout page for
+ * @returns {Object|null} { paymentId, status, authorizationUrl }
+ */
+const pendingCheckout = (linkPayment) => (
+    linkPayment?.status === 'PENDING' && linkPayment.authorization_url
+        ? { paymentId: linkPayment.id, status: linkPayment.status, authorizationUrl: linkPayment.authorization_url }
+        : null
+);
+
+/**
+ * Check a link can still be paid, given the payment that used it (single-use links only)
+ * @returns {Object|null} The failure to return, or null when the link can be paid
+ */
+const checkLinkOpen = (link, linkPayment) => {
+    if (!link.is_active) {
+        return linkUnavailable('PAYMENT_LINK_INACTIVE', 'This payment link has been deactivated');
+    }
+    if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+        return linkUnavailable('PAYMENT_LINK_EXPIRED', 'This payment link has expired');
+    }
+    if (linkPayment && !linkPayment.abandoned && !pendingCheckout(linkPayment)) {
+        return linkUnavailable('PAYMENT_LINK_USED', 'This payment link has already been used');
+    }
+    return null;
+};
+
+/**
+ * Open a link: count the visit and check it can still be paid. Nothing is charged or created.
+ * @param {string} slug - Link slug
+ * @returns {Object} { success, data: { link, pendingCheckout } } or { success: false, error }, where
+ *   pendingCheckout is the checkout of a single-use link's PENDING payment to send the customer back to
+ */
+export const openPaymentLink = async (slug) => {
+    const result = await dbPoolManager.executeWrite(`
+        UPDATE payment_links
+        SET view_count = view_count + 1, last_viewed_at = NOW()
+        WHERE slug = $1
+        RETURNING ${LINK_COLUMNS}
+    `, [slug]);
+    const link = result.rows[0];
+
+    if (!link) {
+        return linkNotFound(slug);
+    }
+
+    const linkPayment = link.single_use
+        ? (await dbPoolManager.executeRead(LINK_PAYMENT_QUERY, linkPaymentParams(link))).rows[0]
+        : null;
+
+    const unavailable = checkLinkOpen(link, linkPayment);
+    if (unavailable) {
+        return unavailable;
+    }
+
+    return { success: true, data: { link, pendingCheckout: pendingCheckout(linkPayment) } };
+};
+
+/**
+ * Check the link still accepts payments and create its payment, under a lock on the link so a
+ * single-use link can't be paid twice
+ */
+const createLinkPayment = async (slug, email) =>
+    dbPoolManager.executeTransaction(async (client) => {
+        const linkResult = await client.query(
+            `SELECT ${LINK_COLUMNS} FROM payment_links WHERE slug = $1 FOR UPDATE`,
+            [slug]
+        );
+        const link = linkResult.rows[0];
+
+        if (!link) {
+            return linkNotFound(slug);
+        }
+
+        const linkPayment = link.single_use
+            ? (await client.query(LINK_PAYMENT_QUERY, linkPaymentParams(link))).rows[0]
+            : null;
+
+        const unavailable = checkLinkOpen(link, linkPayment);
+        if (unavailable) {
+            return unavailable;
+        }
+        if (linkPayment?.abandoned) {
+            // Fail it so the link's history shows why a second payment was created
+            const released = await transitionPayment(linkPayment.id, 'FAILED', {
+                client,
+                reason: 'Abandoned before reaching checkout; payment link reopened',
+                actor: 'payment-link',
+                expectedStatus: 'PENDING'
+            });
+            if (!released?.applied) {
+                return linkUnavailable('PAYMENT_LINK_USED', 'This payment link has already been used');
+            }
+        } else if (linkPayment) {
+            return { success: true, data: { pendingCheckout: pendingCheckout(linkPayment) } };
+        }
+
+        const customerEmail = link.customer_email || email;
+        if (!customerEmail || !EMAIL_PATTERN.test(customerEmail)) {
+            return validationError('Email required', 'Open the link with ?email=<your email address>');
+        }
+
+        const limitCheck = await checkPaymentLimits({
+            userId: null,
+            merchantId: link.merchant_id,
+            amount: link.amount,
+            currency: link.currency,
+            client
+        });
+        if (!limitCheck.success) {
+            return limitCheck;
+        }
+
+        const orderId = link.order_metadata?.id || `link_${link.slug}`;
+        const idempotencyKey = `link_${link.id}_${crypto.randomUUID()}`;
+        const metadata = {
+            order: link.order_metadata,
+            description: link.description,
+            payment_link_id: link.id,
+            source: 'payment_link'
+        };
+
+        const paymentResult = await client.query(
+            'SELECT * FROM create_payment_with_history($1, $2, $3, $4, $5, $6, $7, $8)',
+            [link.created_by, orderId, link.amount, link.currency, JSON.stringify({}), idempotencyKey, false, JSON.stringify(metadata)]
+        );
+        const payment = paymentResult.rows[0];
+
+        if (!payment?.success) {
+            throw new Error(payment?.error_message || 'Failed to create payment');
+        }
+
+        await client.query(
+            'UPDATE payments SET payment_link_id = $2, merchant_id = $3 WHERE id = $1',
+            [payment.payment_id, link.id, link.merchant_id]
+        );
+
+        return {
+            success: true,
+            data: { link, paymentId: payment.payment_id, orderId, idempotencyKey, customerEmail, metadata }
+        };
+    });
+
+/**
+ * Pay through a link: create the payment and initialize it with the gateway.
+ * @param {string} slug - Link slug
+ * @param {Object} customer - { email, ip } where email is used when the link has no customer email
+ * @returns {Object} { success, data: { paymentId, status, authorizationUrl } } or { success: false, error }.
+ *   A payment held for risk review succeeds with status UNDER_REVIEW and no authorizationUrl. A single-use
+ *   link whose payment is still PENDING returns that payment instead of creating another.
+ */
+export const payWithLink = async (slug, { email, ip } = {}) => {
+    const created = await createLinkPayment(slug, email);
+    if (!created.success) {
+        return created;
+    }
+    if (created.data.pendingCheckout) {
+        return { success: true, data: created.data.pendingCheckout };
+    }
+
+    const { link, paymentId, orderId, idempotencyKey, customerEmail, metadata } = created.data;
+    const gatewayMetadata = {
+        ...metadata,
+        payment_id: paymentId,
+        order_id: orderId,
+        user: { email: customerEmail }
+    };
+
+    const risk = await assessPayment({
+        paymentId,
+        userId: null,
+        email: customerEmail,
+        ip,
+        orderId,
+        amount: link.amount,
+        currency: link.currency,
+        metadata: { order: link.order_metadata }
+    }, {
+        gateway: null,
+        captureMethod: 'automatic',
+        paymentMethodId: null,
+        merchantId: link.merchant_id,
+        metadata: gatewayMetadata
+    });
+
+    if (risk.decision === RISK_DECISIONS.DENY) {
+        await transitionPayment(paymentId, 'FAILED', {
+            reason: `Declined by risk checks (score ${risk.score})`,
+            actor: 'risk-engine'
+        });
+        return {
+            success: false,
+            error: {
+                code: 'PAYMENT_DECLINED',
+                message: 'Payment declined',
+                details: 'The payment did not pass risk checks'
+            }
+        };
+    }
+
+    if (risk.decision === RISK_DECISIONS.REVIEW) {
+        await transitionPayment(paymentId, 'UNDER_REVIEW', {
+            reason: `Held for risk review (score ${risk.score})`,
+            actor: 'risk-engine'
+        });
+        return { success: true, data: { paymentId, status: 'UNDER_REVIEW', authorizationUrl: null } };
+    }
+
+    const gatewayResult = await processPayment({
+        userId: link.created_by,
+        orderId,
+        amount: link.amount,
+        currency: link.currency,
+        metadata: gatewayMetadata,
+        idempotencyKey,
+        captureMethod: 'automatic'
+    });
+
+    if (!gatewayResult.success) {
+        await transitionPayment(paymentId, 'FAILED', {
+            reason: gatewayResult.error?.message || 'Gateway initialization failed',
+            actor: 'payment-link',
+            gatewayResponse: gatewayResult.error
+        });
+        return {
+            success: false,
+            error: {
+                code: 'PAYMENT_PROCESSING_FAILED',
+                message: 'Payment could not be started',
+                details: gatewayResult.error
+            }
+        };
+    }
+
+    const settlement = await getSettlementFields(link.amount, link.currency);
+    await transitionPayment(paymentId, gatewayResult.status, {
+        reason: `Payment initialized with ${gatewayResult.gateway} from payment link`,
+        actor: 'payment-link',
+        gatewayResponse: gatewayResult.gatewayResponse,
+        fields: {
+            gateway: gatewayResult.gateway,
+            capture_method: 'automatic',
+            ...settlement
+        }
+    });
+
+    try {
+        await publishPaymentEvent('payment_processed', {
+            payment_id: paymentId,
+            orderId,
+            userId: link.created_by,
+            amount: link.amount,
+            status: gatewayResult.status,
+            gateway: gatewayResult.gateway,
+            correlationId: idempotencyKey,
+            source: 'payment_link'
+        });
+    } catch (eventError) {
+        console.warn('Failed to publish payment event:', eventError.message);
+    }
+
+    return {
+        success: true,
+        data: {
+            paymentId,
+            status: gatewayResult.status,
+            authorizationUrl: gatewayResult.gatewayResponse?.authorization_url || null
+        }
+    };
+};
+
+export default {
+    getPaymentLinkUrl,
+    formatPaymentLink,
+    formatLinkCheckout,
+    renderLinkCheckout,
+    createPaymentLink,
+    listPaymentLinks,
+    getPaymentLink,
+    getPaymentLinkStats,
+    deactivatePaymentLink,
+    openPaymentLink,
+    payWithLink
+};
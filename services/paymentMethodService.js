@@ -0,0 +1,393 @@
+/**
+ * Saved Payment Methods Service
+ * Saves the reusable gateway authorization behind a successful payment to user_payment_methods,
+ * manages each user's default method and loads saved methods for charging without a redirect.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { getGateway, getGatewayForPayment, getGatewayReference } from '../gateways/index.js';
+import { encryptJson, decryptJson, isEnvelope, getKeyVersion } from '../utils/envelopeEncryption.js';
+import { getKeyProvider } from '../utils/keyProviders.js';
+
+export const KEY_ROTATION_CONFIG = {
+    BATCH_SIZE: parseInt(process.env.ENCRYPTION_ROTATION_BATCH_SIZE) || 100
+};
+
+// Payment statuses whose gateway authorization can be saved
+const SAVEABLE_PAYMENT_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+const PAYMENT_METHOD_COLUMNS = `upm.id, upm.user_id, pmt.code AS type, upm.gateway, upm.brand, upm.last4,
+    upm.exp_month, upm.exp_year, upm.is_default, upm.is_active, upm.created_at, upm.updated_at`;
+
+/**
+ * Encrypt gateway details for details_encrypted, bound to the owning user so a row copied to
+ * another user cannot be decrypted
+ * @returns {Object} { detailsEncrypted, keyVersion }
+ */
+const sealDetails = async (userId, details) => {
+    const detailsEncrypted = await encryptJson(details, { aad: `user_payment_methods:${userId}` });
+    return { detailsEncrypted, keyVersion: getKeyVersion(detailsEncrypted) };
+};
+
+/**
+ * Decrypt details_encrypted. Rows saved before encryption hold plain JSON until key rotation encrypts them.
+ */
+const openDetails = async (userId, detailsEncrypted) => {
+    if (!isEnvelope(detailsEncrypted)) {
+        return JSON.parse(detailsEncrypted);
+    }
+    return await decryptJson(detailsEncrypted, { aad: `user_payment_methods:${userId}` });
+};
+
+const notFound = (paymentMethodId) => ({
+    success: false,
+    error: {
+        code: 'PAYMENT_METHOD_NOT_FOUND',
+        message: 'Payment method not found',
+        details: `No payment method found with ID: ${paymentMethodId}`
+    }
+});
+
+/**
+ * Shape a user_payment_methods row for API responses (details never leave the service)
+ */
+export const formatPaymentMethod = (row) => ({
+    id: row.id,
+    type: row.type,
+    gateway: row.gateway,
+    brand: row.brand,
+    last4: row.last4,
+    expMonth: row.exp_month,
+    expYear: row.exp_year,
+    isDefault: row.is_default,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+/**
+ * List a user's saved payment methods, default first
+ */
+export const listPaymentMethods = async (userId, { includeInactive = false } = {}) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT ${PAYMENT_METHOD_COLUMNS}
+        FROM user_payment_methods upm
+        JOIN payment_method_types pmt ON pmt.id = upm.payment_method_type_id
+        WHERE upm.user_id = $1 AND ($2 OR upm.is_active)
+        ORDER BY upm.is_default DESC, upm.created_at DESC
+    `, [userId, includeInactive]);
+
+    return result.rows;
+};
+
+/**
+ * Save the reusable authorization behind one of the user's successful payments.
+ * Saving the same card twice returns the existing method; the first method becomes the default.
+ * @param {Object} options - { userId, paymentId }
+ * @returns {Object} { success, data: { paymentMethod, created } } or { success: false, error }
+ */
+export const addPaymentMethodFromPayment = async ({ userId, paymentId }) => {
+    const paymentResult = await dbPoolManager.executeRead(`
+        SELECT id, user_id, status, gateway, gateway_response, idempotency_key
+        FROM payments
+        WHERE id = $1
+    `, [paymentId]);
+
+    const payment = paymentResult.rows[0];
+
+    // Other users' payments are reported as missing rather than forbidden
+    if (!payment || payment.user_id !== userId) {
+        return {
+            success: false,
+            error: {
+                code: 'PAYMENT_NOT_FOUND',
+                message: 'Payment not found',
+                details: `No payment found with ID: ${paymentId}`
+            }
+        };
+    }
+
+    if (!SAVEABLE_PAYMENT_STATUSES.includes(payment.status)) {
+        return {
+            success: false,
+            error: {
+                code: 'PAYMENT_METHOD_NOT_REUSABLE',
+                message: 'Only successful payments can be saved as payment methods',
+                details: `Payment status: ${payment.status}`
+            }
+        };
+    }
+
+    const adapter = getGatewayForPayment(payment);
+    if (!adapter.supports('savedPaymentMethods')) {
+        return {
+            success: false,
+            error: {
+                code: 'SAVED_PAYMENT_METHODS_NOT_SUPPORTED',
+                message: 'Saved payment methods not supported',
+                details: `Gateway ${adapter.name} cannot save payment methods`
+            }
+        };
+    }
+
+    const gatewayResult = await adapter.getReusableAuthorization(getGatewayReference(payment));
+    if (!gatewayResult.success) {
+        return gatewayResult;
+    }
+
+    const { authorization } = gatewayResult;
+    const { detailsEncrypted, keyVersion } = await sealDetails(userId, authorization.details);
+
+    return await dbPoolManager.executeTransaction(async (client) => {
+        // Serialize concurrent saves for the same user so a card is saved once and only one becomes the default
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`payment_methods:${userId}`]);
+
+        const existingResult = await client.query(`
+            SELECT ${PAYMENT_METHOD_COLUMNS}
+            FROM user_payment_methods upm
+            JOIN payment_method_types pmt ON pmt.id = upm.payment_method_type_id
+            WHERE upm.user_id = $1 AND upm.gateway = $2 AND upm.fingerprint = $3 AND upm.is_active
+        `, [userId, adapter.name, authorization.fingerprint]);
+
+        if (existingResult.rows.length > 0) {
+            return { success: true, data: { paymentMethod: existingResult.rows[0], created: false } };
+        }
+
+        const typeResult = await client.query(
+            'SELECT id FROM payment_method_types WHERE code = $1 AND is_active',
+            [authorization.type]
+        );
+        if (typeResult.rows.length === 0) {
+            throw new Error(`Payment method type ${authorization.type} is not configured`);
+        }
+
+        const defaultResult = await client.query(
+            'SELECT 1 FROM user_payment_methods WHERE user_id = $1 AND is_default AND is_active',
+            [userId]
+        );
+
+        const insertResult = await client.query(`
+            INSERT INTO user_payment_methods (
+                user_id, payment_method_type_id, gateway, brand, last4, exp_month, exp_year,
+                fingerprint, details_encrypted, details_key_version, is_default
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            RETURNING id
+        `, [
+            userId,
+            typeResult.rows[0].id,
+            adapter.name,
+            authorization.brand,
+            authorization.last4,
+            authorization.expMonth,
+            authorization.expYear,
+            authorization.fingerprint,
+            detailsEncrypted,
+            keyVersion,
+            defaultResult.rows.length === 0
+        ]);
+
+        const paymentMethodId = insertResult.rows[0].id;
+
+        await client.query(
+            'UPDATE payments SET payment_method_id = $2 WHERE id = $1 AND payment_method_id IS NULL',
+            [paymentId, paymentMethodId]
+        );
+
+        const savedResult = await client.query(`
+            SELECT ${PAYMENT_METHOD_COLUMNS}
+            FROM user_payment_methods upm
+            JOIN payment_method_types pmt ON pmt.id = upm.payment_method_type_id
+            WHERE upm.id = $1
+        `, [paymentMethodId]);
+
+        return { success: true, data: { paymentMethod: savedResult.rows[0], created: true } };
+    });
+};
+
+/**
+ * Make one of the user's active payment methods the default
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const setDefaultPaymentMethod = async (userId, paymentMethodId) => {
+    return await dbPoolManager.executeTransaction(async (client) => {
+        const methodResult = await client.query(
+            'SELECT id, is_active FROM user_payment_methods WHERE id = $1 AND user_id = $2 FOR UPDATE',
+            [paymentMethodId, userId]
+        );
+        const method = methodResult.rows[0];
+
+        if (!method) {
+            return notFound(paymentMethodId);
+        }
+
+        if (!method.is_active) {
+            return {
+                success: false,
+                error: {
+                    code: 'PAYMENT_METHOD_INACTIVE',
+                    message: 'Payment method has been removed',
+                    details: 'Deactivated payment methods cannot be made the default'
+                }
+            };
+        }
+
+        await client.query(
+            'UPDATE user_payment_methods SET is_default = false WHERE user_id = $1 AND is_default AND id <> $2',
+            [userId, paymentMethodId]
+        );
+        await client.query(
+            'UPDATE user_payment_methods SET is_default = true WHERE id = $1',
+            [paymentMethodId]
+        );
+
+        const result = await client.query(`
+            SELECT ${PAYMENT_METHOD_COLUMNS}
+            FROM user_payment_methods upm
+            JOIN payment_method_types pmt ON pmt.id = upm.payment_method_type_id
+            WHERE upm.id = $1
+        `, [paymentMethodId]);
+
+        return { success: true, data: result.rows[0] };
+    });
+};
+
+/**
+ * Deactivate a saved payment method. Rows are kept because payments reference them.
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const deactivatePaymentMethod = async (userId, paymentMethodId) => {
+    const result = await dbPoolManager.executeWrite(`
+        UPDATE user_payment_methods
+        SET is_active = false, is_default = false
+        WHERE id = $1 AND user_id = $2
+        RETURNING id, is_active, updated_at
+    `, [paymentMethodId, userId]);
+
+    if (result.rows.length === 0) {
+        return notFound(paymentMethodId);
+    }
+
+    return { success: true, data: result.rows[0] };
+};
+
+/**
+ * Load a saved payment method for charging
+ * @returns {Object} { success, data: { id, gateway, authorizationCode, email } } or { success: false, error }
+ */
+export const getChargeablePaymentMethod = async (userId, paymentMethodId) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT id, gateway, details_encrypted, is_active
+        FROM user_payment_methods
+        WHERE id = $1 AND user_id = $2
+    `, [paymentMethodId, userId]);
+
+    const method = result.rows[0];
+
+    if (!method) {
+        return notFound(paymentMethodId);
+    }
+
+    if (!method.is_active) {
+        return {
+            success: false,
+            error: {
+                code: 'PAYMENT_METHOD_INACTIVE',
+                message: 'Payment method has been removed',
+                details: 'Deactivated payment methods cannot be charged'
+            }
+        };
+    }
+
+    if (!getGateway(method.gateway).supports('savedPaymentMethods')) {
+        return {
+            success: false,
+            error: {
+                code: 'SAVED_PAYMENT_METHODS_NOT_SUPPORTED',
+                message: 'Saved payment methods not supported',
+                details: `Gateway ${method.gateway} cannot charge saved payment methods`
+            }
+        };
+    }
+
+    const details = await openDetails(userId, method.details_encrypted);
+
+    return {
+        success: true,
+        data: {
+            id: method.id,
+            gateway: method.gateway,
+            authorizationCode: details.authorization_code,
+            email: details.email
+        }
+    };
+};
+
+/**
+ * Re-encrypt saved payment method details under the current key version, one batch per transaction.
+ * Rows saved before encryption are encrypted; rows that cannot be decrypted are counted and left alone.
+ * @param {Object} options - { batchSize, dryRun } where dryRun only counts the rows to rotate
+ * @returns {Object} { keyVersion, pending, rotated, failed }
+ */
+export const rotatePaymentMethodKeys = async ({ batchSize = KEY_ROTATION_CONFIG.BATCH_SIZE, dryRun = false } = {}) => {
+    const keyVersion = getKeyProvider().currentKeyVersion();
+
+    const pendingResult = await dbPoolManager.executeRead(
+        'SELECT COUNT(*)::int AS count FROM user_payment_methods WHERE details_key_version IS DISTINCT FROM $1',
+        [keyVersion]
+    );
+    const summary = { keyVersion, pending: pendingResult.rows[0].count, rotated: 0, failed: 0 };
+
+    if (dryRun) {
+        return summary;
+    }
+
+    // Walk by id so rows that fail are not picked up again by the next batch
+    let lastId = '00000000-0000-0000-0000-000000000000';
+    let batchCount;
+
+    do {
+        batchCount = await dbPoolManager.executeTransaction(async (client) => {
+            const batchResult = await client.query(`
+                SELECT id, user_id, details_encrypted
+                FROM user_payment_methods
+                WHERE details_key_version IS DISTINCT FROM $1 AND id > $2
+                ORDER BY id
+                LIMIT $3
+                FOR UPDATE SKIP LOCKED
+            `, [keyVersion, lastId, batchSize]);
+
+            for (const row of batchResult.rows) {
+                lastId = row.id;
+
+                let sealed;
+                try {
+                    sealed = await sealDetails(row.user_id, await openDetails(row.user_id, row.details_encrypted));
+                } catch (error) {
+                    console.error(`Failed to re-encrypt payment method ${row.id}:`, error.message);
+                    summary.failed++;
+                    continue;
+                }
+
+                await client.query(
+                    'UPDATE user_payment_methods SET details_encrypted = $2, details_key_version = $3 WHERE id = $1',
+                    [row.id, sealed.detailsEncrypted, sealed.keyVersion]
+                );
+                summary.rotated++;
+            }
+
+            return batchResult.rows.length;
+        });
+    } while (batchCount === batchSize);
+
+    return summary;
+};
+
+export default {
+    formatPaymentMethod,
+    listPaymentMethods,
+    addPaymentMethodFromPayment,
+    setDefaultPaymentMethod,
+    deactivatePaymentMethod,
+    getChargeablePaymentMethod,
+    rotatePaymentMethodKeys
+};
@@ -1,21 +1,14 @@
 /**
  * Payment Processor Service
- * Orchestrates payment processing with Paystack
+ * Orchestrates payment processing through the gateway adapter registry
  */
 
-import { 
-    initializePayment, 
-    verifyPayment, 
-    getLatestPaymentStatus,
-    processRefund as paystackRefund, 
-    verifyWebhook as paystackVerifyWebhook,
-    handleWebhook as paystackHandleWebhook,
-    getSupportedPaymentMethods,
-    getSupportedCurrencies
-} from '../gateways/paystack.js';
+import { selectGateway, getGateway, hasGateway, DEFAULT_GATEWAY } from '../gateways/index.js';
+import { validateAmount } from '../config/currencies.js';
 
 /**
- * Process payment using Paystack
+ * Process payment using the selected gateway.
+ * With paymentData.paymentMethod ({ authorizationCode, email }) the saved method is charged without a redirect.
  */
 export const processPayment = async (paymentData) => {
     try {
@@ -25,7 +18,10 @@ export const processPayment = async (paymentData) => {
             amount, 
             currency, 
             metadata = {},
-            idempotencyKey 
+            idempotencyKey,
+            gateway: requestedGateway,
+            captureMethod = 'automatic',
+            paymentMethod = null
         } = paymentData;
 
         // Validate required fields
@@ -40,36 +36,23 @@ export const processPayment = async (paymentData) => {
             };
         }
 
-        // Validate amount
-        if (amount < 1) {
-            return {
-                success: false,
-                error: {
-                    code: 'INVALID_AMOUNT',
-                    message: 'Amount must be at least 1',
-                    details: `Amount ${amount} is below minimum`
-                }
-            };
+        // Amount is in minor units and must be within the currency's charge limits
+        const amountCheck = validateAmount(amount, currency);
+        if (!amountCheck.success) {
+            return amountCheck;
         }
 
-        // Validate currency
-        const supportedCurrencies = getSupportedCurrencies();
-        const currencySupported = supportedCurrencies.some(c => c.code === currency);
-        if (!currencySupported) {
-            return {
-                success: false,
-                error: {
-                    code: 'INVALID_CURRENCY',
-                    message: 'Currency not supported',
-                    details: `Currency ${currency} is not supported`
-                }
-            };
+        // Pick the gateway (also validates currency support)
+        const selection = selectGateway({ gateway: requestedGateway, currency, captureMethod });
+        if (!selection.success) {
+            return selection;
         }
+        const gateway = selection.gateway;
 
-        // Generate reference for Paystack
+        // Generate reference for the gateway
         const reference = idempotencyKey || `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-        // Prepare customer data for Paystack
+        // Prepare customer data for the gateway
         const customerData = metadata.user ? {
             first_name: metadata.user.first_name || metadata.user.name?.split(' ')[0] || 'Customer',
             last_name: metadata.user.last_name || metadata.user.name?.split(' ').slice(1).join(' ') || '',
@@ -93,8 +76,8 @@ export const processPayment = async (paymentData) => {
             }
         };
 
-        // Prepare payment data for Paystack
-        const paystackPaymentData = {
+        // Prepare payment data for the gateway
+        const gatewayPaymentData = {
             amount: amount,
             currency: currency,
             email: customerData.email,
@@ -106,11 +89,34 @@ export const processPayment = async (paymentData) => {
                 payment_id: metadata.payment_id,
                 ...metadata
             },
-            callback_url: `${process.env.BASE_URL || 'http://localhost:8888'}/payments/return`
+            callback_url: `${process.env.BASE_URL || 'http://localhost:8888'}/payments/return`,
+            captureMethod
         };
 
-        // Initialize payment with Paystack
-        const result = await initializePayment(paystackPaymentData);
+        // A saved payment method is charged directly; otherwise the customer is sent through checkout
+        let result;
+        if (paymentMethod) {
+            if (!gateway.supports('savedPaymentMethods')) {
+                return {
+                    success: false,
+                    error: {
+                        code: 'SAVED_PAYMENT_METHODS_NOT_SUPPORTED',
+                        message: 'Saved payment methods not supported',
+                        details: `Gateway ${gateway.name} cannot charge saved payment methods`
+                    }
+                };
+            }
+            result = await gateway.chargeAuthorization({
+                authorizationCode: paymentMethod.authorizationCode,
+                email: paymentMethod.email || customerData.email,
+                amount,
+                currency,
+                reference,
+                metadata: gatewayPaymentData.metadata
+            });
+        } else {
+            result = await gateway.initialize(gatewayPaymentData);
+        }
 
         if (!result.success) {
             // Handle duplicate reference error specially
@@ -133,7 +139,8 @@ export const processPayment = async (paymentData) => {
             success: true,
             transactionId: result.transactionId,
             status: result.status,
-            gateway: 'paystack',
+            gateway: gateway.name,
+            captureMethod,
             gatewayResponse: result.gatewayResponse
         };
 
@@ -153,9 +160,9 @@ export const processPayment = async (paymentData) => {
 /**
  * Verify payment status
  */
-export const queryPaymentStatus = async (transactionId) => {
+export const queryPaymentStatus = async (transactionId, gateway = DEFAULT_GATEWAY) => {
     try {
-        const result = await verifyPayment(transactionId);
+        const result = await getGateway(gateway).verify(transactionId);
         return result;
     } catch (error) {
         return {
@@ -170,14 +177,14 @@ export const queryPaymentStatus = async (transactionId) => {
 };
 
 /**
- * Sync payment status with Paystack
- * This function retrieves the latest status from Paystack and updates the database
+ * Sync payment status with the gateway that processed the payment
+ * This function retrieves the latest status from the gateway so the caller can update the database
  */
-export const syncPaymentStatusWithPaystack = async (reference, currentStatus) => {
+export const syncPaymentStatusWithGateway = async (reference, currentStatus, gateway = DEFAULT_GATEWAY) => {
     try {
         // Skip sync if payment is already in a final state
         if (['SUCCEEDED', 'FAILED', 'REFUNDED'].includes(currentStatus)) {
-            console.log(`Skipping Paystack sync for payment ${reference} - already in final state: ${currentStatus}`);
+            console.log(`Skipping ${gateway} sync for payment ${reference} - already in final state: ${currentStatus}`);
             return {
                 success: true,
                 skipped: true,
@@ -186,16 +193,16 @@ export const syncPaymentStatusWithPaystack = async (reference, currentStatus) =>
             };
         }
 
-        console.log(`Syncing payment status with Paystack for reference: ${reference}`);
+        console.log(`Syncing payment status with ${gateway} for reference: ${reference}`);
         
-        const result = await getLatestPaymentStatus(reference);
+        const result = await getGateway(gateway).getLatestStatus(reference);
         
         if (!result.success) {
             console.error(`Failed to sync payment status: ${result.error.message}`);
             return result;
         }
 
-        console.log(`Payment ${reference} synced with Paystack - Status: ${result.status}`);
+        console.log(`Payment ${reference} synced with ${gateway} - Status: ${result.status}`);
         
         return {
             success: true,
@@ -219,13 +226,21 @@ export const syncPaymentStatusWithPaystack = async (reference, currentStatus) =>
 };
 
 /**
- * Process refund using Paystack
+ * Sync payment status with Paystack
+ * Kept for callers that predate the gateway registry
+ */
+export const syncPaymentStatusWithPaystack = (reference, currentStatus) => {
+    return syncPaymentStatusWithGateway(reference, currentStatus, 'paystack');
+};
+
+/**
+ * Process refund using the gateway that processed the payment
  */
 export const processRefundForGateway = async (refundData) => {
     try {
-        const { transactionId, amount, reason } = refundData;
+        const { transactionId, amount, reason, gateway = DEFAULT_GATEWAY } = refundData;
 
-        const result = await paystackRefund({
+        const result = await getGateway(gateway).refund({
             transactionId,
             amount,
             reason
@@ -249,12 +264,10 @@ export const processRefundForGateway = async (refundData) => {
  */
 export const verifyWebhookSignature = (payload, signature, gateway) => {
     try {
-        switch (gateway) {
-            case 'paystack':
-                return paystackVerifyWebhook(payload, signature);
-            default:
-                return false;
+        if (!hasGateway(gateway)) {
+            return false;
         }
+        return getGateway(gateway).verifyWebhook(payload, signature);
     } catch (error) {
         console.error('Webhook verification error:', error);
         return false;
@@ -266,19 +279,17 @@ export const verifyWebhookSignature = (payload, signature, gateway) => {
  */
 export const handleWebhookEvent = async (event, gateway) => {
     try {
-        switch (gateway) {
-            case 'paystack':
-                return await paystackHandleWebhook(event);
-            default:
-                return {
-                    success: false,
-                    error: {
-                        code: 'UNKNOWN_GATEWAY',
-                        message: `Unknown gateway: ${gateway}`,
-                        type: 'webhook_error'
-                    }
-                };
+        if (!hasGateway(gateway)) {
+            return {
+                success: false,
+                error: {
+                    code: 'UNKNOWN_GATEWAY',
+                    message: `Unknown gateway: ${gateway}`,
+                    type: 'webhook_error'
+                }
+            };
         }
+        return await getGateway(gateway).handleWebhook(event);
     } catch (error) {
         return {
             success: false,
@@ -298,7 +309,7 @@ export const createPaymentMethodForGateway = async (paymentMethodData) => {
     try {
         const { type, gateway, ...details } = paymentMethodData;
 
-        // For Paystack, we don't need to create payment methods upfront
+        // Gateways create payment methods during payment initialization
         // They are created during payment initialization
         return {
             success: true,
@@ -324,13 +335,13 @@ export const createPaymentMethodForGateway = async (paymentMethodData) => {
 /**
  * Get supported payment methods
  */
-export const getSupportedPaymentMethodsForGateway = () => {
-    return getSupportedPaymentMethods();
+export const getSupportedPaymentMethodsForGateway = (gateway = DEFAULT_GATEWAY) => {
+    return getGateway(gateway).getSupportedPaymentMethods();
 };
 
 /**
  * Get supported currencies
  */
-export const getSupportedCurrenciesForGateway = () => {
-    return getSupportedCurrencies();
+export const getSupportedCurrenciesForGateway = (gateway = DEFAULT_GATEWAY) => {
+    return getGateway(gateway).getSupportedCurrencies();
 };
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * Stale Payment Reconciler
+ * Periodically re-checks PENDING/AUTHORIZED payments whose webhook never arrived.
+ * Status changes go through the same path as webhooks (applyPaymentStatusChange) so payment_history
+ * and payment_updated events stay consistent; payments still open past the expiry cutoff are CANCELLED.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { withAdvisoryLock } from '../db/advisoryLock.js';
+import { getGatewayForPayment, getGatewayReference } from '../gateways/index.js';
+import { applyPaymentStatusChange } from './webhookInbox.js';
+import { recordReconciliationRun } from '../src/metrics.js';
+
+// Reconciler configuration
+export const RECONCILER_CONFIG = {
+    INTERVAL_MS: parseInt(process.env.RECONCILER_INTERVAL_MS) || 300000, // 5 minutes
+    MIN_AGE_MINUTES: parseInt(process.env.RECONCILER_MIN_AGE_MINUTES) || 15,
+    EXPIRY_MINUTES: parseInt(process.env.RECONCILER_EXPIRY_MINUTES) || 1440, // 24 hours
+    BATCH_SIZE: parseInt(process.env.RECONCILER_BATCH_SIZE) || 100
+};
+
+// Advisory lock key so only one replica reconciles at a time
+const RECONCILER_LOCK_KEY = 745001;
+
+let reconcilerTimer = null;
+
+/**
+ * Whether the gateway still considers the payment open (not completed by the customer).
+ * Paystack reports such transactions as "abandoned", which maps to FAILED, but they can still be paid.
+ */
+const isStillOpen = (statusResult) =>
+    statusResult.status === 'PENDING' || statusResult.gatewayResponse?.status === 'abandoned';
+
+/**
+ * Reconcile a single stale payment
+ * @returns {string} Result bucket: updated, unchanged, cancelled or error
+ */
+export const reconcilePayment = async (payment, now = new Date()) => {
+    try {
+        const gateway = getGatewayForPayment(payment);
+        const statusResult = await gateway.getLatestStatus(getGatewayReference(payment));
+
+        if (!statusResult.success) {
+            console.warn(`Reconciler could not fetch status for payment ${payment.id}: ${statusResult.error?.message}`);
+            return 'error';
+        }
+
+        const ageMinutes = (now - new Date(payment.created_at)) / 60000;
+
+        if (isStillOpen(statusResult)) {
+            if (ageMinutes < RECONCILER_CONFIG.EXPIRY_MINUTES) {
+                return 'unchanged';
+            }
+
+            const cancelled = await applyPaymentStatusChange(payment.id, 'CANCELLED', null, {
+                source: 'reconciler',
+                expectedStatus: payment.status,
+                reason: `Still ${payment.status} at the gateway after ${RECONCILER_CONFIG.EXPIRY_MINUTES} minutes`
+            });
+            return cancelled ? 'cancelled' : 'unchanged';
+        }
+
+        if (statusResult.status === payment.status) {
+            return 'unchanged';
+        }
+
+        const updated = await applyPaymentStatusChange(payment.id, statusResult.status, statusResult.gatewayResponse, {
+            source: 'reconciler',
+            expectedStatus: payment.status
+        });
+        return updated ? 'updated' : 'unchanged';
+    } catch (error) {
+        console.error(`Reconciler failed for payment ${payment.id}:`, error.message);
+        return 'error';
+    }
+};
+
+/**
+ * Run one reconciliation pass.
+ * Holds an advisory lock for the duration so replicas do not reconcile concurrently.
+ * @returns {Object} Run summary (also recorded as Prometheus metrics)
+ */
+export const reconcileStalePayments = async () => {
+    const startTime = Date.now();
+    const summary = {
+        outcome: 'completed',
+        checked: 0,
+        updated: 0,
+        unchanged: 0,
+        cancelled: 0,
+        error: 0
+    };
+
+    try {
+        const { acquired } = await withAdvisoryLock(RECONCILER_LOCK_KEY, async () => {
+            const staleQuery = `
+                SELECT id, gateway, status, gateway_response, idempotency_key, created_at
+                FROM payments
+                WHERE status IN ('PENDING', 'AUTHORIZED')
+                  AND NOT (status = 'AUTHORIZED' AND capture_method = 'manual') -- held until captured or voided
+                  AND created_at < NOW() - make_interval(mins => $1)
+                ORDER BY created_at
+                LIMIT $2
+            `;
+
+            const staleResult = await dbPoolManager.executeRead(staleQuery, [
+                RECONCILER_CONFIG.MIN_AGE_MINUTES,
+                RECONCILER_CONFIG.BATCH_SIZE
+            ]);
+
+            for (const payment of staleResult.rows) {
+                const result = await reconcilePayment(payment);
+                summary.checked++;
+                summary[result]++;
+            }
+        });
+        if (!acquired) {
+            summary.outcome = 'skipped';
+        }
+    } catch (error) {
+        console.error('Payment reconciliation run failed:', error.message);
+        summary.outcome = 'failed';
+    }
+
+    summary.durationSeconds = (Date.now() - startTime) / 1000;
+    recordReconciliationRun(summary);
+
+    if (summary.outcome !== 'skipped') {
+        console.log('Payment reconciliation run finished:', summary);
+    }
+
+    return summary;
+};
+
+/**
+ * Start the scheduled reconciler on this replica
+ */
+export const startPaymentReconciler = () => {
+    if (reconcilerTimer) return;
+
+    reconcilerTimer = setInterval(reconcileStalePayments, RECONCILER_CONFIG.INTERVAL_MS);
+    console.log(`Payment reconciler scheduled every ${RECONCILER_CONFIG.INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop the scheduled reconciler
+ */
+export const stopPaymentReconciler = () => {
+    if (reconcilerTimer) {
+        clearInterval(reconcilerTimer);
+        reconcilerTimer = null;
+    }
+};
+
+export default {
+    reconcilePayment,
+    reconcileStalePayments,
+    startPaymentReconciler,
+    stopPaymentReconciler
+};
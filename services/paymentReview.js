@@ -0,0 +1,270 @@
+/**
+ * Payment Review Service
+ * Payments the risk engine holds for review wait in UNDER_REVIEW without reaching the gateway.
+ * Approving one sends it to the gateway with the request stored at assessment time; rejecting
+ * one fails it. Either way the decision, reviewer and note are kept on the risk assessment.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { processPayment } from './paymentProcessor.js';
+import { getChargeablePaymentMethod } from './paymentMethodService.js';
+import { getAuthorizationExpiry } from './paymentCapture.js';
+import { getSettlementFields } from './fxRates.js';
+import { transitionPayment } from './paymentStateMachine.js';
+import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
+
+const reviewNotFound = (paymentId) => ({
+    success: false,
+    error: {
+        code: 'REVIEW_NOT_FOUND',
+        message: 'No pending review for this payment',
+        details: `Payment ${paymentId} is not waiting for a risk review`
+    }
+});
+
+/**
+ * Format a review for API responses
+ */
+export const formatReview = (row) => ({
+    paymentId: row.payment_id,
+    userId: row.user_id,
+    orderId: row.order_id,
+    amount: row.amount,
+    currency: row.currency,
+    merchantId: row.merchant_id || null,
+    paymentStatus: row.payment_status,
+    score: row.score,
+    decision: row.decision,
+    signals: row.signals,
+    clientIp: row.client_ip,
+    email: row.email,
+    reviewStatus: row.review_status,
+    reviewedBy: row.reviewed_by || null,
+    reviewedAt: row.reviewed_at || null,
+    reviewNote: row.review_note || null,
+    createdAt: row.created_at
+});
+
+/**
+ * Reviews waiting for a decision, oldest first
+ * @param {Object} options - { limit, offset }
+ */
+export const listPendingReviews = async ({ limit, offset }) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT a.payment_id, a.user_id, a.client_ip, a.email, a.score, a.decision, a.signals,
+               a.review_status, a.reviewed_by, a.reviewed_at, a.review_note, a.created_at,
+               p.order_id, p.amount, p.currency, p.merchant_id, p.status AS payment_status
+        FROM payment_risk_assessments a
+        JOIN payments p ON p.id = a.payment_id
+        WHERE a.review_status = 'PENDING'
+        ORDER BY a.created_at ASC
+        LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    return result.rows;
+};
+
+/**
+ * Record the review decision and move the payment out of UNDER_REVIEW in one transaction
+ * @returns {Object} { success, data: { gatewayRequest, payment } } or { success: false, error }
+ */
+const decideReview = async (paymentId, { outcome, toStatus, reason, actorId, note }) =>
+    dbPoolManager.executeTransaction(async (client) => {
+        const reviewResult = await client.query(`
+            SELECT payment_id, gateway_request
+            FROM payment_risk_assessments
+            WHERE payment_id = $1 AND review_status = 'PENDING'
+            FOR UPDATE
+        `, [paymentId]);
+
+        if (reviewResult.rows.length === 0) {
+            return reviewNotFound(paymentId);
+        }
+
+        const transition = await transitionPayment(paymentId, toStatus, {
+            client,
+            reason,
+            actor: actorId,
+            expectedStatus: 'UNDER_REVIEW'
+        });
+
+        if (!transition?.applied) {
+            return {
+                success: false,
+                error: {
+                    code: 'PAYMENT_NOT_UNDER_REVIEW',
+                    message: 'Payment is no longer under review',
+                    details: `Payment ${paymentId} is ${transition?.previousStatus || 'missing'}`
+                }
+            };
+        }
+
+        await client.query(`
+            UPDATE payment_risk_assessments
+            SET review_status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4
+            WHERE payment_id = $1
+        `, [paymentId, outcome, actorId, note || null]);
+
+        return {
+            success: true,
+            data: { gatewayRequest: reviewResult.rows[0].gateway_request || {}, payment: transition.payment }
+        };
+    });
+
+/**
+ * Send an approved payment to the gateway, as POST /payments would have
+ */
+const initializeApprovedPayment = async (payment, gatewayRequest, actorId) => {
+    let savedPaymentMethod = null;
+    if (gatewayRequest.paymentMethodId) {
+        const methodResult = await getChargeablePaymentMethod(payment.user_id, gatewayRequest.paymentMethodId);
+        if (!methodResult.success) {
+            return { success: false, error: methodResult.error };
+        }
+        savedPaymentMethod = methodResult.data;
+    }
+
+    const captureMethod = gatewayRequest.captureMethod || 'automatic';
+    const gatewayResult = await processPayment({
+        userId: payment.user_id,
+        orderId: payment.order_id,
+        amount: payment.amount,
+        currency: payment.currency,
+        metadata: gatewayRequest.metadata || {},
+        idempotencyKey: payment.idempotency_key,
+        gateway: savedPaymentMethod ? savedPaymentMethod.gateway : gatewayRequest.gateway,
+        captureMethod,
+        paymentMethod: savedPaymentMethod
+    });
+
+    if (!gatewayResult.success) {
+        return gatewayResult;
+    }
+
+    const settlement = await getSettlementFields(payment.amount, payment.currency);
+    const transition = await transitionPayment(payment.id, gatewayResult.status, {
+        reason: `Payment initialized with ${gatewayResult.gateway} after risk review`,
+        actor: actorId,
+        expectedStatus: 'PENDING',
+        gatewayResponse: gatewayResult.gatewayResponse,
+        fields: {
+            gateway: gatewayResult.gateway,
+            capture_method: captureMethod,
+            authorization_expires_at: captureMethod === 'manual' ? getAuthorizationExpiry() : null,
+            payment_method_id: savedPaymentMethod?.id || null,
+            merchant_id: gatewayRequest.merchantId || null,
+            ...settlement
+        }
+    });
+
+    return { ...gatewayResult, payment: transition?.payment || payment };
+};
+
+/**
+ * Approve a held payment and send it to the gateway. A gateway failure fails the payment.
+ * @param {string} paymentId - Payment ID
+ * @param {Object} options - { actorId, note }
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const approvePaymentReview = async (paymentId, { actorId, note } = {}) => {
+    const decided = await decideReview(paymentId, {
+        outcome: 'APPROVED',
+        toStatus: 'PENDING',
+        reason: note ? `Approved in risk review: ${note}` : 'Approved in risk review',
+        actorId,
+        note
+    });
+
+    if (!decided.success) {
+        return decided;
+    }
+
+    const { payment, gatewayRequest } = decided.data;
+    const result = await initializeApprovedPayment(payment, gatewayRequest, actorId);
+
+    if (!result.success) {
+        await transitionPayment(payment.id, 'FAILED', {
+            reason: result.error?.message || 'Gateway initialization failed after risk review',
+            actor: actorId,
+            expectedStatus: 'PENDING',
+            gatewayResponse: result.error
+        });
+
+        return {
+            success: true,
+            data: { paymentId: payment.id, reviewStatus: 'APPROVED', status: 'FAILED', error: result.error }
+        };
+    }
+
+    try {
+        await publishPaymentEvent('payment_processed', {
+            payment_id: payment.id,
+            orderId: payment.order_id,
+            userId: payment.user_id,
+            amount: payment.amount,
+            status: result.status,
+            gateway: result.gateway,
+            correlationId: payment.idempotency_key,
+            source: 'risk_review'
+        });
+    } catch (eventError) {
+        console.warn('Failed to publish payment event:', eventError.message);
+    }
+
+    return {
+        success: true,
+        data: {
+            paymentId: payment.id,
+            reviewStatus: 'APPROVED',
+            status: result.status,
+            gateway: result.gateway,
+            gatewayResponse: result.gatewayResponse
+        }
+    };
+};
+
+/**
+ * Reject a held payment; it fails without ever reaching the gateway
+ * @param {string} paymentId - Payment ID
+ * @param {Object} options - { actorId, note }
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const rejectPaymentReview = async (paymentId, { actorId, note } = {}) => {
+    const decided = await decideReview(paymentId, {
+        outcome: 'REJECTED',
+        toStatus: 'FAILED',
+        reason: note ? `Rejected in risk review: ${note}` : 'Rejected in risk review',
+        actorId,
+        note
+    });
+
+    if (!decided.success) {
+        return decided;
+    }
+
+    const { payment } = decided.data;
+
+    try {
+        await publishPaymentEvent('payment_updated', {
+            payment_id: payment.id,
+            orderId: payment.order_id,
+            userId: payment.user_id,
+            status: 'FAILED',
+            source: 'risk_review'
+        });
+    } catch (eventError) {
+        console.warn('Failed to publish payment event:', eventError.message);
+    }
+
+    return {
+        success: true,
+        data: { paymentId: payment.id, reviewStatus: 'REJECTED', status: payment.status }
+    };
+};
+
+export default {
+    formatReview,
+    listPendingReviews,
+    approvePaymentReview,
+    rejectPaymentReview
+};
@@ -0,0 +1,226 @@
+/**
+ * Payment State Machine
+ * The one place that decides which payment and refund status changes are allowed, and the one
+ * place that writes them. Payment transitions lock the row, check the move, tag the transaction
+ * with the actor and reason for the payment history trigger and then update the row.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+
+// Allowed payment transitions; statuses without outgoing transitions are terminal
+export const PAYMENT_TRANSITIONS = Object.freeze({
+    PENDING: ['UNDER_REVIEW', 'AUTHORIZED', 'SUCCEEDED', 'FAILED', 'CANCELLED'],
+    // Held by the risk engine; approval sends it back to PENDING for the gateway, rejection fails it
+    UNDER_REVIEW: ['PENDING', 'FAILED', 'CANCELLED'],
+    AUTHORIZED: ['SUCCEEDED', 'FAILED', 'CANCELLED'],
+    SUCCEEDED: ['PARTIALLY_REFUNDED', 'REFUNDED'],
+    PARTIALLY_REFUNDED: ['REFUNDED'],
+    FAILED: [],
+    CANCELLED: [],
+    REFUNDED: []
+});
+
+// Allowed refund transitions
+export const REFUND_TRANSITIONS = Object.freeze({
+    PENDING: ['SUCCEEDED', 'FAILED'],
+    SUCCEEDED: [],
+    FAILED: []
+});
+
+export const PAYMENT_STATUSES = Object.keys(PAYMENT_TRANSITIONS);
+export const REFUND_STATUSES = Object.keys(REFUND_TRANSITIONS);
+
+// Payment columns that may be written together with a status change
+const PAYMENT_TRANSITION_FIELDS = [
+    'gateway',
+    'capture_method',
+    'authorization_expires_at',
+    'captured_amount',
+    'payment_method_id',
+    'merchant_id',
+    'settlement_amount',
+    'settlement_currency',
+    'fx_rate',
+    'fx_rate_effective_at'
+];
+
+const PAYMENT_COLUMNS = `id, user_id, order_id, amount, captured_amount, currency, status, gateway,
+    gateway_response, idempotency_key, payment_method_id, capture_method, authorization_expires_at,
+    created_at, updated_at`;
+
+/**
+ * Raised when a payment or refund is asked to make a status change the state machine does not allow
+ */
+export class InvalidStateTransitionError extends Error {
+    constructor(entity, fromStatus, toStatus) {
+        super(`Illegal ${entity} status transition from ${fromStatus} to ${toStatus}`);
+        this.name = 'InvalidStateTransitionError';
+        this.code = 'INVALID_STATE_TRANSITION';
+        this.entity = entity;
+        this.fromStatus = fromStatus;
+        this.toStatus = toStatus;
+    }
+}
+
+/**
+ * Whether a status change is allowed. Re-applying the current status is not a transition and
+ * is always allowed, so duplicate gateway notifications stay harmless.
+ */
+const isAllowed = (transitions, fromStatus, toStatus) =>
+    fromStatus === toStatus || (transitions[fromStatus] || []).includes(toStatus);
+
+export const canTransitionPayment = (fromStatus, toStatus) =>
+    PAYMENT_STATUSES.includes(toStatus) && isAllowed(PAYMENT_TRANSITIONS, fromStatus, toStatus);
+
+export const canTransitionRefund = (fromStatus, toStatus) =>
+    REFUND_STATUSES.includes(toStatus) && isAllowed(REFUND_TRANSITIONS, fromStatus, toStatus);
+
+/**
+ * @throws {InvalidStateTransitionError}
+ */
+export const assertPaymentTransition = (fromStatus, toStatus) => {
+    if (!canTransitionPayment(fromStatus, toStatus)) {
+        throw new InvalidStateTransitionError('payment', fromStatus, toStatus);
+    }
+};
+
+/**
+ * @throws {InvalidStateTransitionError}
+ */
+export const assertRefundTransition = (fromStatus, toStatus) => {
+    if (!canTransitionRefund(fromStatus, toStatus)) {
+        throw new InvalidStateTransitionError('refund', fromStatus, toStatus);
+    }
+};
+
+const toExpectedStatuses = (expectedStatus) =>
+    (expectedStatus ? [].concat(expectedStatus) : null);
+
+const applyPaymentTransition = async (client, paymentId, toStatus, options) => {
+    const {
+        reason,
+        actor = 'system',
+        expectedStatus,
+        gatewayResponse,
+        mergeGatewayResponse = false,
+        fields = {}
+    } = options;
+
+    const currentResult = await client.query(
+        'SELECT id, status FROM payments WHERE id = $1 FOR UPDATE',
+        [paymentId]
+    );
+    const current = currentResult.rows[0];
+
+    if (!current) {
+        return null;
+    }
+
+    const expectedStatuses = toExpectedStatuses(expectedStatus);
+    if (expectedStatuses && !expectedStatuses.includes(current.status)) {
+        return { applied: false, previousStatus: current.status, payment: current };
+    }
+
+    assertPaymentTransition(current.status, toStatus);
+
+    // Picked up by the payment history trigger for this transaction only
+    await client.query(
+        "SELECT set_config('payment.change_reason', $1, true), set_config('payment.changed_by', $2, true)",
+        [reason || '', actor || '']
+    );
+
+    const params = [paymentId, toStatus, gatewayResponse ? JSON.stringify(gatewayResponse) : null];
+    const assignments = [
+        'status = $2',
+        mergeGatewayResponse
+            ? "gateway_response = gateway_response || COALESCE($3::jsonb, '{}'::jsonb)"
+            : 'gateway_response = COALESCE($3::jsonb, gateway_response)'
+    ];
+
+    for (const [column, value] of Object.entries(fields)) {
+        if (!PAYMENT_TRANSITION_FIELDS.includes(column)) {
+            throw new Error(`Column ${column} cannot be written with a payment status change`);
+        }
+        params.push(value);
+        assignments.push(`${column} = $${params.length}`);
+    }
+
+    const updateResult = await client.query(`
+        UPDATE payments
+        SET ${assignments.join(', ')}, updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${PAYMENT_COLUMNS}
+    `, params);
+
+    return { applied: true, previousStatus: current.status, payment: updateResult.rows[0] };
+};
+
+/**
+ * Move a payment to a new status.
+ * @param {string} paymentId - Payment ID
+ * @param {string} toStatus - Target status
+ * @param {Object} options - { reason, actor, expectedStatus, gatewayResponse, mergeGatewayResponse, fields, client }
+ *   expectedStatus (status or list) leaves the payment untouched when it has since moved on;
+ *   gatewayResponse replaces the stored response unless mergeGatewayResponse is set;
+ *   fields are extra columns written with the change; client joins an open transaction.
+ * @returns {Object|null} { applied, previousStatus, payment } or null when the payment does not exist
+ * @throws {InvalidStateTransitionError} When the change is not allowed from the current status
+ */
+export const transitionPayment = async (paymentId, toStatus, options = {}) => {
+    const { client, ...transitionOptions } = options;
+
+    if (client) {
+        return await applyPaymentTransition(client, paymentId, toStatus, transitionOptions);
+    }
+    return await dbPoolManager.executeTransaction((transactionClient) =>
+        applyPaymentTransition(transactionClient, paymentId, toStatus, transitionOptions)
+    );
+};
+
+/**
+ * Move a refund to a new status.
+ * @param {string} refundId - Refund ID
+ * @param {string} toStatus - Target status
+ * @param {Object} options - { gatewayResponse, client }
+ * @returns {Object|null} { applied, previousStatus, refund } or null when the refund does not exist
+ * @throws {InvalidStateTransitionError} When the change is not allowed from the current status
+ */
+export const transitionRefund = async (refundId, toStatus, options = {}) => {
+    const { client, gatewayResponse } = options;
+
+    const apply = async (transactionClient) => {
+        const currentResult = await transactionClient.query(
+            'SELECT id, status FROM refunds WHERE id = $1 FOR UPDATE',
+            [refundId]
+        );
+        const current = currentResult.rows[0];
+
+        if (!current) {
+            return null;
+        }
+
+        assertRefundTransition(current.status, toStatus);
+
+        const updateResult = await transactionClient.query(`
+            UPDATE refunds
+            SET status = $2, gateway_response = COALESCE($3::jsonb, gateway_response), updated_at = NOW()
+            WHERE id = $1
+            RETURNING id, payment_id, amount, currency, status, gateway_response, updated_at
+        `, [refundId, toStatus, gatewayResponse ? JSON.stringify(gatewayResponse) : null]);
+
+        return { applied: true, previousStatus: current.status, refund: updateResult.rows[0] };
+    };
+
+    return client ? await apply(client) : await dbPoolManager.executeTransaction(apply);
+};
+
+export default {
+    PAYMENT_TRANSITIONS,
+    REFUND_TRANSITIONS,
+    canTransitionPayment,
+    canTransitionRefund,
+    assertPaymentTransition,
+    assertRefundTransition,
+    transitionPayment,
+    transitionRefund
+};
@@ -0,0 +1,173 @@
+/**
+ * Rate Limit Store
+ * Sliding window counters for inbound rate limits, shared across replicas through Redis
+ * (cache/redisClient.js). While Redis is down or slow each replica counts in its own memory,
+ * so limits stay on but are enforced per replica. See middleware/rateLimit.js.
+ */
+
+import { redisClient } from '../cache/redisClient.js';
+
+// Rate limit store configuration
+export const RATE_LIMIT_STORE_CONFIG = {
+    KEY_PREFIX: process.env.RATE_LIMIT_KEY_PREFIX || 'rate_limit',
+    // Requests are not held up by Redis for longer than this; the memory store answers instead
+    REDIS_TIMEOUT_MS: parseInt(process.env.RATE_LIMIT_REDIS_TIMEOUT_MS) || 100,
+    MEMORY_MAX_KEYS: parseInt(process.env.RATE_LIMIT_MEMORY_MAX_KEYS) || 100000,
+    MEMORY_SWEEP_INTERVAL_MS: 60000
+};
+
+// Counts a hit in the current window unless the weighted count of this and the previous window is at the limit.
+// Returns { allowed, current window count, previous window count }.
+const SLIDING_WINDOW_SCRIPT = `
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local previous = tonumber(redis.call('GET', KEYS[2]) or '0')
+if previous * tonumber(ARGV[1]) + current + 1 > tonumber(ARGV[2]) then
+    return {0, current, previous}
+end
+current = redis.call('INCR', KEYS[1])
+if current == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[3])
+end
+return {1, current, previous}
+`;
+
+const memoryCounters = new Map();
+let lastMemorySweep = 0;
+let redisFailing = false;
+
+const sweepMemoryCounters = (now) => {
+    if (now - lastMemorySweep < RATE_LIMIT_STORE_CONFIG.MEMORY_SWEEP_INTERVAL_MS
+        && memoryCounters.size < RATE_LIMIT_STORE_CONFIG.MEMORY_MAX_KEYS) {
+        return;
+    }
+
+    lastMemorySweep = now;
+    for (const [key, counter] of memoryCounters) {
+        if (counter.expiresAt <= now) memoryCounters.delete(key);
+    }
+
+    // Still full of live counters: drop the oldest rather than grow without bound
+    const excess = memoryCounters.size - RATE_LIMIT_STORE_CONFIG.MEMORY_MAX_KEYS;
+    if (excess >= 0) {
+        [...memoryCounters.keys()].slice(0, excess + 1).forEach(key => memoryCounters.delete(key));
+    }
+};
+
+const hitMemory = ({ currentKey, previousKey, weight, limit, ttlMs, now }) => {
+    sweepMemoryCounters(now);
+
+    const live = (key) => {
+        const counter = memoryCounters.get(key);
+        return counter && counter.expiresAt > now ? counter.count : 0;
+    };
+    const current = live(currentKey);
+    const previous = live(previousKey);
+
+    if (previous * weight + current + 1 > limit) {
+        return { allowed: false, current, previous };
+    }
+
+    memoryCounters.set(currentKey, {
+        count: current + 1,
+        expiresAt: current > 0 ? memoryCounters.get(currentKey).expiresAt : now + ttlMs
+    });
+    return { allowed: true, current: current + 1, previous };
+};
+
+const hitRedis = async ({ currentKey, previousKey, weight, limit, ttlMs }) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(
+            () => reject(new Error(`Redis did not answer within ${RATE_LIMIT_STORE_CONFIG.REDIS_TIMEOUT_MS}ms`)),
+            RATE_LIMIT_STORE_CONFIG.REDIS_TIMEOUT_MS
+        );
+    });
+
+    const evaluation = redisClient.client.eval(SLIDING_WINDOW_SCRIPT, 2, currentKey, previousKey, weight, limit, ttlMs);
+    // A late failure after the timeout has already been answered from memory
+    evaluation.catch(() => {});
+
+    try {
+        const [allowed, current, previous] = await Promise.race([evaluation, timeout]);
+        return { allowed: allowed === 1, current: Number(current), previous: Number(previous) };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Milliseconds until one more request fits under the limit
+ */
+const retryDelayMs = ({ limit, windowMs, elapsedMs, current, previous }) => {
+    const untilWindowEnd = windowMs - elapsedMs;
+
+    // The previous window's share is what's over the limit; wait for enough of it to slide out
+    if (current + 1 <= limit && previous > 0) {
+        return Math.max(untilWindowEnd - ((limit - 1 - current) * windowMs) / previous, 1);
+    }
+
+    // This window alone is full; it becomes the previous window and has to slide out far enough
+    return untilWindowEnd + Math.max(windowMs - ((limit - 1) * windowMs) / current, 0);
+};
+
+/**
+ * Count a request against a limit
+ * @param {string} key - What is being limited, e.g. "payments:create:user:42"
+ * @param {Object} policy - { limit, windowMs }
+ * @returns {Object} { allowed, limit, remaining, resetMs, retryAfterMs, store } where store is 'redis' or 'memory'
+ */
+export const hitRateLimit = async (key, { limit, windowMs }, now = Date.now()) => {
+    const windowIndex = Math.floor(now / windowMs);
+    const elapsedMs = now - windowIndex * windowMs;
+    const hit = {
+        currentKey: `${RATE_LIMIT_STORE_CONFIG.KEY_PREFIX}:${key}:${windowIndex}`,
+        previousKey: `${RATE_LIMIT_STORE_CONFIG.KEY_PREFIX}:${key}:${windowIndex - 1}`,
+        weight: (windowMs - elapsedMs) / windowMs,
+        limit,
+        // Kept for two windows so it can still be read as the previous window
+        ttlMs: windowMs * 2,
+        now
+    };
+
+    let store = 'memory';
+    let result;
+    if (redisClient.isConnected && redisClient.client) {
+        try {
+            result = await hitRedis(hit);
+            store = 'redis';
+            if (redisFailing) {
+                redisFailing = false;
+                console.log('Rate limiting back on Redis');
+            }
+        } catch (error) {
+            if (!redisFailing) {
+                redisFailing = true;
+                console.warn('Rate limiting falling back to per-replica memory:', error.message);
+            }
+        }
+    }
+    result = result ?? hitMemory(hit);
+
+    const used = result.previous * hit.weight + result.current;
+    return {
+        allowed: result.allowed,
+        limit,
+        remaining: Math.max(Math.floor(limit - used), 0),
+        resetMs: windowMs - elapsedMs,
+        retryAfterMs: result.allowed ? 0 : retryDelayMs({ limit, windowMs, elapsedMs, ...result }),
+        store
+    };
+};
+
+/**
+ * Forget every counter held in memory
+ */
+export const clearMemoryRateLimits = () => {
+    memoryCounters.clear();
+    lastMemorySweep = 0;
+};
+
+export default {
+    hitRateLimit,
+    clearMemoryRateLimits
+};
@@ -0,0 +1,157 @@
+/**
+ * Receipts
+ * Builds the receipt of a collected payment, itemised from the invoice the payment settled when
+ * there is one, and renders it from templates as HTML or as PDF (the text template laid out by
+ * utils/pdf.js).
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import dbPoolManager from '../db/connectionPool.js';
+import { formatAmount } from '../config/currencies.js';
+import { renderTemplate } from '../utils/templates.js';
+import { renderTextPdf } from '../utils/pdf.js';
+import { findInvoiceForPayment } from './invoiceService.js';
+
+// Receipt configuration
+export const RECEIPT_CONFIG = {
+    BUSINESS_NAME: process.env.RECEIPT_BUSINESS_NAME || 'Payment Service',
+    HTML_TEMPLATE: process.env.RECEIPT_HTML_TEMPLATE || fileURLToPath(new URL('../templates/receipt.html', import.meta.url)),
+    TEXT_TEMPLATE: process.env.RECEIPT_TEXT_TEMPLATE || fileURLToPath(new URL('../templates/receipt.txt', import.meta.url))
+};
+
+export const RECEIPT_FORMATS = ['html', 'pdf'];
+
+// Payments that have been collected and so have a receipt
+const RECEIPT_PAYMENT_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+const templates = new Map();
+
+const loadTemplate = async (path) => {
+    if (!templates.has(path)) {
+        templates.set(path, await fs.promises.readFile(path, 'utf8'));
+    }
+    return templates.get(path);
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+const formatRate = (rateBps) => `${(rateBps / 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+
+/**
+ * Receipt line items: the invoice's items, or a single line for the order
+ */
+const receiptLines = (payment, invoice, paidAmount) => {
+    if (invoice) {
+        return invoice.line_items.map(item => ({
+            description: item.description,
+            quantity: item.quantity,
+            unitAmount: formatAmount(item.unit_amount, invoice.currency),
+            amount: formatAmount(item.amount, invoice.currency)
+        }));
+    }
+
+    const order = payment.metadata?.order || {};
+    return [{
+        description: order.description || payment.metadata?.description || `Order ${payment.order_id}`,
+        quantity: 1,
+        unitAmount: formatAmount(paidAmount, payment.currency),
+        amount: formatAmount(paidAmount, payment.currency)
+    }];
+};
+
+/**
+ * Build the values a receipt template renders
+ * @param {Object} payment - payments row with id, user_id, order_id, amount, captured_amount, currency,
+ *   status, gateway, metadata, updated_at
+ * @returns {Object} { success, data } with the receipt view, or { success: false, error }
+ */
+export const buildReceipt = async (payment) => {
+    if (!RECEIPT_PAYMENT_STATUSES.includes(payment.status)) {
+        return {
+            success: false,
+            error: {
+                code: 'RECEIPT_NOT_AVAILABLE',
+                message: 'Payment has not been collected',
+                details: `Receipts are issued for collected payments; payment ${payment.id} is ${payment.status}`
+            }
+        };
+    }
+
+    const [invoice, refundResult] = await Promise.all([
+        findInvoiceForPayment(payment.id),
+        dbPoolManager.executeRead(
+            "SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds WHERE payment_id = $1 AND status = 'SUCCEEDED'",
+            [payment.id]
+        )
+    ]);
+
+    const paidAmount = payment.captured_amount ?? payment.amount;
+    const refunded = Number(refundResult.rows[0]?.refunded || 0);
+    const money = (amount) => formatAmount(amount, payment.currency);
+
+    return {
+        success: true,
+        data: {
+            businessName: RECEIPT_CONFIG.BUSINESS_NAME,
+            receiptNumber: payment.id.replace(/-/g, '').slice(0, 12).toUpperCase(),
+            issuedAt: formatDate(new Date()),
+            paidAt: formatDate(payment.updated_at),
+            customer: {
+                name: invoice?.customer_name || null,
+                email: invoice?.customer_email || payment.metadata?.user?.email || null
+            },
+            payment: {
+                id: payment.id,
+                orderId: payment.order_id,
+                gateway: payment.gateway,
+                status: payment.status
+            },
+            invoice: invoice && {
+                number: invoice.number,
+                dueAt: formatDate(invoice.due_at),
+                subtotal: money(invoice.subtotal_amount),
+                total: money(invoice.total_amount),
+                amountDue: money(invoice.total_amount - invoice.amount_paid),
+                taxLines: invoice.tax_lines.map(taxLine => ({
+                    name: taxLine.name,
+                    rate: formatRate(taxLine.rate_bps),
+                    amount: money(taxLine.amount)
+                }))
+            },
+            lineItems: receiptLines(payment, invoice, paidAmount),
+            amountPaid: money(paidAmount),
+            refundedAmount: refunded > 0 ? money(refunded) : null
+        }
+    };
+};
+
+/**
+ * Render a receipt view
+ * @param {Object} receipt - View from buildReceipt
+ * @param {string} format - 'html' or 'pdf'
+ * @returns {Object} { contentType, filename, body }
+ */
+export const renderReceipt = async (receipt, format = 'html') => {
+    const filename = `receipt-${receipt.receiptNumber}.${format}`;
+
+    if (format === 'pdf') {
+        const text = renderTemplate(await loadTemplate(RECEIPT_CONFIG.TEXT_TEMPLATE), receipt, { escape: false });
+        return {
+            contentType: 'application/pdf',
+            filename,
+            body: renderTextPdf(text, { title: `Receipt ${receipt.receiptNumber}` })
+        };
+    }
+
+    return {
+        contentType: 'text/html; charset=utf-8',
+        filename,
+        body: renderTemplate(await loadTemplate(RECEIPT_CONFIG.HTML_TEMPLATE), receipt)
+    };
+};
+
+export default {
+    buildReceipt,
+    renderReceipt
+};
@@ -0,0 +1,209 @@
+/**
+ * Refund Balance Service
+ * Keeps refunds within each payment's refundable balance. Creating a refund locks the payment row
+ * (SELECT ... FOR UPDATE) and inserts the refund as PENDING, so a refund in flight holds its share
+ * of the balance and concurrent refunds cannot overspend the payment.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { transitionPayment } from './paymentStateMachine.js';
+
+// Payment statuses that can still be refunded
+export const REFUNDABLE_PAYMENT_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED'];
+
+// Refund statuses that count against the refundable balance
+export const RESERVED_REFUND_STATUSES = ['PENDING', 'SUCCEEDED'];
+
+/**
+ * Remaining refundable amount of a payment given the amount already refunded or in flight
+ */
+export const calculateRefundableAmount = (payment, reservedAmount = 0) => {
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+        return 0;
+    }
+    return Math.max(getSettledAmount(payment) - Number(reservedAmount), 0);
+};
+
+/**
+ * Amount actually taken from the customer; partially captured payments settle for less than amount
+ */
+export const getSettledAmount = (payment) => Number(payment.captured_amount ?? payment.amount);
+
+/**
+ * Look up the refundable amount of several payments with one query
+ * @param {Array} payments - Rows with id, amount and status
+ * @returns {Map} Payment ID to refundable amount
+ */
+export const getRefundableAmounts = async (payments) => {
+    const refundable = new Map();
+    if (payments.length === 0) {
+        return refundable;
+    }
+
+    // captured_amount is read here because not every payment query (e.g. archive lookups) returns it
+    const result = await dbPoolManager.executeRead(`
+        SELECT p.id AS payment_id, p.captured_amount,
+               COALESCE(SUM(r.amount) FILTER (WHERE r.status = ANY($2)), 0) AS reserved
+        FROM payments p
+        LEFT JOIN refunds r ON r.payment_id = p.id
+        WHERE p.id = ANY($1::uuid[])
+        GROUP BY p.id
+    `, [payments.map(payment => payment.id), RESERVED_REFUND_STATUSES]);
+
+    const rowsByPayment = new Map(result.rows.map(row => [row.payment_id, row]));
+
+    for (const payment of payments) {
+        const row = rowsByPayment.get(payment.id);
+        refundable.set(payment.id, calculateRefundableAmount(
+            { ...payment, captured_amount: row?.captured_amount ?? payment.captured_amount },
+            row ? Number(row.reserved) : 0
+        ));
+    }
+    return refundable;
+};
+
+/**
+ * Reserve part of a payment's balance by creating a PENDING refund.
+ * The payment row stays locked until the refund row exists, so two requests cannot both
+ * see the same balance.
+ * @returns {Object} { success, data: { refund, payment, refundableAmount } } or { success: false, error }
+ */
+export const reserveRefund = async ({ payment_id, amount, reason, idempotencyKey }) => {
+    return await dbPoolManager.executeTransaction(async (client) => {
+        const paymentResult = await client.query(`
+            SELECT id, user_id, order_id, amount, captured_amount, currency, status, gateway, gateway_response
+            FROM payments
+            WHERE id = $1
+            FOR UPDATE
+        `, [payment_id]);
+
+        const payment = paymentResult.rows[0];
+
+        if (!payment) {
+            return {
+                success: false,
+                error: {
+                    code: 'PAYMENT_NOT_FOUND',
+                    message: 'Payment not found',
+                    details: `No payment found with ID: ${payment_id}`
+                }
+            };
+        }
+
+        if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+            return {
+                success: false,
+                error: {
+                    code: 'REFUND_NOT_ALLOWED',
+                    message: 'Refund not allowed for this payment',
+                    details: `Only successful payments can be refunded. Payment status: ${payment.status}. Payment must be 'SUCCEEDED' or 'PARTIALLY_REFUNDED' to create a refund.`
+                }
+            };
+        }
+
+        const reservedResult = await client.query(`
+            SELECT COALESCE(SUM(amount), 0) AS reserved
+            FROM refunds
+            WHERE payment_id = $1 AND status = ANY($2)
+        `, [payment_id, RESERVED_REFUND_STATUSES]);
+
+        const refundableAmount = calculateRefundableAmount(payment, reservedResult.rows[0].reserved);
+
+        if (amount > refundableAmount) {
+            return {
+                success: false,
+                error: {
+                    code: 'REFUND_AMOUNT_EXCEEDED',
+                    message: 'Refund amount exceeds refundable amount',
+                    details: {
+                        requested_amount: amount,
+                        refundable_amount: refundableAmount,
+                        payment_amount: getSettledAmount(payment)
+                    }
+                }
+            };
+        }
+
+        const refundResult = await client.query(`
+            INSERT INTO refunds (
+                payment_id, amount, currency, status, reason, idempotency_key
+            ) VALUES (
+                $1, $2, $3, 'PENDING', $4, $5
+            ) RETURNING id as refund_id, payment_id, amount, currency, status, reason, created_at
+        `, [payment_id, amount, payment.currency, reason, idempotencyKey]);
+
+        return {
+            success: true,
+            data: {
+                refund: refundResult.rows[0],
+                payment,
+                refundableAmount: refundableAmount - amount
+            }
+        };
+    });
+};
+
+/**
+ * Recalculate a payment's status from its succeeded refunds (REFUNDED or PARTIALLY_REFUNDED).
+ * Optionally records the refund's gateway details under gateway_response.refunds.
+ * @param {string} payment_id - Payment ID
+ * @param {Object} refundDetails - Optional { refundId, details } to store on the payment
+ * @param {Object} options - { actor } recorded in payment history
+ * @returns {Object|null} { status, totalRefunded, amount } or null when nothing has been refunded
+ */
+export const applySucceededRefunds = async (payment_id, refundDetails = null, { actor = 'system' } = {}) => {
+    return await dbPoolManager.executeTransaction(async (client) => {
+        const paymentResult = await client.query(
+            'SELECT amount, captured_amount FROM payments WHERE id = $1 FOR UPDATE',
+            [payment_id]
+        );
+        if (paymentResult.rows.length === 0) {
+            throw new Error(`Payment not found: ${payment_id}`);
+        }
+        const paymentAmount = getSettledAmount(paymentResult.rows[0]);
+
+        const totalResult = await client.query(`
+            SELECT COALESCE(SUM(amount), 0) AS total_refunded
+            FROM refunds
+            WHERE payment_id = $1 AND status = 'SUCCEEDED'
+        `, [payment_id]);
+        const totalRefunded = Number(totalResult.rows[0].total_refunded);
+
+        if (totalRefunded <= 0) {
+            return null;
+        }
+
+        const status = totalRefunded >= paymentAmount ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+        await transitionPayment(payment_id, status, {
+            client,
+            reason: `Refunded ${totalRefunded} of ${paymentAmount}`,
+            actor
+        });
+
+        if (refundDetails) {
+            await client.query(`
+                UPDATE payments
+                SET
+                    gateway_response = gateway_response || jsonb_build_object(
+                        'refunds',
+                        COALESCE(gateway_response->'refunds', '{}'::jsonb) || jsonb_build_object($2::text, $3::jsonb)
+                    ),
+                    updated_at = NOW()
+                WHERE id = $1
+            `, [payment_id, refundDetails.refundId, JSON.stringify(refundDetails.details)]);
+        }
+
+        console.log(`Payment ${payment_id} marked as ${status} (total refunded: ${totalRefunded}/${paymentAmount})`);
+
+        return { status, totalRefunded, amount: paymentAmount };
+    });
+};
+
+export default {
+    calculateRefundableAmount,
+    getSettledAmount,
+    getRefundableAmounts,
+    reserveRefund,
+    applySucceededRefunds
+};
@@ -0,0 +1,298 @@
+/**
+ * Risk Engine
+ * Scores a new payment before it reaches the gateway and decides whether to allow it, hold it for
+ * review or deny it. The built-in rules look for card-testing bursts and suspicious orders; another
+ * engine (e.g. an external fraud service) can be plugged in with setRiskEngine.
+ *
+ * A rule implements:
+ *   name                 - rule name, recorded with every signal it raises
+ *   evaluate(context)    - resolves null, or { score, reason } when the payment looks risky
+ * where context is { paymentId, userId, email, ip, orderId, amount, currency, metadata, at }.
+ * userId is null for payments by anonymous customers (payment links); rules on user history skip them.
+ *
+ * An engine implements:
+ *   assess(context)      - resolves { score, decision, signals: [{ rule, score, reason }] }
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+
+// Risk configuration
+export const RISK_CONFIG = {
+    // Total score (0-100) from which a payment is held for review, and from which it is declined
+    REVIEW_SCORE: parseInt(process.env.RISK_REVIEW_SCORE) || 50,
+    DENY_SCORE: parseInt(process.env.RISK_DENY_SCORE) || 80,
+    VELOCITY_WINDOW_MINUTES: parseInt(process.env.RISK_VELOCITY_WINDOW_MINUTES) || 10,
+    MAX_PAYMENTS_PER_USER: parseInt(process.env.RISK_MAX_PAYMENTS_PER_USER) || 5,
+    MAX_PAYMENTS_PER_IP: parseInt(process.env.RISK_MAX_PAYMENTS_PER_IP) || 10,
+    MAX_PAYMENTS_PER_EMAIL: parseInt(process.env.RISK_MAX_PAYMENTS_PER_EMAIL) || 5,
+    FAILURE_WINDOW_MINUTES: parseInt(process.env.RISK_FAILURE_WINDOW_MINUTES) || 60,
+    MAX_RECENT_FAILURES: parseInt(process.env.RISK_MAX_RECENT_FAILURES) || 3,
+    // Amounts this many times the user's average are anomalous once they have enough history
+    AMOUNT_ANOMALY_MULTIPLIER: parseInt(process.env.RISK_AMOUNT_ANOMALY_MULTIPLIER) || 5,
+    AMOUNT_HISTORY_MIN_PAYMENTS: parseInt(process.env.RISK_AMOUNT_HISTORY_MIN_PAYMENTS) || 3
+};
+
+export const RISK_DECISIONS = Object.freeze({
+    ALLOW: 'allow',
+    REVIEW: 'review',
+    DENY: 'deny'
+});
+
+const minutesBefore = (at, minutes) => new Date(at.getTime() - minutes * 60 * 1000);
+
+/**
+ * Too many payments from one user, IP or email within the velocity window
+ * @param {Object} options - { name, field, max, count } where count(value, since, context) resolves the number of earlier payments
+ */
+const velocityRule = ({ name, field, max, count }) => ({
+    name,
+    evaluate: async (context) => {
+        if (!context[field]) {
+            return null;
+        }
+
+        const since = minutesBefore(context.at, RISK_CONFIG.VELOCITY_WINDOW_MINUTES);
+        const recent = await count(context[field], since, context);
+        if (recent < max()) {
+            return null;
+        }
+
+        return {
+            score: 40,
+            reason: `${recent} payments from this ${field} in the last ${RISK_CONFIG.VELOCITY_WINDOW_MINUTES} minutes`
+        };
+    }
+});
+
+const countAssessments = (column) => async (value, since, context) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT COUNT(*) AS count
+        FROM payment_risk_assessments
+        WHERE ${column} = $1 AND created_at >= $2 AND payment_id <> $3
+    `, [value, since, context.paymentId]);
+    return Number(result.rows[0]?.count || 0);
+};
+
+export const userVelocityRule = velocityRule({
+    name: 'user_velocity',
+    field: 'userId',
+    max: () => RISK_CONFIG.MAX_PAYMENTS_PER_USER,
+    count: async (userId, since, context) => {
+        const result = await dbPoolManager.executeRead(`
+            SELECT COUNT(*) AS count
+            FROM payments
+            WHERE user_id = $1 AND created_at >= $2 AND id <> $3
+        `, [userId, since, context.paymentId]);
+        return Number(result.rows[0]?.count || 0);
+    }
+});
+
+export const ipVelocityRule = velocityRule({
+    name: 'ip_velocity',
+    field: 'ip',
+    max: () => RISK_CONFIG.MAX_PAYMENTS_PER_IP,
+    count: countAssessments('client_ip')
+});
+
+export const emailVelocityRule = velocityRule({
+    name: 'email_velocity',
+    field: 'email',
+    max: () => RISK_CONFIG.MAX_PAYMENTS_PER_EMAIL,
+    count: countAssessments('email')
+});
+
+/**
+ * Amount far above what the user usually pays in the same currency
+ */
+export const amountAnomalyRule = {
+    name: 'amount_anomaly',
+    evaluate: async ({ userId, amount, currency, paymentId }) => {
+        if (!userId) return null;
+
+        const result = await dbPoolManager.executeRead(`
+            SELECT COUNT(*) AS count, COALESCE(AVG(amount), 0) AS average
+            FROM payments
+            WHERE user_id = $1 AND currency = $2 AND id <> $3
+              AND status IN ('SUCCEEDED', 'PARTIALLY_REFUNDED', 'REFUNDED')
+        `, [userId, currency, paymentId]);
+
+        const history = result.rows[0] || {};
+        const count = Number(history.count || 0);
+        const average = Number(history.average || 0);
+
+        if (count < RISK_CONFIG.AMOUNT_HISTORY_MIN_PAYMENTS || amount <= average * RISK_CONFIG.AMOUNT_ANOMALY_MULTIPLIER) {
+            return null;
+        }
+
+        return {
+            score: 30,
+            reason: `Amount is ${(amount / average).toFixed(1)}x the user's average of ${Math.round(average)} ${currency} minor units`
+        };
+    }
+};
+
+/**
+ * Several recent failed payments by the user, typical of card testing
+ */
+export const repeatedFailuresRule = {
+    name: 'repeated_failures',
+    evaluate: async ({ userId, at }) => {
+        if (!userId) return null;
+
+        const result = await dbPoolManager.executeRead(`
+            SELECT COUNT(*) AS count
+            FROM payments
+            WHERE user_id = $1 AND status = 'FAILED' AND updated_at >= $2
+        `, [userId, minutesBefore(at, RISK_CONFIG.FAILURE_WINDOW_MINUTES)]);
+
+        const failures = Number(result.rows[0]?.count || 0);
+        if (failures < RISK_CONFIG.MAX_RECENT_FAILURES) {
+            return null;
+        }
+
+        return {
+            score: 40,
+            reason: `${failures} failed payments in the last ${RISK_CONFIG.FAILURE_WINDOW_MINUTES} minutes`
+        };
+    }
+};
+
+/**
+ * metadata.order and metadata.user that disagree with the payment or the authenticated user
+ */
+export const orderMetadataRule = {
+    name: 'order_metadata_mismatch',
+    evaluate: async ({ userId, email, metadata = {} }) => {
+        const mismatches = [];
+        const { order, user } = metadata;
+
+        if (order && Array.isArray(order.items) && order.totalItems !== undefined && order.totalItems !== order.items.length) {
+            mismatches.push(`order.totalItems is ${order.totalItems} but order.items has ${order.items.length}`);
+        }
+        if (user?.id && user.id !== userId) {
+            mismatches.push('user.id is not the paying user');
+        }
+        if (user?.email && email && user.email.toLowerCase() !== email.toLowerCase()) {
+            mismatches.push("user.email is not the paying user's email");
+        }
+
+        return mismatches.length > 0
+            ? { score: 30, reason: `Order metadata mismatch: ${mismatches.join('; ')}` }
+            : null;
+    }
+};
+
+export const BUILT_IN_RULES = [
+    userVelocityRule,
+    ipVelocityRule,
+    emailVelocityRule,
+    amountAnomalyRule,
+    repeatedFailuresRule,
+    orderMetadataRule
+];
+
+/**
+ * Decision for a total score
+ */
+export const decide = (score, { reviewScore = RISK_CONFIG.REVIEW_SCORE, denyScore = RISK_CONFIG.DENY_SCORE } = {}) => {
+    if (score >= denyScore) return RISK_DECISIONS.DENY;
+    if (score >= reviewScore) return RISK_DECISIONS.REVIEW;
+    return RISK_DECISIONS.ALLOW;
+};
+
+/**
+ * Engine adding up the scores of its rules (capped at 100). A rule that errors is skipped.
+ * @param {Object} options - { rules, reviewScore, denyScore }
+ */
+export const createRiskEngine = ({ rules = BUILT_IN_RULES, reviewScore, denyScore } = {}) => ({
+    assess: async (context) => {
+        const signals = [];
+
+        for (const rule of rules) {
+            try {
+                const signal = await rule.evaluate(context);
+                if (signal && signal.score > 0) {
+                    signals.push({ rule: rule.name, score: signal.score, reason: signal.reason });
+                }
+            } catch (error) {
+                console.warn(`Risk rule ${rule.name} failed:`, error.message);
+            }
+        }
+
+        const score = Math.min(signals.reduce((total, signal) => total + signal.score, 0), 100);
+        return { score, decision: decide(score, { reviewScore, denyScore }), signals };
+    }
+});
+
+let riskEngine = null;
+
+/**
+ * Engine used to assess payments, the built-in rules unless another was set
+ */
+export const getRiskEngine = () => {
+    if (!riskEngine) {
+        riskEngine = createRiskEngine();
+    }
+    return riskEngine;
+};
+
+/**
+ * Replace the engine (an external fraud service, or fixed decisions in tests); null goes back to the built-in rules
+ */
+export const setRiskEngine = (engine) => {
+    riskEngine = engine;
+};
+
+/**
+ * Assess a new payment and store the assessment with its decision on the payment.
+ * When the engine itself fails the payment is allowed so an outage doesn't stop all payments.
+ * @param {Object} context - See the rule context above
+ * @param {Object} gatewayRequest - What the gateway needs to resume the payment after a review
+ * @returns {Object} { score, decision, signals }
+ */
+export const assessPayment = async (context, gatewayRequest = {}) => {
+    const assessmentContext = { at: new Date(), ...context, email: context.email?.toLowerCase() };
+
+    let assessment;
+    try {
+        assessment = await getRiskEngine().assess(assessmentContext);
+    } catch (error) {
+        console.error(`Risk assessment of payment ${context.paymentId} failed:`, error.message);
+        assessment = { score: 0, decision: RISK_DECISIONS.ALLOW, signals: [], error: error.message };
+    }
+
+    await dbPoolManager.executeTransaction(async (client) => {
+        await client.query(`
+            INSERT INTO payment_risk_assessments (
+                payment_id, user_id, client_ip, email, score, decision, signals, review_status, gateway_request
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [
+            context.paymentId,
+            context.userId || null,
+            assessmentContext.ip || null,
+            assessmentContext.email || null,
+            assessment.score,
+            assessment.decision,
+            JSON.stringify(assessment.signals),
+            assessment.decision === RISK_DECISIONS.REVIEW ? 'PENDING' : null,
+            assessment.decision === RISK_DECISIONS.REVIEW ? JSON.stringify(gatewayRequest) : null
+        ]);
+
+        await client.query(
+            'UPDATE payments SET risk_score = $2, risk_decision = $3 WHERE id = $1',
+            [context.paymentId, assessment.score, assessment.decision]
+        );
+    });
+
+    return assessment;
+};
+
+export default {
+    RISK_DECISIONS,
+    BUILT_IN_RULES,
+    decide,
+    createRiskEngine,
+    getRiskEngine,
+    setRiskEngine,
+    assessPayment
+};
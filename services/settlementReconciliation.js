@@ -0,0 +1,500 @@
+/**
+ * Settlement Reconciliation Service
+ * Compares local payments and refunds for a period with the gateway's own transaction listing and
+ * stores the outcome in reconciliation_runs/reconciliation_items. Every record lands in one bucket:
+ * MATCHED, MISSING_LOCALLY, MISSING_AT_GATEWAY, AMOUNT_MISMATCH or STATUS_MISMATCH.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { withAdvisoryLock } from '../db/advisoryLock.js';
+import { getGateway, listGateways } from '../gateways/index.js';
+
+export const RECONCILIATION_BUCKETS = [
+    'MATCHED',
+    'MISSING_LOCALLY',
+    'MISSING_AT_GATEWAY',
+    'AMOUNT_MISMATCH',
+    'STATUS_MISMATCH'
+];
+
+/**
+ * Hour of the day (0-23) from an environment variable, or null when it is unset or not an hour.
+ * Midnight is a valid hour, so callers default with ?? rather than ||.
+ */
+const parseHourUtc = (value) => {
+    const hour = parseInt(value);
+    return Number.isNaN(hour) || hour < 0 || hour > 23 ? null : hour;
+};
+
+// Settlement reconciliation configuration
+export const SETTLEMENT_CONFIG = {
+    CHECK_INTERVAL_MS: parseInt(process.env.SETTLEMENT_RECONCILIATION_CHECK_INTERVAL_MS) || 3600000, // 1 hour
+    RUN_AFTER_HOUR_UTC: parseHourUtc(process.env.SETTLEMENT_RECONCILIATION_HOUR_UTC) ?? 2,
+    PAGE_SIZE: parseInt(process.env.SETTLEMENT_RECONCILIATION_PAGE_SIZE) || 100,
+    MAX_PAGES: parseInt(process.env.SETTLEMENT_RECONCILIATION_MAX_PAGES) || 500
+};
+
+// Advisory lock key so only one replica runs the daily reconciliation
+const SETTLEMENT_LOCK_KEY = 745002;
+
+// Local statuses that agree with each gateway status. A refunded payment still settled at the gateway.
+const STATUS_EQUIVALENTS = {
+    SUCCEEDED: ['SUCCEEDED', 'REFUNDED', 'PARTIALLY_REFUNDED'],
+    FAILED: ['FAILED', 'CANCELLED'],
+    REVERSED: ['REFUNDED']
+};
+
+const CSV_COLUMNS = [
+    'bucket',
+    'record_type',
+    'reference',
+    'local_id',
+    'local_amount',
+    'gateway_amount',
+    'local_status',
+    'gateway_status',
+    'currency'
+];
+
+let settlementTimer = null;
+
+const statusesAgree = (localStatus, gatewayStatus) =>
+    localStatus === gatewayStatus || (STATUS_EQUIVALENTS[gatewayStatus] || []).includes(localStatus);
+
+// Both sides are whole minor units, so they must match exactly
+const amountsAgree = (localAmount, gatewayAmount) => Number(localAmount) === Number(gatewayAmount);
+
+/**
+ * Sort local and gateway records into reconciliation buckets.
+ * Local records are matched by any of their references (gateway reference, idempotency key or
+ * payment intent); gateway records by their reference or client reference. A gateway record listed
+ * as another record's alias (a Stripe checkout session's payment intent) is the same payment and is skipped.
+ * @param {Array} localRecords - { id, recordType, references, amount, currency, status }
+ * @param {Array} gatewayRecords - adapter listTransactions/listRefunds items
+ * @returns {Array} Reconciliation items
+ */
+export const matchRecords = (localRecords, gatewayRecords) => {
+    const localByReference = new Map();
+    for (const local of localRecords) {
+        for (const reference of local.references) {
+            if (reference) localByReference.set(`${local.recordType}:${reference}`, local);
+        }
+    }
+
+    const aliases = new Set(gatewayRecords.flatMap(record =>
+        (record.aliases || []).map(alias => `${record.type || 'payment'}:${alias}`)
+    ));
+
+    const seen = new Set();
+    const items = [];
+
+    for (const record of gatewayRecords) {
+        const recordType = record.type || 'payment';
+        if (aliases.has(`${recordType}:${record.reference}`)) continue;
+
+        const local = [record.reference, record.clientReference]
+            .filter(Boolean)
+            .map(reference => localByReference.get(`${recordType}:${reference}`))
+            .find(Boolean);
+
+        const item = {
+            record_type: recordType,
+            reference: record.reference,
+            local_id: local?.id || null,
+            local_amount: local ? Number(local.amount) : null,
+            gateway_amount: record.amount,
+            local_status: local?.status || null,
+            gateway_status: record.status,
+            currency: record.currency || local?.currency || null
+        };
+
+        if (!local) {
+            items.push({ bucket: 'MISSING_LOCALLY', ...item });
+            continue;
+        }
+
+        seen.add(local);
+
+        if (!amountsAgree(local.amount, record.amount) || (record.currency && record.currency !== local.currency)) {
+            items.push({ bucket: 'AMOUNT_MISMATCH', ...item });
+        } else if (!statusesAgree(local.status, record.status)) {
+            items.push({ bucket: 'STATUS_MISMATCH', ...item });
+        } else {
+            items.push({ bucket: 'MATCHED', ...item });
+        }
+    }
+
+    for (const local of localRecords) {
+        if (seen.has(local)) continue;
+
+        items.push({
+            bucket: 'MISSING_AT_GATEWAY',
+            record_type: local.recordType,
+            reference: local.references.find(Boolean) || local.id,
+            local_id: local.id,
+            local_amount: Number(local.amount),
+            gateway_amount: null,
+            local_status: local.status,
+            gateway_status: null,
+            currency: local.currency
+        });
+    }
+
+    return items;
+};
+
+/**
+ * Count items per bucket
+ */
+export const summarizeItems = (items) => {
+    const summary = { total: items.length };
+    for (const bucket of RECONCILIATION_BUCKETS) {
+        summary[bucket] = 0;
+    }
+    for (const item of items) {
+        summary[item.bucket]++;
+    }
+    return summary;
+};
+
+/**
+ * Follow an adapter listing until the gateway reports no further pages
+ */
+const fetchAllPages = async (list, { from, to }) => {
+    const records = [];
+    let cursor;
+
+    for (let page = 0; page < SETTLEMENT_CONFIG.MAX_PAGES; page++) {
+        const result = await list({ from, to, cursor, perPage: SETTLEMENT_CONFIG.PAGE_SIZE });
+
+        if (!result.success) {
+            throw new Error(result.error?.message || 'Gateway listing failed');
+        }
+
+        records.push(...result.items);
+
+        if (!result.nextCursor) {
+            return records;
+        }
+        cursor = result.nextCursor;
+    }
+
+    throw new Error(`Gateway listing exceeded ${SETTLEMENT_CONFIG.MAX_PAGES} pages`);
+};
+
+/**
+ * Load local payments and refunds for the gateway and period
+ */
+const loadLocalRecords = async (gateway, from, to) => {
+    const paymentsResult = await dbPoolManager.executeRead(`
+        SELECT id, idempotency_key, gateway_response->>'reference' AS gateway_reference,
+               gateway_response->>'payment_intent' AS payment_intent, amount, currency, status
+        FROM payments
+        WHERE gateway = $1 AND created_at >= $2 AND created_at < $3
+    `, [gateway, from, to]);
+
+    // Refunds that never reached the gateway have no gateway refund ID to reconcile against
+    const refundsResult = await dbPoolManager.executeRead(`
+        SELECT r.id, r.gateway_response->>'refund_id' AS gateway_reference,
+               r.amount, r.currency, r.status
+        FROM refunds r
+        JOIN payments p ON p.id = r.payment_id
+        WHERE p.gateway = $1 AND r.created_at >= $2 AND r.created_at < $3
+          AND r.gateway_response->>'refund_id' IS NOT NULL
+    `, [gateway, from, to]);
+
+    return [
+        ...paymentsResult.rows.map(row => ({
+            id: row.id,
+            recordType: 'payment',
+            references: [row.gateway_reference, row.idempotency_key, row.payment_intent],
+            amount: row.amount,
+            currency: row.currency,
+            status: row.status
+        })),
+        ...refundsResult.rows.map(row => ({
+            id: row.id,
+            recordType: 'refund',
+            references: [row.gateway_reference],
+            amount: row.amount,
+            currency: row.currency,
+            status: row.status
+        }))
+    ];
+};
+
+/**
+ * Store run items in batches
+ */
+const insertItems = async (client, runId, items) => {
+    const BATCH_SIZE = 500;
+
+    for (let start = 0; start < items.length; start += BATCH_SIZE) {
+        const batch = items.slice(start, start + BATCH_SIZE);
+        const params = [runId];
+        const rows = batch.map(item => {
+            const placeholders = CSV_COLUMNS.map(column => {
+                params.push(item[column]);
+                return `$${params.length}`;
+            });
+            return `($1, ${placeholders.join(', ')})`;
+        });
+
+        await client.query(`
+            INSERT INTO reconciliation_items (run_id, ${CSV_COLUMNS.join(', ')})
+            VALUES ${rows.join(', ')}
+        `, params);
+    }
+};
+
+/**
+ * Create a RUNNING reconciliation run
+ */
+export const createReconciliationRun = async ({ gateway, from, to, triggeredBy = 'scheduler' }) => {
+    const result = await dbPoolManager.executeWrite(`
+        INSERT INTO reconciliation_runs (gateway, period_start, period_end, triggered_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, gateway, period_start, period_end, status, triggered_by, created_at
+    `, [gateway, new Date(from).toISOString(), new Date(to).toISOString(), triggeredBy]);
+
+    return result.rows[0];
+};
+
+/**
+ * Fetch both sides for a run, bucket them and store the outcome
+ * @returns {Object} Run summary
+ */
+export const executeReconciliationRun = async (run) => {
+    const from = new Date(run.period_start).toISOString();
+    const to = new Date(run.period_end).toISOString();
+
+    try {
+        const adapter = getGateway(run.gateway);
+
+        const gatewayRecords = [
+            ...await fetchAllPages((options) => adapter.listTransactions(options), { from, to }),
+            ...await fetchAllPages((options) => adapter.listRefunds(options), { from, to })
+        ];
+        const localRecords = await loadLocalRecords(run.gateway, from, to);
+
+        const items = matchRecords(localRecords, gatewayRecords);
+        const summary = summarizeItems(items);
+
+        await dbPoolManager.executeTransaction(async (client) => {
+            await insertItems(client, run.id, items);
+            await client.query(`
+                UPDATE reconciliation_runs
+                SET status = 'COMPLETED', summary = $2, completed_at = NOW()
+                WHERE id = $1
+            `, [run.id, JSON.stringify(summary)]);
+        });
+
+        console.log(`Settlement reconciliation ${run.id} (${run.gateway}) completed:`, summary);
+        return summary;
+    } catch (error) {
+        console.error(`Settlement reconciliation ${run.id} (${run.gateway}) failed:`, error.message);
+
+        await dbPoolManager.executeWrite(`
+            UPDATE reconciliation_runs
+            SET status = 'FAILED', error = $2, completed_at = NOW()
+            WHERE id = $1
+        `, [run.id, error.message]);
+
+        throw error;
+    }
+};
+
+/**
+ * Create and execute a reconciliation run for one gateway and period
+ */
+export const runSettlementReconciliation = async (options) => {
+    const run = await createReconciliationRun(options);
+    const summary = await executeReconciliationRun(run);
+    return { ...run, status: 'COMPLETED', summary };
+};
+
+/**
+ * The previous UTC day, which the daily run reconciles
+ */
+export const getPreviousDayPeriod = (now = new Date()) => {
+    const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const from = new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    return { from, to };
+};
+
+/**
+ * Reconcile the previous day for every enabled gateway that has no run for it yet.
+ * Holds an advisory lock so only one replica does the work.
+ */
+export const runDailySettlementReconciliation = async (now = new Date()) => {
+    if (now.getUTCHours() < SETTLEMENT_CONFIG.RUN_AFTER_HOUR_UTC) {
+        return [];
+    }
+
+    const { from, to } = getPreviousDayPeriod(now);
+    const runs = [];
+
+    try {
+        await withAdvisoryLock(SETTLEMENT_LOCK_KEY, async (client) => {
+            for (const adapter of listGateways().filter(gateway => gateway.isEnabled())) {
+                const existing = await client.query(`
+                    SELECT id FROM reconciliation_runs
+                    WHERE gateway = $1 AND period_start = $2 AND period_end = $3
+                      AND status IN ('RUNNING', 'COMPLETED')
+                    LIMIT 1
+                `, [adapter.name, from.toISOString(), to.toISOString()]);
+
+                if (existing.rows.length > 0) continue;
+
+                try {
+                    runs.push(await runSettlementReconciliation({ gateway: adapter.name, from, to }));
+                } catch {
+                    // Already recorded as a FAILED run; the next check retries it
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Daily settlement reconciliation failed:', error.message);
+    }
+
+    return runs;
+};
+
+/**
+ * List reconciliation runs, newest period first
+ */
+export const listReconciliationRuns = async ({ gateway, status, limit = 50, offset = 0 } = {}) => {
+    const conditions = [];
+    const params = [];
+
+    if (gateway) {
+        params.push(gateway);
+        conditions.push(`gateway = $${params.length}`);
+    }
+    if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await dbPoolManager.executeRead(
+        `SELECT COUNT(*) AS total FROM reconciliation_runs ${whereClause}`,
+        params
+    );
+
+    params.push(limit, offset);
+    const result = await dbPoolManager.executeRead(`
+        SELECT id, gateway, period_start, period_end, status, summary, error,
+               triggered_by, created_at, completed_at
+        FROM reconciliation_runs
+        ${whereClause}
+        ORDER BY period_start DESC, created_at DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return {
+        runs: result.rows,
+        total: parseInt(countResult.rows[0].total)
+    };
+};
+
+/**
+ * Get a run with its items, optionally limited to one bucket
+ * @returns {Object|null} { run, items, total } or null when the run does not exist
+ */
+export const getReconciliationRun = async (runId, { bucket, limit = null, offset = 0 } = {}) => {
+    const runResult = await dbPoolManager.executeRead(`
+        SELECT id, gateway, period_start, period_end, status, summary, error,
+               triggered_by, created_at, completed_at
+        FROM reconciliation_runs
+        WHERE id = $1
+    `, [runId]);
+
+    if (runResult.rows.length === 0) {
+        return null;
+    }
+
+    const params = [runId];
+    let bucketClause = '';
+    if (bucket) {
+        params.push(bucket);
+        bucketClause = `AND bucket = $${params.length}`;
+    }
+
+    const countResult = await dbPoolManager.executeRead(
+        `SELECT COUNT(*) AS total FROM reconciliation_items WHERE run_id = $1 ${bucketClause}`,
+        params
+    );
+
+    let pageClause = '';
+    if (limit !== null) {
+        params.push(limit, offset);
+        pageClause = `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    }
+
+    const itemsResult = await dbPoolManager.executeRead(`
+        SELECT ${CSV_COLUMNS.join(', ')}
+        FROM reconciliation_items
+        WHERE run_id = $1 ${bucketClause}
+        ORDER BY bucket, reference
+        ${pageClause}
+    `, params);
+
+    return {
+        run: runResult.rows[0],
+        items: itemsResult.rows,
+        total: parseInt(countResult.rows[0].total)
+    };
+};
+
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render reconciliation items as CSV with a header row
+ */
+export const toCsv = (items) => {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const item of items) {
+        lines.push(CSV_COLUMNS.map(column => escapeCsv(item[column])).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Start the daily settlement reconciliation scheduler on this replica
+ */
+export const startSettlementReconciliation = () => {
+    if (settlementTimer) return;
+
+    settlementTimer = setInterval(() => runDailySettlementReconciliation(), SETTLEMENT_CONFIG.CHECK_INTERVAL_MS);
+    console.log(`Settlement reconciliation checks scheduled every ${SETTLEMENT_CONFIG.CHECK_INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop the daily settlement reconciliation scheduler
+ */
+export const stopSettlementReconciliation = () => {
+    if (settlementTimer) {
+        clearInterval(settlementTimer);
+        settlementTimer = null;
+    }
+};
+
+export default {
+    matchRecords,
+    summarizeItems,
+    createReconciliationRun,
+    executeReconciliationRun,
+    runSettlementReconciliation,
+    runDailySettlementReconciliation,
+    listReconciliationRuns,
+    getReconciliationRun,
+    toCsv,
+    startSettlementReconciliation,
+    stopSettlementReconciliation
+};
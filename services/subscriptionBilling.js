@@ -0,0 +1,573 @@
+/**
+ * Subscription Billing
+ * Charges subscriptions on their due date. Each run opens the billing cycle for every subscription
+ * whose period has ended, charges due cycles against the subscription's saved payment method and
+ * settles charges the gateway left pending. Failed charges are retried on the dunning schedule;
+ * the subscription is PAST_DUE meanwhile and cancelled once the retries run out.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { withAdvisoryLock } from '../db/advisoryLock.js';
+import { processPayment } from './paymentProcessor.js';
+import { transitionPayment } from './paymentStateMachine.js';
+import { getChargeablePaymentMethod } from './paymentMethodService.js';
+import { getSettlementFields } from './fxRates.js';
+import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
+import { recordSubscriptionBillingRun } from '../src/metrics.js';
+
+/**
+ * Parse a comma separated list of retry delays in hours
+ */
+const parseSchedule = (value, fallback) => {
+    const hours = (value || '').split(',').map(Number).filter(hour => Number.isFinite(hour) && hour > 0);
+    return hours.length > 0 ? hours : fallback;
+};
+
+// Billing configuration
+export const SUBSCRIPTION_BILLING_CONFIG = {
+    INTERVAL_MS: parseInt(process.env.SUBSCRIPTION_BILLING_INTERVAL_MS) || 300000, // 5 minutes
+    BATCH_SIZE: parseInt(process.env.SUBSCRIPTION_BILLING_BATCH_SIZE) || 100,
+    // Hours to wait before each retry of a failed renewal; the subscription is cancelled when they run out
+    DUNNING_SCHEDULE_HOURS: parseSchedule(process.env.SUBSCRIPTION_DUNNING_SCHEDULE_HOURS, [24, 72, 168])
+};
+
+// Advisory lock key so only one replica bills subscriptions at a time
+const SUBSCRIPTION_BILLING_LOCK_KEY = 745004;
+
+// Payment statuses that mean a charge was collected
+const COLLECTED_PAYMENT_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+export const SUBSCRIPTION_COLUMNS = `id, user_id, plan_id, payment_method_id, status, current_period_start, current_period_end,
+    cancel_at_period_end, credit_balance, cancelled_at, cancellation_reason, metadata, created_at, updated_at`;
+
+// Billing cycle columns plus the subscription fields needed to charge it
+const CHARGEABLE_CYCLE_COLUMNS = `c.id, c.subscription_id, c.plan_id, c.kind, c.period_start, c.period_end, c.amount,
+    c.currency, c.attempts, c.payment_id, s.user_id, s.payment_method_id`;
+
+let billingTimer = null;
+
+// When the run in progress on this replica started; the timer keeps firing during long runs
+let runningSince = null;
+
+/**
+ * Add a number of plan intervals to a date. Months and years keep the day of the month where it
+ * exists and otherwise use the last day (Jan 31 + 1 month = Feb 28/29).
+ */
+export const addBillingInterval = (date, interval, count = 1) => {
+    const next = new Date(date);
+
+    if (interval === 'DAY' || interval === 'WEEK') {
+        next.setUTCDate(next.getUTCDate() + count * (interval === 'WEEK' ? 7 : 1));
+        return next;
+    }
+
+    const months = interval === 'YEAR' ? count * 12 : count;
+    const day = next.getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(day, lastDay));
+    return next;
+};
+
+/**
+ * Proration for switching plans partway through a period: the unused part of the current plan is
+ * credited and the remaining part of the new plan is charged.
+ * @returns {Object} { remainingRatio, credit, charge, net } where a negative net is owed to the customer
+ */
+export const calculateProration = ({ currentAmount, newAmount, periodStart, periodEnd, now = new Date() }) => {
+    const periodMs = new Date(periodEnd).getTime() - new Date(periodStart).getTime();
+    const remainingMs = new Date(periodEnd).getTime() - now.getTime();
+    const remainingRatio = periodMs > 0 ? Math.min(Math.max(remainingMs / periodMs, 0), 1) : 0;
+
+    const credit = Math.round(currentAmount * remainingRatio);
+    const charge = Math.round(newAmount * remainingRatio);
+
+    return { remainingRatio, credit, charge, net: charge - credit };
+};
+
+const publishSubscriptionEvent = (eventType, payload) => {
+    try {
+        publishPaymentEvent(eventType, payload);
+    } catch (eventError) {
+        console.warn(`Failed to publish ${eventType} event:`, eventError.message);
+    }
+};
+
+/**
+ * Cancel a subscription now and void its unpaid cycles. Charges already at the gateway are left to settle.
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} options - { reason, actor, client }
+ * @returns {Object|null} The cancelled subscription, or null when it was already cancelled
+ */
+export const endSubscription = async (subscriptionId, { reason, actor = 'system', client } = {}) => {
+    const cancel = async (transactionClient) => {
+        const result = await transactionClient.query(`
+            UPDATE subscriptions
+            SET status = 'CANCELLED', cancelled_at = NOW(), cancellation_reason = $2, updated_at = NOW()
+            WHERE id = $1 AND status <> 'CANCELLED'
+            RETURNING ${SUBSCRIPTION_COLUMNS}
+        `, [subscriptionId, reason]);
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        await transactionClient.query(
+            "UPDATE billing_cycles SET status = 'VOID', updated_at = NOW() WHERE subscription_id = $1 AND status = 'DUE'",
+            [subscriptionId]
+        );
+
+        return result.rows[0];
+    };
+
+    const subscription = client ? await cancel(client) : await dbPoolManager.executeTransaction(cancel);
+
+    if (subscription) {
+        publishSubscriptionEvent('subscription_cancelled', {
+            subscriptionId: subscription.id,
+            userId: subscription.user_id,
+            planId: subscription.plan_id,
+            reason,
+            cancelledBy: actor
+        });
+    }
+
+    return subscription;
+};
+
+/**
+ * Payment an earlier run created for a charge attempt. Billing creates payments without an explicit
+ * scope, so their keys belong to the subscriber.
+ */
+const findAttemptPayment = async (userId, idempotencyKey) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT id, status
+        FROM payments
+        WHERE idempotency_scope = $1 AND idempotency_key = $2
+    `, [`user:${userId}`, idempotencyKey]);
+
+    return result.rows[0] || null;
+};
+
+/**
+ * Charge result for an attempt whose payment already exists, read from the payment's status.
+ * Open payments leave the cycle PROCESSING for settleProcessingCycles once the gateway (or the stale
+ * payment reconciler) decides them.
+ */
+const resumeAttempt = (payment) => {
+    if (COLLECTED_PAYMENT_STATUSES.includes(payment.status)) {
+        return { success: true, status: 'SUCCEEDED', paymentId: payment.id };
+    }
+
+    if (payment.status === 'PENDING' || payment.status === 'AUTHORIZED') {
+        return { success: true, status: 'PENDING', paymentId: payment.id };
+    }
+
+    return {
+        success: false,
+        paymentId: payment.id,
+        error: { code: 'PAYMENT_FAILED', message: `Payment ${payment.status.toLowerCase()}` }
+    };
+};
+
+/**
+ * Create a payment for a billing cycle and charge the saved payment method
+ * @returns {Object} processPayment result plus paymentId (null when no payment could be created)
+ */
+const chargeCycle = async (cycle, paymentMethod, attempt) => {
+    const orderId = `subscription_${cycle.subscription_id}`;
+    const idempotencyKey = `sub_${cycle.id}_${attempt}`;
+    const metadata = {
+        subscription_id: cycle.subscription_id,
+        billing_cycle_id: cycle.id,
+        billing_kind: cycle.kind
+    };
+
+    // Each attempt gets its own key, so an attempt that already created a payment is never charged twice
+    const created = await dbPoolManager.executeWrite(
+        'SELECT * FROM create_payment_with_history($1, $2, $3, $4, $5, $6, $7, $8)',
+        [cycle.user_id, orderId, cycle.amount, cycle.currency, JSON.stringify({}), idempotencyKey, false, JSON.stringify(metadata)]
+    );
+    const payment = created.rows[0];
+
+    if (!payment?.success) {
+        // A run that stopped after creating (and maybe charging) this attempt's payment left it behind
+        const existing = await findAttemptPayment(cycle.user_id, idempotencyKey);
+        if (existing) {
+            return resumeAttempt(existing);
+        }
+
+        return {
+            success: false,
+            paymentId: null,
+            error: { code: 'PAYMENT_CREATION_FAILED', message: payment?.error_message || 'Failed to create payment' }
+        };
+    }
+
+    const result = await processPayment({
+        userId: cycle.user_id,
+        orderId,
+        amount: cycle.amount,
+        currency: cycle.currency,
+        metadata: { ...metadata, payment_id: payment.payment_id },
+        idempotencyKey,
+        gateway: paymentMethod.gateway,
+        paymentMethod
+    });
+
+    const settlement = result.success ? await getSettlementFields(cycle.amount, cycle.currency) : {};
+
+    await transitionPayment(payment.payment_id, result.success ? result.status : 'FAILED', {
+        reason: result.success
+            ? `Subscription ${cycle.kind.toLowerCase()} charged with ${result.gateway}`
+            : result.error?.message || 'Subscription charge failed',
+        actor: 'subscriptions',
+        gatewayResponse: result.success ? result.gatewayResponse : result.error,
+        fields: { gateway: paymentMethod.gateway, payment_method_id: paymentMethod.id, ...settlement }
+    });
+
+    return { ...result, paymentId: payment.payment_id };
+};
+
+/**
+ * Mark a cycle paid and move the subscription onto the period (renewal) or plan (proration) it paid for
+ */
+const completeCycle = async (cycle, { attempts, paymentId }) => {
+    const subscription = await dbPoolManager.executeTransaction(async (client) => {
+        const cycleResult = await client.query(`
+            UPDATE billing_cycles
+            SET status = 'PAID', attempts = $2, payment_id = COALESCE($3, payment_id), paid_at = NOW(),
+                last_error = NULL, updated_at = NOW()
+            WHERE id = $1 AND status IN ('DUE', 'PROCESSING')
+            RETURNING id
+        `, [cycle.id, attempts, paymentId]);
+
+        if (cycleResult.rows.length === 0) {
+            return null;
+        }
+
+        const subscriptionResult = cycle.kind === 'PRORATION'
+            ? await client.query(`
+                UPDATE subscriptions SET plan_id = $2, updated_at = NOW()
+                WHERE id = $1 AND status <> 'CANCELLED'
+                RETURNING ${SUBSCRIPTION_COLUMNS}
+            `, [cycle.subscription_id, cycle.plan_id])
+            : await client.query(`
+                UPDATE subscriptions
+                SET status = 'ACTIVE', plan_id = $2, current_period_start = $3, current_period_end = $4, updated_at = NOW()
+                WHERE id = $1 AND status <> 'CANCELLED'
+                RETURNING ${SUBSCRIPTION_COLUMNS}
+            `, [cycle.subscription_id, cycle.plan_id, cycle.period_start, cycle.period_end]);
+
+        return subscriptionResult.rows[0] || null;
+    });
+
+    if (subscription && cycle.kind === 'RENEWAL') {
+        publishSubscriptionEvent('subscription_renewed', {
+            subscriptionId: subscription.id,
+            userId: subscription.user_id,
+            planId: subscription.plan_id,
+            billingCycleId: cycle.id,
+            paymentId: paymentId || cycle.payment_id || null,
+            amount: cycle.amount,
+            currency: cycle.currency,
+            periodStart: subscription.current_period_start,
+            periodEnd: subscription.current_period_end
+        });
+    }
+
+    return { outcome: 'PAID', subscription };
+};
+
+/**
+ * Record a failed charge. Renewals are retried on the dunning schedule and cancel the subscription
+ * when it runs out; a failed proration simply leaves the subscription on its current plan.
+ */
+const failCycle = async (cycle, { attempts, paymentId, error }) => {
+    const message = error?.message || 'Charge failed';
+    const retryDelayHours = cycle.kind === 'RENEWAL'
+        ? SUBSCRIPTION_BILLING_CONFIG.DUNNING_SCHEDULE_HOURS[attempts - 1]
+        : undefined;
+
+    if (retryDelayHours === undefined) {
+        const exhausted = cycle.kind === 'RENEWAL';
+
+        await dbPoolManager.executeTransaction(async (client) => {
+            await client.query(`
+                UPDATE billing_cycles
+                SET status = 'FAILED', attempts = $2, payment_id = COALESCE($3, payment_id), last_error = $4, updated_at = NOW()
+                WHERE id = $1
+            `, [cycle.id, attempts, paymentId, message]);
+
+            if (exhausted) {
+                await endSubscription(cycle.subscription_id, {
+                    reason: `Renewal payment failed after ${attempts} attempt(s): ${message}`,
+                    client
+                });
+            }
+        });
+
+        return { outcome: 'FAILED', error };
+    }
+
+    const nextAttemptAt = new Date(Date.now() + retryDelayHours * 60 * 60 * 1000);
+
+    const becamePastDue = await dbPoolManager.executeTransaction(async (client) => {
+        await client.query(`
+            UPDATE billing_cycles
+            SET status = 'DUE', attempts = $2, payment_id = COALESCE($3, payment_id), last_error = $4,
+                due_at = $5, updated_at = NOW()
+            WHERE id = $1
+        `, [cycle.id, attempts, paymentId, message, nextAttemptAt]);
+
+        const subscriptionResult = await client.query(`
+            UPDATE subscriptions SET status = 'PAST_DUE', updated_at = NOW()
+            WHERE id = $1 AND status IN ('TRIALING', 'ACTIVE')
+            RETURNING id
+        `, [cycle.subscription_id]);
+
+        return subscriptionResult.rows.length > 0;
+    });
+
+    if (becamePastDue) {
+        publishSubscriptionEvent('subscription_past_due', {
+            subscriptionId: cycle.subscription_id,
+            userId: cycle.user_id,
+            planId: cycle.plan_id,
+            billingCycleId: cycle.id,
+            amount: cycle.amount,
+            currency: cycle.currency,
+            attempts,
+            nextAttemptAt: nextAttemptAt.toISOString(),
+            error: message
+        });
+    }
+
+    return { outcome: 'RETRY_SCHEDULED', nextAttemptAt, error };
+};
+
+/**
+ * Charge one billing cycle against its subscription's saved payment method
+ * @param {Object} cycle - Billing cycle row joined with the subscription's user_id and payment_method_id
+ * @returns {Object} { outcome: 'PAID' | 'PROCESSING' | 'RETRY_SCHEDULED' | 'FAILED', ... }
+ */
+export const chargeBillingCycle = async (cycle) => {
+    const attempts = cycle.attempts + 1;
+
+    // Fully covered by credit from an earlier downgrade
+    if (cycle.amount === 0) {
+        return await completeCycle(cycle, { attempts: cycle.attempts, paymentId: null });
+    }
+
+    const methodResult = await getChargeablePaymentMethod(cycle.user_id, cycle.payment_method_id);
+    if (!methodResult.success) {
+        return await failCycle(cycle, { attempts, paymentId: null, error: methodResult.error });
+    }
+
+    const result = await chargeCycle(cycle, methodResult.data, attempts);
+
+    if (!result.success) {
+        return await failCycle(cycle, { attempts, paymentId: result.paymentId, error: result.error });
+    }
+
+    if (result.status === 'SUCCEEDED') {
+        return await completeCycle(cycle, { attempts, paymentId: result.paymentId });
+    }
+
+    // The gateway has not decided yet; settleProcessingCycles picks the outcome up from the payment
+    await dbPoolManager.executeWrite(`
+        UPDATE billing_cycles
+        SET status = 'PROCESSING', attempts = $2, payment_id = $3, updated_at = NOW()
+        WHERE id = $1
+    `, [cycle.id, attempts, result.paymentId]);
+
+    return { outcome: 'PROCESSING', paymentId: result.paymentId };
+};
+
+/**
+ * Open the next billing cycle for subscriptions whose period has ended, or cancel them when they
+ * were set to cancel at period end. Credit from downgrades is deducted from the renewal amount.
+ */
+const openRenewals = async (summary) => {
+    const dueResult = await dbPoolManager.executeRead(`
+        SELECT s.id, s.user_id, s.plan_id, s.current_period_end, s.cancel_at_period_end, s.cancellation_reason,
+               s.credit_balance,
+               p.amount, p.currency, p.billing_interval, p.interval_count
+        FROM subscriptions s
+        JOIN subscription_plans p ON p.id = s.plan_id
+        WHERE s.status IN ('TRIALING', 'ACTIVE')
+          AND s.current_period_end <= NOW()
+          AND NOT EXISTS (
+              SELECT 1 FROM billing_cycles c
+              WHERE c.subscription_id = s.id AND c.status IN ('DUE', 'PROCESSING')
+          )
+        ORDER BY s.current_period_end
+        LIMIT $1
+    `, [SUBSCRIPTION_BILLING_CONFIG.BATCH_SIZE]);
+
+    for (const subscription of dueResult.rows) {
+        if (subscription.cancel_at_period_end) {
+            await endSubscription(subscription.id, {
+                reason: subscription.cancellation_reason || 'Cancelled at period end'
+            });
+            summary.cancelled++;
+            continue;
+        }
+
+        const periodEnd = addBillingInterval(subscription.current_period_end, subscription.billing_interval, subscription.interval_count);
+        const creditUsed = Math.min(subscription.credit_balance, subscription.amount);
+
+        await dbPoolManager.executeTransaction(async (client) => {
+            const inserted = await client.query(`
+                INSERT INTO billing_cycles (subscription_id, plan_id, kind, period_start, period_end, amount, currency, due_at)
+                VALUES ($1, $2, 'RENEWAL', $3, $4, $5, $6, $3)
+                ON CONFLICT (subscription_id, kind, period_start) DO NOTHING
+                RETURNING id
+            `, [subscription.id, subscription.plan_id, subscription.current_period_end, periodEnd,
+                subscription.amount - creditUsed, subscription.currency]);
+
+            if (inserted.rows.length > 0 && creditUsed > 0) {
+                await client.query(
+                    'UPDATE subscriptions SET credit_balance = credit_balance - $2, updated_at = NOW() WHERE id = $1',
+                    [subscription.id, creditUsed]
+                );
+            }
+        });
+
+        summary.opened++;
+    }
+};
+
+/**
+ * Resolve cycles whose charge the gateway left pending once the payment has a final status
+ */
+const settleProcessingCycles = async (summary) => {
+    const settledResult = await dbPoolManager.executeRead(`
+        SELECT ${CHARGEABLE_CYCLE_COLUMNS}, pay.status AS payment_status, pay.gateway_response
+        FROM billing_cycles c
+        JOIN subscriptions s ON s.id = c.subscription_id
+        JOIN payments pay ON pay.id = c.payment_id
+        WHERE c.status = 'PROCESSING' AND pay.status NOT IN ('PENDING', 'AUTHORIZED')
+        LIMIT $1
+    `, [SUBSCRIPTION_BILLING_CONFIG.BATCH_SIZE]);
+
+    for (const cycle of settledResult.rows) {
+        const outcome = COLLECTED_PAYMENT_STATUSES.includes(cycle.payment_status)
+            ? await completeCycle(cycle, { attempts: cycle.attempts, paymentId: cycle.payment_id })
+            : await failCycle(cycle, {
+                attempts: cycle.attempts,
+                paymentId: cycle.payment_id,
+                error: { message: `Payment ${cycle.payment_status.toLowerCase()}` }
+            });
+
+        summary[outcome.outcome === 'PAID' ? 'paid' : 'failed']++;
+    }
+};
+
+/**
+ * Charge cycles that are due, including dunning retries
+ */
+const chargeDueCycles = async (summary) => {
+    const dueResult = await dbPoolManager.executeRead(`
+        SELECT ${CHARGEABLE_CYCLE_COLUMNS}
+        FROM billing_cycles c
+        JOIN subscriptions s ON s.id = c.subscription_id
+        WHERE c.status = 'DUE' AND c.due_at <= NOW() AND s.status <> 'CANCELLED'
+        ORDER BY c.due_at
+        LIMIT $1
+    `, [SUBSCRIPTION_BILLING_CONFIG.BATCH_SIZE]);
+
+    for (const cycle of dueResult.rows) {
+        summary.charged++;
+        try {
+            const result = await chargeBillingCycle(cycle);
+            if (result.outcome === 'PAID') summary.paid++;
+            else if (result.outcome === 'PROCESSING') summary.processing++;
+            else summary.failed++;
+        } catch (error) {
+            summary.failed++;
+            console.error(`Billing cycle ${cycle.id} could not be charged:`, error.message);
+        }
+    }
+};
+
+/**
+ * Run one billing pass. Holds an advisory lock so replicas do not charge twice.
+ * A pass that starts while this replica's previous one is still going is dropped (outcome
+ * 'overrun'); both are logged and counted in subscription_billing_runs_total.
+ * @returns {Object} Run summary
+ */
+export const runSubscriptionBilling = async () => {
+    const summary = { outcome: 'completed', opened: 0, cancelled: 0, charged: 0, paid: 0, processing: 0, failed: 0 };
+
+    if (runningSince !== null) {
+        summary.outcome = 'overrun';
+        console.warn(
+            `Subscription billing run skipped: the previous run has been going for ${Math.round((Date.now() - runningSince) / 1000)}s,` +
+            ` longer than the ${SUBSCRIPTION_BILLING_CONFIG.INTERVAL_MS / 1000}s interval`
+        );
+        recordSubscriptionBillingRun(summary);
+        return summary;
+    }
+
+    const startTime = Date.now();
+    runningSince = startTime;
+    try {
+        const { acquired } = await withAdvisoryLock(SUBSCRIPTION_BILLING_LOCK_KEY, async () => {
+            await settleProcessingCycles(summary);
+            await openRenewals(summary);
+            await chargeDueCycles(summary);
+        });
+        if (!acquired) {
+            summary.outcome = 'skipped';
+        }
+    } catch (error) {
+        console.error('Subscription billing run failed:', error.message);
+        summary.outcome = 'failed';
+    } finally {
+        runningSince = null;
+    }
+
+    summary.durationSeconds = (Date.now() - startTime) / 1000;
+    recordSubscriptionBillingRun(summary);
+
+    if (summary.durationSeconds * 1000 > SUBSCRIPTION_BILLING_CONFIG.INTERVAL_MS) {
+        console.warn(`Subscription billing run took ${Math.round(summary.durationSeconds)}s, longer than the ${SUBSCRIPTION_BILLING_CONFIG.INTERVAL_MS / 1000}s interval`);
+    }
+    if (summary.opened > 0 || summary.charged > 0 || summary.cancelled > 0 || summary.outcome === 'failed') {
+        console.log('Subscription billing run finished:', summary);
+    }
+
+    return summary;
+};
+
+/**
+ * Start billing subscriptions on this replica
+ */
+export const startSubscriptionBilling = () => {
+    if (billingTimer) return;
+
+    billingTimer = setInterval(runSubscriptionBilling, SUBSCRIPTION_BILLING_CONFIG.INTERVAL_MS);
+    console.log(`Subscription billing scheduled every ${SUBSCRIPTION_BILLING_CONFIG.INTERVAL_MS / 1000}s`);
+};
+
+/**
+ * Stop billing subscriptions
+ */
+export const stopSubscriptionBilling = () => {
+    if (billingTimer) {
+        clearInterval(billingTimer);
+        billingTimer = null;
+    }
+};
+
+export default {
+    addBillingInterval,
+    calculateProration,
+    endSubscription,
+    chargeBillingCycle,
+    runSubscriptionBilling,
+    startSubscriptionBilling,
+    stopSubscriptionBilling
+};
@@ -0,0 +1,442 @@
+/**
+ * Subscription Service
+ * Plans and the customer-facing subscription lifecycle: subscribing with a saved payment method,
+ * switching plans with proration, changing the payment method and cancelling.
+ * Charging and dunning live in subscriptionBilling.js.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { validateAmount } from '../config/currencies.js';
+import { getChargeablePaymentMethod } from './paymentMethodService.js';
+import {
+    SUBSCRIPTION_COLUMNS,
+    addBillingInterval,
+    calculateProration,
+    chargeBillingCycle,
+    endSubscription
+} from './subscriptionBilling.js';
+
+export const BILLING_INTERVALS = ['DAY', 'WEEK', 'MONTH', 'YEAR'];
+
+// Statuses in which a subscription can switch plans
+const CHANGEABLE_STATUSES = ['TRIALING', 'ACTIVE'];
+
+const PLAN_COLUMNS = `id, code, name, amount, currency, billing_interval, interval_count, trial_days, is_active,
+    metadata, created_at, updated_at`;
+
+const BILLING_CYCLE_COLUMNS = `id, subscription_id, plan_id, kind, period_start, period_end, amount, currency, status,
+    attempts, due_at, payment_id, last_error, paid_at, created_at, updated_at`;
+
+const failure = (code, message, details) => ({ success: false, error: { code, message, details } });
+
+const subscriptionNotFound = (subscriptionId) =>
+    failure('SUBSCRIPTION_NOT_FOUND', 'Subscription not found', `No subscription found with ID: ${subscriptionId}`);
+
+const planNotFound = (planId) =>
+    failure('PLAN_NOT_FOUND', 'Plan not found', `No active plan found with ID: ${planId}`);
+
+export const formatPlan = (row) => ({
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    amount: row.amount,
+    currency: row.currency,
+    interval: row.billing_interval,
+    intervalCount: row.interval_count,
+    trialDays: row.trial_days,
+    isActive: row.is_active,
+    metadata: row.metadata,
+    createdAt: row.created_at
+});
+
+export const formatSubscription = (row) => ({
+    id: row.id,
+    userId: row.user_id,
+    planId: row.plan_id,
+    paymentMethodId: row.payment_method_id,
+    status: row.status,
+    currentPeriodStart: row.current_period_start,
+    currentPeriodEnd: row.current_period_end,
+    cancelAtPeriodEnd: row.cancel_at_period_end,
+    creditBalance: row.credit_balance,
+    cancelledAt: row.cancelled_at,
+    cancellationReason: row.cancellation_reason,
+    metadata: row.metadata,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+export const formatBillingCycle = (row) => ({
+    id: row.id,
+    planId: row.plan_id,
+    kind: row.kind,
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    amount: row.amount,
+    currency: row.currency,
+    status: row.status,
+    attempts: row.attempts,
+    dueAt: row.due_at,
+    paymentId: row.payment_id,
+    lastError: row.last_error,
+    paidAt: row.paid_at
+});
+
+/**
+ * List plans, active ones only unless includeInactive is set
+ */
+export const listPlans = async ({ includeInactive = false } = {}) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT ${PLAN_COLUMNS}
+        FROM subscription_plans
+        WHERE $1 OR is_active
+        ORDER BY amount, code
+    `, [includeInactive]);
+
+    return result.rows;
+};
+
+/**
+ * Create a plan
+ * @param {Object} plan - { code, name, amount, currency, interval, intervalCount, trialDays, metadata }
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const createPlan = async ({ code, name, amount, currency, interval, intervalCount = 1, trialDays = 0, metadata = {} }) => {
+    if (!code || !name || !currency) {
+        return failure('VALIDATION_ERROR', 'Missing required fields', 'code, name, amount, currency and interval are required');
+    }
+    // Plan prices are charged as-is each period, so they must be valid charges in the plan currency
+    const amountCheck = validateAmount(amount, currency);
+    if (!amountCheck.success) {
+        return failure('VALIDATION_ERROR', amountCheck.error.message, amountCheck.error.details);
+    }
+    if (!BILLING_INTERVALS.includes(interval)) {
+        return failure('VALIDATION_ERROR', 'Invalid interval', `interval must be one of ${BILLING_INTERVALS.join(', ')}`);
+    }
+    if (!Number.isInteger(intervalCount) || intervalCount <= 0 || !Number.isInteger(trialDays) || trialDays < 0) {
+        return failure('VALIDATION_ERROR', 'Invalid interval count or trial', 'intervalCount must be positive and trialDays zero or more');
+    }
+
+    try {
+        const result = await dbPoolManager.executeWrite(`
+            INSERT INTO subscription_plans (code, name, amount, currency, billing_interval, interval_count, trial_days, metadata)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING ${PLAN_COLUMNS}
+        `, [code, name, amount, currency, interval, intervalCount, trialDays, JSON.stringify(metadata)]);
+
+        return { success: true, data: result.rows[0] };
+    } catch (error) {
+        if (error.code === '23505') {
+            return failure('PLAN_CODE_TAKEN', 'Plan code already exists', `A plan with code ${code} already exists`);
+        }
+        throw error;
+    }
+};
+
+const findActivePlan = async (planId) => {
+    const result = await dbPoolManager.executeRead(
+        `SELECT ${PLAN_COLUMNS} FROM subscription_plans WHERE id = $1 AND is_active`,
+        [planId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * List a user's subscriptions, newest first
+ */
+export const listSubscriptions = async (userId) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT ${SUBSCRIPTION_COLUMNS}
+        FROM subscriptions
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+    `, [userId]);
+
+    return result.rows;
+};
+
+/**
+ * Load one of a user's subscriptions
+ * @returns {Object|null} Subscription row, or null when it does not exist or belongs to someone else
+ */
+export const getSubscription = async (userId, subscriptionId) => {
+    const result = await dbPoolManager.executeRead(
+        `SELECT ${SUBSCRIPTION_COLUMNS} FROM subscriptions WHERE id = $1 AND user_id = $2`,
+        [subscriptionId, userId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Billing history of a subscription, newest first
+ */
+export const listBillingCycles = async (subscriptionId) => {
+    const result = await dbPoolManager.executeRead(`
+        SELECT ${BILLING_CYCLE_COLUMNS}
+        FROM billing_cycles
+        WHERE subscription_id = $1
+        ORDER BY period_start DESC, created_at DESC
+    `, [subscriptionId]);
+
+    return result.rows;
+};
+
+/**
+ * Insert a billing cycle and return it in the shape chargeBillingCycle expects
+ */
+const insertCycle = async (client, subscription, { planId, kind, periodStart, periodEnd, amount, currency }) => {
+    const result = await client.query(`
+        INSERT INTO billing_cycles (subscription_id, plan_id, kind, period_start, period_end, amount, currency, due_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+        RETURNING id, subscription_id, plan_id, kind, period_start, period_end, amount, currency, attempts, payment_id
+    `, [subscription.id, planId, kind, periodStart, periodEnd, amount, currency]);
+
+    return { ...result.rows[0], user_id: subscription.user_id, payment_method_id: subscription.payment_method_id };
+};
+
+/**
+ * Subscribe a user to a plan. Plans with a trial start TRIALING and are first charged when the trial
+ * ends; others charge the first period immediately (a failed first charge enters dunning like a renewal).
+ * @param {Object} options - { userId, planId, paymentMethodId, metadata }
+ * @returns {Object} { success, data: { subscription, billing } } or { success: false, error }
+ */
+export const createSubscription = async ({ userId, planId, paymentMethodId, metadata = {} }) => {
+    const plan = await findActivePlan(planId);
+    if (!plan) {
+        return planNotFound(planId);
+    }
+
+    const methodResult = await getChargeablePaymentMethod(userId, paymentMethodId);
+    if (!methodResult.success) {
+        return methodResult;
+    }
+
+    const now = new Date();
+    const trialing = plan.trial_days > 0;
+    const periodEnd = trialing
+        ? addBillingInterval(now, 'DAY', plan.trial_days)
+        : addBillingInterval(now, plan.billing_interval, plan.interval_count);
+
+    const { subscription, cycle } = await dbPoolManager.executeTransaction(async (client) => {
+        // Without a trial the subscription has no paid period until the first cycle is paid
+        const subscriptionResult = await client.query(`
+            INSERT INTO subscriptions (user_id, plan_id, payment_method_id, status, current_period_start, current_period_end, metadata)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING ${SUBSCRIPTION_COLUMNS}
+        `, [userId, plan.id, paymentMethodId, trialing ? 'TRIALING' : 'ACTIVE', now, trialing ? periodEnd : now, JSON.stringify(metadata)]);
+
+        const created = subscriptionResult.rows[0];
+        if (trialing) {
+            return { subscription: created, cycle: null };
+        }
+
+        return {
+            subscription: created,
+            cycle: await insertCycle(client, created, {
+                planId: plan.id,
+                kind: 'RENEWAL',
+                periodStart: now,
+                periodEnd,
+                amount: plan.amount,
+                currency: plan.currency
+            })
+        };
+    });
+
+    if (!cycle) {
+        return { success: true, data: { subscription, billing: null } };
+    }
+
+    const billing = await chargeBillingCycle(cycle);
+
+    return {
+        success: true,
+        data: {
+            subscription: await getSubscription(userId, subscription.id),
+            billing
+        }
+    };
+};
+
+/**
+ * Move a subscription to another plan for the rest of the current period.
+ * Upgrades charge the prorated difference now and switch once it is paid; downgrades switch now and
+ * keep the prorated difference as credit for the next renewal. Trials switch without proration.
+ * @param {Object} options - { userId, subscriptionId, planId, now }
+ * @returns {Object} { success, data: { subscription, proration, billing } } or { success: false, error }
+ */
+export const changeSubscriptionPlan = async ({ userId, subscriptionId, planId, now = new Date() }) => {
+    const subscription = await getSubscription(userId, subscriptionId);
+    if (!subscription) {
+        return subscriptionNotFound(subscriptionId);
+    }
+
+    if (!CHANGEABLE_STATUSES.includes(subscription.status)) {
+        return failure('SUBSCRIPTION_NOT_CHANGEABLE', 'Subscription cannot change plans',
+            `Subscription status: ${subscription.status}`);
+    }
+
+    if (subscription.plan_id === planId) {
+        return failure('PLAN_UNCHANGED', 'Subscription is already on this plan', `Plan: ${planId}`);
+    }
+
+    const [currentPlanResult, newPlan] = await Promise.all([
+        dbPoolManager.executeRead(`SELECT ${PLAN_COLUMNS} FROM subscription_plans WHERE id = $1`, [subscription.plan_id]),
+        findActivePlan(planId)
+    ]);
+    const currentPlan = currentPlanResult.rows[0];
+
+    if (!newPlan) {
+        return planNotFound(planId);
+    }
+
+    if (newPlan.currency !== currentPlan.currency) {
+        return failure('PLAN_CURRENCY_MISMATCH', 'Plans are billed in different currencies',
+            `Current plan is billed in ${currentPlan.currency}, new plan in ${newPlan.currency}`);
+    }
+
+    const openCycles = await dbPoolManager.executeRead(
+        "SELECT 1 FROM billing_cycles WHERE subscription_id = $1 AND status IN ('DUE', 'PROCESSING') LIMIT 1",
+        [subscriptionId]
+    );
+    if (openCycles.rows.length > 0) {
+        return failure('BILLING_IN_PROGRESS', 'A charge for this subscription is still open',
+            'Wait for the current charge to settle before changing plans');
+    }
+
+    const proration = subscription.status === 'TRIALING'
+        ? null
+        : calculateProration({
+            currentAmount: currentPlan.amount,
+            newAmount: newPlan.amount,
+            periodStart: subscription.current_period_start,
+            periodEnd: subscription.current_period_end,
+            now
+        });
+
+    if (!proration || proration.net <= 0) {
+        const credit = proration ? -proration.net : 0;
+        const result = await dbPoolManager.executeWrite(`
+            UPDATE subscriptions
+            SET plan_id = $2, credit_balance = credit_balance + $3, updated_at = NOW()
+            WHERE id = $1
+            RETURNING ${SUBSCRIPTION_COLUMNS}
+        `, [subscriptionId, newPlan.id, credit]);
+
+        return { success: true, data: { subscription: result.rows[0], proration, billing: null } };
+    }
+
+    const cycle = await dbPoolManager.executeTransaction((client) => insertCycle(client, subscription, {
+        planId: newPlan.id,
+        kind: 'PRORATION',
+        periodStart: now,
+        periodEnd: subscription.current_period_end,
+        amount: proration.net,
+        currency: newPlan.currency
+    }));
+
+    const billing = await chargeBillingCycle(cycle);
+
+    if (billing.outcome === 'FAILED') {
+        return failure('PRORATION_CHARGE_FAILED', 'The prorated upgrade could not be charged', billing.error);
+    }
+
+    return {
+        success: true,
+        data: {
+            subscription: await getSubscription(userId, subscriptionId),
+            proration,
+            billing
+        }
+    };
+};
+
+/**
+ * Switch the saved payment method a subscription is billed to. A past due renewal is retried
+ * on the next billing run instead of waiting for its next dunning attempt.
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const updateSubscriptionPaymentMethod = async ({ userId, subscriptionId, paymentMethodId }) => {
+    const subscription = await getSubscription(userId, subscriptionId);
+    if (!subscription) {
+        return subscriptionNotFound(subscriptionId);
+    }
+
+    if (subscription.status === 'CANCELLED') {
+        return failure('SUBSCRIPTION_CANCELLED', 'Subscription has been cancelled', `Subscription ${subscriptionId} is cancelled`);
+    }
+
+    const methodResult = await getChargeablePaymentMethod(userId, paymentMethodId);
+    if (!methodResult.success) {
+        return methodResult;
+    }
+
+    const updated = await dbPoolManager.executeTransaction(async (client) => {
+        const result = await client.query(`
+            UPDATE subscriptions SET payment_method_id = $2, updated_at = NOW()
+            WHERE id = $1
+            RETURNING ${SUBSCRIPTION_COLUMNS}
+        `, [subscriptionId, paymentMethodId]);
+
+        if (subscription.status === 'PAST_DUE') {
+            await client.query(
+                "UPDATE billing_cycles SET due_at = NOW(), updated_at = NOW() WHERE subscription_id = $1 AND status = 'DUE'",
+                [subscriptionId]
+            );
+        }
+
+        return result.rows[0];
+    });
+
+    return { success: true, data: updated };
+};
+
+/**
+ * Cancel a subscription, either at the end of the paid period or immediately.
+ * Past due subscriptions have no paid period left and are always cancelled immediately.
+ * @param {Object} options - { userId, subscriptionId, atPeriodEnd, reason }
+ * @returns {Object} { success, data } or { success: false, error }
+ */
+export const cancelSubscription = async ({ userId, subscriptionId, atPeriodEnd = true, reason }) => {
+    const subscription = await getSubscription(userId, subscriptionId);
+    if (!subscription) {
+        return subscriptionNotFound(subscriptionId);
+    }
+
+    if (subscription.status === 'CANCELLED') {
+        return failure('SUBSCRIPTION_CANCELLED', 'Subscription has already been cancelled',
+            `Cancelled at ${new Date(subscription.cancelled_at).toISOString()}`);
+    }
+
+    if (atPeriodEnd && CHANGEABLE_STATUSES.includes(subscription.status)) {
+        const result = await dbPoolManager.executeWrite(`
+            UPDATE subscriptions SET cancel_at_period_end = true, cancellation_reason = $2, updated_at = NOW()
+            WHERE id = $1
+            RETURNING ${SUBSCRIPTION_COLUMNS}
+        `, [subscriptionId, reason || null]);
+
+        return { success: true, data: result.rows[0] };
+    }
+
+    const cancelled = await endSubscription(subscriptionId, {
+        reason: reason || 'Cancelled by customer',
+        actor: userId
+    });
+
+    return { success: true, data: cancelled || await getSubscription(userId, subscriptionId) };
+};
+
+export default {
+    formatPlan,
+    formatSubscription,
+    formatBillingCycle,
+    listPlans,
+    createPlan,
+    listSubscriptions,
+    getSubscription,
+    listBillingCycles,
+    createSubscription,
+    changeSubscriptionPlan,
+    updateSubscriptionPaymentMethod,
+    cancelSubscription
+};
@@ -1,12 +1,36 @@
 /**
  * User Service Integration
- * Handles token verification with the user service
+ * Handles token verification with the user service. Signed JWTs are verified locally against the
+ * cached JWKS (services/jwksCache.js); opaque tokens are validated by the user service behind a
+ * circuit breaker, with successful results cached for a short TTL.
  */
 
+import crypto from 'crypto';
 import fetch from 'node-fetch';
+import { circuitBreakers } from '../utils/circuitBreaker.js';
+import { isJwt, verifyJwt, JwtVerificationError } from '../utils/jwt.js';
+import { isJwksConfigured, getSigningKey } from './jwksCache.js';
 
 const USER_SERVICE_BASE_URL = process.env.USER_SERVICE_URL || 'https://jong-tappable-darrin.ngrok-free.dev';
 
+const splitList = (value) => value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+
+// Token verification configuration
+export const TOKEN_CONFIG = {
+    // Remote validation results for opaque tokens; a revoked token stays usable for up to this long
+    CACHE_TTL_MS: parseInt(process.env.TOKEN_CACHE_TTL_MS) || 60000,
+    CACHE_MAX_ENTRIES: parseInt(process.env.TOKEN_CACHE_MAX_ENTRIES) || 10000,
+    JWT_ISSUER: process.env.JWT_ISSUER || null,
+    JWT_AUDIENCE: splitList(process.env.JWT_AUDIENCE),
+    JWT_ALGORITHMS: splitList(process.env.JWT_ALGORITHMS) || ['RS256', 'ES256', 'EdDSA'],
+    JWT_CLOCK_TOLERANCE_SECONDS: parseInt(process.env.JWT_CLOCK_TOLERANCE_SECONDS) || 30,
+    // Retry-After sent with 503s while the user service is down and the breaker hasn't opened
+    RETRY_AFTER_SECONDS: parseInt(process.env.USER_SERVICE_RETRY_AFTER_SECONDS) || 5
+};
+
+// sha256(token) -> { result, expiresAt }, in insertion order so the oldest entry is evicted first
+const tokenCache = new Map();
+
 /**
  * Generate random username and email when they're empty
  * @param {Object} userData - User data from token verification
@@ -24,95 +48,210 @@ const generateUserDetails = (userData) => {
     };
 };
 
+const validationFailed = (details, status) => ({
+    success: false,
+    error: {
+        code: 'TOKEN_VALIDATION_FAILED',
+        message: 'Token validation failed',
+        details,
+        ...(status !== undefined && { status })
+    }
+});
+
 /**
- * Verify token with user service
- * @param {string} token - The authorization token
- * @returns {Promise<Object>} - User details or error
+ * Seconds a client should wait before retrying: until the breaker half-opens, if it is open
  */
-export const verifyToken = async (token) => {
+const retryAfterSeconds = () => {
+    const { state, nextAttempt } = circuitBreakers.userService.getState();
+    return state === 'OPEN' && nextAttempt
+        ? Math.max(Math.ceil((nextAttempt - Date.now()) / 1000), 1)
+        : TOKEN_CONFIG.RETRY_AFTER_SECONDS;
+};
+
+const serviceUnavailable = (details) => ({
+    success: false,
+    error: {
+        code: 'USER_SERVICE_UNAVAILABLE',
+        message: 'Token validation service unavailable',
+        details,
+        retryAfter: retryAfterSeconds()
+    }
+});
+
+/**
+ * Build the verification result from user service data or JWT claims
+ */
+const verifiedUser = (userData) => {
+    const userDetails = generateUserDetails(userData);
+
+    return {
+        success: true,
+        user: {
+            id: userDetails.id.toString(), // Convert to string for consistency
+            username: userDetails.username,
+            email: userDetails.email,
+            name: userDetails.name,
+            phone: userDetails.phone,
+            // Used by middleware/authorization.js
+            roles: Array.isArray(userDetails.roles) ? userDetails.roles : [userDetails.role].filter(Boolean),
+            scopes: userDetails.scopes ?? userDetails.scope ?? []
+        },
+        data: userDetails
+    };
+};
+
+/**
+ * Map standard and user service JWT claims onto the user service's validate-token response shape
+ */
+const claimsToUserData = (claims) => ({
+    ...claims,
+    id: claims.sub,
+    username: claims.preferred_username ?? claims.username,
+    phone: claims.phone_number ?? claims.phone,
+    scopes: claims.scopes ?? claims.scope ?? claims.scp
+});
+
+/**
+ * Verify a signed JWT against the cached JWKS
+ */
+const verifyJwtLocally = async (token) => {
     try {
-        console.log(`Verifying token with user service: ${USER_SERVICE_BASE_URL}/api/users/validate-token/`);
-        
-        const response = await fetch(`${USER_SERVICE_BASE_URL}/api/users/validate-token/`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'ngrok-skip-browser-warning': 'true' // Skip ngrok browser warning
-            }
+        const { payload } = await verifyJwt(token, getSigningKey, {
+            algorithms: TOKEN_CONFIG.JWT_ALGORITHMS,
+            issuer: TOKEN_CONFIG.JWT_ISSUER,
+            audience: TOKEN_CONFIG.JWT_AUDIENCE,
+            clockToleranceSeconds: TOKEN_CONFIG.JWT_CLOCK_TOLERANCE_SECONDS
         });
 
-        let result;
-        try {
-            result = await response.json();
-        } catch (jsonError) {
-            console.error('JSON parsing error:', jsonError);
-            // If JSON parsing fails (e.g., HTML response), this is a validation failure
-            console.log('Invalid JSON response from user service - token validation failed');
-            
-            return {
-                success: false,
-                error: {
-                    code: 'TOKEN_VALIDATION_FAILED',
-                    message: 'Token validation failed',
-                    details: 'Invalid response from user service',
-                    status: response.status
-                }
-            };
+        if (payload.sub === undefined || payload.sub === null) {
+            return validationFailed({ reason: 'MISSING_SUBJECT', message: 'Token has no sub claim' });
         }
 
-        if (!response.ok) {
-            console.error('Token verification failed:', {
-                status: response.status,
-                error: result
-            });
-            
-            // Token validation failed - return error, don't proceed
-            return {
-                success: false,
-                error: {
-                    code: 'TOKEN_VALIDATION_FAILED',
-                    message: 'Token validation failed',
-                    details: result,
-                    status: response.status
-                }
-            };
+        return verifiedUser(claimsToUserData(payload));
+    } catch (error) {
+        if (error instanceof JwtVerificationError) {
+            return validationFailed({ reason: error.code, message: error.message });
         }
 
-        // Token validation passed - check if user details are complete
-        const userDetails = generateUserDetails(result);
-        
-        console.log('Token verification successful:', {
-            userId: userDetails.id,
-            username: userDetails.username,
-            email: userDetails.email
-        });
+        console.error('JWT verification error:', error.message);
+        return serviceUnavailable(error.message);
+    }
+};
 
-        return {
-            success: true,
-            user: {
-                id: userDetails.id.toString(), // Convert to string for consistency
-                username: userDetails.username,
-                email: userDetails.email,
-                name: userDetails.name,
-                phone: userDetails.phone
-            },
-            data: userDetails
-        };
+const cacheKey = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
+const getCachedResult = (key) => {
+    const entry = tokenCache.get(key);
+    if (!entry) {
+        return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+        tokenCache.delete(key);
+        return null;
+    }
+    return entry.result;
+};
+
+const cacheResult = (key, result) => {
+    tokenCache.delete(key);
+    while (tokenCache.size >= TOKEN_CONFIG.CACHE_MAX_ENTRIES) {
+        tokenCache.delete(tokenCache.keys().next().value);
+    }
+    tokenCache.set(key, { result, expiresAt: Date.now() + TOKEN_CONFIG.CACHE_TTL_MS });
+};
+
+/**
+ * Drop every cached remote validation result
+ */
+export const clearTokenCache = () => {
+    tokenCache.clear();
+};
+
+/**
+ * Call the user service's validate-token endpoint through the circuit breaker
+ * Network errors, timeouts and 5xx responses count as failures; a rejected token does not.
+ * @returns {Object} { status, ok, body } where body is null when the response isn't JSON
+ */
+const requestTokenValidation = (token) => circuitBreakers.userService.execute(async () => {
+    const response = await fetch(`${USER_SERVICE_BASE_URL}/api/users/validate-token/`, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'ngrok-skip-browser-warning': 'true' // Skip ngrok browser warning
+        }
+    });
+
+    if (response.status >= 500) {
+        throw new Error(`User service responded with status ${response.status}`);
+    }
+
+    let body = null;
+    try {
+        body = await response.json();
+    } catch (jsonError) {
+        console.error('JSON parsing error:', jsonError.message);
+    }
+
+    return { status: response.status, ok: response.ok, body };
+});
+
+/**
+ * Validate an opaque token with the user service, using the cached result when there is one
+ */
+const verifyTokenRemotely = async (token) => {
+    const key = cacheKey(token);
+    const cached = getCachedResult(key);
+    if (cached) {
+        return cached;
+    }
+
+    let response;
+    try {
+        response = await requestTokenValidation(token);
     } catch (error) {
-        console.error('Token verification error:', error);
-        
-        // Network errors or service unavailable - this is a validation failure
-        return {
-            success: false,
-            error: {
-                code: 'TOKEN_VALIDATION_FAILED',
-                message: 'Token validation service unavailable',
-                details: error.message
-            }
-        };
+        console.error('Token verification error:', error.message);
+        return serviceUnavailable(error.message);
+    }
+
+    if (response.body === null) {
+        // If JSON parsing fails (e.g., HTML response), this is a validation failure
+        console.log('Invalid JSON response from user service - token validation failed');
+        return validationFailed('Invalid response from user service', response.status);
+    }
+
+    if (!response.ok) {
+        console.error('Token verification failed:', {
+            status: response.status,
+            error: response.body
+        });
+        return validationFailed(response.body, response.status);
+    }
+
+    const result = verifiedUser(response.body);
+    console.log('Token verification successful:', {
+        userId: result.user.id,
+        username: result.user.username,
+        email: result.user.email
+    });
+
+    cacheResult(key, result);
+    return result;
+};
+
+/**
+ * Verify a bearer token
+ * JWTs are verified offline when JWKS_URL or JWKS_FILE is set; other tokens go to the user service.
+ * @param {string} token - The authorization token
+ * @returns {Promise<Object>} - User details or error. USER_SERVICE_UNAVAILABLE means the token
+ * couldn't be checked (user service down or signing keys not loaded), not that it is invalid.
+ */
+export const verifyToken = async (token) => {
+    if (isJwksConfigured() && isJwt(token)) {
+        return verifyJwtLocally(token);
     }
+
+    return verifyTokenRemotely(token);
 };
 
 /**
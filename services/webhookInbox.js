@@ -0,0 +1,440 @@
+/**
+ * Webhook Inbox Service
+ * Stores incoming gateway webhooks in the webhook_events table and applies them asynchronously.
+ * Routes only record and acknowledge events; workers/webhookProcessor.js does the processing.
+ */
+
+import dbPoolManager from '../db/connectionPool.js';
+import { getGateway, hasGateway } from '../gateways/index.js';
+import { handleWebhookEvent } from './paymentProcessor.js';
+import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
+import { publish } from '../messaging/queueSetup.js';
+import { applySucceededRefunds } from './refundService.js';
+import {
+    transitionPayment,
+    transitionRefund,
+    canTransitionRefund,
+    InvalidStateTransitionError
+} from './paymentStateMachine.js';
+
+// Routing key used to hand new inbox events to the webhook worker
+export const WEBHOOK_RECEIVED_TOPIC = 'webhook_received';
+
+// Events stuck in PROCESSING longer than this are assumed to belong to a crashed worker
+const PROCESSING_LEASE_MINUTES = 5;
+
+/**
+ * Store an incoming webhook event.
+ * Redeliveries of an event already in the inbox are reported as duplicates and not stored again.
+ */
+export const recordWebhookEvent = async (provider, event) => {
+    try {
+        if (!hasGateway(provider)) {
+            return {
+                success: false,
+                error: {
+                    code: 'UNKNOWN_GATEWAY',
+                    message: `Unknown gateway: ${provider}`
+                }
+            };
+        }
+
+        const eventId = getGateway(provider).getWebhookEventId(event);
+        if (!eventId) {
+            return {
+                success: false,
+                error: {
+                    code: 'INVALID_WEBHOOK_EVENT',
+                    message: 'Webhook event has no identifier',
+                    details: `Could not derive a ${provider} event ID from the payload`
+                }
+            };
+        }
+
+        const eventType = event.event || event.type || 'unknown';
+
+        const insertQuery = `
+            INSERT INTO webhook_events (provider, event_id, event_type, payload)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (provider, event_id) DO NOTHING
+            RETURNING id
+        `;
+
+        const result = await dbPoolManager.executeWrite(insertQuery, [
+            provider,
+            eventId,
+            eventType,
+            JSON.stringify(event)
+        ]);
+
+        if (result.rows.length === 0) {
+            console.log(`Duplicate ${provider} webhook ignored: ${eventId}`);
+            return {
+                success: true,
+                data: { eventId, duplicate: true }
+            };
+        }
+
+        return {
+            success: true,
+            data: { id: result.rows[0].id, eventId, eventType, duplicate: false }
+        };
+    } catch (error) {
+        console.error('Failed to record webhook event:', error);
+        return {
+            success: false,
+            error: {
+                code: 'WEBHOOK_RECORD_FAILED',
+                message: 'Failed to record webhook event',
+                details: error.message
+            }
+        };
+    }
+};
+
+/**
+ * Hand an inbox event to the webhook worker.
+ * Failure to publish is not fatal: the worker also sweeps the inbox for unprocessed events.
+ */
+export const enqueueWebhookEvent = (webhookEventId) => {
+    try {
+        publish(WEBHOOK_RECEIVED_TOPIC, { webhookEventId });
+        return true;
+    } catch (error) {
+        console.warn(`Failed to enqueue webhook event ${webhookEventId}, worker sweep will pick it up:`, error.message);
+        return false;
+    }
+};
+
+/**
+ * Process a stored webhook event.
+ * The row is claimed first so concurrent workers never apply the same event twice.
+ */
+export const processWebhookEvent = async (webhookEventId) => {
+    const claimQuery = `
+        UPDATE webhook_events
+        SET status = 'PROCESSING', attempts = attempts + 1, updated_at = NOW()
+        WHERE id = $1
+          AND (
+              status IN ('RECEIVED', 'FAILED')
+              OR (status = 'PROCESSING' AND updated_at < NOW() - INTERVAL '${PROCESSING_LEASE_MINUTES} minutes')
+          )
+        RETURNING id, provider, event_id, event_type, payload, attempts
+    `;
+
+    const claimResult = await dbPoolManager.executeWrite(claimQuery, [webhookEventId]);
+    if (claimResult.rows.length === 0) {
+        console.log(`Webhook event ${webhookEventId} already processed or in progress, skipping`);
+        return { success: true, skipped: true };
+    }
+
+    const webhookEvent = claimResult.rows[0];
+
+    try {
+        await applyWebhookEvent(webhookEvent.provider, webhookEvent.payload);
+
+        await dbPoolManager.executeWrite(`
+            UPDATE webhook_events
+            SET status = 'PROCESSED', last_error = NULL, processed_at = NOW(), updated_at = NOW()
+            WHERE id = $1
+        `, [webhookEvent.id]);
+
+        console.log(`Webhook event ${webhookEvent.id} (${webhookEvent.provider} ${webhookEvent.event_type}) processed`);
+        return { success: true };
+    } catch (error) {
+        console.error(`Webhook event ${webhookEvent.id} failed (attempt ${webhookEvent.attempts}):`, error.message);
+
+        await dbPoolManager.executeWrite(`
+            UPDATE webhook_events
+            SET status = 'FAILED', last_error = $2, updated_at = NOW()
+            WHERE id = $1
+        `, [webhookEvent.id, error.message]);
+
+        return {
+            success: false,
+            error: {
+                code: 'WEBHOOK_PROCESSING_FAILED',
+                message: 'Failed to process webhook event',
+                details: error.message
+            }
+        };
+    }
+};
+
+/**
+ * IDs of events that were received but never picked up (e.g. the broker was down when they arrived)
+ */
+export const getUnprocessedWebhookEventIds = async (olderThanSeconds = 30, limit = 100) => {
+    const query = `
+        SELECT id
+        FROM webhook_events
+        WHERE (status = 'RECEIVED' AND received_at < NOW() - make_interval(secs => $1))
+           OR (status = 'PROCESSING' AND updated_at < NOW() - INTERVAL '${PROCESSING_LEASE_MINUTES} minutes')
+        ORDER BY received_at
+        LIMIT $2
+    `;
+
+    const result = await dbPoolManager.executeRead(query, [olderThanSeconds, limit]);
+    return result.rows.map(row => row.id);
+};
+
+/**
+ * List inbox events for the admin endpoint
+ */
+export const listWebhookEvents = async ({ status, provider, limit = 50, offset = 0 } = {}) => {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+    if (provider) {
+        params.push(provider);
+        conditions.push(`provider = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await dbPoolManager.executeRead(
+        `SELECT COUNT(*) AS total FROM webhook_events ${whereClause}`,
+        params
+    );
+
+    params.push(limit, offset);
+    const result = await dbPoolManager.executeRead(`
+        SELECT id, provider, event_id, event_type, status, attempts, last_error,
+               received_at, processed_at, updated_at
+        FROM webhook_events
+        ${whereClause}
+        ORDER BY received_at DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return {
+        events: result.rows,
+        total: parseInt(countResult.rows[0].total)
+    };
+};
+
+/**
+ * Reset a failed event so the worker processes it again
+ */
+export const replayWebhookEvent = async (webhookEventId) => {
+    const result = await dbPoolManager.executeWrite(`
+        UPDATE webhook_events
+        SET status = 'RECEIVED', updated_at = NOW()
+        WHERE id = $1 AND status = 'FAILED'
+        RETURNING id, provider, event_id, event_type, status, attempts, last_error, received_at
+    `, [webhookEventId]);
+
+    if (result.rows.length === 0) {
+        const existing = await dbPoolManager.executeRead(
+            'SELECT id, status FROM webhook_events WHERE id = $1',
+            [webhookEventId]
+        );
+
+        return {
+            success: false,
+            error: existing.rows.length === 0
+                ? { code: 'WEBHOOK_EVENT_NOT_FOUND', message: 'Webhook event not found' }
+                : {
+                    code: 'WEBHOOK_EVENT_NOT_FAILED',
+                    message: 'Only failed webhook events can be replayed',
+                    details: `Webhook event is ${existing.rows[0].status}`
+                }
+        };
+    }
+
+    const queued = enqueueWebhookEvent(webhookEventId);
+
+    return {
+        success: true,
+        data: { ...result.rows[0], queued }
+    };
+};
+
+/**
+ * Apply a webhook payload to payments/refunds via the gateway adapter
+ */
+const applyWebhookEvent = async (provider, payload) => {
+    const update = await handleWebhookEvent(payload, provider);
+
+    if (update.success === false) {
+        if (update.error?.code === 'UNKNOWN_EVENT') {
+            // Nothing to apply for event types we do not track
+            return;
+        }
+        throw new Error(update.error?.message || 'Webhook handling failed');
+    }
+
+    if (update.type === 'payment_update') {
+        await updatePaymentByReference(provider, update.payment_id, update.status, update.gatewayResponse);
+    } else if (update.type === 'refund_update') {
+        if (update.status === 'PENDING') {
+            console.log(`Refund ${update.refundId} is pending`);
+            return;
+        }
+        await updateRefundByGatewayId(update.refundId, update.status, update.gatewayResponse);
+    }
+};
+
+/**
+ * Update payment by gateway reference.
+ * Paystack uses our idempotency key as its reference; other gateways store theirs in gateway_response.
+ */
+const updatePaymentByReference = async (gateway, reference, status, gatewayResponse) => {
+    const findQuery = `
+        SELECT id FROM payments
+        WHERE gateway = $2
+          AND (idempotency_key = $1 OR gateway_response->>'reference' = $1)
+        LIMIT 1
+    `;
+
+    const findResult = await dbPoolManager.executeRead(findQuery, [reference, gateway]);
+
+    if (findResult.rows.length === 0) {
+        throw new Error(`Payment not found for reference: ${reference}`);
+    }
+
+    await applyPaymentStatusChange(findResult.rows[0].id, status, gatewayResponse);
+};
+
+/**
+ * Apply a gateway-reported status change to a payment and publish payment_updated.
+ * The change goes through the payment state machine, so out-of-order notifications that would move
+ * a payment backwards (e.g. SUCCEEDED to PENDING) are logged and skipped rather than applied. A success
+ * reported for a cancelled payment is the exception: money moved, so it is raised instead of skipped.
+ * The gateway response is merged into the stored one, keeping the reference and checkout URL saved
+ * when the payment was initialized.
+ * Shared by webhook processing and the stale payment reconciler.
+ * @param {Object} options - { source, expectedStatus, reason } where expectedStatus makes the update
+ *                           conditional on the status the caller last saw
+ * @returns {boolean} Whether the payment was updated
+ */
+export const applyPaymentStatusChange = async (payment_id, status, gatewayResponse, options = {}) => {
+    const { source = 'webhook', expectedStatus = null, reason = null } = options;
+
+    let transition;
+    try {
+        transition = await transitionPayment(payment_id, status, {
+            reason: reason || `Gateway reported ${status} (${source})`,
+            actor: source,
+            expectedStatus,
+            gatewayResponse,
+            mergeGatewayResponse: true
+        });
+    } catch (error) {
+        if (error instanceof InvalidStateTransitionError) {
+            if (error.fromStatus === 'CANCELLED' && status === 'SUCCEEDED') {
+                await reportPaidAfterCancellation(payment_id, gatewayResponse, source);
+            }
+            console.warn(`Ignoring ${source} update for payment ${payment_id}: ${error.message}`);
+            return false;
+        }
+        throw error;
+    }
+
+    if (!transition) {
+        throw new Error(`Payment not found: ${payment_id}`);
+    }
+
+    if (!transition.applied) {
+        console.log(`Payment ${payment_id} is no longer ${expectedStatus}, skipping ${source} update`);
+        return false;
+    }
+
+    try {
+        await publishPaymentEvent('payment_updated', {
+            payment_id,
+            status,
+            gatewayResponse,
+            source
+        });
+    } catch (publishError) {
+        console.warn('Failed to publish payment event:', publishError.message);
+    }
+
+    console.log(`Payment ${payment_id} updated to ${status} via ${source}`);
+    return true;
+};
+
+/**
+ * A gateway took money for a payment we had already cancelled, e.g. a Paystack customer finishing checkout
+ * after the cancel, which Paystack cannot stop. The payment stays CANCELLED, so publish
+ * payment_paid_after_cancellation and throw, leaving the webhook event FAILED for review: the funds have
+ * to be refunded or the cancellation reversed by hand.
+ */
+const reportPaidAfterCancellation = async (payment_id, gatewayResponse, source) => {
+    try {
+        await publishPaymentEvent('payment_paid_after_cancellation', {
+            payment_id,
+            status: 'SUCCEEDED',
+            gatewayResponse,
+            source
+        });
+    } catch (publishError) {
+        console.warn('Failed to publish payment_paid_after_cancellation event:', publishError.message);
+    }
+
+    throw new Error(`Gateway reported payment ${payment_id} SUCCEEDED after it was cancelled; refund it or reverse the cancellation`);
+};
+
+/**
+ * Update refund by the gateway's refund ID.
+ * If the refund row is not found yet (the webhook raced our own write) this throws so the worker retries.
+ */
+const updateRefundByGatewayId = async (gatewayRefundId, status, gatewayResponse) => {
+    const findRefundQuery = `
+        SELECT id, payment_id, amount, status
+        FROM refunds
+        WHERE gateway_response->>'refund_id' = $1
+           OR gateway_response->>'id' = $1
+        ORDER BY created_at DESC
+        LIMIT 1
+    `;
+
+    const refundResult = await dbPoolManager.executeRead(findRefundQuery, [String(gatewayRefundId)]);
+
+    if (refundResult.rows.length === 0) {
+        throw new Error(`Refund not found for gateway refund ID: ${gatewayRefundId}`);
+    }
+
+    const refund = refundResult.rows[0];
+
+    // Duplicate deliveries and changes out of a final state are skipped
+    if (refund.status === status || !canTransitionRefund(refund.status, status)) {
+        console.log(`Refund ${refund.id} is ${refund.status}, skipping webhook update to ${status}`);
+        return;
+    }
+
+    await transitionRefund(refund.id, status, { gatewayResponse });
+
+    try {
+        await publishPaymentEvent('refund_updated', {
+            refund_id: refund.id,
+            status,
+            gatewayResponse,
+            source: 'webhook'
+        });
+    } catch (publishError) {
+        console.warn('Failed to publish refund event:', publishError.message);
+    }
+
+    console.log(`Refund ${refund.id} updated to ${status} via webhook`);
+
+    // Update payment status if refund succeeded
+    if (status === 'SUCCEEDED') {
+        await applySucceededRefunds(refund.payment_id, null, { actor: 'webhook' });
+    }
+};
+
+export default {
+    recordWebhookEvent,
+    applyPaymentStatusChange,
+    enqueueWebhookEvent,
+    processWebhookEvent,
+    getUnprocessedWebhookEventIds,
+    listWebhookEvents,
+    replayWebhookEvent
+};
@@ -12,10 +12,32 @@ import payments from "../routes/payments-integrated.js";
 import refunds from "../routes/refunds.js";
 import paymentHistory from "../routes/paymentHistory.js";
 import webhooks from "../routes/webhooks.js";
+import reconciliation from "../routes/reconciliation.js";
+import paymentMethods from "../routes/paymentMethods.js";
+import subscriptions from "../routes/subscriptions.js";
+import limits from "../routes/limits.js";
+import paymentReviews from "../routes/paymentReviews.js";
+import paymentLinks from "../routes/paymentLinks.js";
+import pay from "../routes/pay.js";
+import invoices from "../routes/invoices.js";
+import webhookEndpoints from "../routes/webhookEndpoints.js";
+import apiKeys from "../routes/apiKeys.js";
 import queueHealthRouter from "../routes/queueHealth.js";
 import testRouter from "../routes/test.js";
 import { connect } from "../messaging/queueSetup.js";
-import { validateToken, validateHttpMethod } from '../middleware/auth.js';
+import { startPaymentSyncWorker } from "../services/asyncPaymentProcessor.js";
+import { startPaymentReconciler } from "../services/paymentReconciler.js";
+import { startSettlementReconciliation } from "../services/settlementReconciliation.js";
+import { startAuthorizationVoider } from "../services/paymentCapture.js";
+import { startSubscriptionBilling } from "../services/subscriptionBilling.js";
+import { startFxRateRefresh } from "../services/fxRates.js";
+import { startPaymentLimitsRefresh } from "../services/paymentLimits.js";
+import { startInvoiceSettlement } from "../services/invoiceSettlement.js";
+import { startJwksRefresh } from "../services/jwksCache.js";
+import { startIdempotencyCleanup } from "../services/idempotencyStore.js";
+import { initializeRedis } from "../cache/redisClient.js";
+import { validateToken, validateHttpMethod, captureRawBody } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import('./../docs-server.js');
 
 import {
@@ -28,13 +50,22 @@ import {
   recordPaymentFailure,
   recordRefund,
   recordPaymentAmount,
+  recordReportingAmount,
   metricsMiddleware
 } from "./metrics.js"; // Metrics + tracing
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-app.use(bodyParser.json());
+// Behind a load balancer req.ip (API key allowlists, risk checks) must come from X-Forwarded-For;
+// TRUST_PROXY is a hop count, true, or a comma separated list of proxy addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
+
+// Keep the raw body around so webhook signatures can be verified
+app.use(bodyParser.json({ verify: captureRawBody }));
 
 // --------------------
 // Metrics & Tracing Middleware
@@ -62,19 +93,62 @@ app.use((req, res, next) => {
 
     // Payment amount (optional)
     if (req.paymentAmount) {
-      recordPaymentAmount(req.paymentAmount, method, route);
+      recordPaymentAmount(req.paymentAmount.amount, req.paymentAmount.currency, method, route);
+      if (req.paymentAmount.reportingAmount !== null && req.paymentAmount.reportingAmount !== undefined) {
+        recordReportingAmount(req.paymentAmount.reportingAmount, req.paymentAmount.reportingCurrency, method, route);
+      }
     }
   });
   next();
 });
 
+// --------------------
+// Checkout return endpoint
+// --------------------
+// Registered ahead of the payments router, whose authenticated GET /payments/:id would otherwise match it.
+// Stripe appends session_id (and cancelled=true from its cancel URL); Paystack appends reference.
+app.get('/payments/return', (req, res) => {
+  const { session_id, reference, cancelled } = req.query;
+  const checkoutReference = session_id || reference;
+
+  if (checkoutReference && cancelled !== 'true') {
+    res.json({
+      success: true,
+      message: 'Payment completed successfully',
+      reference: checkoutReference
+    });
+  } else {
+    res.json({
+      success: false,
+      message: 'Payment failed or was cancelled',
+      reference: checkoutReference || null
+    });
+  }
+});
+
 // --------------------
 // Routes
 // --------------------
+// Per-IP limit ahead of authentication; each route's own policy then counts the authenticated caller
+app.use([
+  "/payments", "/refunds", "/payment-history", "/reconciliation", "/payment-methods", "/subscriptions",
+  "/limits", "/payment-reviews", "/payment-links", "/invoices", "/webhook-endpoints", "/api-keys"
+], rateLimit('requests:ip'));
+
 app.use("/payments", payments);
 app.use("/refunds", refunds);
 app.use("/payment-history", paymentHistory);
 app.use("/webhooks", webhooks);
+app.use("/reconciliation", reconciliation);
+app.use("/payment-methods", paymentMethods);
+app.use("/subscriptions", subscriptions);
+app.use("/limits", limits);
+app.use("/payment-reviews", paymentReviews);
+app.use("/payment-links", paymentLinks);
+app.use("/pay", pay);
+app.use("/invoices", invoices);
+app.use("/webhook-endpoints", webhookEndpoints);
+app.use("/api-keys", apiKeys);
 app.use("/queue", queueHealthRouter);
 app.use("/test", testRouter);
 
@@ -84,27 +158,6 @@ app.use("/test", testRouter);
 app.use('/docs', express.static('docs'));
 app.use('/api', express.static('api'));
 
-// --------------------
-// Stripe return endpoint
-// --------------------
-app.get('/payments/return', (req, res) => {
-  const { payment_intent, payment_intent_client_secret } = req.query;
-
-  if (payment_intent) {
-    res.json({
-      success: true,
-      message: 'Payment completed successfully',
-      payment_intent,
-      payment_intent_client_secret
-    });
-  } else {
-    res.json({
-      success: false,
-      message: 'Payment failed or was cancelled'
-    });
-  }
-});
-
 // --------------------
 // Health check
 // --------------------
@@ -172,6 +225,40 @@ const startServer = () => {
     .then(() => console.log("✅ RabbitMQ connected"))
     .catch(() => console.warn("⚠️ RabbitMQ offline - messaging disabled"));
 
+  // Shared rate limit counters; until Redis is reachable each replica counts in memory
+  initializeRedis()
+    .catch((error) => console.warn("⚠️ Redis offline - rate limits enforced per replica:", error.message));
+
+  // Every replica polls the shared payment_sync_jobs queue
+  startPaymentSyncWorker();
+
+  // Resolve PENDING payments whose webhook never arrived (one replica per run)
+  startPaymentReconciler();
+
+  // Daily settlement report against gateway transaction listings (one replica per day)
+  startSettlementReconciliation();
+
+  // Void manual-capture authorizations that were never captured
+  startAuthorizationVoider();
+
+  // Charge due subscription renewals and dunning retries (one replica per run)
+  startSubscriptionBilling();
+
+  // Load FX rates now and keep them fresh for settlement and reporting conversions
+  startFxRateRefresh();
+
+  // Pick up edits to the payment limits file and table without a restart
+  startPaymentLimitsRefresh();
+
+  // Apply payments allocated to invoices once the gateway collects them (one replica per run)
+  startInvoiceSettlement();
+
+  // Load the user service's signing keys so JWTs are verified without a call per request
+  startJwksRefresh();
+
+  // Drop idempotency records past their TTL
+  startIdempotencyCleanup();
+
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Payment service running on http://0.0.0.0:${PORT}`);
     console.log(`📊 Metrics available at http://0.0.0.0:${PORT}/metrics`);
@@ -1,5 +1,6 @@
 import client from 'prom-client';
 import { context, trace } from '@opentelemetry/api';
+import { toMajorUnits } from '../config/currencies.js';
 
 // --------------------
 // Prometheus Registry
@@ -49,8 +50,23 @@ export const refundsTotal = new client.Counter({
   labelNames: ['method', 'route', 'trace_id']
 });
 export const paymentAmount = new client.Histogram({
+  name: 'payment_amount',
+  help: 'Distribution of payment amounts in major units of their currency',
+  labelNames: ['currency', 'method', 'route', 'trace_id'],
+  buckets: [1, 10, 50, 100, 500, 1000, 5000]
+});
+export const paymentAmountReporting = new client.Histogram({
+  name: 'payment_amount_reporting',
+  help: 'Distribution of payment amounts converted to the reporting currency (major units)',
+  labelNames: ['reporting_currency', 'method', 'route', 'trace_id'],
+  buckets: [1, 10, 50, 100, 500, 1000, 5000]
+});
+
+// Deprecated: the series from before payment_amount and payment_amount_reporting, kept for existing
+// dashboards. Now only fed with amounts converted to USD, i.e. while REPORTING_CURRENCY is USD.
+export const paymentAmountUsd = new client.Histogram({
   name: 'payment_amount_usd',
-  help: 'Distribution of payment amounts (USD)',
+  help: 'Distribution of payment amounts (USD). Deprecated: use payment_amount_reporting',
   labelNames: ['method', 'route', 'trace_id'],
   buckets: [1, 10, 50, 100, 500, 1000, 5000]
 });
@@ -59,6 +75,59 @@ register.registerMetric(paymentsSuccess);
 register.registerMetric(paymentsFailed);
 register.registerMetric(refundsTotal);
 register.registerMetric(paymentAmount);
+register.registerMetric(paymentAmountReporting);
+register.registerMetric(paymentAmountUsd);
+
+// --------------------
+// Reconciliation Metrics
+// --------------------
+export const reconciliationRuns = new client.Counter({
+  name: 'payment_reconciliation_runs_total',
+  help: 'Stale payment reconciliation runs',
+  labelNames: ['outcome'] // completed, skipped (another replica held the lock), failed
+});
+export const reconciliationPayments = new client.Counter({
+  name: 'payment_reconciliation_payments_total',
+  help: 'Payments examined by the stale payment reconciler, by result',
+  labelNames: ['result'] // updated, unchanged, cancelled, error
+});
+export const reconciliationRunDuration = new client.Histogram({
+  name: 'payment_reconciliation_run_duration_seconds',
+  help: 'Duration of stale payment reconciliation runs',
+  buckets: [1, 5, 15, 30, 60, 120, 300]
+});
+
+register.registerMetric(reconciliationRuns);
+register.registerMetric(reconciliationPayments);
+register.registerMetric(reconciliationRunDuration);
+
+// --------------------
+// Subscription Billing Metrics
+// --------------------
+export const subscriptionBillingRuns = new client.Counter({
+  name: 'subscription_billing_runs_total',
+  help: 'Subscription billing runs',
+  labelNames: ['outcome'] // completed, skipped (another replica held the lock), overrun (this replica's previous run was still going), failed
+});
+export const subscriptionBillingRunDuration = new client.Histogram({
+  name: 'subscription_billing_run_duration_seconds',
+  help: 'Duration of subscription billing runs that held the lock',
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800]
+});
+
+register.registerMetric(subscriptionBillingRuns);
+register.registerMetric(subscriptionBillingRunDuration);
+
+// --------------------
+// Rate Limit Metrics
+// --------------------
+export const rateLimitRejections = new client.Counter({
+  name: 'http_rate_limit_rejections_total',
+  help: 'Requests refused with 429 by the inbound rate limiter',
+  labelNames: ['policy', 'principal_type', 'store'] // principal_type: service, user, ip; store: redis, memory
+});
+
+register.registerMetric(rateLimitRejections);
 
 // --------------------
 // Business Metric Recorders
@@ -77,8 +146,36 @@ export const recordPaymentFailure = (method, route) => {
 export const recordRefund = (method, route) => {
   refundsTotal.inc({ method, route, trace_id: getTraceId() });
 };
-export const recordPaymentAmount = (amount, method, route) => {
-  paymentAmount.observe({ method, route, trace_id: getTraceId() }, amount);
+// amount is in minor units; observed in major units so buckets read the same across currencies with different exponents
+export const recordPaymentAmount = (amount, currency, method, route) => {
+  paymentAmount.observe({ currency, method, route, trace_id: getTraceId() }, toMajorUnits(amount, currency));
+};
+
+// amount is in minor units of the reporting currency; sums across currencies are only meaningful here
+export const recordReportingAmount = (amount, currency, method, route) => {
+  paymentAmountReporting.observe({ reporting_currency: currency, method, route, trace_id: getTraceId() }, toMajorUnits(amount, currency));
+  if (currency === 'USD') {
+    paymentAmountUsd.observe({ method, route, trace_id: getTraceId() }, toMajorUnits(amount, currency));
+  }
+};
+
+export const recordReconciliationRun = (summary) => {
+  reconciliationRuns.inc({ outcome: summary.outcome });
+  ['updated', 'unchanged', 'cancelled', 'error'].forEach(result => {
+    if (summary[result]) reconciliationPayments.inc({ result }, summary[result]);
+  });
+  if (summary.durationSeconds !== undefined) reconciliationRunDuration.observe(summary.durationSeconds);
+};
+
+export const recordSubscriptionBillingRun = (summary) => {
+  subscriptionBillingRuns.inc({ outcome: summary.outcome });
+  if (summary.outcome === 'completed' || summary.outcome === 'failed') {
+    subscriptionBillingRunDuration.observe(summary.durationSeconds);
+  }
+};
+
+export const recordRateLimitRejection = (policy, principalType, store) => {
+  rateLimitRejections.inc({ policy, principal_type: principalType, store });
 };
 
 // --------------------
@@ -112,9 +209,9 @@ export const metricsMiddleware = (req, res, next) => {
 // --------------------
 // Optional: helper to record payments + refunds in one call
 // --------------------
-export const recordPaymentEvent = ({ success, amount, method, route }) => {
+export const recordPaymentEvent = ({ success, amount, currency, method, route }) => {
   if (success) recordPaymentSuccess(method, route);
   else recordPaymentFailure(method, route);
 
-  if (amount) recordPaymentAmount(amount, method, route);
+  if (amount) recordPaymentAmount(amount, currency, method, route);
 };
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { withAdvisoryLock } from '../db/advisoryLock.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeTransaction: vi.fn(),
+        getWriteClient: vi.fn()
+    }
+}));
+
+/**
+ * Dedicated lock connection; `unlockError` makes pg_advisory_unlock fail
+ */
+const mockLockClient = ({ locked = true, unlockError = null } = {}) => {
+    const client = {
+        release: vi.fn(),
+        query: vi.fn(async (query) => {
+            if (query.includes('pg_try_advisory_lock')) return { rows: [{ locked }] };
+            if (query.includes('pg_advisory_unlock')) {
+                if (unlockError) throw unlockError;
+                return { rows: [{ pg_advisory_unlock: true }] };
+            }
+            return { rows: [] };
+        })
+    };
+    dbPoolManager.getWriteClient.mockResolvedValue(client);
+    return client;
+};
+
+const queries = (client) => client.query.mock.calls.map(([query]) => query);
+
+describe('withAdvisoryLock', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should run the job under a session lock without opening a transaction', async () => {
+        const client = mockLockClient();
+        const job = vi.fn(async () => 'done');
+
+        const outcome = await withAdvisoryLock(745001, job);
+
+        expect(outcome).toEqual({ acquired: true, result: 'done' });
+        expect(job).toHaveBeenCalledWith(client);
+        expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+        expect(queries(client)).toEqual(['SELECT pg_try_advisory_lock($1) AS locked', 'SELECT pg_advisory_unlock($1)']);
+        expect(client.release).toHaveBeenCalledWith(undefined);
+    });
+
+    it('should skip the job when another replica holds the lock', async () => {
+        const client = mockLockClient({ locked: false });
+        const job = vi.fn();
+
+        const outcome = await withAdvisoryLock(745001, job);
+
+        expect(outcome.acquired).toBe(false);
+        expect(job).not.toHaveBeenCalled();
+        expect(queries(client)).not.toContain('SELECT pg_advisory_unlock($1)');
+        expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should unlock when the job throws', async () => {
+        const client = mockLockClient();
+
+        await expect(withAdvisoryLock(745001, async () => { throw new Error('gateway down'); })).rejects.toThrow('gateway down');
+
+        expect(queries(client)).toContain('SELECT pg_advisory_unlock($1)');
+        expect(client.release).toHaveBeenCalledWith(undefined);
+    });
+
+    it('should close the connection when the lock cannot be released, which releases it', async () => {
+        const unlockError = new Error('Connection terminated');
+        const client = mockLockClient({ unlockError });
+
+        const outcome = await withAdvisoryLock(745001, async () => 'done');
+
+        expect(outcome.result).toBe('done');
+        expect(client.release).toHaveBeenCalledWith(unlockError);
+    });
+});
@@ -0,0 +1,294 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { logSecurity } from '../utils/logger.js';
+import { verifyToken } from '../services/userService.js';
+import {
+    isIpAllowed,
+    issueApiKey,
+    rotateApiKey,
+    authenticateApiKey
+} from '../services/apiKeys.js';
+import { authenticate } from '../middleware/auth.js';
+import { canAccessOwned, hasScope, requireScope } from '../middleware/authorization.js';
+import apiKeys from '../routes/apiKeys.js';
+import { serveRouter, signInAs } from './helpers/http.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../utils/logger.js', () => ({
+    logSecurity: vi.fn()
+}));
+
+vi.mock('../services/userService.js', () => ({
+    verifyToken: vi.fn(),
+    extractUserId: (result) => result.user?.id || null,
+    extractUserDetails: (result) => result.user || null
+}));
+
+vi.mock('../services/paymentProcessor.js', () => ({
+    verifyWebhookSignature: vi.fn()
+}));
+
+const KEY_ID = '7b0d1c3e-2f4a-4b5c-8d6e-9f0a1b2c3d4e';
+
+/**
+ * Have the next insert return the key row it was given
+ */
+const mockInsertedKey = () => {
+    dbPoolManager.executeWrite.mockImplementationOnce(async (query, params) => ({
+        rows: [{
+            id: KEY_ID,
+            name: params[0],
+            prefix: params[1],
+            scopes: params[3],
+            allowed_ips: params[4],
+            expires_at: params[5],
+            created_by: params[6],
+            rotated_from: params[7],
+            revoked_at: null
+        }]
+    }));
+};
+
+/**
+ * Issue a key against the mocked pool and return it with the row that was stored
+ */
+const issueKey = async (overrides = {}) => {
+    mockInsertedKey();
+
+    const result = await issueApiKey({ name: 'orders', scopes: ['payments:write'], createdBy: 'admin-1', ...overrides });
+    const params = dbPoolManager.executeWrite.mock.calls.at(-1)[1];
+    return { ...result.data, row: { ...result.data.key, key_hash: params[2] } };
+};
+
+const storeKey = (row) => {
+    dbPoolManager.executeRead.mockResolvedValue({ rows: [row] });
+};
+
+const mockResponse = () => {
+    const res = {};
+    res.status = vi.fn(() => res);
+    res.json = vi.fn(() => res);
+    return res;
+};
+
+describe('API keys', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        dbPoolManager.executeWrite.mockResolvedValue({ rows: [] });
+    });
+
+    describe('issueApiKey', () => {
+        it('should store only a hash of a prefixed key', async () => {
+            const { apiKey, key } = await issueKey();
+            const params = dbPoolManager.executeWrite.mock.calls[0][1];
+
+            expect(apiKey).toMatch(/^psk_[0-9a-f]{12}_[A-Za-z0-9_-]{43}$/);
+            expect(apiKey.startsWith(`${key.prefix}_`)).toBe(true);
+            expect(params[2]).toMatch(/^[0-9a-f]{64}$/);
+            expect(params).not.toContain(apiKey);
+        });
+
+        it('should refuse unknown scopes, bad allowlists and past expiries', async () => {
+            const results = await Promise.all([
+                issueApiKey({ name: 'orders', scopes: ['payments:write', 'history:write'], createdBy: 'admin-1' }),
+                issueApiKey({ name: 'orders', scopes: ['payments:write'], allowedIps: ['10.0.0.0/33'], createdBy: 'admin-1' }),
+                issueApiKey({ name: 'orders', scopes: ['payments:write'], expiresAt: '2020-01-01T00:00:00Z', createdBy: 'admin-1' })
+            ]);
+
+            results.forEach(result => expect(result.error.code).toBe('VALIDATION_ERROR'));
+            expect(dbPoolManager.executeWrite).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('isIpAllowed', () => {
+        it('should match addresses and CIDR ranges, including IPv4-mapped IPv6 clients', () => {
+            const allowlist = ['10.1.0.0/16', '192.168.1.7', '2001:db8::/32'];
+
+            expect(isIpAllowed(null, '8.8.8.8')).toBe(true);
+            expect(isIpAllowed(allowlist, '10.1.200.3')).toBe(true);
+            expect(isIpAllowed(allowlist, '::ffff:192.168.1.7')).toBe(true);
+            expect(isIpAllowed(allowlist, '2001:db8::1')).toBe(true);
+            expect(isIpAllowed(allowlist, '10.2.0.1')).toBe(false);
+            expect(isIpAllowed(allowlist, undefined)).toBe(false);
+        });
+    });
+
+    describe('authenticateApiKey', () => {
+        it('should accept the issued key and record its use', async () => {
+            const { apiKey, row } = await issueKey();
+            storeKey(row);
+
+            const result = await authenticateApiKey(apiKey, { ip: '10.0.0.5' });
+
+            expect(result.success).toBe(true);
+            expect(result.data).not.toHaveProperty('key_hash');
+            expect(dbPoolManager.executeRead.mock.calls[0][1]).toEqual([row.prefix]);
+            expect(dbPoolManager.executeWrite).toHaveBeenLastCalledWith(
+                expect.stringContaining('last_used_at'),
+                [KEY_ID, '10.0.0.5', 60]
+            );
+        });
+
+        it('should refuse forged, revoked, expired and out-of-allowlist keys', async () => {
+            const { apiKey, row } = await issueKey({ allowedIps: ['10.0.0.0/8'] });
+            const forged = `${row.prefix}_${'A'.repeat(43)}`;
+
+            storeKey(row);
+            expect((await authenticateApiKey(forged, { ip: '10.0.0.5' })).error.code).toBe('INVALID_API_KEY');
+            expect((await authenticateApiKey('not-a-key')).error.code).toBe('INVALID_API_KEY');
+            expect((await authenticateApiKey(apiKey, { ip: '172.16.0.1' })).error.code).toBe('API_KEY_IP_NOT_ALLOWED');
+
+            storeKey({ ...row, revoked_at: new Date() });
+            expect((await authenticateApiKey(apiKey, { ip: '10.0.0.5' })).error.code).toBe('API_KEY_REVOKED');
+
+            storeKey({ ...row, expires_at: new Date(Date.now() - 1000) });
+            expect((await authenticateApiKey(apiKey, { ip: '10.0.0.5' })).error.code).toBe('API_KEY_EXPIRED');
+        });
+    });
+
+    describe('rotateApiKey', () => {
+        const mockTransaction = ({ current, replacedBy = null }) => {
+            const client = {
+                query: vi.fn(async (query, params) => {
+                    if (query.includes('FOR UPDATE')) return { rows: [current] };
+                    if (query.includes('WHERE rotated_from')) return { rows: replacedBy ? [{ id: replacedBy }] : [] };
+                    if (query.includes('INSERT INTO api_keys')) return { rows: [{ id: 'new-key', prefix: params[1], rotated_from: params[7] }] };
+                    return { rows: [{ ...current, revoked_at: query.includes('revoked_at = NOW()') ? new Date() : null }] };
+                })
+            };
+            dbPoolManager.executeTransaction.mockImplementation(async (callback) => callback(client));
+            return client;
+        };
+
+        const current = { id: KEY_ID, name: 'orders', scopes: ['payments:write'], allowed_ips: null, expires_at: null, revoked_at: null };
+
+        it('should issue a replacement and keep the old key for the grace period', async () => {
+            const client = mockTransaction({ current });
+
+            const result = await rotateApiKey(KEY_ID, { actorId: 'admin-1', gracePeriodSeconds: 3600 });
+
+            expect(result.success).toBe(true);
+            expect(result.data.apiKey.startsWith(`${result.data.key.prefix}_`)).toBe(true);
+            expect(result.data.key.rotated_from).toBe(KEY_ID);
+            const update = client.query.mock.calls.at(-1);
+            expect(update[0]).toContain('LEAST');
+            expect(update[1]).toEqual([KEY_ID, 3600]);
+        });
+
+        it('should revoke the old key at once without a grace period and refuse a second rotation', async () => {
+            mockTransaction({ current });
+            const immediate = await rotateApiKey(KEY_ID, { actorId: 'admin-1', gracePeriodSeconds: 0 });
+
+            mockTransaction({ current, replacedBy: 'new-key' });
+            const again = await rotateApiKey(KEY_ID, { actorId: 'admin-1' });
+
+            expect(immediate.data.previous.revoked_at).toBeInstanceOf(Date);
+            expect(again.error.code).toBe('API_KEY_ALREADY_ROTATED');
+        });
+    });
+
+    describe('authenticate', () => {
+        it('should expose a service principal whose scopes cover every user', async () => {
+            const { apiKey, row } = await issueKey({ scopes: ['payments:write', 'reports:read'] });
+            storeKey(row);
+            const req = { headers: { 'x-api-key': apiKey }, ip: '10.0.0.5' };
+            const next = vi.fn();
+
+            await authenticate(req, mockResponse(), next);
+
+            expect(next).toHaveBeenCalled();
+            expect(req.principal).toBe(req.user);
+            expect(req.principal).toMatchObject({ type: 'service', id: KEY_ID, details: { name: 'orders', prefix: row.prefix } });
+            expect(canAccessOwned(req.user, 'user-9', 'payments:write')).toBe(true);
+            expect(hasScope(req.user, 'refunds:write')).toBe(false);
+            expect(verifyToken).not.toHaveBeenCalled();
+
+            const res = mockResponse();
+            requireScope('history:write')({ ...req, method: 'POST', originalUrl: '/payment-history' }, res, vi.fn());
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should log and refuse a rejected key', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [] });
+            const res = mockResponse();
+            const next = vi.fn();
+
+            await authenticate({ headers: { 'x-api-key': `psk_0123456789ab_${'A'.repeat(43)}` }, ip: '10.0.0.5' }, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(logSecurity).toHaveBeenCalledWith('api_key_rejected', expect.objectContaining({
+                code: 'INVALID_API_KEY',
+                prefix: 'psk_0123456789ab'
+            }), 'medium', null);
+        });
+
+        it('should fall back to user tokens and expose the same principal shape', async () => {
+            verifyToken.mockResolvedValue({ success: true, user: { id: 'user-1', roles: ['customer'] } });
+            const req = { headers: { authorization: 'Bearer user-token' } };
+            const next = vi.fn();
+
+            await authenticate(req, mockResponse(), next);
+
+            expect(next).toHaveBeenCalled();
+            expect(req.principal).toMatchObject({ type: 'user', id: 'user-1', token: 'user-token' });
+            expect(canAccessOwned(req.user, 'user-9', 'payments:write')).toBe(false);
+        });
+    });
+
+    describe('HTTP', () => {
+        let api;
+
+        beforeAll(async () => {
+            api = await serveRouter('/api-keys', apiKeys);
+        });
+
+        afterAll(async () => {
+            await api.close();
+        });
+
+        it('should only let signed-in administrators manage keys', async () => {
+            const anonymous = await api.request('GET', '/api-keys');
+            const customer = await api.request('POST', '/api-keys', {
+                headers: signInAs('user-1'),
+                body: { name: 'orders', scopes: ['payments:write'] }
+            });
+
+            expect(anonymous.status).toBe(401);
+            expect(customer.status).toBe(403);
+            expect(logSecurity).toHaveBeenCalledWith('admin_access_denied', expect.objectContaining({ userId: 'user-1' }), 'medium', null);
+            expect(dbPoolManager.executeWrite).not.toHaveBeenCalled();
+        });
+
+        it('should not let an API key manage keys', async () => {
+            const { apiKey, row } = await issueKey({ scopes: ['payments:write', 'reports:read'] });
+            storeKey(row);
+
+            const res = await api.request('GET', '/api-keys', { headers: { 'x-api-key': apiKey } });
+
+            expect(res.status).toBe(401);
+            expect(dbPoolManager.executeRead).not.toHaveBeenCalled();
+        });
+
+        it('should issue a key to an administrator, recording who issued it', async () => {
+            mockInsertedKey();
+
+            const res = await api.request('POST', '/api-keys', {
+                headers: signInAs('admin-1', ['admin']),
+                body: { name: 'orders', scopes: ['payments:write'] }
+            });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({ id: KEY_ID, name: 'orders', createdBy: 'admin-1', status: 'active' });
+            expect(res.body.data.apiKey.startsWith(res.body.data.prefix)).toBe(true);
+            expect(logSecurity).toHaveBeenCalledWith('api_key_issued', expect.objectContaining({ keyId: KEY_ID, actorId: 'admin-1' }), 'low', null);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { logSecurity } from '../utils/logger.js';
+import {
+    getRoles,
+    getScopes,
+    hasScope,
+    canAccessOwned,
+    requireScope
+} from '../middleware/authorization.js';
+
+vi.mock('../utils/logger.js', () => ({
+    logSecurity: vi.fn()
+}));
+
+const user = (details = {}, id = 'user-1') => ({ id, details });
+
+const mockResponse = () => {
+    const res = {};
+    res.status = vi.fn(() => res);
+    res.json = vi.fn(() => res);
+    return res;
+};
+
+describe('Authorization', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('getRoles', () => {
+        it('should read roles or a single role and default to customer', () => {
+            expect(getRoles(user({ roles: ['Support', 'finance', 'superhero'] }))).toEqual(['support', 'finance']);
+            expect(getRoles(user({ role: 'admin' }))).toEqual(['admin']);
+            expect(getRoles(user({ roles: ['superhero'] }))).toEqual(['customer']);
+            expect(getRoles(undefined)).toEqual(['customer']);
+        });
+    });
+
+    describe('getScopes', () => {
+        it('should combine the scopes of every role with those granted by the user service', () => {
+            const scopes = getScopes(user({ roles: ['customer', 'support'], scopes: 'reports:read history:write' }));
+
+            expect([...scopes]).toEqual(expect.arrayContaining([
+                'payments:write', 'payments:read:all', 'reports:read', 'history:write'
+            ]));
+            expect(hasScope(user({ role: 'admin' }), 'anything:at:all')).toBe(true);
+            expect(hasScope(user({ role: 'support' }), 'refunds:write:all')).toBe(false);
+        });
+    });
+
+    describe('canAccessOwned', () => {
+        it("should limit customers to their own records and let staff read everyone's", () => {
+            const customer = user({ role: 'customer' });
+            const support = user({ role: 'support' }, 'support-1');
+            const finance = user({ role: 'finance' }, 'finance-1');
+
+            expect(canAccessOwned(customer, 'user-1', 'payments:read')).toBe(true);
+            expect(canAccessOwned(customer, 'user-2', 'payments:read')).toBe(false);
+            expect(canAccessOwned(customer, null, 'payments:read')).toBe(false);
+            expect(canAccessOwned(support, 'user-2', 'payments:read')).toBe(true);
+            expect(canAccessOwned(support, 'user-2', 'refunds:write')).toBe(false);
+            expect(canAccessOwned(finance, 'user-2', 'refunds:write')).toBe(true);
+        });
+    });
+
+    describe('requireScope', () => {
+        it('should let callers with the scope through', () => {
+            const next = vi.fn();
+
+            requireScope('history:write')({ user: user({ role: 'admin' }), headers: {} }, mockResponse(), next);
+
+            expect(next).toHaveBeenCalled();
+            expect(logSecurity).not.toHaveBeenCalled();
+        });
+
+        it('should refuse and log callers without the scope', () => {
+            const next = vi.fn();
+            const res = mockResponse();
+            const req = {
+                user: user({ role: 'support' }, 'support-1'),
+                method: 'POST',
+                originalUrl: '/payment-history',
+                headers: { 'x-request-id': 'req-1' }
+            };
+
+            requireScope('history:write')(req, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json.mock.calls[0][0].error.code).toBe('INSUFFICIENT_SCOPE');
+            expect(logSecurity).toHaveBeenCalledWith('access_denied', {
+                userId: 'support-1',
+                roles: ['support'],
+                method: 'POST',
+                path: '/payment-history',
+                scope: 'history:write'
+            }, 'medium', 'req-1');
+        });
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import { CURRENCIES, formatAmount, getAmountStep, getGatewayCurrencies, toMajorUnits, toMinorUnits, validateAmount } from '../config/currencies.js';
+
+describe('Currency Registry', () => {
+    it('should convert between minor and major units using the currency exponent', () => {
+        expect(toMajorUnits(1050, 'USD')).toBe(10.5);
+        expect(toMajorUnits(1050, 'JPY')).toBe(1050);
+        expect(toMinorUnits(10.5, 'KES')).toBe(1050);
+        expect(toMinorUnits(500, 'JPY')).toBe(500);
+    });
+
+    it('should handle three-decimal currencies', () => {
+        expect(toMajorUnits(1250, 'KWD')).toBe(1.25);
+        expect(toMinorUnits(12.5, 'KWD')).toBe(12500);
+        expect(formatAmount(1250, 'KWD')).toBe('1.250 KWD');
+        expect(validateAmount(1250, 'KWD').currency.exponent).toBe(3);
+        expect(validateAmount(199, 'KWD').error.message).toBe('Amount is below the minimum charge');
+    });
+
+    it('should only accept three-decimal amounts in multiples of the currency step', () => {
+        expect(getAmountStep('KWD')).toBe(10);
+        expect(getAmountStep('USD')).toBe(1);
+        expect(validateAmount(1234, 'KWD').error).toMatchObject({
+            code: 'INVALID_AMOUNT',
+            message: 'Amount must be a multiple of 10 minor units'
+        });
+        expect(validateAmount(1230, 'KWD').success).toBe(true);
+        expect(validateAmount(1234, 'USD').success).toBe(true);
+    });
+
+    it('should seed the database with the same exponents as the registry', () => {
+        const migration = fs.readFileSync(new URL('../db/migrations/convert_amounts_to_minor_units.sql', import.meta.url), 'utf8');
+        const seeded = Object.fromEntries(
+            [...migration.matchAll(/\('([A-Z]{3})', (\d)\)/g)].map(([, code, exponent]) => [code, Number(exponent)])
+        );
+
+        expect(seeded).toEqual(Object.fromEntries(Object.values(CURRENCIES).map(({ code, exponent }) => [code, exponent])));
+    });
+
+    it('should accept whole minor unit amounts within the charge limits', () => {
+        const result = validateAmount(2500, 'KES');
+
+        expect(result.success).toBe(true);
+        expect(result.currency.exponent).toBe(2);
+    });
+
+    it('should reject fractional, out of range and unknown currency amounts', () => {
+        expect(validateAmount(10.5, 'USD').error.code).toBe('INVALID_AMOUNT');
+        expect(validateAmount(49, 'USD').error.message).toBe('Amount is below the minimum charge');
+        expect(validateAmount(100000000, 'USD').error.message).toBe('Amount is above the maximum charge');
+        expect(validateAmount(1000, 'XYZ').error.code).toBe('INVALID_CURRENCY');
+    });
+
+    it('should list the currencies each gateway supports', () => {
+        expect(getGatewayCurrencies('paystack').map(currency => currency.code)).toEqual(['NGN', 'USD', 'GBP', 'EUR', 'KES', 'GHS', 'ZAR']);
+        expect(getGatewayCurrencies('stripe')).toContainEqual({ code: 'JPY', name: 'Japanese Yen', exponent: 0 });
+    });
+});
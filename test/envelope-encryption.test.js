@@ -0,0 +1,104 @@
+import { describe, it, expect, vi } from 'vitest';
+import crypto from 'crypto';
+import { encrypt, decrypt, encryptJson, decryptJson, isEnvelope, getKeyVersion } from '../utils/envelopeEncryption.js';
+import { createLocalKeyProvider, createKmsKeyProvider, createKeyProviderFromEnv } from '../utils/keyProviders.js';
+
+const key1 = crypto.randomBytes(32);
+const key2 = crypto.randomBytes(32);
+
+describe('Envelope Encryption', () => {
+    const keyProvider = createLocalKeyProvider({ keys: { 1: key1 } });
+
+    it('should round-trip values and record the key version', async () => {
+        const envelope = await encryptJson({ authorization_code: 'AUTH_abc123' }, { keyProvider });
+
+        expect(isEnvelope(envelope)).toBe(true);
+        expect(envelope).not.toContain('AUTH_abc123');
+        expect(getKeyVersion(envelope)).toBe('1');
+        expect(await decryptJson(envelope, { keyProvider })).toEqual({ authorization_code: 'AUTH_abc123' });
+    });
+
+    it('should use a fresh data key for every value', async () => {
+        const first = JSON.parse(await encrypt('same', { keyProvider }));
+        const second = JSON.parse(await encrypt('same', { keyProvider }));
+
+        expect(first.dk).not.toBe(second.dk);
+        expect(first.ct).not.toBe(second.ct);
+    });
+
+    it('should refuse to decrypt for a different owner', async () => {
+        const envelope = await encrypt('secret', { aad: 'user_payment_methods:user-1', keyProvider });
+
+        await expect(decrypt(envelope, { aad: 'user_payment_methods:user-2', keyProvider })).rejects.toThrow();
+    });
+
+    it('should detect tampered ciphertext', async () => {
+        const envelope = JSON.parse(await encrypt('secret', { keyProvider }));
+        const ciphertext = Buffer.from(envelope.ct, 'base64');
+        ciphertext[0] ^= 1;
+
+        await expect(decrypt(JSON.stringify({ ...envelope, ct: ciphertext.toString('base64') }), { keyProvider }))
+            .rejects.toThrow();
+    });
+
+    it('should not treat plain JSON as an envelope', () => {
+        expect(isEnvelope('{"authorization_code":"AUTH"}')).toBe(false);
+        expect(isEnvelope('not json')).toBe(false);
+    });
+
+    describe('key rotation', () => {
+        it('should encrypt with the newest key and still decrypt older versions', async () => {
+            const oldEnvelope = await encrypt('secret', { keyProvider });
+            const rotatedProvider = createLocalKeyProvider({ keys: { 1: key1, 2: key2 } });
+
+            const newEnvelope = await encrypt('secret', { keyProvider: rotatedProvider });
+
+            expect(getKeyVersion(newEnvelope)).toBe('2');
+            expect(await decrypt(oldEnvelope, { keyProvider: rotatedProvider })).toBe('secret');
+        });
+
+        it('should fail clearly once a key version is removed from the keyring', async () => {
+            const envelope = await encrypt('secret', { keyProvider });
+            const newKeyOnly = createLocalKeyProvider({ keys: { 2: key2 } });
+
+            await expect(decrypt(envelope, { keyProvider: newKeyOnly })).rejects.toThrow('Encryption key version 1 is not in the keyring');
+        });
+
+        it('should honour a pinned current version', () => {
+            const provider = createLocalKeyProvider({ keys: { 1: key1, 2: key2 }, currentVersion: '1' });
+
+            expect(provider.currentKeyVersion()).toBe('1');
+        });
+    });
+
+    describe('key providers', () => {
+        it('should wrap data keys through a KMS client', async () => {
+            const client = {
+                encrypt: vi.fn(async ({ Plaintext }) => ({ CiphertextBlob: Buffer.from(Plaintext).reverse() })),
+                decrypt: vi.fn(async ({ CiphertextBlob }) => ({ Plaintext: Buffer.from(CiphertextBlob).reverse() }))
+            };
+            const kmsProvider = createKmsKeyProvider({ client, keyId: 'payment-methods-key' });
+
+            const envelope = await encrypt('secret', { keyProvider: kmsProvider });
+
+            expect(getKeyVersion(envelope)).toBe('payment-methods-key');
+            expect(await decrypt(envelope, { keyProvider: kmsProvider })).toBe('secret');
+            expect(client.decrypt).toHaveBeenCalledWith(expect.objectContaining({ KeyId: 'payment-methods-key' }));
+        });
+
+        it('should build a local provider from the environment keyring', () => {
+            const provider = createKeyProviderFromEnv({
+                PROVIDER: 'local',
+                KEYRING: JSON.stringify({ 1: key1.toString('base64'), 2: key2.toString('base64') })
+            });
+
+            expect(provider.currentKeyVersion()).toBe('2');
+        });
+
+        it('should reject missing or malformed keys', () => {
+            expect(() => createKeyProviderFromEnv({ PROVIDER: 'local', KEYRING: '' })).toThrow('No encryption keys configured');
+            expect(() => createLocalKeyProvider({ keys: { 1: 'c2hvcnQ=' } })).toThrow('must be 32 bytes');
+            expect(() => createKeyProviderFromEnv({ PROVIDER: 'kms' })).toThrow('setKeyProvider');
+        });
+    });
+});
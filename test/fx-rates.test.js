@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import dbPoolManager from '../db/connectionPool.js';
+import { createFileRateSource, createRateSource } from '../utils/fxRateSources.js';
+import { refreshRates, getRate, convertAmount, getSettlementFields, getReportingAmount } from '../services/fxRates.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn()
+    }
+}));
+
+const rateRow = (rate, effectiveAt = new Date()) => ({ rows: [{ rate: String(rate), effective_at: effectiveAt }] });
+
+describe('FX Rates', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should read rates from a file and drop invalid entries', async () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fx-')), 'rates.json');
+        fs.writeFileSync(file, JSON.stringify({
+            base: 'USD',
+            asOf: '2026-03-01T00:00:00Z',
+            rates: { NGN: 1540, USD: 1, KES: -1, gbp: 0.79 }
+        }));
+
+        const snapshot = await createFileRateSource({ path: file }).fetchRates();
+
+        expect(snapshot).toEqual({ base: 'USD', rates: { NGN: 1540 }, asOf: new Date('2026-03-01T00:00:00Z') });
+    });
+
+    it('should store each rate of a snapshot at its publication time', async () => {
+        dbPoolManager.executeWrite.mockResolvedValue({ rowCount: 1 });
+        const asOf = new Date('2026-03-01T00:00:00Z');
+        const source = createRateSource({
+            name: 'test',
+            fetchRates: async () => ({ base: 'USD', rates: { NGN: 1540, KES: 129.2 }, asOf })
+        });
+
+        const summary = await refreshRates(source);
+
+        expect(summary).toEqual({ source: 'test', base: 'USD', effectiveAt: asOf, stored: 2 });
+        expect(dbPoolManager.executeWrite.mock.calls[0][1]).toEqual(['USD', 'NGN', 1540, asOf, 'test']);
+    });
+
+    it('should not look up a rate between identical currencies', async () => {
+        const fx = await getRate('USD', 'USD');
+
+        expect(fx.rate).toBe(1);
+        expect(dbPoolManager.executeRead).not.toHaveBeenCalled();
+    });
+
+    it('should ignore missing rates and rates older than the allowed age', async () => {
+        dbPoolManager.executeRead.mockResolvedValueOnce({ rows: [] });
+        expect(await getRate('NGN', 'USD')).toBeNull();
+
+        dbPoolManager.executeRead.mockResolvedValueOnce(rateRow(0.00065, new Date(Date.now() - 72 * 60 * 60 * 1000)));
+        expect(await getRate('NGN', 'USD', { maxAgeHours: 48 })).toBeNull();
+    });
+
+    it('should convert minor units using each currency exponent', async () => {
+        dbPoolManager.executeRead.mockResolvedValueOnce(rateRow(1 / 129.2));
+        const usd = await convertAmount(1292000, 'KES', 'USD');
+        expect(usd.amount).toBe(10000);
+        expect(usd.currency).toBe('USD');
+
+        dbPoolManager.executeRead.mockResolvedValueOnce(rateRow(150.5));
+        const jpy = await convertAmount(1000, 'USD', 'JPY');
+        expect(jpy.amount).toBe(1505);
+    });
+
+    it('should record the settlement amount with the rate used', async () => {
+        const effectiveAt = new Date();
+        dbPoolManager.executeRead.mockResolvedValueOnce(rateRow(1 / 1540, effectiveAt));
+
+        const fields = await getSettlementFields(154000, 'NGN');
+
+        expect(fields).toEqual({
+            settlement_amount: 100,
+            settlement_currency: 'USD',
+            fx_rate: 1 / 1540,
+            fx_rate_effective_at: effectiveAt
+        });
+        expect(await getReportingAmount(154000, 'NGN', fields)).toBe(100);
+    });
+
+    it('should leave settlement fields empty when no rate can be found', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        dbPoolManager.executeRead.mockRejectedValueOnce(new Error('connection refused'));
+
+        expect(await getSettlementFields(154000, 'NGN')).toEqual({});
+    });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { selectGateway, getGateway, registerGateway, createAdapter, getGatewayReference } from '../gateways/index.js';
+import { processPayment } from '../services/paymentProcessor.js';
+import * as stripe from '../gateways/stripe.js';
+
+// Mock both gateway modules so no network calls are made
+vi.mock('../gateways/paystack.js', () => ({
+    initializePayment: vi.fn(),
+    verifyPayment: vi.fn(),
+    getLatestPaymentStatus: vi.fn(),
+    processRefund: vi.fn(),
+    verifyWebhook: vi.fn(),
+    handleWebhook: vi.fn(),
+    getSupportedPaymentMethods: vi.fn(() => [{ type: 'CARD', name: 'Credit/Debit Card' }]),
+    getSupportedCurrencies: vi.fn(() => [
+        { code: 'NGN', name: 'Nigerian Naira' },
+        { code: 'KES', name: 'Kenyan Shilling' }
+    ])
+}));
+
+vi.mock('../gateways/stripe.js', () => ({
+    isConfigured: vi.fn(() => true),
+    initializePayment: vi.fn(),
+    verifyPayment: vi.fn(),
+    getLatestPaymentStatus: vi.fn(),
+    processRefund: vi.fn(),
+    verifyWebhook: vi.fn(),
+    handleWebhook: vi.fn(),
+    getSupportedPaymentMethods: vi.fn(() => [{ type: 'CARD', name: 'Credit/Debit Card' }]),
+    getSupportedCurrencies: vi.fn(() => [
+        { code: 'USD', name: 'US Dollar' },
+        { code: 'KES', name: 'Kenyan Shilling' }
+    ])
+}));
+
+describe('Gateway Registry', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        stripe.isConfigured.mockReturnValue(true);
+    });
+
+    describe('selectGateway', () => {
+        it('should use the default gateway when it supports the currency', () => {
+            const result = selectGateway({ currency: 'KES' });
+
+            expect(result.success).toBe(true);
+            expect(result.gateway.name).toBe('paystack');
+        });
+
+        it('should fall back to another gateway for currencies the default does not support', () => {
+            const result = selectGateway({ currency: 'USD' });
+
+            expect(result.success).toBe(true);
+            expect(result.gateway.name).toBe('stripe');
+        });
+
+        it('should honour an explicitly requested gateway', () => {
+            const result = selectGateway({ gateway: 'stripe', currency: 'KES' });
+
+            expect(result.success).toBe(true);
+            expect(result.gateway.name).toBe('stripe');
+        });
+
+        it('should reject unknown gateways', () => {
+            const result = selectGateway({ gateway: 'unknown', currency: 'KES' });
+
+            expect(result.success).toBe(false);
+            expect(result.error.code).toBe('UNSUPPORTED_GATEWAY');
+        });
+
+        it('should reject gateways that are not configured', () => {
+            stripe.isConfigured.mockReturnValue(false);
+
+            const result = selectGateway({ gateway: 'stripe', currency: 'USD' });
+
+            expect(result.success).toBe(false);
+            expect(result.error.code).toBe('GATEWAY_NOT_CONFIGURED');
+        });
+
+        it('should reject currencies no enabled gateway supports', () => {
+            stripe.isConfigured.mockReturnValue(false);
+
+            const result = selectGateway({ currency: 'USD' });
+
+            expect(result.success).toBe(false);
+            expect(result.error.code).toBe('INVALID_CURRENCY');
+        });
+
+        it('should pick a gateway that can hold funds for manual capture', () => {
+            const result = selectGateway({ currency: 'KES', captureMethod: 'manual' });
+
+            expect(result.success).toBe(true);
+            expect(result.gateway.name).toBe('stripe');
+        });
+
+        it('should reject manual capture on gateways without authorization holds', () => {
+            expect(getGateway('paystack').supports('authorizeCapture')).toBe(false);
+
+            const result = selectGateway({ gateway: 'paystack', currency: 'KES', captureMethod: 'manual' });
+
+            expect(result.success).toBe(false);
+            expect(result.error.code).toBe('AUTHORIZATION_NOT_SUPPORTED');
+        });
+
+        it('should reject manual capture when no enabled gateway can hold funds', () => {
+            stripe.isConfigured.mockReturnValue(false);
+
+            const result = selectGateway({ currency: 'KES', captureMethod: 'manual' });
+
+            expect(result.success).toBe(false);
+            expect(result.error.code).toBe('AUTHORIZATION_NOT_SUPPORTED');
+        });
+    });
+
+    describe('registerGateway', () => {
+        it('should reject adapters missing required methods', () => {
+            expect(() => registerGateway({ name: 'broken', initialize: vi.fn() }))
+                .toThrow('Gateway adapter broken is missing');
+        });
+
+        it('should register adapters built from a gateway module', () => {
+            const gatewayModule = {
+                initializePayment: vi.fn(),
+                getSupportedCurrencies: vi.fn(() => [{ code: 'EUR', name: 'Euro' }])
+            };
+
+            registerGateway(createAdapter('custom', gatewayModule));
+
+            expect(getGateway('custom').supportsCurrency('EUR')).toBe(true);
+        });
+    });
+
+    describe('getGatewayReference', () => {
+        it('should prefer the reference returned by the gateway', () => {
+            const payment = {
+                idempotency_key: 'key_123',
+                gateway_response: JSON.stringify({ reference: 'cs_test_123' })
+            };
+
+            expect(getGatewayReference(payment)).toBe('cs_test_123');
+        });
+
+        it('should fall back to the idempotency key', () => {
+            expect(getGatewayReference({ idempotency_key: 'key_123', gateway_response: {} })).toBe('key_123');
+        });
+    });
+
+    describe('processPayment', () => {
+        it('should route payments to the requested gateway', async () => {
+            stripe.initializePayment.mockResolvedValue({
+                success: true,
+                transactionId: 'cs_test_123',
+                status: 'PENDING',
+                gatewayResponse: { reference: 'cs_test_123', authorization_url: 'https://checkout.stripe.com/c/pay/cs_test_123' }
+            });
+
+            const result = await processPayment({
+                userId: 'user_123',
+                orderId: 'order_123',
+                amount: 2500,
+                currency: 'USD',
+                idempotencyKey: 'test_key_123',
+                gateway: 'stripe'
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.gateway).toBe('stripe');
+            expect(result.transactionId).toBe('cs_test_123');
+            expect(stripe.initializePayment).toHaveBeenCalledWith(expect.objectContaining({
+                amount: 2500,
+                currency: 'USD',
+                reference: 'test_key_123'
+            }));
+        });
+    });
+});
@@ -1,5 +1,28 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createHmac } from 'crypto';
 import { initializePayment, verifyPayment, processRefund, verifyWebhook, handleWebhook } from '../gateways/paystack.js';
+import * as stripeGateway from '../gateways/stripe.js';
+import { getGatewayReference } from '../gateways/index.js';
+
+const { listTransactions: listStripeTransactions } = stripeGateway;
+
+vi.hoisted(() => {
+    process.env.STRIPE_SECRET_KEY = 'sk_test_settlement';
+});
+
+const stripeApi = vi.hoisted(() => ({
+    checkoutSessions: { list: vi.fn(), create: vi.fn(), retrieve: vi.fn() },
+    paymentIntents: { list: vi.fn(), capture: vi.fn() },
+    refunds: { create: vi.fn() }
+}));
+
+vi.mock('stripe', () => ({
+    default: vi.fn(() => ({
+        checkout: { sessions: stripeApi.checkoutSessions },
+        paymentIntents: stripeApi.paymentIntents,
+        refunds: stripeApi.refunds
+    }))
+}));
 
 // Mock node-fetch for Paystack
 vi.mock('node-fetch', () => ({
@@ -151,6 +174,7 @@ describe('Webhook Handling', () => {
         it('should verify webhook signature correctly', () => {
             const payload = '{"event":"charge.success","data":{"reference":"ref_123"}}';
             const signature = 'test_signature';
+            process.env.PAYSTACK_WEBHOOK_SECRET = 'test_webhook_secret';
             
             // Mock crypto module
             const crypto = require('crypto');
@@ -164,6 +188,33 @@ describe('Webhook Handling', () => {
         });
     });
 
+    describe('verifyWebhook with real signatures', () => {
+        const payload = '{"event":"charge.success","data":{"reference":"ref_123"}}';
+        const sign = (secret) => createHmac('sha512', secret).update(payload).digest('hex');
+
+        beforeEach(() => {
+            vi.restoreAllMocks();
+            process.env.PAYSTACK_WEBHOOK_SECRET = 'current_secret';
+            delete process.env.PAYSTACK_WEBHOOK_SECRET_PREVIOUS;
+            delete process.env.PAYSTACK_WEBHOOK_SECRET_PREVIOUS_EXPIRES_AT;
+        });
+
+        it('should reject missing or mis-signed requests', () => {
+            expect(verifyWebhook(payload, undefined)).toBe(false);
+            expect(verifyWebhook(payload, sign('wrong_secret'))).toBe(false);
+        });
+
+        it('should accept the previous secret until it expires', () => {
+            process.env.PAYSTACK_WEBHOOK_SECRET_PREVIOUS = 'old_secret';
+
+            expect(verifyWebhook(payload, sign('current_secret'))).toBe(true);
+            expect(verifyWebhook(payload, sign('old_secret'))).toBe(true);
+
+            process.env.PAYSTACK_WEBHOOK_SECRET_PREVIOUS_EXPIRES_AT = '2000-01-01T00:00:00Z';
+            expect(verifyWebhook(payload, sign('old_secret'))).toBe(false);
+        });
+    });
+
     describe('handleWebhook', () => {
         it('should handle charge.success event', async () => {
             const event = {
@@ -229,3 +280,119 @@ describe('Webhook Handling', () => {
         });
     });
 });
+
+describe('Stripe settlement listing', () => {
+    const period = { from: '2026-01-01T00:00:00.000Z', to: '2026-01-02T00:00:00.000Z' };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should list checkout sessions, then payment intents, naming each session\'s intent as its alias', async () => {
+        stripeApi.checkoutSessions.list.mockResolvedValueOnce({
+            has_more: false,
+            data: [{
+                id: 'cs_1',
+                client_reference_id: 'key_1',
+                payment_intent: 'pi_1',
+                amount_total: 5000,
+                currency: 'usd',
+                payment_status: 'paid',
+                created: 1767225600
+            }]
+        });
+        stripeApi.paymentIntents.list
+            .mockResolvedValueOnce({
+                has_more: true,
+                data: [{ id: 'pi_2', amount: 1500, currency: 'usd', status: 'succeeded', metadata: {}, created: 1767229200 }]
+            })
+            .mockResolvedValueOnce({
+                has_more: false,
+                data: [{ id: 'pi_3', amount: 900, currency: 'usd', status: 'requires_payment_method', last_payment_error: {}, created: 1767232800 }]
+            });
+
+        const sessions = await listStripeTransactions(period);
+        const firstIntents = await listStripeTransactions({ ...period, cursor: sessions.nextCursor });
+        const lastIntents = await listStripeTransactions({ ...period, cursor: firstIntents.nextCursor });
+
+        expect(sessions.items[0]).toMatchObject({ reference: 'cs_1', aliases: ['pi_1'], status: 'SUCCEEDED' });
+        expect(sessions.nextCursor).toBe('payment_intents:');
+        expect(firstIntents.items[0]).toMatchObject({ reference: 'pi_2', amount: 1500, currency: 'USD', status: 'SUCCEEDED' });
+        expect(firstIntents.nextCursor).toBe('payment_intents:pi_2');
+        expect(stripeApi.paymentIntents.list.mock.calls[1][0]).toMatchObject({ starting_after: 'pi_2', created: { gte: 1767225600, lte: 1767312000 } });
+        expect(lastIntents.items[0].status).toBe('FAILED');
+        expect(lastIntents.nextCursor).toBeNull();
+    });
+});
+
+describe('Stripe checkout session webhooks', () => {
+    const completedSession = {
+        id: 'cs_live_1',
+        client_reference_id: 'order-1',
+        payment_intent: 'pi_1',
+        payment_status: 'unpaid',
+        status: 'complete',
+        amount_total: 5000,
+        currency: 'usd',
+        customer_details: { email: 'buyer@example.com' }
+    };
+
+    // The payment row after initialization and a checkout.session.completed webhook, merged as JSONB || does
+    const paymentAfterWebhook = async () => {
+        stripeApi.checkoutSessions.create.mockResolvedValueOnce({ id: 'cs_live_1', url: 'https://checkout.stripe.com/c/cs_live_1' });
+        const initialized = await stripeGateway.initializePayment({
+            amount: 5000,
+            currency: 'USD',
+            email: 'buyer@example.com',
+            reference: 'order-1',
+            callback_url: 'http://localhost:8888/payments/return',
+            captureMethod: 'manual'
+        });
+        const update = await stripeGateway.handleWebhook({ type: 'checkout.session.completed', data: { object: completedSession } });
+
+        return {
+            idempotency_key: 'order-1',
+            gateway: 'stripe',
+            gateway_response: { ...initialized.gatewayResponse, ...update.gatewayResponse }
+        };
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        stripeApi.checkoutSessions.retrieve.mockResolvedValue(completedSession);
+    });
+
+    it('should keep the session ID as the reference and the checkout URL after a webhook', async () => {
+        const payment = await paymentAfterWebhook();
+
+        expect(getGatewayReference(payment)).toBe('cs_live_1');
+        expect(payment.gateway_response).toMatchObject({
+            reference: 'cs_live_1',
+            authorization_url: 'https://checkout.stripe.com/c/cs_live_1',
+            payment_intent: 'pi_1',
+            currency: 'USD'
+        });
+    });
+
+    it('should refund a webhook-updated payment against its session', async () => {
+        const payment = await paymentAfterWebhook();
+        stripeApi.refunds.create.mockResolvedValueOnce({ id: 're_1', payment_intent: 'pi_1', amount: 5000, currency: 'usd', status: 'succeeded', created: 1767225600 });
+
+        const result = await stripeGateway.processRefund({ transactionId: payment.gateway_response.reference, amount: 5000 });
+
+        expect(result.success).toBe(true);
+        expect(stripeApi.checkoutSessions.retrieve).toHaveBeenCalledWith('cs_live_1');
+        expect(stripeApi.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: 'pi_1', amount: 5000 }));
+    });
+
+    it('should capture a webhook-updated payment against its session', async () => {
+        const payment = await paymentAfterWebhook();
+        stripeApi.paymentIntents.capture.mockResolvedValueOnce({ id: 'pi_1', status: 'succeeded', amount_received: 5000 });
+
+        const result = await stripeGateway.capturePayment({ reference: getGatewayReference(payment) });
+
+        expect(result.success).toBe(true);
+        expect(stripeApi.checkoutSessions.retrieve).toHaveBeenCalledWith('cs_live_1');
+        expect(stripeApi.paymentIntents.capture).toHaveBeenCalledWith('pi_1', {});
+    });
+});
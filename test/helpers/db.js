@@ -0,0 +1,34 @@
+import { vi } from 'vitest';
+import dbPoolManager from '../../db/connectionPool.js';
+
+/**
+ * Fake client for dbPoolManager.executeTransaction, and for getWriteClient (advisory locks) when the
+ * test's pool mock has it. Each query gets the rows of the first response whose key it contains,
+ * or no rows.
+ * Call after vi.mock('../db/connectionPool.js', ...) in the test file.
+ * @param {Object} responses - { [query fragment]: rows, or (params) => rows }
+ * @returns {Object} The client, whose query and release are mocks
+ */
+export const mockTransaction = (responses = {}) => {
+    const client = {
+        release: vi.fn(),
+        query: vi.fn(async (query, params) => {
+            const fragment = Object.keys(responses).find(key => query.includes(key));
+            if (fragment) {
+                const rows = responses[fragment];
+                return { rows: typeof rows === 'function' ? rows(params) : rows };
+            }
+            return { rows: [] };
+        })
+    };
+    dbPoolManager.executeTransaction.mockImplementation(async (callback) => callback(client));
+    dbPoolManager.getWriteClient?.mockResolvedValue(client);
+    return client;
+};
+
+/**
+ * First call of a fake client whose query contains `fragment`, as [query, params]
+ */
+export const findQuery = (client, fragment) => client.query.mock.calls.find(([query]) => query.includes(fragment));
+
+export default mockTransaction;
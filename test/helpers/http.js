@@ -0,0 +1,57 @@
+import express from 'express';
+import { verifyToken } from '../../services/userService.js';
+
+/**
+ * Serve a router on an ephemeral local port, the way src/app.js mounts it
+ * @param {string} mountPath - Path the router is mounted at, e.g. '/payments'
+ * @param {Object} router - Express router under test
+ * @returns {Object} { request(method, path, { body, rawBody, headers }), close() } where body is sent as
+ *   JSON and rawBody as given, e.g. a urlencoded form
+
+ */
+export const serveRouter = async (mountPath, router) => {
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, router);
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, { body, rawBody, headers = {} } = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            redirect: 'manual',
+            headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+            body: body === undefined ? rawBody : JSON.stringify(body)
+        });
+        const text = await response.text();
+
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // Not every response is JSON (redirects, HTML pages)
+        }
+        return { status: response.status, headers: response.headers, body: json, text };
+    };
+
+    const close = () => new Promise(resolve => server.close(resolve));
+
+    return { request, close };
+};
+
+/**
+ * Sign a user in through the test file's userService.verifyToken mock
+ * (vi.mock('../services/userService.js', ...) with verifyToken: vi.fn())
+ * @param {string} id - User ID
+ * @param {Array} roles - e.g. ['admin']; customers by default
+ * @returns {Object} Authorization header for the user
+ */
+export const signInAs = (id, roles = ['customer']) => {
+    verifyToken.mockResolvedValue({ success: true, user: { id, roles } });
+    return { authorization: `Bearer token-${id}` };
+};
+
+export default serveRouter;
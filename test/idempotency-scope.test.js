@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { verifyToken } from '../services/userService.js';
+import { checkPaymentLimits } from '../services/paymentLimits.js';
+import payments from '../routes/payments-integrated.js';
+import refunds from '../routes/refunds.js';
+import { serveRouter } from './helpers/http.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../services/userService.js', () => ({
+    verifyToken: vi.fn(),
+    extractUserId: (result) => result.user?.id || null,
+    extractUserDetails: (result) => result.user || null
+}));
+
+vi.mock('../services/paymentLimits.js', () => ({
+    checkPaymentLimits: vi.fn()
+}));
+
+vi.mock('../messaging/publishPaymentEvent.js', () => ({
+    publishPaymentEvent: vi.fn()
+}));
+
+const PAYMENT_ID = '550e8400-e29b-41d4-a716-446655440001';
+
+// Payment user-a created with key "order-7"
+const paymentOfUserA = {
+    id: PAYMENT_ID,
+    status: 'SUCCEEDED',
+    user_id: 'user-a',
+    order_id: 'order_7',
+    amount: 5000,
+    currency: 'KES',
+    gateway: 'paystack',
+    gateway_response: { reference: 'ref_7', authorization_url: 'https://checkout.example/abc' }
+};
+
+const signIn = (userId) => {
+    verifyToken.mockResolvedValue({ success: true, user: { id: userId, roles: ['customer'] } });
+    return { authorization: `Bearer token-${userId}`, 'idempotency-key': 'order-7' };
+};
+
+describe('Idempotency key scoping', () => {
+    let paymentsApi;
+    let refundsApi;
+
+    beforeAll(async () => {
+        paymentsApi = await serveRouter('/payments', payments);
+        refundsApi = await serveRouter('/refunds', refunds);
+    });
+
+    afterAll(async () => {
+        await paymentsApi.close();
+        await refundsApi.close();
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        dbPoolManager.executeWrite.mockImplementation(async (query) => (
+            query.includes('INSERT INTO idempotency_records') ? { rows: [{ id: 'record-1' }], rowCount: 1 } : { rows: [], rowCount: 1 }
+        ));
+    });
+
+    describe('POST /payments with retry', () => {
+        beforeEach(() => {
+            dbPoolManager.executeRead.mockImplementation(async (query, params) => (
+                query.includes('idempotency_scope') && params[0] === 'user:user-a' && params[1] === 'order-7'
+                    ? { rows: [paymentOfUserA] }
+                    : { rows: [] }
+            ));
+            checkPaymentLimits.mockResolvedValue({
+                success: false,
+                error: { code: 'PAYMENT_LIMIT_EXCEEDED', message: 'Limit reached', limit: {} }
+            });
+        });
+
+        const retryBody = { orderId: 'order_7', amount: 5000, currency: 'KES', retry: true };
+
+        it('should return the existing payment to the principal that created it', async () => {
+            const res = await paymentsApi.request('POST', '/payments', { headers: signIn('user-a'), body: retryBody });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.id).toBe(PAYMENT_ID);
+        });
+
+        it("should not find another principal's payment by reusing its key", async () => {
+            const res = await paymentsApi.request('POST', '/payments', { headers: signIn('user-b'), body: retryBody });
+
+            const lookup = dbPoolManager.executeRead.mock.calls.find(([query]) => query.includes('idempotency_scope'));
+            expect(lookup[1]).toEqual(['user:user-b', 'order-7']);
+            expect(res.status).toBe(400);
+            expect(res.text).not.toContain(PAYMENT_ID);
+            expect(res.text).not.toContain('checkout.example');
+        });
+    });
+
+    describe('POST /refunds', () => {
+        it('should look the key up on the refunded payment only, ignoring FAILED refunds', async () => {
+            dbPoolManager.executeRead.mockImplementation(async (query) => {
+                if (query.includes('FROM payments p')) return { rows: [paymentOfUserA] };
+                if (query.includes('FROM refunds')) return { rows: [{ id: 'refund-1', amount: 1000, status: 'PENDING' }] };
+                return { rows: [] };
+            });
+
+            const res = await refundsApi.request('POST', '/refunds', {
+                headers: signIn('user-a'),
+                body: { payment_id: PAYMENT_ID, amount: 1000 }
+            });
+
+            const [query, params] = dbPoolManager.executeRead.mock.calls.find(([sql]) => sql.includes('FROM refunds'));
+            expect(query).toContain("status <> 'FAILED'");
+            expect(params).toEqual([PAYMENT_ID, 'order-7']);
+            expect(res.status).toBe(409);
+            expect(res.body.error.code).toBe('DUPLICATE_IDEMPOTENCY_KEY');
+            expect(res.body.error.details).not.toHaveProperty('existing_payment_id');
+        });
+    });
+});
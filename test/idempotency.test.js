@@ -0,0 +1,200 @@
+import { EventEmitter } from 'events';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import {
+    CLAIM_OUTCOMES,
+    fingerprintRequest,
+    claimIdempotencyKey
+} from '../services/idempotencyStore.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn()
+    }
+}));
+
+const RECORD_ID = '3f2b8c1d-5e6a-4b7c-9d0e-1f2a3b4c5d6e';
+
+const request = (overrides = {}) => ({
+    method: 'POST',
+    baseUrl: '/refunds',
+    path: '/',
+    headers: { 'idempotency-key': 'refund-1' },
+    body: { payment_id: 'payment-1', amount: 500 },
+    principal: { type: 'user', id: 'user-1' },
+    ...overrides
+});
+
+/**
+ * Minimal response that records what was written and emits finish like http.ServerResponse
+ */
+const mockResponse = () => {
+    const res = new EventEmitter();
+    const headers = {};
+    res.statusCode = 200;
+    res.sent = [];
+    res.writableFinished = false;
+    res.setHeader = vi.fn((name, value) => { headers[name.toLowerCase()] = value; });
+    res.getHeader = (name) => headers[name.toLowerCase()];
+    res.set = vi.fn((name, value) => { res.setHeader(name, value); return res; });
+    res.status = vi.fn((code) => { res.statusCode = code; return res; });
+    res.write = function (chunk) { this.sent.push(Buffer.from(chunk)); return true; };
+    res.end = function (chunk) {
+        if (chunk) this.sent.push(Buffer.from(chunk));
+        this.writableFinished = true;
+        this.emit('finish');
+        return this;
+    };
+    res.json = function (payload) {
+        this.setHeader('Content-Type', 'application/json; charset=utf-8');
+        return this.end(JSON.stringify(payload));
+    };
+    res.body = () => Buffer.concat(res.sent);
+    return res;
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const mockStoredRecord = (record) => {
+    dbPoolManager.executeWrite.mockResolvedValueOnce({ rows: [] });
+    dbPoolManager.executeRead.mockResolvedValueOnce({ rows: [record] });
+};
+
+describe('Idempotency', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        dbPoolManager.executeWrite.mockResolvedValue({ rows: [], rowCount: 1 });
+    });
+
+    describe('fingerprintRequest', () => {
+        it('should ignore body key order and ignored fields but not the path or values', () => {
+            const base = { method: 'POST', path: '/payments', body: { amount: 100, metadata: { a: 1, b: 2 } } };
+
+            expect(fingerprintRequest(base)).toMatch(/^[0-9a-f]{64}$/);
+            expect(fingerprintRequest({ ...base, body: { metadata: { b: 2, a: 1 }, amount: 100 } })).toBe(fingerprintRequest(base));
+            expect(fingerprintRequest({ ...base, body: { ...base.body, retry: true }, ignoreFields: ['retry'] }))
+                .toBe(fingerprintRequest(base));
+            expect(fingerprintRequest({ ...base, body: { ...base.body, amount: 101 } })).not.toBe(fingerprintRequest(base));
+            expect(fingerprintRequest({ ...base, path: '/refunds' })).not.toBe(fingerprintRequest(base));
+        });
+    });
+
+    describe('claimIdempotencyKey', () => {
+        const claim = {
+            principalType: 'user',
+            principalId: 'user-1',
+            key: 'refund-1',
+            method: 'POST',
+            path: '/refunds/',
+            fingerprint: 'a'.repeat(64)
+        };
+
+        it('should claim a new key with a lock token', async () => {
+            dbPoolManager.executeWrite.mockResolvedValueOnce({ rows: [{ id: RECORD_ID }] });
+
+            const result = await claimIdempotencyKey(claim);
+
+            expect(result).toMatchObject({ outcome: CLAIM_OUTCOMES.CLAIMED, recordId: RECORD_ID });
+            expect(dbPoolManager.executeWrite.mock.calls[0][1]).toContain(result.lockToken);
+            expect(dbPoolManager.executeRead).not.toHaveBeenCalled();
+        });
+
+        it('should tell a replay, a mismatch and a request still in progress apart', async () => {
+            const completed = {
+                request_fingerprint: claim.fingerprint,
+                status: 'COMPLETED',
+                response_status_code: 201,
+                response_headers: { 'content-type': 'application/json' },
+                response_body: Buffer.from('{"ok":true}')
+            };
+
+            mockStoredRecord(completed);
+            const replay = await claimIdempotencyKey(claim);
+
+            mockStoredRecord({ ...completed, request_fingerprint: 'b'.repeat(64) });
+            const mismatch = await claimIdempotencyKey(claim);
+
+            mockStoredRecord({ request_fingerprint: claim.fingerprint, status: 'IN_PROGRESS', locked_until: new Date(Date.now() + 60000) });
+            const inProgress = await claimIdempotencyKey(claim);
+
+            expect(replay).toEqual({
+                outcome: CLAIM_OUTCOMES.REPLAY,
+                response: { statusCode: 201, headers: completed.response_headers, body: completed.response_body }
+            });
+            expect(mismatch.outcome).toBe(CLAIM_OUTCOMES.MISMATCH);
+            expect(inProgress).toEqual({ outcome: CLAIM_OUTCOMES.IN_PROGRESS, retryAfter: 5 });
+        });
+    });
+
+    describe('idempotent middleware', () => {
+        it('should record the response and replay it byte for byte', async () => {
+            dbPoolManager.executeWrite.mockResolvedValueOnce({ rows: [{ id: RECORD_ID }] });
+            const first = mockResponse();
+            const next = vi.fn(() => first.status(201).json({ success: true, data: { id: 'refund-9', amount: 500 } }));
+
+            await idempotent()(request(), first, next);
+            await flush();
+
+            const [, completeParams] = dbPoolManager.executeWrite.mock.calls[1];
+            expect(next).toHaveBeenCalled();
+            expect(completeParams[2]).toBe(201);
+            expect(JSON.parse(completeParams[3])).toEqual({ 'content-type': 'application/json; charset=utf-8' });
+            expect(completeParams[4].equals(first.body())).toBe(true);
+
+            mockStoredRecord({
+                request_fingerprint: fingerprintRequest({ method: 'POST', path: '/refunds/', body: request().body }),
+                status: 'COMPLETED',
+                response_status_code: 201,
+                response_headers: JSON.parse(completeParams[3]),
+                response_body: completeParams[4]
+            });
+            const repeat = mockResponse();
+            const repeatNext = vi.fn();
+
+            await idempotent()(request({ body: { amount: 500, payment_id: 'payment-1' } }), repeat, repeatNext);
+
+            expect(repeatNext).not.toHaveBeenCalled();
+            expect(repeat.statusCode).toBe(201);
+            expect(repeat.body().equals(first.body())).toBe(true);
+            expect(repeat.getHeader('idempotent-replayed')).toBe('true');
+            expect(repeat.getHeader('content-type')).toBe('application/json; charset=utf-8');
+        });
+
+        it('should answer 422 for a different payload and 409 while the first request runs', async () => {
+            const fingerprint = fingerprintRequest({ method: 'POST', path: '/refunds/', body: request().body });
+
+            mockStoredRecord({ request_fingerprint: fingerprint, status: 'COMPLETED', response_status_code: 201 });
+            const changed = mockResponse();
+            await idempotent()(request({ body: { payment_id: 'payment-1', amount: 900 } }), changed, vi.fn());
+
+            mockStoredRecord({ request_fingerprint: fingerprint, status: 'IN_PROGRESS', locked_until: new Date(Date.now() + 2000) });
+            const concurrent = mockResponse();
+            await idempotent()(request(), concurrent, vi.fn());
+
+            expect(changed.statusCode).toBe(422);
+            expect(JSON.parse(changed.body()).error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+            expect(concurrent.statusCode).toBe(409);
+            expect(JSON.parse(concurrent.body()).error.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+            expect(concurrent.getHeader('retry-after')).toBe('2');
+        });
+
+        it('should release the key after a server error and pass requests without a key through', async () => {
+            dbPoolManager.executeWrite.mockResolvedValueOnce({ rows: [{ id: RECORD_ID }] });
+            const failed = mockResponse();
+
+            await idempotent()(request(), failed, () => failed.status(500).json({ success: false }));
+            await flush();
+
+            const [releaseQuery, releaseParams] = dbPoolManager.executeWrite.mock.calls[1];
+            expect(releaseQuery).toContain('DELETE FROM idempotency_records');
+            expect(releaseParams[0]).toBe(RECORD_ID);
+
+            const next = vi.fn();
+            await idempotent()(request({ headers: {} }), mockResponse(), next);
+            expect(next).toHaveBeenCalled();
+            expect(dbPoolManager.executeWrite).toHaveBeenCalledTimes(2);
+        });
+    });
+});
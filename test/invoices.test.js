@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
+import {
+    calculateInvoiceTotals,
+    createInvoice,
+    finalizeInvoice,
+    voidInvoice,
+    allocatePayment
+} from '../services/invoiceService.js';
+import { settleAllocation } from '../services/invoiceSettlement.js';
+import { mockTransaction, findQuery } from './helpers/db.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../messaging/publishPaymentEvent.js', () => ({
+    publishPaymentEvent: vi.fn()
+}));
+
+const openInvoice = (overrides = {}) => ({
+    id: 'invoice-uuid',
+    number: 'INV-000007',
+    user_id: 'user-uuid',
+    merchant_id: 'merchant_1',
+    status: 'OPEN',
+    currency: 'USD',
+    subtotal_amount: 10000,
+    tax_amount: 750,
+    total_amount: 10750,
+    amount_paid: 0,
+    ...overrides
+});
+
+describe('Invoices', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('calculateInvoiceTotals', () => {
+        it('should tax only taxable items and round each tax to the minor unit', () => {
+            const totals = calculateInvoiceTotals(
+                [
+                    { description: 'Consulting', quantity: 3, unitAmount: 3333 },
+                    { description: 'Travel', unitAmount: 1000, taxable: false }
+                ],
+                [{ name: 'VAT', rateBps: 750 }, { name: 'City tax', rateBps: 125 }]
+            );
+
+            expect(totals.lineItems.map(item => item.amount)).toEqual([9999, 1000]);
+            expect(totals.taxLines.map(taxLine => [taxLine.taxableAmount, taxLine.amount])).toEqual([[9999, 750], [9999, 125]]);
+            expect(totals).toMatchObject({ subtotal: 10999, tax: 875, total: 11874 });
+        });
+    });
+
+    describe('createInvoice', () => {
+        it('should store a draft with its lines and totals', async () => {
+            const client = mockTransaction({ 'INSERT INTO invoices': [{ id: 'invoice-uuid' }] });
+
+            const result = await createInvoice({
+                createdBy: 'admin-uuid',
+                userId: 'user-uuid',
+                currency: 'USD',
+                lineItems: [{ description: 'Consulting', quantity: 2, unitAmount: 5000 }],
+                taxLines: [{ name: 'VAT', rateBps: 750 }]
+            });
+
+            expect(result.success).toBe(true);
+            expect(findQuery(client, 'INSERT INTO invoice_line_items')[1]).toEqual(['invoice-uuid', 0, 'Consulting', 2, 5000, 10000, true]);
+            expect(findQuery(client, 'INSERT INTO invoice_tax_lines')[1]).toEqual(['invoice-uuid', 0, 'VAT', 750, 10000, 750]);
+            expect(findQuery(client, 'SET subtotal_amount')[1]).toEqual(['invoice-uuid', 10000, 750, 10750]);
+        });
+
+        it('should reject invoices without line items or with fractional amounts', async () => {
+            const empty = await createInvoice({ createdBy: 'admin-uuid', userId: 'user-uuid', currency: 'USD', lineItems: [] });
+            const fractional = await createInvoice({
+                createdBy: 'admin-uuid',
+                userId: 'user-uuid',
+                currency: 'USD',
+                lineItems: [{ description: 'Consulting', unitAmount: 49.99 }]
+            });
+
+            expect(empty.error.code).toBe('VALIDATION_ERROR');
+            expect(fractional.error.details).toBe('unitAmount must be a whole number of minor units, zero or more');
+            expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('finalizeInvoice', () => {
+        it("should number the invoice from its merchant's sequence and open it", async () => {
+            const client = mockTransaction({
+                'FOR UPDATE': [openInvoice({ status: 'DRAFT', number: null })],
+                'invoice_number_sequences': [{ last_number: 42 }],
+                'FROM invoices WHERE id': [openInvoice({ number: 'INV-000042' })]
+            });
+
+            const result = await finalizeInvoice('invoice-uuid');
+
+            expect(result.success).toBe(true);
+            expect(findQuery(client, 'invoice_number_sequences')[1]).toEqual(['merchant_1']);
+            expect(findQuery(client, "SET status = 'OPEN'")[1]).toEqual(['invoice-uuid', 'INV-000042']);
+            expect(publishPaymentEvent).toHaveBeenCalledWith('invoice_finalized', expect.objectContaining({ number: 'INV-000042' }));
+        });
+
+        it('should only finalize drafts', async () => {
+            mockTransaction({ 'FOR UPDATE': [openInvoice()] });
+
+            const result = await finalizeInvoice('invoice-uuid');
+
+            expect(result.error.code).toBe('INVOICE_NOT_DRAFT');
+        });
+    });
+
+    describe('voidInvoice', () => {
+        it('should refuse to void an invoice with payments allocated', async () => {
+            const client = mockTransaction({ 'FOR UPDATE': [openInvoice()], 'SELECT 1 FROM invoice_payments': [{}] });
+
+            const result = await voidInvoice('invoice-uuid', { reason: 'Duplicate' });
+
+            expect(result.error.code).toBe('INVOICE_HAS_PAYMENTS');
+            expect(findQuery(client, "SET status = 'VOID'")).toBeUndefined();
+        });
+    });
+
+    describe('allocatePayment', () => {
+        const payment = (overrides = {}) => ({
+            id: 'payment-uuid', user_id: 'user-uuid', amount: 10750, captured_amount: null, currency: 'USD', status: 'SUCCEEDED', ...overrides
+        });
+
+        it('should apply a collected payment and mark the invoice paid once covered', async () => {
+            const client = mockTransaction({
+                'FROM invoices WHERE id = $1 FOR UPDATE': [openInvoice({ amount_paid: 5000 })],
+                'FROM payments WHERE id': [payment({ amount: 8000 })],
+                'invoice_allocated': [{ invoice_allocated: '5000', payment_allocated: '0', existing: '0' }],
+                'INSERT INTO invoice_payments': (params) => [{ id: 'allocation-uuid', invoice_id: params[0], payment_id: params[1], amount: params[2], status: 'PENDING' }],
+                'UPDATE invoices': (params) => [openInvoice({ amount_paid: params[1], status: params[2] ? 'PAID' : 'OPEN' })]
+            });
+
+            const result = await allocatePayment('invoice-uuid', { paymentId: 'payment-uuid', actorId: 'user-uuid', payerId: 'user-uuid' });
+
+            expect(result.data.allocation).toMatchObject({ amount: 5750, status: 'APPLIED' });
+            expect(result.data.invoice).toMatchObject({ status: 'PAID', amount_paid: 10750 });
+            expect(findQuery(client, 'UPDATE invoices')[1]).toEqual(['invoice-uuid', 10750, true]);
+            expect(publishPaymentEvent).toHaveBeenCalledWith('invoice_paid', expect.objectContaining({ invoiceId: 'invoice-uuid' }));
+        });
+
+        it('should hold a payment still at the gateway as a pending allocation', async () => {
+            const client = mockTransaction({
+                'FROM invoices WHERE id = $1 FOR UPDATE': [openInvoice()],
+                'FROM payments WHERE id': [payment({ status: 'PENDING' })],
+                'invoice_allocated': [{ invoice_allocated: '0', payment_allocated: '0', existing: '0' }],
+                'INSERT INTO invoice_payments': [{ id: 'allocation-uuid', amount: 4000, status: 'PENDING' }]
+            });
+
+            const result = await allocatePayment('invoice-uuid', { paymentId: 'payment-uuid', amount: 4000, actorId: 'admin-uuid' });
+
+            expect(result.data.allocation.status).toBe('PENDING');
+            expect(findQuery(client, 'UPDATE invoices')).toBeUndefined();
+        });
+
+        it("should refuse payments in another currency, by another user or beyond the invoice's balance", async () => {
+            mockTransaction({ 'FROM invoices WHERE id = $1 FOR UPDATE': [openInvoice()], 'FROM payments WHERE id': [payment({ currency: 'EUR' })] });
+            expect((await allocatePayment('invoice-uuid', { paymentId: 'payment-uuid', actorId: 'admin-uuid' })).error.code)
+                .toBe('PAYMENT_CURRENCY_MISMATCH');
+
+            mockTransaction({ 'FROM invoices WHERE id = $1 FOR UPDATE': [openInvoice()], 'FROM payments WHERE id': [payment()] });
+            expect((await allocatePayment('invoice-uuid', { paymentId: 'payment-uuid', actorId: 'other-user', payerId: 'other-user' })).error.code)
+                .toBe('PAYMENT_NOT_FOUND');
+
+            mockTransaction({
+                'FROM invoices WHERE id = $1 FOR UPDATE': [openInvoice()],
+                'FROM payments WHERE id': [payment()],
+                'invoice_allocated': [{ invoice_allocated: '10000', payment_allocated: '0', existing: '0' }]
+            });
+            expect((await allocatePayment('invoice-uuid', { paymentId: 'payment-uuid', amount: 1000, actorId: 'admin-uuid' })).error.code)
+                .toBe('ALLOCATION_EXCEEDS_BALANCE');
+        });
+    });
+
+    describe('settleAllocation', () => {
+        it('should drop a pending allocation whose payment failed', async () => {
+            const client = mockTransaction({
+                'FROM invoices WHERE id': [openInvoice()],
+                "status = 'PENDING' FOR UPDATE": [{ id: 'allocation-uuid', amount: 4000 }]
+            });
+
+            const outcome = await settleAllocation({ id: 'allocation-uuid', invoice_id: 'invoice-uuid', payment_status: 'FAILED' });
+
+            expect(outcome).toBe('failed');
+            expect(findQuery(client, "SET status = 'FAILED'")[1]).toEqual(['allocation-uuid']);
+            expect(findQuery(client, 'UPDATE invoices')).toBeUndefined();
+        });
+
+        it('should apply a pending allocation once its payment is collected', async () => {
+            const client = mockTransaction({
+                'FROM invoices WHERE id': [openInvoice()],
+                "status = 'PENDING' FOR UPDATE": [{ id: 'allocation-uuid', amount: 4000 }],
+                'UPDATE invoices': [openInvoice({ amount_paid: 4000 })]
+            });
+
+            const outcome = await settleAllocation({ id: 'allocation-uuid', invoice_id: 'invoice-uuid', payment_status: 'SUCCEEDED' });
+
+            expect(outcome).toBe('applied');
+            expect(findQuery(client, 'UPDATE invoices')[1]).toEqual(['invoice-uuid', 4000, false]);
+            expect(publishPaymentEvent).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,427 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import dns from 'dns';
+import fetch from 'node-fetch';
+import dbPoolManager from '../db/connectionPool.js';
+import { encrypt } from '../utils/envelopeEncryption.js';
+import {
+    MERCHANT_WEBHOOK_CONFIG,
+    signPayload,
+    verifyWebhookSignature,
+    formatDelivery,
+    createEndpoint,
+    updateEndpoint,
+    fanOutEvent,
+    attemptDelivery,
+    deliverWithRetry,
+    resendDelivery
+} from '../services/merchantWebhooks.js';
+import webhookEndpoints from '../routes/webhookEndpoints.js';
+import { mockTransaction, findQuery } from './helpers/db.js';
+import { serveRouter, signInAs } from './helpers/http.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../services/userService.js', () => ({
+    verifyToken: vi.fn(),
+    extractUserId: (result) => result.user?.id || null,
+    extractUserDetails: (result) => result.user || null
+}));
+
+vi.mock('node-fetch', () => ({
+    default: vi.fn()
+}));
+
+vi.mock('dns', () => ({
+    default: {
+        promises: { lookup: vi.fn() }
+    }
+}));
+
+vi.mock('../utils/envelopeEncryption.js', () => ({
+    encrypt: vi.fn(async (plaintext, { aad }) => JSON.stringify({ kv: '1', plaintext, aad })),
+    decrypt: vi.fn(async (value) => JSON.parse(value).plaintext),
+    getKeyVersion: vi.fn(() => '1')
+}));
+
+// Same attempts as the real helper, without the waits
+vi.mock('../workers/retryWithBackoff.js', () => ({
+    retryWithBackoff: vi.fn(async (fn, maxAttempts) => {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await fn();
+            } catch (err) {
+                if (attempt >= maxAttempts) throw err;
+            }
+        }
+    })
+}));
+
+const SECRET = 'whsec_test';
+
+/**
+ * A PENDING delivery whose attempts counter is kept like the table would, so automatic attempts
+ * stop once MAX_ATTEMPTS is reached
+ */
+const mockDelivery = ({ status = 'PENDING', attempts = 0, isActive = true } = {}) => {
+    const delivery = {
+        id: 'delivery-uuid',
+        endpoint_id: 'endpoint-uuid',
+        event_id: 'event-uuid',
+        event_type: 'payment_captured',
+        payload: { id: 'event-uuid', type: 'payment_captured', data: { payment_id: 'payment-uuid' } },
+        status,
+        attempts
+    };
+    const secretEncrypted = JSON.stringify({ plaintext: SECRET });
+
+    dbPoolManager.executeWrite.mockImplementation(async (query, params) => {
+        if (query.includes('SET attempts = d.attempts + 1')) {
+            const manual = params[1];
+            if (!manual && (delivery.status !== 'PENDING' || !isActive)) {
+                return { rows: [] };
+            }
+            delivery.attempts += 1;
+            return { rows: [{ ...delivery, url: 'https://merchant.example.com/hooks', secret_encrypted: secretEncrypted }] };
+        }
+        return { rows: [delivery] };
+    });
+    dbPoolManager.executeRead.mockResolvedValue({ rows: [{ status: delivery.status, is_active: isActive }] });
+
+    mockTransaction({
+        'INSERT INTO merchant_webhook_delivery_attempts': (params) => [{ attempt: params[1], manual: params[2], succeeded: params[4] }],
+        'UPDATE merchant_webhook_deliveries': ([, succeeded, final, statusCode, error]) => {
+            if (succeeded) {
+                delivery.status = 'SUCCEEDED';
+            } else if (final && delivery.status !== 'SUCCEEDED') {
+                delivery.status = 'FAILED';
+            }
+            return [{ ...delivery, last_status_code: statusCode, last_error: error }];
+        }
+    });
+
+    return delivery;
+};
+
+const respondWith = (...statuses) => {
+    statuses.forEach(status => fetch.mockResolvedValueOnce({ status, text: async () => `status ${status}` }));
+    return fetch;
+};
+
+// What merchant.example.com resolves to: a public address unless a test says otherwise
+const resolveTo = (...addresses) => dns.promises.lookup.mockResolvedValue(
+    addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }))
+);
+
+describe('Merchant webhooks', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        fetch.mockReset();
+        resolveTo('93.184.216.34');
+    });
+
+    describe('signatures', () => {
+        it('should accept a recent, untampered delivery and reject anything else', () => {
+            const now = Date.UTC(2026, 2, 14, 12, 0, 0);
+            const timestamp = now / 1000;
+            const body = '{"id":"event-uuid"}';
+            const signature = signPayload(SECRET, timestamp, body);
+
+            expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+            expect(verifyWebhookSignature({ secret: SECRET, timestamp, body, signature, now })).toBe(true);
+            expect(verifyWebhookSignature({ secret: SECRET, timestamp, body: '{"id":"other"}', signature, now })).toBe(false);
+            expect(verifyWebhookSignature({ secret: 'whsec_other', timestamp, body, signature, now })).toBe(false);
+
+            const replayedAt = now + (MERCHANT_WEBHOOK_CONFIG.SIGNATURE_TOLERANCE_SECONDS + 1) * 1000;
+            expect(verifyWebhookSignature({ secret: SECRET, timestamp, body, signature, now: replayedAt })).toBe(false);
+        });
+    });
+
+    describe('createEndpoint', () => {
+        it('should store the secret encrypted for the endpoint and return it once', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [{ count: '0' }] });
+            dbPoolManager.executeWrite.mockImplementation(async (query, params) => ({ rows: [{ id: params[0] }] }));
+
+            const result = await createEndpoint({
+                ownerId: 'user-uuid',
+                url: 'https://merchant.example.com/hooks',
+                eventTypes: ['payment_captured', 'refund_processed', 'payment_captured']
+            });
+
+            expect(result.data.secret).toMatch(/^whsec_/);
+            const [, params] = dbPoolManager.executeWrite.mock.calls[0];
+            expect(params[5]).toEqual(['payment_captured', 'refund_processed']);
+            expect(encrypt).toHaveBeenCalledWith(result.data.secret, { aad: `merchant_webhook_endpoints:${params[0]}` });
+        });
+
+        it('should reject plain HTTP URLs and events merchants cannot subscribe to', async () => {
+            const http = await createEndpoint({ ownerId: 'user-uuid', url: 'http://merchant.example.com/hooks' });
+            const internal = await createEndpoint({
+                ownerId: 'user-uuid',
+                url: 'https://merchant.example.com/hooks',
+                eventTypes: ['webhook_received']
+            });
+
+            expect(http.error.details).toBe('Webhook endpoints must use HTTPS');
+            expect(internal.error.message).toBe('Invalid event types');
+            expect(dbPoolManager.executeWrite).not.toHaveBeenCalled();
+        });
+
+        it('should reject hosts that resolve to loopback, private, link-local or metadata addresses', async () => {
+            const attempts = [];
+            for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.10', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:7f00:1']) {
+                resolveTo('93.184.216.34', address);
+                attempts.push(await createEndpoint({ ownerId: 'user-uuid', url: 'https://merchant.example.com/hooks' }));
+            }
+            dns.promises.lookup.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+            const unresolvable = await createEndpoint({ ownerId: 'user-uuid', url: 'https://nowhere.example.com/hooks' });
+
+            attempts.forEach(result => expect(result.error).toMatchObject({ code: 'VALIDATION_ERROR', message: 'Invalid URL' }));
+            expect(unresolvable.error.details).toBe('Could not resolve nowhere.example.com: ENOTFOUND');
+            expect(dbPoolManager.executeWrite).not.toHaveBeenCalled();
+        });
+
+        it('should check the host again when an endpoint URL is changed', async () => {
+            resolveTo('10.0.0.8');
+
+            const result = await updateEndpoint('endpoint-uuid', { url: 'https://internal.example.com/hooks' });
+
+            expect(result.error.details).toBe('internal.example.com resolves to a private, loopback or link-local address');
+            expect(dbPoolManager.executeWrite).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('formatDelivery', () => {
+        it("should only include the receiver's response bodies when asked to", () => {
+            const attempts = [{ attempt: 1, succeeded: false, status_code: 500, response_body: 'internal details' }];
+
+            const [hidden] = formatDelivery({ id: 'delivery-uuid' }, attempts).attemptLog;
+            const [shown] = formatDelivery({ id: 'delivery-uuid' }, attempts, { includeResponseBody: true }).attemptLog;
+
+            expect(hidden).not.toHaveProperty('responseBody');
+            expect(shown.responseBody).toBe('internal details');
+        });
+    });
+
+    describe('fanOutEvent', () => {
+        it("should create a delivery per subscribed endpoint of the payment's owner", async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [{ user_id: 'user-uuid', merchant_id: 'merchant_1' }] });
+            const client = mockTransaction({
+                'FROM merchant_webhook_endpoints': [{ id: 'endpoint-1' }, { id: 'endpoint-2' }],
+                "status = 'PENDING'": [{ id: 'delivery-1' }, { id: 'delivery-2' }]
+            });
+
+            const deliveryIds = await fanOutEvent({
+                eventId: 'event-uuid',
+                eventType: 'payment_updated',
+                timestamp: '2026-03-14T12:00:00.000Z',
+                payment_id: 'payment-uuid',
+                status: 'SUCCEEDED'
+            });
+
+            expect(deliveryIds).toEqual(['delivery-1', 'delivery-2']);
+            expect(findQuery(client, 'FROM merchant_webhook_endpoints')[1]).toEqual(['payment_updated', 'user-uuid', 'merchant_1']);
+            expect(findQuery(client, 'INSERT INTO merchant_webhook_deliveries')[1]).toEqual([
+                ['endpoint-1', 'endpoint-2'],
+                'event-uuid',
+                'payment_updated',
+                {
+                    id: 'event-uuid',
+                    type: 'payment_updated',
+                    createdAt: '2026-03-14T12:00:00.000Z',
+                    data: { payment_id: 'payment-uuid', status: 'SUCCEEDED' }
+                }
+            ]);
+        });
+
+        it('should never forward internal events', async () => {
+            const deliveryIds = await fanOutEvent({ eventId: 'event-uuid', eventType: 'webhook_received', webhookEventId: 'inbox-uuid' });
+
+            expect(deliveryIds).toEqual([]);
+            expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('attemptDelivery', () => {
+        it('should POST the signed body and log the attempt', async () => {
+            const delivery = mockDelivery();
+            const fetchMock = respondWith(204);
+
+            const result = await attemptDelivery('delivery-uuid');
+
+            const [url, request] = fetchMock.mock.calls[0];
+            expect(url).toBe('https://merchant.example.com/hooks');
+            expect(request.body).toBe(JSON.stringify(delivery.payload));
+            expect(request.headers).toMatchObject({ 'X-Webhook-Id': 'event-uuid', 'X-Webhook-Event': 'payment_captured' });
+            expect(request.headers['X-Webhook-Signature']).toBe(signPayload(SECRET, request.headers['X-Webhook-Timestamp'], request.body));
+            expect(request.redirect).toBe('manual');
+            expect(result.data.delivery).toMatchObject({ status: 'SUCCEEDED', last_status_code: 204 });
+            expect(result.data.attempt).toMatchObject({ attempt: 1, manual: false, succeeded: true });
+        });
+
+        it('should record network errors as failed attempts', async () => {
+            mockDelivery();
+            fetch.mockRejectedValue(new Error('connect ECONNREFUSED 93.184.216.34:443'));
+
+            const result = await attemptDelivery('delivery-uuid');
+
+            expect(result.data.delivery).toMatchObject({
+                status: 'PENDING',
+                last_status_code: null,
+                last_error: 'connect ECONNREFUSED 93.184.216.34:443'
+            });
+        });
+
+        it('should refuse to send once the host resolves to an internal address, and pin the checked address', async () => {
+            mockDelivery();
+            resolveTo('169.254.169.254');
+            respondWith(200);
+
+            const refused = await attemptDelivery('delivery-uuid');
+
+            expect(fetch).not.toHaveBeenCalled();
+            expect(refused.data.delivery).toMatchObject({
+                status: 'PENDING',
+                last_error: 'merchant.example.com resolves to a private, loopback or link-local address'
+            });
+
+            resolveTo('93.184.216.34');
+            await attemptDelivery('delivery-uuid');
+
+            const { agent } = fetch.mock.calls[0][1];
+            const pinned = await new Promise(resolve => agent.options.lookup('merchant.example.com', {}, (err, address) => resolve(address)));
+            expect(pinned).toBe('93.184.216.34');
+        });
+
+        it('should fail pending deliveries of a disabled endpoint without sending them', async () => {
+            mockDelivery({ isActive: false });
+            const fetchMock = respondWith();
+
+            const result = await attemptDelivery('delivery-uuid');
+
+            expect(fetchMock).not.toHaveBeenCalled();
+            expect(result.data.attempt).toBeNull();
+            expect(dbPoolManager.executeWrite.mock.calls.at(-1)[0]).toContain('Webhook endpoint is disabled');
+        });
+    });
+
+    describe('deliverWithRetry', () => {
+        it('should retry until the endpoint accepts the delivery', async () => {
+            mockDelivery();
+            const fetchMock = respondWith(500, 503, 200);
+
+            const delivery = await deliverWithRetry('delivery-uuid');
+
+            expect(fetchMock).toHaveBeenCalledTimes(3);
+            expect(delivery).toMatchObject({ status: 'SUCCEEDED', attempts: 3 });
+        });
+
+        it('should fail the delivery after the last attempt, counting attempts made before a restart', async () => {
+            mockDelivery({ attempts: MERCHANT_WEBHOOK_CONFIG.MAX_ATTEMPTS - 2 });
+            const fetchMock = respondWith(500, 500, 500);
+
+            const delivery = await deliverWithRetry('delivery-uuid');
+
+            expect(fetchMock).toHaveBeenCalledTimes(2);
+            expect(delivery).toMatchObject({ status: 'FAILED', last_status_code: 500, last_error: 'Endpoint responded with HTTP 500' });
+        });
+    });
+
+    describe('resendDelivery', () => {
+        it('should send a failed delivery again as a manual attempt', async () => {
+            mockDelivery({ status: 'FAILED', attempts: MERCHANT_WEBHOOK_CONFIG.MAX_ATTEMPTS });
+            respondWith(200);
+
+            const result = await resendDelivery('endpoint-uuid', 'delivery-uuid');
+
+            expect(result.data.delivery.status).toBe('SUCCEEDED');
+            expect(result.data.attempt).toMatchObject({ attempt: MERCHANT_WEBHOOK_CONFIG.MAX_ATTEMPTS + 1, manual: true });
+        });
+
+        it('should leave deliveries that are still being retried to the worker', async () => {
+            mockDelivery();
+            const fetchMock = respondWith();
+
+            const result = await resendDelivery('endpoint-uuid', 'delivery-uuid');
+
+            expect(result.error.code).toBe('WEBHOOK_DELIVERY_IN_PROGRESS');
+            expect(fetchMock).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('HTTP', () => {
+        const ENDPOINT_ID = '6f1c2d3e-4a5b-4c6d-8e7f-9a0b1c2d3e4f';
+        const DELIVERY_ID = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+        let api;
+
+        beforeAll(async () => {
+            api = await serveRouter('/webhook-endpoints', webhookEndpoints);
+        });
+
+        afterAll(async () => {
+            await api.close();
+        });
+
+        // An endpoint `ownerId` registered, with one delivery whose receiver answered with internal details
+        const mockEndpointOf = (ownerId) => {
+            dbPoolManager.executeRead.mockImplementation(async (query) => {
+                if (query.includes('FROM merchant_webhook_endpoints')) {
+                    return { rows: [{ id: ENDPOINT_ID, owner_id: ownerId, url: 'https://merchant.example.com/hooks', is_active: true }] };
+                }
+                if (query.includes('FROM merchant_webhook_deliveries')) {
+                    return { rows: [{ id: DELIVERY_ID, endpoint_id: ENDPOINT_ID, status: 'FAILED', attempts: 1 }] };
+                }
+                if (query.includes('FROM merchant_webhook_delivery_attempts')) {
+                    return { rows: [{ attempt: 1, succeeded: false, status_code: 500, response_body: 'stack trace from 10.0.0.12' }] };
+                }
+                return { rows: [] };
+            });
+        };
+
+        const deliveryPath = `/webhook-endpoints/${ENDPOINT_ID}/deliveries/${DELIVERY_ID}`;
+
+        it('should require a signed-in user', async () => {
+            const res = await api.request('GET', '/webhook-endpoints');
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should only let admins register merchant endpoints', async () => {
+            const res = await api.request('POST', '/webhook-endpoints', {
+                headers: signInAs('user-1'),
+                body: { url: 'https://merchant.example.com/hooks', merchantId: 'merchant_1' }
+            });
+
+            expect(res.status).toBe(403);
+            expect(dns.promises.lookup).not.toHaveBeenCalled();
+            expect(dbPoolManager.executeWrite).not.toHaveBeenCalled();
+        });
+
+        it("should hide another user's endpoint", async () => {
+            mockEndpointOf('user-2');
+
+            const endpoint = await api.request('GET', `/webhook-endpoints/${ENDPOINT_ID}`, { headers: signInAs('user-1') });
+            const delivery = await api.request('GET', deliveryPath, { headers: signInAs('user-1') });
+
+            expect(endpoint.status).toBe(404);
+            expect(delivery.status).toBe(404);
+            expect(delivery.text).not.toContain('10.0.0.12');
+        });
+
+        it("should show the receiver's response bodies to admins only", async () => {
+            mockEndpointOf('user-1');
+
+            const asOwner = await api.request('GET', deliveryPath, { headers: signInAs('user-1') });
+            const asAdmin = await api.request('GET', deliveryPath, { headers: signInAs('admin-1', ['admin']) });
+
+            expect(asOwner.status).toBe(200);
+            expect(asOwner.body.data.attemptLog[0]).not.toHaveProperty('responseBody');
+            expect(asAdmin.body.data.attemptLog[0].responseBody).toBe('stack trace from 10.0.0.12');
+        });
+    });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { paymentAmount, paymentAmountReporting, paymentAmountUsd, recordPaymentAmount, recordReportingAmount } from '../src/metrics.js';
+
+// Observations across all label sets
+const observations = async (histogram) => {
+    const { values } = await histogram.get();
+    return values.filter(value => value.metricName.endsWith('_count')).reduce((total, value) => total + value.value, 0);
+};
+
+describe('Payment amount metrics', () => {
+    beforeEach(() => {
+        [paymentAmount, paymentAmountReporting, paymentAmountUsd].forEach(histogram => histogram.reset());
+    });
+
+    it('should keep feeding the deprecated payment_amount_usd series with USD reporting amounts', async () => {
+        recordPaymentAmount(1250, 'KWD', 'POST', '/payments');
+        recordReportingAmount(407, 'USD', 'POST', '/payments');
+        recordReportingAmount(374, 'EUR', 'POST', '/payments');
+
+        const { values } = await paymentAmountUsd.get();
+        expect(values.find(value => value.metricName === 'payment_amount_usd_sum').value).toBe(4.07);
+        expect(await observations(paymentAmountUsd)).toBe(1);
+        expect(await observations(paymentAmountReporting)).toBe(2);
+        expect((await paymentAmount.get()).values.find(value => value.metricName === 'payment_amount_sum').value).toBe(1.25);
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { publish } from '../messaging/queueSetup.js';
+import { cancelPayment as cancelAtPaystack } from '../gateways/paystack.js';
+import { cancelPayment } from '../services/paymentCancellation.js';
+import { mockTransaction, findQuery } from './helpers/db.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../messaging/queueSetup.js', () => ({
+    connect: vi.fn(),
+    publish: vi.fn()
+}));
+
+vi.mock('../gateways/paystack.js', () => ({
+    cancelPayment: vi.fn(),
+    getSupportedCurrencies: vi.fn(() => [])
+}));
+
+const pendingPayment = (overrides = {}) => ({
+    id: 'payment-uuid',
+    user_id: 'user-1',
+    order_id: 'order-1',
+    status: 'PENDING',
+    gateway: 'paystack',
+    gateway_response: { reference: 'ref_1' },
+    idempotency_key: 'ref_1',
+    ...overrides
+});
+
+/**
+ * The row lock reads `currentStatus` and the update returns `row`
+ */
+const mockCancellation = ({ currentStatus = 'PENDING', row = null } = {}) => mockTransaction({
+    'FOR UPDATE': [{ id: 'payment-uuid', status: currentStatus }],
+    'UPDATE payments': row ? [row] : []
+});
+
+describe('Payment Cancellation', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        cancelAtPaystack.mockResolvedValue({ success: true, cancelled: false });
+    });
+
+    it('should cancel the payment with the reason and actor recorded for history', async () => {
+        const client = mockCancellation({ row: { id: 'payment-uuid', user_id: 'user-1', order_id: 'order-1', status: 'CANCELLED' } });
+
+        const result = await cancelPayment(pendingPayment(), { reason: 'Changed my mind', actorId: 'user-1' });
+
+        expect(result.success).toBe(true);
+        expect(result.data).toMatchObject({ status: 'CANCELLED', previous_status: 'PENDING', reason: 'Changed my mind' });
+        expect(cancelAtPaystack).toHaveBeenCalledWith('ref_1');
+        expect(findQuery(client, 'set_config')[1]).toEqual(['Changed my mind', 'user-1']);
+        expect(findQuery(client, 'UPDATE payments')[1].slice(0, 2)).toEqual(['payment-uuid', 'CANCELLED']);
+        expect(publish).toHaveBeenCalledWith('payment_cancelled', expect.objectContaining({
+            payment_id: 'payment-uuid',
+            reason: 'Changed my mind',
+            cancelledBy: 'user-1'
+        }));
+    });
+
+    it('should refuse payments that are already terminal', async () => {
+        const result = await cancelPayment(pendingPayment({ status: 'SUCCEEDED' }));
+
+        expect(result.error.code).toBe('PAYMENT_NOT_CANCELLABLE');
+        expect(result.error.details.status).toBe('SUCCEEDED');
+        expect(cancelAtPaystack).not.toHaveBeenCalled();
+        expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should refuse payments that completed while being cancelled', async () => {
+        const client = mockCancellation({ currentStatus: 'SUCCEEDED' });
+
+        const result = await cancelPayment(pendingPayment());
+
+        expect(result.error.code).toBe('PAYMENT_NOT_CANCELLABLE');
+        expect(result.error.details.status).toBe('SUCCEEDED');
+        expect(findQuery(client, 'UPDATE payments')).toBeUndefined();
+        expect(publish).not.toHaveBeenCalled();
+    });
+
+    it('should leave the payment open when the gateway refuses to cancel it', async () => {
+        cancelAtPaystack.mockResolvedValue({ success: false, error: { message: 'Session already completed' } });
+
+        const result = await cancelPayment(pendingPayment());
+
+        expect(result.error.code).toBe('GATEWAY_CANCEL_FAILED');
+        expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should skip the gateway for payments that never reached it', async () => {
+        mockCancellation({ row: { id: 'payment-uuid', status: 'CANCELLED' } });
+
+        const result = await cancelPayment(pendingPayment({ gateway_response: {} }));
+
+        expect(result.success).toBe(true);
+        expect(cancelAtPaystack).not.toHaveBeenCalled();
+    });
+});
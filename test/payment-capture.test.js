@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { publish } from '../messaging/queueSetup.js';
+import { capturePayment as captureAtStripe, voidAuthorization, handleWebhook } from '../gateways/stripe.js';
+import { capturePayment, voidExpiredAuthorizations } from '../services/paymentCapture.js';
+import { mockTransaction, findQuery } from './helpers/db.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn(),
+        getWriteClient: vi.fn()
+    }
+}));
+
+vi.mock('../messaging/queueSetup.js', () => ({
+    connect: vi.fn(),
+    publish: vi.fn()
+}));
+
+vi.mock('../gateways/stripe.js', async (importOriginal) => ({
+    isConfigured: vi.fn(() => true),
+    capturePayment: vi.fn(),
+    voidAuthorization: vi.fn(),
+    getSupportedCurrencies: vi.fn(() => []),
+    // Real webhook parsing, so payments can carry the gateway response a webhook actually stores
+    handleWebhook: (await importOriginal()).handleWebhook
+}));
+
+const authorizedPayment = (overrides = {}) => ({
+    id: 'payment-uuid',
+    user_id: 'user-1',
+    order_id: 'order-1',
+    amount: 1000,
+    currency: 'USD',
+    status: 'AUTHORIZED',
+    gateway: 'stripe',
+    gateway_response: { reference: 'cs_test_123' },
+    idempotency_key: 'key_1',
+    ...overrides
+});
+
+/**
+ * Payment as left by a checkout.session.completed webhook for a manual-capture session
+ */
+const webhookAuthorizedPayment = async () => {
+    const update = await handleWebhook({
+        type: 'checkout.session.completed',
+        data: {
+            object: {
+                id: 'cs_test_456',
+                client_reference_id: 'key_1',
+                payment_intent: 'pi_456',
+                payment_status: 'unpaid',
+                status: 'complete',
+                amount_total: 1000,
+                currency: 'usd',
+                metadata: { capture_method: 'manual' }
+            }
+        }
+    });
+
+    return authorizedPayment({ status: update.status, gateway_response: update.gatewayResponse });
+};
+
+/**
+ * Transaction client, also the job lock's connection: answers the advisory lock, locks an AUTHORIZED payment row and returns
+ * `updatedRow` for payment updates
+ */
+const mockCapture = (updatedRow, locked = true) => mockTransaction({
+    pg_try_advisory_lock: [{ locked }],
+    'FOR UPDATE': [{ id: 'payment-uuid', status: 'AUTHORIZED' }],
+    'UPDATE payments': updatedRow ? [updatedRow] : []
+});
+
+describe('Payment Capture', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        captureAtStripe.mockResolvedValue({ success: true, status: 'SUCCEEDED', gatewayResponse: { payment_intent: 'pi_123' } });
+        voidAuthorization.mockResolvedValue({ success: true, cancelled: true });
+    });
+
+    describe('capturePayment', () => {
+        it('should capture part of an authorization and record the reason', async () => {
+            const client = mockCapture({ id: 'payment-uuid', status: 'SUCCEEDED', captured_amount: 600 });
+
+            const result = await capturePayment(authorizedPayment(), { amount: 600, actorId: 'user-1' });
+
+            expect(result.success).toBe(true);
+            expect(captureAtStripe).toHaveBeenCalledWith({ reference: 'cs_test_123', amount: 600 });
+            expect(findQuery(client, 'set_config')[1]).toEqual(['Partially captured 600 of 1000 USD', 'user-1']);
+            expect(findQuery(client, 'UPDATE payments')[1]).toEqual([
+                'payment-uuid', 'SUCCEEDED', JSON.stringify({ capture: { payment_intent: 'pi_123' } }), 600
+            ]);
+            expect(publish).toHaveBeenCalledWith('payment_captured', expect.objectContaining({ capturedAmount: 600, amount: 1000 }));
+        });
+
+        it('should capture the full amount by default', async () => {
+            mockCapture({ id: 'payment-uuid', status: 'SUCCEEDED', captured_amount: 1000 });
+
+            await capturePayment(authorizedPayment());
+
+            expect(captureAtStripe).toHaveBeenCalledWith({ reference: 'cs_test_123', amount: 1000 });
+        });
+
+        it('should capture a payment authorized by a webhook against its checkout session', async () => {
+            mockCapture({ id: 'payment-uuid', status: 'SUCCEEDED', captured_amount: 1000 });
+            const payment = await webhookAuthorizedPayment();
+
+            const result = await capturePayment(payment);
+
+            expect(payment.status).toBe('AUTHORIZED');
+            expect(result.success).toBe(true);
+            expect(captureAtStripe).toHaveBeenCalledWith({ reference: 'cs_test_456', amount: 1000 });
+        });
+
+        it('should reject payments that are not authorized', async () => {
+            const result = await capturePayment(authorizedPayment({ status: 'PENDING' }));
+
+            expect(result.error.code).toBe('PAYMENT_NOT_CAPTURABLE');
+            expect(captureAtStripe).not.toHaveBeenCalled();
+        });
+
+        it('should reject capture amounts above the authorization', async () => {
+            const result = await capturePayment(authorizedPayment(), { amount: 1500 });
+
+            expect(result.error.code).toBe('INVALID_CAPTURE_AMOUNT');
+            expect(captureAtStripe).not.toHaveBeenCalled();
+        });
+
+        it('should reject capture amounts off the currency step', async () => {
+            const result = await capturePayment(authorizedPayment({ currency: 'KWD', amount: 5000 }), { amount: 1234 });
+
+            expect(result.error.code).toBe('INVALID_CAPTURE_AMOUNT');
+            expect(captureAtStripe).not.toHaveBeenCalled();
+        });
+
+        it('should leave the payment authorized when the gateway capture fails', async () => {
+            captureAtStripe.mockResolvedValue({ success: false, error: { message: 'Authorization expired' } });
+
+            const result = await capturePayment(authorizedPayment());
+
+            expect(result.error.code).toBe('GATEWAY_CAPTURE_FAILED');
+            expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('voidExpiredAuthorizations', () => {
+        it('should void expired authorizations and cancel the payments', async () => {
+            const client = mockCapture({ id: 'payment-uuid', status: 'CANCELLED' });
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [authorizedPayment()] });
+
+            const summary = await voidExpiredAuthorizations();
+
+            expect(summary).toMatchObject({ outcome: 'completed', checked: 1, voided: 1, failed: 0 });
+            expect(voidAuthorization).toHaveBeenCalledWith('cs_test_123');
+            expect(findQuery(client, 'set_config')[1]).toEqual(['Authorization expired without capture', 'system']);
+        });
+
+        it('should void an authorization recorded by a webhook against its checkout session', async () => {
+            mockCapture({ id: 'payment-uuid', status: 'CANCELLED' });
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [await webhookAuthorizedPayment()] });
+
+            const summary = await voidExpiredAuthorizations();
+
+            expect(summary.voided).toBe(1);
+            expect(voidAuthorization).toHaveBeenCalledWith('cs_test_456');
+        });
+
+        it('should count authorizations the gateway could not void', async () => {
+            mockCapture(null);
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [authorizedPayment()] });
+            voidAuthorization.mockResolvedValue({ success: false, error: { message: 'timeout' } });
+
+            const summary = await voidExpiredAuthorizations();
+
+            expect(summary).toMatchObject({ checked: 1, voided: 0, failed: 1 });
+        });
+
+        it('should skip the run when another replica holds the lock', async () => {
+            mockCapture(null, false);
+
+            const summary = await voidExpiredAuthorizations();
+
+            expect(summary.outcome).toBe('skipped');
+            expect(dbPoolManager.executeRead).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import dbPoolManager from '../db/connectionPool.js';
+import { LIMITS_CONFIG, reloadLimits, getLimits, checkPaymentLimits } from '../services/paymentLimits.js';
+import { mockTransaction } from './helpers/db.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+const writeLimitsFile = (limits) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'limits-')), 'payment-limits.json');
+    fs.writeFileSync(file, JSON.stringify(limits));
+    return file;
+};
+
+const fileLimits = {
+    currencies: { USD: { min: 100, max: 500000 } },
+    users: { '*': { USD: { daily: 100000, monthly: 300000 } } },
+    merchants: { merchant_1: { USD: { max: 200000, daily: 400000 } } }
+};
+
+// payment_limits rows on the first read, usage sums after that
+const mockLimitRows = (rows = []) => {
+    dbPoolManager.executeRead.mockImplementation(async (query) => {
+        if (query.includes('FROM payment_limits')) {
+            return { rows };
+        }
+        return { rows: [{ daily: '0', monthly: '0' }] };
+    });
+};
+
+const mockUsage = (usage) => {
+    dbPoolManager.executeRead.mockImplementation(async (query, params) => {
+        const subject = params?.[0];
+        return { rows: [usage[subject] || { daily: '0', monthly: '0' }] };
+    });
+};
+
+const at = new Date('2026-03-14T15:00:00Z');
+
+describe('Payment Limits', () => {
+    beforeEach(async () => {
+        vi.clearAllMocks();
+        LIMITS_CONFIG.FILE = writeLimitsFile(fileLimits);
+        mockLimitRows();
+        await reloadLimits();
+    });
+
+    it('should reject amounts outside the currency limits without a reset time', async () => {
+        const below = await checkPaymentLimits({ userId: 'user-1', amount: 50, currency: 'USD', at });
+
+        expect(below.success).toBe(false);
+        expect(below.error.code).toBe('PAYMENT_LIMIT_EXCEEDED');
+        expect(below.error.message).toBe('Amount is below the payment limit');
+        expect(below.error.limit).toMatchObject({ scope: 'currency', type: 'min', limit: 100, resetsAt: null });
+
+        const above = await checkPaymentLimits({ userId: 'user-1', amount: 600000, currency: 'USD', at });
+        expect(above.error.limit).toMatchObject({ scope: 'currency', type: 'max', limit: 500000 });
+    });
+
+    it('should enforce the user daily cap with the next UTC midnight as reset time', async () => {
+        mockUsage({ 'user-1': { daily: '95000', monthly: '95000' } });
+
+        const result = await checkPaymentLimits({ userId: 'user-1', amount: 10000, currency: 'USD', at });
+
+        expect(result.success).toBe(false);
+        expect(result.error.message).toBe('Daily payment limit reached');
+        expect(result.error.limit).toEqual({
+            scope: 'user',
+            subjectId: 'user-1',
+            type: 'daily',
+            currency: 'USD',
+            limit: 100000,
+            used: 95000,
+            resetsAt: new Date('2026-03-15T00:00:00Z')
+        });
+        expect(dbPoolManager.executeRead.mock.calls.at(-1)[1]).toEqual([
+            'user-1',
+            'USD',
+            new Date('2026-03-14T00:00:00Z'),
+            new Date('2026-03-01T00:00:00Z'),
+            new Date('2026-04-01T00:00:00Z'),
+            // PENDING payments created before this never reached the gateway and no longer count
+            new Date('2026-03-14T14:00:00Z')
+        ]);
+        expect(dbPoolManager.executeRead.mock.calls.at(-1)[0]).toContain("NOT (status = 'PENDING' AND created_at < $6)");
+    });
+
+    it('should enforce the user monthly cap with the first of next month as reset time', async () => {
+        mockUsage({ 'user-1': { daily: '0', monthly: '295000' } });
+
+        const result = await checkPaymentLimits({ userId: 'user-1', amount: 10000, currency: 'USD', at });
+
+        expect(result.error.limit.type).toBe('monthly');
+        expect(result.error.limit.resetsAt).toEqual(new Date('2026-04-01T00:00:00Z'));
+    });
+
+    it('should apply merchant ceilings only to payments made to that merchant', async () => {
+        const perPayment = await checkPaymentLimits({ userId: 'user-1', merchantId: 'merchant_1', amount: 250000, currency: 'USD', at });
+        expect(perPayment.error.limit).toMatchObject({ scope: 'merchant', subjectId: 'merchant_1', type: 'max' });
+
+        mockUsage({ merchant_1: { daily: '390000', monthly: '390000' } });
+        const daily = await checkPaymentLimits({ userId: 'user-1', merchantId: 'merchant_1', amount: 20000, currency: 'USD', at });
+        expect(daily.error.limit).toMatchObject({ scope: 'merchant', type: 'daily', used: 390000 });
+
+        const otherMerchant = await checkPaymentLimits({ userId: 'user-1', merchantId: 'merchant_2', amount: 20000, currency: 'USD', at });
+        expect(otherMerchant.success).toBe(true);
+    });
+
+    it('should let table rows override the file and apply them on reload', async () => {
+        mockLimitRows([
+            { scope: 'user', subject_id: 'vip-user', currency: 'USD', min_amount: null, max_amount: null, daily_amount: '1000000', monthly_amount: null },
+            { scope: 'currency', subject_id: '*', currency: 'USD', min_amount: '500', max_amount: '500000', daily_amount: null, monthly_amount: null }
+        ]);
+
+        const summary = await reloadLimits();
+        const limits = await getLimits();
+
+        expect(summary.rows).toBe(2);
+        expect(limits.currency.USD).toEqual({ min: 500, max: 500000 });
+        expect(limits.user['vip-user'].USD).toEqual({ daily: 1000000 });
+
+        mockUsage({ 'vip-user': { daily: '295000', monthly: '295000' } });
+        const result = await checkPaymentLimits({ userId: 'vip-user', amount: 10000, currency: 'USD', at });
+
+        // The user's own daily cap replaces the default; the default monthly cap still applies
+        expect(result.error.limit).toMatchObject({ type: 'monthly', limit: 300000 });
+    });
+
+    it('should keep the current limits when a reload fails', async () => {
+        LIMITS_CONFIG.FILE = path.join(os.tmpdir(), 'missing-payment-limits.json');
+
+        await expect(reloadLimits()).rejects.toThrow();
+        expect((await getLimits()).currency.USD).toEqual({ min: 100, max: 500000 });
+    });
+
+    it('should lock each capped payer and read usage in the caller\'s transaction', async () => {
+        const client = mockTransaction({
+            'SUM(amount)': (params) => [params[0] === 'merchant_1' ? { daily: '390000', monthly: '390000' } : { daily: '0', monthly: '0' }]
+        });
+
+        const result = await checkPaymentLimits({ userId: 'user-1', merchantId: 'merchant_1', amount: 20000, currency: 'USD', at, client });
+
+        expect(result.error.limit).toMatchObject({ scope: 'merchant', type: 'daily', used: 390000 });
+        const locks = client.query.mock.calls.filter(([query]) => query.includes('pg_advisory_xact_lock'));
+        expect(locks.map(([, params]) => params[0])).toEqual(['payment_limits:user:user-1', 'payment_limits:merchant:merchant_1']);
+        expect(dbPoolManager.executeRead).not.toHaveBeenCalledWith(expect.stringContaining('SUM(amount)'), expect.anything());
+    });
+
+    it('should accept payments within every limit', async () => {
+        mockUsage({});
+
+        const result = await checkPaymentLimits({ userId: 'user-1', amount: 5000, currency: 'USD', at });
+
+        expect(result).toEqual({ success: true });
+    });
+});
@@ -0,0 +1,361 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { processPayment } from '../services/paymentProcessor.js';
+import { checkPaymentLimits } from '../services/paymentLimits.js';
+import { assessPayment } from '../services/riskEngine.js';
+import { transitionPayment } from '../services/paymentStateMachine.js';
+import {
+    createPaymentLink,
+    deactivatePaymentLink,
+    openPaymentLink,
+    payWithLink
+} from '../services/paymentLinks.js';
+import pay from '../routes/pay.js';
+import paymentLinks from '../routes/paymentLinks.js';
+import { serveRouter, signInAs } from './helpers/http.js';
+import { mockTransaction, findQuery } from './helpers/db.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../services/userService.js', () => ({
+    verifyToken: vi.fn(),
+    extractUserId: (result) => result.user?.id || null,
+    extractUserDetails: (result) => result.user || null
+}));
+
+vi.mock('../services/paymentProcessor.js', () => ({
+    processPayment: vi.fn()
+}));
+
+vi.mock('../services/paymentLimits.js', () => ({
+    checkPaymentLimits: vi.fn()
+}));
+
+vi.mock('../services/riskEngine.js', () => ({
+    RISK_DECISIONS: { ALLOW: 'allow', REVIEW: 'review', DENY: 'deny' },
+    assessPayment: vi.fn()
+}));
+
+vi.mock('../services/fxRates.js', () => ({
+    getSettlementFields: vi.fn(async () => ({}))
+}));
+
+vi.mock('../services/paymentStateMachine.js', () => ({
+    transitionPayment: vi.fn()
+}));
+
+vi.mock('../messaging/publishPaymentEvent.js', () => ({
+    publishPaymentEvent: vi.fn()
+}));
+
+const link = (overrides = {}) => ({
+    id: 'link-uuid',
+    slug: 'abc123',
+    created_by: 'seller-uuid',
+    merchant_id: 'merchant_1',
+    amount: 2500,
+    currency: 'NGN',
+    description: 'Workshop ticket',
+    order_metadata: { id: 'order_42', items: ['Ticket'] },
+    customer_email: null,
+    single_use: false,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    is_active: true,
+    view_count: 0,
+    ...overrides
+});
+
+/**
+ * Transaction holding `row` (or no link) and the payment that used a single-use link, if any
+ */
+const mockLinkTransaction = (row, { linkPayment = null } = {}) => mockTransaction({
+    'FOR UPDATE': row ? [row] : [],
+    'WHERE payment_link_id = $1': linkPayment ? [linkPayment] : [],
+    create_payment_with_history: [{ success: true, payment_id: 'payment-uuid' }]
+});
+
+describe('Payment Links', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        checkPaymentLimits.mockResolvedValue({ success: true });
+        assessPayment.mockResolvedValue({ score: 0, decision: 'allow', signals: [] });
+        transitionPayment.mockResolvedValue({ applied: true });
+    });
+
+    describe('createPaymentLink', () => {
+        it('should store a link that expires after the default period', async () => {
+            dbPoolManager.executeWrite.mockImplementation(async (query, params) => ({ rows: [{ slug: params[0] }] }));
+
+            const result = await createPaymentLink({
+                createdBy: 'seller-uuid',
+                amount: 2500,
+                currency: 'NGN',
+                description: 'Workshop ticket',
+                order: { id: 'order_42' },
+                singleUse: true
+            });
+
+            expect(result.success).toBe(true);
+            const params = dbPoolManager.executeWrite.mock.calls[0][1];
+            expect(params[0]).toMatch(/^[A-Za-z0-9_-]{16}$/);
+            expect(params.slice(1, 9)).toEqual(['seller-uuid', null, 2500, 'NGN', 'Workshop ticket', '{"id":"order_42"}', null, true]);
+            expect(params[9].getTime() - Date.now()).toBeGreaterThan(167 * 60 * 60 * 1000);
+        });
+
+        it('should reject invalid amounts and expiry dates in the past', async () => {
+            const badAmount = await createPaymentLink({ createdBy: 'seller-uuid', amount: 10.5, currency: 'NGN' });
+            const badExpiry = await createPaymentLink({ createdBy: 'seller-uuid', amount: 2500, currency: 'NGN', expiresAt: '2020-01-01T00:00:00Z' });
+
+            expect(badAmount.error.code).toBe('VALIDATION_ERROR');
+            expect(badExpiry.error.details).toBe('expiresAt must be a date in the future');
+            expect(dbPoolManager.executeWrite).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('payWithLink', () => {
+        it('should create a payment for the link and return the gateway checkout URL', async () => {
+            const client = mockLinkTransaction(link());
+            processPayment.mockResolvedValue({
+                success: true,
+                status: 'PENDING',
+                gateway: 'paystack',
+                gatewayResponse: { authorization_url: 'https://checkout.paystack.com/xyz' }
+            });
+
+            const result = await payWithLink('abc123', { email: 'buyer@example.com', ip: '203.0.113.7' });
+
+            expect(result.data).toEqual({ paymentId: 'payment-uuid', status: 'PENDING', authorizationUrl: 'https://checkout.paystack.com/xyz' });
+            expect(findQuery(client, 'create_payment_with_history')[1].slice(0, 4)).toEqual(['seller-uuid', 'order_42', 2500, 'NGN']);
+            expect(findQuery(client, 'SET payment_link_id')[1]).toEqual(['payment-uuid', 'link-uuid', 'merchant_1']);
+            expect(checkPaymentLimits).toHaveBeenCalledWith({ userId: null, merchantId: 'merchant_1', amount: 2500, currency: 'NGN', client });
+            expect(assessPayment.mock.calls[0][0]).toMatchObject({ userId: null, email: 'buyer@example.com', ip: '203.0.113.7' });
+            expect(processPayment.mock.calls[0][0].metadata).toMatchObject({ payment_link_id: 'link-uuid', user: { email: 'buyer@example.com' } });
+            expect(transitionPayment.mock.calls[0][2].fields).toEqual({ gateway: 'paystack', capture_method: 'automatic' });
+        });
+
+        it('should refuse a single-use link that was already paid', async () => {
+            const client = mockLinkTransaction(link({ single_use: true }), { linkPayment: { id: 'paid-uuid', status: 'SUCCEEDED' } });
+
+            const result = await payWithLink('abc123', { email: 'buyer@example.com' });
+
+            expect(result.error.code).toBe('PAYMENT_LINK_USED');
+            expect(findQuery(client, 'create_payment_with_history')).toBeUndefined();
+        });
+
+        it("should return a single-use link's PENDING payment instead of creating another", async () => {
+            const client = mockLinkTransaction(link({ single_use: true }), {
+                linkPayment: { id: 'pending-uuid', status: 'PENDING', authorization_url: 'https://checkout.paystack.com/first' }
+            });
+
+            const result = await payWithLink('abc123', { email: 'buyer@example.com' });
+
+            expect(result.data).toEqual({ paymentId: 'pending-uuid', status: 'PENDING', authorizationUrl: 'https://checkout.paystack.com/first' });
+            expect(findQuery(client, 'WHERE payment_link_id = $1')[1]).toEqual(['link-uuid', ['FAILED', 'CANCELLED'], 15]);
+            expect(findQuery(client, 'create_payment_with_history')).toBeUndefined();
+            expect(processPayment).not.toHaveBeenCalled();
+        });
+
+        it('should fail an abandoned PENDING payment and let the single-use link be paid again', async () => {
+            const client = mockLinkTransaction(link({ single_use: true }), {
+                linkPayment: { id: 'stuck-uuid', status: 'PENDING', authorization_url: null, abandoned: true }
+            });
+            processPayment.mockResolvedValue({
+                success: true,
+                status: 'PENDING',
+                gateway: 'paystack',
+                gatewayResponse: { authorization_url: 'https://checkout.paystack.com/retry' }
+            });
+
+            const result = await payWithLink('abc123', { email: 'buyer@example.com' });
+
+            expect(transitionPayment).toHaveBeenCalledWith('stuck-uuid', 'FAILED', expect.objectContaining({ client, expectedStatus: 'PENDING' }));
+            expect(findQuery(client, 'create_payment_with_history')).toBeDefined();
+            expect(result.data).toEqual({ paymentId: 'payment-uuid', status: 'PENDING', authorizationUrl: 'https://checkout.paystack.com/retry' });
+        });
+
+        it('should keep the link used while a PENDING payment is still being initialized', async () => {
+            const client = mockLinkTransaction(link({ single_use: true }), {
+                linkPayment: { id: 'starting-uuid', status: 'PENDING', authorization_url: null, abandoned: false }
+            });
+
+            const result = await payWithLink('abc123', { email: 'buyer@example.com' });
+
+            expect(result.error.code).toBe('PAYMENT_LINK_USED');
+            expect(transitionPayment).not.toHaveBeenCalled();
+            expect(findQuery(client, 'create_payment_with_history')).toBeUndefined();
+        });
+
+        it('should refuse expired and deactivated links', async () => {
+            mockLinkTransaction(link({ expires_at: new Date(Date.now() - 1000) }));
+            expect((await payWithLink('abc123', { email: 'buyer@example.com' })).error.code).toBe('PAYMENT_LINK_EXPIRED');
+
+            mockLinkTransaction(link({ is_active: false }));
+            expect((await payWithLink('abc123', { email: 'buyer@example.com' })).error.code).toBe('PAYMENT_LINK_INACTIVE');
+        });
+
+        it('should ask for an email when the link has no customer email', async () => {
+            const client = mockLinkTransaction(link());
+
+            const result = await payWithLink('abc123', {});
+
+            expect(result.error).toMatchObject({ code: 'VALIDATION_ERROR', message: 'Email required' });
+            expect(findQuery(client, 'create_payment_with_history')).toBeUndefined();
+        });
+
+        it('should hold a risky payment for review without contacting the gateway', async () => {
+            mockLinkTransaction(link({ customer_email: 'buyer@example.com' }));
+            assessPayment.mockResolvedValue({ score: 60, decision: 'review', signals: [] });
+
+            const result = await payWithLink('abc123');
+
+            expect(result.data).toEqual({ paymentId: 'payment-uuid', status: 'UNDER_REVIEW', authorizationUrl: null });
+            expect(transitionPayment).toHaveBeenCalledWith('payment-uuid', 'UNDER_REVIEW', expect.objectContaining({ actor: 'risk-engine' }));
+            expect(processPayment).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('openPaymentLink', () => {
+        it('should count the visit without creating a payment', async () => {
+            const row = link();
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [row] });
+
+            const result = await openPaymentLink('abc123');
+
+            expect(result.data).toEqual({ link: row, pendingCheckout: null });
+            expect(dbPoolManager.executeWrite.mock.calls[0][0]).toContain('view_count = view_count + 1');
+            expect(dbPoolManager.executeWrite.mock.calls[0][1]).toEqual(['abc123']);
+            expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+            expect(processPayment).not.toHaveBeenCalled();
+        });
+
+        it("should send a single-use link back to its PENDING payment's checkout", async () => {
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [link({ single_use: true })] });
+            dbPoolManager.executeRead.mockResolvedValue({
+                rows: [{ id: 'pending-uuid', status: 'PENDING', authorization_url: 'https://checkout.paystack.com/first' }]
+            });
+
+            const result = await openPaymentLink('abc123');
+
+            expect(result.data.pendingCheckout).toEqual({
+                paymentId: 'pending-uuid',
+                status: 'PENDING',
+                authorizationUrl: 'https://checkout.paystack.com/first'
+            });
+        });
+
+        it('should offer a single-use link again once its PENDING payment was abandoned', async () => {
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [link({ single_use: true })] });
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [{ id: 'stuck-uuid', status: 'PENDING', authorization_url: null, abandoned: true }] });
+
+            const result = await openPaymentLink('abc123');
+
+            expect(result.success).toBe(true);
+            expect(result.data.pendingCheckout).toBeNull();
+            expect(dbPoolManager.executeRead.mock.calls[0][0]).toContain('AS abandoned');
+        });
+
+        it('should refuse a single-use link whose payment is being processed or was collected', async () => {
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [link({ single_use: true })] });
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [{ id: 'paid-uuid', status: 'SUCCEEDED', authorization_url: null }] });
+
+            expect((await openPaymentLink('abc123')).error.code).toBe('PAYMENT_LINK_USED');
+        });
+    });
+
+    describe('deactivatePaymentLink', () => {
+        it('should report links that were already deactivated', async () => {
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [] });
+
+            const result = await deactivatePaymentLink('link-uuid', { actorId: 'seller-uuid' });
+
+            expect(result.error.code).toBe('PAYMENT_LINK_INACTIVE');
+            expect(dbPoolManager.executeWrite.mock.calls[0][1]).toEqual(['link-uuid', 'seller-uuid']);
+        });
+    });
+
+    describe('HTTP', () => {
+        let payApi;
+        let linksApi;
+
+        beforeAll(async () => {
+            payApi = await serveRouter('/pay', pay);
+            linksApi = await serveRouter('/payment-links', paymentLinks);
+        });
+
+        afterAll(async () => {
+            await payApi.close();
+            await linksApi.close();
+        });
+
+        it('GET /pay/:slug should show a confirmation page without creating a payment', async () => {
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [link()] });
+
+            const res = await payApi.request('GET', '/pay/abc123?email=Buyer@Example.com', { headers: { accept: 'text/html' } });
+
+            expect(res.status).toBe(200);
+            expect(res.headers.get('content-type')).toContain('text/html');
+            expect(res.text).toContain('25.00 NGN');
+            expect(res.text).toContain('<form method="post">');
+            expect(res.text).toContain('value="buyer@example.com"');
+            expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+        });
+
+        it('GET /pay/:slug should return the link summary as JSON when asked', async () => {
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [link()] });
+
+            const res = await payApi.request('GET', '/pay/abc123', { headers: { accept: 'application/json' } });
+
+            expect(res.body.data).toMatchObject({ slug: 'abc123', amount: 2500, currency: 'NGN', emailRequired: true });
+            expect(res.body.data).not.toHaveProperty('createdBy');
+            expect(res.body.data).not.toHaveProperty('order');
+        });
+
+        it("GET /pay/:slug should redirect to a single-use link's PENDING checkout", async () => {
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [link({ single_use: true })] });
+            dbPoolManager.executeRead.mockResolvedValue({
+                rows: [{ id: 'pending-uuid', status: 'PENDING', authorization_url: 'https://checkout.paystack.com/first' }]
+            });
+
+            const res = await payApi.request('GET', '/pay/abc123');
+
+            expect(res.status).toBe(302);
+            expect(res.headers.get('location')).toBe('https://checkout.paystack.com/first');
+        });
+
+        it('POST /pay/:slug should create the payment from the confirmation form and redirect to checkout', async () => {
+            mockLinkTransaction(link());
+            processPayment.mockResolvedValue({
+                success: true,
+                status: 'PENDING',
+                gateway: 'paystack',
+                gatewayResponse: { authorization_url: 'https://checkout.paystack.com/xyz' }
+            });
+
+            const res = await payApi.request('POST', '/pay/abc123', {
+                headers: { 'content-type': 'application/x-www-form-urlencoded' },
+                rawBody: 'email=Buyer%40Example.com'
+            });
+
+            expect(res.status).toBe(303);
+            expect(res.headers.get('location')).toBe('https://checkout.paystack.com/xyz');
+            expect(processPayment.mock.calls[0][0].metadata.user).toEqual({ email: 'buyer@example.com' });
+        });
+
+        it('POST /payment-links should only let admins set merchantId', async () => {
+            const res = await linksApi.request('POST', '/payment-links', {
+                headers: signInAs('seller-uuid'),
+                body: { amount: 2500, currency: 'NGN', merchantId: 'merchant_1' }
+            });
+
+            expect(res.status).toBe(403);
+            expect(res.body.error.code).toBe('FORBIDDEN');
+            expect(dbPoolManager.executeWrite).not.toHaveBeenCalled();
+        });
+    });
+});
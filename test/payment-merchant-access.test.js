@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { verifyToken } from '../services/userService.js';
+import { authenticateApiKey } from '../services/apiKeys.js';
+import { checkPaymentLimits } from '../services/paymentLimits.js';
+import payments from '../routes/payments-integrated.js';
+import { serveRouter } from './helpers/http.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../services/userService.js', () => ({
+    verifyToken: vi.fn(),
+    extractUserId: (result) => result.user?.id || null,
+    extractUserDetails: (result) => result.user || null
+}));
+
+vi.mock('../services/apiKeys.js', () => ({
+    authenticateApiKey: vi.fn(),
+    getKeyPrefix: () => 'pk_test'
+}));
+
+vi.mock('../services/paymentLimits.js', () => ({
+    checkPaymentLimits: vi.fn()
+}));
+
+vi.mock('../messaging/publishPaymentEvent.js', () => ({
+    publishPaymentEvent: vi.fn()
+}));
+
+const signIn = (userId, roles) => {
+    verifyToken.mockResolvedValue({ success: true, user: { id: userId, roles } });
+    return { authorization: `Bearer token-${userId}`, 'idempotency-key': `order-${userId}` };
+};
+
+const merchantPayment = { orderId: 'order_9', amount: 5000, currency: 'KES', merchantId: 'merchant_1' };
+
+describe('POST /payments merchantId', () => {
+    let paymentsApi;
+
+    beforeAll(async () => {
+        paymentsApi = await serveRouter('/payments', payments);
+    });
+
+    afterAll(async () => {
+        await paymentsApi.close();
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        dbPoolManager.executeRead.mockResolvedValue({ rows: [] });
+        dbPoolManager.executeWrite.mockImplementation(async (query) => (
+            query.includes('INSERT INTO idempotency_records') ? { rows: [{ id: 'record-1' }], rowCount: 1 } : { rows: [], rowCount: 1 }
+        ));
+        // Stop right after the limits check, which is where merchantId is spent
+        checkPaymentLimits.mockResolvedValue({
+            success: false,
+            error: { code: 'PAYMENT_LIMIT_EXCEEDED', message: 'Limit reached', limit: {} }
+        });
+    });
+
+    it('should refuse a merchantId from a regular user', async () => {
+        const res = await paymentsApi.request('POST', '/payments', { headers: signIn('user-a', ['customer']), body: merchantPayment });
+
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('FORBIDDEN');
+        expect(checkPaymentLimits).not.toHaveBeenCalled();
+    });
+
+    it('should still let a regular user pay without one', async () => {
+        const ownPayment = { ...merchantPayment, merchantId: undefined };
+
+        await paymentsApi.request('POST', '/payments', { headers: signIn('user-a', ['customer']), body: ownPayment });
+
+        expect(checkPaymentLimits).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-a', merchantId: undefined }));
+    });
+
+    it('should trust a merchantId from an administrator', async () => {
+        await paymentsApi.request('POST', '/payments', { headers: signIn('admin-1', ['admin']), body: merchantPayment });
+
+        expect(checkPaymentLimits).toHaveBeenCalledWith(expect.objectContaining({ merchantId: 'merchant_1' }));
+    });
+
+    it('should trust a merchantId from a service API key', async () => {
+        authenticateApiKey.mockResolvedValue({
+            success: true,
+            data: { id: 'key-1', name: 'storefront', prefix: 'pk_test', scopes: ['payments:write'] }
+        });
+
+        await paymentsApi.request('POST', '/payments', {
+            headers: { 'x-api-key': 'pk_test_secret', 'idempotency-key': 'order-key-1' },
+            body: { ...merchantPayment, customer: { id: 'customer-7', email: 'buyer@example.com' } }
+        });
+
+        expect(checkPaymentLimits).toHaveBeenCalledWith(expect.objectContaining({ userId: 'customer-7', merchantId: 'merchant_1' }));
+    });
+});
@@ -0,0 +1,310 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import crypto from 'crypto';
+import dbPoolManager from '../db/connectionPool.js';
+import { getReusableAuthorization, chargeAuthorization } from '../gateways/paystack.js';
+import { processPayment } from '../services/paymentProcessor.js';
+import {
+    addPaymentMethodFromPayment,
+    setDefaultPaymentMethod,
+    deactivatePaymentMethod,
+    getChargeablePaymentMethod,
+    formatPaymentMethod,
+    rotatePaymentMethodKeys
+} from '../services/paymentMethodService.js';
+import { encryptJson, decryptJson, getKeyVersion } from '../utils/envelopeEncryption.js';
+import { createLocalKeyProvider, setKeyProvider } from '../utils/keyProviders.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../gateways/paystack.js', () => ({
+    getReusableAuthorization: vi.fn(),
+    chargeAuthorization: vi.fn(),
+    getSupportedCurrencies: vi.fn(() => [{ code: 'NGN', name: 'Nigerian Naira' }])
+}));
+
+const successfulPayment = (overrides = {}) => ({
+    id: 'payment-uuid',
+    user_id: 'user-1',
+    status: 'SUCCEEDED',
+    gateway: 'paystack',
+    gateway_response: { reference: 'key_1' },
+    idempotency_key: 'key_1',
+    ...overrides
+});
+
+const reusableAuthorization = {
+    success: true,
+    authorization: {
+        code: 'AUTH_abc123',
+        email: 'user@example.com',
+        type: 'CARD',
+        brand: 'visa',
+        last4: '4081',
+        expMonth: 12,
+        expYear: 2030,
+        fingerprint: 'SIG_xyz',
+        details: { authorization_code: 'AUTH_abc123', email: 'user@example.com', signature: 'SIG_xyz' }
+    }
+};
+
+/**
+ * Fake transaction client: `existing` is returned for the fingerprint lookup, `hasDefault` decides whether
+ * the user already has a default method and `lockedMethod` is the row returned by FOR UPDATE
+ */
+const mockTransaction = ({ existing = null, hasDefault = false, lockedMethod = null } = {}) => {
+    const client = {
+        query: vi.fn(async (query) => {
+            if (query.includes('upm.fingerprint')) return { rows: existing ? [existing] : [] };
+            if (query.includes('FROM payment_method_types')) return { rows: [{ id: 1 }] };
+            if (query.includes('is_default AND is_active')) return { rows: hasDefault ? [{}] : [] };
+            if (query.includes('INSERT INTO user_payment_methods')) return { rows: [{ id: 'method-uuid' }] };
+            if (query.includes('FOR UPDATE')) return { rows: lockedMethod ? [lockedMethod] : [] };
+            if (query.includes('WHERE upm.id')) return { rows: [{ id: 'method-uuid', type: 'CARD', is_default: true }] };
+            return { rows: [] };
+        })
+    };
+    dbPoolManager.executeTransaction.mockImplementation(async (callback) => callback(client));
+    return client;
+};
+
+const findQuery = (client, fragment) => client.query.mock.calls.find(([query]) => query.includes(fragment));
+
+const key1 = crypto.randomBytes(32);
+const key2 = crypto.randomBytes(32);
+
+describe('Saved Payment Methods', () => {
+    beforeAll(() => {
+        setKeyProvider(createLocalKeyProvider({ keys: { 1: key1 } }));
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        getReusableAuthorization.mockResolvedValue(reusableAuthorization);
+    });
+
+    describe('addPaymentMethodFromPayment', () => {
+        it('should save the authorization and make the first method the default', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [successfulPayment()] });
+            const client = mockTransaction();
+
+            const result = await addPaymentMethodFromPayment({ userId: 'user-1', paymentId: 'payment-uuid' });
+
+            expect(result.success).toBe(true);
+            expect(result.data.created).toBe(true);
+            expect(getReusableAuthorization).toHaveBeenCalledWith('key_1');
+
+            const [, params] = findQuery(client, 'INSERT INTO user_payment_methods');
+            expect(params.slice(0, 8)).toEqual(['user-1', 1, 'paystack', 'visa', '4081', 12, 2030, 'SIG_xyz']);
+            expect(params[8]).not.toContain('AUTH_abc123');
+            expect(await decryptJson(params[8], { aad: 'user_payment_methods:user-1' })).toMatchObject({ authorization_code: 'AUTH_abc123' });
+            expect(params[9]).toBe('1');
+            expect(params[10]).toBe(true);
+            expect(findQuery(client, 'UPDATE payments SET payment_method_id')[1]).toEqual(['payment-uuid', 'method-uuid']);
+        });
+
+        it('should not make later methods the default', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [successfulPayment()] });
+            const client = mockTransaction({ hasDefault: true });
+
+            await addPaymentMethodFromPayment({ userId: 'user-1', paymentId: 'payment-uuid' });
+
+            expect(findQuery(client, 'INSERT INTO user_payment_methods')[1][10]).toBe(false);
+        });
+
+        it('should return the existing method when the card is already saved', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [successfulPayment()] });
+            const client = mockTransaction({ existing: { id: 'existing-uuid', type: 'CARD' } });
+
+            const result = await addPaymentMethodFromPayment({ userId: 'user-1', paymentId: 'payment-uuid' });
+
+            expect(result.data).toMatchObject({ created: false, paymentMethod: { id: 'existing-uuid' } });
+            expect(findQuery(client, 'INSERT INTO user_payment_methods')).toBeUndefined();
+        });
+
+        it("should report other users' payments as not found", async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [successfulPayment({ user_id: 'user-2' })] });
+
+            const result = await addPaymentMethodFromPayment({ userId: 'user-1', paymentId: 'payment-uuid' });
+
+            expect(result.error.code).toBe('PAYMENT_NOT_FOUND');
+            expect(getReusableAuthorization).not.toHaveBeenCalled();
+        });
+
+        it('should refuse payments that did not succeed', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [successfulPayment({ status: 'PENDING' })] });
+
+            const result = await addPaymentMethodFromPayment({ userId: 'user-1', paymentId: 'payment-uuid' });
+
+            expect(result.error.code).toBe('PAYMENT_METHOD_NOT_REUSABLE');
+        });
+
+        it('should refuse gateways that cannot save payment methods', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [successfulPayment({ gateway: 'stripe' })] });
+
+            const result = await addPaymentMethodFromPayment({ userId: 'user-1', paymentId: 'payment-uuid' });
+
+            expect(result.error.code).toBe('SAVED_PAYMENT_METHODS_NOT_SUPPORTED');
+        });
+    });
+
+    describe('managing saved methods', () => {
+        it('should move the default to the chosen method', async () => {
+            const client = mockTransaction({ lockedMethod: { id: 'method-uuid', is_active: true } });
+
+            const result = await setDefaultPaymentMethod('user-1', 'method-uuid');
+
+            expect(result.success).toBe(true);
+            expect(findQuery(client, 'SET is_default = false')[1]).toEqual(['user-1', 'method-uuid']);
+            expect(findQuery(client, 'SET is_default = true')[1]).toEqual(['method-uuid']);
+        });
+
+        it('should not make a deactivated method the default', async () => {
+            const client = mockTransaction({ lockedMethod: { id: 'method-uuid', is_active: false } });
+
+            const result = await setDefaultPaymentMethod('user-1', 'method-uuid');
+
+            expect(result.error.code).toBe('PAYMENT_METHOD_INACTIVE');
+            expect(findQuery(client, 'SET is_default')).toBeUndefined();
+        });
+
+        it('should report unknown methods when deactivating', async () => {
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [] });
+
+            const result = await deactivatePaymentMethod('user-1', 'method-uuid');
+
+            expect(result.error.code).toBe('PAYMENT_METHOD_NOT_FOUND');
+        });
+
+        it('should never expose stored details', () => {
+            const formatted = formatPaymentMethod({ id: 'method-uuid', details_encrypted: '{"authorization_code":"AUTH"}' });
+
+            expect(formatted).not.toHaveProperty('details_encrypted');
+            expect(JSON.stringify(formatted)).not.toContain('AUTH');
+        });
+    });
+
+    describe('charging saved methods', () => {
+        it('should load the authorization of an active method', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({
+                rows: [{
+                    id: 'method-uuid',
+                    gateway: 'paystack',
+                    is_active: true,
+                    details_encrypted: await encryptJson(reusableAuthorization.authorization.details, {
+                        aad: 'user_payment_methods:user-1'
+                    })
+                }]
+            });
+
+            const result = await getChargeablePaymentMethod('user-1', 'method-uuid');
+
+            expect(result.data).toEqual({
+                id: 'method-uuid',
+                gateway: 'paystack',
+                authorizationCode: 'AUTH_abc123',
+                email: 'user@example.com'
+            });
+        });
+
+        it('should still read details saved before encryption', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({
+                rows: [{
+                    id: 'method-uuid',
+                    gateway: 'paystack',
+                    is_active: true,
+                    details_encrypted: JSON.stringify(reusableAuthorization.authorization.details)
+                }]
+            });
+
+            const result = await getChargeablePaymentMethod('user-1', 'method-uuid');
+
+            expect(result.data.authorizationCode).toBe('AUTH_abc123');
+        });
+
+        it('should refuse deactivated methods', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [{ id: 'method-uuid', gateway: 'paystack', is_active: false }] });
+
+            const result = await getChargeablePaymentMethod('user-1', 'method-uuid');
+
+            expect(result.error.code).toBe('PAYMENT_METHOD_INACTIVE');
+        });
+
+        it('should charge the stored authorization instead of starting a checkout', async () => {
+            chargeAuthorization.mockResolvedValue({ success: true, transactionId: 'key_2', status: 'SUCCEEDED', gatewayResponse: {} });
+
+            const result = await processPayment({
+                userId: 'user-1',
+                orderId: 'order-1',
+                amount: 2500,
+                currency: 'NGN',
+                idempotencyKey: 'key_2',
+                gateway: 'paystack',
+                paymentMethod: { authorizationCode: 'AUTH_abc123', email: 'user@example.com' }
+            });
+
+            expect(result).toMatchObject({ success: true, status: 'SUCCEEDED', gateway: 'paystack' });
+            expect(chargeAuthorization).toHaveBeenCalledWith(expect.objectContaining({
+                authorizationCode: 'AUTH_abc123',
+                email: 'user@example.com',
+                amount: 2500,
+                reference: 'key_2'
+            }));
+        });
+    });
+
+    describe('rotatePaymentMethodKeys', () => {
+        it('should re-encrypt rows under the current key version in batches', async () => {
+            const aad = 'user_payment_methods:user-1';
+            const rows = [
+                { id: 'method-1', user_id: 'user-1', details_encrypted: await encryptJson({ authorization_code: 'AUTH_1' }, { aad }) },
+                { id: 'method-2', user_id: 'user-1', details_encrypted: JSON.stringify({ authorization_code: 'AUTH_2' }) },
+                // Encrypted for another user, so it cannot be opened as user-2's row
+                { id: 'method-3', user_id: 'user-2', details_encrypted: await encryptJson({ authorization_code: 'AUTH_3' }, { aad }) }
+            ];
+            setKeyProvider(createLocalKeyProvider({ keys: { 1: key1, 2: key2 } }));
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [{ count: 3 }] });
+
+            const client = {
+                query: vi.fn(async (query, params) => {
+                    if (query.includes('FOR UPDATE SKIP LOCKED')) {
+                        return { rows: rows.filter(row => row.id > params[1]).slice(0, params[2]) };
+                    }
+                    return { rows: [] };
+                })
+            };
+            dbPoolManager.executeTransaction.mockImplementation(async (callback) => callback(client));
+
+            try {
+                const summary = await rotatePaymentMethodKeys({ batchSize: 2 });
+
+                expect(summary).toEqual({ keyVersion: '2', pending: 3, rotated: 2, failed: 1 });
+                expect(dbPoolManager.executeTransaction).toHaveBeenCalledTimes(2);
+
+                const updates = client.query.mock.calls.filter(([query]) => query.includes('UPDATE user_payment_methods'));
+                expect(updates.map(([, params]) => params[0])).toEqual(['method-1', 'method-2']);
+                for (const [, params] of updates) {
+                    expect(getKeyVersion(params[1])).toBe('2');
+                    expect(params[2]).toBe('2');
+                }
+                expect(await decryptJson(updates[1][1][1], { aad })).toEqual({ authorization_code: 'AUTH_2' });
+            } finally {
+                setKeyProvider(createLocalKeyProvider({ keys: { 1: key1 } }));
+            }
+        });
+
+        it('should only count rows on a dry run', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [{ count: 5 }] });
+
+            const summary = await rotatePaymentMethodKeys({ dryRun: true });
+
+            expect(summary).toMatchObject({ keyVersion: '1', pending: 5, rotated: 0 });
+            expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+        });
+    });
+});
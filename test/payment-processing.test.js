@@ -72,7 +72,8 @@ describe('Payment Processing', () => {
                     order_id: 'order_123',
                     payment_id: undefined
                 },
-                callback_url: '//payments/return'
+                callback_url: '//payments/return',
+                captureMethod: 'automatic'
             });
         });
 
@@ -124,7 +125,8 @@ describe('Payment Processing', () => {
                     order_id: 'order_456',
                     payment_id: undefined
                 },
-                callback_url: '//payments/return'
+                callback_url: '//payments/return',
+                captureMethod: 'automatic'
             });
         });
 
@@ -147,7 +149,7 @@ describe('Payment Processing', () => {
             const paymentData = {
                 userId: 'user_123',
                 orderId: 'order_123',
-                amount: 0.5,
+                amount: 25,
                 currency: 'USD'
             };
 
@@ -155,7 +157,20 @@ describe('Payment Processing', () => {
 
             expect(result.success).toBe(false);
             expect(result.error.code).toBe('INVALID_AMOUNT');
-            expect(result.error.message).toBe('Amount must be at least 1');
+            expect(result.error.message).toBe('Amount is below the minimum charge');
+        });
+
+        it('should reject fractional minor unit amounts', async () => {
+            const result = await processPayment({
+                userId: 'user_123',
+                orderId: 'order_123',
+                amount: 10.5,
+                currency: 'USD'
+            });
+
+            expect(result.success).toBe(false);
+            expect(result.error.code).toBe('INVALID_AMOUNT');
+            expect(result.error.details).toBe('USD amounts are in units of 1/100 USD');
         });
 
         it('should handle Paystack payment failure', async () => {
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { getLatestPaymentStatus } from '../gateways/paystack.js';
+import { reconcilePayment, reconcileStalePayments } from '../services/paymentReconciler.js';
+import { mockTransaction } from './helpers/db.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn(),
+        getWriteClient: vi.fn()
+    }
+}));
+
+vi.mock('../messaging/queueSetup.js', () => ({
+    connect: vi.fn(),
+    publish: vi.fn()
+}));
+
+vi.mock('../gateways/paystack.js', () => ({
+    getLatestPaymentStatus: vi.fn(),
+    getSupportedCurrencies: vi.fn(() => [])
+}));
+
+const now = new Date('2026-01-02T12:00:00Z');
+
+const stalePayment = (createdAt) => ({
+    id: 'payment-uuid',
+    gateway: 'paystack',
+    status: 'PENDING',
+    idempotency_key: 'key_123',
+    gateway_response: {},
+    created_at: createdAt
+});
+
+/**
+ * Transaction client, also the job lock's connection: answers the advisory lock and locks a payment row in `currentStatus`
+ */
+const mockReconcile = ({ currentStatus = 'PENDING', locked = true } = {}) => mockTransaction({
+    pg_try_advisory_lock: [{ locked }],
+    'FOR UPDATE': [{ id: 'payment-uuid', status: currentStatus }],
+    'UPDATE payments': (params) => [{ id: 'payment-uuid', status: params[1] }]
+});
+
+const findUpdate = (client) => client.query.mock.calls.find(([query]) => query.includes('UPDATE payments'));
+
+describe('Payment Reconciler', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('reconcilePayment', () => {
+        it('should apply a completed payment with the observed status as a guard', async () => {
+            const client = mockReconcile();
+            getLatestPaymentStatus.mockResolvedValue({ success: true, status: 'SUCCEEDED', gatewayResponse: { status: 'success' } });
+
+            const result = await reconcilePayment(stalePayment('2026-01-02T11:00:00Z'), now);
+
+            expect(getLatestPaymentStatus).toHaveBeenCalledWith('key_123');
+            expect(result).toBe('updated');
+            expect(findUpdate(client)[1]).toEqual(['payment-uuid', 'SUCCEEDED', JSON.stringify({ status: 'success' })]);
+        });
+
+        it('should leave recently abandoned payments alone', async () => {
+            getLatestPaymentStatus.mockResolvedValue({ success: true, status: 'FAILED', gatewayResponse: { status: 'abandoned' } });
+
+            const result = await reconcilePayment(stalePayment('2026-01-02T11:00:00Z'), now);
+
+            expect(result).toBe('unchanged');
+            expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+        });
+
+        it('should cancel payments still open after the expiry cutoff', async () => {
+            const client = mockReconcile();
+            getLatestPaymentStatus.mockResolvedValue({ success: true, status: 'FAILED', gatewayResponse: { status: 'abandoned' } });
+
+            const result = await reconcilePayment(stalePayment('2026-01-01T06:00:00Z'), now);
+
+            expect(result).toBe('cancelled');
+            expect(findUpdate(client)[1]).toEqual(['payment-uuid', 'CANCELLED', null]);
+        });
+
+        it('should not overwrite a payment that changed since it was read', async () => {
+            const client = mockReconcile({ currentStatus: 'FAILED' });
+            getLatestPaymentStatus.mockResolvedValue({ success: true, status: 'SUCCEEDED', gatewayResponse: {} });
+
+            const result = await reconcilePayment(stalePayment('2026-01-02T11:00:00Z'), now);
+
+            expect(result).toBe('unchanged');
+            expect(findUpdate(client)).toBeUndefined();
+        });
+
+        it('should count gateway lookup failures as errors', async () => {
+            getLatestPaymentStatus.mockResolvedValue({ success: false, error: { message: 'timeout' } });
+
+            const result = await reconcilePayment(stalePayment('2026-01-01T06:00:00Z'), now);
+
+            expect(result).toBe('error');
+            expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reconcileStalePayments', () => {
+        it('should skip the run when another replica holds the lock', async () => {
+            mockReconcile({ locked: false });
+
+            const summary = await reconcileStalePayments();
+
+            expect(summary.outcome).toBe('skipped');
+            expect(dbPoolManager.executeRead).not.toHaveBeenCalled();
+        });
+
+        it('should summarise each run', async () => {
+            mockReconcile();
+            dbPoolManager.executeRead.mockResolvedValue({
+                rows: [stalePayment(new Date(Date.now() - 60 * 60000).toISOString())]
+            });
+            getLatestPaymentStatus.mockResolvedValue({ success: true, status: 'SUCCEEDED', gatewayResponse: {} });
+
+            const summary = await reconcileStalePayments();
+
+            expect(summary).toMatchObject({ outcome: 'completed', checked: 1, updated: 1, cancelled: 0, error: 0 });
+        });
+    });
+});
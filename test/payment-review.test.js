@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { processPayment } from '../services/paymentProcessor.js';
+import { getChargeablePaymentMethod } from '../services/paymentMethodService.js';
+import { transitionPayment } from '../services/paymentStateMachine.js';
+import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
+import { approvePaymentReview, rejectPaymentReview } from '../services/paymentReview.js';
+import paymentReviews from '../routes/paymentReviews.js';
+import { serveRouter, signInAs } from './helpers/http.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../services/userService.js', () => ({
+    verifyToken: vi.fn(),
+    extractUserId: (result) => result.user?.id || null,
+    extractUserDetails: (result) => result.user || null
+}));
+
+vi.mock('../services/paymentProcessor.js', () => ({
+    processPayment: vi.fn()
+}));
+
+vi.mock('../services/paymentMethodService.js', () => ({
+    getChargeablePaymentMethod: vi.fn()
+}));
+
+vi.mock('../services/paymentStateMachine.js', () => ({
+    transitionPayment: vi.fn()
+}));
+
+vi.mock('../services/fxRates.js', () => ({
+    getSettlementFields: vi.fn(async () => ({}))
+}));
+
+vi.mock('../messaging/publishPaymentEvent.js', () => ({
+    publishPaymentEvent: vi.fn()
+}));
+
+const heldPayment = {
+    id: 'payment-uuid',
+    user_id: 'user-uuid',
+    order_id: 'order_123',
+    amount: 5000,
+    currency: 'USD',
+    status: 'PENDING',
+    idempotency_key: 'idem-1'
+};
+
+/**
+ * Fake transaction client holding a pending review with `gatewayRequest` (or none)
+ */
+const mockTransaction = (gatewayRequest) => {
+    const client = {
+        query: vi.fn(async (query) => {
+            if (query.includes('FOR UPDATE')) {
+                return { rows: gatewayRequest ? [{ payment_id: 'payment-uuid', gateway_request: gatewayRequest }] : [] };
+            }
+            return { rows: [] };
+        })
+    };
+    dbPoolManager.executeTransaction.mockImplementation(async (callback) => callback(client));
+    return client;
+};
+
+const findQuery = (client, fragment) => client.query.mock.calls.find(([query]) => query.includes(fragment));
+
+describe('Payment Review', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should release an approved payment to the gateway with the held request', async () => {
+        const client = mockTransaction({ gateway: 'stripe', captureMethod: 'automatic', merchantId: 'merchant_1', metadata: { order_id: 'order_123' } });
+        transitionPayment
+            .mockResolvedValueOnce({ applied: true, payment: heldPayment })
+            .mockResolvedValueOnce({ applied: true, payment: { ...heldPayment, status: 'SUCCEEDED' } });
+        processPayment.mockResolvedValue({ success: true, status: 'SUCCEEDED', gateway: 'stripe', gatewayResponse: { id: 'pi_1' } });
+
+        const result = await approvePaymentReview('payment-uuid', { actorId: 'admin-uuid', note: 'Known customer' });
+
+        expect(result.data).toMatchObject({ reviewStatus: 'APPROVED', status: 'SUCCEEDED', gateway: 'stripe' });
+        expect(transitionPayment.mock.calls[0]).toEqual(['payment-uuid', 'PENDING', {
+            client,
+            reason: 'Approved in risk review: Known customer',
+            actor: 'admin-uuid',
+            expectedStatus: 'UNDER_REVIEW'
+        }]);
+        expect(findQuery(client, 'UPDATE payment_risk_assessments')[1]).toEqual(['payment-uuid', 'APPROVED', 'admin-uuid', 'Known customer']);
+        expect(processPayment).toHaveBeenCalledWith(expect.objectContaining({ gateway: 'stripe', idempotencyKey: 'idem-1', amount: 5000 }));
+        expect(transitionPayment.mock.calls[1][2].fields).toMatchObject({ gateway: 'stripe', merchant_id: 'merchant_1' });
+        expect(publishPaymentEvent).toHaveBeenCalledWith('payment_processed', expect.objectContaining({ source: 'risk_review' }));
+    });
+
+    it('should fail an approved payment whose saved payment method is no longer chargeable', async () => {
+        mockTransaction({ paymentMethodId: 'method-uuid' });
+        transitionPayment.mockResolvedValue({ applied: true, payment: heldPayment });
+        getChargeablePaymentMethod.mockResolvedValue({
+            success: false,
+            error: { code: 'PAYMENT_METHOD_INACTIVE', message: 'Payment method is not active' }
+        });
+
+        const result = await approvePaymentReview('payment-uuid', { actorId: 'admin-uuid' });
+
+        expect(result.data.status).toBe('FAILED');
+        expect(processPayment).not.toHaveBeenCalled();
+        expect(transitionPayment).toHaveBeenLastCalledWith('payment-uuid', 'FAILED', expect.objectContaining({ expectedStatus: 'PENDING' }));
+    });
+
+    it('should fail a rejected payment without contacting the gateway', async () => {
+        const client = mockTransaction({ gateway: 'paystack' });
+        transitionPayment.mockResolvedValue({ applied: true, payment: { ...heldPayment, status: 'FAILED' } });
+
+        const result = await rejectPaymentReview('payment-uuid', { actorId: 'admin-uuid' });
+
+        expect(result.data).toEqual({ paymentId: 'payment-uuid', reviewStatus: 'REJECTED', status: 'FAILED' });
+        expect(transitionPayment).toHaveBeenCalledWith('payment-uuid', 'FAILED', expect.objectContaining({ reason: 'Rejected in risk review' }));
+        expect(findQuery(client, 'UPDATE payment_risk_assessments')[1][1]).toBe('REJECTED');
+        expect(processPayment).not.toHaveBeenCalled();
+    });
+
+    it('should refuse decisions on payments without a pending review', async () => {
+        mockTransaction(null);
+
+        const result = await rejectPaymentReview('payment-uuid', { actorId: 'admin-uuid' });
+
+        expect(result.error.code).toBe('REVIEW_NOT_FOUND');
+        expect(transitionPayment).not.toHaveBeenCalled();
+    });
+
+    it('should leave the review pending when the payment has left UNDER_REVIEW', async () => {
+        const client = mockTransaction({ gateway: 'paystack' });
+        transitionPayment.mockResolvedValue({ applied: false, previousStatus: 'CANCELLED' });
+
+        const result = await approvePaymentReview('payment-uuid', { actorId: 'admin-uuid' });
+
+        expect(result.error.code).toBe('PAYMENT_NOT_UNDER_REVIEW');
+        expect(findQuery(client, 'UPDATE payment_risk_assessments')).toBeUndefined();
+    });
+
+    describe('HTTP', () => {
+        const PAYMENT_ID = '550e8400-e29b-41d4-a716-446655440007';
+        let api;
+
+        beforeAll(async () => {
+            api = await serveRouter('/payment-reviews', paymentReviews);
+        });
+
+        afterAll(async () => {
+            await api.close();
+        });
+
+        it('should keep reviews and their fraud signals from non-admins', async () => {
+            const list = await api.request('GET', '/payment-reviews', { headers: signInAs('user-uuid') });
+            const reject = await api.request('POST', `/payment-reviews/${PAYMENT_ID}/reject`, { headers: signInAs('user-uuid') });
+
+            expect(list.status).toBe(403);
+            expect(reject.status).toBe(403);
+            expect(dbPoolManager.executeRead).not.toHaveBeenCalled();
+            expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+        });
+
+        it('should list pending reviews for an admin', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({
+                rows: [{ payment_id: PAYMENT_ID, user_id: 'user-uuid', score: 60, decision: 'review', review_status: 'PENDING' }]
+            });
+
+            const res = await api.request('GET', '/payment-reviews?limit=5', { headers: signInAs('admin-uuid', ['admin']) });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual([expect.objectContaining({ paymentId: PAYMENT_ID, score: 60, reviewStatus: 'PENDING' })]);
+            expect(dbPoolManager.executeRead.mock.calls[0][1]).toEqual([5, 0]);
+        });
+
+        it('should record the admin who decided', async () => {
+            mockTransaction({ gateway: 'paystack' });
+            transitionPayment.mockResolvedValue({ applied: true, payment: { ...heldPayment, id: PAYMENT_ID, status: 'FAILED' } });
+
+            const invalid = await api.request('POST', '/payment-reviews/not-a-uuid/reject', { headers: signInAs('admin-uuid', ['admin']) });
+            const res = await api.request('POST', `/payment-reviews/${PAYMENT_ID}/reject`, {
+                headers: signInAs('admin-uuid', ['admin']),
+                body: { note: 'Stolen card' }
+            });
+
+            expect(invalid.status).toBe(400);
+            expect(res.status).toBe(200);
+            expect(res.body.data.reviewStatus).toBe('REJECTED');
+            expect(transitionPayment).toHaveBeenCalledWith(PAYMENT_ID, 'FAILED', expect.objectContaining({
+                actor: 'admin-uuid',
+                reason: 'Rejected in risk review: Stolen card'
+            }));
+        });
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import {
+    canTransitionPayment,
+    canTransitionRefund,
+    transitionPayment,
+    transitionRefund,
+    InvalidStateTransitionError
+} from '../services/paymentStateMachine.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+/**
+ * Fake transaction client that locks a row in `currentStatus` (or finds nothing)
+ */
+const mockTransaction = (currentStatus) => {
+    const client = {
+        query: vi.fn(async (query, params) => {
+            if (query.includes('FOR UPDATE')) return { rows: currentStatus ? [{ id: params[0], status: currentStatus }] : [] };
+            if (query.includes('UPDATE')) return { rows: [{ id: params[0], status: params[1] }] };
+            return { rows: [] };
+        })
+    };
+    dbPoolManager.executeTransaction.mockImplementation(async (callback) => callback(client));
+    return client;
+};
+
+const findQuery = (client, fragment) => client.query.mock.calls.find(([query]) => query.includes(fragment));
+
+describe('Payment State Machine', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('transition rules', () => {
+        it('should allow forward payment transitions', () => {
+            expect(canTransitionPayment('PENDING', 'AUTHORIZED')).toBe(true);
+            expect(canTransitionPayment('AUTHORIZED', 'SUCCEEDED')).toBe(true);
+            expect(canTransitionPayment('SUCCEEDED', 'PARTIALLY_REFUNDED')).toBe(true);
+            expect(canTransitionPayment('PARTIALLY_REFUNDED', 'REFUNDED')).toBe(true);
+        });
+
+        it('should only let held payments leave review for the gateway or a final status', () => {
+            expect(canTransitionPayment('PENDING', 'UNDER_REVIEW')).toBe(true);
+            expect(canTransitionPayment('UNDER_REVIEW', 'PENDING')).toBe(true);
+            expect(canTransitionPayment('UNDER_REVIEW', 'FAILED')).toBe(true);
+            expect(canTransitionPayment('UNDER_REVIEW', 'SUCCEEDED')).toBe(false);
+            expect(canTransitionPayment('AUTHORIZED', 'UNDER_REVIEW')).toBe(false);
+        });
+
+        it('should reject payment regressions', () => {
+            expect(canTransitionPayment('SUCCEEDED', 'PENDING')).toBe(false);
+            expect(canTransitionPayment('FAILED', 'SUCCEEDED')).toBe(false);
+            expect(canTransitionPayment('REFUNDED', 'SUCCEEDED')).toBe(false);
+            expect(canTransitionPayment('PENDING', 'REFUNDED')).toBe(false);
+        });
+
+        it('should treat re-applying the current status as allowed', () => {
+            expect(canTransitionPayment('SUCCEEDED', 'SUCCEEDED')).toBe(true);
+            expect(canTransitionRefund('FAILED', 'FAILED')).toBe(true);
+        });
+
+        it('should only let pending refunds settle', () => {
+            expect(canTransitionRefund('PENDING', 'SUCCEEDED')).toBe(true);
+            expect(canTransitionRefund('SUCCEEDED', 'FAILED')).toBe(false);
+            expect(canTransitionRefund('PENDING', 'UNKNOWN')).toBe(false);
+        });
+    });
+
+    describe('transitionPayment', () => {
+        it('should record the actor and reason before updating the payment', async () => {
+            const client = mockTransaction('PENDING');
+
+            const result = await transitionPayment('payment-uuid', 'SUCCEEDED', {
+                reason: 'Gateway reported SUCCEEDED (webhook)',
+                actor: 'webhook',
+                gatewayResponse: { status: 'success' }
+            });
+
+            expect(result).toMatchObject({ applied: true, previousStatus: 'PENDING', payment: { status: 'SUCCEEDED' } });
+            expect(findQuery(client, 'set_config')[1]).toEqual(['Gateway reported SUCCEEDED (webhook)', 'webhook']);
+            expect(findQuery(client, 'UPDATE payments')[1]).toEqual(['payment-uuid', 'SUCCEEDED', JSON.stringify({ status: 'success' })]);
+        });
+
+        it('should throw a typed error for illegal transitions', async () => {
+            const client = mockTransaction('SUCCEEDED');
+
+            const error = await transitionPayment('payment-uuid', 'PENDING').catch(err => err);
+
+            expect(error).toBeInstanceOf(InvalidStateTransitionError);
+            expect(error).toMatchObject({ code: 'INVALID_STATE_TRANSITION', fromStatus: 'SUCCEEDED', toStatus: 'PENDING' });
+            expect(findQuery(client, 'UPDATE payments')).toBeUndefined();
+        });
+
+        it('should leave payments that moved past the expected status untouched', async () => {
+            const client = mockTransaction('CANCELLED');
+
+            const result = await transitionPayment('payment-uuid', 'SUCCEEDED', { expectedStatus: ['PENDING', 'AUTHORIZED'] });
+
+            expect(result).toMatchObject({ applied: false, previousStatus: 'CANCELLED' });
+            expect(findQuery(client, 'UPDATE payments')).toBeUndefined();
+        });
+
+        it('should write extra columns with the status change', async () => {
+            const client = mockTransaction('AUTHORIZED');
+
+            await transitionPayment('payment-uuid', 'SUCCEEDED', { fields: { captured_amount: 600 } });
+
+            const [query, params] = findQuery(client, 'UPDATE payments');
+            expect(query).toContain('captured_amount = $4');
+            expect(params[3]).toBe(600);
+        });
+
+        it('should refuse columns it does not manage', async () => {
+            mockTransaction('PENDING');
+
+            await expect(transitionPayment('payment-uuid', 'FAILED', { fields: { amount: 1 } }))
+                .rejects.toThrow('Column amount cannot be written');
+        });
+
+        it('should return null for unknown payments', async () => {
+            mockTransaction(null);
+
+            expect(await transitionPayment('payment-uuid', 'FAILED')).toBeNull();
+        });
+    });
+
+    describe('transitionRefund', () => {
+        it('should reject changes out of a final refund status', async () => {
+            mockTransaction('SUCCEEDED');
+
+            await expect(transitionRefund('refund-uuid', 'FAILED')).rejects.toBeInstanceOf(InvalidStateTransitionError);
+        });
+    });
+});
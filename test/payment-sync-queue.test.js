@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { getLatestPaymentStatus } from '../gateways/paystack.js';
+import { queuePaymentSync, getQueueStatus, purgeCompletedJobs, createPaymentAsync } from '../services/asyncPaymentProcessor.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../messaging/queueSetup.js', () => ({
+    connect: vi.fn(),
+    publish: vi.fn()
+}));
+
+vi.mock('../gateways/paystack.js', () => ({
+    getLatestPaymentStatus: vi.fn(),
+    getSupportedCurrencies: vi.fn(() => [])
+}));
+
+/**
+ * Route mocked queries by their SQL so the queue's claim/complete/fail cycle can be followed
+ */
+const mockQueue = (job) => {
+    let claimed = false;
+    dbPoolManager.executeWrite.mockImplementation(async (query) => {
+        if (query.includes('INSERT INTO payment_sync_jobs')) {
+            return { rows: [{ id: job.id }] };
+        }
+        if (query.includes("SET status = 'RUNNING'")) {
+            if (claimed) return { rows: [] };
+            claimed = true;
+            return { rows: [job] };
+        }
+        return { rows: [{ id: 'payment-uuid' }], rowCount: 1 };
+    });
+    dbPoolManager.executeRead.mockResolvedValue({ rows: [{ id: 'payment-uuid' }] });
+
+    // Payment status changes run through the state machine's transaction
+    const client = {
+        query: vi.fn(async (query, params) => {
+            if (query.includes('FOR UPDATE')) return { rows: [{ id: 'payment-uuid', status: job.current_status }] };
+            if (query.includes('UPDATE payments')) return { rows: [{ id: 'payment-uuid', status: params[1] }] };
+            return { rows: [] };
+        })
+    };
+    dbPoolManager.executeTransaction.mockImplementation(async (callback) => callback(client));
+    return client;
+};
+
+const findWrite = (fragment) => dbPoolManager.executeWrite.mock.calls.find(([query]) => query.includes(fragment));
+
+describe('Payment Sync Queue', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should not queue a second active job for the same payment', async () => {
+        dbPoolManager.executeWrite.mockResolvedValue({ rows: [] });
+
+        const jobId = await queuePaymentSync('key_123', 'PENDING');
+
+        expect(jobId).toBeNull();
+        expect(dbPoolManager.executeWrite.mock.calls[0][0]).toContain('ON CONFLICT (idempotency_key)');
+    });
+
+    it('should complete jobs whose sync succeeds', async () => {
+        const client = mockQueue({
+            id: 'job-1', idempotency_key: 'key_123', gateway: 'paystack', reference: 'key_123',
+            current_status: 'PENDING', attempts: 1, max_attempts: 3
+        });
+        getLatestPaymentStatus.mockResolvedValue({ success: true, status: 'SUCCEEDED', gatewayResponse: {} });
+
+        await queuePaymentSync('key_123', 'PENDING');
+
+        await vi.waitFor(() => expect(findWrite("SET status = 'SUCCEEDED'")).toBeDefined());
+        const update = client.query.mock.calls.find(([query]) => query.includes('UPDATE payments'));
+        expect(update[1].slice(0, 2)).toEqual(['payment-uuid', 'SUCCEEDED']);
+    });
+
+    it('should reschedule failed jobs with backoff', async () => {
+        mockQueue({
+            id: 'job-1', idempotency_key: 'key_123', gateway: 'paystack', reference: 'key_123',
+            current_status: 'PENDING', attempts: 2, max_attempts: 3
+        });
+        getLatestPaymentStatus.mockResolvedValue({ success: false, error: { message: 'timeout' } });
+
+        await queuePaymentSync('key_123', 'PENDING');
+
+        await vi.waitFor(() => expect(findWrite("SET status = 'QUEUED'")).toBeDefined());
+        // Second attempt waits twice the base delay
+        expect(findWrite("SET status = 'QUEUED'")[1]).toEqual(['job-1', expect.any(String), 'Status fetch failed: timeout', 10]);
+    });
+
+    it('should dead-letter jobs that run out of attempts', async () => {
+        mockQueue({
+            id: 'job-1', idempotency_key: 'key_123', gateway: 'paystack', reference: 'key_123',
+            current_status: 'PENDING', attempts: 3, max_attempts: 3
+        });
+        getLatestPaymentStatus.mockResolvedValue({ success: false, error: { message: 'timeout' } });
+
+        await queuePaymentSync('key_123', 'PENDING');
+
+        await vi.waitFor(() => expect(findWrite("SET status = 'DEAD'")).toBeDefined());
+    });
+
+    it('should purge completed jobs past the retention period in batches', async () => {
+        dbPoolManager.executeWrite
+            .mockResolvedValueOnce({ rowCount: 1000 })
+            .mockResolvedValueOnce({ rowCount: 12 });
+
+        const deleted = await purgeCompletedJobs();
+
+        expect(deleted).toBe(1012);
+        expect(dbPoolManager.executeWrite).toHaveBeenCalledTimes(2);
+        expect(dbPoolManager.executeWrite.mock.calls[0][0]).toContain("status = 'SUCCEEDED'");
+        expect(dbPoolManager.executeWrite.mock.calls[0][1]).toEqual([7, 1000]);
+    });
+
+    it('should scope async payments\' idempotency keys to the paying user', async () => {
+        dbPoolManager.executeWrite.mockImplementation(async (query) => (
+            query.includes('INSERT INTO payments')
+                ? { rows: [{ id: 'payment-uuid', idempotency_key: 'key_123', gateway: 'paystack' }] }
+                : { rows: [] }
+        ));
+
+        await createPaymentAsync({ user_id: 'user-1', order_id: 'order-1', amount: 1000, currency: 'NGN', idempotency_key: 'key_123' });
+
+        expect(findWrite('INSERT INTO payments')[1][8]).toBe('user:user-1');
+    });
+
+    it('should report cluster-wide counts from the jobs table', async () => {
+        dbPoolManager.executeRead
+            .mockResolvedValueOnce({ rows: [{ status: 'QUEUED', count: '4' }, { status: 'RUNNING', count: '1' }, { status: 'DEAD', count: '2' }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const status = await getQueueStatus();
+
+        expect(status.queueSize).toBe(5);
+        expect(status.counts).toEqual({ QUEUED: 4, RUNNING: 1, SUCCEEDED: 0, DEAD: 2 });
+    });
+});
@@ -31,6 +31,7 @@ describe('publishPaymentEvent', () => {
       eventType: 'payment_initiated',
       ...mockPayload,
     });
+    expect(typeof payload.eventId).toBe('string');
     expect(typeof payload.timestamp).toBe('string');
     expect(new Date(payload.timestamp).toISOString()).toBe(payload.timestamp);
   });
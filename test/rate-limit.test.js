@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { redisClient } from '../cache/redisClient.js';
+import { recordRateLimitRejection } from '../src/metrics.js';
+import { hitRateLimit, clearMemoryRateLimits } from '../services/rateLimitStore.js';
+import { rateLimit, RATE_LIMIT_POLICIES } from '../middleware/rateLimit.js';
+
+vi.mock('../cache/redisClient.js', () => ({
+    redisClient: {
+        isConnected: false,
+        client: { eval: vi.fn() }
+    }
+}));
+
+vi.mock('../src/metrics.js', () => ({
+    recordRateLimitRejection: vi.fn()
+}));
+
+const MINUTE = 60000;
+
+const mockResponse = () => {
+    const res = { headers: {} };
+    res.set = vi.fn((name, value) => { res.headers[name] = value; return res; });
+    res.status = vi.fn(() => res);
+    res.json = vi.fn(() => res);
+    return res;
+};
+
+/**
+ * Send `count` requests through a policy and return the last response and how many reached the route
+ */
+const send = async (policyName, req, count) => {
+    let res;
+    const next = vi.fn();
+    for (let i = 0; i < count; i++) {
+        res = mockResponse();
+        await rateLimit(policyName)(req, res, next);
+    }
+    return { res, passed: next.mock.calls.length };
+};
+
+describe('Rate limiting', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        clearMemoryRateLimits();
+        redisClient.isConnected = false;
+    });
+
+    describe('hitRateLimit', () => {
+        it('should weigh the previous window by how much of it is still inside the sliding window', async () => {
+            const policy = { limit: 10, windowMs: MINUTE };
+            const windowStart = 1000 * MINUTE;
+
+            for (let i = 0; i < 10; i++) {
+                await hitRateLimit('test:user:1', policy, windowStart + 1000);
+            }
+
+            // A quarter into the next window, 7.5 of the previous 10 still count
+            const quarterIn = windowStart + MINUTE + MINUTE / 4;
+            const results = [];
+            for (let i = 0; i < 3; i++) {
+                results.push(await hitRateLimit('test:user:1', policy, quarterIn));
+            }
+
+            expect(results.map(result => result.allowed)).toEqual([true, true, false]);
+            expect(results[1]).toMatchObject({ remaining: 0, resetMs: MINUTE * 0.75, store: 'memory' });
+            // One more fits once the previous window's share drops to 7: at 30% into the window
+            expect(results[2].retryAfterMs).toBe(MINUTE * 0.05);
+        });
+
+        it('should count in Redis when connected and fall back to memory when it fails or is slow', async () => {
+            redisClient.isConnected = true;
+            redisClient.client.eval.mockResolvedValueOnce([1, 4, 2]);
+
+            const shared = await hitRateLimit('test:key:1', { limit: 10, windowMs: MINUTE }, 30 * MINUTE);
+
+            const [, keyCount, currentKey, previousKey, weight, limit, ttlMs] = redisClient.client.eval.mock.calls[0];
+            expect(shared).toMatchObject({ allowed: true, remaining: 4, store: 'redis' });
+            expect([keyCount, currentKey, previousKey, weight, limit, ttlMs])
+                .toEqual([2, 'rate_limit:test:key:1:30', 'rate_limit:test:key:1:29', 1, 10, 2 * MINUTE]);
+
+            redisClient.client.eval.mockRejectedValueOnce(new Error('READONLY'));
+            redisClient.client.eval.mockReturnValueOnce(new Promise(() => {}));
+
+            const failed = await hitRateLimit('test:key:1', { limit: 10, windowMs: MINUTE }, 30 * MINUTE);
+            const slow = await hitRateLimit('test:key:1', { limit: 10, windowMs: MINUTE }, 30 * MINUTE);
+
+            expect(failed).toMatchObject({ allowed: true, remaining: 9, store: 'memory' });
+            expect(slow).toMatchObject({ allowed: true, remaining: 8, store: 'memory' });
+        });
+    });
+
+    describe('rateLimit middleware', () => {
+        it('should refuse with 429, Retry-After and RateLimit headers once a caller is over the limit', async () => {
+            const { limit } = RATE_LIMIT_POLICIES['payments:create'];
+            const req = { principal: { type: 'service', id: 'key-1' }, ip: '10.0.0.5' };
+
+            const { res, passed } = await send('payments:create', req, limit + 1);
+
+            expect(passed).toBe(limit);
+            expect(res.status).toHaveBeenCalledWith(429);
+            expect(res.json.mock.calls[0][0].error).toMatchObject({
+                code: 'RATE_LIMIT_EXCEEDED',
+                details: { policy: 'payments:create', limit, windowSeconds: 60 }
+            });
+            expect(res.headers).toMatchObject({
+                'RateLimit-Limit': String(limit),
+                'RateLimit-Remaining': '0',
+                'RateLimit-Policy': `${limit};w=60`
+            });
+            expect(Number(res.headers['Retry-After'])).toBeGreaterThanOrEqual(1);
+            expect(recordRateLimitRejection).toHaveBeenCalledWith('payments:create', 'service', 'memory');
+        });
+
+        it('should give each API key, user and anonymous IP its own allowance per policy', async () => {
+            const { limit } = RATE_LIMIT_POLICIES['refunds:create'];
+            await send('refunds:create', { principal: { type: 'user', id: 'user-1' }, ip: '10.0.0.5' }, limit);
+
+            const otherUser = await send('refunds:create', { principal: { type: 'user', id: 'user-2' }, ip: '10.0.0.5' }, 1);
+            const apiKey = await send('refunds:create', { principal: { type: 'service', id: 'user-1' }, ip: '10.0.0.5' }, 1);
+            const anonymous = await send('refunds:create', { ip: '10.0.0.5' }, 1);
+            const otherPolicy = await send('payments:update', { principal: { type: 'user', id: 'user-1' } }, 1);
+            const sameUser = await send('refunds:create', { principal: { type: 'user', id: 'user-1' }, ip: '10.0.0.9' }, 1);
+
+            expect([otherUser, apiKey, anonymous, otherPolicy].map(result => result.passed)).toEqual([1, 1, 1, 1]);
+            expect(sameUser.passed).toBe(0);
+            expect(recordRateLimitRejection).toHaveBeenCalledWith('refunds:create', 'user', 'memory');
+        });
+
+        it('should count requests by client IP ahead of authentication', async () => {
+            const { limit } = RATE_LIMIT_POLICIES['requests:ip'];
+
+            const { res, passed } = await send('requests:ip', { ip: '203.0.113.7', headers: { authorization: 'Bearer bad' } }, limit + 1);
+            const otherClient = await send('requests:ip', { ip: '203.0.113.8' }, 1);
+
+            expect(passed).toBe(limit);
+            expect(res.status).toHaveBeenCalledWith(429);
+            expect(otherClient.passed).toBe(1);
+            expect(recordRateLimitRejection).toHaveBeenCalledWith('requests:ip', 'ip', 'memory');
+        });
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { findInvoiceForPayment } from '../services/invoiceService.js';
+import { buildReceipt, renderReceipt } from '../services/receipts.js';
+import { renderTemplate } from '../utils/templates.js';
+import { renderTextPdf } from '../utils/pdf.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn()
+    }
+}));
+
+vi.mock('../services/invoiceService.js', () => ({
+    findInvoiceForPayment: vi.fn()
+}));
+
+const payment = (overrides = {}) => ({
+    id: '3f2b8c1e-0d4a-4c55-9a8e-6b1f2d3c4e5f',
+    user_id: 'user-uuid',
+    order_id: 'order_123',
+    amount: 10750,
+    captured_amount: null,
+    currency: 'USD',
+    status: 'SUCCEEDED',
+    gateway: 'stripe',
+    metadata: { user: { email: 'buyer@example.com' } },
+    updated_at: new Date('2026-03-14T15:00:00Z'),
+    ...overrides
+});
+
+const invoice = {
+    number: 'INV-000042',
+    currency: 'USD',
+    customer_name: 'Ada <Lovelace>',
+    customer_email: 'ada@example.com',
+    due_at: new Date('2026-03-31T00:00:00Z'),
+    subtotal_amount: 10000,
+    tax_amount: 750,
+    total_amount: 10750,
+    amount_paid: 10750,
+    line_items: [{ description: 'Consulting', quantity: 2, unit_amount: 5000, amount: 10000 }],
+    tax_lines: [{ name: 'VAT', rate_bps: 750, amount: 750 }]
+};
+
+describe('Receipts', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        dbPoolManager.executeRead.mockResolvedValue({ rows: [{ refunded: '0' }] });
+    });
+
+    describe('renderTemplate', () => {
+        it('should fill values, repeat sections and escape HTML', () => {
+            const html = renderTemplate(
+                '{{title}}: {{#items}}[{{name}} {{currency}}]{{/items}}{{^items}}none{{/items}} {{#owner}}{{owner.name}}{{/owner}}',
+                { title: 'A & B', currency: 'USD', items: [{ name: '<b>x</b>' }, { name: 'y' }], owner: { name: 'Ann' } }
+            );
+
+            expect(html).toBe('A &amp; B: [&lt;b&gt;x&lt;/b&gt; USD][y USD] Ann');
+            expect(renderTemplate('{{^items}}none{{/items}}', { items: [] })).toBe('none');
+            expect(renderTemplate('{{title}}', { title: 'A & B' }, { escape: false })).toBe('A & B');
+        });
+
+        it('should output values as text, never as template tags', () => {
+            const view = { secret: 'sk_live_1', note: '{{secret}}', items: [{ name: '{{secret}}' }, { name: '{{#items}}x{{/items}}' }] };
+
+            expect(renderTemplate('{{note}}', view, { escape: false })).toBe('{{secret}}');
+            expect(renderTemplate('{{#items}}[{{name}}]{{/items}}', view, { escape: false })).toBe('[{{secret}}][{{#items}}x{{/items}}]');
+        });
+
+        it('should match nested sections of the same name and reject unbalanced ones', () => {
+            const view = { a: { a: { v: 'inner' }, v: 'outer' } };
+
+            expect(renderTemplate('{{#a}}{{v}}{{#a}}-{{v}}{{/a}}{{/a}}', view)).toBe('outer-inner');
+            expect(() => renderTemplate('{{#items}}x', {})).toThrow('Unclosed {{#items}}');
+            expect(() => renderTemplate('x{{/items}}', {})).toThrow('Unexpected {{/items}}');
+        });
+    });
+
+    describe('renderTextPdf', () => {
+        it('should write a PDF whose cross-reference table points at its objects', () => {
+            const pdf = renderTextPdf('# Receipt\nTotal (USD): 10.00', { title: 'Receipt 1' }).toString('latin1');
+
+            expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+            expect(pdf).toContain('(Total \\(USD\\): 10.00) Tj');
+            expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+
+            const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+            expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+            const firstObjectOffset = Number(pdf.slice(xrefOffset).split('\n')[3].slice(0, 10));
+            expect(pdf.slice(firstObjectOffset, firstObjectOffset + 7)).toBe('1 0 obj');
+        });
+
+        it('should continue long documents on new pages', () => {
+            const pdf = renderTextPdf(Array.from({ length: 120 }, (_, i) => `Line ${i}`).join('\n')).toString('latin1');
+
+            expect(pdf).toContain('/Count 3');
+        });
+    });
+
+    describe('buildReceipt', () => {
+        it('should itemise a receipt from the invoice the payment settled', async () => {
+            findInvoiceForPayment.mockResolvedValue(invoice);
+
+            const result = await buildReceipt(payment());
+
+            expect(result.data).toMatchObject({
+                receiptNumber: '3F2B8C1E0D4A',
+                paidAt: '2026-03-14',
+                customer: { name: 'Ada <Lovelace>', email: 'ada@example.com' },
+                invoice: { number: 'INV-000042', subtotal: '100.00 USD', total: '107.50 USD', amountDue: '0.00 USD' },
+                lineItems: [{ description: 'Consulting', quantity: 2, unitAmount: '50.00 USD', amount: '100.00 USD' }],
+                amountPaid: '107.50 USD',
+                refundedAmount: null
+            });
+            expect(result.data.invoice.taxLines).toEqual([{ name: 'VAT', rate: '7.5%', amount: '7.50 USD' }]);
+        });
+
+        it('should fall back to a single order line and show refunds', async () => {
+            findInvoiceForPayment.mockResolvedValue(null);
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [{ refunded: '2500' }] });
+
+            const result = await buildReceipt(payment({ status: 'PARTIALLY_REFUNDED', captured_amount: 9000 }));
+
+            expect(result.data.lineItems).toEqual([{ description: 'Order order_123', quantity: 1, unitAmount: '90.00 USD', amount: '90.00 USD' }]);
+            expect(result.data).toMatchObject({ amountPaid: '90.00 USD', refundedAmount: '25.00 USD', customer: { email: 'buyer@example.com' } });
+        });
+
+        it('should not issue receipts for payments that were not collected', async () => {
+            const result = await buildReceipt(payment({ status: 'PENDING' }));
+
+            expect(result.error.code).toBe('RECEIPT_NOT_AVAILABLE');
+            expect(findInvoiceForPayment).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('renderReceipt', () => {
+        it('should render the receipt templates as HTML and PDF', async () => {
+            findInvoiceForPayment.mockResolvedValue(invoice);
+            const { data } = await buildReceipt(payment());
+
+            const html = await renderReceipt(data, 'html');
+            const pdf = await renderReceipt(data, 'pdf');
+
+            expect(html.contentType).toBe('text/html; charset=utf-8');
+            expect(html.body).toContain('Ada &lt;Lovelace&gt;');
+            expect(html.body).toContain('VAT (7.5%)');
+            expect(pdf).toMatchObject({ contentType: 'application/pdf', filename: 'receipt-3F2B8C1E0D4A.pdf' });
+            expect(pdf.body.toString('latin1')).toContain('(Invoice: INV-000042 \\(due 2026-03-31\\)) Tj');
+        });
+    });
+});
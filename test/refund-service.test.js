@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import {
+    calculateRefundableAmount,
+    getRefundableAmounts,
+    reserveRefund,
+    applySucceededRefunds
+} from '../services/refundService.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+const payment = (overrides = {}) => ({
+    id: 'payment-uuid',
+    user_id: 'user-1',
+    order_id: 'order-1',
+    amount: 1000,
+    currency: 'KES',
+    status: 'SUCCEEDED',
+    gateway: 'paystack',
+    gateway_response: { reference: 'ref_1' },
+    ...overrides
+});
+
+/**
+ * Run transactions against a fake client that answers queries by their SQL
+ */
+const mockTransaction = ({ paymentRow, reserved = 0, succeeded = 0 }) => {
+    const client = {
+        query: vi.fn(async (query) => {
+            if (query.includes('FROM payments')) {
+                return { rows: paymentRow ? [paymentRow] : [] };
+            }
+            if (query.includes('AS reserved')) {
+                return { rows: [{ reserved: String(reserved) }] };
+            }
+            if (query.includes('AS total_refunded')) {
+                return { rows: [{ total_refunded: String(succeeded) }] };
+            }
+            if (query.includes('INSERT INTO refunds')) {
+                return { rows: [{ refund_id: 'refund-uuid', amount: 300, status: 'PENDING' }] };
+            }
+            return { rows: [], rowCount: 1 };
+        })
+    };
+    dbPoolManager.executeTransaction.mockImplementation(async (callback) => callback(client));
+    return client;
+};
+
+describe('Refund Service', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('calculateRefundableAmount', () => {
+        it('should subtract refunds already succeeded or in flight', () => {
+            expect(calculateRefundableAmount(payment(), 400)).toBe(600);
+            expect(calculateRefundableAmount(payment({ status: 'PARTIALLY_REFUNDED' }), 1000)).toBe(0);
+        });
+
+        it('should report nothing refundable for payments that did not succeed', () => {
+            expect(calculateRefundableAmount(payment({ status: 'PENDING' }))).toBe(0);
+            expect(calculateRefundableAmount(payment({ status: 'REFUNDED' }))).toBe(0);
+        });
+    });
+
+    describe('getRefundableAmounts', () => {
+        it('should look up every payment with one query', async () => {
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [{ payment_id: 'payment-uuid', reserved: '250' }] });
+
+            const amounts = await getRefundableAmounts([payment(), payment({ id: 'payment-2' })]);
+
+            expect(dbPoolManager.executeRead).toHaveBeenCalledTimes(1);
+            expect(amounts.get('payment-uuid')).toBe(750);
+            expect(amounts.get('payment-2')).toBe(1000);
+        });
+    });
+
+    describe('reserveRefund', () => {
+        it('should lock the payment and create a pending refund within the balance', async () => {
+            const client = mockTransaction({ paymentRow: payment({ status: 'PARTIALLY_REFUNDED' }), reserved: 500 });
+
+            const result = await reserveRefund({ payment_id: 'payment-uuid', amount: 300, reason: 'Damaged', idempotencyKey: 'idem_1' });
+
+            expect(result.success).toBe(true);
+            expect(result.data.refundableAmount).toBe(200);
+            expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+            expect(client.query.mock.calls[1][1]).toEqual(['payment-uuid', ['PENDING', 'SUCCEEDED']]);
+            expect(client.query.mock.calls[2][1]).toEqual(['payment-uuid', 300, 'KES', 'Damaged', 'idem_1']);
+        });
+
+        it('should reject refunds beyond the remaining balance', async () => {
+            const client = mockTransaction({ paymentRow: payment(), reserved: 800 });
+
+            const result = await reserveRefund({ payment_id: 'payment-uuid', amount: 300, reason: 'Damaged', idempotencyKey: 'idem_1' });
+
+            expect(result.success).toBe(false);
+            expect(result.error.code).toBe('REFUND_AMOUNT_EXCEEDED');
+            expect(result.error.details.refundable_amount).toBe(200);
+            expect(client.query.mock.calls.some(([query]) => query.includes('INSERT INTO refunds'))).toBe(false);
+        });
+
+        it('should reject refunds for payments that have not succeeded', async () => {
+            mockTransaction({ paymentRow: payment({ status: 'PENDING' }) });
+
+            const result = await reserveRefund({ payment_id: 'payment-uuid', amount: 300 });
+
+            expect(result.error.code).toBe('REFUND_NOT_ALLOWED');
+        });
+
+        it('should report unknown payments', async () => {
+            mockTransaction({ paymentRow: null });
+
+            const result = await reserveRefund({ payment_id: 'payment-uuid', amount: 300 });
+
+            expect(result.error.code).toBe('PAYMENT_NOT_FOUND');
+        });
+    });
+
+    describe('applySucceededRefunds', () => {
+        it('should mark the payment partially refunded while a balance remains', async () => {
+            const client = mockTransaction({ paymentRow: { amount: 1000, status: 'SUCCEEDED' }, succeeded: 400 });
+
+            const result = await applySucceededRefunds('payment-uuid', { refundId: 'refund-uuid', details: { amount: 400 } });
+
+            expect(result).toEqual({ status: 'PARTIALLY_REFUNDED', totalRefunded: 400, amount: 1000 });
+            const [statusUpdate, detailsUpdate] = client.query.mock.calls.filter(([query]) => query.includes('UPDATE payments'));
+            expect(statusUpdate[1]).toEqual(['payment-uuid', 'PARTIALLY_REFUNDED', null]);
+            expect(detailsUpdate[1]).toEqual(['payment-uuid', 'refund-uuid', JSON.stringify({ amount: 400 })]);
+        });
+
+        it('should mark the payment refunded once the full amount is refunded', async () => {
+            mockTransaction({ paymentRow: { amount: 1000, status: 'PARTIALLY_REFUNDED' }, succeeded: 1000 });
+
+            const result = await applySucceededRefunds('payment-uuid');
+
+            expect(result.status).toBe('REFUNDED');
+        });
+    });
+});
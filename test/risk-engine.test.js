@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import {
+    RISK_DECISIONS,
+    decide,
+    createRiskEngine,
+    setRiskEngine,
+    assessPayment,
+    userVelocityRule,
+    ipVelocityRule,
+    amountAnomalyRule,
+    repeatedFailuresRule,
+    orderMetadataRule
+} from '../services/riskEngine.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+const context = (overrides = {}) => ({
+    paymentId: 'payment-uuid',
+    userId: 'user-uuid',
+    email: 'buyer@example.com',
+    ip: '203.0.113.7',
+    orderId: 'order_123',
+    amount: 5000,
+    currency: 'USD',
+    metadata: {},
+    at: new Date('2026-03-14T15:00:00Z'),
+    ...overrides
+});
+
+const countRow = (count) => ({ rows: [{ count: String(count) }] });
+
+const mockTransaction = () => {
+    const client = { query: vi.fn(async () => ({ rows: [] })) };
+    dbPoolManager.executeTransaction.mockImplementation(async (callback) => callback(client));
+    return client;
+};
+
+describe('Risk Engine', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        setRiskEngine(null);
+    });
+
+    describe('rules', () => {
+        it('should flag a burst of payments from one user or IP', async () => {
+            dbPoolManager.executeRead.mockResolvedValueOnce(countRow(5));
+            const userSignal = await userVelocityRule.evaluate(context());
+            expect(userSignal.score).toBe(40);
+            expect(dbPoolManager.executeRead.mock.calls[0][1]).toEqual([
+                'user-uuid',
+                new Date('2026-03-14T14:50:00Z'),
+                'payment-uuid'
+            ]);
+
+            dbPoolManager.executeRead.mockResolvedValueOnce(countRow(2));
+            expect(await ipVelocityRule.evaluate(context())).toBeNull();
+        });
+
+        it('should skip velocity checks without the identifier', async () => {
+            expect(await ipVelocityRule.evaluate(context({ ip: null }))).toBeNull();
+            expect(dbPoolManager.executeRead).not.toHaveBeenCalled();
+        });
+
+        it('should flag amounts far above the user history once there is enough of it', async () => {
+            dbPoolManager.executeRead.mockResolvedValueOnce({ rows: [{ count: '4', average: '1000' }] });
+            const signal = await amountAnomalyRule.evaluate(context({ amount: 8000 }));
+            expect(signal.reason).toBe("Amount is 8.0x the user's average of 1000 USD minor units");
+
+            dbPoolManager.executeRead.mockResolvedValueOnce({ rows: [{ count: '1', average: '1000' }] });
+            expect(await amountAnomalyRule.evaluate(context({ amount: 8000 }))).toBeNull();
+        });
+
+        it('should flag repeated recent failures', async () => {
+            dbPoolManager.executeRead.mockResolvedValueOnce(countRow(3));
+
+            const signal = await repeatedFailuresRule.evaluate(context());
+
+            expect(signal).toEqual({ score: 40, reason: '3 failed payments in the last 60 minutes' });
+        });
+
+        it('should flag order metadata that disagrees with the payment', async () => {
+            const signal = await orderMetadataRule.evaluate(context({
+                metadata: {
+                    order: { id: 'order_123', items: ['E-book'], totalItems: 3 },
+                    user: { id: 'someone-else', email: 'BUYER@example.com' }
+                }
+            }));
+
+            expect(signal.reason).toBe('Order metadata mismatch: order.totalItems is 3 but order.items has 1; user.id is not the paying user');
+            expect(await orderMetadataRule.evaluate(context({ metadata: { user: { id: 'user-uuid' } } }))).toBeNull();
+        });
+    });
+
+    describe('engine', () => {
+        it('should decide from the total score', () => {
+            expect(decide(30)).toBe(RISK_DECISIONS.ALLOW);
+            expect(decide(50)).toBe(RISK_DECISIONS.REVIEW);
+            expect(decide(80)).toBe(RISK_DECISIONS.DENY);
+        });
+
+        it('should add up rule scores and skip rules that fail', async () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const engine = createRiskEngine({
+                rules: [
+                    { name: 'a', evaluate: async () => ({ score: 40, reason: 'a' }) },
+                    { name: 'broken', evaluate: async () => { throw new Error('timeout'); } },
+                    { name: 'b', evaluate: async () => ({ score: 30, reason: 'b' }) },
+                    { name: 'quiet', evaluate: async () => null }
+                ]
+            });
+
+            const assessment = await engine.assess(context());
+
+            expect(assessment.score).toBe(70);
+            expect(assessment.decision).toBe(RISK_DECISIONS.REVIEW);
+            expect(assessment.signals.map(signal => signal.rule)).toEqual(['a', 'b']);
+        });
+    });
+
+    describe('assessPayment', () => {
+        it('should store the assessment, the held gateway request and the decision on the payment', async () => {
+            const client = mockTransaction();
+            setRiskEngine({ assess: async () => ({ score: 60, decision: 'review', signals: [{ rule: 'a', score: 60, reason: 'a' }] }) });
+
+            const assessment = await assessPayment(context({ email: 'Buyer@Example.com' }), { gateway: 'paystack' });
+
+            expect(assessment.decision).toBe('review');
+            const [, insertParams] = client.query.mock.calls[0];
+            expect(insertParams.slice(0, 6)).toEqual(['payment-uuid', 'user-uuid', '203.0.113.7', 'buyer@example.com', 60, 'review']);
+            expect(insertParams[7]).toBe('PENDING');
+            expect(JSON.parse(insertParams[8])).toEqual({ gateway: 'paystack' });
+            expect(client.query.mock.calls[1][1]).toEqual(['payment-uuid', 60, 'review']);
+        });
+
+        it('should allow the payment when the engine is unavailable', async () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            const client = mockTransaction();
+            setRiskEngine({ assess: async () => { throw new Error('fraud service down'); } });
+
+            const assessment = await assessPayment(context(), { gateway: 'paystack' });
+
+            expect(assessment.decision).toBe('allow');
+            expect(client.query.mock.calls[0][1][8]).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,287 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { authenticateApiKey } from '../services/apiKeys.js';
+import { listTransactions, listRefunds } from '../gateways/paystack.js';
+import {
+    matchRecords,
+    summarizeItems,
+    executeReconciliationRun,
+    getPreviousDayPeriod,
+    toCsv
+} from '../services/settlementReconciliation.js';
+import reconciliation from '../routes/reconciliation.js';
+import { serveRouter, signInAs } from './helpers/http.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../services/userService.js', () => ({
+    verifyToken: vi.fn(),
+    extractUserId: (result) => result.user?.id || null,
+    extractUserDetails: (result) => result.user || null
+}));
+
+vi.mock('../services/apiKeys.js', () => ({
+    authenticateApiKey: vi.fn(),
+    getKeyPrefix: () => 'psk_0123456789ab'
+}));
+
+vi.mock('../messaging/queueSetup.js', () => ({
+    connect: vi.fn(),
+    publish: vi.fn()
+}));
+
+vi.mock('../gateways/paystack.js', () => ({
+    listTransactions: vi.fn(),
+    listRefunds: vi.fn(),
+    getSupportedCurrencies: vi.fn(() => [])
+}));
+
+const localPayment = (overrides = {}) => ({
+    id: 'payment-1',
+    recordType: 'payment',
+    references: ['ref_1', 'key_1'],
+    amount: 5000,
+    currency: 'KES',
+    status: 'SUCCEEDED',
+    ...overrides
+});
+
+const gatewayPayment = (overrides = {}) => ({
+    type: 'payment',
+    reference: 'ref_1',
+    amount: 5000,
+    currency: 'KES',
+    status: 'SUCCEEDED',
+    ...overrides
+});
+
+const bucketOf = (items, reference) => items.find(item => item.reference === reference).bucket;
+
+describe('Settlement Reconciliation', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('matchRecords', () => {
+        it('should match records by gateway reference or idempotency key', () => {
+            const items = matchRecords(
+                [localPayment(), localPayment({ id: 'payment-2', references: [null, 'key_2'] })],
+                [gatewayPayment(), gatewayPayment({ reference: 'key_2' })]
+            );
+
+            expect(items.map(item => item.bucket)).toEqual(['MATCHED', 'MATCHED']);
+            expect(items[1].local_id).toBe('payment-2');
+        });
+
+        it('should sort unmatched and differing records into their buckets', () => {
+            const items = matchRecords(
+                [
+                    localPayment(),
+                    localPayment({ id: 'payment-2', references: ['ref_2'], status: 'PENDING' }),
+                    localPayment({ id: 'payment-3', references: ['ref_3'] })
+                ],
+                [
+                    gatewayPayment({ amount: 4000 }),
+                    gatewayPayment({ reference: 'ref_2' }),
+                    gatewayPayment({ reference: 'ref_4' })
+                ]
+            );
+
+            expect(bucketOf(items, 'ref_1')).toBe('AMOUNT_MISMATCH');
+            expect(bucketOf(items, 'ref_2')).toBe('STATUS_MISMATCH');
+            expect(bucketOf(items, 'ref_3')).toBe('MISSING_AT_GATEWAY');
+            expect(bucketOf(items, 'ref_4')).toBe('MISSING_LOCALLY');
+            expect(summarizeItems(items)).toMatchObject({
+                total: 4, MATCHED: 0, AMOUNT_MISMATCH: 1, STATUS_MISMATCH: 1, MISSING_AT_GATEWAY: 1, MISSING_LOCALLY: 1
+            });
+        });
+
+        it('should treat refunded payments as settled at the gateway', () => {
+            const items = matchRecords(
+                [localPayment({ status: 'PARTIALLY_REFUNDED' })],
+                [gatewayPayment()]
+            );
+
+            expect(items[0].bucket).toBe('MATCHED');
+        });
+
+        it('should not match a refund against a payment with the same reference', () => {
+            const items = matchRecords(
+                [localPayment({ references: ['123'] })],
+                [gatewayPayment({ type: 'refund', reference: '123' })]
+            );
+
+            expect(items.map(item => item.bucket).sort()).toEqual(['MISSING_AT_GATEWAY', 'MISSING_LOCALLY']);
+        });
+
+        it('should match charges by payment intent and reconcile a checkout session and its intent once', () => {
+            const items = matchRecords(
+                [
+                    localPayment({ references: ['cs_1', 'key_1', 'pi_1'] }),
+                    localPayment({ id: 'payment-2', references: ['pi_2', 'key_2', null] })
+                ],
+                [
+                    gatewayPayment({ reference: 'cs_1', aliases: ['pi_1'] }),
+                    gatewayPayment({ reference: 'pi_1' }),
+                    gatewayPayment({ reference: 'pi_2' })
+                ]
+            );
+
+            expect(items.map(item => [item.reference, item.bucket])).toEqual([['cs_1', 'MATCHED'], ['pi_2', 'MATCHED']]);
+        });
+    });
+
+    describe('executeReconciliationRun', () => {
+        const run = {
+            id: 'run-1',
+            gateway: 'paystack',
+            period_start: '2026-01-01T00:00:00.000Z',
+            period_end: '2026-01-02T00:00:00.000Z'
+        };
+
+        it('should page through the gateway listing and store the results', async () => {
+            listTransactions
+                .mockResolvedValueOnce({ success: true, items: [gatewayPayment()], nextCursor: 2 })
+                .mockResolvedValueOnce({ success: true, items: [gatewayPayment({ reference: 'ref_2' })], nextCursor: null });
+            listRefunds.mockResolvedValue({ success: true, items: [], nextCursor: null });
+            dbPoolManager.executeRead
+                .mockResolvedValueOnce({
+                    rows: [{ id: 'payment-1', idempotency_key: 'key_1', gateway_reference: 'ref_1', amount: 5000, currency: 'KES', status: 'SUCCEEDED' }]
+                })
+                .mockResolvedValueOnce({ rows: [] });
+            const client = { query: vi.fn().mockResolvedValue({ rows: [] }) };
+            dbPoolManager.executeTransaction.mockImplementation(async (callback) => callback(client));
+
+            const summary = await executeReconciliationRun(run);
+
+            expect(listTransactions).toHaveBeenCalledTimes(2);
+            expect(listTransactions.mock.calls[1][0]).toMatchObject({ cursor: 2, from: run.period_start, to: run.period_end });
+            expect(summary).toMatchObject({ total: 2, MATCHED: 1, MISSING_LOCALLY: 1 });
+            expect(client.query.mock.calls[0][0]).toContain('INSERT INTO reconciliation_items');
+            expect(client.query.mock.calls[1][1]).toEqual(['run-1', JSON.stringify(summary)]);
+        });
+
+        it('should mark the run failed when the gateway listing fails', async () => {
+            listTransactions.mockResolvedValue({ success: false, error: { message: 'Paystack unavailable' } });
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [] });
+
+            await expect(executeReconciliationRun(run)).rejects.toThrow('Paystack unavailable');
+
+            const [query, params] = dbPoolManager.executeWrite.mock.calls[0];
+            expect(query).toContain("status = 'FAILED'");
+            expect(params).toEqual(['run-1', 'Paystack unavailable']);
+        });
+    });
+
+    it('should accept midnight as the run hour and fall back to 2 for values that are not hours', async () => {
+        const runHourFor = async (value) => {
+            vi.stubEnv('SETTLEMENT_RECONCILIATION_HOUR_UTC', value);
+            vi.resetModules();
+            const { SETTLEMENT_CONFIG } = await import('../services/settlementReconciliation.js');
+            return SETTLEMENT_CONFIG.RUN_AFTER_HOUR_UTC;
+        };
+
+        const hours = [await runHourFor('0'), await runHourFor('5'), await runHourFor(''), await runHourFor('24'), await runHourFor('noon')];
+        vi.unstubAllEnvs();
+
+        expect(hours).toEqual([0, 5, 2, 2, 2]);
+    });
+
+    it('should reconcile the previous UTC day', () => {
+        const { from, to } = getPreviousDayPeriod(new Date('2026-03-10T05:30:00Z'));
+
+        expect(from.toISOString()).toBe('2026-03-09T00:00:00.000Z');
+        expect(to.toISOString()).toBe('2026-03-10T00:00:00.000Z');
+    });
+
+    it('should export items as CSV with escaped values', () => {
+        const csv = toCsv([{
+            bucket: 'MISSING_LOCALLY',
+            record_type: 'payment',
+            reference: 'ref,"odd"',
+            local_id: null,
+            local_amount: null,
+            gateway_amount: 50,
+            local_status: null,
+            gateway_status: 'SUCCEEDED',
+            currency: 'KES'
+        }]);
+
+        expect(csv).toBe(
+            'bucket,record_type,reference,local_id,local_amount,gateway_amount,local_status,gateway_status,currency\n' +
+            'MISSING_LOCALLY,payment,"ref,""odd""",,,50,,SUCCEEDED,KES\n'
+        );
+    });
+
+    describe('HTTP', () => {
+        let api;
+
+        beforeAll(async () => {
+            api = await serveRouter('/reconciliation', reconciliation);
+        });
+
+        afterAll(async () => {
+            await api.close();
+        });
+
+        // Back-office service whose key has `scopes`
+        const asService = (scopes) => {
+            authenticateApiKey.mockResolvedValue({
+                success: true,
+                data: { id: 'key-1', name: 'finance-exports', prefix: 'psk_0123456789ab', scopes }
+            });
+            return { 'x-api-key': 'psk_0123456789ab_secret' };
+        };
+
+        const mockRuns = (runs) => {
+            dbPoolManager.executeRead.mockImplementation(async (query) => (
+                query.includes('COUNT(*)') ? { rows: [{ total: String(runs.length) }] } : { rows: runs }
+            ));
+        };
+
+        it('should keep settlement reports from customers', async () => {
+            const list = await api.request('GET', '/reconciliation/runs', { headers: signInAs('user-1') });
+            const start = await api.request('POST', '/reconciliation/runs', { headers: signInAs('user-1'), body: {} });
+
+            expect(list.status).toBe(403);
+            expect(start.status).toBe(403);
+            expect(dbPoolManager.executeRead).not.toHaveBeenCalled();
+            expect(dbPoolManager.executeWrite).not.toHaveBeenCalled();
+        });
+
+        it('should let a service with reports:read list runs but not start one', async () => {
+            mockRuns([{ id: 'run-1', gateway: 'paystack', status: 'COMPLETED' }]);
+
+            const list = await api.request('GET', '/reconciliation/runs', { headers: asService(['reports:read']) });
+            const start = await api.request('POST', '/reconciliation/runs', { headers: asService(['reports:read']), body: {} });
+            const withoutScope = await api.request('GET', '/reconciliation/runs', { headers: asService(['payments:read']) });
+
+            expect(list.status).toBe(200);
+            expect(list.body.data).toEqual([expect.objectContaining({ id: 'run-1' })]);
+            expect(list.body.metadata.pagination.total).toBe(1);
+            expect(start.status).toBe(403);
+            expect(withoutScope.status).toBe(403);
+        });
+
+        it('should let an admin start a run and check its period', async () => {
+            const headers = signInAs('admin-1', ['admin']);
+
+            const unknownGateway = await api.request('POST', '/reconciliation/runs', { headers, body: { gateway: 'acme' } });
+            const backwards = await api.request('POST', '/reconciliation/runs', {
+                headers,
+                body: { from: '2026-03-02T00:00:00Z', to: '2026-03-01T00:00:00Z' }
+            });
+
+            expect(unknownGateway.status).toBe(400);
+            expect(unknownGateway.body.error.message).toBe('Unknown gateway');
+            expect(backwards.body.error.message).toBe('Invalid period');
+            expect(dbPoolManager.executeWrite).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,403 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { processPayment } from '../services/paymentProcessor.js';
+import { getChargeablePaymentMethod } from '../services/paymentMethodService.js';
+import { transitionPayment } from '../services/paymentStateMachine.js';
+import { publishPaymentEvent } from '../messaging/publishPaymentEvent.js';
+import { recordSubscriptionBillingRun } from '../src/metrics.js';
+import {
+    addBillingInterval,
+    calculateProration,
+    chargeBillingCycle,
+    runSubscriptionBilling
+} from '../services/subscriptionBilling.js';
+import { changeSubscriptionPlan, cancelSubscription } from '../services/subscriptionService.js';
+import { mockTransaction, findQuery } from './helpers/db.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn(),
+        getWriteClient: vi.fn()
+    }
+}));
+
+vi.mock('../services/paymentProcessor.js', () => ({
+    processPayment: vi.fn()
+}));
+
+vi.mock('../services/paymentMethodService.js', () => ({
+    getChargeablePaymentMethod: vi.fn()
+}));
+
+vi.mock('../services/paymentStateMachine.js', () => ({
+    transitionPayment: vi.fn()
+}));
+
+vi.mock('../messaging/publishPaymentEvent.js', () => ({
+    publishPaymentEvent: vi.fn()
+}));
+
+vi.mock('../services/fxRates.js', () => ({
+    getSettlementFields: vi.fn(async () => ({}))
+}));
+
+vi.mock('../src/metrics.js', () => ({
+    recordSubscriptionBillingRun: vi.fn()
+}));
+
+const renewalCycle = (overrides = {}) => ({
+    id: 'cycle-uuid',
+    subscription_id: 'subscription-uuid',
+    plan_id: 'plan-uuid',
+    kind: 'RENEWAL',
+    period_start: new Date('2026-03-01T00:00:00Z'),
+    period_end: new Date('2026-04-01T00:00:00Z'),
+    amount: 1500,
+    currency: 'NGN',
+    attempts: 0,
+    payment_id: null,
+    user_id: 'user-1',
+    payment_method_id: 'method-uuid',
+    ...overrides
+});
+
+/**
+ * Transaction client, also the billing lock's connection: answers the lock, returns `subscription` from
+ * subscription updates and marks billing cycle updates as applied
+ */
+const mockBillingRun = ({ subscription = null, locked = true } = {}) => mockTransaction({
+    pg_try_advisory_lock: [{ locked }],
+    'UPDATE billing_cycles': [{ id: 'cycle-uuid' }],
+    'UPDATE subscriptions': subscription ? [subscription] : []
+});
+
+const mockCharge = (result) => {
+    dbPoolManager.executeWrite.mockResolvedValue({ rows: [{ payment_id: 'payment-uuid', success: true }] });
+    processPayment.mockResolvedValue(result);
+};
+
+describe('Subscriptions', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        getChargeablePaymentMethod.mockResolvedValue({
+            success: true,
+            data: { id: 'method-uuid', gateway: 'paystack', authorizationCode: 'AUTH_abc123', email: 'user@example.com' }
+        });
+    });
+
+    describe('billing periods', () => {
+        it('should keep the billing day and clamp it to short months', () => {
+            expect(addBillingInterval(new Date('2026-01-15T10:00:00Z'), 'MONTH')).toEqual(new Date('2026-02-15T10:00:00Z'));
+            expect(addBillingInterval(new Date('2026-01-31T10:00:00Z'), 'MONTH')).toEqual(new Date('2026-02-28T10:00:00Z'));
+            expect(addBillingInterval(new Date('2028-02-29T00:00:00Z'), 'YEAR')).toEqual(new Date('2029-02-28T00:00:00Z'));
+            expect(addBillingInterval(new Date('2026-01-01T00:00:00Z'), 'WEEK', 2)).toEqual(new Date('2026-01-15T00:00:00Z'));
+        });
+
+        it('should prorate the rest of the period', () => {
+            const period = { periodStart: '2026-03-01T00:00:00Z', periodEnd: '2026-03-31T00:00:00Z' };
+
+            expect(calculateProration({ ...period, currentAmount: 1000, newAmount: 3000, now: new Date('2026-03-16T00:00:00Z') }))
+                .toEqual({ remainingRatio: 0.5, credit: 500, charge: 1500, net: 1000 });
+            expect(calculateProration({ ...period, currentAmount: 3000, newAmount: 1000, now: new Date('2026-03-16T00:00:00Z') }).net)
+                .toBe(-1000);
+            expect(calculateProration({ ...period, currentAmount: 1000, newAmount: 3000, now: new Date('2026-04-02T00:00:00Z') }).net)
+                .toBe(0);
+        });
+    });
+
+    describe('chargeBillingCycle', () => {
+        it('should renew the subscription when the saved method is charged', async () => {
+            mockCharge({ success: true, status: 'SUCCEEDED', gateway: 'paystack', gatewayResponse: { reference: 'sub_cycle-uuid_1' } });
+            const client = mockBillingRun({
+                subscription: { id: 'subscription-uuid', user_id: 'user-1', plan_id: 'plan-uuid', current_period_end: '2026-04-01' }
+            });
+
+            const result = await chargeBillingCycle(renewalCycle());
+
+            expect(result.outcome).toBe('PAID');
+            expect(processPayment).toHaveBeenCalledWith(expect.objectContaining({
+                amount: 1500,
+                idempotencyKey: 'sub_cycle-uuid_1',
+                paymentMethod: expect.objectContaining({ authorizationCode: 'AUTH_abc123' })
+            }));
+            expect(transitionPayment).toHaveBeenCalledWith('payment-uuid', 'SUCCEEDED', expect.objectContaining({ actor: 'subscriptions' }));
+            expect(findQuery(client, "SET status = 'PAID'")[1]).toEqual(['cycle-uuid', 1, 'payment-uuid']);
+            expect(findQuery(client, 'current_period_start = $3')[1].slice(2)).toEqual([
+                new Date('2026-03-01T00:00:00Z'), new Date('2026-04-01T00:00:00Z')
+            ]);
+            expect(publishPaymentEvent).toHaveBeenCalledWith('subscription_renewed', expect.objectContaining({
+                subscriptionId: 'subscription-uuid',
+                paymentId: 'payment-uuid'
+            }));
+        });
+
+        it('should schedule a dunning retry and mark the subscription past due', async () => {
+            mockCharge({ success: false, error: { code: 'CHARGE_DECLINED', message: 'Insufficient funds' } });
+            const client = mockBillingRun({ subscription: { id: 'subscription-uuid' } });
+
+            const before = Date.now();
+            const result = await chargeBillingCycle(renewalCycle());
+
+            expect(result.outcome).toBe('RETRY_SCHEDULED');
+            expect(result.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 24 * 60 * 60 * 1000);
+            expect(transitionPayment).toHaveBeenCalledWith('payment-uuid', 'FAILED', expect.anything());
+            expect(findQuery(client, "SET status = 'DUE'")[1].slice(0, 4)).toEqual(['cycle-uuid', 1, 'payment-uuid', 'Insufficient funds']);
+            expect(publishPaymentEvent).toHaveBeenCalledWith('subscription_past_due', expect.objectContaining({
+                attempts: 1,
+                error: 'Insufficient funds'
+            }));
+        });
+
+        it('should not announce past due again on later retries', async () => {
+            mockCharge({ success: false, error: { message: 'Insufficient funds' } });
+            mockBillingRun({ subscription: null });
+
+            const result = await chargeBillingCycle(renewalCycle({ attempts: 1 }));
+
+            expect(result.outcome).toBe('RETRY_SCHEDULED');
+            expect(publishPaymentEvent).not.toHaveBeenCalled();
+        });
+
+        it('should cancel the subscription once the dunning schedule runs out', async () => {
+            mockCharge({ success: false, error: { message: 'Card expired' } });
+            const client = mockBillingRun({ subscription: { id: 'subscription-uuid', user_id: 'user-1', plan_id: 'plan-uuid' } });
+
+            const result = await chargeBillingCycle(renewalCycle({ attempts: 3 }));
+
+            expect(result.outcome).toBe('FAILED');
+            expect(findQuery(client, "SET status = 'FAILED'")[1].slice(0, 2)).toEqual(['cycle-uuid', 4]);
+            expect(findQuery(client, "SET status = 'CANCELLED'")[1][1]).toBe('Renewal payment failed after 4 attempt(s): Card expired');
+            expect(publishPaymentEvent).toHaveBeenCalledWith('subscription_cancelled', expect.objectContaining({
+                subscriptionId: 'subscription-uuid',
+                cancelledBy: 'system'
+            }));
+        });
+
+        it('should wait for the gateway when the charge is still pending', async () => {
+            mockCharge({ success: true, status: 'PENDING', gateway: 'paystack', gatewayResponse: {} });
+
+            const result = await chargeBillingCycle(renewalCycle());
+
+            expect(result).toEqual({ outcome: 'PROCESSING', paymentId: 'payment-uuid' });
+            expect(dbPoolManager.executeWrite).toHaveBeenLastCalledWith(expect.stringContaining("SET status = 'PROCESSING'"), ['cycle-uuid', 1, 'payment-uuid']);
+            expect(publishPaymentEvent).not.toHaveBeenCalled();
+        });
+
+        it('should settle from the payment an interrupted run already charged instead of charging again', async () => {
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [{ payment_id: null, success: false, error_message: 'Payment already exists' }] });
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [{ id: 'payment-uuid', status: 'SUCCEEDED' }] });
+            const client = mockBillingRun({ subscription: { id: 'subscription-uuid', user_id: 'user-1', plan_id: 'plan-uuid' } });
+
+            const result = await chargeBillingCycle(renewalCycle());
+
+            expect(result.outcome).toBe('PAID');
+            expect(processPayment).not.toHaveBeenCalled();
+            expect(dbPoolManager.executeRead.mock.calls[0][1]).toEqual(['user:user-1', 'sub_cycle-uuid_1']);
+            expect(findQuery(client, "SET status = 'PAID'")[1]).toEqual(['cycle-uuid', 1, 'payment-uuid']);
+        });
+
+        it('should wait on an interrupted attempt whose payment is still open', async () => {
+            dbPoolManager.executeWrite
+                .mockResolvedValueOnce({ rows: [{ payment_id: null, success: false, error_message: 'Payment already exists' }] })
+                .mockResolvedValue({ rows: [] });
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [{ id: 'payment-uuid', status: 'PENDING' }] });
+
+            const result = await chargeBillingCycle(renewalCycle());
+
+            expect(result).toEqual({ outcome: 'PROCESSING', paymentId: 'payment-uuid' });
+            expect(processPayment).not.toHaveBeenCalled();
+        });
+
+        it('should leave the plan unchanged when a proration charge fails', async () => {
+            mockCharge({ success: false, error: { message: 'Declined' } });
+            const client = mockBillingRun();
+
+            const result = await chargeBillingCycle(renewalCycle({ kind: 'PRORATION' }));
+
+            expect(result.outcome).toBe('FAILED');
+            expect(findQuery(client, "SET status = 'CANCELLED'")).toBeUndefined();
+            expect(findQuery(client, 'UPDATE subscriptions')).toBeUndefined();
+        });
+
+        it('should settle cycles covered by credit without charging', async () => {
+            mockBillingRun({ subscription: { id: 'subscription-uuid' } });
+
+            const result = await chargeBillingCycle(renewalCycle({ amount: 0 }));
+
+            expect(result.outcome).toBe('PAID');
+            expect(processPayment).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('runSubscriptionBilling', () => {
+        it('should skip the run when another replica holds the lock', async () => {
+            mockBillingRun({ locked: false });
+
+            const summary = await runSubscriptionBilling();
+
+            expect(summary.outcome).toBe('skipped');
+            expect(dbPoolManager.executeRead).not.toHaveBeenCalled();
+        });
+
+        it('should drop and count a run that starts while the previous one is still going', async () => {
+            mockBillingRun();
+            let finishPreviousRun;
+            dbPoolManager.executeRead.mockReturnValueOnce(new Promise(resolve => { finishPreviousRun = resolve; }));
+            dbPoolManager.executeRead.mockResolvedValue({ rows: [] });
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            const previousRun = runSubscriptionBilling();
+            await vi.waitFor(() => expect(finishPreviousRun).toBeDefined());
+            const overlapping = await runSubscriptionBilling();
+            finishPreviousRun({ rows: [] });
+            const previous = await previousRun;
+
+            expect(overlapping.outcome).toBe('overrun');
+            expect(previous.outcome).toBe('completed');
+            expect(recordSubscriptionBillingRun.mock.calls.map(([summary]) => summary.outcome)).toEqual(['overrun', 'completed']);
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('Subscription billing run skipped'));
+            warn.mockRestore();
+        });
+
+        it('should cancel subscriptions set to end with the period instead of renewing them', async () => {
+            const client = mockBillingRun({ subscription: { id: 'subscription-uuid', user_id: 'user-1', plan_id: 'plan-uuid' } });
+            dbPoolManager.executeRead.mockImplementation(async (query) => {
+                if (query.includes('FROM subscriptions s')) {
+                    return {
+                        rows: [{
+                            id: 'subscription-uuid',
+                            cancel_at_period_end: true,
+                            cancellation_reason: 'Switching provider',
+                            current_period_end: new Date('2026-04-01T00:00:00Z')
+                        }]
+                    };
+                }
+                return { rows: [] };
+            });
+
+            const summary = await runSubscriptionBilling();
+
+            expect(summary).toMatchObject({ outcome: 'completed', cancelled: 1, opened: 0 });
+            expect(findQuery(client, 'INSERT INTO billing_cycles')).toBeUndefined();
+            expect(publishPaymentEvent).toHaveBeenCalledWith('subscription_cancelled', expect.objectContaining({ reason: 'Switching provider' }));
+        });
+
+        it('should open the next cycle, deducting credit from the renewal', async () => {
+            const client = mockBillingRun();
+            client.query.mockImplementation(async (query) => {
+                if (query.includes('pg_try_advisory_lock')) return { rows: [{ locked: true }] };
+                if (query.includes('INSERT INTO billing_cycles')) return { rows: [{ id: 'cycle-uuid' }] };
+                return { rows: [] };
+            });
+            dbPoolManager.executeRead.mockImplementation(async (query) => {
+                if (query.includes('FROM subscriptions s')) {
+                    return {
+                        rows: [{
+                            id: 'subscription-uuid',
+                            plan_id: 'plan-uuid',
+                            cancel_at_period_end: false,
+                            credit_balance: 400,
+                            current_period_end: new Date('2026-01-31T00:00:00Z'),
+                            amount: 1500,
+                            currency: 'NGN',
+                            billing_interval: 'MONTH',
+                            interval_count: 1
+                        }]
+                    };
+                }
+                return { rows: [] };
+            });
+
+            const summary = await runSubscriptionBilling();
+
+            expect(summary.opened).toBe(1);
+            expect(findQuery(client, 'INSERT INTO billing_cycles')[1]).toEqual([
+                'subscription-uuid', 'plan-uuid', new Date('2026-01-31T00:00:00Z'), new Date('2026-02-28T00:00:00Z'), 1100, 'NGN'
+            ]);
+            expect(findQuery(client, 'credit_balance = credit_balance - $2')[1]).toEqual(['subscription-uuid', 400]);
+        });
+    });
+
+    describe('subscription changes', () => {
+        const activeSubscription = {
+            id: 'subscription-uuid',
+            user_id: 'user-1',
+            plan_id: 'plan-basic',
+            payment_method_id: 'method-uuid',
+            status: 'ACTIVE',
+            current_period_start: new Date('2026-03-01T00:00:00Z'),
+            current_period_end: new Date('2026-03-31T00:00:00Z')
+        };
+
+        const mockReads = (subscription, { openCycle = false } = {}) => {
+            dbPoolManager.executeRead.mockImplementation(async (query, params) => {
+                if (query.includes('FROM subscriptions')) return { rows: subscription ? [subscription] : [] };
+                if (query.includes('FROM billing_cycles')) return { rows: openCycle ? [{}] : [] };
+                if (query.includes('FROM subscription_plans')) {
+                    const amounts = { 'plan-basic': 1000, 'plan-pro': 3000, 'plan-usd': 3000 };
+                    return { rows: [{ id: params[0], amount: amounts[params[0]], currency: params[0] === 'plan-usd' ? 'USD' : 'NGN' }] };
+                }
+                return { rows: [] };
+            });
+        };
+
+        it('should credit the unused difference on a downgrade', async () => {
+            mockReads({ ...activeSubscription, plan_id: 'plan-pro' });
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [{ ...activeSubscription, plan_id: 'plan-basic', credit_balance: 1000 }] });
+
+            const result = await changeSubscriptionPlan({
+                userId: 'user-1',
+                subscriptionId: 'subscription-uuid',
+                planId: 'plan-basic',
+                now: new Date('2026-03-16T00:00:00Z')
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.data.proration.net).toBe(-1000);
+            expect(dbPoolManager.executeWrite).toHaveBeenCalledWith(expect.stringContaining('credit_balance = credit_balance + $3'), [
+                'subscription-uuid', 'plan-basic', 1000
+            ]);
+            expect(processPayment).not.toHaveBeenCalled();
+        });
+
+        it('should refuse plans billed in another currency', async () => {
+            mockReads(activeSubscription);
+
+            const result = await changeSubscriptionPlan({ userId: 'user-1', subscriptionId: 'subscription-uuid', planId: 'plan-usd' });
+
+            expect(result.error.code).toBe('PLAN_CURRENCY_MISMATCH');
+        });
+
+        it('should refuse plan changes while a charge is open', async () => {
+            mockReads(activeSubscription, { openCycle: true });
+
+            const result = await changeSubscriptionPlan({ userId: 'user-1', subscriptionId: 'subscription-uuid', planId: 'plan-pro' });
+
+            expect(result.error.code).toBe('BILLING_IN_PROGRESS');
+        });
+
+        it('should cancel at period end by default', async () => {
+            mockReads(activeSubscription);
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [{ ...activeSubscription, cancel_at_period_end: true }] });
+
+            const result = await cancelSubscription({ userId: 'user-1', subscriptionId: 'subscription-uuid' });
+
+            expect(result.data.cancel_at_period_end).toBe(true);
+            expect(dbPoolManager.executeTransaction).not.toHaveBeenCalled();
+            expect(publishPaymentEvent).not.toHaveBeenCalled();
+        });
+
+        it('should cancel past due subscriptions immediately', async () => {
+            mockReads({ ...activeSubscription, status: 'PAST_DUE' });
+            const client = mockBillingRun({ subscription: { ...activeSubscription, status: 'CANCELLED' } });
+
+            const result = await cancelSubscription({ userId: 'user-1', subscriptionId: 'subscription-uuid' });
+
+            expect(result.data.status).toBe('CANCELLED');
+            expect(findQuery(client, "SET status = 'VOID'")[1]).toEqual(['subscription-uuid']);
+            expect(publishPaymentEvent).toHaveBeenCalledWith('subscription_cancelled', expect.objectContaining({ cancelledBy: 'user-1' }));
+        });
+    });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import fetch from 'node-fetch';
+import { circuitBreakers } from '../utils/circuitBreaker.js';
+import { JWKS_CONFIG, refreshJwks } from '../services/jwksCache.js';
+import { verifyToken, clearTokenCache } from '../services/userService.js';
+import { validateToken } from '../middleware/auth.js';
+
+vi.mock('node-fetch', () => ({
+    default: vi.fn()
+}));
+
+vi.mock('../services/paymentProcessor.js', () => ({
+    verifyWebhookSignature: vi.fn()
+}));
+
+const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const otherKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signJwt = (claims, { alg = 'RS256', kid = 'rsa-1', privateKey = rsaKeys.privateKey } = {}) => {
+    const signingInput = `${encode({ alg, kid, typ: 'JWT' })}.${encode(claims)}`;
+    const signature = alg === 'ES256'
+        ? crypto.sign('sha256', Buffer.from(signingInput), { key: privateKey, dsaEncoding: 'ieee-p1363' })
+        : crypto.sign('sha256', Buffer.from(signingInput), privateKey);
+    return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+const jsonResponse = (status, body) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    json: vi.fn().mockResolvedValue(body)
+});
+
+const mockResponse = () => {
+    const res = {};
+    res.status = vi.fn(() => res);
+    res.json = vi.fn(() => res);
+    res.set = vi.fn(() => res);
+    return res;
+};
+
+describe('Token verification', () => {
+    let dir;
+
+    beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+        const file = path.join(dir, 'jwks.json');
+        fs.writeFileSync(file, JSON.stringify({
+            keys: [
+                { ...rsaKeys.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256', use: 'sig' },
+                { ...ecKeys.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256', use: 'sig' }
+            ]
+        }));
+        JWKS_CONFIG.FILE = file;
+
+        expect(await refreshJwks()).toBe(2);
+    });
+
+    afterAll(() => {
+        JWKS_CONFIG.FILE = null;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        clearTokenCache();
+        circuitBreakers.userService.reset();
+    });
+
+    describe('signed JWTs', () => {
+        it('should verify RS256 and ES256 tokens offline and map their claims', async () => {
+            const rsa = await verifyToken(signJwt({
+                sub: 42,
+                preferred_username: 'jane',
+                email: 'jane@example.com',
+                roles: ['support'],
+                scope: 'history:write',
+                exp: inOneHour()
+            }));
+            const ec = await verifyToken(signJwt(
+                { sub: 'user-7', exp: inOneHour() },
+                { alg: 'ES256', kid: 'ec-1', privateKey: ecKeys.privateKey }
+            ));
+
+            expect(rsa.success).toBe(true);
+            expect(rsa.user).toMatchObject({
+                id: '42',
+                username: 'jane',
+                email: 'jane@example.com',
+                roles: ['support'],
+                scopes: 'history:write'
+            });
+            expect(ec.success).toBe(true);
+            expect(ec.user.id).toBe('user-7');
+            expect(fetch).not.toHaveBeenCalled();
+        });
+
+        it('should reject expired, forged, unsigned and unknown-key tokens', async () => {
+            const expired = signJwt({ sub: '1', exp: Math.floor(Date.now() / 1000) - 3600 });
+            const forged = signJwt({ sub: '1', exp: inOneHour() }, { privateKey: otherKeys.privateKey });
+            const unsigned = `${encode({ alg: 'none', kid: 'rsa-1' })}.${encode({ sub: '1', exp: inOneHour() })}.`;
+            const unknownKid = signJwt({ sub: '1', exp: inOneHour() }, { kid: 'rsa-2' });
+            // An ES256 key can't verify a token claiming RS256
+            const wrongAlg = signJwt({ sub: '1', exp: inOneHour() }, { kid: 'ec-1' });
+
+            const reasons = [];
+            for (const token of [expired, forged, unsigned, unknownKid, wrongAlg]) {
+                const result = await verifyToken(token);
+                expect(result.success).toBe(false);
+                expect(result.error.code).toBe('TOKEN_VALIDATION_FAILED');
+                reasons.push(result.error.details.reason);
+            }
+
+            expect(reasons).toEqual(['TOKEN_EXPIRED', 'INVALID_SIGNATURE', 'UNSUPPORTED_ALGORITHM', 'UNKNOWN_KEY', 'UNKNOWN_KEY']);
+            expect(fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('opaque tokens', () => {
+        it('should cache successful validations but not rejections', async () => {
+            fetch
+                .mockResolvedValueOnce(jsonResponse(200, { id: 5, username: 'sam', roles: ['customer'] }))
+                .mockResolvedValue(jsonResponse(401, { detail: 'Invalid token' }));
+
+            const first = await verifyToken('opaque-token');
+            const second = await verifyToken('opaque-token');
+            const rejected = await verifyToken('revoked-token');
+            await verifyToken('revoked-token');
+
+            expect(first.success).toBe(true);
+            expect(second).toBe(first);
+            expect(rejected.error).toMatchObject({ code: 'TOKEN_VALIDATION_FAILED', status: 401 });
+            expect(fetch).toHaveBeenCalledTimes(3);
+            expect(circuitBreakers.userService.getState().state).toBe('CLOSED');
+        });
+
+        it('should report the user service as unavailable and stop calling it once the breaker opens', async () => {
+            fetch.mockResolvedValue(jsonResponse(502, null));
+
+            for (let i = 0; i < 5; i++) {
+                const result = await verifyToken('opaque-token');
+                expect(result.error.code).toBe('USER_SERVICE_UNAVAILABLE');
+            }
+            const result = await verifyToken('opaque-token');
+
+            expect(fetch).toHaveBeenCalledTimes(5);
+            expect(circuitBreakers.userService.getState().state).toBe('OPEN');
+            expect(result.error.code).toBe('USER_SERVICE_UNAVAILABLE');
+            expect(result.error.retryAfter).toBeGreaterThan(5);
+        });
+    });
+
+    describe('validateToken', () => {
+        it('should respond 503 with Retry-After when the token cannot be checked', async () => {
+            fetch.mockRejectedValue(new Error('connect ECONNREFUSED'));
+            const res = mockResponse();
+            const next = vi.fn();
+
+            await validateToken({ headers: { authorization: 'Bearer opaque-token' } }, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(503);
+            expect(res.set).toHaveBeenCalledWith('Retry-After', '5');
+            expect(res.json.mock.calls[0][0].error.code).toBe('AUTH_SERVICE_UNAVAILABLE');
+        });
+
+        it('should still respond 401 to invalid tokens', async () => {
+            const res = mockResponse();
+
+            await validateToken({ headers: { authorization: `Bearer ${signJwt({ sub: '1' })}` } }, res, vi.fn());
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json.mock.calls[0][0].error.details.details.reason).toBe('MISSING_EXPIRY');
+        });
+    });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dbPoolManager from '../db/connectionPool.js';
+import { publish } from '../messaging/queueSetup.js';
+import { recordWebhookEvent, processWebhookEvent, replayWebhookEvent } from '../services/webhookInbox.js';
+
+vi.mock('../db/connectionPool.js', () => ({
+    default: {
+        executeRead: vi.fn(),
+        executeWrite: vi.fn(),
+        executeTransaction: vi.fn()
+    }
+}));
+
+vi.mock('../messaging/queueSetup.js', () => ({
+    connect: vi.fn(),
+    publish: vi.fn()
+}));
+
+const chargeSuccess = {
+    event: 'charge.success',
+    data: { id: 302961, reference: 'key_123', amount: 1000 }
+};
+
+/**
+ * Fake transaction client for payment status changes, locking a payment row in `currentStatus`
+ */
+const mockTransaction = (currentStatus) => {
+    const client = {
+        query: vi.fn(async (query, params) => {
+            if (query.includes('FOR UPDATE')) return { rows: [{ id: 'payment-uuid', status: currentStatus }] };
+            if (query.includes('UPDATE payments')) return { rows: [{ id: 'payment-uuid', status: params[1] }] };
+            return { rows: [] };
+        })
+    };
+    dbPoolManager.executeTransaction.mockImplementation(async (callback) => callback(client));
+    return client;
+};
+
+const findUpdate = (client) => client.query.mock.calls.find(([query]) => query.includes('UPDATE payments'));
+
+describe('Webhook Inbox', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('recordWebhookEvent', () => {
+        it('should store new events keyed by provider event ID', async () => {
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [{ id: 'evt-uuid' }] });
+
+            const result = await recordWebhookEvent('paystack', chargeSuccess);
+
+            expect(result.success).toBe(true);
+            expect(result.data).toMatchObject({ id: 'evt-uuid', eventId: 'charge.success:302961', duplicate: false });
+            expect(dbPoolManager.executeWrite.mock.calls[0][1].slice(0, 3))
+                .toEqual(['paystack', 'charge.success:302961', 'charge.success']);
+        });
+
+        it('should report redelivered events as duplicates', async () => {
+            dbPoolManager.executeWrite.mockResolvedValue({ rows: [] });
+
+            const result = await recordWebhookEvent('paystack', chargeSuccess);
+
+            expect(result.success).toBe(true);
+            expect(result.data.duplicate).toBe(true);
+        });
+
+        it('should reject events without an identifier', async () => {
+            const result = await recordWebhookEvent('paystack', { event: 'charge.success', data: {} });
+
+            expect(result.success).toBe(false);
+            expect(result.error.code).toBe('INVALID_WEBHOOK_EVENT');
+            expect(dbPoolManager.executeWrite).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('processWebhookEvent', () => {
+        it('should skip events that are already processed or claimed', async () => {
+            dbPoolManager.executeWrite.mockResolvedValueOnce({ rows: [] });
+
+            const result = await processWebhookEvent('evt-uuid');
+
+            expect(result).toEqual({ success: true, skipped: true });
+            expect(dbPoolManager.executeWrite).toHaveBeenCalledTimes(1);
+        });
+
+        it('should apply the event and mark it processed', async () => {
+            dbPoolManager.executeWrite
+                .mockResolvedValueOnce({ rows: [{ id: 'evt-uuid', provider: 'paystack', payload: chargeSuccess, attempts: 1 }] })
+                .mockResolvedValue({ rows: [] });
+            dbPoolManager.executeRead.mockResolvedValueOnce({ rows: [{ id: 'payment-uuid' }] });
+            const client = mockTransaction('PENDING');
+
+            const result = await processWebhookEvent('evt-uuid');
+
+            expect(result.success).toBe(true);
+            expect(findUpdate(client)[1]).toEqual([
+                'payment-uuid',
+                'SUCCEEDED',
+                JSON.stringify(chargeSuccess.data)
+            ]);
+            // Merged, so the reference stored at initialization survives the webhook
+            expect(findUpdate(client)[0]).toContain('gateway_response = gateway_response ||');
+            expect(dbPoolManager.executeWrite.mock.calls[1][0]).toContain("status = 'PROCESSED'");
+            expect(publish).toHaveBeenCalledWith('payment_updated', expect.objectContaining({ payment_id: 'payment-uuid' }));
+        });
+
+        it('should ignore late events that would move a payment backwards', async () => {
+            const failedCharge = { event: 'charge.failed', data: { id: 302962, reference: 'key_123' } };
+            dbPoolManager.executeWrite
+                .mockResolvedValueOnce({ rows: [{ id: 'evt-uuid', provider: 'paystack', payload: failedCharge, attempts: 1 }] })
+                .mockResolvedValue({ rows: [] });
+            dbPoolManager.executeRead.mockResolvedValueOnce({ rows: [{ id: 'payment-uuid' }] });
+            const client = mockTransaction('SUCCEEDED');
+
+            const result = await processWebhookEvent('evt-uuid');
+
+            expect(result.success).toBe(true);
+            expect(findUpdate(client)).toBeUndefined();
+            expect(dbPoolManager.executeWrite.mock.calls[1][0]).toContain("status = 'PROCESSED'");
+            expect(publish).not.toHaveBeenCalledWith('payment_updated', expect.anything());
+        });
+
+        it('should fail and report a charge that succeeds after the payment was cancelled', async () => {
+            dbPoolManager.executeWrite
+                .mockResolvedValueOnce({ rows: [{ id: 'evt-uuid', provider: 'paystack', payload: chargeSuccess, attempts: 1 }] })
+                .mockResolvedValue({ rows: [] });
+            dbPoolManager.executeRead.mockResolvedValueOnce({ rows: [{ id: 'payment-uuid' }] });
+            const client = mockTransaction('CANCELLED');
+
+            const result = await processWebhookEvent('evt-uuid');
+
+            expect(result.success).toBe(false);
+            expect(findUpdate(client)).toBeUndefined();
+            expect(dbPoolManager.executeWrite.mock.calls[1][0]).toContain("status = 'FAILED'");
+            expect(dbPoolManager.executeWrite.mock.calls[1][1][1]).toContain('SUCCEEDED after it was cancelled');
+            expect(publish).toHaveBeenCalledWith('payment_paid_after_cancellation', expect.objectContaining({
+                payment_id: 'payment-uuid',
+                gatewayResponse: chargeSuccess.data
+            }));
+        });
+
+        it('should mark the event failed when it cannot be applied', async () => {
+            dbPoolManager.executeWrite
+                .mockResolvedValueOnce({ rows: [{ id: 'evt-uuid', provider: 'paystack', payload: chargeSuccess, attempts: 1 }] })
+                .mockResolvedValue({ rows: [] });
+            dbPoolManager.executeRead.mockResolvedValueOnce({ rows: [] });
+
+            const result = await processWebhookEvent('evt-uuid');
+
+            expect(result.success).toBe(false);
+            expect(result.error.code).toBe('WEBHOOK_PROCESSING_FAILED');
+            expect(dbPoolManager.executeWrite.mock.calls[1][0]).toContain("status = 'FAILED'");
+            expect(dbPoolManager.executeWrite.mock.calls[1][1]).toEqual([
+                'evt-uuid',
+                'Payment not found for reference: key_123'
+            ]);
+        });
+    });
+
+    describe('replayWebhookEvent', () => {
+        it('should requeue failed events', async () => {
+            dbPoolManager.executeWrite.mockResolvedValueOnce({ rows: [{ id: 'evt-uuid', status: 'RECEIVED' }] });
+
+            const result = await replayWebhookEvent('evt-uuid');
+
+            expect(result.success).toBe(true);
+            expect(result.data.queued).toBe(true);
+            expect(publish).toHaveBeenCalledWith('webhook_received', { webhookEventId: 'evt-uuid' });
+        });
+
+        it('should refuse to replay events that did not fail', async () => {
+            dbPoolManager.executeWrite.mockResolvedValueOnce({ rows: [] });
+            dbPoolManager.executeRead.mockResolvedValueOnce({ rows: [{ id: 'evt-uuid', status: 'PROCESSED' }] });
+
+            const result = await replayWebhookEvent('evt-uuid');
+
+            expect(result.success).toBe(false);
+            expect(result.error.code).toBe('WEBHOOK_EVENT_NOT_FAILED');
+            expect(publish).not.toHaveBeenCalled();
+        });
+    });
+});
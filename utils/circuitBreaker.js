@@ -123,6 +123,12 @@ export const circuitBreakers = {
         timeout: 10000 // 10 seconds
     }),
     
+    stripe: new CircuitBreaker({
+        failureThreshold: 3,
+        resetTimeout: 30000, // 30 seconds
+        timeout: 10000 // 10 seconds
+    }),
+    
     database: new CircuitBreaker({
         failureThreshold: 5,
         resetTimeout: 15000, // 15 seconds
@@ -133,6 +139,12 @@ export const circuitBreakers = {
         failureThreshold: 3,
         resetTimeout: 20000, // 20 seconds
         timeout: 3000 // 3 seconds
+    }),
+
+    userService: new CircuitBreaker({
+        failureThreshold: 5,
+        resetTimeout: 30000, // 30 seconds
+        timeout: 5000 // 5 seconds
     })
 };
 
@@ -0,0 +1,114 @@
+/**
+ * Envelope Encryption
+ * Each value is encrypted with AES-256-GCM under its own random data key; the data key is wrapped by
+ * the configured key provider and stored next to the ciphertext together with the key version that
+ * wrapped it. Rotating the master key only means re-encrypting envelopes with an older key version.
+ */
+
+import crypto from 'crypto';
+import { getKeyProvider } from './keyProviders.js';
+
+const ENVELOPE_VERSION = 1;
+const ALGORITHM = 'AES-256-GCM';
+const CIPHER = 'aes-256-gcm';
+const DATA_KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * Whether a stored value is an envelope produced by encrypt()
+ */
+export const isEnvelope = (value) => {
+    if (typeof value !== 'string' || !value.startsWith('{')) {
+        return false;
+    }
+    try {
+        const envelope = JSON.parse(value);
+        return envelope.v === ENVELOPE_VERSION && envelope.alg === ALGORITHM;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Key version an envelope was wrapped with
+ */
+export const getKeyVersion = (value) => JSON.parse(value).kv;
+
+/**
+ * Encrypt a string.
+ * @param {string} plaintext - Value to encrypt
+ * @param {Object} options - { aad, keyProvider } where aad binds the ciphertext to its owner
+ *   (decrypting with a different aad fails)
+ * @returns {string} Serialized envelope
+ */
+export const encrypt = async (plaintext, { aad = '', keyProvider = getKeyProvider() } = {}) => {
+    const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+    const iv = crypto.randomBytes(IV_BYTES);
+
+    try {
+        const cipher = crypto.createCipheriv(CIPHER, dataKey, iv);
+        cipher.setAAD(Buffer.from(aad));
+        const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        const { keyVersion, wrappedKey } = await keyProvider.wrapKey(dataKey);
+
+        return JSON.stringify({
+            v: ENVELOPE_VERSION,
+            alg: ALGORITHM,
+            kv: keyVersion,
+            dk: wrappedKey,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            ct: ciphertext.toString('base64')
+        });
+    } finally {
+        dataKey.fill(0);
+    }
+};
+
+/**
+ * Decrypt an envelope produced by encrypt()
+ * @param {string} value - Serialized envelope
+ * @param {Object} options - { aad, keyProvider } where aad must match the one used to encrypt
+ * @returns {string} Plaintext
+ * @throws When the envelope is malformed, its key version is unknown or it fails authentication
+ */
+export const decrypt = async (value, { aad = '', keyProvider = getKeyProvider() } = {}) => {
+    if (!isEnvelope(value)) {
+        throw new Error('Value is not an encrypted envelope');
+    }
+
+    const envelope = JSON.parse(value);
+    const dataKey = await keyProvider.unwrapKey(envelope.dk, envelope.kv);
+
+    try {
+        const decipher = crypto.createDecipheriv(CIPHER, dataKey, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAAD(Buffer.from(aad));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+        return Buffer.concat([
+            decipher.update(Buffer.from(envelope.ct, 'base64')),
+            decipher.final()
+        ]).toString('utf8');
+    } finally {
+        dataKey.fill(0);
+    }
+};
+
+/**
+ * Encrypt a JSON-serializable value
+ */
+export const encryptJson = (value, options) => encrypt(JSON.stringify(value), options);
+
+/**
+ * Decrypt an envelope holding a JSON value
+ */
+export const decryptJson = async (value, options) => JSON.parse(await decrypt(value, options));
+
+export default {
+    isEnvelope,
+    getKeyVersion,
+    encrypt,
+    decrypt,
+    encryptJson,
+    decryptJson
+};
@@ -0,0 +1,111 @@
+/**
+ * FX Rate Sources
+ * Where exchange rates come from. The file source reads a JSON snapshot and works offline (development,
+ * tests, or as a manual fallback); a live provider is plugged in with setRateSource at startup.
+ *
+ * A source implements:
+ *   name            - source name, stored with every rate it supplies
+ *   fetchRates()    - resolves { base, rates: { [currency]: units of currency per 1 base }, asOf }
+ *                     where asOf (Date or null) is when the rates were published
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+export const RATE_SOURCE_CONFIG = {
+    SOURCE: process.env.FX_RATE_SOURCE || 'file',
+    RATES_FILE: process.env.FX_RATES_FILE || fileURLToPath(new URL('../config/fx-rates.json', import.meta.url))
+};
+
+/**
+ * Check a fetched snapshot and drop rates that are not positive numbers
+ */
+const normalizeSnapshot = ({ base, rates, asOf }, sourceName) => {
+    if (!/^[A-Z]{3}$/.test(base || '')) {
+        throw new Error(`FX rate source ${sourceName} returned an invalid base currency: ${base}`);
+    }
+
+    const validRates = Object.fromEntries(
+        Object.entries(rates || {}).filter(([code, rate]) => /^[A-Z]{3}$/.test(code) && Number(rate) > 0 && code !== base)
+    );
+
+    return { base, rates: validRates, asOf: asOf ? new Date(asOf) : null };
+};
+
+/**
+ * Source reading { base, asOf, rates } from a JSON file on every fetch, so edits apply on the next refresh.
+ * Without asOf the rates count as published when they are fetched.
+ * @param {Object} options - { path }
+ */
+export const createFileRateSource = ({ path } = {}) => {
+    if (!path) {
+        throw new Error('File FX rate source needs a path (FX_RATES_FILE)');
+    }
+
+    return {
+        name: 'file',
+        fetchRates: async () => {
+            let snapshot;
+            try {
+                snapshot = JSON.parse(await fs.promises.readFile(path, 'utf8'));
+            } catch (error) {
+                throw new Error(`FX rates file ${path} could not be read: ${error.message}`);
+            }
+            return normalizeSnapshot(snapshot, 'file');
+        }
+    };
+};
+
+/**
+ * Source wrapping any fetch function, for live providers
+ * @param {Object} options - { name, fetchRates } where fetchRates resolves { base, rates, asOf }
+ */
+export const createRateSource = ({ name, fetchRates } = {}) => {
+    if (!name || typeof fetchRates !== 'function') {
+        throw new Error('FX rate source needs a name and a fetchRates function');
+    }
+
+    return {
+        name,
+        fetchRates: async () => normalizeSnapshot(await fetchRates(), name)
+    };
+};
+
+/**
+ * Build the source selected by FX_RATE_SOURCE.
+ * Live providers need their own client, so deployments using one register it with setRateSource at startup.
+ */
+export const createRateSourceFromEnv = (config = RATE_SOURCE_CONFIG) => {
+    if (config.SOURCE !== 'file') {
+        throw new Error(`FX_RATE_SOURCE=${config.SOURCE} requires a source registered with setRateSource(createRateSource({ name, fetchRates }))`);
+    }
+
+    return createFileRateSource({ path: config.RATES_FILE });
+};
+
+let rateSource = null;
+
+/**
+ * Source used to refresh rates, created from the environment on first use
+ */
+export const getRateSource = () => {
+    if (!rateSource) {
+        rateSource = createRateSourceFromEnv();
+    }
+    return rateSource;
+};
+
+/**
+ * Replace the source (a live provider in production, fixed rates in tests); null goes back to the environment
+ */
+export const setRateSource = (source) => {
+    rateSource = source;
+};
+
+export default {
+    createFileRateSource,
+    createRateSource,
+    createRateSourceFromEnv,
+    getRateSource,
+    setRateSource
+};
@@ -0,0 +1,143 @@
+/**
+ * JWT verification
+ * Decodes compact JWS tokens and verifies their signature and registered claims with node's crypto,
+ * against public keys from a JWKS. Only asymmetric algorithms are accepted, so a token cannot be
+ * signed with the public key as an HMAC secret, and unsigned (alg "none") tokens are rejected.
+ */
+
+import crypto from 'crypto';
+
+// JWS algorithm -> digest and signature options for crypto.verify
+const ALGORITHMS = {
+    RS256: { digest: 'sha256' },
+    RS384: { digest: 'sha384' },
+    RS512: { digest: 'sha512' },
+    PS256: { digest: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+    PS384: { digest: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+    PS512: { digest: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+    ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { digest: 'sha512', dsaEncoding: 'ieee-p1363' },
+    EdDSA: { digest: null }
+};
+
+export const SUPPORTED_ALGORITHMS = Object.keys(ALGORITHMS);
+
+/**
+ * Error for a token that is malformed, badly signed or whose claims don't hold
+ */
+export class JwtVerificationError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'JwtVerificationError';
+        this.code = code;
+    }
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Whether a bearer token has the shape of a JWS (three base64url segments with a JSON header)
+ */
+export const isJwt = (token) => {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        return false;
+    }
+    try {
+        return typeof decodeSegment(parts[0]).alg === 'string';
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Split a token into its header, payload and signature without verifying it
+ */
+export const decodeJwt = (token) => {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        throw new JwtVerificationError('MALFORMED_TOKEN', 'Token is not a JWT');
+    }
+
+    try {
+        return {
+            header: decodeSegment(parts[0]),
+            payload: decodeSegment(parts[1]),
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: Buffer.from(parts[2], 'base64url')
+        };
+    } catch {
+        throw new JwtVerificationError('MALFORMED_TOKEN', 'Token header or payload is not valid JSON');
+    }
+};
+
+const audienceMatches = (claim, audience) => {
+    const claimed = Array.isArray(claim) ? claim : [claim];
+    const accepted = Array.isArray(audience) ? audience : [audience];
+    return claimed.some(value => accepted.includes(value));
+};
+
+/**
+ * Verify a token's signature and claims
+ * @param {string} token - Compact JWS
+ * @param {Function} getKey - async (header) => KeyObject for the token's kid, or null if unknown
+ * @param {Object} options - { algorithms, issuer, audience, clockToleranceSeconds, now } with now in milliseconds
+ * @returns {Object} { header, payload }
+ * @throws {JwtVerificationError}
+ */
+export const verifyJwt = async (token, getKey, {
+    algorithms = SUPPORTED_ALGORITHMS,
+    issuer = null,
+    audience = null,
+    clockToleranceSeconds = 0,
+    now = Date.now()
+} = {}) => {
+    const { header, payload, signingInput, signature } = decodeJwt(token);
+
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm || !algorithms.includes(header.alg)) {
+        throw new JwtVerificationError('UNSUPPORTED_ALGORITHM', `Token algorithm ${header.alg} is not accepted`);
+    }
+
+    const key = await getKey(header);
+    if (!key) {
+        throw new JwtVerificationError('UNKNOWN_KEY', `No signing key found for kid ${header.kid}`);
+    }
+
+    const { digest, ...options } = algorithm;
+    let valid;
+    try {
+        valid = crypto.verify(digest, Buffer.from(signingInput), { key, ...options }, signature);
+    } catch {
+        valid = false;
+    }
+    if (!valid) {
+        throw new JwtVerificationError('INVALID_SIGNATURE', 'Token signature is invalid');
+    }
+
+    const seconds = Math.floor(now / 1000);
+    if (typeof payload.exp !== 'number') {
+        throw new JwtVerificationError('MISSING_EXPIRY', 'Token has no exp claim');
+    }
+    if (seconds > payload.exp + clockToleranceSeconds) {
+        throw new JwtVerificationError('TOKEN_EXPIRED', 'Token has expired');
+    }
+    if (typeof payload.nbf === 'number' && seconds < payload.nbf - clockToleranceSeconds) {
+        throw new JwtVerificationError('TOKEN_NOT_YET_VALID', 'Token is not valid yet');
+    }
+    if (issuer && payload.iss !== issuer) {
+        throw new JwtVerificationError('INVALID_ISSUER', 'Token issuer is not accepted');
+    }
+    if (audience && !audienceMatches(payload.aud, audience)) {
+        throw new JwtVerificationError('INVALID_AUDIENCE', 'Token audience is not accepted');
+    }
+
+    return { header, payload };
+};
+
+export default {
+    isJwt,
+    decodeJwt,
+    verifyJwt
+};
@@ -0,0 +1,186 @@
+/**
+ * Key Providers
+ * Wrap and unwrap the per-record data keys used by envelope encryption. The local provider keeps
+ * versioned master keys in an env/file keyring for development and tests; the KMS provider hands
+ * wrapping to a key management service so master keys never enter the process.
+ *
+ * A provider implements:
+ *   name                                      - provider name
+ *   currentKeyVersion()                       - version new data keys are wrapped with
+ *   wrapKey(dataKey)                          - resolves { keyVersion, wrappedKey }
+ *   unwrapKey(wrappedKey, keyVersion)         - resolves the data key Buffer
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+export const KEY_PROVIDER_CONFIG = {
+    PROVIDER: process.env.ENCRYPTION_KEY_PROVIDER || 'local',
+    KEYRING: process.env.ENCRYPTION_KEYRING || '',
+    KEYRING_FILE: process.env.ENCRYPTION_KEYRING_FILE || '',
+    KEY_VERSION: process.env.ENCRYPTION_KEY_VERSION || '',
+    KMS_KEY_ID: process.env.ENCRYPTION_KMS_KEY_ID || ''
+};
+
+const WRAP_ALGORITHM = 'aes-256-gcm';
+const MASTER_KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * Keyring versions sorted so the last one is the newest ("1" < "2" < "10")
+ */
+const sortVersions = (versions) =>
+    [...versions].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+/**
+ * Provider backed by a local keyring of versioned 32-byte master keys
+ * @param {Object} options - { keys: { [version]: Buffer|base64 string }, currentVersion }
+ *   currentVersion defaults to the highest version in the keyring
+ */
+export const createLocalKeyProvider = ({ keys, currentVersion } = {}) => {
+    const keyring = new Map();
+
+    for (const [version, key] of Object.entries(keys || {})) {
+        const buffer = Buffer.isBuffer(key) ? key : Buffer.from(key, 'base64');
+        if (buffer.length !== MASTER_KEY_BYTES) {
+            throw new Error(`Encryption key ${version} must be ${MASTER_KEY_BYTES} bytes`);
+        }
+        keyring.set(String(version), buffer);
+    }
+
+    if (keyring.size === 0) {
+        throw new Error('No encryption keys configured: set ENCRYPTION_KEYRING or ENCRYPTION_KEYRING_FILE');
+    }
+
+    const activeVersion = currentVersion ? String(currentVersion) : sortVersions(keyring.keys()).pop();
+    if (!keyring.has(activeVersion)) {
+        throw new Error(`Encryption key version ${activeVersion} is not in the keyring`);
+    }
+
+    const getKey = (keyVersion) => {
+        const key = keyring.get(String(keyVersion));
+        if (!key) {
+            throw new Error(`Encryption key version ${keyVersion} is not in the keyring`);
+        }
+        return key;
+    };
+
+    return {
+        name: 'local',
+        currentKeyVersion: () => activeVersion,
+
+        wrapKey: async (dataKey) => {
+            const iv = crypto.randomBytes(IV_BYTES);
+            const cipher = crypto.createCipheriv(WRAP_ALGORITHM, getKey(activeVersion), iv);
+            const ciphertext = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+            return {
+                keyVersion: activeVersion,
+                wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')
+            };
+        },
+
+        unwrapKey: async (wrappedKey, keyVersion) => {
+            const packed = Buffer.from(wrappedKey, 'base64');
+            const decipher = crypto.createDecipheriv(WRAP_ALGORITHM, getKey(keyVersion), packed.subarray(0, IV_BYTES));
+            decipher.setAuthTag(packed.subarray(IV_BYTES, IV_BYTES + 16));
+
+            return Buffer.concat([decipher.update(packed.subarray(IV_BYTES + 16)), decipher.final()]);
+        }
+    };
+};
+
+/**
+ * Provider backed by a key management service.
+ * The client follows the KMS Encrypt/Decrypt calls:
+ *   encrypt({ KeyId, Plaintext }) resolves { CiphertextBlob }
+ *   decrypt({ CiphertextBlob, KeyId }) resolves { Plaintext }
+ * The configured key ID is stored as the key version, so rotating means pointing ENCRYPTION_KMS_KEY_ID
+ * at a new key and running the rotation script.
+ * @param {Object} options - { client, keyId }
+ */
+export const createKmsKeyProvider = ({ client, keyId } = {}) => {
+    if (!client || typeof client.encrypt !== 'function' || typeof client.decrypt !== 'function') {
+        throw new Error('KMS key provider needs a client with encrypt and decrypt');
+    }
+    if (!keyId) {
+        throw new Error('KMS key provider needs a key ID (ENCRYPTION_KMS_KEY_ID)');
+    }
+
+    return {
+        name: 'kms',
+        currentKeyVersion: () => keyId,
+
+        wrapKey: async (dataKey) => {
+            const result = await client.encrypt({ KeyId: keyId, Plaintext: dataKey });
+            return {
+                keyVersion: keyId,
+                wrappedKey: Buffer.from(result.CiphertextBlob).toString('base64')
+            };
+        },
+
+        unwrapKey: async (wrappedKey, keyVersion) => {
+            const result = await client.decrypt({
+                CiphertextBlob: Buffer.from(wrappedKey, 'base64'),
+                KeyId: keyVersion
+            });
+            return Buffer.from(result.Plaintext);
+        }
+    };
+};
+
+/**
+ * Build the provider selected by ENCRYPTION_KEY_PROVIDER.
+ * The KMS provider needs an SDK client, so deployments using it register one with setKeyProvider at startup.
+ */
+export const createKeyProviderFromEnv = (config = KEY_PROVIDER_CONFIG) => {
+    if (config.PROVIDER === 'kms') {
+        throw new Error('ENCRYPTION_KEY_PROVIDER=kms requires a provider registered with setKeyProvider(createKmsKeyProvider({ client, keyId }))');
+    }
+
+    if (config.PROVIDER !== 'local') {
+        throw new Error(`Unknown encryption key provider: ${config.PROVIDER}`);
+    }
+
+    const keyringJson = config.KEYRING_FILE
+        ? fs.readFileSync(config.KEYRING_FILE, 'utf8')
+        : config.KEYRING;
+
+    let keys = {};
+    if (keyringJson) {
+        try {
+            keys = JSON.parse(keyringJson);
+        } catch (error) {
+            throw new Error(`Encryption keyring is not valid JSON: ${error.message}`);
+        }
+    }
+
+    return createLocalKeyProvider({ keys, currentVersion: config.KEY_VERSION || undefined });
+};
+
+let keyProvider = null;
+
+/**
+ * Provider used for envelope encryption, created from the environment on first use
+ */
+export const getKeyProvider = () => {
+    if (!keyProvider) {
+        keyProvider = createKeyProviderFromEnv();
+    }
+    return keyProvider;
+};
+
+/**
+ * Replace the provider (KMS in production, fixed keys in tests); null goes back to the environment
+ */
+export const setKeyProvider = (provider) => {
+    keyProvider = provider;
+};
+
+export default {
+    createLocalKeyProvider,
+    createKmsKeyProvider,
+    createKeyProviderFromEnv,
+    getKeyProvider,
+    setKeyProvider
+};
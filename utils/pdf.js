@@ -0,0 +1,116 @@
+/**
+ * PDF
+ * Writes simple text documents as PDF 1.4 using the standard Helvetica fonts, so no PDF library or
+ * font files are needed. Lines starting with "# " are set as bold headings; text wraps at the page
+ * margin and continues on new A4 pages. Characters outside printable ASCII are replaced with "?".
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FONT_SIZE = 10;
+const HEADING_SIZE = 14;
+const LINE_HEIGHT = 14;
+const HEADING_LINE_HEIGHT = 20;
+
+// Average Helvetica glyph width as a share of the font size, used to wrap lines
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+const toPdfText = (text) => text
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/[\\()]/g, char => `\\${char}`);
+
+/**
+ * Split a line into pieces that fit the page width, breaking at spaces where possible
+ */
+const wrapLine = (text, fontSize) => {
+    const maxChars = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (fontSize * AVERAGE_CHAR_WIDTH));
+    const pieces = [];
+    let rest = text;
+
+    while (rest.length > maxChars) {
+        const breakAt = rest.lastIndexOf(' ', maxChars);
+        const cut = breakAt > 0 ? breakAt : maxChars;
+        pieces.push(rest.slice(0, cut));
+        rest = rest.slice(cut).trimStart();
+    }
+    pieces.push(rest);
+    return pieces;
+};
+
+/**
+ * Lay text lines out as content streams, one per page
+ */
+const layoutPages = (lines) => {
+    const pages = [];
+    let operations = [];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    for (const line of lines) {
+        const heading = line.startsWith('# ');
+        const fontSize = heading ? HEADING_SIZE : FONT_SIZE;
+        const lineHeight = heading ? HEADING_LINE_HEIGHT : LINE_HEIGHT;
+
+        for (const piece of wrapLine(heading ? line.slice(2) : line, fontSize)) {
+            if (y - lineHeight < MARGIN) {
+                pages.push(operations.join('\n'));
+                operations = [];
+                y = PAGE_HEIGHT - MARGIN;
+            }
+            y -= lineHeight;
+            if (piece.trim()) {
+                operations.push(`BT /${heading ? 'F2' : 'F1'} ${fontSize} Tf ${MARGIN} ${y} Td (${toPdfText(piece)}) Tj ET`);
+            }
+        }
+    }
+
+    pages.push(operations.join('\n'));
+    return pages;
+};
+
+/**
+ * Render text as a PDF document
+ * @param {string} text - Document text; "\n" separates lines
+ * @param {Object} options - { title } stored in the document information
+ * @returns {Buffer} PDF file contents
+ */
+export const renderTextPdf = (text, { title = '' } = {}) => {
+    const pages = layoutPages(text.replace(/\r\n/g, '\n').split('\n'));
+
+    // Objects 1-4 are fixed; each page adds a page object and its content stream
+    const pageIds = pages.map((_, index) => 5 + index * 2);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+
+    for (const [index, content] of pages.entries()) {
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+            `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+        );
+    }
+    objects.push(`<< /Title (${toPdfText(title)}) /Producer (payment-service) >>`);
+    const infoId = objects.length;
+
+    let body = '%PDF-1.4\n';
+    const offsets = [];
+    for (const [index, object] of objects.entries()) {
+        offsets.push(Buffer.byteLength(body, 'latin1'));
+        body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'latin1');
+};
+
+export default {
+    renderTextPdf
+};
@@ -0,0 +1,110 @@
+/**
+ * Templates
+ * Minimal Mustache-style rendering for documents such as receipts:
+ *   {{name}} / {{a.b}}         - value, HTML-escaped unless the escape option is turned off
+ *   {{#list}}...{{/list}}      - repeated for each item of an array, or once when the value is truthy
+ *   {{^name}}...{{/name}}      - rendered when the value is missing, false or an empty array
+ * Names are looked up in the current section item first, then in the enclosing ones.
+ * The template is parsed before any value is inserted, so values that contain {{...}} are output as text.
+ */
+
+const TAG_PATTERN = /\{\{([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+/**
+ * Resolve a dotted name against a stack of contexts, innermost last
+ */
+const lookup = (stack, name) => {
+    const [head, ...rest] = name.split('.');
+
+    for (let i = stack.length - 1; i >= 0; i--) {
+        const context = stack[i];
+        if (context !== null && typeof context === 'object' && head in context) {
+            return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[head]);
+        }
+    }
+    return undefined;
+};
+
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Split a template into text, variables ({ name }) and sections ({ kind, name, children })
+ */
+const parse = (template) => {
+    const root = { children: [] };
+    const open = [root];
+    let position = 0;
+
+    for (const match of template.matchAll(TAG_PATTERN)) {
+        const [tag, kind, name] = match;
+        const current = open[open.length - 1];
+        if (match.index > position) {
+            current.children.push(template.slice(position, match.index));
+        }
+        position = match.index + tag.length;
+
+        if (kind === '/') {
+            if (current.name !== name) {
+                throw new Error(`Unexpected {{/${name}}} in template`);
+            }
+            open.pop();
+        } else if (kind) {
+            const section = { kind, name, children: [] };
+            current.children.push(section);
+            open.push(section);
+        } else {
+            current.children.push({ name });
+        }
+    }
+
+    if (open.length > 1) {
+        throw new Error(`Unclosed {{${open[open.length - 1].kind}${open[open.length - 1].name}}} in template`);
+    }
+    if (position < template.length) {
+        root.children.push(template.slice(position));
+    }
+    return root.children;
+};
+
+const renderNodes = (nodes, stack, escape) => nodes.map((node) => {
+    if (typeof node === 'string') {
+        return node;
+    }
+
+    const value = lookup(stack, node.name);
+
+    if (!node.kind) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        return escape ? escapeHtml(value) : String(value);
+    }
+    if (node.kind === '^') {
+        return isEmpty(value) ? renderNodes(node.children, stack, escape) : '';
+    }
+    if (isEmpty(value)) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => renderNodes(node.children, [...stack, item], escape)).join('');
+    }
+    return renderNodes(node.children, typeof value === 'object' ? [...stack, value] : stack, escape);
+}).join('');
+
+/**
+ * Render a template with a view object
+ * @param {string} template - Template source
+ * @param {Object} view - Values referenced by the template
+ * @param {Object} options - { escape: false } for plain-text output
+ * @returns {string} Rendered document
+ */
+export const renderTemplate = (template, view, { escape = true } = {}) => renderNodes(parse(template), [view], escape);
+
+export default {
+    escapeHtml,
+    renderTemplate
+};
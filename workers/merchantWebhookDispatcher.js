@@ -0,0 +1,89 @@
+// workers/merchantWebhookDispatcher.js
+
+import 'dotenv/config';
+import { connect } from '../messaging/queueSetup.js';
+import {
+  fanOutEvent,
+  deliverWithRetry,
+  claimStalePendingDeliveries
+} from '../services/merchantWebhooks.js';
+
+
+const QUEUE_NAME = process.env.MERCHANT_WEBHOOK_QUEUE || 'merchant_webhooks';
+const EXCHANGE_NAME = 'payment_events';
+const DEAD_LETTER_EXCHANGE = 'dead_letter_exchange';
+const DEAD_LETTER_QUEUE = 'dead_letter_queue';
+
+// Events handled at once; a slow endpoint backing off should not hold up everyone else's deliveries
+const PREFETCH = parseInt(process.env.MERCHANT_WEBHOOK_PREFETCH) || 10;
+
+// How often deliveries abandoned by a stopped worker are picked up again
+const SWEEP_INTERVAL_MS = parseInt(process.env.MERCHANT_WEBHOOK_SWEEP_INTERVAL_MS) || 60000;
+
+/**
+ * Deliver each delivery with its own retries; failures are recorded on the delivery, not thrown
+ */
+const deliverAll = (deliveryIds) => Promise.all(deliveryIds.map(async (deliveryId) => {
+  const delivery = await deliverWithRetry(deliveryId);
+  if (delivery?.status === 'FAILED') {
+    console.error(`Merchant webhook delivery ${deliveryId} failed: ${delivery.last_error}`);
+  }
+}));
+
+const sweepPendingDeliveries = async () => {
+  try {
+    const deliveryIds = await claimStalePendingDeliveries();
+    await deliverAll(deliveryIds);
+  } catch (err) {
+    console.error('Merchant webhook sweep failed:', err.message);
+  }
+};
+
+const startWorker = async () => {
+  try {
+    const connection = await connect();
+    const channel = await connection.createChannel();
+
+    // Assert dead-letter exchange and queue
+    await channel.assertExchange(DEAD_LETTER_EXCHANGE, 'direct', { durable: true });
+    await channel.assertQueue(DEAD_LETTER_QUEUE, { durable: true });
+    await channel.bindQueue(DEAD_LETTER_QUEUE, DEAD_LETTER_EXCHANGE, 'dead_letter_key');
+
+    // Every payment event; fanOutEvent skips the ones merchants can't subscribe to
+    await channel.assertQueue(QUEUE_NAME, {
+      durable: true,
+      deadLetterExchange: DEAD_LETTER_EXCHANGE,
+      deadLetterRoutingKey: 'dead_letter_key'
+    });
+    await channel.assertExchange(EXCHANGE_NAME, 'topic', { durable: true });
+    await channel.bindQueue(QUEUE_NAME, EXCHANGE_NAME, '#');
+
+    await channel.prefetch(PREFETCH);
+
+    console.log(`Merchant webhook dispatcher is listening for messages on ${QUEUE_NAME}...`);
+
+    channel.consume(QUEUE_NAME, async (msg) => {
+      if (msg === null) return;
+
+      try {
+        const deliveryIds = await fanOutEvent(JSON.parse(msg.content.toString()));
+
+        // Acked once delivered or failed, so the prefetch bounds how many events are in flight
+        await deliverAll(deliveryIds);
+        channel.ack(msg);
+      } catch (err) {
+        console.error('Failed to dispatch merchant webhooks. Sending to dead-letter queue.', err.message);
+        channel.nack(msg, false, false);
+      }
+    });
+
+    setInterval(sweepPendingDeliveries, SWEEP_INTERVAL_MS);
+    sweepPendingDeliveries();
+
+  } catch (err) {
+    console.error('Merchant webhook dispatcher failed to start:', err);
+    process.exit(1);
+  }
+};
+
+startWorker();
@@ -3,28 +3,57 @@
 import 'dotenv/config';
 import { retryWithBackoff } from './retryWithBackoff.js';
 import { connect } from '../messaging/queueSetup.js';
+import {
+  WEBHOOK_RECEIVED_TOPIC,
+  processWebhookEvent,
+  getUnprocessedWebhookEventIds
+} from '../services/webhookInbox.js';
 
 
-const QUEUE_NAME = process.env.RABBITMQ_QUEUE;
+const QUEUE_NAME = process.env.RABBITMQ_QUEUE || 'webhook_events';
+const EXCHANGE_NAME = 'payment_events';
 const DEAD_LETTER_EXCHANGE = 'dead_letter_exchange';
 const DEAD_LETTER_QUEUE = 'dead_letter_queue';
 
-const processWebhook = async (msg) => {
-  try {
-    const payload = JSON.parse(msg.content.toString());
-    console.log('Processing webhook task:', payload);
+// How often the inbox is swept for events that never made it onto the queue
+const SWEEP_INTERVAL_MS = parseInt(process.env.WEBHOOK_SWEEP_INTERVAL_MS) || 30000;
 
-    // Simulate a transient failure
-    if (Math.random() < 0.2) {
-      throw new Error('Transient gateway/DB failure!');
-    }
-    console.log('Webhook successfully processed.');
-    // Acknowledge the message
-    return true; 
+/**
+ * Process one inbox event. Returns false so retryWithBackoff tries again.
+ * The event row records each failure, so after the last retry it is left FAILED for admin replay.
+ */
+const processWebhook = async (webhookEventId) => {
+  try {
+    console.log('Processing webhook event:', webhookEventId);
+    const result = await processWebhookEvent(webhookEventId);
+    return result.success;
   } catch (err) {
     console.error(`Failed to process webhook: ${err.message}`);
     // enable retry
-    return false; 
+    return false;
+  }
+};
+
+const processWithRetry = (webhookEventId) => retryWithBackoff(async () => {
+  const success = await processWebhook(webhookEventId);
+  if (!success) {
+    throw new Error('Task processing failed, will retry.');
+  }
+}, 5, 1000, 2, true);
+
+/**
+ * Pick up inbox events that were stored while the broker was unavailable
+ */
+const sweepInbox = async () => {
+  try {
+    const ids = await getUnprocessedWebhookEventIds();
+    for (const id of ids) {
+      await processWithRetry(id).catch(err => {
+        console.error(`Swept webhook event ${id} failed after all retries: ${err.message}`);
+      });
+    }
+  } catch (err) {
+    console.error('Webhook inbox sweep failed:', err.message);
   }
 };
 
@@ -39,24 +68,25 @@ const startWorker = async () => {
     await channel.bindQueue(DEAD_LETTER_QUEUE, DEAD_LETTER_EXCHANGE, 'dead_letter_key');
 
     // Assert the main queue with dead-lettering configuration
-    const q = await channel.assertQueue(QUEUE_NAME, {
+    await channel.assertQueue(QUEUE_NAME, {
       durable: true,
       deadLetterExchange: DEAD_LETTER_EXCHANGE,
       deadLetterRoutingKey: 'dead_letter_key'
     });
-    
+    await channel.assertExchange(EXCHANGE_NAME, 'topic', { durable: true });
+    await channel.bindQueue(QUEUE_NAME, EXCHANGE_NAME, WEBHOOK_RECEIVED_TOPIC);
+
+    // Process one event at a time per worker
+    await channel.prefetch(1);
+
     console.log(`Worker is listening for messages on ${QUEUE_NAME}...`);
 
     channel.consume(QUEUE_NAME, async (msg) => {
       if (msg === null) return;
 
       try {
-        await retryWithBackoff(async () => {
-          const success = await processWebhook(msg);
-          if (!success) {
-            throw new Error('Task processing failed, will retry.');
-          }
-        }, 5, 1000, 2, true);
+        const { webhookEventId } = JSON.parse(msg.content.toString());
+        await processWithRetry(webhookEventId);
 
         channel.ack(msg);
         console.log('Task acknowledged.');
@@ -66,10 +96,13 @@ const startWorker = async () => {
       }
     });
 
+    setInterval(sweepInbox, SWEEP_INTERVAL_MS);
+    sweepInbox();
+
   } catch (err) {
     console.error('Worker failed to start:', err);
     process.exit(1);
   }
 };
 
-startWorker();
\ No newline at end of file
+startWorker();